@@ -45,7 +45,7 @@ import Content from '../models/content.model.js';
 import Comment from '../models/comment.model.js';
 import User from '../models/user.model.js';
 import { getCfUrl, getCfHlsMasterUrl } from '../config/cloudfront.js';
-import { batchCheckPpvAccess } from '../utils/ppvGuard.js';
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../utils/ppvGuard.js';
 
 /**
  * WatchHistoryRecommendationEngine
@@ -490,7 +490,7 @@ export class WatchHistoryRecommendationEngine {
         // ── PPV URL stripping — strip media URLs from items the user hasn't purchased ──
         const ppvAccessSet = await batchCheckPpvAccess(paginatedContent, userId);
         const sanitizedContent = contentWithUrls.map(item => {
-            if (item.visibility !== 'pay_per_view') return item;
+            if (!isGatedContent(item)) return item;
             const hasAccess = ppvAccessSet.has(item._id.toString());
             if (hasAccess) return item;
             return {
@@ -498,7 +498,7 @@ export class WatchHistoryRecommendationEngine {
                 hlsMasterUrl: null,
                 videoUrl: null,
                 audioUrl: null,
-                ppvRequired: true,
+                ...gateFlags(item),
             };
         });
 
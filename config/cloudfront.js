@@ -3,7 +3,7 @@
  * 
  * Provides:
  * 1. Signed cookie generation for authenticated content access via CloudFront
- * 2. CloudFront URL construction (replaces S3 presigned URLs)
+ * 2. Media URL construction (delegates to the storage driver — CloudFront in production)
  * 3. Cookie-setting endpoint handler
  * 
  * Flow:
@@ -20,6 +20,7 @@
  */
 
 import { getSignedCookies } from '@aws-sdk/cloudfront-signer';
+import { mediaUrl, resolveStorageKey } from '../utils/storage.js';
 
 // ─── Configuration ───────────────────────────────────────────────────────────
 
@@ -76,36 +77,23 @@ const COOKIE_EXPIRY_SECONDS = 24 * 60 * 60;
 // ─── URL Construction ────────────────────────────────────────────────────────
 
 /**
- * Convert an S3 key to a CloudFront URL.
+ * Convert a storage key to the URL clients load it from.
  * Returns null if key is falsy.
- * If the key is already a full URL (http/https), extract the path and re-map.
+ *
+ * URL building lives in the storage driver (utils/storage.js): CloudFront for S3 in
+ * production, the bucket / MinIO endpoint without a CDN, or /storage/* for local disk.
+ * Full URLs pointing at our own storage are re-mapped; external URLs (Google, Gravatar,
+ * etc.) are returned unchanged.
  */
 export function cfUrl(key) {
     if (!key) return null;
 
-    // Already on our CloudFront distribution — return as-is
-    if (key.startsWith(`https://${CF_DOMAIN()}`)) return key;
-
-    // External URL that is NOT an S3 URL (e.g. Google, Gravatar, etc.)
-    // → return unchanged so these render correctly without going through CF
-    if (key.startsWith('http') && !key.includes('.amazonaws.com')) {
-        return key;
-    }
-
-    // Full S3 URL — extract just the object key and remap to CF
-    if (key.startsWith('http')) {
-        try {
-            const url = new URL(key);
-            const path = url.pathname.startsWith('/') ? url.pathname.slice(1) : url.pathname;
-            if (!path) return null;
-            return `https://${CF_DOMAIN()}/${path}`;
-        } catch {
-            return null;
-        }
+    if (/^https?:\/\//.test(key)) {
+        const ownKey = resolveStorageKey(key);
+        return ownKey ? mediaUrl(ownKey) : key;
     }
 
-    // Plain S3 key (e.g. "profilePictures/userId/file.jpg") — prepend CF domain
-    return `https://${CF_DOMAIN()}/${key}`;
+    return mediaUrl(key);
 }
 
 /**
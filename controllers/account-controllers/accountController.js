@@ -0,0 +1,309 @@
+/**
+ * Account Controller — data export and self-service account deletion
+ *
+ * Data export:
+ * - POST /api/v2/account/export                 — Queue a "download my data" archive (1 per day)
+ * - GET  /api/v2/account/export                 — List recent export jobs and their status
+ * - GET  /api/v2/account/export/:id/download    — Short-lived presigned URL for a ready archive
+ *
+ * Account deletion:
+ * - POST   /api/v2/account/delete/send-otp      — Email a confirmation OTP
+ * - POST   /api/v2/account/delete               — Confirm with OTP → scheduled after the grace period
+ * - GET    /api/v2/account/delete               — Deletion status
+ * - DELETE /api/v2/account/delete               — Cancel a scheduled deletion
+ *
+ * Archives are built and deletions executed by workers/accountDataWorker.js
+ * (see utils/accountExport.js and utils/accountDeletion.js).
+ */
+
+import mongoose from 'mongoose';
+import User from '../../models/user.model.js';
+import AccountExport from '../../models/accountExport.model.js';
+import { EXPORT_COOLDOWN_MS } from '../../utils/accountExport.js';
+import { DELETION_GRACE_MS, getDeletionBlockers } from '../../utils/accountDeletion.js';
+import { sendOtpToEmail } from '../auth-controllers/services/otpServiceEmail.js';
+import { createOtpStore } from '../auth-controllers/services/otpStore.js';
+import { presignGetUrl } from '../../utils/storage.js';
+
+const DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+const deletionOtpStore = createOtpStore('account:deletion');
+
+const OTP_VERIFY_ERRORS = {
+    expired: 'OTP has expired or is invalid. Please request a new OTP.',
+    invalid: 'Invalid OTP code. Please check your email.',
+    locked: 'Too many incorrect attempts. Please request a new OTP.',
+};
+
+/**
+ * Shape an export job for API responses
+ */
+function formatExport(job) {
+    return {
+        _id: job._id,
+        status: job.status,
+        sizeBytes: job.sizeBytes,
+        sectionCounts: job.sectionCounts,
+        error: job.status === 'failed' ? job.error : null,
+        requestedAt: job.createdAt,
+        completedAt: job.completedAt,
+        expiresAt: job.expiresAt,
+    };
+}
+
+/**
+ * Shape a user's deletion state for API responses
+ */
+function formatDeletionStatus(user) {
+    return {
+        scheduled: !!user.deletionScheduledAt,
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledAt,
+    };
+}
+
+/**
+ * Resolve the email address an OTP should go to
+ */
+function resolveEmail(user) {
+    if (user?.email) return user.email;
+    if (user?.contact && user.contact.includes('@')) return user.contact;
+    return null;
+}
+
+// ─── Data export ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v2/account/export — Queue a data export
+ */
+export const requestDataExport = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const pending = await AccountExport.findOne({ userId, status: { $in: ['queued', 'processing'] } }).lean();
+        if (pending) {
+            return res.status(409).json({ error: 'An export is already being prepared', export: formatExport(pending) });
+        }
+
+        const recent = await AccountExport.findOne({
+            userId,
+            status: 'ready',
+            createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_MS) },
+        }).sort({ createdAt: -1 }).lean();
+        if (recent) {
+            const retryAfterSec = Math.ceil((recent.createdAt.getTime() + EXPORT_COOLDOWN_MS - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfterSec));
+            return res.status(429).json({
+                error: 'You can request one export per day. Download your latest export instead.',
+                retryAfterSec,
+                export: formatExport(recent),
+            });
+        }
+
+        const job = await AccountExport.create({ userId });
+        console.log(`📦 [AccountExport] Export ${job._id} queued for user ${userId}`);
+
+        res.status(202).json({
+            success: true,
+            message: "Your export is being prepared. We'll have it ready shortly.",
+            export: formatExport(job),
+        });
+    } catch (error) {
+        console.error('❌ Error requesting data export:', error);
+        res.status(500).json({ error: 'Failed to request data export' });
+    }
+};
+
+/**
+ * GET /api/v2/account/export — Recent export jobs (newest first)
+ */
+export const getDataExports = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const jobs = await AccountExport.find({ userId }).sort({ createdAt: -1 }).limit(10).lean();
+        res.json({ exports: jobs.map(formatExport) });
+    } catch (error) {
+        console.error('❌ Error fetching data exports:', error);
+        res.status(500).json({ error: 'Failed to fetch data exports' });
+    }
+};
+
+/**
+ * GET /api/v2/account/export/:id/download — Presigned download URL (valid 15 minutes)
+ */
+export const downloadDataExport = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid export ID' });
+
+        const job = await AccountExport.findOne({ _id: id, userId }).lean();
+        if (!job) return res.status(404).json({ error: 'Export not found' });
+        if (job.status !== 'ready' || !job.archiveKey) {
+            return res.status(409).json({ error: `Export is ${job.status}`, export: formatExport(job) });
+        }
+        if (job.expiresAt && job.expiresAt <= new Date()) {
+            return res.status(410).json({ error: 'This export has expired. Request a new one.' });
+        }
+
+        const fileName = `account-export-${job.createdAt.toISOString().slice(0, 10)}.tar.gz`;
+        const url = await presignGetUrl(job.archiveKey, {
+            expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+            downloadName: fileName,
+            contentType: 'application/gzip',
+        });
+
+        res.json({ url, fileName, expiresIn: DOWNLOAD_URL_TTL_SECONDS, sizeBytes: job.sizeBytes });
+    } catch (error) {
+        console.error('❌ Error generating export download URL:', error);
+        res.status(500).json({ error: 'Failed to generate download link' });
+    }
+};
+
+// ─── Account deletion ────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v2/account/delete/send-otp — Email a deletion confirmation OTP
+ */
+export const sendDeletionOtp = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const user = await User.findById(userId).select('email contact deletionScheduledAt deletedAt').lean();
+        if (!user || user.deletedAt) return res.status(404).json({ error: 'User not found' });
+        if (user.deletionScheduledAt) {
+            return res.status(409).json({ error: 'Account deletion is already scheduled', ...formatDeletionStatus(user) });
+        }
+
+        const email = resolveEmail(user);
+        if (!email) return res.status(400).json({ error: 'Registered user email not found' });
+
+        const otp = Math.floor(100000 + Math.random() * 900000).toString();
+        try {
+            await deletionOtpStore.issue(userId, otp);
+        } catch (err) {
+            if (err.statusCode !== 429) throw err;
+            res.set('Retry-After', String(err.retryAfterSec));
+            return res.status(429).json({ error: err.message, retryAfterSec: err.retryAfterSec });
+        }
+
+        await sendOtpToEmail(email, otp, 'account_deletion');
+        res.json({
+            success: true,
+            message: `Account deletion OTP sent to ${email}. Valid for 5 minutes.`,
+            email,
+        });
+    } catch (error) {
+        console.error('❌ Error sending account deletion OTP:', error);
+        res.status(500).json({ error: 'Failed to send account deletion OTP' });
+    }
+};
+
+/**
+ * POST /api/v2/account/delete — Confirm deletion
+ * Body: { otp: string, confirm: true, reason?: string }
+ *
+ * The account is erased after DELETION_GRACE_MS unless cancelled.
+ */
+export const requestAccountDeletion = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { otp, confirm, reason } = req.body;
+        if (confirm !== true) {
+            return res.status(400).json({
+                error: 'Deletion requires explicit confirmation',
+                warning: 'Your content, comments, history, playlists and chats will be permanently deleted after the grace period. Wallet balance is forfeited. Purchase and payment records are kept in anonymised form for tax purposes.',
+                requiresConfirmation: true,
+            });
+        }
+        if (!otp || String(otp).trim().length !== 6) {
+            return res.status(400).json({ error: 'Valid 6-digit verification OTP code is required' });
+        }
+
+        const otpResult = await deletionOtpStore.verify(userId, otp);
+        if (otpResult !== 'ok') {
+            return res.status(400).json({ error: OTP_VERIFY_ERRORS[otpResult] });
+        }
+
+        const blockers = await getDeletionBlockers(userId);
+        if (blockers.length > 0) {
+            return res.status(409).json({ error: blockers[0], blockers });
+        }
+
+        const now = new Date();
+        const user = await User.findOneAndUpdate(
+            { _id: userId, deletedAt: null, deletionScheduledAt: null },
+            {
+                $set: {
+                    deletionRequestedAt: now,
+                    deletionScheduledAt: new Date(now.getTime() + DELETION_GRACE_MS),
+                    deletionReason: typeof reason === 'string' ? reason.trim().slice(0, 1000) || null : null,
+                },
+            },
+            { new: true }
+        ).select('deletionRequestedAt deletionScheduledAt').lean();
+        if (!user) {
+            return res.status(409).json({ error: 'Account deletion is already scheduled' });
+        }
+
+        console.log(`🗑️ [AccountDeletion] User ${userId} scheduled for deletion at ${user.deletionScheduledAt.toISOString()}`);
+        res.json({
+            success: true,
+            message: `Your account will be deleted on ${user.deletionScheduledAt.toDateString()}. You can cancel until then.`,
+            ...formatDeletionStatus(user),
+        });
+    } catch (error) {
+        console.error('❌ Error scheduling account deletion:', error);
+        res.status(500).json({ error: 'Failed to schedule account deletion' });
+    }
+};
+
+/**
+ * GET /api/v2/account/delete — Deletion status
+ */
+export const getAccountDeletionStatus = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const user = await User.findById(userId).select('deletionRequestedAt deletionScheduledAt deletedAt').lean();
+        if (!user || user.deletedAt) return res.status(404).json({ error: 'User not found' });
+
+        res.json(formatDeletionStatus(user));
+    } catch (error) {
+        console.error('❌ Error fetching account deletion status:', error);
+        res.status(500).json({ error: 'Failed to fetch account deletion status' });
+    }
+};
+
+/**
+ * DELETE /api/v2/account/delete — Cancel a scheduled deletion (only during the grace period)
+ */
+export const cancelAccountDeletion = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const result = await User.updateOne(
+            { _id: userId, deletedAt: null, deletionScheduledAt: { $gt: new Date() } },
+            { $set: { deletionRequestedAt: null, deletionScheduledAt: null, deletionReason: null } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'No scheduled deletion to cancel' });
+        }
+
+        console.log(`↩️ [AccountDeletion] User ${userId} cancelled account deletion`);
+        res.json({ success: true, message: 'Account deletion cancelled', scheduled: false });
+    } catch (error) {
+        console.error('❌ Error cancelling account deletion:', error);
+        res.status(500).json({ error: 'Failed to cancel account deletion' });
+    }
+};
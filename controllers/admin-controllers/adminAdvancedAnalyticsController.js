@@ -7,6 +7,8 @@ import User from '../../models/user.model.js';
 import WatchHistory from '../../models/watchHistory.model.js';
 import mongoose from 'mongoose';
 import { getCfUrl } from '../../config/cloudfront.js';
+import { scheduler } from '../../utils/scheduledJobs.js';
+import { ANALYTICS_AGGREGATION_JOB, PERIODS, dayKey, parseAggregationRange } from '../../utils/analyticsAggregation.js';
 
 /**
  * Helper: generate date range based on period filter
@@ -589,89 +591,57 @@ export const searchUsersForAnalytics = async (req, res) => {
 
 /**
  * POST /admin/analytics/aggregate
- * Trigger aggregation to build AnalyticsSummary for a given date.
- * Typically called by a cron job or manually by superadmin.
+ * Recompute the daily summaries for a date range, plus their weeks and months, now.
+ * Body: { date } or { from, to } (YYYY-MM-DD, default today). The hourly
+ * `analytics-aggregation` job keeps summaries current on its own; this is for backfills.
+ * Waits for the run — 409 if the job is already running somewhere.
  */
 export const runAggregation = async (req, res) => {
     try {
-        const dateStr = req.body.date || new Date().toISOString().slice(0, 10);
-        const dayStart = new Date(dateStr + 'T00:00:00.000Z');
-        const dayEnd = new Date(dateStr + 'T23:59:59.999Z');
-
-        const [sessions, pageUsage, contentWt] = await Promise.all([
-            UserSession.aggregate([
-                { $match: { dateBucket: dateStr } },
-                {
-                    $group: {
-                        _id: null,
-                        total: { $sum: 1 },
-                        authenticated: { $sum: { $cond: ['$isAuthenticated', 1, 0] } },
-                        avgDuration: { $avg: '$totalDuration' },
-                        totalDuration: { $sum: '$totalDuration' },
-                        desktopCount: { $sum: { $cond: [{ $eq: ['$device', 'desktop'] }, 1, 0] } },
-                        mobileCount: { $sum: { $cond: [{ $eq: ['$device', 'mobile'] }, 1, 0] } },
-                        tabletCount: { $sum: { $cond: [{ $eq: ['$device', 'tablet'] }, 1, 0] } },
-                    },
-                },
-            ]),
-            PageUsage.aggregate([
-                { $match: { dateBucket: dateStr } },
-                {
-                    $group: {
-                        _id: '$pageName',
-                        totalTime: { $sum: '$timeSpent' },
-                    },
-                },
-            ]),
-            ContentWatchtime.aggregate([
-                { $match: { dateBucket: dateStr } },
-                {
-                    $group: {
-                        _id: '$contentType',
-                        totalPlayTime: { $sum: '$activePlayTime' },
-                        count: { $sum: 1 },
-                    },
-                },
-            ]),
-        ]);
+        const { params, error } = parseAggregationRange({ date: dayKey(new Date()), ...req.body });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
 
-        const s = sessions[0] || {};
+        const run = await scheduler.runNow(ANALYTICS_AGGREGATION_JOB, {
+            trigger: 'manual',
+            triggeredBy: req.admin._id,
+            params,
+        });
+        if (run.skipped) {
+            return res.status(409).json({ success: false, message: 'Analytics aggregation is already running, try again shortly' });
+        }
+        if (run.status !== 'succeeded') {
+            return res.status(500).json({ success: false, message: 'Aggregation failed', run });
+        }
 
-        const pageObj = {};
-        for (const p of pageUsage) pageObj[p._id] = Math.round(p.totalTime);
+        const range = params.from === params.to ? params.from : `${params.from} to ${params.to}`;
+        return res.status(200).json({ success: true, message: `Aggregated for ${range}`, run });
+    } catch (error) {
+        console.error('runAggregation error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
 
-        const wtObj = {};
-        const consumedObj = {};
-        for (const c of contentWt) {
-            wtObj[c._id] = Math.round(c.totalPlayTime);
-            consumedObj[c._id] = c.count;
-        }
+/**
+ * GET /admin/analytics/summaries
+ * Pre-aggregated summaries for a period. Query: period (daily|weekly|monthly, default daily),
+ * from, to (date keys in the period's format, inclusive), limit (default 30, max 366).
+ * Newest first.
+ */
+export const getAnalyticsSummaries = async (req, res) => {
+    try {
+        const period = PERIODS.includes(req.query.period) ? req.query.period : 'daily';
+        const limit = Math.min(366, Math.max(1, parseInt(req.query.limit) || 30));
 
-        await AnalyticsSummary.findOneAndUpdate(
-            { period: 'daily', dateKey: dateStr },
-            {
-                $set: {
-                    totalSessions: s.total || 0,
-                    authenticatedSessions: s.authenticated || 0,
-                    anonymousSessions: (s.total || 0) - (s.authenticated || 0),
-                    avgSessionDuration: Math.round(s.avgDuration || 0),
-                    totalPlatformTime: Math.round(s.totalDuration || 0),
-                    pageUsage: pageObj,
-                    contentWatchtime: wtObj,
-                    contentConsumed: consumedObj,
-                    deviceBreakdown: {
-                        desktop: s.desktopCount || 0,
-                        mobile: s.mobileCount || 0,
-                        tablet: s.tabletCount || 0,
-                    },
-                },
-            },
-            { upsert: true }
-        );
+        const filter = { period };
+        if (typeof req.query.from === 'string') filter.dateKey = { $gte: req.query.from };
+        if (typeof req.query.to === 'string') filter.dateKey = { ...filter.dateKey, $lte: req.query.to };
 
-        return res.status(200).json({ success: true, message: `Aggregated for ${dateStr}` });
+        const summaries = await AnalyticsSummary.find(filter).sort({ dateKey: -1 }).limit(limit).lean();
+        return res.status(200).json({ success: true, period, summaries });
     } catch (error) {
-        console.error('runAggregation error:', error);
+        console.error('getAnalyticsSummaries error:', error);
         return res.status(500).json({ success: false, message: 'Internal server error' });
     }
 };
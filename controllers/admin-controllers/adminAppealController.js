@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import Appeal from '../../models/appeal.model.js';
+import AdminAuditLog from '../../models/adminAuditLog.model.js';
+import Content from '../../models/content.model.js';
+import ContentArchive from '../../models/contentArchive.model.js';
+import ContentReport from '../../models/contentReport.model.js';
+import User from '../../models/user.model.js';
+import { hasAdminScope } from '../../utils/adminPermissions.js';
+import {
+    ADMIN_APPEAL_TYPES,
+    parseDecisionInput,
+    claimDecision,
+    revertDecision,
+    setArchiveHold,
+    formatAppeal,
+    sendAppealDecidedEmails,
+} from '../../utils/appeals.js';
+import { restoreArchivedContent, liftChannelBan } from './adminContentController.js';
+
+function getClientIp(req) {
+    return req.ip || req.connection?.remoteAddress || '';
+}
+
+/**
+ * GET /admin/appeals
+ * Takedown and channel-ban appeals. Pending appeals are sorted by SLA due date.
+ * Query: status (pending|approved|rejected|all), type, overdue=true, page, limit
+ */
+export const listAppeals = async (req, res) => {
+    try {
+        const { status = 'pending', type, overdue } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const now = new Date();
+
+        const filter = { type: { $in: ADMIN_APPEAL_TYPES } };
+        if (ADMIN_APPEAL_TYPES.includes(type)) filter.type = type;
+        if (status !== 'all') filter.status = status;
+        if (overdue === 'true') {
+            filter.status = 'pending';
+            filter.dueAt = { $lte: now };
+        }
+
+        const sort = filter.status === 'pending' ? { dueAt: 1 } : { createdAt: -1 };
+        const [appeals, total, overdueCount] = await Promise.all([
+            Appeal.find(filter)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('appellantId', 'userName channelName channelHandle channelPicture')
+                .populate('decidedByAdmin', 'name')
+                .lean(),
+            Appeal.countDocuments(filter),
+            Appeal.countDocuments({ type: { $in: ADMIN_APPEAL_TYPES }, status: 'pending', dueAt: { $lte: now } })
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            appeals: appeals.map(a => ({ ...formatAppeal(a, now), decidedBy: a.decidedByAdmin })),
+            total,
+            overdueCount,
+            page,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('List appeals error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
+
+/**
+ * GET /admin/appeals/:id
+ * An appeal with the contested action: the report and archive for takedowns,
+ * the current ban for channel bans.
+ */
+export const getAppeal = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: 'Invalid appeal ID' });
+        }
+
+        const appeal = await Appeal.findOne({ _id: id, type: { $in: ADMIN_APPEAL_TYPES } })
+            .populate('appellantId', 'userName channelName channelHandle channelPicture channelBanned')
+            .populate('actionByAdmin', 'name')
+            .populate('decidedByAdmin', 'name')
+            .lean();
+        if (!appeal) {
+            return res.status(404).json({ success: false, message: 'Appeal not found' });
+        }
+
+        const context = {};
+        if (appeal.type === 'content_takedown') {
+            [context.report, context.archive, context.content] = await Promise.all([
+                ContentReport.findById(appeal.reportId).select('reason description takenDownAt takedownJustification').lean(),
+                ContentArchive.findOne({ content_id: appeal.contentId, permanently_deleted: false, restored_at: null })
+                    .select('content_snapshot removed_at delete_scheduled_at appeal_hold reason')
+                    .lean(),
+                Content.findById(appeal.contentId).select('title contentType status visibility').lean()
+            ]);
+        } else {
+            context.channel = await User.findById(appeal.appellantId?._id)
+                .select('channelName channelHandle channelBanned channelBannedAt channelBanReason')
+                .lean();
+        }
+
+        const previousAppeals = await Appeal.countDocuments({ appellantId: appeal.appellantId?._id, _id: { $ne: appeal._id } });
+
+        return res.status(200).json({
+            success: true,
+            appeal: {
+                ...formatAppeal(appeal),
+                actionBy: appeal.actionByAdmin,
+                decidedBy: appeal.decidedByAdmin
+            },
+            context,
+            previousAppeals
+        });
+    } catch (error) {
+        console.error('Get appeal error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
+
+/**
+ * Carry out an approved appeal. Returns { ok, status, message }; an action that was
+ * already reversed by hand counts as done.
+ */
+async function applyApproval(appeal, req) {
+    const options = {
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent'] || '',
+        note: `Appeal ${appeal._id} approved`
+    };
+
+    if (appeal.type === 'content_takedown') {
+        const result = await restoreArchivedContent(appeal.contentId, req.admin, options);
+        if (result.ok) return result;
+        const content = await Content.findById(appeal.contentId).select('status').lean();
+        if (content && content.status !== 'removed') return { ok: true, status: 200, message: 'Content was already restored' };
+        return result;
+    }
+
+    const result = await liftChannelBan(appeal.appellantId, req.admin, options);
+    if (!result.ok && result.status === 400) return { ok: true, status: 200, message: 'Channel was already unbanned' };
+    return result;
+}
+
+/**
+ * POST /admin/appeals/:id/decide
+ * Body: { decision: 'approved'|'rejected', note? } — rejections need a note.
+ * Approving restores the content or lifts the channel ban; approving a channel-ban
+ * appeal also needs the `channel.ban` scope.
+ */
+export const decideAppeal = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: 'Invalid appeal ID' });
+        }
+
+        const { decision, note, error } = parseDecisionInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const appeal = await Appeal.findOne({ _id: id, type: { $in: ADMIN_APPEAL_TYPES } }).lean();
+        if (!appeal) {
+            return res.status(404).json({ success: false, message: 'Appeal not found' });
+        }
+        if (appeal.status !== 'pending') {
+            return res.status(409).json({ success: false, message: `Appeal was already ${appeal.status}` });
+        }
+        if (appeal.type === 'channel_ban' && decision === 'approved' && !hasAdminScope(req.admin, 'channel.ban')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Approving a channel ban appeal lifts the ban and needs the channel.ban permission',
+                requiredScope: 'channel.ban'
+            });
+        }
+
+        const decided = await claimDecision(appeal._id, { decision, note, adminId: req.admin._id });
+        if (!decided) {
+            return res.status(409).json({ success: false, message: 'Appeal was decided by someone else' });
+        }
+
+        let outcome = 'The original decision stands.';
+        if (decision === 'approved') {
+            const result = await applyApproval(decided, req);
+            if (!result.ok) {
+                await revertDecision(decided._id);
+                return res.status(result.status).json({ success: false, message: `Could not apply the appeal: ${result.message}` });
+            }
+            outcome = result.message;
+        } else if (decided.type === 'content_takedown') {
+            // Archive goes back on its purge schedule
+            await setArchiveHold(decided.contentId, false);
+        }
+
+        await AdminAuditLog.create({
+            admin_id: req.admin._id,
+            action: decision === 'approved' ? 'appeal_approved' : 'appeal_rejected',
+            target_type: 'appeal',
+            target_id: decided._id,
+            ip: getClientIp(req),
+            user_agent: req.headers['user-agent'] || '',
+            note,
+            scope: req.adminScope || null,
+            metadata: { type: decided.type, content_id: decided.contentId, user_id: decided.appellantId }
+        });
+
+        sendAppealDecidedEmails(decided, { deciderName: req.admin.name })
+            .catch(err => console.error('[AdminEmail] Failed to send appeal decision emails:', err.message));
+
+        return res.status(200).json({
+            success: true,
+            message: `Appeal ${decision}. ${outcome}`,
+            appeal: formatAppeal(decided)
+        });
+    } catch (error) {
+        console.error('Decide appeal error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
@@ -9,6 +9,7 @@ import AdminNotification from '../../models/adminNotification.model.js';
 import { sendOtpToEmail, sendNotificationEmail } from '../auth-controllers/services/otpServiceEmail.js';
 import { validatePasswordStrength } from '../../utils/passwordValidator.js';
 import { sendOtpToPhone } from '../auth-controllers/services/otpServicePhone.js';
+import { resolveAdminScopes } from '../../utils/adminPermissions.js';
 
 const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const OTP_COOLDOWN_MS = 30 * 1000; // 30 seconds cooldown
@@ -358,7 +359,9 @@ export const adminVerifyOtp = async (req, res) => {
                     id: admin._id,
                     name: admin.name,
                     contact: admin.contact,
-                    role: admin.role
+                    role: admin.role,
+                    roleTemplate: admin.role === 'superadmin' ? null : admin.role_template,
+                    scopes: resolveAdminScopes(admin)
                 }
             });
         }
@@ -6,6 +6,7 @@ import User from '../../models/user.model.js';
 import Content from '../../models/content.model.js';
 import ContentReport from '../../models/contentReport.model.js';
 import AdminAuditLog from '../../models/adminAuditLog.model.js';
+import { publishToUsers } from '../../utils/realtimeGateway.js';
 
 /**
  * Admin-to-Creator messaging.
@@ -116,6 +117,18 @@ export const adminSendMessage = async (req, res) => {
         conversation.updatedAt = new Date();
         await conversation.save();
 
+        publishToUsers([creator_id], 'message.new', {
+            conversationId: conversation._id,
+            message: {
+                _id: message._id,
+                senderId: null,
+                isAdminMessage: true,
+                adminName: admin.name,
+                text: message.text,
+                createdAt: message.createdAt
+            }
+        });
+
         await AdminAuditLog.create({
             admin_id: adminId,
             action: 'admin_message_sent',
@@ -18,11 +18,10 @@ import Payout from '../../models/payout.model.js';
 import Purchase from '../../models/purchase.model.js';
 import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
 import { sendAdminEmail } from '../../services/adminEmailService.js';
-import { S3Client, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { deleteObject, deletePrefix } from '../../utils/storage.js';
+import { syncChannelSearch } from '../../utils/searchIndex.js';
 
 const ARCHIVE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-const s3 = new S3Client({ region: process.env.AWS_REGION });
-const BUCKET = process.env.S3_BUCKET;
 
 function getClientIp(req) {
     return req.ip || req.connection?.remoteAddress || '';
@@ -77,22 +76,14 @@ export const hideContent = async (req, res) => {
 /**
  * POST /admin/content/:id/remove
  * Move content to 24h archive (soft delete). Content becomes unavailable to users.
- * Regular admins can only remove content through the reports workflow (takedown).
- * SuperAdmins can remove any content directly.
+ * Requires the `content.remove` scope (SuperAdmins by default); other admins take
+ * content down through the reports workflow.
  */
 export const removeContent = async (req, res) => {
     try {
         const { id } = req.params;
         const { reason } = req.body;
 
-        // Role check: only superadmin can directly remove content
-        if (req.admin.role !== 'superadmin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Only SuperAdmins can remove content directly. Admins must use the reports workflow to take down content.'
-            });
-        }
-
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ success: false, message: 'Invalid content ID' });
         }
@@ -191,6 +182,76 @@ export const removeContent = async (req, res) => {
     }
 };
 
+/**
+ * Restore archived content and resolve its takedown reports. Shared by restoreContent and
+ * approved takedown appeals (adminAppealController.js). Archives held for an appeal stay
+ * restorable past the 24h window.
+ * @returns {Promise<{ ok: boolean, status: number, message: string, content?: Object }>}
+ */
+export async function restoreArchivedContent(contentId, admin, { ip = '', userAgent = '', note = 'Restored from archive' } = {}) {
+    const archive = await ContentArchive.findOne({
+        content_id: contentId,
+        permanently_deleted: false,
+        restored_at: null
+    });
+
+    if (!archive) {
+        return { ok: false, status: 404, message: 'No active archive entry found for this content' };
+    }
+
+    if (archive.delete_scheduled_at <= new Date() && !archive.appeal_hold) {
+        return { ok: false, status: 400, message: 'Archive window has expired. Content may have been permanently deleted.' };
+    }
+
+    // Restore the content — use atomic update to guarantee fields are set
+    const content = await Content.findByIdAndUpdate(
+        contentId,
+        { $set: { visibility: 'public', status: 'completed' } },
+        { new: true }
+    );
+    if (!content) {
+        return { ok: false, status: 404, message: 'Content record not found in database' };
+    }
+
+    archive.restored_by_admin = admin._id;
+    archive.restored_at = new Date();
+    archive.appeal_hold = false;
+    await archive.save();
+
+    // Auto-resolve any pending/takenDown reports for this content
+    await ContentReport.updateMany(
+        { contentId: content._id, status: { $in: ['pending', 'resolved'] }, takenDown: true },
+        {
+            $set: {
+                status: 'resolved',
+                takenDown: false,
+                reviewedBy: admin._id,
+                reviewedAt: new Date()
+            }
+        }
+    );
+
+    await AdminAuditLog.create({
+        admin_id: admin._id,
+        action: 'content_restore',
+        target_type: 'content',
+        target_id: content._id,
+        ip,
+        user_agent: userAgent,
+        note
+    });
+
+    await AdminNotification.create({
+        type: 'content_restored',
+        title: 'Content Restored',
+        message: `"${content.title || 'Untitled'}" restored by ${admin.name}.`,
+        severity: 'info',
+        metadata: { content_id: content._id, admin_id: admin._id }
+    });
+
+    return { ok: true, status: 200, message: 'Content restored successfully', content };
+}
+
 /**
  * POST /admin/content/:id/restore
  * Restore content from archive (within 24h window).
@@ -203,68 +264,17 @@ export const restoreContent = async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid content ID' });
         }
 
-        const archive = await ContentArchive.findOne({
-            content_id: id,
-            permanently_deleted: false,
-            restored_at: null
-        });
-
-        if (!archive) {
-            return res.status(404).json({ success: false, message: 'No active archive entry found for this content' });
-        }
-
-        if (archive.delete_scheduled_at <= new Date()) {
-            return res.status(400).json({ success: false, message: 'Archive window has expired. Content may have been permanently deleted.' });
-        }
-
-        // Restore the content — use atomic update to guarantee fields are set
-        const content = await Content.findByIdAndUpdate(
-            id,
-            { $set: { visibility: 'public', status: 'completed' } },
-            { new: true }
-        );
-        if (!content) {
-            return res.status(404).json({ success: false, message: 'Content record not found in database' });
-        }
-
-        archive.restored_by_admin = req.admin._id;
-        archive.restored_at = new Date();
-        await archive.save();
-
-        // Auto-resolve any pending/takenDown reports for this content
-        await ContentReport.updateMany(
-            { contentId: content._id, status: { $in: ['pending', 'resolved'] }, takenDown: true },
-            {
-                $set: {
-                    status: 'resolved',
-                    takenDown: false,
-                    reviewedBy: req.admin._id,
-                    reviewedAt: new Date()
-                }
-            }
-        );
-
-        await AdminAuditLog.create({
-            admin_id: req.admin._id,
-            action: 'content_restore',
-            target_type: 'content',
-            target_id: content._id,
+        const result = await restoreArchivedContent(id, req.admin, {
             ip: getClientIp(req),
-            user_agent: req.headers['user-agent'] || '',
-            note: `Restored from archive`
-        });
-
-        await AdminNotification.create({
-            type: 'content_restored',
-            title: 'Content Restored',
-            message: `"${content.title || 'Untitled'}" restored by ${req.admin.name}.`,
-            severity: 'info',
-            metadata: { content_id: content._id, admin_id: req.admin._id }
+            userAgent: req.headers['user-agent'] || ''
         });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
 
         return res.status(200).json({
             success: true,
-            message: 'Content restored successfully'
+            message: result.message
         });
     } catch (error) {
         console.error('Restore content error:', error);
@@ -291,6 +301,10 @@ export const deleteContent = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Content not in archive' });
         }
 
+        if (archive.appeal_hold) {
+            return res.status(409).json({ success: false, message: 'The creator has a pending appeal against this takedown. Decide the appeal first.' });
+        }
+
         if (archive.delete_scheduled_at > new Date()) {
             const remaining = archive.delete_scheduled_at.getTime() - Date.now();
             const hours = Math.floor(remaining / (1000 * 60 * 60));
@@ -301,7 +315,7 @@ export const deleteContent = async (req, res) => {
             });
         }
 
-        // Delete S3 assets
+        // Delete stored assets
         const keysToDelete = [
             archive.thumbnailKey,
             archive.originalKey,
@@ -312,28 +326,17 @@ export const deleteContent = async (req, res) => {
 
         for (const key of keysToDelete) {
             try {
-                await s3.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+                await deleteObject(key);
             } catch (e) {
-                console.error(`Failed to delete S3 key ${key}:`, e.message);
+                console.error(`Failed to delete storage key ${key}:`, e.message);
             }
         }
 
         // Delete HLS directory (all segments/playlists)
         if (archive.hlsPrefix) {
             try {
-                let continuationToken;
-                do {
-                    const listRes = await s3.send(new ListObjectsV2Command({
-                        Bucket: BUCKET,
-                        Prefix: archive.hlsPrefix,
-                        ContinuationToken: continuationToken,
-                    }));
-                    const objects = listRes.Contents || [];
-                    for (const obj of objects) {
-                        await s3.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: obj.Key }));
-                    }
-                    continuationToken = listRes.IsTruncated ? listRes.NextContinuationToken : undefined;
-                } while (continuationToken);
+                const prefix = archive.hlsPrefix.endsWith('/') ? archive.hlsPrefix : `${archive.hlsPrefix}/`;
+                await deletePrefix(prefix);
             } catch (e) {
                 console.error(`Failed to delete HLS prefix ${archive.hlsPrefix}:`, e.message);
             }
@@ -837,6 +840,7 @@ export const banChannel = async (req, res) => {
         user.channelBannedAt = new Date();
         user.channelBanReason = reason || 'Banned by SuperAdmin';
         await user.save();
+        syncChannelSearch(user._id);
 
         // Hide all their content: store previousVisibility so unban restores original state
         const userContents = await Content.find({ userId: id, status: 'completed' });
@@ -884,65 +888,84 @@ export const banChannel = async (req, res) => {
 };
 
 /**
- * POST /admin/creator/:id/unban
- * SuperAdmin: Unban a channel. Restores content visibility.
+ * Lift a channel ban and bring the creator's content back to its pre-ban visibility.
+ * Shared by unbanChannel and approved channel-ban appeals (adminAppealController.js).
+ * @returns {Promise<{ ok: boolean, status: number, message: string, user?: Object }>}
  */
-export const unbanChannel = async (req, res) => {
-    try {
-        const { id } = req.params;
+export async function liftChannelBan(userId, admin, { ip = '', userAgent = '', note = 'Channel unbanned' } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+        return { ok: false, status: 404, message: 'User not found' };
+    }
 
-        const user = await User.findById(id);
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'User not found' });
-        }
+    if (!user.channelBanned) {
+        return { ok: false, status: 400, message: 'Channel is not banned' };
+    }
 
-        if (!user.channelBanned) {
-            return res.status(400).json({ success: false, message: 'Channel is not banned' });
+    user.channelBanned = false;
+    user.channelBannedAt = null;
+    user.channelBanReason = null;
+    await user.save();
+    syncChannelSearch(user._id);
+
+    // Restore content that was hidden by the ban
+    const removedContents = await Content.find({ userId, status: 'removed' });
+    for (const c of removedContents) {
+        c.status = 'completed';
+        if ((c.price && c.price > 0) || (c.ppvPrice && c.ppvPrice > 0) || (c.rentalPrice && c.rentalPrice > 0) || c.isPayPerView) {
+            c.visibility = 'pay_per_view';
+        } else if (c.previousVisibility) {
+            c.visibility = c.previousVisibility;
+        } else {
+            c.visibility = 'public';
         }
+        await c.save();
+    }
 
-        user.channelBanned = false;
-        user.channelBannedAt = null;
-        user.channelBanReason = null;
-        await user.save();
-
-        // Restore content that was hidden by the ban
-        const removedContents = await Content.find({ userId: id, status: 'removed' });
-        for (const c of removedContents) {
-            c.status = 'completed';
-            if ((c.price && c.price > 0) || (c.ppvPrice && c.ppvPrice > 0) || (c.rentalPrice && c.rentalPrice > 0) || c.isPayPerView) {
-                c.visibility = 'pay_per_view';
-            } else if (c.previousVisibility) {
-                c.visibility = c.previousVisibility;
-            } else {
-                c.visibility = 'public';
-            }
-            await c.save();
-        }
+    // Auto-remedy any content for this creator that has a price but visibility was set to public
+    await Content.updateMany(
+        {
+            userId,
+            $or: [
+                { price: { $gt: 0 } },
+                { ppvPrice: { $gt: 0 } },
+                { rentalPrice: { $gt: 0 } },
+                { isPayPerView: true }
+            ],
+            visibility: 'public'
+        },
+        { $set: { visibility: 'pay_per_view' } }
+    );
+
+    await AdminAuditLog.create({
+        admin_id: admin._id,
+        action: 'channel_unban',
+        target_type: 'user',
+        target_id: user._id,
+        ip,
+        user_agent: userAgent,
+        note
+    });
+
+    return { ok: true, status: 200, message: 'Channel unbanned. Content restored to initial state.', user };
+}
 
-        // Auto-remedy any content for this creator that has a price but visibility was set to public
-        await Content.updateMany(
-            {
-                userId: id,
-                $or: [
-                    { price: { $gt: 0 } },
-                    { ppvPrice: { $gt: 0 } },
-                    { rentalPrice: { $gt: 0 } },
-                    { isPayPerView: true }
-                ],
-                visibility: 'public'
-            },
-            { $set: { visibility: 'pay_per_view' } }
-        );
+/**
+ * POST /admin/creator/:id/unban
+ * SuperAdmin: Unban a channel. Restores content visibility.
+ */
+export const unbanChannel = async (req, res) => {
+    try {
+        const { id } = req.params;
 
-        await AdminAuditLog.create({
-            admin_id: req.admin._id,
-            action: 'channel_unban',
-            target_type: 'user',
-            target_id: id,
+        const result = await liftChannelBan(id, req.admin, {
             ip: getClientIp(req),
-            user_agent: req.headers['user-agent'] || '',
-            note: 'Channel unbanned'
+            userAgent: req.headers['user-agent'] || ''
         });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        const { user } = result;
 
         // Auto-email creator about unban (non-blocking)
         if (user.contact && user.contact.includes('@')) {
@@ -954,7 +977,7 @@ export const unbanChannel = async (req, res) => {
 
         return res.status(200).json({
             success: true,
-            message: 'Channel unbanned. Content restored to initial state.'
+            message: result.message
         });
     } catch (error) {
         console.error('Unban channel error:', error);
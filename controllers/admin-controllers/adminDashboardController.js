@@ -496,11 +496,12 @@ export const toggleEnquiryStatus = async (req, res) => {
  */
 export const listAuditLogs = async (req, res) => {
     try {
-        const { page = 1, limit = 50, admin_id, action, dateFrom, dateTo, target_type, target_id } = req.query;
+        const { page = 1, limit = 50, admin_id, action, scope, dateFrom, dateTo, target_type, target_id } = req.query;
         const filter = {};
 
         if (admin_id) filter.admin_id = admin_id;
         if (action) filter.action = action;
+        if (scope) filter.scope = scope;
         if (target_type) filter.target_type = target_type;
         if (target_id) filter.target_id = target_id;
         if (dateFrom || dateTo) {
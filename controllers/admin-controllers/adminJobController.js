@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import JobRun from '../../models/jobRun.model.js';
+import { hasAdminScope } from '../../utils/adminPermissions.js';
+import { scheduler, schedulerEnabled } from '../../utils/scheduledJobs.js';
+import { ANALYTICS_AGGREGATION_JOB, parseAggregationRange } from '../../utils/analyticsAggregation.js';
+
+const RUN_FIELDS = 'job status trigger triggeredBy params instanceId startedAt finishedAt durationMs result error';
+
+// Validate the body of a manual run; jobs without params take none
+const MANUAL_PARAMS = {
+    [ANALYTICS_AGGREGATION_JOB]: (body) => (body.from || body.date ? parseAggregationRange(body) : { params: {}, error: null }),
+};
+
+/**
+ * GET /admin/jobs
+ * Every scheduled job with its interval, who holds its lock right now, this instance's
+ * timer and the latest run of each outcome.
+ */
+export const listJobs = async (req, res) => {
+    try {
+        const jobs = await Promise.all(scheduler.list().map(async (job) => {
+            const [holder, lastRun, lastSuccess, lastFailure] = await Promise.all([
+                scheduler.holder(job.name),
+                JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).select(RUN_FIELDS).lean(),
+                JobRun.findOne({ job: job.name, status: 'succeeded' }).sort({ startedAt: -1 }).select(RUN_FIELDS).lean(),
+                JobRun.findOne({ job: job.name, status: { $in: ['failed', 'abandoned'] } }).sort({ startedAt: -1 }).select(RUN_FIELDS).lean(),
+            ]);
+
+            return {
+                name: job.name,
+                description: job.description,
+                intervalMs: job.intervalMs,
+                triggerScope: job.triggerScope,
+                running: Boolean(holder),
+                lockTtlMs: holder?.ttlMs ?? null,
+                thisInstance: scheduler.localState(job.name),
+                lastRun,
+                lastSuccess,
+                lastFailure,
+            };
+        }));
+
+        return res.status(200).json({ success: true, schedulerEnabled: schedulerEnabled(), jobs });
+    } catch (error) {
+        console.error('List jobs error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
+
+/**
+ * GET /admin/jobs/:name/runs
+ * Run history for one job, newest first. Query: status, trigger, page, limit
+ */
+export const getJobRuns = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!scheduler.get(name)) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const filter = { job: name };
+        if (['running', 'succeeded', 'failed', 'abandoned'].includes(req.query.status)) filter.status = req.query.status;
+        if (['schedule', 'manual'].includes(req.query.trigger)) filter.trigger = req.query.trigger;
+
+        const [runs, total] = await Promise.all([
+            JobRun.find(filter)
+                .sort({ startedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('triggeredBy', 'name email')
+                .lean(),
+            JobRun.countDocuments(filter),
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            runs,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Get job runs error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
+
+/**
+ * POST /admin/jobs/:name/run
+ * Start a run now, in the background (202 with the run record; poll the history for the
+ * outcome). Also needs the job's own trigger scope, e.g. analytics.aggregate.
+ * 409 if the job is already running on any instance.
+ */
+export const triggerJob = async (req, res) => {
+    try {
+        const job = scheduler.get(req.params.name);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+        if (job.triggerScope && !hasAdminScope(req.admin, job.triggerScope)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action',
+                requiredScope: job.triggerScope
+            });
+        }
+
+        const { params, error } = (MANUAL_PARAMS[job.name] || (() => ({ params: {}, error: null })))(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const started = await scheduler.begin(job.name, {
+            trigger: 'manual',
+            triggeredBy: req.admin._id,
+            params,
+        });
+        if (started.skipped) {
+            return res.status(409).json({ success: false, message: 'This job is already running' });
+        }
+        started.done.catch(err => console.error(`Job ${job.name} bookkeeping error:`, err));
+
+        return res.status(202).json({ success: true, message: 'Job started', run: started.run });
+    } catch (error) {
+        console.error('Trigger job error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
+
+/**
+ * GET /admin/jobs/runs/:runId
+ */
+export const getJobRun = async (req, res) => {
+    try {
+        const { runId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(runId)) {
+            return res.status(400).json({ success: false, message: 'Invalid run ID' });
+        }
+        const run = await JobRun.findById(runId).populate('triggeredBy', 'name email').lean();
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Run not found' });
+        }
+        return res.status(200).json({ success: true, run });
+    } catch (error) {
+        console.error('Get job run error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
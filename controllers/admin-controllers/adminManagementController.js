@@ -3,6 +3,9 @@ import AdminRequest from '../../models/adminRequest.model.js';
 import AdminAuditLog from '../../models/adminAuditLog.model.js';
 import AdminNotification from '../../models/adminNotification.model.js';
 import { sendNotificationEmail } from '../auth-controllers/services/otpServiceEmail.js';
+import {
+    ADMIN_SCOPES, ROLE_TEMPLATES, isAdminScope, resolveAdminScopes
+} from '../../utils/adminPermissions.js';
 
 function getClientIp(req) {
     return req.ip || req.connection?.remoteAddress || '';
@@ -202,7 +205,10 @@ export const listAdmins = async (req, res) => {
             .select('-password_hash')
             .sort({ createdAt: -1 });
 
-        return res.status(200).json({ success: true, admins });
+        return res.status(200).json({
+            success: true,
+            admins: admins.map(admin => ({ ...admin.toObject(), scopes: resolveAdminScopes(admin) }))
+        });
     } catch (error) {
         console.error('List admins error:', error);
         return res.status(500).json({ success: false, message: 'Internal server error' });
@@ -267,3 +273,80 @@ export const unlockAdmin = async (req, res) => {
         return res.status(500).json({ success: false, message: 'Internal server error' });
     }
 };
+
+/**
+ * GET /admin/roles
+ * Permission scopes and role templates available for assignment.
+ */
+export const listRoleTemplates = async (req, res) => {
+    return res.status(200).json({
+        success: true,
+        scopes: Object.entries(ADMIN_SCOPES).map(([scope, description]) => ({ scope, description })),
+        templates: Object.entries(ROLE_TEMPLATES).map(([id, t]) => ({ id, label: t.label, scopes: t.scopes }))
+    });
+};
+
+/**
+ * PUT /admin/admins/:id/role
+ * SuperAdmin assigns a role template and optional extra scopes to an admin.
+ * Body: { roleTemplate, extraScopes?: string[] }
+ */
+export const updateAdminRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { roleTemplate, extraScopes = [] } = req.body || {};
+
+        if (!ROLE_TEMPLATES[roleTemplate]) {
+            return res.status(400).json({
+                success: false,
+                message: `roleTemplate must be one of: ${Object.keys(ROLE_TEMPLATES).join(', ')}`
+            });
+        }
+        if (!Array.isArray(extraScopes) || !extraScopes.every(isAdminScope)) {
+            return res.status(400).json({ success: false, message: 'extraScopes contains an unknown scope' });
+        }
+        if (extraScopes.includes('admins.manage')) {
+            return res.status(400).json({ success: false, message: 'Admin management is reserved for SuperAdmins' });
+        }
+
+        const admin = await Admin.findById(id).select('-password_hash');
+        if (!admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+        if (admin.role === 'superadmin') {
+            return res.status(400).json({ success: false, message: 'SuperAdmins always have every permission' });
+        }
+
+        const previous = { roleTemplate: admin.role_template, extraScopes: [...(admin.extra_scopes || [])] };
+        admin.role_template = roleTemplate;
+        admin.extra_scopes = [...new Set(extraScopes)];
+        await admin.save();
+
+        await AdminAuditLog.create({
+            admin_id: req.admin._id,
+            action: 'admin_role_change',
+            target_type: 'admin',
+            target_id: admin._id,
+            ip: getClientIp(req),
+            user_agent: req.headers['user-agent'] || '',
+            note: `Role for "${admin.name}" set to ${roleTemplate}`,
+            scope: 'admins.manage',
+            metadata: { previous, roleTemplate, extraScopes: admin.extra_scopes }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Role for "${admin.name}" updated`,
+            admin: {
+                id: admin._id,
+                name: admin.name,
+                roleTemplate: admin.role_template,
+                extraScopes: admin.extra_scopes,
+                scopes: resolveAdminScopes(admin)
+            }
+        });
+    } catch (error) {
+        console.error('Update admin role error:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+};
@@ -1,5 +1,3 @@
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import mongoose from 'mongoose';
 import KycDetails from '../../models/kycDetails.model.js';
 import PrimaryWallet from '../../models/primaryWallet.model.js';
@@ -10,15 +8,6 @@ import { getCfUrl } from '../../config/cloudfront.js';
 import User from '../../models/user.model.js';
 import { creditWallet, debitWallet, ensurePrimaryWallet, ensureSecondaryWallet } from '../../utils/walletService.js';
 
-// Setup S3 Client using env vars
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    }
-});
-
 export const getKycList = async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
@@ -0,0 +1,250 @@
+/**
+ * Admin Webhook Controller — partner integrations and delivery inspection
+ *
+ * Partner endpoints receive their subscribed events for every creator. Admins can also
+ * see (and disable) creator endpoints and inspect or replay any delivery.
+ * All routes require the `webhooks.manage` scope.
+ */
+
+import mongoose from 'mongoose';
+import WebhookEndpoint from '../../models/webhookEndpoint.model.js';
+import WebhookDelivery from '../../models/webhookDelivery.model.js';
+import {
+    generateWebhookSecret,
+    secretFields,
+    parseEndpointInput,
+    formatWebhookEndpoint,
+    formatWebhookDelivery,
+    listWebhookDeliveries,
+    sendTestEvent,
+    replayDelivery,
+} from '../../utils/webhooks.js';
+
+async function findEndpoint(req, res, { partnerOnly = false } = {}) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ success: false, message: 'Invalid endpoint ID' });
+        return null;
+    }
+    const endpoint = await WebhookEndpoint.findOne({ _id: id, ...(partnerOnly ? { kind: 'partner' } : {}) });
+    if (!endpoint) {
+        res.status(404).json({ success: false, message: 'Webhook endpoint not found' });
+        return null;
+    }
+    return endpoint;
+}
+
+/**
+ * GET /admin/webhooks/endpoints?kind=partner|creator&ownerId=&page=&limit=
+ */
+export const listWebhookEndpoints = async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const filter = {};
+        if (['partner', 'creator'].includes(req.query.kind)) filter.kind = req.query.kind;
+        if (req.query.ownerId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
+                return res.status(400).json({ success: false, message: 'Invalid owner ID' });
+            }
+            filter.ownerId = req.query.ownerId;
+        }
+
+        const [endpoints, total] = await Promise.all([
+            WebhookEndpoint.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('ownerId', 'userName channelName channelHandle')
+                .lean(),
+            WebhookEndpoint.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            endpoints: endpoints.map(formatWebhookEndpoint),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        });
+    } catch (error) {
+        console.error('❌ Error listing webhook endpoints:', error);
+        res.status(500).json({ success: false, message: 'Failed to list webhook endpoints' });
+    }
+};
+
+/**
+ * POST /admin/webhooks/endpoints — register a partner endpoint
+ * Body: { name, url, events: [...] }
+ */
+export const createPartnerEndpoint = async (req, res) => {
+    try {
+        if (!req.body?.name || typeof req.body.name !== 'string' || !req.body.name.trim()) {
+            return res.status(400).json({ success: false, message: 'Partner name is required' });
+        }
+        const { fields, error } = await parseEndpointInput(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const secret = generateWebhookSecret();
+        const endpoint = await WebhookEndpoint.create({
+            ...fields,
+            kind: 'partner',
+            createdByAdminId: req.admin._id,
+            ...secretFields(secret),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Partner endpoint created. Share the signing secret with the partner — it will not be shown again.',
+            endpoint: formatWebhookEndpoint(endpoint),
+            secret,
+        });
+    } catch (error) {
+        console.error('❌ Error creating partner webhook endpoint:', error);
+        res.status(500).json({ success: false, message: 'Failed to create partner endpoint' });
+    }
+};
+
+/**
+ * PATCH /admin/webhooks/endpoints/:id
+ * Partner endpoints accept any field; creator endpoints can only be enabled/disabled.
+ */
+export const updateWebhookEndpoint = async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req, res);
+        if (!endpoint) return;
+
+        const body = endpoint.kind === 'partner' ? req.body : { isActive: req.body?.isActive };
+        const { fields, error } = await parseEndpointInput(body, { partial: true });
+        if (error) return res.status(400).json({ success: false, message: error });
+        if (fields.isActive === false) fields.disabledReason = req.body?.reason || 'Disabled by an admin';
+
+        endpoint.set(fields);
+        await endpoint.save();
+        res.json({ success: true, endpoint: formatWebhookEndpoint(endpoint) });
+    } catch (error) {
+        console.error('❌ Error updating webhook endpoint:', error);
+        res.status(500).json({ success: false, message: 'Failed to update webhook endpoint' });
+    }
+};
+
+/**
+ * DELETE /admin/webhooks/endpoints/:id — partner endpoints only
+ */
+export const deletePartnerEndpoint = async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req, res, { partnerOnly: true });
+        if (!endpoint) return;
+
+        await endpoint.deleteOne();
+        res.json({ success: true, message: 'Partner endpoint deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting partner webhook endpoint:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete partner endpoint' });
+    }
+};
+
+/**
+ * POST /admin/webhooks/endpoints/:id/rotate-secret — partner endpoints only
+ */
+export const rotatePartnerSecret = async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req, res, { partnerOnly: true });
+        if (!endpoint) return;
+
+        const secret = generateWebhookSecret();
+        endpoint.set(secretFields(secret));
+        await endpoint.save();
+        res.json({
+            success: true,
+            message: 'Signing secret rotated. Share it with the partner — it will not be shown again.',
+            endpoint: formatWebhookEndpoint(endpoint),
+            secret,
+        });
+    } catch (error) {
+        console.error('❌ Error rotating partner webhook secret:', error);
+        res.status(500).json({ success: false, message: 'Failed to rotate signing secret' });
+    }
+};
+
+/**
+ * POST /admin/webhooks/endpoints/:id/test — partner endpoints only
+ */
+export const testPartnerEndpoint = async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(req, res, { partnerOnly: true });
+        if (!endpoint) return;
+        if (!endpoint.isActive) {
+            return res.status(400).json({ success: false, message: 'Enable the endpoint before sending a test event' });
+        }
+
+        const delivery = await sendTestEvent(endpoint);
+        res.status(202).json({ success: true, message: 'Test event queued', delivery: formatWebhookDelivery(delivery) });
+    } catch (error) {
+        console.error('❌ Error sending partner test event:', error);
+        res.status(500).json({ success: false, message: 'Failed to send test event' });
+    }
+};
+
+/**
+ * GET /admin/webhooks/deliveries?kind=partner&ownerId=&status=&event=&endpointId=&page=&limit=
+ */
+export const listDeliveries = async (req, res) => {
+    try {
+        const baseFilter = {};
+        if (req.query.kind === 'partner') baseFilter.ownerId = null;
+        else if (req.query.ownerId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
+                return res.status(400).json({ success: false, message: 'Invalid owner ID' });
+            }
+            baseFilter.ownerId = req.query.ownerId;
+        }
+
+        const result = await listWebhookDeliveries(baseFilter, req.query);
+        if (result.error) return res.status(400).json({ success: false, message: result.error });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error listing webhook deliveries:', error);
+        res.status(500).json({ success: false, message: 'Failed to list webhook deliveries' });
+    }
+};
+
+/**
+ * GET /admin/webhooks/deliveries/:id
+ */
+export const getDeliveryDetail = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid delivery ID' });
+        }
+        const delivery = await WebhookDelivery.findById(req.params.id).lean();
+        if (!delivery) return res.status(404).json({ success: false, message: 'Webhook delivery not found' });
+        res.json({ success: true, delivery: formatWebhookDelivery(delivery, { detail: true }) });
+    } catch (error) {
+        console.error('❌ Error fetching webhook delivery:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook delivery' });
+    }
+};
+
+/**
+ * POST /admin/webhooks/deliveries/:id/replay
+ */
+export const replayDeliveryHandler = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid delivery ID' });
+        }
+        const delivery = await WebhookDelivery.findById(req.params.id).lean();
+        if (!delivery) return res.status(404).json({ success: false, message: 'Webhook delivery not found' });
+        if (delivery.status === 'pending') {
+            return res.status(400).json({ success: false, message: 'This delivery is still being attempted' });
+        }
+
+        const replay = await replayDelivery(delivery);
+        res.status(202).json({ success: true, message: 'Delivery queued again', delivery: formatWebhookDelivery(replay) });
+    } catch (error) {
+        if (['Webhook endpoint not found', 'Webhook endpoint is disabled'].includes(error.message)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error replaying webhook delivery:', error);
+        res.status(500).json({ success: false, message: 'Failed to replay webhook delivery' });
+    }
+};
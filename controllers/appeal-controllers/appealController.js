@@ -0,0 +1,184 @@
+/**
+ * Appeal Controller — users contesting takedowns and bans (see utils/appeals.js)
+ *
+ * Endpoints:
+ * - GET  /api/v2/appeals/eligible — Actions the user can appeal (and the ones already appealed)
+ * - POST /api/v2/appeals          — File an appeal
+ * - GET  /api/v2/appeals          — The user's appeals (paginated)
+ * - GET  /api/v2/appeals/:id      — A single appeal
+ */
+
+import mongoose from 'mongoose';
+import Appeal from '../../models/appeal.model.js';
+import AdminNotification from '../../models/adminNotification.model.js';
+import CommunityMember from '../../models/communityMember.model.js';
+import Content from '../../models/content.model.js';
+import ContentArchive from '../../models/contentArchive.model.js';
+import ContentReport from '../../models/contentReport.model.js';
+import User from '../../models/user.model.js';
+import {
+    ADMIN_APPEAL_TYPES,
+    parseAppealInput,
+    resolveAppealSubject,
+    appealSubjectKey,
+    createAppeal,
+    formatAppeal,
+    sendAppealFiledEmails,
+} from '../../utils/appeals.js';
+
+/**
+ * Everything the user could appeal right now.
+ * GET /api/v2/appeals/eligible
+ */
+export const getEligibleActions = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const now = new Date();
+
+        // Takedowns of the user's content that are still restorable
+        const ownContent = await Content.find({ userId, status: 'removed' }).select('_id title').lean();
+        const archives = await ContentArchive.find({
+            content_id: { $in: ownContent.map(c => c._id) },
+            permanently_deleted: false,
+            restored_at: null,
+            $or: [{ delete_scheduled_at: { $gt: now } }, { appeal_hold: true }]
+        }).select('content_id delete_scheduled_at').lean();
+        const reports = await ContentReport.find({
+            contentId: { $in: archives.map(a => a.content_id) },
+            takenDown: true
+        }).lean();
+
+        const titles = new Map(ownContent.map(c => [c._id.toString(), c.title || 'Untitled']));
+        const deleteAt = new Map(archives.map(a => [a.content_id.toString(), a.delete_scheduled_at]));
+        const takedowns = reports.map(r => ({
+            reportId: r._id,
+            contentId: r.contentId,
+            title: titles.get(r.contentId.toString()),
+            takenDownAt: r.takenDownAt,
+            justification: r.takedownJustification,
+            deleteScheduledAt: deleteAt.get(r.contentId.toString()),
+            subjectKey: appealSubjectKey('content_takedown', { reportId: r._id })
+        }));
+
+        const user = await User.findById(userId).select('channelBanned channelBannedAt channelBanReason').lean();
+        const channelBan = user?.channelBanned ? {
+            bannedAt: user.channelBannedAt,
+            reason: user.channelBanReason,
+            subjectKey: appealSubjectKey('channel_ban', { userId, actionAt: user.channelBannedAt })
+        } : null;
+
+        const bans = await CommunityMember.find({ userId, status: 'BANNED' })
+            .populate('communityId', 'name slug avatarUrl deleted')
+            .lean();
+        const communityBans = bans
+            .filter(m => m.communityId && !m.communityId.deleted)
+            .map(m => ({
+                community: { _id: m.communityId._id, name: m.communityId.name, slug: m.communityId.slug, avatarUrl: m.communityId.avatarUrl },
+                bannedAt: m.bannedAt,
+                reason: m.banReason,
+                banExpiresAt: m.banExpiresAt,
+                subjectKey: appealSubjectKey('community_ban', { userId, communityId: m.communityId._id, actionAt: m.bannedAt })
+            }));
+
+        // Attach the appeal already filed against each action, if any
+        const keys = [...takedowns, ...(channelBan ? [channelBan] : []), ...communityBans].map(a => a.subjectKey);
+        const existing = await Appeal.find({ subjectKey: { $in: keys } }).select('subjectKey status dueAt').lean();
+        const byKey = new Map(existing.map(a => [a.subjectKey, { _id: a._id, status: a.status, dueAt: a.dueAt }]));
+        const withAppeal = ({ subjectKey, ...action }) => ({ ...action, appeal: byKey.get(subjectKey) || null });
+
+        return res.json({
+            takedowns: takedowns.map(withAppeal),
+            channelBan: channelBan ? withAppeal(channelBan) : null,
+            communityBans: communityBans.map(withAppeal)
+        });
+    } catch (error) {
+        console.error('Error getting appealable actions:', error);
+        return res.status(500).json({ message: 'Failed to get appealable actions' });
+    }
+};
+
+/**
+ * File an appeal against one takedown or ban.
+ * POST /api/v2/appeals
+ * Body: { type: 'content_takedown'|'channel_ban'|'community_ban', statement, reportId?, communityId? }
+ */
+export const fileAppeal = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { fields, error } = parseAppealInput(req.body);
+        if (error) return res.status(400).json({ message: error });
+
+        const { subject, status, error: subjectError } = await resolveAppealSubject(userId, fields);
+        if (subjectError) return res.status(status).json({ message: subjectError });
+
+        const appeal = await createAppeal(userId, fields, subject);
+        if (!appeal) return res.status(409).json({ message: 'You have already appealed this decision' });
+
+        if (ADMIN_APPEAL_TYPES.includes(appeal.type)) {
+            await AdminNotification.create({
+                type: 'appeal_new',
+                title: 'New Appeal',
+                message: `New ${appeal.type === 'channel_ban' ? 'channel ban' : 'takedown'} appeal for "${appeal.subjectTitle}". Due ${appeal.dueAt.toUTCString()}.`,
+                severity: 'info',
+                metadata: { appeal_id: appeal._id, type: appeal.type }
+            });
+        }
+
+        sendAppealFiledEmails(appeal).catch(err => console.error('[AdminEmail] Failed to send appeal emails:', err.message));
+
+        return res.status(201).json({ message: 'Appeal submitted', appeal: formatAppeal(appeal) });
+    } catch (error) {
+        console.error('Error filing appeal:', error);
+        return res.status(500).json({ message: 'Failed to submit appeal' });
+    }
+};
+
+/**
+ * The user's own appeals, newest first.
+ * GET /api/v2/appeals?status=&page=&limit=
+ */
+export const listMyAppeals = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const query = { appellantId: userId };
+        if (['pending', 'approved', 'rejected'].includes(req.query.status)) query.status = req.query.status;
+
+        const [appeals, total] = await Promise.all([
+            Appeal.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Appeal.countDocuments(query)
+        ]);
+
+        return res.json({
+            appeals: appeals.map(a => formatAppeal(a)),
+            total,
+            page,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('Error listing appeals:', error);
+        return res.status(500).json({ message: 'Failed to list appeals' });
+    }
+};
+
+/**
+ * A single appeal of the user.
+ * GET /api/v2/appeals/:id
+ */
+export const getMyAppeal = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid appeal ID' });
+
+        const appeal = await Appeal.findOne({ _id: id, appellantId: req.user.id }).lean();
+        if (!appeal) return res.status(404).json({ message: 'Appeal not found' });
+
+        return res.json({ appeal: formatAppeal(appeal) });
+    } catch (error) {
+        console.error('Error getting appeal:', error);
+        return res.status(500).json({ message: 'Failed to get appeal' });
+    }
+};
@@ -3,8 +3,8 @@ import { validatePasswordStrength } from '../../utils/passwordValidator.js';
 import bcrypt from "bcryptjs";
 import User from "../../models/user.model.js";
 import dotenv from 'dotenv';
-import { setAuthCookies } from "./services/cookieHelper.js";
-import { saveOtp, getOtp, deleteOtp, isVerified, clearVerified } from "./services/otpStore.js";
+import { startAuthSession, revokeAllAuthSessions } from "./services/sessionStore.js";
+import { saveOtp, verifyOtpCode, deleteOtp, isVerified, clearVerified } from "./services/otpStore.js";
 import { sendOtpToEmail } from "./services/otpServiceEmail.js";
 import { sendOtpToPhone } from "./services/otpServicePhone.js";
 
@@ -60,9 +60,8 @@ const changePassword = async (req, res, next) => {
         }
 
         // Verify that OTP was verified or matches directly
-        const verified = isVerified(user.contact);
-        const actualOtp = getOtp(user.contact);
-        const otpMatches = otp && actualOtp && actualOtp === String(otp).trim();
+        const verified = await isVerified(user.contact);
+        const otpMatches = !verified && !!otp && (await verifyOtpCode(user.contact, otp)) === 'ok';
 
         if (!verified && !otpMatches) {
             await session.abortTransaction();
@@ -85,11 +84,12 @@ const changePassword = async (req, res, next) => {
         session.endSession();
 
         // Clear verification record
-        clearVerified(user.contact);
-        deleteOtp(user.contact);
+        await clearVerified(user.contact);
+        await deleteOtp(user.contact);
 
-        // Set new auth cookies
-        setAuthCookies(res, user);
+        // Sign out every device, then start a fresh session for this one
+        await revokeAllAuthSessions(user._id, 'password_change');
+        await startAuthSession(req, res, user, { method: 'password_reset' });
 
         return res.status(200).json({
             success: true,
@@ -145,9 +145,10 @@ export const sendChangePasswordOtp = async (req, res) => {
         const otp = Math.floor(100000 + Math.random() * 900000).toString();
 
         try {
-            saveOtp(contact, otp);
+            await saveOtp(contact, otp);
         } catch (err) {
             if (err.statusCode === 429) {
+                res.set('Retry-After', String(err.retryAfterSec));
                 return res.status(429).json({
                     success: false,
                     message: err.message,
@@ -230,18 +231,20 @@ export const changePasswordAuth = async (req, res) => {
             }
         }
 
-        // Verify OTP
-        const actualOtp = getOtp(user.contact);
-        if (!actualOtp) {
+        // Verify OTP (single use, attempt-limited)
+        const otpResult = await verifyOtpCode(user.contact, otp);
+        if (otpResult === 'expired' || otpResult === 'locked') {
             await session.abortTransaction();
             session.endSession();
             return res.status(400).json({
                 success: false,
-                message: 'Verification code has expired or was not requested. Please request a new code.'
+                message: otpResult === 'locked'
+                    ? 'Too many incorrect attempts. Please request a new code.'
+                    : 'Verification code has expired or was not requested. Please request a new code.'
             });
         }
 
-        if (actualOtp !== String(otp).trim()) {
+        if (otpResult !== 'ok') {
             await session.abortTransaction();
             session.endSession();
             return res.status(400).json({
@@ -260,10 +263,11 @@ export const changePasswordAuth = async (req, res) => {
         session.endSession();
 
         // Delete used OTP
-        deleteOtp(user.contact);
+        await deleteOtp(user.contact);
 
-        // Refresh auth cookies
-        setAuthCookies(res, user);
+        // Sign out every other device and refresh this one's session
+        await revokeAllAuthSessions(user._id, 'password_change');
+        await startAuthSession(req, res, user, { method: 'password_change' });
 
         return res.status(200).json({
             success: true,
@@ -1,10 +1,12 @@
 import bcrypt from "bcryptjs";
 import crypto from "node:crypto";
 import User from "../../models/user.model.js";
-import { setAuthCookies } from "./services/cookieHelper.js";
+import { startAuthSession } from "./services/sessionStore.js";
+import { sendSigninAlert } from "./services/signinAlert.js";
+import { needsSecondFactor, createLoginChallenge } from "./services/twoFactor.js";
 import { ensurePrimaryWallet } from "../../utils/walletService.js";
 import { processReferralSignup } from '../../utils/referralService.js';
-import { sendWelcomeEmail, sendSigninAlertEmail } from '../../services/authEmailService.js';
+import { sendWelcomeEmail } from '../../services/authEmailService.js';
 
 let googleClient = null;
 let googleClientInitError = null;
@@ -108,6 +110,8 @@ const googleAuth = async (req, res) => {
       user = await User.findOne({ contact: emailRegex });
     }
 
+    let isReturningUser = false;
+
     if (user) {
       if (user.googleId && user.googleId !== googleId) {
         return res.status(409).json({
@@ -116,6 +120,16 @@ const googleAuth = async (req, res) => {
         });
       }
 
+      // Accounts with TOTP 2FA finish signing in at POST /2fa/verify-login
+      if (await needsSecondFactor(req, user)) {
+        return res.status(200).json({
+          success: true,
+          message: "Enter the code from your authenticator app",
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user, 'google', { googleId }),
+        });
+      }
+
       // Link Google info if not already set
       if (!user.googleId) user.googleId = googleId;
       if (!user.fullName && fullName) user.fullName = fullName;
@@ -134,23 +148,10 @@ const googleAuth = async (req, res) => {
       // Mark as Google-linked if not already
       if (user.authProvider !== 'google') user.authProvider = 'google';
       user.emailVerified = true;
-      const loginTime = new Date();
-      user.lastLoginAt = loginTime;
+      user.lastLoginAt = new Date();
       await user.save();
 
-      // Send sign-in security alert email (non-blocking)
-      const ipAddress = req.headers['x-forwarded-for']?.split(',')[0] || req.socket?.remoteAddress || req.ip || '';
-      const userAgent = req.headers['user-agent'] || '';
-      sendSigninAlertEmail({
-        email,
-        userName: user.userName || user.fullName,
-        ipAddress,
-        userAgent,
-        signinTime: loginTime,
-        method: 'Google Sign-In'
-      }).catch(err => {
-        console.error('[GOOGLE_AUTH] Sign-in alert email error:', err.message);
-      });
+      isReturningUser = true;
     } else {
       const randomPassword = crypto.randomBytes(48).toString("hex");
       const hashedPassword = await bcrypt.hash(randomPassword, 10);
@@ -185,8 +186,13 @@ const googleAuth = async (req, res) => {
       }
     }
 
-    // Set httpOnly auth cookies
-    const { accessToken, refreshToken } = setAuthCookies(res, user);
+    // Start a device session and set httpOnly auth cookies
+    const { accessToken, refreshToken, session } = await startAuthSession(req, res, user, { method: 'google' });
+
+    // Send sign-in security alert email for returning users (non-blocking)
+    if (isReturningUser) {
+      sendSigninAlert(req, user, session, { method: 'Google Sign-In', email, logTag: 'GOOGLE_AUTH' });
+    }
 
     return res.status(200).json({
       success: true,
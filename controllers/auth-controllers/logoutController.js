@@ -1,17 +1,41 @@
+import jwt from "jsonwebtoken";
 import User from "../../models/user.model.js";
 import { clearAuthCookies } from "./services/cookieHelper.js";
+import { revokeAuthSession, revokeAllAuthSessions } from "./services/sessionStore.js";
+
+/**
+ * Identify the caller's device session — from the access token, or from the
+ * refresh_token cookie when the access token has already expired.
+ */
+const currentSessionOf = (req) => {
+    if (req.user?.id && req.user.sessionId) {
+        return { userId: req.user.id, sid: req.user.sessionId };
+    }
+    const token = req.cookies?.refresh_token;
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.userId) return { userId: decoded.userId, sid: decoded.sid || null };
+        } catch {
+            // Expired / invalid refresh token — nothing left to revoke
+        }
+    }
+    return { userId: req.user?.id || null, sid: null };
+};
 
 /**
  * POST /api/v1/auth/authRoutes/logout
  *
- * Clears auth cookies and increments tokenVersion
- * so the refresh token can never be reused.
+ * Clears auth cookies and revokes this device's session so its refresh token
+ * can never be reused. Tokens issued before per-device sessions fall back to
+ * incrementing tokenVersion (signs out everywhere).
  */
 export const logout = async (req, res) => {
     try {
-        // If user is authenticated, increment tokenVersion to invalidate refresh tokens
-        const userId = req.user?.id;
-        if (userId) {
+        const { userId, sid } = currentSessionOf(req);
+        if (userId && sid) {
+            await revokeAuthSession(userId, sid, "logout");
+        } else if (userId) {
             await User.findByIdAndUpdate(userId, {
                 $inc: { tokenVersion: 1 },
             });
@@ -34,3 +58,32 @@ export const logout = async (req, res) => {
         });
     }
 };
+
+/**
+ * POST /api/v1/auth/authRoutes/logout-all
+ *
+ * Signs out every device, including this one.
+ */
+export const logoutAll = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const revoked = await revokeAllAuthSessions(userId, "logout_all");
+        await User.findByIdAndUpdate(userId, {
+            $inc: { tokenVersion: 1 },
+        });
+
+        clearAuthCookies(res);
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged out of all devices",
+            revoked,
+        });
+    } catch (error) {
+        console.error("Logout-all error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error",
+        });
+    }
+};
@@ -1,11 +1,13 @@
 import User from "../../models/user.model.js";
-import { setAuthCookies, verifyRefreshToken } from "./services/cookieHelper.js";
+import { clearAuthCookies, verifyRefreshToken } from "./services/cookieHelper.js";
+import { rotateAuthSession } from "./services/sessionStore.js";
 
 /**
  * POST /api/v1/auth/authRoutes/refresh
  *
  * Reads the refresh_token cookie, verifies it, checks tokenVersion,
- * and issues a fresh pair of access + refresh cookies.
+ * and rotates the device session — issuing a fresh pair of access + refresh cookies.
+ * Replaying an already-rotated refresh token revokes that device's session.
  */
 export const refreshToken = async (req, res) => {
     try {
@@ -56,8 +58,20 @@ export const refreshToken = async (req, res) => {
             });
         }
 
-        // Issue fresh cookie pair (token rotation)
-        const { accessToken, refreshToken } = setAuthCookies(res, user);
+        // Rotate the device session and issue a fresh cookie pair
+        const rotation = await rotateAuthSession(req, res, user, result);
+        if (!rotation.ok) {
+            // A parallel refresh won the race and already set new cookies — don't clear them
+            if (rotation.retryable) {
+                return res.status(409).json({ success: false, message: rotation.reason });
+            }
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: rotation.reason,
+            });
+        }
+        const { accessToken, refreshToken } = rotation;
 
         return res.status(200).json({
             success: true,
@@ -11,7 +11,7 @@ const sendOtp_forgotPass = async (req, res) => {
   const otp = Math.floor(100000 + Math.random() * 900000).toString();
 
   try {
-    saveOtp(contact, otp);
+    await saveOtp(contact, otp);
 
     if (type === 'email') {
       console.log("Sending OTP to email:", contact);
@@ -30,6 +30,7 @@ const sendOtp_forgotPass = async (req, res) => {
     }
   } catch (err) {
     if (err.statusCode === 429) {
+      res.set('Retry-After', String(err.retryAfterSec));
       return res.status(429).json({ message: err.message, retryAfterSec: err.retryAfterSec });
     }
     console.error(err);
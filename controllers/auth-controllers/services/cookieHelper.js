@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 /**
@@ -7,6 +8,13 @@ import jwt from "jsonwebtoken";
  * Refresh token → long-lived (15 days), httpOnly cookie
  *
  * Cross-subdomain support: watchinit.com ↔ api.watchinit.com
+ *
+ * Both tokens carry `sid` — the device session (models/authSession.model.js).
+ * The refresh token also carries `jti`, rotated on every refresh (see sessionStore.js).
+ *
+ * Access tokens carry `typ: "access"`; only those are accepted by verifyAccessToken().
+ * Single-purpose tokens (2FA challenge, revoke links, ...) go through signPurposeToken(),
+ * which signs with a key derived per purpose — they never verify as session tokens.
  */
 
 const isProduction = () =>
@@ -25,6 +33,8 @@ const REFRESH_TOKEN_EXPIRY = `${REFRESH_TOKEN_DAYS}d`;
 const ACCESS_COOKIE_MAX_AGE = 15 * 60 * 1000;        // 15 minutes
 const REFRESH_COOKIE_MAX_AGE = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000; // 15 days
 
+export const REFRESH_TOKEN_TTL_MS = REFRESH_COOKIE_MAX_AGE;
+
 /**
  * Base cookie options — environment-aware.
  * In production: secure=true, sameSite=none (required for cross-subdomain cookie sharing).
@@ -52,9 +62,13 @@ const getBaseCookieOptions = () => {
 /**
  * Create an access token JWT.
  */
-const createAccessToken = (user) =>
+const createAccessToken = (user, session) =>
     jwt.sign(
-        { userId: user._id.toString() },
+        {
+            userId: user._id.toString(),
+            typ: "access",
+            ...(session && { sid: session.sid }),
+        },
         process.env.JWT_SECRET,
         { expiresIn: ACCESS_TOKEN_EXPIRY }
     );
@@ -63,11 +77,13 @@ const createAccessToken = (user) =>
  * Create a refresh token JWT.
  * Includes tokenVersion so we can invalidate all sessions.
  */
-const createRefreshToken = (user) =>
+const createRefreshToken = (user, session) =>
     jwt.sign(
         {
             userId: user._id.toString(),
+            typ: "refresh",
             tokenVersion: user.tokenVersion || 0,
+            ...(session && { sid: session.sid, jti: session.jti }),
         },
         process.env.JWT_SECRET,
         { expiresIn: REFRESH_TOKEN_EXPIRY }
@@ -75,11 +91,12 @@ const createRefreshToken = (user) =>
 
 /**
  * Set both access and refresh token cookies on the response.
+ * `session` is { sid, jti } from sessionStore.js — use startAuthSession() rather than calling this directly.
  */
-export const setAuthCookies = (res, user) => {
+export const setAuthCookies = (res, user, session = null) => {
     const baseOptions = getBaseCookieOptions();
-    const accessToken = createAccessToken(user);
-    const refreshToken = createRefreshToken(user);
+    const accessToken = createAccessToken(user, session);
+    const refreshToken = createRefreshToken(user, session);
 
     res.cookie("access_token", accessToken, {
         ...baseOptions,
@@ -109,13 +126,14 @@ export const clearAuthCookies = (res) => {
 
 /**
  * Verify a refresh token and check tokenVersion against the user.
- * Returns { valid: true, userId } or { valid: false, reason }.
+ * Returns { valid: true, userId, sid, jti } or { valid: false, reason }.
  */
 export const verifyRefreshToken = (token, user) => {
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        if (!decoded.userId) {
+        // Access and purpose tokens share the signing key — never accept them as refresh tokens
+        if (!decoded.userId || decoded.purpose || decoded.typ === "access") {
             return { valid: false, reason: "Invalid refresh token" };
         }
 
@@ -128,7 +146,7 @@ export const verifyRefreshToken = (token, user) => {
             return { valid: false, reason: "Token has been revoked" };
         }
 
-        return { valid: true, userId: decoded.userId };
+        return { valid: true, userId: decoded.userId, sid: decoded.sid || null, jti: decoded.jti || null };
     } catch (error) {
         if (error.name === "TokenExpiredError") {
             return { valid: false, reason: "Refresh token expired" };
@@ -136,3 +154,55 @@ export const verifyRefreshToken = (token, user) => {
         return { valid: false, reason: "Invalid refresh token" };
     }
 };
+
+/**
+ * Verify an access token (cookie or Bearer).
+ * Returns { userId, sid } — throws like jwt.verify() for anything that is not an access token.
+ */
+export const verifyAccessToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.typ !== "access" || decoded.purpose || !decoded.userId) {
+        throw new jwt.JsonWebTokenError("not an access token");
+    }
+    return { userId: decoded.userId, sid: decoded.sid || null };
+};
+
+// ─── Single-purpose tokens ───────────────────────────────────────────────────
+
+const purposeSecret = (purpose) =>
+    crypto.createHmac("sha256", process.env.JWT_SECRET).update(`purpose:${purpose}`).digest("hex");
+
+/**
+ * Sign a token that is only good for one thing (e.g. "2fa_login", "session_revoke").
+ */
+export const signPurposeToken = (purpose, claims, expiresIn) =>
+    jwt.sign({ ...claims, purpose }, purposeSecret(purpose), { expiresIn, audience: purpose });
+
+/**
+ * Returns the claims of a token signed by signPurposeToken() for this purpose, or null.
+ */
+export const verifyPurposeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, purposeSecret(purpose), { audience: purpose });
+        return decoded.purpose === purpose ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * "Remember this device" cookie for TOTP 2FA (see twoFactor.js).
+ * Deliberately not cleared by clearAuthCookies — it outlives logout.
+ */
+export const TWO_FACTOR_REMEMBER_COOKIE = "tfa_remember";
+
+export const setTwoFactorRememberCookie = (res, token, maxAge) => {
+    res.cookie(TWO_FACTOR_REMEMBER_COOKIE, token, {
+        ...getBaseCookieOptions(),
+        maxAge,
+    });
+};
+
+export const clearTwoFactorRememberCookie = (res) => {
+    res.clearCookie(TWO_FACTOR_REMEMBER_COOKIE, getBaseCookieOptions());
+};
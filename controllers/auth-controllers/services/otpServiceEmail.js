@@ -195,6 +195,14 @@ export function getOtpEmailContent(otp, purposeInput = 'default') {
       badgeColor: "#f59e0b",
       headerGradient: "linear-gradient(135deg, #d97706 0%, #b45309 100%)",
     },
+    account_deletion: {
+      title: "Account Deletion Request",
+      subject: `[${PLATFORM_NAME}] Confirm Account Deletion`,
+      heading: "Confirm Account Deletion",
+      message: "We received a request to permanently delete your " + PLATFORM_NAME + " account. Use the verification code below to confirm. If you did not request this, change your password immediately:",
+      badgeColor: "#e11d48",
+      headerGradient: "linear-gradient(135deg, #e11d48 0%, #9f1239 100%)",
+    },
     default: {
       title: "Security Verification Code",
       subject: `[${PLATFORM_NAME}] Security Verification Code (OTP)`,
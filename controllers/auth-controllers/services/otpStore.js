@@ -1,58 +1,149 @@
 // otpStorageService.js
-const otpStore = new Map();
-const verifiedStore = new Map();
+//
+// OTPs, resend cooldowns, attempt counters and "verified" flags live in the shared
+// state store (utils/stateStore.js) — Redis when configured, in-memory otherwise —
+// so they work across instances and survive restarts.
+//
+// createOtpStore(namespace) gives each flow (signup/forgot password, wallet transfer,
+// KYC, PIN, account deletion, ...) its own keyspace and limits.
+import { getStateStore } from '../../../utils/stateStore.js';
+
+const DEFAULTS = {
+  ttlMs: 5 * 60 * 1000,           // OTP valid for 5 minutes
+  cooldownMs: 30 * 1000,          // one OTP per 30 seconds
+  maxAttempts: 5,                 // wrong guesses before the OTP is burned
+  verifiedTtlMs: 10 * 60 * 1000,  // how long a successful verification is remembered
+};
 
 const normalizeKey = (contact) => {
   if (!contact) return '';
   return typeof contact === 'string' ? contact.trim().toLowerCase() : String(contact);
 };
 
-export function saveOtp(contact, otp) {
-  const key = normalizeKey(contact);
-  const existing = otpStore.get(key);
-  if (existing && existing.lastSentAt && (Date.now() - existing.lastSentAt < 30000)) {
-    const waitSec = Math.ceil((30000 - (Date.now() - existing.lastSentAt)) / 1000);
-    const error = new Error(`Please wait ${waitSec} seconds before requesting another OTP.`);
-    error.statusCode = 429;
-    error.retryAfterSec = waitSec;
-    throw error;
-  }
-  otpStore.set(key, {
-    otp: String(otp).trim(),
-    expiresAt: Date.now() + 5 * 60 * 1000, // 5 min TTL
-    lastSentAt: Date.now()
-  });
+/**
+ * Error thrown when an OTP is requested again inside the cooldown window
+ */
+function cooldownError(retryAfterMs) {
+  const waitSec = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const error = new Error(`Please wait ${waitSec} seconds before requesting another OTP.`);
+  error.statusCode = 429;
+  error.retryAfterSec = waitSec;
+  return error;
 }
 
-export function getOtp(contact) {
-  const key = normalizeKey(contact);
-  const record = otpStore.get(key);
-  if (!record || Date.now() > record.expiresAt) return null;
-  return record.otp;
+/**
+ * Create an OTP store for one verification flow.
+ *
+ * @param {string} namespace - e.g. 'auth', 'wallet:transfer'
+ * @param {Object} options - overrides for ttlMs, cooldownMs, maxAttempts, verifiedTtlMs
+ */
+export function createOtpStore(namespace, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const keys = (id) => {
+    const key = normalizeKey(id);
+    return {
+      otp: `otp:${namespace}:${key}`,
+      cooldown: `otp:${namespace}:${key}:cooldown`,
+      attempts: `otp:${namespace}:${key}:attempts`,
+      verified: `otp:${namespace}:${key}:verified`,
+    };
+  };
+
+  return {
+    config,
+
+    /**
+     * Store a new OTP. Throws a 429 error (with retryAfterSec) inside the cooldown window.
+     */
+    async issue(id, otp) {
+      const store = getStateStore();
+      const k = keys(id);
+      if (!await store.setIfAbsent(k.cooldown, 1, config.cooldownMs)) {
+        throw cooldownError(await store.ttl(k.cooldown));
+      }
+      await store.set(k.otp, String(otp).trim(), config.ttlMs);
+      await store.del(k.attempts);
+    },
+
+    /**
+     * Check an OTP. Correct codes are consumed (single use).
+     * @returns {Promise<'ok'|'expired'|'invalid'|'locked'>}
+     */
+    async verify(id, otp) {
+      const store = getStateStore();
+      const k = keys(id);
+      const actual = await store.get(k.otp);
+      if (!actual) return 'expired';
+
+      // Counted before comparing so parallel guesses can't exceed the limit
+      const attempts = await store.incr(k.attempts, config.ttlMs);
+      if (attempts > config.maxAttempts) {
+        await store.del(k.otp);
+        return 'locked';
+      }
+      if (actual !== String(otp).trim()) {
+        if (attempts >= config.maxAttempts) await store.del(k.otp);
+        return 'invalid';
+      }
+
+      // del() returns false if another request consumed the code first
+      if (!await store.del(k.otp)) return 'expired';
+      await store.del(k.attempts);
+      return 'ok';
+    },
+
+    async get(id) {
+      return getStateStore().get(keys(id).otp);
+    },
+
+    async clear(id) {
+      const store = getStateStore();
+      const k = keys(id);
+      await Promise.all([store.del(k.otp), store.del(k.attempts)]);
+    },
+
+    async markVerified(id, ttlMs = config.verifiedTtlMs) {
+      await getStateStore().set(keys(id).verified, Date.now(), ttlMs);
+    },
+
+    async isVerified(id) {
+      return (await getStateStore().get(keys(id).verified)) !== null;
+    },
+
+    async clearVerified(id) {
+      await getStateStore().del(keys(id).verified);
+    },
+  };
 }
 
-export function deleteOtp(contact) {
-  const key = normalizeKey(contact);
-  otpStore.delete(key);
+// ─── Contact-based OTPs (signup, forgot password, change password) ──────────
+
+const authOtpStore = createOtpStore('auth');
+
+export async function saveOtp(contact, otp) {
+  await authOtpStore.issue(contact, otp);
 }
 
-export function markVerified(contact, ttlMs = 10 * 60 * 1000) {
-  const key = normalizeKey(contact);
-  verifiedStore.set(key, {
-    verifiedAt: Date.now(),
-    expiresAt: Date.now() + ttlMs,
-  });
+export async function getOtp(contact) {
+  return authOtpStore.get(contact);
 }
 
-export function isVerified(contact) {
-  const key = normalizeKey(contact);
-  const record = verifiedStore.get(key);
-  if (!record || Date.now() > record.expiresAt) return false;
-  return true;
+export async function verifyOtpCode(contact, otp) {
+  return authOtpStore.verify(contact, otp);
 }
 
-export function clearVerified(contact) {
-  const key = normalizeKey(contact);
-  verifiedStore.delete(key);
+export async function deleteOtp(contact) {
+  await authOtpStore.clear(contact);
 }
 
+export async function markVerified(contact, ttlMs) {
+  await authOtpStore.markVerified(contact, ttlMs);
+}
+
+export async function isVerified(contact) {
+  return authOtpStore.isVerified(contact);
+}
+
+export async function clearVerified(contact) {
+  await authOtpStore.clearVerified(contact);
+}
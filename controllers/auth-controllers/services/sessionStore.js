@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import AuthSession from "../../../models/authSession.model.js";
+import { parseDeviceSummary } from "../../../utils/deviceSummary.js";
+import { setAuthCookies, REFRESH_TOKEN_TTL_MS, signPurposeToken, verifyPurposeToken } from "./cookieHelper.js";
+
+/**
+ * Per-device auth sessions (refresh-token families).
+ *
+ * startAuthSession()  → sign-in / signup / password change: new family + cookies
+ * rotateAuthSession() → /refresh: swaps the family's token for a new one.
+ *                       A token that is neither current nor the just-replaced one (within
+ *                       REUSE_GRACE_MS) has been used before → the whole family is revoked.
+ *
+ * Revoking a session stops its refresh token immediately; the access token it already
+ * holds stays valid until it expires (15 min).
+ */
+
+const REUSE_GRACE_MS = 15 * 1000;          // parallel tabs refreshing at the same time
+const REVOKED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const REVOKE_LINK_EXPIRY = "7d";
+
+const PLATFORM_URL = process.env.CLIENT_URL || process.env.FRONTEND_URL || "https://watchinit.com";
+
+export const hashTokenId = (jti) =>
+    crypto.createHash("sha256").update(String(jti)).digest("hex");
+
+const newTokenId = () => crypto.randomBytes(24).toString("hex");
+
+export const clientIp = (req) =>
+    (req.headers?.["x-forwarded-for"]?.split(",")[0] || req.socket?.remoteAddress || req.ip || "")
+        .replace(/^::ffff:/, "")
+        .trim();
+
+const headerValue = (headers, name) => {
+    const value = headers?.[name];
+    if (!value || value === "XX" || value === "T1") return null; // Cloudflare: unknown / Tor
+    try {
+        return decodeURIComponent(String(value)).trim() || null;
+    } catch {
+        return String(value).trim() || null;
+    }
+};
+
+/**
+ * Approximate location from CDN / edge geo headers (Cloudflare, CloudFront, Vercel).
+ * Nothing is looked up — without those headers every field is null.
+ */
+export function approximateLocation(headers = {}) {
+    return {
+        city: headerValue(headers, "cf-ipcity") || headerValue(headers, "cloudfront-viewer-city") || headerValue(headers, "x-vercel-ip-city"),
+        region: headerValue(headers, "cf-region") || headerValue(headers, "cloudfront-viewer-country-region-name") || headerValue(headers, "x-vercel-ip-country-region"),
+        country: headerValue(headers, "cf-ipcountry") || headerValue(headers, "cloudfront-viewer-country") || headerValue(headers, "x-vercel-ip-country"),
+    };
+}
+
+/**
+ * How a presented refresh token relates to its family.
+ * Returns 'current' | 'grace' (just replaced, parallel refresh) | 'reuse' | 'revoked'.
+ */
+export function classifyRefresh(session, presentedHash, now = Date.now()) {
+    if (!session || session.revokedAt) return "revoked";
+    if (presentedHash === session.tokenHash) return "current";
+    if (
+        presentedHash === session.previousTokenHash &&
+        session.rotatedAt &&
+        now - new Date(session.rotatedAt).getTime() <= REUSE_GRACE_MS
+    ) {
+        return "grace";
+    }
+    return "reuse";
+}
+
+const deviceFields = (req) => {
+    const userAgent = String(req.headers?.["user-agent"] || "").slice(0, 512);
+    return {
+        userAgent,
+        deviceSummary: parseDeviceSummary(userAgent),
+        ip: clientIp(req),
+        location: approximateLocation(req.headers),
+    };
+};
+
+/**
+ * Start a new device session and set the auth cookies.
+ * Returns { accessToken, refreshToken, session }.
+ */
+export async function startAuthSession(req, res, user, { method = "password" } = {}) {
+    const jti = newTokenId();
+    const now = new Date();
+    const session = await AuthSession.create({
+        userId: user._id,
+        familyId: crypto.randomUUID(),
+        tokenHash: hashTokenId(jti),
+        method,
+        ...deviceFields(req),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    });
+
+    const tokens = setAuthCookies(res, user, { sid: session.familyId, jti });
+    return { ...tokens, session };
+}
+
+/**
+ * Rotate the refresh token of a verified claim set ({ sid, jti } from verifyRefreshToken).
+ * Returns { ok: true, accessToken, refreshToken } or { ok: false, reason, reuseDetected, retryable }.
+ */
+export async function rotateAuthSession(req, res, user, { sid, jti }) {
+    // Tokens issued before sessions existed — move them onto a tracked session
+    if (!sid || !jti) {
+        const { accessToken, refreshToken } = await startAuthSession(req, res, user, { method: "legacy" });
+        return { ok: true, accessToken, refreshToken };
+    }
+
+    const presentedHash = hashTokenId(jti);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const session = await AuthSession.findOne({ familyId: sid, userId: user._id }).lean();
+        const state = classifyRefresh(session, presentedHash);
+
+        if (state === "revoked") {
+            return { ok: false, reason: "Session has been revoked", reuseDetected: false, retryable: false };
+        }
+
+        if (state === "reuse") {
+            await revokeAuthSession(user._id, sid, "reuse_detected");
+            console.warn(`⚠️ [Sessions] Refresh token reuse for user ${user._id} — session ${sid} revoked`);
+            return { ok: false, reason: "Session has been revoked", reuseDetected: true, retryable: false };
+        }
+
+        const nextJti = newTokenId();
+        const now = new Date();
+        const updated = await AuthSession.findOneAndUpdate(
+            { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+            {
+                $set: {
+                    tokenHash: hashTokenId(nextJti),
+                    previousTokenHash: session.tokenHash,
+                    rotatedAt: now,
+                    lastSeenAt: now,
+                    ...deviceFields(req),
+                    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+                },
+            },
+            { new: true }
+        );
+
+        // Another request rotated in between — classify again against the fresh state
+        if (!updated) continue;
+
+        const { accessToken, refreshToken } = setAuthCookies(res, user, { sid, jti: nextJti });
+        return { ok: true, accessToken, refreshToken };
+    }
+
+    return { ok: false, reason: "Session changed, please retry", reuseDetected: false, retryable: true };
+}
+
+/**
+ * Active sessions for a user, most recently used first.
+ */
+export async function listAuthSessions(userId) {
+    return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select("familyId method deviceSummary userAgent ip location lastSeenAt createdAt")
+        .sort({ lastSeenAt: -1 })
+        .lean();
+}
+
+/**
+ * Revoke one session. Returns true if an active session was revoked.
+ */
+export async function revokeAuthSession(userId, familyId, reason) {
+    const now = new Date();
+    const result = await AuthSession.updateOne(
+        { userId, familyId, revokedAt: null },
+        { $set: { revokedAt: now, revokeReason: reason, expiresAt: new Date(now.getTime() + REVOKED_RETENTION_MS) } }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one. Returns the number revoked.
+ */
+export async function revokeAllAuthSessions(userId, reason, { exceptFamilyId = null } = {}) {
+    const now = new Date();
+    const filter = { userId, revokedAt: null };
+    if (exceptFamilyId) filter.familyId = { $ne: exceptFamilyId };
+
+    const result = await AuthSession.updateMany(filter, {
+        $set: { revokedAt: now, revokeReason: reason, expiresAt: new Date(now.getTime() + REVOKED_RETENTION_MS) },
+    });
+    return result.modifiedCount;
+}
+
+// ─── "Not you?" links in sign-in alert emails ────────────────────────────────
+
+/**
+ * Signed with the session_revoke purpose key — only verifyRevokeLinkToken() accepts it,
+ * never the access-token verifier.
+ */
+export const createRevokeLinkToken = (session) =>
+    signPurposeToken(
+        "session_revoke",
+        { userId: session.userId.toString(), sid: session.familyId },
+        REVOKE_LINK_EXPIRY
+    );
+
+/**
+ * Returns { userId, sid } or null.
+ */
+export function verifyRevokeLinkToken(token) {
+    const decoded = verifyPurposeToken(token, "session_revoke");
+    if (!decoded?.userId || !decoded.sid) return null;
+    return { userId: decoded.userId, sid: decoded.sid };
+}
+
+/**
+ * Frontend page that confirms and calls POST /sessions/revoke-link — a plain GET on the
+ * API would be triggered by mail scanners prefetching links.
+ */
+export const sessionRevokeUrl = (session) =>
+    `${PLATFORM_URL}/security/revoke-session?token=${encodeURIComponent(createRevokeLinkToken(session))}`;
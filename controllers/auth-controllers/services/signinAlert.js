@@ -0,0 +1,23 @@
+import { sendSigninAlertEmail } from "../../../services/authEmailService.js";
+import { clientIp, sessionRevokeUrl } from "./sessionStore.js";
+
+/**
+ * Fire-and-forget "New sign-in" email with a revoke link for the session just started.
+ * `email` overrides the address on the user (Google sign-in uses the verified Google email).
+ */
+export function sendSigninAlert(req, user, session, { method, email = null, logTag = "SIGNIN" }) {
+    const to = email || user.email || (user.contact && user.contact.includes('@') ? user.contact : null);
+    if (!to) return;
+
+    sendSigninAlertEmail({
+        email: to,
+        userName: user.userName || user.fullName,
+        ipAddress: clientIp(req),
+        userAgent: req.headers['user-agent'] || '',
+        signinTime: user.lastLoginAt || new Date(),
+        method,
+        revokeUrl: sessionRevokeUrl(session),
+    }).catch(err => {
+        console.error(`[${logTag}] Sign-in alert email error:`, err.message);
+    });
+}
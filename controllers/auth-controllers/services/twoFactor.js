@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import TwoFactorAuth from "../../../models/twoFactorAuth.model.js";
+import KycDetails from "../../../models/kycDetails.model.js";
+import { encrypt, decrypt } from "../../../utils/encryption.js";
+import { verifyTotp } from "../../../utils/totp.js";
+import { getStateStore } from "../../../utils/stateStore.js";
+import {
+    TWO_FACTOR_REMEMBER_COOKIE,
+    setTwoFactorRememberCookie,
+    signPurposeToken,
+    verifyPurposeToken,
+} from "./cookieHelper.js";
+
+/**
+ * TOTP two-factor authentication — recovery codes, second-factor checks,
+ * the sign-in challenge and "remember this device".
+ *
+ * Sign-in with 2FA enabled is two steps:
+ *   1. password / Google login succeeds → { twoFactorRequired, challengeToken } (no cookies yet)
+ *   2. POST /2fa/verify-login with the challenge + a TOTP or recovery code → session cookies
+ *
+ * The challenge and the remember-device cookie are purpose tokens (signPurposeToken), so
+ * neither can be replayed as an access token to skip the second factor.
+ *
+ * Enrolment is optional, except for creators with a KYC-verified wallet: they must enrol
+ * before PIN changes or bank payouts (middlewares/twoFactorEnrolment.js, payoutJobController).
+ */
+
+export const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRY = "5m";
+export const REMEMBER_DEVICE_DAYS = 30;
+const REMEMBER_DEVICE_MAX_AGE = REMEMBER_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+
+// Wrong-code budget per user, across sign-in and settings (6-digit codes are guessable otherwise)
+const MAX_CODE_ATTEMPTS = 5;
+const CODE_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// ─── Secrets ─────────────────────────────────────────────────────────────────
+
+export const encryptSecret = (secret) => encrypt(secret);
+
+export const activeSecretOf = (record) =>
+    record?.enabledAt ? decrypt(record.secretEncrypted, record.secretIv, record.secretTag) : null;
+
+export const pendingSecretOf = (record) =>
+    record ? decrypt(record.pendingSecretEncrypted, record.pendingSecretIv, record.pendingSecretTag) : null;
+
+// ─── Recovery codes ──────────────────────────────────────────────────────────
+
+const normalizeRecoveryCode = (code) => String(code ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export const hashRecoveryCode = (code) =>
+    crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+/**
+ * Fresh set of single-use recovery codes: { codes (show once), hashed (store) }
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString("hex"); // 10 hex chars
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashed: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null })) };
+}
+
+export const remainingRecoveryCodes = (record) =>
+    (record?.recoveryCodes || []).filter(c => !c.usedAt).length;
+
+// ─── Second-factor check ─────────────────────────────────────────────────────
+
+/**
+ * Verify a TOTP code (or a recovery code) against an enabled enrolment and consume it.
+ * Returns { ok: true, method: 'totp' | 'recovery' } or { ok: false, reason, locked? }.
+ */
+export async function verifySecondFactor(record, { code, recoveryCode } = {}) {
+    if (!record?.enabledAt) return { ok: false, reason: "Two-factor authentication is not enabled" };
+
+    const attemptsKey = `2fa:failures:${record.userId}`;
+    if ((await getStateStore().get(attemptsKey) || 0) >= MAX_CODE_ATTEMPTS) {
+        return { ok: false, reason: "Too many incorrect codes. Please try again later.", locked: true };
+    }
+    const fail = async (reason) => {
+        await getStateStore().incr(attemptsKey, CODE_FAILURE_WINDOW_MS);
+        return { ok: false, reason };
+    };
+
+    if (recoveryCode) {
+        const result = await TwoFactorAuth.updateOne(
+            { _id: record._id, recoveryCodes: { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+            { $set: { "recoveryCodes.$.usedAt": new Date() } }
+        );
+        return result.modifiedCount > 0 ? { ok: true, method: "recovery" } : fail("Invalid or already used recovery code");
+    }
+
+    const step = verifyTotp(activeSecretOf(record), code);
+    if (step === null) return fail("Invalid authentication code");
+
+    // Refuse a code that was already accepted (same or earlier time step)
+    const result = await TwoFactorAuth.updateOne(
+        { _id: record._id, lastUsedStep: { $lt: step } },
+        { $set: { lastUsedStep: step } }
+    );
+    return result.modifiedCount > 0
+        ? { ok: true, method: "totp" }
+        : fail("This code has already been used. Wait for the next one.");
+}
+
+// ─── Enrolment requirement ───────────────────────────────────────────────────
+
+/**
+ * Creators whose wallet KYC is verified must have 2FA before moving money out.
+ */
+export async function isTwoFactorRequired(userId) {
+    return !!(await KycDetails.exists({ userId, kycStatus: "verified" }));
+}
+
+// ─── Sign-in challenge ───────────────────────────────────────────────────────
+
+/**
+ * `googleId` is carried through so a first Google sign-in still links the account after step 2.
+ */
+export const createLoginChallenge = (user, method, { googleId = null } = {}) =>
+    signPurposeToken(
+        "2fa_login",
+        { userId: user._id.toString(), method, ...(googleId && { googleId }) },
+        LOGIN_CHALLENGE_EXPIRY
+    );
+
+/**
+ * Returns { userId, method, googleId } or null.
+ */
+export function verifyLoginChallenge(token) {
+    const decoded = verifyPurposeToken(token, "2fa_login");
+    if (!decoded?.userId) return null;
+    return { userId: decoded.userId, method: decoded.method || "password", googleId: decoded.googleId || null };
+}
+
+// ─── Remember this device ────────────────────────────────────────────────────
+
+export function rememberDevice(res, record) {
+    const token = signPurposeToken(
+        "2fa_remember",
+        { userId: record.userId.toString(), rv: record.rememberVersion || 0 },
+        `${REMEMBER_DEVICE_DAYS}d`
+    );
+    setTwoFactorRememberCookie(res, token, REMEMBER_DEVICE_MAX_AGE);
+}
+
+export function isDeviceRemembered(req, record) {
+    const token = req.cookies?.[TWO_FACTOR_REMEMBER_COOKIE];
+    if (!token || !record) return false;
+    const decoded = verifyPurposeToken(token, "2fa_remember");
+    return !!decoded &&
+        decoded.userId === record.userId.toString() &&
+        decoded.rv === (record.rememberVersion || 0);
+}
+
+/**
+ * Does this sign-in need a second step? (2FA enabled and the device isn't remembered)
+ */
+export async function needsSecondFactor(req, user) {
+    if (!user.twoFactorEnabled) return false;
+    const record = await TwoFactorAuth.findOne({ userId: user._id }).select("userId enabledAt rememberVersion").lean();
+    if (!record?.enabledAt) return false;
+    return !isDeviceRemembered(req, record);
+}
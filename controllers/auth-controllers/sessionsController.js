@@ -0,0 +1,113 @@
+import { clearAuthCookies } from "./services/cookieHelper.js";
+import {
+    listAuthSessions,
+    revokeAuthSession,
+    revokeAllAuthSessions,
+    verifyRevokeLinkToken,
+} from "./services/sessionStore.js";
+
+/**
+ * Signed-in devices — list and remote sign-out.
+ * A session's `id` is its refresh-token family id; `current` marks the caller's device.
+ */
+
+const toSessionResponse = (session, currentSessionId) => ({
+    id: session.familyId,
+    current: session.familyId === currentSessionId,
+    device: session.deviceSummary,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    location: session.location,
+    method: session.method,
+    signedInAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+});
+
+/**
+ * GET /api/v1/auth/authRoutes/sessions
+ */
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await listAuthSessions(req.user.id);
+        return res.status(200).json({
+            success: true,
+            sessions: sessions.map(s => toSessionResponse(s, req.user.sessionId)),
+        });
+    } catch (error) {
+        console.error("List sessions error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * DELETE /api/v1/auth/authRoutes/sessions/:sessionId
+ *
+ * Revoking the caller's own session also clears its cookies.
+ */
+export const revokeSessionById = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const revoked = await revokeAuthSession(req.user.id, sessionId, "user_revoked");
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: "Session not found" });
+        }
+
+        if (sessionId === req.user.sessionId) clearAuthCookies(res);
+
+        return res.status(200).json({ success: true, message: "Device signed out" });
+    } catch (error) {
+        console.error("Revoke session error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * DELETE /api/v1/auth/authRoutes/sessions
+ *
+ * Signs out every other device; the caller stays signed in.
+ */
+export const revokeOtherSessions = async (req, res) => {
+    try {
+        if (!req.user.sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: "Please sign in again to manage other devices",
+            });
+        }
+
+        const revoked = await revokeAllAuthSessions(req.user.id, "user_revoked", {
+            exceptFamilyId: req.user.sessionId,
+        });
+
+        return res.status(200).json({ success: true, message: "Other devices signed out", revoked });
+    } catch (error) {
+        console.error("Revoke other sessions error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * POST /api/v1/auth/authRoutes/sessions/revoke-link
+ * Body: { token } — from the "Not you?" link in the sign-in alert email. No login needed.
+ */
+export const revokeSessionFromLink = async (req, res) => {
+    try {
+        const claims = verifyRevokeLinkToken(req.body?.token);
+        if (!claims) {
+            return res.status(400).json({ success: false, message: "This link is invalid or has expired" });
+        }
+
+        const revoked = await revokeAuthSession(claims.userId, claims.sid, "email_link");
+
+        return res.status(200).json({
+            success: true,
+            message: revoked
+                ? "That device has been signed out. We recommend changing your password."
+                : "That device is already signed out.",
+            revoked,
+        });
+    } catch (error) {
+        console.error("Revoke session link error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
@@ -1,8 +1,9 @@
 import bcrypt from "bcryptjs";
 import User from "../../models/user.model.js";
 import dotenv from 'dotenv';
-import { setAuthCookies } from "./services/cookieHelper.js";
-import { sendSigninAlertEmail } from "../../services/authEmailService.js";
+import { startAuthSession } from "./services/sessionStore.js";
+import { sendSigninAlert } from "./services/signinAlert.js";
+import { needsSecondFactor, createLoginChallenge } from "./services/twoFactor.js";
 dotenv.config();
 
 const signIn = async (req, res, next) => {
@@ -22,31 +23,25 @@ const signIn = async (req, res, next) => {
       return res.status(401).json({ success: false, message: "Invalid credentials" });
     }
 
-    // 3. Track login time
-    const loginTime = new Date();
-    user.lastLoginAt = loginTime;
-    await user.save();
+    // 3. Second step for accounts with TOTP 2FA (unless this device is remembered)
+    if (await needsSecondFactor(req, user)) {
+      return res.status(200).json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user, 'password'),
+      });
+    }
 
-    // 4. Set httpOnly auth cookies
-    const { accessToken, refreshToken } = setAuthCookies(res, user);
+    // 4. Track login time
+    user.lastLoginAt = new Date();
+    await user.save();
 
-    // 5. Send sign-in security alert email (non-blocking)
-    const userEmail = user.email || (user.contact && user.contact.includes('@') ? user.contact : null);
-    if (userEmail) {
-      const ipAddress = req.headers['x-forwarded-for']?.split(',')[0] || req.socket?.remoteAddress || req.ip || '';
-      const userAgent = req.headers['user-agent'] || '';
+    // 5. Start a device session and set httpOnly auth cookies
+    const { accessToken, refreshToken, session } = await startAuthSession(req, res, user, { method: 'password' });
 
-      sendSigninAlertEmail({
-        email: userEmail,
-        userName: user.userName,
-        ipAddress,
-        userAgent,
-        signinTime: loginTime,
-        method: 'Email & Password'
-      }).catch(err => {
-        console.error('[SIGNIN] Sign-in alert email error:', err.message);
-      });
-    }
+    // 6. Send sign-in security alert email (non-blocking)
+    sendSigninAlert(req, user, session, { method: 'Email & Password' });
 
     return res.status(200).json({
       success: true,
@@ -3,7 +3,7 @@ import { validatePasswordStrength } from '../../utils/passwordValidator.js';
 import bcrypt from "bcryptjs";
 import User from "../../models/user.model.js";
 import dotenv from 'dotenv';
-import { setAuthCookies } from "./services/cookieHelper.js";
+import { startAuthSession } from "./services/sessionStore.js";
 import { processReferralSignup } from '../../utils/referralService.js';
 import { sendWelcomeEmail } from '../../services/authEmailService.js';
 dotenv.config();
@@ -53,7 +53,7 @@ const Signup = async (req, res, next) => {
         }
 
         // Set httpOnly auth cookies
-        const { accessToken, refreshToken } = setAuthCookies(res, newUser[0]);
+        const { accessToken, refreshToken } = await startAuthSession(req, res, newUser[0], { method: 'signup' });
 
         res.status(200).json({
             success: true,
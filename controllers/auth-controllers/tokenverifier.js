@@ -1,5 +1,5 @@
 // tokenverifier.js
-import jwt from "jsonwebtoken";
+import { verifyAccessToken } from "./services/cookieHelper.js";
 
 export const tokenVerifier = async (req) => {
   try {
@@ -8,8 +8,8 @@ export const tokenVerifier = async (req) => {
       return { status: 401, message: "No token provided" };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return { status: 200, message: "Token valid", userId: decoded.userId };
+    const { userId } = verifyAccessToken(token);
+    return { status: 200, message: "Token valid", userId };
   } catch (err) {
     return { status: 401, message: "Invalid or expired token" };
   }
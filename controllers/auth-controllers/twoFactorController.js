@@ -0,0 +1,318 @@
+import User from "../../models/user.model.js";
+import TwoFactorAuth from "../../models/twoFactorAuth.model.js";
+import { generateTotpSecret, provisioningUri, verifyTotp } from "../../utils/totp.js";
+import {
+    encryptSecret,
+    pendingSecretOf,
+    generateRecoveryCodes,
+    remainingRecoveryCodes,
+    verifySecondFactor,
+    isTwoFactorRequired,
+    verifyLoginChallenge,
+    rememberDevice,
+} from "./services/twoFactor.js";
+import { clearTwoFactorRememberCookie } from "./services/cookieHelper.js";
+import { startAuthSession } from "./services/sessionStore.js";
+import { sendSigninAlert } from "./services/signinAlert.js";
+
+/**
+ * TOTP two-factor authentication (authenticator apps)
+ *
+ * Endpoints (under /api/v1/auth/authRoutes):
+ * - GET    /2fa                      — Enrolment status
+ * - POST   /2fa/setup                — New secret + otpauth:// URI for the QR code
+ * - POST   /2fa/enable               — Confirm the first code → 2FA on, returns recovery codes
+ * - POST   /2fa/disable              — Turn 2FA off (not allowed for KYC-verified creators)
+ * - POST   /2fa/recovery-codes       — Replace all recovery codes
+ * - DELETE /2fa/remembered-devices   — Forget every "remember this device"
+ * - POST   /2fa/verify-login         — Second sign-in step (public, uses the challenge token)
+ */
+
+const ISSUER = process.env.PLATFORM_NAME || "WATCHIN IT";
+const PENDING_SETUP_TTL_MS = 15 * 60 * 1000;
+
+const SECOND_FACTOR_REQUIRED = "Enter a code from your authenticator app or a recovery code";
+
+const accountLabelOf = (user) => user.email || user.contact || user.userName;
+
+/**
+ * Answer a failed verifySecondFactor() result
+ */
+const respondFactorFailure = (res, result, status = 400) =>
+    res.status(result.locked ? 429 : status).json({ success: false, message: result.reason });
+
+/**
+ * GET /2fa — Enrolment status
+ */
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const [record, required] = await Promise.all([
+            TwoFactorAuth.findOne({ userId }).select("enabledAt recoveryCodes pendingCreatedAt").lean(),
+            isTwoFactorRequired(userId),
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            enabled: !!record?.enabledAt,
+            enabledAt: record?.enabledAt || null,
+            required,
+            recoveryCodesRemaining: remainingRecoveryCodes(record),
+        });
+    } catch (error) {
+        console.error("2FA status error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * POST /2fa/setup — Start (or restart) enrolment
+ * Body (when 2FA is already on, to switch authenticator): { code } or { recoveryCode }
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const user = await User.findById(userId).select("email contact userName").lean();
+        if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+        const existing = await TwoFactorAuth.findOne({ userId });
+        if (existing?.enabledAt) {
+            const { code, recoveryCode } = req.body || {};
+            if (!code && !recoveryCode) {
+                return res.status(400).json({ success: false, message: SECOND_FACTOR_REQUIRED });
+            }
+            const check = await verifySecondFactor(existing, { code, recoveryCode });
+            if (!check.ok) return respondFactorFailure(res, check);
+        }
+
+        const secret = generateTotpSecret();
+        const pending = encryptSecret(secret);
+        await TwoFactorAuth.updateOne(
+            { userId },
+            {
+                $set: {
+                    pendingSecretEncrypted: pending.encrypted,
+                    pendingSecretIv: pending.iv,
+                    pendingSecretTag: pending.tag,
+                    pendingCreatedAt: new Date(),
+                },
+            },
+            { upsert: true }
+        );
+
+        const accountName = accountLabelOf(user);
+        return res.status(200).json({
+            success: true,
+            message: "Scan the QR code with your authenticator app, then confirm with a code",
+            secret,
+            otpauthUrl: provisioningUri({ secret, accountName, issuer: ISSUER }),
+            issuer: ISSUER,
+            accountName,
+        });
+    } catch (error) {
+        console.error("2FA setup error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * POST /2fa/enable — Confirm enrolment with the first code
+ * Body: { code }
+ * Returns the recovery codes — the only time they are shown.
+ */
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const record = await TwoFactorAuth.findOne({ userId });
+        const secret = pendingSecretOf(record);
+
+        if (!secret || Date.now() - new Date(record.pendingCreatedAt).getTime() > PENDING_SETUP_TTL_MS) {
+            return res.status(400).json({ success: false, message: "Setup has expired. Please start again." });
+        }
+
+        const step = verifyTotp(secret, req.body?.code);
+        if (step === null) {
+            return res.status(400).json({ success: false, message: "Invalid authentication code" });
+        }
+
+        const { codes, hashed } = generateRecoveryCodes();
+        const isSwitch = !!record.enabledAt;
+        const now = new Date();
+
+        record.secretEncrypted = record.pendingSecretEncrypted;
+        record.secretIv = record.pendingSecretIv;
+        record.secretTag = record.pendingSecretTag;
+        record.enabledAt = now;
+        record.lastUsedStep = step;
+        record.recoveryCodes = hashed;
+        record.recoveryCodesGeneratedAt = now;
+        record.pendingSecretEncrypted = null;
+        record.pendingSecretIv = null;
+        record.pendingSecretTag = null;
+        record.pendingCreatedAt = null;
+        // A new authenticator invalidates devices remembered under the old one
+        if (isSwitch) record.rememberVersion = (record.rememberVersion || 0) + 1;
+        await record.save();
+
+        await User.updateOne({ _id: userId }, { $set: { twoFactorEnabled: true } });
+        console.log(`🔐 [2FA] ${isSwitch ? "Authenticator replaced" : "Enabled"} for user ${userId}`);
+
+        return res.status(200).json({
+            success: true,
+            message: "Two-factor authentication is on. Save these recovery codes somewhere safe.",
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error("2FA enable error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * POST /2fa/disable
+ * Body: { code } or { recoveryCode }
+ */
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        if (await isTwoFactorRequired(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: "Two-factor authentication is required for creators with a verified wallet",
+            });
+        }
+
+        const record = await TwoFactorAuth.findOne({ userId });
+        if (!record?.enabledAt) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+        }
+
+        const { code, recoveryCode } = req.body || {};
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ success: false, message: SECOND_FACTOR_REQUIRED });
+        }
+        const check = await verifySecondFactor(record, { code, recoveryCode });
+        if (!check.ok) return respondFactorFailure(res, check);
+
+        await TwoFactorAuth.deleteOne({ _id: record._id });
+        await User.updateOne({ _id: userId }, { $set: { twoFactorEnabled: false } });
+        clearTwoFactorRememberCookie(res);
+        console.log(`🔓 [2FA] Disabled for user ${userId}`);
+
+        return res.status(200).json({ success: true, message: "Two-factor authentication is off" });
+    } catch (error) {
+        console.error("2FA disable error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * POST /2fa/recovery-codes — Replace every recovery code
+ * Body: { code } or { recoveryCode }
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const record = await TwoFactorAuth.findOne({ userId });
+        if (!record?.enabledAt) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+        }
+
+        const { code, recoveryCode } = req.body || {};
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ success: false, message: SECOND_FACTOR_REQUIRED });
+        }
+        const check = await verifySecondFactor(record, { code, recoveryCode });
+        if (!check.ok) return respondFactorFailure(res, check);
+
+        const { codes, hashed } = generateRecoveryCodes();
+        await TwoFactorAuth.updateOne(
+            { _id: record._id },
+            { $set: { recoveryCodes: hashed, recoveryCodesGeneratedAt: new Date() } }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "New recovery codes generated. Your old codes no longer work.",
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error("2FA recovery codes error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * DELETE /2fa/remembered-devices — Every device asks for a code again at next sign-in
+ */
+export const forgetRememberedDevices = async (req, res) => {
+    try {
+        await TwoFactorAuth.updateOne({ userId: req.user.id }, { $inc: { rememberVersion: 1 } });
+        clearTwoFactorRememberCookie(res);
+        return res.status(200).json({ success: true, message: "Remembered devices cleared" });
+    } catch (error) {
+        console.error("2FA forget devices error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+/**
+ * POST /2fa/verify-login — Second sign-in step
+ * Body: { challengeToken, code | recoveryCode, rememberDevice? }
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode, rememberDevice: remember } = req.body || {};
+
+        const challenge = verifyLoginChallenge(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ success: false, message: "Sign-in has expired. Please sign in again." });
+        }
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ success: false, message: SECOND_FACTOR_REQUIRED });
+        }
+
+        const [user, record] = await Promise.all([
+            User.findById(challenge.userId),
+            TwoFactorAuth.findOne({ userId: challenge.userId }),
+        ]);
+        if (!user) return res.status(401).json({ success: false, message: "User not found" });
+
+        const check = await verifySecondFactor(record, { code, recoveryCode });
+        if (!check.ok) return respondFactorFailure(res, check, 401);
+
+        // First Google sign-in of an existing account — link it now that both factors passed
+        if (challenge.googleId && !user.googleId && !(await User.exists({ googleId: challenge.googleId }))) {
+            user.googleId = challenge.googleId;
+        }
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        const { accessToken, refreshToken, session } = await startAuthSession(req, res, user, { method: challenge.method });
+        if (remember === true) rememberDevice(res, record);
+
+        sendSigninAlert(req, user, session, {
+            method: challenge.method === "google" ? "Google Sign-In + Authenticator" : "Email & Password + Authenticator",
+            logTag: "2FA",
+        });
+
+        const { password, __v, ...safeUser } = user.toObject();
+        const response = {
+            success: true,
+            message: "Signin successful",
+            accessToken,
+            refreshToken,
+            user: safeUser,
+        };
+        if (check.method === "recovery") {
+            const fresh = await TwoFactorAuth.findById(record._id).select("recoveryCodes").lean();
+            response.recoveryCodesRemaining = remainingRecoveryCodes(fresh);
+        }
+
+        return res.status(200).json(response);
+    } catch (error) {
+        console.error("2FA verify-login error:", error);
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
@@ -1,5 +1,5 @@
 // UniversalTokenVerifier.js
-import jwt from "jsonwebtoken";
+import { verifyAccessToken } from "./services/cookieHelper.js";
 
 /**
  * Extract token from request — checks cookie first, then Authorization header.
@@ -27,8 +27,8 @@ export const universalTokenVerifier = async (req, res, next) => {
       return res.status(401).json({ message: "No token provided" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { id: decoded.userId };
+    const { userId, sid } = verifyAccessToken(token);
+    req.user = { id: userId, sessionId: sid };
     console.log(`✅ Token verified for user ID: ${req.user.id}`);
     next();
   } catch (error) {
@@ -49,8 +49,8 @@ export const optionalTokenVerifier = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { id: decoded.userId };
+    const { userId, sid } = verifyAccessToken(token);
+    req.user = { id: userId, sessionId: sid };
     next();
   } catch (error) {
     // Token invalid/expired, but we still continue without user
@@ -1,4 +1,5 @@
 import User from "../../models/user.model.js";
+import { syncChannelSearch } from "../../utils/searchIndex.js";
 
 /**
  * Generate a handle from a channel name
@@ -87,6 +88,7 @@ export const updateChannel = async (req, res) => {
         user.channelHandle = finalHandle;
         user.channelDescription = channelDescription ? channelDescription.trim() : "";
         await user.save();
+        syncChannelSearch(user._id);
 
         console.log("Channel updated for user:", userId, { channelName: user.channelName, channelHandle: user.channelHandle });
 
@@ -1,4 +1,4 @@
-import { getOtp, deleteOtp, markVerified } from './services/otpStore.js';
+import { verifyOtpCode, markVerified } from './services/otpStore.js';
 
 const verifyOtp = async (req, res) => {
     const { contact, otp } = req.body;
@@ -7,15 +7,18 @@ const verifyOtp = async (req, res) => {
         return res.status(400).json({ success: false, message: 'Contact and OTP are required' });
     }
 
-    const actualOtp = getOtp(contact);
+    const result = await verifyOtpCode(contact, otp);
 
-    if (!actualOtp) {
+    if (result === 'expired') {
         return res.status(400).json({ success: false, message: 'OTP has expired or was not requested' });
     }
 
-    if (actualOtp === String(otp).trim()) {
-        deleteOtp(contact);
-        markVerified(contact);
+    if (result === 'locked') {
+        return res.status(429).json({ success: false, message: 'Too many incorrect attempts. Please request a new OTP.' });
+    }
+
+    if (result === 'ok') {
+        await markVerified(contact);
         return res.status(200).json({ success: true, message: 'OTP verified successfully' });
     }
 
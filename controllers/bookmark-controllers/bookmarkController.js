@@ -12,6 +12,7 @@
 import Bookmark from '../../models/bookmark.model.js';
 import Content from '../../models/content.model.js';
 import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
 
 /**
  * Toggle bookmark — if already bookmarked, remove it; otherwise add it.
@@ -104,6 +105,9 @@ export const getBookmarksByType = async (req, res) => {
             .populate('userId', 'channelName channelHandle channelPicture profilePicture')
             .lean();
 
+        // PPV without an active rental / members-only without a live membership → no media URLs
+        const ppvAccessSet = await batchCheckPpvAccess(contents, userId);
+
         const contentMap = {};
         contents.forEach(c => {
             // Add CloudFront URLs
@@ -112,9 +116,10 @@ export const getBookmarksByType = async (req, res) => {
             if (c.imageKeys?.length) c.imageUrls = c.imageKeys.map(k => getCfUrl(k));
             const mediaKey = c.processedKey || c.originalKey;
 
-            // Determine if content is removed or a rental/PPV
+            // Determine if content is removed or gated (PPV / members-only) for this viewer
             const isRemoved = c.status === 'removed';
-            const isRental = c.visibility === 'pay_per_view';
+            const isLocked = isGatedContent(c) && !ppvAccessSet.has(c._id.toString());
+            if (c.visibility === 'pay_per_view') c.isRental = true;
 
             if (isRemoved) {
                 // Strip all media URLs — content no longer accessible
@@ -122,12 +127,12 @@ export const getBookmarksByType = async (req, res) => {
                 c.videoUrl = null;
                 c.audioUrl = null;
                 c.isRemoved = true;
-            } else if (isRental) {
-                // Strip media URLs for rentals so hover-play is blocked
+            } else if (isLocked) {
+                // Strip media URLs the viewer has no access to, so hover-play is blocked too
                 c.hlsMasterUrl = null;
                 c.videoUrl = null;
                 c.audioUrl = null;
-                c.isRental = true;
+                Object.assign(c, gateFlags(c));
             } else {
                 c.hlsMasterUrl = c.hlsMasterKey ? getCfHlsMasterUrl(c.hlsMasterKey) : null;
                 c.videoUrl = (c.contentType === 'video' || c.contentType === 'short') && mediaKey
@@ -5,6 +5,7 @@
  * Endpoints:
  * - GET /api/v2/channel/:channelName          - Get channel page data by channelName
  * - GET /api/v2/channel/:channelName/content   - Get channel content (popular/latest, by type)
+ * - GET /api/v2/channel/:channelName/playlists - Get channel's public playlists
  */
 
 import mongoose from 'mongoose';
@@ -12,11 +13,12 @@ import Content from '../../models/content.model.js';
 import User from '../../models/user.model.js';
 import Comment from '../../models/comment.model.js';
 import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
-import { batchCheckPpvAccess } from '../../utils/ppvGuard.js';
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
+import { getPublicPlaylistsForUser } from '../playlist-controllers/playlistController.js';
 
 /**
  * Get channel page data by channelName
- * Returns: channel info, subscriber count, content counts, roles, newest releases
+ * Returns: channel info, subscriber count, content counts, roles, newest releases, public playlists
  */
 export const getChannelPage = async (req, res) => {
     try {
@@ -52,7 +54,7 @@ export const getChannelPage = async (req, res) => {
 
         // Content counts by type (only public + completed)
         const contentCounts = await Content.aggregate([
-            { $match: { userId: user._id, status: 'completed', visibility: { $in: ['public', 'pay_per_view'] } } },
+            { $match: { userId: user._id, status: 'completed', visibility: { $in: ['public', 'pay_per_view', 'members_only'] } } },
             { $group: { _id: '$contentType', count: { $sum: 1 } } }
         ]);
 
@@ -63,7 +65,7 @@ export const getChannelPage = async (req, res) => {
         const newestReleases = await Content.find({
             userId: user._id,
             status: 'completed',
-            visibility: { $in: ['public', 'pay_per_view'] }
+            visibility: { $in: ['public', 'pay_per_view', 'members_only'] }
         })
             .sort({ createdAt: -1 })
             .limit(6)
@@ -87,21 +89,22 @@ export const getChannelPage = async (req, res) => {
                 audioUrl: item.contentType === 'audio' && mediaKey ? getCfUrl(mediaKey) : null,
                 visibility: item.visibility,
                 price: item.price,
+                membershipTierId: item.membershipTierId || null,
             });
         }));
 
-        // PPV: strip media URLs for items the viewer hasn't purchased
+        // PPV / members-only: strip media URLs for items the viewer hasn't unlocked
         const newestPpvAccess = await batchCheckPpvAccess(newestReleases, req.user?.id);
         const newestSanitized = newestWithUrls.map(item => {
-            if (item.visibility !== 'pay_per_view' || newestPpvAccess.has(item._id.toString())) return item;
-            return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ppvRequired: true };
+            if (!isGatedContent(item) || newestPpvAccess.has(item._id.toString())) return item;
+            return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ...gateFlags(item) };
         });
 
         // Popular content (top 6 by views, public only)
         const popularContent = await Content.find({
             userId: user._id,
             status: 'completed',
-            visibility: { $in: ['public', 'pay_per_view'] }
+            visibility: { $in: ['public', 'pay_per_view', 'members_only'] }
         })
             .sort({ views: -1 })
             .limit(6)
@@ -125,16 +128,20 @@ export const getChannelPage = async (req, res) => {
                 audioUrl: item.contentType === 'audio' && mediaKey ? getCfUrl(mediaKey) : null,
                 visibility: item.visibility,
                 price: item.price,
+                membershipTierId: item.membershipTierId || null,
             });
         }));
 
-        // PPV: strip media URLs for items the viewer hasn't purchased
+        // PPV / members-only: strip media URLs for items the viewer hasn't unlocked
         const popularPpvAccess = await batchCheckPpvAccess(popularContent, req.user?.id);
         const popularSanitized = popularWithUrls.map(item => {
-            if (item.visibility !== 'pay_per_view' || popularPpvAccess.has(item._id.toString())) return item;
-            return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ppvRequired: true };
+            if (!isGatedContent(item) || popularPpvAccess.has(item._id.toString())) return item;
+            return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ...gateFlags(item) };
         });
 
+        // Public playlists (most recently updated first)
+        const playlists = await getPublicPlaylistsForUser(user._id, 6);
+
         // Channel picture URL
         const channelPictureUrl = user.channelPicture
             ? getCfUrl(user.channelPicture)
@@ -162,6 +169,7 @@ export const getChannelPage = async (req, res) => {
             },
             newestReleases: newestSanitized,
             popularContent: popularSanitized,
+            playlists,
         });
     } catch (error) {
         console.error('❌ Error fetching channel page:', error);
@@ -199,7 +207,7 @@ export const getChannelContent = async (req, res) => {
             userId: user._id,
             contentType: type,
             status: 'completed',
-            visibility: { $in: ['public', 'pay_per_view'] }
+            visibility: { $in: ['public', 'pay_per_view', 'members_only'] }
         };
 
         const sortBy = sort === 'popular' ? { views: -1, likeCount: -1 } : sort === 'oldest' ? { createdAt: 1 } : { createdAt: -1 };
@@ -228,14 +236,15 @@ export const getChannelContent = async (req, res) => {
                 audioUrl: item.contentType === 'audio' && mediaKey ? getCfUrl(mediaKey) : null,
                 visibility: item.visibility,
                 price: item.price,
+                membershipTierId: item.membershipTierId || null,
             });
         }));
 
-        // PPV: strip media URLs for items the viewer hasn't purchased
+        // PPV / members-only: strip media URLs for items the viewer hasn't unlocked
         const contentPpvAccess = await batchCheckPpvAccess(contents, req.user?.id);
         const contentsSanitized = contentsWithUrls.map(item => {
-            if (item.visibility !== 'pay_per_view' || contentPpvAccess.has(item._id.toString())) return item;
-            return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ppvRequired: true };
+            if (!isGatedContent(item) || contentPpvAccess.has(item._id.toString())) return item;
+            return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ...gateFlags(item) };
         });
 
         res.json({
@@ -253,6 +262,33 @@ export const getChannelContent = async (req, res) => {
     }
 };
 
+/**
+ * Get a channel's public playlists
+ * GET /api/v2/channel/:channelIdentifier/playlists
+ */
+export const getChannelPlaylists = async (req, res) => {
+    try {
+        const { channelIdentifier } = req.params;
+
+        let user = await User.findOne({ channelHandle: channelIdentifier.toLowerCase() });
+        if (!user) {
+            user = await User.findOne({
+                channelName: { $regex: new RegExp(`^${channelIdentifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            });
+        }
+        if (!user && mongoose.Types.ObjectId.isValid(channelIdentifier)) {
+            user = await User.findById(channelIdentifier);
+        }
+        if (!user) return res.status(404).json({ error: 'Channel not found' });
+
+        const playlists = await getPublicPlaylistsForUser(user._id, 50);
+        res.json({ playlists });
+    } catch (error) {
+        console.error('❌ Error fetching channel playlists:', error);
+        res.status(500).json({ error: 'Failed to fetch channel playlists' });
+    }
+};
+
 /**
  * Check which followed channels have new content since a given date
  * POST /api/v2/channel/new-content-check
@@ -281,7 +317,7 @@ export const checkNewContent = async (req, res) => {
         const newContent = await Content.distinct('userId', {
             userId: { $in: validIds },
             createdAt: { $gt: sinceDate },
-            visibility: { $in: ['public', 'pay_per_view'] },
+            visibility: { $in: ['public', 'pay_per_view', 'members_only'] },
         });
 
         res.json({ channelsWithNew: newContent.map(id => id.toString()) });
@@ -11,12 +11,42 @@
  * - GET    /api/v2/chats/unread-count             — Get total unread count (chats + requests)
  * - POST   /api/v2/chats/mark-read/:conversationId — Mark all messages in a conversation as read
  * - GET    /api/v2/chats/search?q=handle          — Search conversations by handle name
+ *
+ * Writes are pushed to connected clients via utils/realtimeGateway.js (see chatStreamController.js).
  */
 
 import Conversation from '../../models/conversation.model.js';
 import Message from '../../models/message.model.js';
 import User from '../../models/user.model.js';
 import mongoose from 'mongoose';
+import { publishToUsers } from '../../utils/realtimeGateway.js';
+import InviteLink from '../../models/inviteLink.model.js';
+import {
+    GROUP_INVITE_ROLES,
+    MAX_ACTIVE_INVITES,
+    parseInviteInput,
+    inviteStatus,
+    activeInviteFilter,
+    formatInvite,
+    createInvite,
+    claimInviteUse,
+    releaseInviteUse,
+    recordRedemption,
+    listRedemptions,
+    isValidInviteCode
+} from '../../utils/inviteLinks.js';
+
+/**
+ * Users who should receive realtime events for a message: group members for
+ * group messages, otherwise both sides of the DM (sender included, for their other devices).
+ */
+async function getMessageAudience(message) {
+    if (message.conversationId) {
+        const conv = await Conversation.findById(message.conversationId).select('participants').lean();
+        return conv?.participants || [message.senderId];
+    }
+    return [message.senderId, message.recipientId];
+}
 
 /**
  * Send a message to a creator
@@ -60,6 +90,10 @@ export const sendMessage = async (req, res) => {
                 adminConv.lastMessage = { text: text.trim(), senderId, createdAt: new Date() };
                 adminConv.updatedAt = new Date();
                 await adminConv.save();
+                publishToUsers(adminConv.participants, 'message.new', {
+                    conversationId: adminConv._id,
+                    message: { _id: message._id, senderId, text: message.text, createdAt: message.createdAt }
+                });
                 return res.status(201).json({
                     message: 'Message sent',
                     data: {
@@ -129,6 +163,18 @@ export const sendMessage = async (req, res) => {
             accepted: conversation.accepted
         });
 
+        publishToUsers([senderId, recipientId], 'message.new', {
+            conversationId: conversation._id,
+            isRequest: !conversation.accepted,
+            message: {
+                _id: message._id,
+                senderId,
+                recipientId,
+                text: message.text,
+                createdAt: message.createdAt
+            }
+        });
+
         return res.status(201).json({
             message: 'Message sent',
             data: {
@@ -576,6 +622,13 @@ export const markConversationRead = async (req, res) => {
             );
         }
 
+        // Read receipt for the other side(s)
+        publishToUsers(
+            conversation.participants.filter(p => p.toString() !== userId),
+            'conversation.read',
+            { conversationId: conversation._id, userId, readAt: now }
+        );
+
         return res.json({ message: 'Conversation marked as read', readAt: now });
     } catch (error) {
         console.error('Error marking conversation as read:', error);
@@ -621,6 +674,13 @@ export const editMessage = async (req, res) => {
         message.editedAt = new Date();
         await message.save();
 
+        publishToUsers(await getMessageAudience(message), 'message.edited', {
+            conversationId: message.conversationId,
+            messageId: message._id,
+            text: message.text,
+            editedAt: message.editedAt
+        });
+
         return res.json({
             message: 'Message edited',
             data: { _id: message._id, text: message.text, editedAt: message.editedAt }
@@ -680,6 +740,12 @@ export const deleteMessage = async (req, res) => {
                 await conversation.save();
             }
 
+            publishToUsers(await getMessageAudience(message), 'message.deleted', {
+                conversationId: message.conversationId || conversation?._id || null,
+                messageId,
+                mode: 'forEveryone'
+            });
+
             return res.json({ message: 'Message deleted for everyone', messageId, mode: 'forEveryone' });
         }
 
@@ -689,6 +755,9 @@ export const deleteMessage = async (req, res) => {
         message.markModified('deletedBy');
         await message.save();
 
+        // Only the user's own devices need to hide it
+        publishToUsers([userId], 'message.deleted', { conversationId: message.conversationId, messageId, mode: 'forMe' });
+
         return res.json({ message: 'Message deleted for you', messageId, mode: 'forMe' });
     } catch (error) {
         console.error('Error deleting message:', error);
@@ -743,6 +812,9 @@ export const bulkDeleteMessages = async (req, res) => {
                 await msg.save();
             }
             results.deleted.push(msg._id);
+
+            const audience = mode === 'forEveryone' ? await getMessageAudience(msg) : [userId];
+            publishToUsers(audience, 'message.deleted', { conversationId: msg.conversationId, messageId: msg._id, mode });
         }
 
         return res.json({ message: 'Bulk delete complete', results, mode });
@@ -1144,6 +1216,11 @@ export const sendGroupMessage = async (req, res) => {
         conv.updatedAt = new Date();
         await conv.save();
 
+        publishToUsers(conv.participants, 'message.new', {
+            conversationId: conv._id,
+            message: { _id: message._id, senderId: userId, text: message.text, createdAt: message.createdAt }
+        });
+
         return res.status(201).json({
             message: 'Message sent',
             data: { messageId: message._id, conversationId, text: message.text, createdAt: message.createdAt }
@@ -1324,6 +1401,225 @@ export const getGroups = async (req, res) => {
     }
 };
 
+/* ─────────────────────────────────────────────────────────────────────────────
+   GROUP INVITE LINKS (see utils/inviteLinks.js)
+───────────────────────────────────────────────────────────────────────────── */
+
+const isGroupAdmin = (conv, userId) => conv.adminIds.some(a => a.toString() === userId);
+
+// The link's creator must still be an admin of the group
+const groupInviteCreatorIsAdmin = (conv, invite) =>
+    conv.participants.some(p => p.toString() === invite.createdBy.toString()) && isGroupAdmin(conv, invite.createdBy.toString());
+
+/**
+ * Create an invite link for a group. Admin only.
+ * POST /api/v2/chats/group/:conversationId/invites
+ * Body: { role?: 'MEMBER' | 'ADMIN', maxUses?, expiresInHours?, label? }
+ */
+export const createGroupInvite = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { conversationId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) return res.status(400).json({ message: 'Invalid group ID' });
+
+        const conv = await Conversation.findOne({ _id: conversationId, isGroup: true }).select('adminIds').lean();
+        if (!conv) return res.status(404).json({ message: 'Group not found' });
+        if (!isGroupAdmin(conv, userId)) return res.status(403).json({ message: 'Only admins can create invite links' });
+
+        const { fields, error } = parseInviteInput(req.body, { allowedRoles: GROUP_INVITE_ROLES });
+        if (error) return res.status(400).json({ message: error });
+
+        const activeCount = await InviteLink.countDocuments({ conversationId: conv._id, targetType: 'group_chat', ...activeInviteFilter() });
+        if (activeCount >= MAX_ACTIVE_INVITES) {
+            return res.status(400).json({ message: `A group can have at most ${MAX_ACTIVE_INVITES} active invite links. Revoke one first.` });
+        }
+
+        const invite = await createInvite({ ...fields, targetType: 'group_chat', conversationId: conv._id, createdBy: userId });
+        return res.status(201).json({ message: 'Invite link created', invite: formatInvite(invite) });
+    } catch (error) {
+        console.error('Error creating group invite:', error);
+        return res.status(500).json({ message: 'Failed to create invite link' });
+    }
+};
+
+/**
+ * List a group's invite links. Admin only.
+ * GET /api/v2/chats/group/:conversationId/invites?status=active|all
+ */
+export const listGroupInvites = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { conversationId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) return res.status(400).json({ message: 'Invalid group ID' });
+
+        const conv = await Conversation.findOne({ _id: conversationId, isGroup: true }).select('adminIds').lean();
+        if (!conv) return res.status(404).json({ message: 'Group not found' });
+        if (!isGroupAdmin(conv, userId)) return res.status(403).json({ message: 'Only admins can view invite links' });
+
+        const query = { conversationId: conv._id, targetType: 'group_chat' };
+        if (req.query.status !== 'all') Object.assign(query, activeInviteFilter());
+
+        const invites = await InviteLink.find(query)
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .populate('createdBy', 'userName channelName channelHandle channelPicture')
+            .lean();
+
+        return res.json({ items: invites.map(i => formatInvite(i)) });
+    } catch (error) {
+        console.error('Error listing group invites:', error);
+        return res.status(500).json({ message: 'Failed to list invite links' });
+    }
+};
+
+/**
+ * Revoke a group invite link. Admin only.
+ * DELETE /api/v2/chats/group/:conversationId/invites/:inviteId
+ */
+export const revokeGroupInvite = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { conversationId, inviteId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(conversationId) || !mongoose.Types.ObjectId.isValid(inviteId)) {
+            return res.status(400).json({ message: 'Invalid ID' });
+        }
+
+        const conv = await Conversation.findOne({ _id: conversationId, isGroup: true }).select('adminIds').lean();
+        if (!conv) return res.status(404).json({ message: 'Group not found' });
+        if (!isGroupAdmin(conv, userId)) return res.status(403).json({ message: 'Only admins can revoke invite links' });
+
+        const invite = await InviteLink.findOneAndUpdate(
+            { _id: inviteId, conversationId: conv._id, targetType: 'group_chat', revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: userId } },
+            { new: true }
+        ).lean();
+        if (!invite) return res.status(404).json({ message: 'Invite link not found or already revoked' });
+
+        return res.json({ message: 'Invite link revoked', invite: formatInvite(invite) });
+    } catch (error) {
+        console.error('Error revoking group invite:', error);
+        return res.status(500).json({ message: 'Failed to revoke invite link' });
+    }
+};
+
+/**
+ * Who joined a group through an invite link. Admin only.
+ * GET /api/v2/chats/group/:conversationId/invites/:inviteId/redemptions?page=1&limit=20
+ */
+export const getGroupInviteRedemptions = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { conversationId, inviteId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(conversationId) || !mongoose.Types.ObjectId.isValid(inviteId)) {
+            return res.status(400).json({ message: 'Invalid ID' });
+        }
+
+        const conv = await Conversation.findOne({ _id: conversationId, isGroup: true }).select('adminIds').lean();
+        if (!conv) return res.status(404).json({ message: 'Group not found' });
+        if (!isGroupAdmin(conv, userId)) return res.status(403).json({ message: 'Only admins can view invite links' });
+
+        const invite = await InviteLink.findOne({ _id: inviteId, conversationId: conv._id, targetType: 'group_chat' }).lean();
+        if (!invite) return res.status(404).json({ message: 'Invite link not found' });
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        return res.json({ invite: formatInvite(invite), ...(await listRedemptions(invite._id, { page, limit })) });
+    } catch (error) {
+        console.error('Error fetching group invite redemptions:', error);
+        return res.status(500).json({ message: 'Failed to fetch invite redemptions' });
+    }
+};
+
+/**
+ * Preview a group invite before joining.
+ * GET /api/v2/chats/group/invites/:code
+ */
+export const previewGroupInvite = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { code } = req.params;
+        if (!isValidInviteCode(code)) return res.status(404).json({ message: 'Invite link not found' });
+
+        const invite = await InviteLink.findOne({ code, targetType: 'group_chat' }).lean();
+        if (!invite) return res.status(404).json({ message: 'Invite link not found' });
+
+        const conv = await Conversation.findOne({ _id: invite.conversationId, isGroup: true })
+            .select('groupName groupPictureKey participants adminIds')
+            .lean();
+        if (!conv) return res.status(404).json({ message: 'Group not found' });
+
+        let status = inviteStatus(invite);
+        if (status === 'active' && !groupInviteCreatorIsAdmin(conv, invite)) status = 'revoked';
+
+        return res.json({
+            invite: { code: invite.code, role: invite.role, status, expiresAt: invite.expiresAt },
+            group: {
+                _id: conv._id,
+                groupName: conv.groupName,
+                groupPictureKey: conv.groupPictureKey,
+                memberCount: conv.participants.length
+            },
+            isMember: conv.participants.some(p => p.toString() === userId)
+        });
+    } catch (error) {
+        console.error('Error previewing group invite:', error);
+        return res.status(500).json({ message: 'Failed to load invite' });
+    }
+};
+
+/**
+ * Join a group through an invite link.
+ * POST /api/v2/chats/group/invites/:code/join
+ */
+export const joinGroupViaInvite = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { code } = req.params;
+        if (!isValidInviteCode(code)) return res.status(404).json({ message: 'Invite link not found' });
+
+        const invite = await InviteLink.findOne({ code, targetType: 'group_chat' }).lean();
+        if (!invite) return res.status(404).json({ message: 'Invite link not found' });
+
+        const status = inviteStatus(invite);
+        if (status !== 'active') {
+            const reasons = { revoked: 'This invite link was revoked', expired: 'This invite link has expired', used_up: 'This invite link has reached its maximum uses' };
+            return res.status(410).json({ message: reasons[status] });
+        }
+
+        const conv = await Conversation.findOne({ _id: invite.conversationId, isGroup: true }).select('participants adminIds').lean();
+        if (!conv) return res.status(404).json({ message: 'Group not found' });
+        if (!groupInviteCreatorIsAdmin(conv, invite)) return res.status(410).json({ message: 'This invite link is no longer valid' });
+        if (conv.participants.some(p => p.toString() === userId)) {
+            return res.json({ message: 'Already a member', conversationId: conv._id });
+        }
+
+        const claimed = await claimInviteUse(invite._id);
+        if (!claimed) return res.status(410).json({ message: 'This invite link is no longer valid' });
+
+        const uid = new mongoose.Types.ObjectId(userId);
+        const addToSet = { participants: uid };
+        if (invite.role === 'ADMIN') addToSet.adminIds = uid;
+        const joined = await Conversation.updateOne(
+            { _id: conv._id, isGroup: true, participants: { $ne: uid } },
+            {
+                $addToSet: addToSet,
+                $pull: { pendingInvites: { userId: uid } },
+                $set: { [`unreadCount.${userId}`]: 0 }
+            }
+        );
+        if (joined.modifiedCount === 0) {
+            await releaseInviteUse(invite._id);
+            return res.json({ message: 'Already a member', conversationId: conv._id });
+        }
+
+        await recordRedemption(invite, userId);
+        return res.status(201).json({ message: 'Joined group', conversationId: conv._id, role: invite.role });
+    } catch (error) {
+        console.error('Error joining group via invite:', error);
+        return res.status(500).json({ message: 'Failed to join group' });
+    }
+};
+
 /**
  * Search within a conversation's messages.
  * GET /api/v2/chats/conversation/:userId/search?q=...
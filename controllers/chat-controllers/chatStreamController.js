@@ -0,0 +1,88 @@
+/**
+ * Chat Stream Controller — realtime delivery over Server-Sent Events
+ *
+ * Endpoints:
+ * - GET  /api/v2/chats/stream                   — Open the event stream (cookie or Bearer auth)
+ * - POST /api/v2/chats/typing/:conversationId   — Broadcast a typing indicator (DM or group)
+ *
+ * Events pushed on the stream (event name → data):
+ * - ready                      { connectionId, topics }
+ * - message.new                { conversationId, message }
+ * - message.edited             { conversationId, messageId, text, editedAt }
+ * - message.deleted            { conversationId, messageId, mode }
+ * - conversation.read          { conversationId, userId, readAt }
+ * - typing                     { conversationId, userId, isTyping }
+ * - community.message.new      { communityId, message }
+ * - community.message.edited   { communityId, messageId, text, editedAt }
+ * - community.message.deleted  { communityId, messageId }
+ * - community.typing           { communityId, userId, isTyping }
+ * - community.left             { communityId, reason }  (left | banned | removed | deleted)
+ *
+ * Community topics are resolved at connect time; clients reconnect after joining a community.
+ * Leaving, being banned or removed, or the community being deleted drops the topic from
+ * open streams (community.left is sent as the last event for it).
+ */
+
+import mongoose from 'mongoose';
+import Conversation from '../../models/conversation.model.js';
+import CommunityMember from '../../models/communityMember.model.js';
+import { registerStream, publishToUsers, communityTopic } from '../../utils/realtimeGateway.js';
+
+/**
+ * Open the chat event stream
+ * GET /api/v2/chats/stream
+ */
+export const openChatStream = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const memberships = await CommunityMember.find({ userId, status: 'ACTIVE', role: { $ne: 'BANNED' } })
+            .select('communityId')
+            .lean();
+        const communityTopics = memberships.map(m => communityTopic(m.communityId.toString()));
+
+        const client = registerStream(req, res, userId, communityTopics);
+        if (!client) {
+            return res.status(429).json({ message: 'Too many open chat streams' });
+        }
+    } catch (error) {
+        console.error('Error opening chat stream:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ message: 'Failed to open chat stream' });
+        }
+        res.end();
+    }
+};
+
+/**
+ * Broadcast a typing indicator to the other participants of a conversation
+ * POST /api/v2/chats/typing/:conversationId
+ * Body: { isTyping: boolean }
+ */
+export const sendTypingIndicator = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { conversationId } = req.params;
+        const isTyping = req.body?.isTyping !== false;
+
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+            return res.status(400).json({ message: 'Invalid conversation ID' });
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            participants: new mongoose.Types.ObjectId(userId)
+        }).select('participants').lean();
+        if (!conversation) {
+            return res.status(404).json({ message: 'Conversation not found' });
+        }
+
+        const others = conversation.participants.filter(p => p.toString() !== userId);
+        publishToUsers(others, 'typing', { conversationId, userId, isTyping });
+
+        return res.status(204).end();
+    } catch (error) {
+        console.error('Error sending typing indicator:', error);
+        return res.status(500).json({ message: 'Failed to send typing indicator' });
+    }
+};
@@ -2,6 +2,9 @@ import Comment from "../../models/comment.model.js";
 import Content from "../../models/content.model.js";
 import User from "../../models/user.model.js";
 import mongoose from "mongoose";
+import { notify, resolveMentions } from "../../utils/notificationService.js";
+import { getMemberBadges } from "../../utils/memberships.js";
+import { emitWebhookEvent } from "../../utils/webhooks.js";
 
 /**
  * Helper function to find content by ID
@@ -22,6 +25,63 @@ async function findVideoOrContent(id) {
     return { item: null, modelType: null };
 }
 
+/**
+ * Notify the people a new (or edited) comment concerns:
+ * - the parent comment's author gets a comment_reply
+ * - newly @mentioned users get a mention (the parent author only gets the reply)
+ * Fire-and-forget — notify() never throws.
+ */
+async function notifyCommentActivity({ comment, content, actorId, parentComment = null, previousMentions = [] }) {
+    const snapshot = {
+        contentId: content._id,
+        commentId: comment._id,
+        title: content.title || '',
+        message: comment.text.slice(0, 300),
+    };
+
+    const parentAuthorId = parentComment?.userId?.toString() || null;
+    if (parentAuthorId) {
+        await notify({
+            type: 'comment_reply',
+            recipientIds: [parentAuthorId],
+            actorId,
+            fields: snapshot,
+        });
+    }
+
+    const alreadyMentioned = new Set(previousMentions.map(String));
+    const newMentions = (comment.mentions || [])
+        .map(String)
+        .filter(id => !alreadyMentioned.has(id) && id !== parentAuthorId);
+    if (newMentions.length > 0) {
+        await notify({
+            type: 'mention',
+            recipientIds: newMentions,
+            actorId,
+            fields: snapshot,
+            dedupeKey: () => `mention:${comment._id}`,
+        });
+    }
+}
+
+/**
+ * comment.posted webhook for the content owner (comments are public, so the text is included)
+ */
+function emitCommentPosted(comment, content, user) {
+    if (!content.userId) return;
+    emitWebhookEvent('comment.posted', {
+        creatorId: content.userId,
+        data: {
+            commentId: String(comment._id),
+            contentId: String(content._id),
+            title: content.title || '',
+            parentCommentId: comment.parentCommentId ? String(comment.parentCommentId) : null,
+            text: comment.text.slice(0, 300),
+            authorName: user.channelName || user.userName,
+        },
+    });
+}
+
 /**
  * POST /api/v2/video/:videoId/comments
  * POST /api/v2/content/:contentId/comments
@@ -66,11 +126,12 @@ export const createComment = async (req, res) => {
         console.log(`✅ [Comment] Found ${modelType}: ${videoId}`);
 
         // If reply, validate parent comment exists
+        let parentComment = null;
         if (parentCommentId) {
             if (!mongoose.Types.ObjectId.isValid(parentCommentId)) {
                 return res.status(400).json({ message: "Invalid parent comment ID" });
             }
-            const parentComment = await Comment.findById(parentCommentId);
+            parentComment = await Comment.findById(parentCommentId);
             if (!parentComment) {
                 return res.status(404).json({ message: "Parent comment not found" });
             }
@@ -89,11 +150,15 @@ export const createComment = async (req, res) => {
             onModel: modelType,
             userId,
             text: text.trim(),
-            parentCommentId: parentCommentId || null
+            parentCommentId: parentCommentId || null,
+            mentions: await resolveMentions(text)
         });
 
         console.log(`✅ [Comment] Comment created: ${newComment._id}`);
 
+        notifyCommentActivity({ comment: newComment, content: item, actorId: userId, parentComment });
+        emitCommentPosted(newComment, item, user);
+
         // If it's a reply, update parent's reply count
         if (parentCommentId) {
             await Comment.findByIdAndUpdate(
@@ -117,6 +182,7 @@ export const createComment = async (req, res) => {
                 userName: user.channelName || user.userName,
                 userProfilePic: user.channelPicture || null,
                 text: newComment.text,
+                mentions: newComment.mentions,
                 likeCount: 0,
                 replyCount: 0,
                 isEdited: false,
@@ -154,7 +220,7 @@ export const getComments = async (req, res) => {
         }
 
         // Check if comments are enabled on this content
-        const contentItem = await Content.findById(videoId).select('commentsEnabled').lean();
+        const contentItem = await Content.findById(videoId).select('commentsEnabled userId').lean();
         if (contentItem && contentItem.commentsEnabled === false) {
             return res.json({
                 comments: [],
@@ -198,14 +264,19 @@ export const getComments = async (req, res) => {
             userLikedCommentIds = userLikedCommentIds.map(c => c._id.toString());
         }
 
+        // Channel membership badges of the commenters on this creator's content
+        const memberBadges = await getMemberBadges(contentItem?.userId, comments.map(c => c.userId?._id || c.userId));
+
         // Format response with live user data (channelName & channelPicture)
         const formattedComments = comments.map(comment => {
             const currentUser = comment.userId; // populated user object
+            const commenterId = (currentUser?._id || comment.userId)?.toString();
             return {
                 ...comment,
                 userId: currentUser?._id || comment.userId, // restore userId as ID
                 userName: currentUser?.channelName || currentUser?.userName || "Deleted User", // live fetch only
                 userProfilePic: currentUser?.channelPicture || null, // only channelPicture, null if user deleted
+                memberBadge: memberBadges.get(commenterId) || null,
                 userLiked: userLikedCommentIds.includes(comment._id.toString())
             };
         });
@@ -271,14 +342,23 @@ export const getCommentReplies = async (req, res) => {
             userLikedReplyIds = userLikedReplyIds.map(r => r._id.toString());
         }
 
+        // Channel membership badges — replies share the parent comment's content
+        let memberBadges = new Map();
+        if (replies.length > 0) {
+            const content = await Content.findById(replies[0].videoId).select('userId').lean();
+            memberBadges = await getMemberBadges(content?.userId, replies.map(r => r.userId?._id || r.userId));
+        }
+
         // Format response with live user data (channelName & channelPicture)
         const formattedReplies = replies.map(reply => {
             const currentUser = reply.userId; // populated user object
+            const replierId = (currentUser?._id || reply.userId)?.toString();
             return {
                 ...reply,
                 userId: currentUser?._id || reply.userId, // restore userId as ID
                 userName: currentUser?.channelName || currentUser?.userName || "Deleted User", // live fetch only
                 userProfilePic: currentUser?.channelPicture || null, // only channelPicture, null if user deleted
+                memberBadge: memberBadges.get(replierId) || null,
                 userLiked: userLikedReplyIds.includes(reply._id.toString())
             };
         });
@@ -344,16 +424,25 @@ export const editComment = async (req, res) => {
         }
 
         // Update comment
+        const previousMentions = comment.mentions || [];
         comment.text = trimmedText;
+        comment.mentions = await resolveMentions(trimmedText);
         comment.isEdited = true;
         comment.editedAt = new Date();
         await comment.save();
 
+        // Only users mentioned for the first time by this edit are notified
+        const { item: content } = await findVideoOrContent(comment.videoId);
+        if (content) {
+            notifyCommentActivity({ comment, content, actorId: userId, previousMentions });
+        }
+
         res.json({
             message: "Comment updated successfully",
             comment: {
                 _id: comment._id,
                 text: comment.text,
+                mentions: comment.mentions,
                 isEdited: comment.isEdited,
                 editedAt: comment.editedAt
             }
@@ -460,6 +549,21 @@ export const likeComment = async (req, res) => {
 
         await comment.save();
 
+        if (userLikedIndex === -1) {
+            // One notification per liker per comment, even across like → unlike → like
+            notify({
+                type: 'comment_like',
+                recipientIds: [comment.userId],
+                actorId: userId,
+                fields: {
+                    contentId: comment.videoId,
+                    commentId: comment._id,
+                    message: comment.text.slice(0, 300),
+                },
+                dedupeKey: () => `comment_like:${comment._id}:${userId}`,
+            });
+        }
+
         res.json({
             message: userLikedIndex > -1 ? "Comment unliked" : "Comment liked",
             liked: userLikedIndex === -1,
@@ -519,11 +623,15 @@ export const replyToComment = async (req, res) => {
             onModel: modelType,
             userId,
             text: text.trim(),
-            parentCommentId: commentId
+            parentCommentId: commentId,
+            mentions: await resolveMentions(text)
         });
 
         console.log(`✅ [Reply] Reply created: ${newReply._id}`);
 
+        notifyCommentActivity({ comment: newReply, content: item, actorId: userId, parentComment });
+        emitCommentPosted(newReply, item, user);
+
         // Update parent comment's reply count
         await Comment.findByIdAndUpdate(
             commentId,
@@ -546,6 +654,7 @@ export const replyToComment = async (req, res) => {
                 userName: user.channelName || user.userName,
                 userProfilePic: user.channelPicture || null,
                 text: newReply.text,
+                mentions: newReply.mentions,
                 likeCount: 0,
                 likes: 0,
                 isEdited: false,
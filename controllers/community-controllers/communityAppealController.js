@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Appeal from '../../models/appeal.model.js';
+import CommunityMember from '../../models/communityMember.model.js';
+import { logAction, liftCommunityBan } from './communityController.js';
+import {
+    parseDecisionInput,
+    claimDecision,
+    revertDecision,
+    formatAppeal,
+    sendAppealDecidedEmails,
+} from '../../utils/appeals.js';
+
+// ═══════════════════════════════════════════════════
+// Helper: caller's OWNER membership, or null after responding 403
+// Ban appeals go to the owner, above the admins and moderators who ban.
+// ═══════════════════════════════════════════════════
+async function requireAppealReviewer(req, res) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid community ID' });
+        return null;
+    }
+    const callerMember = await CommunityMember.findOne({
+        communityId: id, userId: req.user?.id, status: 'ACTIVE', role: 'OWNER'
+    }).lean();
+    if (!callerMember) {
+        res.status(403).json({ error: 'Only the community owner can review ban appeals' });
+        return null;
+    }
+    return callerMember;
+}
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/appeals — Ban appeal queue
+// Query: status (pending|approved|rejected|all), overdue=true, page, limit
+// ═══════════════════════════════════════════════════
+export const listCommunityAppeals = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const callerMember = await requireAppealReviewer(req, res);
+        if (!callerMember) return;
+
+        const { status = 'pending', overdue } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const now = new Date();
+
+        const query = { communityId: id, type: 'community_ban' };
+        if (status !== 'all') query.status = status;
+        if (overdue === 'true') {
+            query.status = 'pending';
+            query.dueAt = { $lte: now };
+        }
+
+        const [appeals, total, overdueCount] = await Promise.all([
+            Appeal.find(query)
+                .sort(query.status === 'pending' ? { dueAt: 1 } : { createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('appellantId', 'userName channelName channelHandle channelPicture')
+                .populate('actionByUser', 'userName channelName channelHandle')
+                .lean(),
+            Appeal.countDocuments(query),
+            Appeal.countDocuments({ communityId: id, type: 'community_ban', status: 'pending', dueAt: { $lte: now } })
+        ]);
+
+        return res.json({
+            appeals: appeals.map(a => ({ ...formatAppeal(a, now), bannedBy: a.actionByUser })),
+            total,
+            overdueCount,
+            page,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error('listCommunityAppeals error:', error);
+        return res.status(500).json({ error: 'Failed to list appeals' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// POST /api/v2/communities/:id/appeals/:appealId/decide — Decide a ban appeal
+// Body: { decision: 'approved'|'rejected', note? } — approving lifts the ban
+// ═══════════════════════════════════════════════════
+export const decideCommunityAppeal = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { id, appealId } = req.params;
+        const callerMember = await requireAppealReviewer(req, res);
+        if (!callerMember) return;
+        if (!mongoose.Types.ObjectId.isValid(appealId)) return res.status(400).json({ error: 'Invalid appeal ID' });
+
+        const { decision, note, error } = parseDecisionInput(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const appeal = await Appeal.findOne({ _id: appealId, communityId: id, type: 'community_ban' }).lean();
+        if (!appeal) return res.status(404).json({ error: 'Appeal not found' });
+        if (appeal.status !== 'pending') return res.status(409).json({ error: `Appeal was already ${appeal.status}` });
+
+        const decided = await claimDecision(appeal._id, { decision, note, userId });
+        if (!decided) return res.status(409).json({ error: 'Appeal was decided by someone else' });
+
+        let membership = null;
+        if (decision === 'approved') {
+            try {
+                // null when the ban was already lifted by hand — nothing left to do
+                membership = await liftCommunityBan(id, decided.appellantId, userId, { appealId: decided._id });
+            } catch (liftError) {
+                await revertDecision(decided._id);
+                throw liftError;
+            }
+        }
+
+        await logAction(userId, id, decision === 'approved' ? 'appeal_approved' : 'appeal_rejected', {
+            appealId: decided._id, appellantId: decided.appellantId, note
+        });
+
+        sendAppealDecidedEmails(decided)
+            .catch(err => console.error('[AdminEmail] Failed to send appeal decision emails:', err.message));
+
+        return res.json({
+            message: decision === 'approved' ? 'Appeal approved. Ban lifted.' : 'Appeal rejected. Ban stays in place.',
+            appeal: formatAppeal(decided),
+            membership
+        });
+    } catch (error) {
+        console.error('decideCommunityAppeal error:', error);
+        return res.status(500).json({ error: 'Failed to decide appeal' });
+    }
+};
@@ -8,6 +8,9 @@ import Content from '../../models/content.model.js';
 import WatchHistory from '../../models/watchHistory.model.js';
 import User from '../../models/user.model.js';
 import ContentView from '../../models/contentView.model.js';
+import { publishToCommunity } from '../../utils/realtimeGateway.js';
+import { getMemberBadges } from '../../utils/memberships.js';
+import { runAutomod } from '../../utils/communityAutomod.js';
 
 const ROLE_HIERARCHY = { OWNER: 4, ADMIN: 3, MODERATOR: 2, MEMBER: 1, PENDING: 0, BANNED: -1 };
 
@@ -35,6 +38,14 @@ export const sendChatMessage = async (req, res) => {
         const membership = await getMembership(id, userId);
         if (!membership) return res.status(403).json({ error: 'Must be an active community member' });
         if (membership.role === 'BANNED') return res.status(403).json({ error: 'You are banned from this community' });
+        if (membership.mutedUntil && new Date(membership.mutedUntil) > new Date()) {
+            const remaining = Math.ceil((new Date(membership.mutedUntil) - new Date()) / 60000);
+            return res.status(403).json({ error: `You are muted for ${remaining} more minute(s)${membership.mutedReason ? `: ${membership.mutedReason}` : ''}` });
+        }
+
+        const community = await Community.findById(id).select('ownerId settings').lean();
+        const automod = await runAutomod(community, membership, text.trim(), { source: 'chat', slowMode: true });
+        if (!automod.allowed) return res.status(403).json({ error: automod.reason, automod: { rule: automod.rule } });
 
         const msg = await CommunityChat.create({
             communityId: id,
@@ -49,8 +60,12 @@ export const sendChatMessage = async (req, res) => {
             .populate('replyTo', 'text senderId')
             .lean();
 
-        // Attach sender role
+        // Attach sender role + channel membership badge of the community owner's channel
         populated.senderRole = membership.role;
+        const badges = await getMemberBadges(community?.ownerId, [userId]);
+        populated.memberBadge = badges.get(userId.toString()) || null;
+
+        publishToCommunity(id, 'community.message.new', { communityId: id, message: populated });
 
         return res.status(201).json({ message: populated });
     } catch (error) {
@@ -100,9 +115,14 @@ export const getChatMessages = async (req, res) => {
         const roleMap = {};
         memberships.forEach(m => { roleMap[m.userId.toString()] = m.role; });
 
+        // Channel membership badges (memberships of the community owner's channel)
+        const community = await Community.findById(id).select('ownerId').lean();
+        const memberBadges = await getMemberBadges(community?.ownerId, senderIds);
+
         messages.forEach(m => {
             if (m.senderId?._id) {
                 m.senderRole = roleMap[m.senderId._id.toString()] || 'MEMBER';
+                m.memberBadge = memberBadges.get(m.senderId._id.toString()) || null;
             }
             // Replace content of deleted messages
             if (m.deletedForEveryone) {
@@ -148,10 +168,21 @@ export const editChatMessage = async (req, res) => {
             return res.json({ message: msg });
         }
 
+        const [membership, community] = await Promise.all([
+            getMembership(id, userId),
+            Community.findById(id).select('settings').lean()
+        ]);
+        const automod = await runAutomod(community, membership, trimmedText, { source: 'chat', refId: msg._id });
+        if (!automod.allowed) return res.status(403).json({ error: automod.reason, automod: { rule: automod.rule } });
+
         msg.text = trimmedText;
         msg.editedAt = new Date();
         await msg.save();
 
+        publishToCommunity(id, 'community.message.edited', {
+            communityId: id, messageId: msg._id, text: msg.text, editedAt: msg.editedAt
+        });
+
         return res.json({ message: msg });
     } catch (error) {
         console.error('editChatMessage error:', error);
@@ -187,6 +218,8 @@ export const deleteChatMessage = async (req, res) => {
         msg.deletedBy = userId;
         await msg.save();
 
+        publishToCommunity(id, 'community.message.deleted', { communityId: id, messageId });
+
         return res.json({ message: 'Message deleted', messageId });
     } catch (error) {
         console.error('deleteChatMessage error:', error);
@@ -194,6 +227,31 @@ export const deleteChatMessage = async (req, res) => {
     }
 };
 
+// ═══════════════════════════════════════════════════
+// POST /api/v2/communities/:id/chat/typing — Broadcast typing indicator
+// ═══════════════════════════════════════════════════
+export const sendChatTyping = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { id } = req.params;
+        const isTyping = req.body?.isTyping !== false;
+
+        const membership = await getMembership(id, userId);
+        if (!membership || membership.role === 'BANNED') {
+            return res.status(403).json({ error: 'Must be an active community member' });
+        }
+
+        publishToCommunity(id, 'community.typing', { communityId: id, userId, isTyping });
+
+        return res.status(204).end();
+    } catch (error) {
+        console.error('sendChatTyping error:', error);
+        return res.status(500).json({ error: 'Failed to send typing indicator' });
+    }
+};
+
 // ═══════════════════════════════════════════════════
 // POST /api/v2/communities/report — Report content
 // ═══════════════════════════════════════════════════
@@ -6,6 +6,9 @@ import ContentToCommunity from '../../models/contentToCommunity.model.js';
 import Content from '../../models/content.model.js';
 import ActionLog from '../../models/actionLog.model.js';
 import User from '../../models/user.model.js';
+import CommunityPost from '../../models/communityPost.model.js';
+import { publishToCommunity, leaveCommunityTopic } from '../../utils/realtimeGateway.js';
+import { getAutomodSettings, normalizeAutomodSettings, applyWarningEscalation } from '../../utils/communityAutomod.js';
 
 /**
  * Helper: generate a URL-safe slug from a community name
@@ -571,6 +574,7 @@ export const leaveCommunity = async (req, res) => {
         }
 
         await CommunityMember.deleteOne({ communityId: id, userId });
+        leaveCommunityTopic(id, userId, 'left');
         await Community.findByIdAndUpdate(id, { $inc: { memberCount: -1 } });
         await logAction(userId, id, 'community_left', {});
 
@@ -697,6 +701,7 @@ export const banMember = async (req, res) => {
         targetMember.banReason = reason || null;
         targetMember.banExpiresAt = expiresAt ? new Date(expiresAt) : null;
         await targetMember.save();
+        leaveCommunityTopic(id, targetUserId, 'banned');
 
         await Community.findByIdAndUpdate(id, { $inc: { memberCount: -1 } });
         await logAction(userId, id, 'member_banned', {
@@ -1073,6 +1078,32 @@ export const getJoinedCommunities = async (req, res) => {
     }
 };
 
+/**
+ * Helper: lift a community ban (unbanMember and approved appeals).
+ * Returns the membership, or null when the user is not banned.
+ */
+async function liftCommunityBan(communityId, targetUserId, actorId, payload = {}) {
+    const targetMember = await CommunityMember.findOne({
+        communityId,
+        userId: targetUserId,
+        status: 'BANNED'
+    });
+    if (!targetMember) return null;
+
+    targetMember.role = 'MEMBER';
+    targetMember.status = 'ACTIVE';
+    targetMember.bannedAt = null;
+    targetMember.bannedBy = null;
+    targetMember.banReason = null;
+    targetMember.banExpiresAt = null;
+    await targetMember.save();
+
+    await Community.findByIdAndUpdate(communityId, { $inc: { memberCount: 1 } });
+    await logAction(actorId, communityId, 'member_unbanned', { unbannedUserId: targetUserId, ...payload });
+
+    return targetMember;
+}
+
 // ═══════════════════════════════════════════════════
 // POST /api/v2/communities/:id/unban/:targetUserId — Unban a member
 // ═══════════════════════════════════════════════════
@@ -1092,27 +1123,11 @@ export const unbanMember = async (req, res) => {
             return res.status(403).json({ error: 'Only owners and admins can unban members' });
         }
 
-        const targetMember = await CommunityMember.findOne({
-            communityId: id,
-            userId: targetUserId,
-            status: 'BANNED'
-        });
-
+        const targetMember = await liftCommunityBan(id, targetUserId, userId);
         if (!targetMember) {
             return res.status(404).json({ error: 'Banned member not found' });
         }
 
-        targetMember.role = 'MEMBER';
-        targetMember.status = 'ACTIVE';
-        targetMember.bannedAt = null;
-        targetMember.bannedBy = null;
-        targetMember.banReason = null;
-        targetMember.banExpiresAt = null;
-        await targetMember.save();
-
-        await Community.findByIdAndUpdate(id, { $inc: { memberCount: 1 } });
-        await logAction(userId, id, 'member_unbanned', { unbannedUserId: targetUserId });
-
         return res.json({ message: 'Member unbanned', membership: targetMember });
     } catch (error) {
         console.error('unbanMember error:', error);
@@ -1396,8 +1411,66 @@ export const getRules = async (req, res) => {
     }
 };
 
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/automod — Automod rules (moderators and up)
+// ═══════════════════════════════════════════════════
+export const getAutomod = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { id } = req.params;
+
+        const callerMember = await CommunityMember.findOne({
+            communityId: id, userId, status: 'ACTIVE',
+            role: { $in: ['OWNER', 'ADMIN', 'MODERATOR'] }
+        }).lean();
+        if (!callerMember) return res.status(403).json({ error: 'Only moderators, admins, and the owner can view automod rules' });
+
+        const community = await Community.findById(id).select('settings').lean();
+        if (!community) return res.status(404).json({ error: 'Community not found' });
+
+        return res.json({ automod: getAutomodSettings(community) });
+    } catch (error) {
+        console.error('getAutomod error:', error);
+        return res.status(500).json({ error: 'Failed to get automod rules' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// PUT /api/v2/communities/:id/automod — Update automod rules (partial; omitted rules are kept)
+// ═══════════════════════════════════════════════════
+export const updateAutomod = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { id } = req.params;
+
+        // Only OWNER and ADMIN can configure automod
+        const callerMember = await CommunityMember.findOne({
+            communityId: id, userId, status: 'ACTIVE',
+            role: { $in: ['OWNER', 'ADMIN'] }
+        }).lean();
+        if (!callerMember) return res.status(403).json({ error: 'Only owners and admins can configure automod' });
+
+        const community = await Community.findById(id).select('settings').lean();
+        if (!community) return res.status(404).json({ error: 'Community not found' });
+
+        const { settings, error } = normalizeAutomodSettings(req.body?.automod ?? req.body, getAutomodSettings(community));
+        if (error) return res.status(400).json({ error });
+
+        await Community.updateOne({ _id: id }, { $set: { 'settings.automod': settings } });
+        await logAction(userId, id, 'automod_updated', {
+            enabled: settings.enabled,
+            rules: Object.keys(settings).filter(rule => settings[rule]?.enabled)
+        });
+
+        return res.json({ message: 'Automod rules updated', automod: settings });
+    } catch (error) {
+        console.error('updateAutomod error:', error);
+        return res.status(500).json({ error: 'Failed to update automod rules' });
+    }
+};
+
 // Export helpers for use in other controllers
-export { checkPostingAuth, logAction };
+export { checkPostingAuth, logAction, liftCommunityBan };
 
 // ═══════════════════════════════════════════════════
 // POST /api/v2/communities/:id/remove/:targetUserId — Remove a member
@@ -1437,6 +1510,7 @@ export const removeMember = async (req, res) => {
         }
 
         await CommunityMember.deleteOne({ _id: targetMember._id });
+        leaveCommunityTopic(id, targetMember.userId, 'removed');
         if (targetMember.status === 'ACTIVE') {
             await Community.findByIdAndUpdate(id, { $inc: { memberCount: -1 } });
         }
@@ -1720,6 +1794,7 @@ export const deleteCommunity = async (req, res) => {
         await community.save();
 
         await CommunityMember.updateMany({ communityId: id, status: 'ACTIVE' }, { status: 'BANNED' });
+        leaveCommunityTopic(id, null, 'deleted');
         await logAction(userId, id, 'community_deleted', { communityName: community.name });
 
         return res.json({ message: 'Community deleted. It will be permanently removed after 30 days.', deletedAt: community.deletedAt });
@@ -1731,14 +1806,15 @@ export const deleteCommunity = async (req, res) => {
 
 // ═══════════════════════════════════════════════════
 // POST /api/v2/communities/:id/moderate-content — Remove content with rule citation
+// Body: { contentId } for shared content or { postId } for a poll, event or announcement
 // ═══════════════════════════════════════════════════
 export const moderateContent = async (req, res) => {
     try {
         const userId = req.user?.id;
         const { id } = req.params;
-        const { contentId, ruleIndex, reason } = req.body;
+        const { contentId, postId, ruleIndex, reason } = req.body;
 
-        if (!contentId) return res.status(400).json({ error: 'contentId is required' });
+        if (!contentId && !postId) return res.status(400).json({ error: 'contentId or postId is required' });
 
         const callerMember = await CommunityMember.findOne({
             communityId: id, userId, status: 'ACTIVE',
@@ -1747,8 +1823,15 @@ export const moderateContent = async (req, res) => {
 
         if (!callerMember) return res.status(403).json({ error: 'Only moderators, admins, and the owner can moderate content' });
 
-        const link = await ContentToCommunity.findOne({ communityId: id, contentId });
-        if (!link) return res.status(404).json({ error: 'Content not found in this community' });
+        let post = null;
+        if (postId) {
+            if (!mongoose.Types.ObjectId.isValid(postId)) return res.status(400).json({ error: 'Invalid post ID' });
+            post = await CommunityPost.findOne({ _id: postId, communityId: id, status: 'active' }).lean();
+            if (!post) return res.status(404).json({ error: 'Post not found in this community' });
+        } else {
+            const link = await ContentToCommunity.findOne({ communityId: id, contentId });
+            if (!link) return res.status(404).json({ error: 'Content not found in this community' });
+        }
 
         let ruleTitle = null;
         if (ruleIndex !== null && ruleIndex !== undefined) {
@@ -1756,10 +1839,29 @@ export const moderateContent = async (req, res) => {
             if (community?.rules?.[ruleIndex]) ruleTitle = community.rules[ruleIndex].title;
         }
 
+        const CommunityModerationAction = (await import('../../models/communityModerationAction.model.js')).default;
+
+        if (post) {
+            await CommunityPost.updateOne({ _id: post._id }, {
+                $set: {
+                    status: 'removed', removedAt: new Date(), removedBy: userId,
+                    removalReason: reason || (ruleTitle ? `Violation of rule: ${ruleTitle}` : ''), pinned: false
+                }
+            });
+            await CommunityModerationAction.create({
+                communityId: id, actionBy: userId, targetUserId: post.authorId, targetPostId: post._id,
+                actionType: 'post_removed', ruleIndex: ruleIndex ?? null, ruleTitle, reason: reason || '',
+                metadata: { postType: post.type }
+            });
+            publishToCommunity(id, 'community.post.removed', { communityId: id, postId: post._id });
+
+            await logAction(userId, id, 'post_moderated', { postId: post._id, postType: post.type, ruleIndex, ruleTitle, reason });
+            return res.json({ message: 'Post removed from community', ruleTitle });
+        }
+
         await ContentToCommunity.deleteOne({ communityId: id, contentId });
         await Community.findByIdAndUpdate(id, { $inc: { contentCount: -1 } });
 
-        const CommunityModerationAction = (await import('../../models/communityModerationAction.model.js')).default;
         await CommunityModerationAction.create({
             communityId: id, actionBy: userId, targetContentId: contentId,
             actionType: 'content_removed', ruleIndex: ruleIndex ?? null, ruleTitle, reason: reason || ''
@@ -1821,7 +1923,12 @@ export const warnMember = async (req, res) => {
         });
 
         await logAction(userId, id, 'member_warned', { targetUserId, ruleIndex, ruleTitle, reason });
-        return res.json({ message: 'Warning issued', warningCount: targetMember.warnings.length, ruleTitle });
+
+        // Automod escalation counts moderator warnings too
+        const community = await Community.findById(id).select('settings').lean();
+        const autoMute = community ? await applyWarningEscalation(community, targetUserId) : null;
+
+        return res.json({ message: 'Warning issued', warningCount: targetMember.warnings.length, ruleTitle, autoMute });
     } catch (error) {
         console.error('warnMember error:', error);
         return res.status(500).json({ error: 'Failed to issue warning' });
@@ -1905,6 +2012,7 @@ export const getModerationLog = async (req, res) => {
                 .sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit))
                 .populate('actionBy', 'userName channelName channelPicture')
                 .populate('targetUserId', 'userName channelName channelPicture')
+                .populate('targetPostId', 'type title')
                 .lean(),
             CommunityModerationAction.countDocuments({ communityId: id })
         ]);
@@ -4,10 +4,15 @@ import CommunityMember from '../../models/communityMember.model.js';
 import ContentToCommunity from '../../models/contentToCommunity.model.js';
 import Content from '../../models/content.model.js';
 import ActionLog from '../../models/actionLog.model.js';
+import CommunityPost from '../../models/communityPost.model.js';
 import { checkPostingAuth, logAction } from './communityController.js';
+import { formatPostsForViewer } from '../../utils/communityPosts.js';
+import { runAutomod } from '../../utils/communityAutomod.js';
 
 // ═══════════════════════════════════════════════════
 // GET /api/v2/communities/feed — Mixed community feed
+// Shared content and community posts (polls, events, announcements) are merged
+// newest-first; a single community's first page also returns its pinned announcements.
 // ═══════════════════════════════════════════════════
 export const getCommunityFeed = async (req, res) => {
     try {
@@ -17,7 +22,7 @@ export const getCommunityFeed = async (req, res) => {
             communityId,           // specific community filter
             cursor,                // cursor for pagination (contentId)
             limit = 20,
-            contentType            // optional: video | short | audio | post
+            contentType            // optional: video | short | audio | post (excludes community posts)
         } = req.query;
 
         const pageLimit = Math.min(parseInt(limit) || 20, 50);
@@ -87,18 +92,55 @@ export const getCommunityFeed = async (req, res) => {
         }
 
         // Fetch linked content IDs with community info
-        const links = await ContentToCommunity.find(ctcQuery)
+        let links = await ContentToCommunity.find(ctcQuery)
             .sort({ createdAt: -1 })
             .limit(pageLimit + 1)
             .lean();
 
-        const hasMore = links.length > pageLimit;
-        if (hasMore) links.pop();
+        // ── Community posts share the stream unless a contentType is requested ──
+        // Both collections page on _id, so one cursor covers the merged stream.
+        const includePosts = !contentType;
+        let posts = [];
+        let pinned;
+        if (includePosts) {
+            const postQuery = { communityId: { $in: targetCommunityIds }, status: 'active' };
+            if (cursor) postQuery._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+            if (filter === 'my_posts') postQuery.authorId = userId || null;
+            // Pinned announcements sit above a single community's feed instead of in it
+            if (communityId) postQuery.pinned = { $ne: true };
+
+            posts = await CommunityPost.find(postQuery)
+                .sort({ _id: -1 })
+                .limit(pageLimit + 1)
+                .populate('authorId', 'userName channelName channelPicture channelHandle')
+                .lean();
+
+            if (communityId && !cursor) {
+                const pinnedPosts = await CommunityPost.find({ communityId: targetCommunityIds[0], status: 'active', pinned: true })
+                    .sort({ pinnedAt: -1 })
+                    .populate('authorId', 'userName channelName channelPicture channelHandle')
+                    .lean();
+                pinned = await formatPostsForViewer(pinnedPosts, userId);
+            }
+        }
 
-        if (links.length === 0) {
-            return res.json({ feed: [], nextCursor: null });
+        const page = [
+            ...links.map(link => ({ id: link._id.toString(), link })),
+            ...posts.map(post => ({ id: post._id.toString(), post }))
+        ].sort((a, b) => (a.id < b.id ? 1 : -1)).slice(0, pageLimit + 1);
+
+        const hasMore = page.length > pageLimit;
+        if (hasMore) page.pop();
+
+        if (page.length === 0) {
+            return res.json({ feed: [], ...(pinned ? { pinned } : {}), nextCursor: null });
         }
 
+        links = page.filter(e => e.link).map(e => e.link);
+        const formattedPosts = new Map();
+        (await formatPostsForViewer(page.filter(e => e.post).map(e => e.post), userId))
+            .forEach(p => formattedPosts.set(p._id.toString(), p));
+
         const contentIds = [...new Set(links.map(l => l.contentId.toString()))];
 
         // Fetch content
@@ -117,7 +159,7 @@ export const getCommunityFeed = async (req, res) => {
         contents.forEach(c => { contentMap[c._id.toString()] = c; });
 
         // ── Get community details for enrichment ──
-        const communityIds = [...new Set(links.map(l => l.communityId.toString()))];
+        const communityIds = [...new Set(page.map(e => (e.link || e.post).communityId.toString()))];
         const communities = await Community.find({
             _id: { $in: communityIds.map(id => new mongoose.Types.ObjectId(id)) }
         }).select('name slug communityId type importedVisibility importedAt importedContentFlag avatarUrl').lean();
@@ -138,13 +180,27 @@ export const getCommunityFeed = async (req, res) => {
         const feed = [];
         const seenContentIds = new Set(); // Prevent duplicate content from multi-community membership
 
-        for (const link of links) {
+        for (const entry of page) {
+            const community = communityMap[(entry.link || entry.post).communityId.toString()];
+            if (!community) continue;
+
+            if (entry.post) {
+                const feedItem = formattedPosts.get(entry.id);
+                if (communityId) {
+                    feedItem.communityName = community.name;
+                    feedItem.communitySlug = community.slug;
+                    feedItem.communityHandle = community.communityId;
+                    feedItem.communityType = community.type;
+                    feedItem.communityAvatarUrl = community.avatarUrl;
+                }
+                feed.push(feedItem);
+                continue;
+            }
+
+            const link = entry.link;
             const content = contentMap[link.contentId.toString()];
             if (!content) continue;
 
-            const community = communityMap[link.communityId.toString()];
-            if (!community) continue;
-
             // Skip removed or private content
             if (content.visibility === 'private') continue;
             if (content.status === 'removed') continue;
@@ -210,7 +266,8 @@ export const getCommunityFeed = async (req, res) => {
 
         return res.json({
             feed,
-            nextCursor: hasMore && links.length > 0 ? links[links.length - 1]._id : null
+            ...(pinned ? { pinned } : {}),
+            nextCursor: hasMore ? page[page.length - 1].id : null
         });
     } catch (error) {
         console.error('getCommunityFeed error:', error);
@@ -250,7 +307,8 @@ export const postContentToCommunities = async (req, res) => {
             return res.status(400).json({ error: 'One or more communities not found' });
         }
 
-        // Check posting auth for ALL communities before creating any links
+        // Check posting auth and automod for ALL communities before creating any links
+        const automodText = [content.title, content.description].filter(Boolean).join('\n');
         for (const community of communities) {
             const authResult = await checkPostingAuth(userId, community);
             if (!authResult.allowed) {
@@ -258,6 +316,13 @@ export const postContentToCommunities = async (req, res) => {
                     error: `Not authorized to post to "${community.name}": ${authResult.reason}`
                 });
             }
+            const automod = await runAutomod(community, authResult.member, automodText, { source: 'content', refId: content._id });
+            if (!automod.allowed) {
+                return res.status(403).json({
+                    error: `Blocked by automod in "${community.name}": ${automod.reason}`,
+                    automod: { rule: automod.rule, communityId: community._id }
+                });
+            }
         }
 
         // Create links
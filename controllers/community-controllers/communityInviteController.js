@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import Community from '../../models/community.model.js';
+import CommunityMember from '../../models/communityMember.model.js';
+import InviteLink from '../../models/inviteLink.model.js';
+import User from '../../models/user.model.js';
+import { logAction } from './communityController.js';
+import {
+    COMMUNITY_INVITE_ROLES,
+    MAX_ACTIVE_INVITES,
+    parseInviteInput,
+    inviteStatus,
+    activeInviteFilter,
+    formatInvite,
+    createInvite,
+    claimInviteUse,
+    releaseInviteUse,
+    recordRedemption,
+    listRedemptions,
+    isValidInviteCode,
+} from '../../utils/inviteLinks.js';
+
+// ═══════════════════════════════════════════════════
+// Helper: caller's OWNER/ADMIN membership, or null after responding 403
+// ═══════════════════════════════════════════════════
+async function requireInviteManager(req, res) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid community ID' });
+        return null;
+    }
+    const callerMember = await CommunityMember.findOne({
+        communityId: id, userId: req.user?.id, status: 'ACTIVE',
+        role: { $in: ['OWNER', 'ADMIN'] }
+    }).lean();
+    if (!callerMember) {
+        res.status(403).json({ error: 'Only owners and admins can manage invite links' });
+        return null;
+    }
+    return callerMember;
+}
+
+// ADMIN invites are owner-only; admins can invite members and moderators
+const rolesFor = (callerRole) => (callerRole === 'OWNER' ? COMMUNITY_INVITE_ROLES : ['MEMBER', 'MODERATOR']);
+
+// ═══════════════════════════════════════════════════
+// Helper: the link's creator must still be allowed to create it
+// ═══════════════════════════════════════════════════
+async function creatorStillAuthorized(invite) {
+    const creator = await CommunityMember.findOne({
+        communityId: invite.communityId, userId: invite.createdBy, status: 'ACTIVE',
+        role: { $in: ['OWNER', 'ADMIN'] }
+    }).select('role').lean();
+    return Boolean(creator && rolesFor(creator.role).includes(invite.role));
+}
+
+// ═══════════════════════════════════════════════════
+// POST /api/v2/communities/:id/invites — Create an invite link
+// Body: { role?, maxUses?, expiresInHours?, label? }
+// ═══════════════════════════════════════════════════
+export const createCommunityInvite = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { id } = req.params;
+
+        const callerMember = await requireInviteManager(req, res);
+        if (!callerMember) return;
+
+        const community = await Community.findOne({ _id: id, deleted: { $ne: true } }).select('_id').lean();
+        if (!community) return res.status(404).json({ error: 'Community not found' });
+
+        const { fields, error } = parseInviteInput(req.body, { allowedRoles: rolesFor(callerMember.role) });
+        if (error) return res.status(400).json({ error });
+
+        const activeCount = await InviteLink.countDocuments({ communityId: id, targetType: 'community', ...activeInviteFilter() });
+        if (activeCount >= MAX_ACTIVE_INVITES) {
+            return res.status(400).json({ error: `A community can have at most ${MAX_ACTIVE_INVITES} active invite links. Revoke one first.` });
+        }
+
+        const invite = await createInvite({ ...fields, targetType: 'community', communityId: id, createdBy: userId });
+        await logAction(userId, id, 'invite_created', {
+            inviteId: invite._id, role: invite.role, maxUses: invite.maxUses, expiresAt: invite.expiresAt
+        });
+
+        return res.status(201).json({ message: 'Invite link created', invite: formatInvite(invite) });
+    } catch (error) {
+        console.error('createCommunityInvite error:', error);
+        return res.status(500).json({ error: 'Failed to create invite link' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/invites — List invite links (?status=active|all)
+// ═══════════════════════════════════════════════════
+export const listCommunityInvites = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const callerMember = await requireInviteManager(req, res);
+        if (!callerMember) return;
+
+        const query = { communityId: id, targetType: 'community' };
+        if (req.query.status !== 'all') Object.assign(query, activeInviteFilter());
+
+        const invites = await InviteLink.find(query)
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .populate('createdBy', 'userName channelName channelHandle channelPicture')
+            .lean();
+
+        return res.json({ invites: invites.map(i => formatInvite(i)) });
+    } catch (error) {
+        console.error('listCommunityInvites error:', error);
+        return res.status(500).json({ error: 'Failed to list invite links' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// DELETE /api/v2/communities/:id/invites/:inviteId — Revoke an invite link
+// ═══════════════════════════════════════════════════
+export const revokeCommunityInvite = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { id, inviteId } = req.params;
+
+        const callerMember = await requireInviteManager(req, res);
+        if (!callerMember) return;
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) return res.status(400).json({ error: 'Invalid invite ID' });
+
+        const invite = await InviteLink.findOneAndUpdate(
+            { _id: inviteId, communityId: id, targetType: 'community', revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: userId } },
+            { new: true }
+        ).lean();
+        if (!invite) return res.status(404).json({ error: 'Invite link not found or already revoked' });
+
+        await logAction(userId, id, 'invite_revoked', { inviteId: invite._id, uses: invite.uses });
+        return res.json({ message: 'Invite link revoked', invite: formatInvite(invite) });
+    } catch (error) {
+        console.error('revokeCommunityInvite error:', error);
+        return res.status(500).json({ error: 'Failed to revoke invite link' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/invites/:inviteId/redemptions — Who joined through a link
+// ═══════════════════════════════════════════════════
+export const getCommunityInviteRedemptions = async (req, res) => {
+    try {
+        const { id, inviteId } = req.params;
+        const callerMember = await requireInviteManager(req, res);
+        if (!callerMember) return;
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) return res.status(400).json({ error: 'Invalid invite ID' });
+
+        const invite = await InviteLink.findOne({ _id: inviteId, communityId: id, targetType: 'community' }).lean();
+        if (!invite) return res.status(404).json({ error: 'Invite link not found' });
+
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        return res.json({ invite: formatInvite(invite), ...(await listRedemptions(invite._id, { page, limit })) });
+    } catch (error) {
+        console.error('getCommunityInviteRedemptions error:', error);
+        return res.status(500).json({ error: 'Failed to get invite redemptions' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/invites/:code — Preview an invite before accepting
+// ═══════════════════════════════════════════════════
+export const previewCommunityInvite = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { code } = req.params;
+        if (!isValidInviteCode(code)) return res.status(404).json({ error: 'Invite link not found' });
+
+        const invite = await InviteLink.findOne({ code, targetType: 'community' }).lean();
+        if (!invite) return res.status(404).json({ error: 'Invite link not found' });
+
+        const community = await Community.findOne({ _id: invite.communityId, deleted: { $ne: true } })
+            .select('name slug communityId description type avatarUrl bannerUrl memberCount')
+            .lean();
+        if (!community) return res.status(404).json({ error: 'Community not found' });
+
+        let status = inviteStatus(invite);
+        if (status === 'active' && !await creatorStillAuthorized(invite)) status = 'revoked';
+
+        const membership = userId
+            ? await CommunityMember.findOne({ communityId: community._id, userId }).select('status role').lean()
+            : null;
+
+        return res.json({
+            invite: { code: invite.code, role: invite.role, status, expiresAt: invite.expiresAt },
+            community,
+            membership: membership ? { status: membership.status, role: membership.role } : null
+        });
+    } catch (error) {
+        console.error('previewCommunityInvite error:', error);
+        return res.status(500).json({ error: 'Failed to load invite' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// POST /api/v2/communities/invites/:code/accept — Join through an invite link
+// Skips private-community approval; pending requests are approved.
+// ═══════════════════════════════════════════════════
+export const acceptCommunityInvite = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { code } = req.params;
+        if (!isValidInviteCode(code)) return res.status(404).json({ error: 'Invite link not found' });
+
+        const invite = await InviteLink.findOne({ code, targetType: 'community' }).lean();
+        if (!invite) return res.status(404).json({ error: 'Invite link not found' });
+
+        const status = inviteStatus(invite);
+        if (status !== 'active') {
+            const reasons = { revoked: 'This invite link was revoked', expired: 'This invite link has expired', used_up: 'This invite link has reached its maximum uses' };
+            return res.status(410).json({ error: reasons[status] });
+        }
+        if (!await creatorStillAuthorized(invite)) return res.status(410).json({ error: 'This invite link is no longer valid' });
+
+        const community = await Community.findOne({ _id: invite.communityId, deleted: { $ne: true } }).lean();
+        if (!community) return res.status(404).json({ error: 'Community not found' });
+
+        // Same profile requirement as joinCommunity
+        const user = await User.findById(userId).select('channelName channelHandle').lean();
+        if (!user || !user.channelName || !user.channelHandle) {
+            return res.status(400).json({
+                error: 'You must create a profile before joining a community. Visit the profile page to get started.'
+            });
+        }
+
+        const existing = await CommunityMember.findOne({ communityId: community._id, userId }).lean();
+        if (existing?.status === 'BANNED') return res.status(403).json({ error: 'You are banned from this community' });
+        if (existing?.status === 'ACTIVE') return res.json({ message: 'Already a member', membership: existing });
+
+        const claimed = await claimInviteUse(invite._id);
+        if (!claimed) return res.status(410).json({ error: 'This invite link is no longer valid' });
+
+        const now = new Date();
+        let membership;
+        try {
+            if (existing) {
+                // Pending join request — the invite approves it
+                membership = await CommunityMember.findOneAndUpdate(
+                    { _id: existing._id, status: 'PENDING' },
+                    { $set: { status: 'ACTIVE', role: invite.role, joinSource: 'invite', inviteId: invite._id, joinedAt: now } },
+                    { new: true }
+                ).lean();
+            } else {
+                membership = (await CommunityMember.create({
+                    communityId: community._id,
+                    userId,
+                    role: invite.role,
+                    status: 'ACTIVE',
+                    joinSource: 'invite',
+                    inviteId: invite._id,
+                    joinedAt: now
+                })).toObject();
+            }
+        } catch (error) {
+            await releaseInviteUse(invite._id);
+            if (error.code === 11000) return res.json({ message: 'Already a member' });
+            throw error;
+        }
+        if (!membership) {
+            await releaseInviteUse(invite._id);
+            return res.status(409).json({ error: 'Your membership changed. Please try again.' });
+        }
+
+        await Community.findByIdAndUpdate(community._id, { $inc: { memberCount: 1 } });
+        await recordRedemption(invite, userId, now);
+        await logAction(userId, community._id, 'community_joined_via_invite', {
+            inviteId: invite._id, invitedBy: invite.createdBy, role: invite.role
+        });
+
+        return res.status(201).json({ message: 'Joined successfully', membership });
+    } catch (error) {
+        console.error('acceptCommunityInvite error:', error);
+        return res.status(500).json({ error: 'Failed to accept invite' });
+    }
+};
@@ -0,0 +1,484 @@
+import mongoose from 'mongoose';
+import Community from '../../models/community.model.js';
+import CommunityMember from '../../models/communityMember.model.js';
+import CommunityPost from '../../models/communityPost.model.js';
+import CommunityPollVote from '../../models/communityPollVote.model.js';
+import CommunityEventRsvp from '../../models/communityEventRsvp.model.js';
+import { checkPostingAuth, logAction } from './communityController.js';
+import { publishToCommunity } from '../../utils/realtimeGateway.js';
+import { runAutomod } from '../../utils/communityAutomod.js';
+import {
+    COMMUNITY_POST_TYPES,
+    RSVP_STATUSES,
+    MAX_PINNED_POSTS,
+    MODERATOR_ROLES,
+    parseCommunityPostInput,
+    parseVote,
+    isPollOpen,
+    isEventOpen,
+    formatPostsForViewer,
+    castVote,
+    retractVote,
+    setRsvp,
+    removeRsvp,
+} from '../../utils/communityPosts.js';
+
+const AUTHOR_FIELDS = 'userName channelName channelHandle channelPicture';
+
+// ═══════════════════════════════════════════════════
+// Helper: the community from :id and the caller's active membership.
+// Private communities are visible to active members only.
+// ═══════════════════════════════════════════════════
+async function loadCommunity(req, res) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid community ID' });
+        return null;
+    }
+    const community = await Community.findOne({ _id: id, deleted: { $ne: true } }).lean();
+    if (!community) {
+        res.status(404).json({ error: 'Community not found' });
+        return null;
+    }
+    const userId = req.user?.id;
+    const membership = userId
+        ? await CommunityMember.findOne({ communityId: id, userId, status: 'ACTIVE' }).lean()
+        : null;
+    if (community.type === 'PRIVATE' && !membership) {
+        res.status(403).json({ error: 'Not a member of this private community' });
+        return null;
+    }
+    return { community, membership };
+}
+
+// ═══════════════════════════════════════════════════
+// Helper: an active post from :postId in this community
+// ═══════════════════════════════════════════════════
+async function loadPost(req, res, type = null) {
+    const { id, postId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        res.status(400).json({ error: 'Invalid post ID' });
+        return null;
+    }
+    const post = await CommunityPost.findOne({ _id: postId, communityId: id, status: 'active' }).lean();
+    if (!post || (type && post.type !== type)) {
+        res.status(404).json({ error: `${type ? type[0].toUpperCase() + type.slice(1) : 'Post'} not found` });
+        return null;
+    }
+    return post;
+}
+
+const isModerator = (membership) => Boolean(membership && MODERATOR_ROLES.includes(membership.role));
+
+const reloadFormatted = async (postId, userId) => {
+    const post = await CommunityPost.findById(postId).populate('authorId', AUTHOR_FIELDS).lean();
+    const [formatted] = await formatPostsForViewer([post], userId);
+    return formatted;
+};
+
+// ═══════════════════════════════════════════════════
+// POST /api/v2/communities/:id/posts — Create a poll, event or announcement
+// ═══════════════════════════════════════════════════
+export const createCommunityPost = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const { community } = loaded;
+
+        const auth = await checkPostingAuth(userId, community);
+        if (!auth.allowed) return res.status(403).json({ error: auth.reason });
+
+        const { fields, error } = parseCommunityPostInput(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const automodText = [
+            fields.title, fields.body, ...(fields.poll?.options || []).map(o => o.text), fields.event?.location
+        ].filter(Boolean).join('\n');
+        const automod = await runAutomod(community, auth.member, automodText, { source: 'post' });
+        if (!automod.allowed) return res.status(403).json({ error: automod.reason, automod: { rule: automod.rule } });
+
+        if (fields.pinned) {
+            if (!isModerator(auth.member)) {
+                return res.status(403).json({ error: 'Only moderators, admins, and the owner can pin announcements' });
+            }
+            const pinnedCount = await CommunityPost.countDocuments({ communityId: community._id, status: 'active', pinned: true });
+            if (pinnedCount >= MAX_PINNED_POSTS) {
+                return res.status(400).json({ error: `At most ${MAX_PINNED_POSTS} announcements can be pinned. Unpin one first.` });
+            }
+        }
+
+        const post = await CommunityPost.create({
+            ...fields,
+            communityId: community._id,
+            authorId: userId,
+            ...(fields.pinned ? { pinnedAt: new Date(), pinnedBy: userId } : {}),
+        });
+
+        const formatted = await reloadFormatted(post._id, userId);
+        publishToCommunity(community._id, 'community.post.new', { communityId: community._id, post: formatted });
+        await logAction(userId, community._id, 'community_post_created', { postId: post._id, type: post.type });
+
+        return res.status(201).json({ message: `${post.type[0].toUpperCase() + post.type.slice(1)} posted`, post: formatted });
+    } catch (error) {
+        console.error('createCommunityPost error:', error);
+        return res.status(500).json({ error: 'Failed to create post' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/posts — Community posts (?type=poll|event|announcement&cursor=&limit=)
+// Events are listed upcoming-first with ?type=event&upcoming=true
+// ═══════════════════════════════════════════════════
+export const listCommunityPosts = async (req, res) => {
+    try {
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+
+        const { type, cursor, upcoming } = req.query;
+        const pageLimit = Math.min(parseInt(req.query.limit) || 20, 50);
+        if (type && !COMMUNITY_POST_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${COMMUNITY_POST_TYPES.join(', ')}` });
+        }
+
+        const query = { communityId: loaded.community._id, status: 'active', ...(type ? { type } : {}) };
+        let sort = { _id: -1 };
+        if (type === 'event' && upcoming === 'true') {
+            query['event.startsAt'] = { $gt: new Date() };
+            sort = { 'event.startsAt': 1, _id: 1 };
+        } else if (cursor) {
+            if (!mongoose.Types.ObjectId.isValid(cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+            query._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+        }
+
+        const posts = await CommunityPost.find(query)
+            .sort(sort)
+            .limit(pageLimit + 1)
+            .populate('authorId', AUTHOR_FIELDS)
+            .lean();
+        const hasMore = posts.length > pageLimit;
+        if (hasMore) posts.pop();
+
+        return res.json({
+            posts: await formatPostsForViewer(posts, req.user?.id),
+            nextCursor: hasMore && sort._id === -1 ? posts[posts.length - 1]._id : null,
+        });
+    } catch (error) {
+        console.error('listCommunityPosts error:', error);
+        return res.status(500).json({ error: 'Failed to fetch posts' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/posts/:postId
+// ═══════════════════════════════════════════════════
+export const getCommunityPost = async (req, res) => {
+    try {
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res);
+        if (!post) return;
+
+        return res.json({ post: await reloadFormatted(post._id, req.user?.id) });
+    } catch (error) {
+        console.error('getCommunityPost error:', error);
+        return res.status(500).json({ error: 'Failed to fetch post' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// DELETE /api/v2/communities/:id/posts/:postId — Author removes their own post
+// (moderators use POST /:id/moderate-content with { postId })
+// ═══════════════════════════════════════════════════
+export const deleteCommunityPost = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res);
+        if (!post) return;
+        if (post.authorId.toString() !== userId) {
+            return res.status(403).json({ error: 'Only the author can delete this post' });
+        }
+
+        await CommunityPost.updateOne({ _id: post._id }, {
+            $set: { status: 'removed', removedAt: new Date(), removedBy: userId, pinned: false },
+        });
+        publishToCommunity(post.communityId, 'community.post.removed', { communityId: post.communityId, postId: post._id });
+        await logAction(userId, post.communityId, 'community_post_deleted', { postId: post._id, type: post.type });
+
+        return res.json({ message: 'Post deleted' });
+    } catch (error) {
+        console.error('deleteCommunityPost error:', error);
+        return res.status(500).json({ error: 'Failed to delete post' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// POST   /api/v2/communities/:id/posts/:postId/pin — Pin an announcement
+// DELETE /api/v2/communities/:id/posts/:postId/pin — Unpin
+// ═══════════════════════════════════════════════════
+export const pinCommunityPost = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        if (!isModerator(loaded.membership)) {
+            return res.status(403).json({ error: 'Only moderators, admins, and the owner can pin announcements' });
+        }
+        const post = await loadPost(req, res, 'announcement');
+        if (!post) return;
+        if (post.pinned) return res.status(400).json({ error: 'Announcement is already pinned' });
+
+        const pinnedCount = await CommunityPost.countDocuments({ communityId: post.communityId, status: 'active', pinned: true });
+        if (pinnedCount >= MAX_PINNED_POSTS) {
+            return res.status(400).json({ error: `At most ${MAX_PINNED_POSTS} announcements can be pinned. Unpin one first.` });
+        }
+
+        await CommunityPost.updateOne({ _id: post._id }, { $set: { pinned: true, pinnedAt: new Date(), pinnedBy: userId } });
+        await logAction(userId, post.communityId, 'community_post_pinned', { postId: post._id });
+        return res.json({ message: 'Announcement pinned', post: await reloadFormatted(post._id, userId) });
+    } catch (error) {
+        console.error('pinCommunityPost error:', error);
+        return res.status(500).json({ error: 'Failed to pin announcement' });
+    }
+};
+
+export const unpinCommunityPost = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        if (!isModerator(loaded.membership)) {
+            return res.status(403).json({ error: 'Only moderators, admins, and the owner can unpin announcements' });
+        }
+        const post = await loadPost(req, res, 'announcement');
+        if (!post) return;
+        if (!post.pinned) return res.status(400).json({ error: 'Announcement is not pinned' });
+
+        await CommunityPost.updateOne({ _id: post._id }, { $set: { pinned: false, pinnedAt: null, pinnedBy: null } });
+        await logAction(userId, post.communityId, 'community_post_unpinned', { postId: post._id });
+        return res.json({ message: 'Announcement unpinned', post: await reloadFormatted(post._id, userId) });
+    } catch (error) {
+        console.error('unpinCommunityPost error:', error);
+        return res.status(500).json({ error: 'Failed to unpin announcement' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// POST   /api/v2/communities/:id/posts/:postId/vote — Vote { optionIds: [...] } (replaces a previous vote)
+// DELETE /api/v2/communities/:id/posts/:postId/vote — Retract vote
+// ═══════════════════════════════════════════════════
+export const votePoll = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        if (!loaded.membership) return res.status(403).json({ error: 'Join the community to vote' });
+        const post = await loadPost(req, res, 'poll');
+        if (!post) return;
+        if (!isPollOpen(post)) return res.status(400).json({ error: 'This poll is closed' });
+
+        const { optionIds, error } = parseVote(post, req.body?.optionIds ?? req.body?.optionId);
+        if (error) return res.status(400).json({ error });
+
+        await castVote(post, userId, optionIds);
+        const formatted = await reloadFormatted(post._id, userId);
+        publishToCommunity(post.communityId, 'community.poll.updated', {
+            communityId: post.communityId,
+            postId: post._id,
+            options: formatted.poll.options,
+            totalVoters: formatted.poll.totalVoters,
+        });
+        return res.json({ message: 'Vote recorded', post: formatted });
+    } catch (error) {
+        console.error('votePoll error:', error);
+        return res.status(500).json({ error: 'Failed to record vote' });
+    }
+};
+
+export const retractPollVote = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res, 'poll');
+        if (!post) return;
+        if (!isPollOpen(post)) return res.status(400).json({ error: 'This poll is closed' });
+
+        if (!await retractVote(post, userId)) return res.status(404).json({ error: 'You have not voted in this poll' });
+        const formatted = await reloadFormatted(post._id, userId);
+        publishToCommunity(post.communityId, 'community.poll.updated', {
+            communityId: post.communityId,
+            postId: post._id,
+            options: formatted.poll.options,
+            totalVoters: formatted.poll.totalVoters,
+        });
+        return res.json({ message: 'Vote removed', post: formatted });
+    } catch (error) {
+        console.error('retractPollVote error:', error);
+        return res.status(500).json({ error: 'Failed to remove vote' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// POST /api/v2/communities/:id/posts/:postId/close — Close a poll early (author or moderators)
+// ═══════════════════════════════════════════════════
+export const closePoll = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res, 'poll');
+        if (!post) return;
+        if (post.authorId.toString() !== userId && !isModerator(loaded.membership)) {
+            return res.status(403).json({ error: 'Only the author or a moderator can close this poll' });
+        }
+        if (!isPollOpen(post)) return res.status(400).json({ error: 'This poll is already closed' });
+
+        await CommunityPost.updateOne({ _id: post._id }, { $set: { 'poll.closedAt': new Date() } });
+        await logAction(userId, post.communityId, 'community_poll_closed', { postId: post._id });
+        return res.json({ message: 'Poll closed', post: await reloadFormatted(post._id, userId) });
+    } catch (error) {
+        console.error('closePoll error:', error);
+        return res.status(500).json({ error: 'Failed to close poll' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/posts/:postId/voters?optionId=&page=&limit= — Who voted (not for anonymous polls)
+// ═══════════════════════════════════════════════════
+export const getPollVoters = async (req, res) => {
+    try {
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res, 'poll');
+        if (!post) return;
+        if (post.poll.anonymous) return res.status(403).json({ error: 'This poll is anonymous' });
+
+        const { optionId } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const filter = { postId: post._id };
+        if (optionId) {
+            if (!post.poll.options.some(o => o._id.toString() === optionId)) {
+                return res.status(400).json({ error: 'Unknown poll option' });
+            }
+            filter.optionIds = new mongoose.Types.ObjectId(optionId);
+        }
+
+        const [votes, total] = await Promise.all([
+            CommunityPollVote.find(filter)
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', AUTHOR_FIELDS)
+                .lean(),
+            CommunityPollVote.countDocuments(filter),
+        ]);
+
+        return res.json({
+            voters: votes.map(v => ({ user: v.userId, optionIds: v.optionIds, votedAt: v.updatedAt })),
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+        });
+    } catch (error) {
+        console.error('getPollVoters error:', error);
+        return res.status(500).json({ error: 'Failed to fetch voters' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// POST   /api/v2/communities/:id/posts/:postId/rsvp — RSVP { status: going|interested|not_going }
+// DELETE /api/v2/communities/:id/posts/:postId/rsvp — Remove RSVP
+// ═══════════════════════════════════════════════════
+export const rsvpEvent = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        if (!loaded.membership) return res.status(403).json({ error: 'Join the community to RSVP' });
+        const post = await loadPost(req, res, 'event');
+        if (!post) return;
+        if (!isEventOpen(post)) return res.status(400).json({ error: 'This event has already ended' });
+
+        const { status } = req.body || {};
+        if (!RSVP_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${RSVP_STATUSES.join(', ')}` });
+        }
+
+        await setRsvp(post, userId, status);
+        return res.json({ message: 'RSVP saved', post: await reloadFormatted(post._id, userId) });
+    } catch (error) {
+        console.error('rsvpEvent error:', error);
+        return res.status(500).json({ error: 'Failed to save RSVP' });
+    }
+};
+
+export const cancelEventRsvp = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res, 'event');
+        if (!post) return;
+
+        if (!await removeRsvp(post, userId)) return res.status(404).json({ error: 'You have not RSVPed to this event' });
+        return res.json({ message: 'RSVP removed', post: await reloadFormatted(post._id, userId) });
+    } catch (error) {
+        console.error('cancelEventRsvp error:', error);
+        return res.status(500).json({ error: 'Failed to remove RSVP' });
+    }
+};
+
+// ═══════════════════════════════════════════════════
+// GET /api/v2/communities/:id/posts/:postId/rsvps?status=going&page=&limit= — Attendee list
+// ═══════════════════════════════════════════════════
+export const getEventRsvps = async (req, res) => {
+    try {
+        const loaded = await loadCommunity(req, res);
+        if (!loaded) return;
+        const post = await loadPost(req, res, 'event');
+        if (!post) return;
+
+        const status = req.query.status || 'going';
+        if (!RSVP_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${RSVP_STATUSES.join(', ')}` });
+        }
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const [rsvps, total] = await Promise.all([
+            CommunityEventRsvp.find({ postId: post._id, status })
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', AUTHOR_FIELDS)
+                .lean(),
+            CommunityEventRsvp.countDocuments({ postId: post._id, status }),
+        ]);
+
+        return res.json({
+            rsvps: rsvps.map(r => ({ user: r.userId, status: r.status, respondedAt: r.updatedAt })),
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+        });
+    } catch (error) {
+        console.error('getEventRsvps error:', error);
+        return res.status(500).json({ error: 'Failed to fetch RSVPs' });
+    }
+};
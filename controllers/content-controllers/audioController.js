@@ -6,21 +6,15 @@
 import mongoose from 'mongoose';
 import Content from '../../models/content.model.js';
 import Comment from '../../models/comment.model.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { presignPutUrl } from '../../utils/storage.js';
 import { getCfUrl } from '../../config/cloudfront.js';
-import { batchCheckPpvAccess } from '../../utils/ppvGuard.js';
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
 import { watchHistoryEngine } from '../../algorithms/watchHistoryRecommendation.js';
 import { createUploadNotifications } from '../notification-controllers/notificationController.js';
 import Bookmark from '../../models/bookmark.model.js';
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
+import { parsePublishAt, applySchedule } from '../../utils/scheduledPublishing.js';
+import { resolveContentTier } from '../../utils/memberships.js';
+import { emitWebhookEvent, contentEventData } from '../../utils/webhooks.js';
 
 /**
  * Initialize audio upload
@@ -38,6 +32,14 @@ export const audioUploadInit = async (req, res) => {
             return res.status(400).json({ error: "Invalid rental duration. Allowed viewing windows are 2, 3, 5, 7, 14, or 28 days." });
         }
 
+        // Members-only: optional minimum tier, which must be one of the creator's own
+        let membershipTierId = null;
+        if (visibility === 'members_only') {
+            const tier = await resolveContentTier(userId, req.body.membershipTierId);
+            if (tier.error) return res.status(400).json({ error: tier.error });
+            membershipTierId = tier.membershipTierId;
+        }
+
         const fileId = new mongoose.Types.ObjectId();
         const key = `audio/${userId}/${fileId}_${fileName}`;
 
@@ -61,10 +63,10 @@ export const audioUploadInit = async (req, res) => {
             status: 'uploading',
             price: visibility === 'pay_per_view' ? (parseFloat(price) || 0) : 0,
             rentalDuration: visibility === 'pay_per_view' && [2, 3, 5, 7, 14, 28].includes(Number(rentalDuration)) ? Number(rentalDuration) : 2,
+            membershipTierId,
         });
 
-        const command = new PutObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key, ContentType: fileType });
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
 
         console.log(`📤 Audio upload initialized: ${fileId} for user ${userId}`);
         res.json({ uploadUrl, fileId: fileId.toString(), key });
@@ -79,12 +81,15 @@ export const audioUploadInit = async (req, res) => {
  */
 export const audioUploadComplete = async (req, res) => {
     try {
-        const { fileId, fileSize, duration, title, description, tags, category, audioCategory, artist, album, visibility, isAgeRestricted, commentsEnabled, selectedRoles, price, rentalDuration } = req.body;
+        const { fileId, fileSize, duration, title, description, tags, category, audioCategory, artist, album, visibility, isAgeRestricted, commentsEnabled, selectedRoles, price, rentalDuration, publishAt, isPremiere } = req.body;
         const userId = req.user?.id;
 
         if (!fileId) return res.status(400).json({ error: 'fileId is required' });
         if (!mongoose.Types.ObjectId.isValid(fileId)) return res.status(400).json({ error: 'Invalid file ID' });
 
+        const schedule = parsePublishAt(publishAt);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+
         const content = await Content.findById(fileId);
         if (!content) return res.status(404).json({ error: 'Content not found' });
         if (content.userId.toString() !== userId) return res.status(403).json({ error: 'Not authorized' });
@@ -114,13 +119,26 @@ export const audioUploadComplete = async (req, res) => {
             updateData.rentalDuration = Number(rentalDuration);
         }
 
+        // Optional scheduled publish — held private until the publish worker releases it
+        if (schedule.publishAt) {
+            const scheduleError = applySchedule(updateData, schedule.publishAt, finalVisibility, isPremiere);
+            if (scheduleError) return res.status(400).json({ error: scheduleError });
+        }
+
         await Content.findByIdAndUpdate(fileId, updateData);
 
-        // Notify subscribers about the new audio
-        createUploadNotifications(
-            content.userId, fileId, 'audio',
-            updateData.title || content.title, content.thumbnailKey || content.imageKey
-        ).catch(err => console.error('Notification error:', err));
+        emitWebhookEvent('content.processed', {
+            creatorId: content.userId,
+            data: contentEventData({ ...content.toObject(), ...updateData }, { duration: updateData.duration }),
+        });
+
+        // Notify subscribers about the new audio (scheduled audio notifies on publish)
+        if (!schedule.publishAt) {
+            createUploadNotifications(
+                content.userId, fileId, 'audio',
+                updateData.title || content.title, content.thumbnailKey || content.imageKey
+            ).catch(err => console.error('Notification error:', err));
+        }
 
         // Auto-bookmark creator's own public audio
         const effectiveVisibility = updateData.visibility || content.visibility;
@@ -133,7 +151,7 @@ export const audioUploadComplete = async (req, res) => {
         }
 
         console.log(`✅ Audio upload completed: ${fileId}`);
-        res.json({ success: true, message: 'Audio uploaded successfully', contentId: fileId });
+        res.json({ success: true, message: 'Audio uploaded successfully', contentId: fileId, publishAt: schedule.publishAt });
     } catch (error) {
         console.error('❌ Error completing audio upload:', error);
         res.status(500).json({ error: 'Failed to complete upload' });
@@ -160,7 +178,8 @@ async function formatAudioContent(content) {
         userId: content.userId?._id || content.userId,
         artist: content.artist, album: content.album, audioCategory: content.audioCategory, tags: content.tags,
         visibility: content.visibility, price: content.price,
-        rentalDuration: content.visibility === 'pay_per_view' ? (content.rentalDuration || 2) : undefined
+        rentalDuration: content.visibility === 'pay_per_view' ? (content.rentalDuration || 2) : undefined,
+        membershipTierId: content.visibility === 'members_only' ? (content.membershipTierId || null) : undefined
     };
 }
 
@@ -218,11 +237,11 @@ export const getAudioPlayerFeed = async (req, res) => {
         const allAudio = startingAudio ? [startingAudio, ...audioList] : audioList;
         const totalAudio = await Content.countDocuments({ contentType: 'audio', status: 'completed', visibility: { $in: ['public', 'pay_per_view'] } });
 
-        // Strip media URLs for unpurchased PPV audio
+        // Strip media URLs for unpurchased PPV audio and members-only audio without a live membership
         const ppvAccessSet = await batchCheckPpvAccess(allAudio, userId);
         const sanitizedAudio = allAudio.map(a => {
-            if (a.visibility !== 'pay_per_view' || ppvAccessSet.has(a._id.toString())) return a;
-            return { ...a, audioUrl: null, ppvRequired: true };
+            if (!isGatedContent(a) || ppvAccessSet.has(a._id.toString())) return a;
+            return { ...a, audioUrl: null, ...gateFlags(a) };
         });
 
         res.json({
@@ -0,0 +1,430 @@
+/**
+ * Caption Controller — WebVTT/SRT subtitle tracks for HLS videos
+ *
+ * Upload flow mirrors uploadInit/uploadComplete:
+ *   1. POST /:id/captions/upload/init      → presigned storage PUT URL for the raw .srt/.vtt file
+ *   2. Client PUTs the file directly to storage
+ *   3. POST /:id/captions/upload/complete  → server fetches the file, converts SRT → VTT,
+ *                                            stores the normalised .vtt and marks the track ready
+ *
+ * Playback:
+ *   - GET /:id/captions                               → list ready tracks (+ all tracks for the creator)
+ *   - GET /:id/captions/:language/playlist.m3u8       → HLS subtitle media playlist
+ *   - GET /:id/captions/:language/captions.vtt        → WebVTT file (proxied from storage)
+ *   - getHLSMasterPlaylist injects #EXT-X-MEDIA:TYPE=SUBTITLES entries for every ready track
+ *
+ * Management (creator only):
+ *   - PATCH  /:id/captions/:language   → update label / default track
+ *   - DELETE /:id/captions/:language   → remove a track
+ */
+
+import mongoose from 'mongoose';
+import Content from '../../models/content.model.js';
+import { hasPpvAccess, hasActiveRental, isGatedContent, gateDeniedBody } from '../../utils/ppvGuard.js';
+import {
+    CAPTION_FORMATS,
+    MAX_CAPTION_BYTES,
+    normalizeLanguageCode,
+    normalizeCaptionText,
+    detectCaptionFormat,
+    buildSubtitlePlaylist,
+} from '../../utils/captionUtils.js';
+import {
+    getObject,
+    getObjectBuffer,
+    putObject,
+    deleteObjects,
+    presignPutUrl,
+    isNotFoundError,
+} from '../../utils/storage.js';
+
+const CAPTION_CONTENT_TYPES = ['video', 'short'];
+const MAX_CAPTION_TRACKS = 30;
+
+/**
+ * Helper: absolute backend base URL (honours X-Forwarded-Proto behind proxies)
+ */
+function getBackendBase(req) {
+    const forwarded = req.headers['x-forwarded-proto'];
+    const protocol = forwarded ? String(forwarded).split(',')[0].trim() : (req.secure ? 'https' : req.protocol);
+    return `${protocol}://${req.get('host')}`;
+}
+
+/**
+ * Build the public subtitle playlist/VTT URLs for a caption track.
+ */
+export function getCaptionUrls(backendBase, contentId, language) {
+    const base = `${backendBase}/api/v2/video/${contentId}/captions/${encodeURIComponent(language)}`;
+    return {
+        playlistUrl: `${base}/playlist.m3u8`,
+        vttUrl: `${base}/captions.vtt`,
+    };
+}
+
+/**
+ * Ready caption tracks for a content document, shaped for API responses and
+ * master-playlist injection. The default track (if any) is listed first.
+ */
+export function getReadyCaptionTracks(content, backendBase) {
+    return (content.captions || [])
+        .filter(track => track.status === 'ready' && track.vttKey)
+        .sort((a, b) => Number(b.isDefault) - Number(a.isDefault))
+        .map(track => ({
+            language: track.language,
+            label: track.label || track.language,
+            isDefault: !!track.isDefault,
+            ...getCaptionUrls(backendBase, content._id, track.language),
+        }));
+}
+
+/**
+ * Helper: load a video the requester owns. Sends the error response and returns null on failure.
+ */
+async function loadOwnedVideo(req, res) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid video ID' });
+        return null;
+    }
+    const video = await Content.findById(id);
+    if (!video) {
+        res.status(404).json({ error: 'Video not found' });
+        return null;
+    }
+    if (video.userId.toString() !== req.user?.id) {
+        res.status(403).json({ error: 'Not authorized' });
+        return null;
+    }
+    if (!CAPTION_CONTENT_TYPES.includes(video.contentType)) {
+        res.status(400).json({ error: 'Captions are only supported for videos and shorts' });
+        return null;
+    }
+    return video;
+}
+
+/**
+ * Helper: viewer access check for caption playback (private + PPV),
+ * same rules as the HLS playlist/segment endpoints.
+ */
+async function loadViewableVideo(req, res) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid video ID' });
+        return null;
+    }
+    const video = await Content.findById(id);
+    if (!video || video.status === 'removed') {
+        res.status(404).json({ error: 'Video not found' });
+        return null;
+    }
+
+    if (video.visibility === 'private') {
+        const requesterId = req.user?.id || req.admin?._id?.toString() || null;
+        const isOwner = requesterId && video.userId.toString() === requesterId;
+        const isAdmin = req.admin || req.user?.role === 'admin';
+        const hasRental = requesterId ? await hasActiveRental(video._id, requesterId) : false;
+        if (!isOwner && !isAdmin && !hasRental) {
+            res.status(404).json({ error: 'Video not found' });
+            return null;
+        }
+    }
+
+    if (isGatedContent(video)) {
+        const granted = await hasPpvAccess(video, req.user?.id);
+        if (!granted) {
+            res.status(403).json(gateDeniedBody(video));
+            return null;
+        }
+    }
+    return video;
+}
+
+/**
+ * Initialise a caption upload
+ * POST /api/v2/video/:id/captions/upload/init
+ * Body: { language, label?, fileName, format? ('srt' | 'vtt'), fileSize? }
+ */
+export const captionUploadInit = async (req, res) => {
+    try {
+        const { language, label, fileName, format, fileSize } = req.body;
+
+        const video = await loadOwnedVideo(req, res);
+        if (!video) return;
+
+        const lang = normalizeLanguageCode(language);
+        if (!lang) {
+            return res.status(400).json({ error: 'Invalid language code. Use a BCP-47 code such as en, hi, ta or pt-BR' });
+        }
+
+        const ext = (format || fileName?.split('.').pop() || '').toLowerCase();
+        if (!CAPTION_FORMATS.includes(ext)) {
+            return res.status(400).json({ error: 'Caption file must be .srt or .vtt' });
+        }
+        if (fileSize && Number(fileSize) > MAX_CAPTION_BYTES) {
+            return res.status(400).json({ error: 'Caption file is too large (max 2 MB)' });
+        }
+
+        const existing = video.captions.find(track => track.language === lang);
+        if (!existing && video.captions.length >= MAX_CAPTION_TRACKS) {
+            return res.status(400).json({ error: `A video can have at most ${MAX_CAPTION_TRACKS} caption tracks` });
+        }
+
+        const sourceKey = `captions/${video.userId}/${video._id}/source/${lang}_${Date.now()}.${ext}`;
+
+        // Re-uploading a language replaces the pending source; the ready VTT stays live until complete
+        if (existing) {
+            existing.sourceKey = sourceKey;
+            existing.sourceFormat = ext;
+            if (label) existing.label = label;
+            if (existing.status !== 'ready') existing.status = 'uploading';
+            existing.error = undefined;
+        } else {
+            video.captions.push({
+                language: lang,
+                label: label || lang,
+                sourceKey,
+                sourceFormat: ext,
+                status: 'uploading',
+                isDefault: video.captions.length === 0,
+            });
+        }
+        await video.save();
+
+        const uploadUrl = await presignPutUrl(sourceKey, {
+            contentType: ext === 'vtt' ? 'text/vtt' : 'application/x-subrip',
+            expiresIn: 3600,
+        });
+
+        console.log(`📝 Caption upload initialized: ${video._id} [${lang}]`);
+        res.json({ uploadUrl, language: lang, sourceKey });
+    } catch (error) {
+        console.error('Error initializing caption upload:', error);
+        res.status(500).json({ error: 'Failed to initialize caption upload' });
+    }
+};
+
+/**
+ * Complete a caption upload — fetch, validate, convert and publish the track
+ * POST /api/v2/video/:id/captions/upload/complete
+ * Body: { language }
+ */
+export const captionUploadComplete = async (req, res) => {
+    try {
+        const video = await loadOwnedVideo(req, res);
+        if (!video) return;
+
+        const lang = normalizeLanguageCode(req.body.language);
+        const track = lang && video.captions.find(t => t.language === lang);
+        if (!track || !track.sourceKey) {
+            return res.status(404).json({ error: 'No pending caption upload for this language' });
+        }
+
+        let rawText;
+        try {
+            const obj = await getObject(track.sourceKey);
+            if (obj.contentLength && obj.contentLength > MAX_CAPTION_BYTES) {
+                obj.body.destroy?.();
+                throw new Error('Caption file is too large (max 2 MB)');
+            }
+            const chunks = [];
+            for await (const chunk of obj.body) chunks.push(chunk);
+            rawText = Buffer.concat(chunks).toString('utf-8');
+        } catch (err) {
+            const notFound = isNotFoundError(err);
+            track.status = track.vttKey ? 'ready' : 'failed';
+            track.error = notFound ? 'Uploaded caption file not found' : err.message;
+            await video.save();
+            return res.status(notFound ? 404 : 400).json({ error: track.error });
+        }
+
+        const vtt = normalizeCaptionText(rawText);
+        if (!vtt) {
+            const detected = detectCaptionFormat(rawText);
+            track.status = track.vttKey ? 'ready' : 'failed';
+            track.error = detected
+                ? 'Caption file has no valid cues'
+                : 'Unrecognised caption format. Upload a valid .srt or .vtt file';
+            await video.save();
+            return res.status(400).json({ error: track.error });
+        }
+
+        const vttKey = `captions/${video.userId}/${video._id}/${lang}.vtt`;
+        await putObject(vttKey, vtt, { contentType: 'text/vtt; charset=utf-8' });
+
+        track.vttKey = vttKey;
+        track.status = 'ready';
+        track.error = undefined;
+        track.uploadedAt = new Date();
+        await video.save();
+
+        console.log(`✅ Caption track ready: ${video._id} [${lang}]`);
+        res.json({
+            success: true,
+            caption: {
+                language: track.language,
+                label: track.label,
+                isDefault: track.isDefault,
+                status: track.status,
+                ...getCaptionUrls(getBackendBase(req), video._id, track.language),
+            }
+        });
+    } catch (error) {
+        console.error('Error completing caption upload:', error);
+        res.status(500).json({ error: 'Failed to process caption file' });
+    }
+};
+
+/**
+ * List caption tracks
+ * GET /api/v2/video/:id/captions
+ * Viewers get ready tracks only; the creator also sees pending/failed tracks.
+ */
+export const listCaptions = async (req, res) => {
+    try {
+        const video = await loadViewableVideo(req, res);
+        if (!video) return;
+
+        const backendBase = getBackendBase(req);
+        const isCreator = req.user?.id && video.userId.toString() === req.user.id;
+
+        const captions = isCreator
+            ? video.captions.map(track => ({
+                language: track.language,
+                label: track.label || track.language,
+                isDefault: !!track.isDefault,
+                status: track.status,
+                error: track.error || null,
+                uploadedAt: track.uploadedAt,
+                ...(track.status === 'ready' ? getCaptionUrls(backendBase, video._id, track.language) : {}),
+            }))
+            : getReadyCaptionTracks(video, backendBase);
+
+        res.json({ captions });
+    } catch (error) {
+        console.error('Error listing captions:', error);
+        res.status(500).json({ error: 'Failed to fetch captions' });
+    }
+};
+
+/**
+ * Update a caption track's label or make it the default
+ * PATCH /api/v2/video/:id/captions/:language
+ * Body: { label?, isDefault? }
+ */
+export const updateCaption = async (req, res) => {
+    try {
+        const video = await loadOwnedVideo(req, res);
+        if (!video) return;
+
+        const lang = normalizeLanguageCode(req.params.language);
+        const track = lang && video.captions.find(t => t.language === lang);
+        if (!track) return res.status(404).json({ error: 'Caption track not found' });
+
+        const { label, isDefault } = req.body;
+        if (label !== undefined) {
+            if (!label || !String(label).trim()) return res.status(400).json({ error: 'Label cannot be empty' });
+            track.label = String(label).trim();
+        }
+        if (isDefault !== undefined) {
+            // Only one default track per video
+            video.captions.forEach(t => { t.isDefault = false; });
+            track.isDefault = !!isDefault;
+        }
+
+        await video.save();
+        res.json({ success: true, caption: { language: track.language, label: track.label, isDefault: track.isDefault } });
+    } catch (error) {
+        console.error('Error updating caption:', error);
+        res.status(500).json({ error: 'Failed to update caption' });
+    }
+};
+
+/**
+ * Delete a caption track (and its storage objects)
+ * DELETE /api/v2/video/:id/captions/:language
+ */
+export const deleteCaption = async (req, res) => {
+    try {
+        const video = await loadOwnedVideo(req, res);
+        if (!video) return;
+
+        const lang = normalizeLanguageCode(req.params.language);
+        const track = lang && video.captions.find(t => t.language === lang);
+        if (!track) return res.status(404).json({ error: 'Caption track not found' });
+
+        const keys = [track.sourceKey, track.vttKey].filter(Boolean);
+        const wasDefault = track.isDefault;
+        video.captions.pull(track._id);
+        if (wasDefault && video.captions.length > 0) video.captions[0].isDefault = true;
+        await video.save();
+
+        if (keys.length > 0) {
+            deleteObjects(keys)
+                .catch(err => console.error('Caption storage cleanup error:', err.message));
+        }
+
+        res.json({ success: true, message: 'Caption track deleted' });
+    } catch (error) {
+        console.error('Error deleting caption:', error);
+        res.status(500).json({ error: 'Failed to delete caption' });
+    }
+};
+
+/**
+ * HLS subtitle media playlist for one language
+ * GET /api/v2/video/:id/captions/:language/playlist.m3u8
+ */
+export const getCaptionPlaylist = async (req, res) => {
+    try {
+        const video = await loadViewableVideo(req, res);
+        if (!video) return;
+
+        const lang = normalizeLanguageCode(req.params.language);
+        const track = lang && video.captions.find(t => t.language === lang && t.status === 'ready');
+        if (!track) return res.status(404).json({ error: 'Caption track not found' });
+
+        const { vttUrl } = getCaptionUrls(getBackendBase(req), video._id, track.language);
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Content-Disposition': 'inline',
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Access-Control-Allow-Origin': req.headers.origin || '*',
+            'Access-Control-Allow-Credentials': 'true'
+        });
+        res.send(buildSubtitlePlaylist(vttUrl, video.duration));
+    } catch (error) {
+        console.error('Error serving caption playlist:', error);
+        res.status(500).json({ error: 'Failed to load caption playlist' });
+    }
+};
+
+/**
+ * WebVTT file for one language (proxied from storage)
+ * GET /api/v2/video/:id/captions/:language/captions.vtt
+ */
+export const getCaptionFile = async (req, res) => {
+    try {
+        const video = await loadViewableVideo(req, res);
+        if (!video) return;
+
+        const lang = normalizeLanguageCode(req.params.language);
+        const track = lang && video.captions.find(t => t.language === lang && t.status === 'ready');
+        if (!track?.vttKey) return res.status(404).json({ error: 'Caption track not found' });
+
+        const body = (await getObjectBuffer(track.vttKey)).toString('utf-8');
+
+        res.set({
+            'Content-Type': 'text/vtt; charset=utf-8',
+            'Cache-Control': 'private, max-age=300',
+            'Access-Control-Allow-Origin': req.headers.origin || '*',
+            'Access-Control-Allow-Credentials': 'true'
+        });
+        res.send(body);
+    } catch (error) {
+        const notFound = isNotFoundError(error);
+        if (notFound) return res.status(404).json({ error: 'Caption file not found in storage' });
+        console.error('Error serving caption file:', error);
+        res.status(500).json({ error: 'Failed to load captions' });
+    }
+};
@@ -20,22 +20,13 @@ import mongoose from 'mongoose';
 import Content from '../../models/content.model.js';
 import User from '../../models/user.model.js';
 import WatchHistory from '../../models/watchHistory.model.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { presignPutUrl, putObject } from '../../utils/storage.js';
 import { watchHistoryEngine } from '../../algorithms/watchHistoryRecommendation.js';
 import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
 import ContentToCommunity from '../../models/contentToCommunity.model.js';
-import { hasPpvAccess, batchCheckPpvAccess } from '../../utils/ppvGuard.js';
+import { hasPpvAccess, batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
 import Community from '../../models/community.model.js';
 
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
 const TITLE_MAX_WORDS = 50;
 const DESCRIPTION_MAX_WORDS = 300;
 
@@ -51,7 +42,7 @@ const countWords = (text = '') =>
 
 /**
  * Initialize short video upload
- * Returns presigned URL for direct S3 upload
+ * Returns presigned URL for direct storage upload
  */
 export const shortUploadInit = async (req, res) => {
     try {
@@ -94,13 +85,7 @@ export const shortUploadInit = async (req, res) => {
         });
 
         // Generate presigned URL for upload
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: key,
-            ContentType: fileType,
-        });
-
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
 
         console.log(`ðŸ“¤ Short upload initialized: ${fileId} for user ${userId}`);
 
@@ -222,13 +207,7 @@ export const audioUploadInit = async (req, res) => {
             status: 'uploading'
         });
 
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: key,
-            ContentType: fileType,
-        });
-
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
 
         console.log(`ðŸ“¤ Audio upload initialized: ${fileId} for user ${userId}`);
 
@@ -336,19 +315,13 @@ export const postImageInit = async (req, res) => {
         const fileId = new mongoose.Types.ObjectId();
         const key = `posts/images/${userId}/${fileId}_${fileName}`;
 
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: key,
-            ContentType: fileType,
-        });
-
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
 
         console.log(`ðŸ“¤ Post image upload initialized: ${fileId} for user ${userId}`);
 
         res.json({
             uploadUrl,
-            fileId: key, // Return the S3 key as fileId for posts
+            fileId: key, // Return the storage key as fileId for posts
             key
         });
     } catch (error) {
@@ -495,15 +468,7 @@ export const uploadThumbnail = async (req, res) => {
         const contentTypeFolder = content.contentType === 'short' ? 'shorts' : 'audio';
         const thumbnailKey = `thumbnails/${contentTypeFolder}/${userId}/${contentId}_thumb.${file.mimetype.split('/')[1] || 'jpg'}`;
 
-        // Upload to S3
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: thumbnailKey,
-            Body: file.buffer,
-            ContentType: file.mimetype,
-        });
-
-        await s3Client.send(command);
+        await putObject(thumbnailKey, file.buffer, { contentType: file.mimetype });
 
         // Update content with thumbnail key and mark as custom
         await Content.findByIdAndUpdate(contentId, {
@@ -595,7 +560,7 @@ export const getContent = async (req, res) => {
             visibility: content.visibility,
             price: content.price,
             commentsEnabled: content.commentsEnabled,
-            ...(!ppvAllowed ? { ppvRequired: true } : {})
+            ...(!ppvAllowed ? gateFlags(content) : {})
         });
     } catch (error) {
         console.error('âŒ Error fetching content:', error);
@@ -769,7 +734,7 @@ export const getShortsPlayerFeed = async (req, res) => {
                     tags: content.tags,
                     visibility: content.visibility,
                     price: content.price,
-                    ...(!ppvAllowed ? { ppvRequired: true } : {})
+                    ...(!ppvAllowed ? gateFlags(content) : {})
                 };
 
                 console.log(`âœ… [ShortsPlayerFeed] Starting short found - views: ${content.views}, likes: ${content.likeCount}`);
@@ -859,8 +824,8 @@ export const getShortsPlayerFeed = async (req, res) => {
             req.user?.id
         );
         shorts = shorts.map(short => {
-            if (short.visibility === 'pay_per_view' && !ppvAccessSet.has(short._id.toString())) {
-                return { ...short, hlsMasterUrl: null, videoUrl: null, ppvRequired: true };
+            if (isGatedContent(short) && !ppvAccessSet.has(short._id.toString())) {
+                return { ...short, hlsMasterUrl: null, videoUrl: null, ...gateFlags(short) };
             }
             return short;
         });
@@ -943,7 +908,7 @@ export const getAudioPlayerFeed = async (req, res) => {
             const content = await Content.findById(currentAudioId);
             const ppvAllowed = await hasPpvAccess(content, req.user?.id);
             if (!ppvAllowed) {
-                startingAudio = { ...startingAudio, audioUrl: null, ppvRequired: true };
+                startingAudio = { ...startingAudio, audioUrl: null, ...gateFlags(content) };
             }
         }
 
@@ -953,8 +918,8 @@ export const getAudioPlayerFeed = async (req, res) => {
             req.user?.id
         );
         audioList = audioList.map(audio => {
-            if (audio.visibility === 'pay_per_view' && !ppvAccessSet.has(audio._id.toString())) {
-                return { ...audio, audioUrl: null, ppvRequired: true };
+            if (isGatedContent(audio) && !ppvAccessSet.has(audio._id.toString())) {
+                return { ...audio, audioUrl: null, ...gateFlags(audio) };
             }
             return audio;
         });
@@ -1124,7 +1089,7 @@ export const getSingleContent = async (req, res) => {
             visibility: content.visibility,
             price: content.price,
             status: content.status,
-            ...(!ppvAllowed ? { ppvRequired: true } : {})
+            ...(!ppvAllowed ? gateFlags(content) : {})
         });
     } catch (error) {
         console.error('âŒ Error fetching content:', error);
@@ -12,6 +12,8 @@ import User from "../../models/user.model.js";
 import VideoReaction from "../../models/videoReaction.model.js";
 import ContentShare from "../../models/contentShare.model.js";
 import { recordWatchSignal } from "../../utils/watchAnalytics.js";
+import { notify } from "../../utils/notificationService.js";
+import { emitWebhookEvent } from "../../utils/webhooks.js";
 
 export const likeVideo = async (req, res) => {
     try {
@@ -246,7 +248,24 @@ export const subscribeToUser = async (req, res) => {
                 }).catch(err => console.error("Error updating content subscribersGained:", err));
             }
 
+            // Deduped per subscriber so unsubscribe → resubscribe doesn't spam the creator
+            notify({
+                type: 'new_subscriber',
+                recipientIds: [targetUserId],
+                actorId: userId,
+                dedupeKey: () => `new_subscriber:${userId}`,
+            });
+
             const updatedTarget = await User.findById(targetUserId).select('subscriberCount');
+
+            emitWebhookEvent('subscriber.new', {
+                creatorId: targetUserId,
+                data: {
+                    subscriberCount: updatedTarget?.subscriberCount || 0,
+                    contentId: contentId && mongoose.Types.ObjectId.isValid(contentId) ? String(contentId) : null,
+                },
+            });
+
             res.json({
                 message: "Subscribed successfully",
                 subscribed: true,
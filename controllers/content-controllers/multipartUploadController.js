@@ -1,17 +1,9 @@
 /**
  * Multipart Upload Controller
- * Handles S3 multipart uploads for fast, parallel chunk uploading
+ * Handles multipart uploads (S3 or local storage driver) for fast, parallel chunk uploading
  * Supports files up to 5GB with concurrent part uploads
  */
 
-import {
-    S3Client,
-    CreateMultipartUploadCommand,
-    UploadPartCommand,
-    CompleteMultipartUploadCommand,
-    AbortMultipartUploadCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import mongoose from "mongoose";
 import Content from "../../models/content.model.js"; 
 import User from '../../models/user.model.js';
@@ -20,16 +12,15 @@ import Community from '../../models/community.model.js';
 import CommunityMember from '../../models/communityMember.model.js';
 import { createUploadNotifications } from "../notification-controllers/notificationController.js";
 import { markContentUploaded } from "../../utils/referralService.js";
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
-const BUCKET = process.env.S3_BUCKET;
+import { parsePublishAt, applySchedule } from "../../utils/scheduledPublishing.js";
+import { enqueueTranscode } from "../../utils/transcoding.js";
+import {
+    createMultipartUpload,
+    presignUploadPartUrl,
+    completeMultipartUpload,
+    abortMultipartUpload,
+} from "../../utils/storage.js";
+import { resolveContentTier } from "../../utils/memberships.js";
 
 // Chunk size: 10MB (minimum for S3 multipart is 5MB, except last part)
 const MIN_PART_SIZE = 10 * 1024 * 1024; // 10MB
@@ -64,7 +55,7 @@ const validateTitleDescription = (title, description) => {
 
 /**
  * Step 1: Initialize multipart upload
- * Creates a Content document and starts S3 multipart upload
+ * Creates a Content document and starts the multipart upload
  * Returns uploadId, fileId, and presigned URLs for all parts
  */
 export const multipartInit = async (req, res) => {
@@ -126,6 +117,14 @@ export const multipartInit = async (req, res) => {
             }
         }
 
+        // Members-only: optional minimum tier, which must be one of the creator's own
+        let membershipTierId = null;
+        if (visibility === 'members_only') {
+            const tier = await resolveContentTier(userId, req.body.membershipTierId);
+            if (tier.error) return res.status(400).json({ error: tier.error });
+            membershipTierId = tier.membershipTierId;
+        }
+
         // Validate trailer: only public watchinit videos are allowed
         let parsedTrailerId = null;
         if (visibility === 'pay_per_view' && trailerContentId) {
@@ -145,7 +144,7 @@ export const multipartInit = async (req, res) => {
         const contentType = cType || "video";
         const fileId = new mongoose.Types.ObjectId();
 
-        // Determine S3 key based on content type
+        // Determine storage key based on content type
         let keyPrefix = "uploads";
         if (contentType === "short") keyPrefix = "shorts";
         else if (contentType === "audio") keyPrefix = "audio";
@@ -163,6 +162,7 @@ export const multipartInit = async (req, res) => {
             visibility: visibility || "public",
             price: visibility === 'pay_per_view' ? Number(price) : null,
             rentalDuration: visibility === 'pay_per_view' && [2, 3, 5, 7, 14, 28].includes(Number(rentalDuration)) ? Number(rentalDuration) : 2,
+            membershipTierId,
             trailerContentId: parsedTrailerId,
             spoilerText: visibility === 'pay_per_view' ? spoilerText : null,
             isAgeRestricted: isAgeRestricted || false,
@@ -175,15 +175,8 @@ export const multipartInit = async (req, res) => {
             status: "uploading",
         });
 
-        // Initiate S3 multipart upload
-        const createCommand = new CreateMultipartUploadCommand({
-            Bucket: BUCKET,
-            Key: key,
-            ContentType: fileType,
-        });
-
-        const multipartUpload = await s3Client.send(createCommand);
-        const uploadId = multipartUpload.UploadId;
+        // Initiate multipart upload
+        const uploadId = await createMultipartUpload(key, { contentType: fileType });
 
         // Calculate optimal part size (dynamic for up to 20GB)
         let targetPartSize = MIN_PART_SIZE; // 10MB base
@@ -198,14 +191,8 @@ export const multipartInit = async (req, res) => {
         // Generate presigned URLs for all parts in parallel (valid for 4 hours)
         const urlPromises = [];
         for (let partNumber = 1; partNumber <= numParts; partNumber++) {
-            const uploadPartCommand = new UploadPartCommand({
-                Bucket: BUCKET,
-                Key: key,
-                UploadId: uploadId,
-                PartNumber: partNumber,
-            });
             urlPromises.push(
-                getSignedUrl(s3Client, uploadPartCommand, { expiresIn: 14400 }).then((url) => ({
+                presignUploadPartUrl(key, uploadId, partNumber, { expiresIn: 14400 }).then((url) => ({
                     partNumber,
                     url,
                 }))
@@ -239,7 +226,7 @@ export const multipartInit = async (req, res) => {
  */
 export const multipartComplete = async (req, res) => {
     try {
-        const { fileId, uploadId, key, parts, fileSize, contentType, title, description } = req.body;
+        const { fileId, uploadId, key, parts, fileSize, contentType, title, description, publishAt, isPremiere } = req.body;
         const userId = req.user?.id;
 
         if (!fileId || !uploadId || !key || !parts) {
@@ -250,7 +237,7 @@ export const multipartComplete = async (req, res) => {
             return res.status(400).json({ error: "Invalid file ID" });
         }
 
-        const existingContent = await Content.findById(fileId).select("title description userId fileSize createdAt");
+        const existingContent = await Content.findById(fileId).select("title description userId fileSize createdAt visibility");
         if (!existingContent) {
             return res.status(404).json({ error: "Content not found" });
         }
@@ -259,20 +246,17 @@ export const multipartComplete = async (req, res) => {
             return res.status(403).json({ error: "Not authorized" });
         }
 
-        // Complete multipart upload on S3
+        // Validate schedule before completing the upload so a bad date doesn't leave a half-finished upload
+        const schedule = parsePublishAt(publishAt);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
+        }
+
+        // Complete multipart upload
         // Parts must be sorted by PartNumber
         const sortedParts = parts.sort((a, b) => a.PartNumber - b.PartNumber);
 
-        const completeCommand = new CompleteMultipartUploadCommand({
-            Bucket: BUCKET,
-            Key: key,
-            UploadId: uploadId,
-            MultipartUpload: {
-                Parts: sortedParts,
-            },
-        });
-
-        await s3Client.send(completeCommand);
+        await completeMultipartUpload(key, uploadId, sortedParts);
 
         // Determine status based on content type
         const isVideo = contentType === "video";
@@ -303,7 +287,10 @@ export const multipartComplete = async (req, res) => {
         if (title !== undefined) updateData.title = title.trim();
         if (description !== undefined) updateData.description = description.trim();
 
-        if (!isVideo) {
+        if (schedule.publishAt) {
+            const scheduleError = applySchedule(updateData, schedule.publishAt, existingContent.visibility, isPremiere);
+            if (scheduleError) return res.status(400).json({ error: scheduleError });
+        } else if (!isVideo) {
             updateData.publishedAt = new Date();
         }
 
@@ -311,10 +298,11 @@ export const multipartComplete = async (req, res) => {
 
         if (content) {
             markContentUploaded(content.userId, content._id).catch(err => console.error('[REFERRAL] Error marking content uploaded:', err.message));
+            if (isVideo) await enqueueTranscode(content._id);
         }
 
-        // Notify subscribers about the new upload
-        if (content) {
+        // Notify subscribers about the new upload (scheduled uploads notify when the publish worker releases them)
+        if (content && !schedule.publishAt) {
             createUploadNotifications(
                 content.userId,
                 content._id,
@@ -348,6 +336,7 @@ export const multipartComplete = async (req, res) => {
             success: true,
             message: "Upload completed successfully",
             contentId: fileId,
+            publishAt: schedule.publishAt,
         });
     } catch (error) {
         console.error("❌ Error completing multipart upload:", error);
@@ -366,13 +355,7 @@ export const multipartAbort = async (req, res) => {
             return res.status(400).json({ error: "uploadId and key are required" });
         }
 
-        const abortCommand = new AbortMultipartUploadCommand({
-            Bucket: BUCKET,
-            Key: key,
-            UploadId: uploadId,
-        });
-
-        await s3Client.send(abortCommand);
+        await abortMultipartUpload(key, uploadId);
 
         // Clean up the content document if it exists
         if (fileId && mongoose.Types.ObjectId.isValid(fileId)) {
@@ -7,18 +7,10 @@ import mongoose from 'mongoose';
 import Content from '../../models/content.model.js';
 import Comment from '../../models/comment.model.js';
 import User from '../../models/user.model.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { presignPutUrl } from '../../utils/storage.js';
 import { getCfUrl } from '../../config/cloudfront.js';
 import { createUploadNotifications } from '../notification-controllers/notificationController.js';
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
+import { resolveContentTier } from '../../utils/memberships.js';
 
 const TITLE_MAX_WORDS = 50;
 const DESCRIPTION_MAX_WORDS = 300;
@@ -44,8 +36,7 @@ export const postImageInit = async (req, res) => {
         const fileId = new mongoose.Types.ObjectId();
         const key = `posts/images/${userId}/${fileId}_${fileName}`;
 
-        const command = new PutObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key, ContentType: fileType });
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
 
         console.log(`📤 Post image upload initialized: ${fileId} for user ${userId}`);
         res.json({ uploadUrl, fileId: key, key });
@@ -84,6 +75,14 @@ export const createPost = async (req, res) => {
             }
         }
 
+        // Members-only: optional minimum tier, which must be one of the creator's own
+        let membershipTierId = null;
+        if (visibility === 'members_only') {
+            const tier = await resolveContentTier(userId, req.body.membershipTierId);
+            if (tier.error) return res.status(400).json({ error: tier.error });
+            membershipTierId = tier.membershipTierId;
+        }
+
         const fileId = new mongoose.Types.ObjectId();
         const imageKeys = imageUrls && imageUrls.length > 0
             ? imageUrls.slice(0, 5)
@@ -99,6 +98,7 @@ export const createPost = async (req, res) => {
             tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim())) : [],
             visibility: visibility || 'public',
             price: visibility === 'pay_per_view' ? Number(price) : null,
+            membershipTierId,
             commentsEnabled: commentsEnabled !== false,
             imageKey: imageKeys[0] || null,
             imageKeys: imageKeys,
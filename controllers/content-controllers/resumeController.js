@@ -10,9 +10,14 @@
  * - On load, reads from Redis first; falls back to ContentView if Redis is down
  * - TTL: 90 days in Redis (auto-cleanup of stale entries)
  * - Anonymous users: not supported (resume requires auth for cross-device)
+ * - Chapters: GET reports the chapter the saved position falls in; POST accepts
+ *   `chapterIndex` instead of `playheadSeconds` to jump to the start of a chapter
  */
+import mongoose from 'mongoose';
 import { getRedisClient } from '../../utils/redisClient.js';
 import ContentView from '../../models/contentView.model.js';
+import Content from '../../models/content.model.js';
+import { resolveChapters, findChapterAt } from '../../utils/videoChapters.js';
 
 const REDIS_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days
 const REDIS_KEY_PREFIX = 'resume';
@@ -22,6 +27,17 @@ function redisKey(userId, contentId) {
     return `${REDIS_KEY_PREFIX}:${userId}:${contentId}`;
 }
 
+/**
+ * Resolved chapters for a content item ([] when it has none or the ID is invalid)
+ */
+async function loadChapters(contentId) {
+    if (!mongoose.Types.ObjectId.isValid(contentId)) return [];
+    const content = await Content.findById(contentId)
+        .select('contentType chapters description duration')
+        .lean();
+    return resolveChapters(content);
+}
+
 /**
  * GET /api/v2/resume/:contentId — Get resume position for authenticated user
  */
@@ -77,9 +93,14 @@ export const getResumePosition = async (req, res) => {
             }
         }
 
+        const resolved = position || { playheadSeconds: 0, bestPlayheadSeconds: 0 };
+        const chapters = await loadChapters(contentId);
+
         res.json({
             hasPosition: position !== null && position.playheadSeconds > 0,
-            position: position || { playheadSeconds: 0, bestPlayheadSeconds: 0 },
+            position: resolved,
+            currentChapter: findChapterAt(chapters, resolved.playheadSeconds),
+            chapters,
         });
     } catch (error) {
         console.error('❌ Error getting resume position:', error);
@@ -91,6 +112,7 @@ export const getResumePosition = async (req, res) => {
  * POST /api/v2/resume/:contentId — Save resume position
  *
  * Body: { playheadSeconds: number, duration?: number, isFinal?: boolean }
+ *    or: { chapterIndex: number } — jump to the start of a chapter (saved as final)
  *
  * isFinal=true means user paused, navigated away, or tab closed.
  * In that case, always persist to MongoDB immediately.
@@ -103,8 +125,18 @@ export const saveResumePosition = async (req, res) => {
         const { contentId } = req.params;
         if (!contentId) return res.status(400).json({ error: 'contentId required' });
 
-        const { playheadSeconds, duration, isFinal } = req.body;
-        const position = Math.max(0, Number(playheadSeconds) || 0);
+        const { playheadSeconds, duration, chapterIndex } = req.body;
+        let { isFinal } = req.body;
+        let position = Math.max(0, Number(playheadSeconds) || 0);
+
+        let chapter = null;
+        if (chapterIndex !== undefined) {
+            const chapters = await loadChapters(contentId);
+            chapter = chapters[Number(chapterIndex)];
+            if (!chapter) return res.status(400).json({ error: 'Invalid chapter' });
+            position = chapter.startSeconds;
+            isFinal = true;
+        }
 
         // If position is near the end (>95%), reset to 0 (content completed)
         const effectivePosition = (duration && position > 0 && position / duration > 0.95) ? 0 : position;
@@ -162,7 +194,7 @@ export const saveResumePosition = async (req, res) => {
             );
         }
 
-        res.json({ success: true, position: effectivePosition });
+        res.json({ success: true, position: effectivePosition, ...(chapter ? { chapter } : {}) });
     } catch (error) {
         console.error('❌ Error saving resume position:', error);
         res.status(500).json({ error: 'Failed to save resume position' });
@@ -0,0 +1,149 @@
+/**
+ * Schedule Controller — scheduled publishing and premieres
+ *
+ * Endpoints:
+ * - GET   /api/v2/content/:id/premiere  — Countdown/metadata for a premiere (no media URLs)
+ * - PATCH /api/v2/content/:id/schedule  — Reschedule, change premiere flag, or publish now (creator)
+ *
+ * Scheduling itself happens in the upload-complete handlers via `publishAt`;
+ * see utils/scheduledPublishing.js for how scheduled content is held back.
+ */
+
+import mongoose from 'mongoose';
+import Content from '../../models/content.model.js';
+import { getCfUrl } from '../../config/cloudfront.js';
+import {
+    parsePublishAt,
+    applySchedule,
+    isScheduled,
+    getPremiereState,
+    publishScheduledContent,
+} from '../../utils/scheduledPublishing.js';
+
+/**
+ * Premiere countdown
+ * GET /api/v2/content/:id/premiere
+ *
+ * Public for premieres; plain scheduled uploads stay secret (404) to everyone but the creator.
+ */
+export const getPremiereCountdown = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid content ID' });
+
+        const content = await Content.findById(id)
+            .select('contentType title description thumbnailKey imageKey userId visibility scheduledVisibility publishAt publishedAt isPremiere status duration')
+            .populate('userId', 'channelName channelHandle channelPicture')
+            .lean();
+        if (!content || content.status === 'removed') return res.status(404).json({ error: 'Content not found' });
+
+        const isOwner = req.user?.id && content.userId?._id?.toString() === req.user.id;
+        const scheduled = isScheduled(content);
+
+        // Not a premiere and not yet published → only the creator may see it exists
+        if (scheduled && !content.isPremiere && !isOwner) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        // Already published private content follows normal private rules
+        if (!scheduled && content.visibility === 'private' && !isOwner) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+
+        const { state, publishAt, secondsRemaining } = getPremiereState(content);
+
+        res.json({
+            _id: content._id,
+            contentType: content.contentType,
+            title: content.title,
+            description: content.description,
+            duration: content.duration,
+            thumbnailUrl: getCfUrl(content.thumbnailKey || content.imageKey),
+            channelName: content.userId?.channelName,
+            channelHandle: content.userId?.channelHandle || null,
+            channelPicture: content.userId?.channelPicture ? getCfUrl(content.userId.channelPicture) : null,
+            isPremiere: !!content.isPremiere,
+            state,
+            publishAt,
+            secondsRemaining,
+            serverTime: new Date(),
+            // Visibility the content will have once live (PPV premieres can show a price up front)
+            visibility: scheduled ? content.scheduledVisibility : content.visibility,
+        });
+    } catch (error) {
+        console.error('❌ Error fetching premiere countdown:', error);
+        res.status(500).json({ error: 'Failed to fetch premiere' });
+    }
+};
+
+/**
+ * Reschedule / publish now
+ * PATCH /api/v2/content/:id/schedule
+ * Body: { publishAt: ISO date | null, isPremiere?: boolean, visibility?: 'public'|'unlisted'|'pay_per_view' }
+ *
+ * - publishAt: null on a scheduled item publishes it immediately (or as soon as processing finishes)
+ * - A private, never-scheduled item can be scheduled by passing publishAt + visibility
+ */
+export const updateSchedule = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        const { id } = req.params;
+        const { publishAt, isPremiere, visibility } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid content ID' });
+
+        const content = await Content.findById(id);
+        if (!content) return res.status(404).json({ error: 'Content not found' });
+        if (content.userId.toString() !== userId) return res.status(403).json({ error: 'Not authorized' });
+        if (content.status === 'removed') {
+            return res.status(403).json({ error: 'This content has been removed. Settings cannot be modified.' });
+        }
+
+        // Publish now
+        if (publishAt === null) {
+            if (!isScheduled(content)) return res.status(400).json({ error: 'Content is not scheduled' });
+
+            if (content.status === 'completed') {
+                const published = await publishScheduledContent(content._id, { force: true });
+                return res.json({ success: true, message: 'Content published', visibility: published?.visibility || null });
+            }
+
+            // Still processing — release as soon as the worker sees it completed
+            content.publishAt = new Date();
+            await content.save();
+            return res.json({ success: true, message: 'Content will be published as soon as processing finishes' });
+        }
+
+        const schedule = parsePublishAt(publishAt);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+        const update = {};
+        if (isScheduled(content)) {
+            update.publishAt = schedule.publishAt || content.publishAt;
+            if (typeof isPremiere === 'boolean') update.isPremiere = isPremiere;
+            if (visibility !== undefined) {
+                const scheduleError = applySchedule(update, update.publishAt, visibility, update.isPremiere ?? content.isPremiere);
+                if (scheduleError) return res.status(400).json({ error: scheduleError });
+            }
+        } else {
+            if (content.visibility !== 'private') {
+                return res.status(400).json({ error: 'Published content cannot be scheduled. Set it to private first.' });
+            }
+            if (!schedule.publishAt) return res.status(400).json({ error: 'publishAt is required' });
+            const scheduleError = applySchedule(update, schedule.publishAt, visibility, isPremiere);
+            if (scheduleError) return res.status(400).json({ error: scheduleError });
+        }
+
+        const updated = await Content.findByIdAndUpdate(id, update, { new: true });
+
+        res.json({
+            success: true,
+            message: 'Schedule updated',
+            publishAt: updated.publishAt,
+            scheduledVisibility: updated.scheduledVisibility,
+            isPremiere: updated.isPremiere,
+        });
+    } catch (error) {
+        console.error('❌ Error updating schedule:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+};
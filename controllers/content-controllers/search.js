@@ -2,20 +2,17 @@ import Content from "../../models/content.model.js";
 import User from "../../models/user.model.js";
 import SearchHistory from "../../models/searchHistory.model.js";
 import { getCfUrl, getCfHlsMasterUrl } from "../../config/cloudfront.js";
-import { batchCheckPpvAccess } from '../../utils/ppvGuard.js';
-
-// Helper for fuzzy search matching
-const generateFuzzyRegex = (word) => {
-    if (word.length < 3) return null; // Too short for fuzzy
-    // Allow one character insertion/substitution between each char
-    const chars = word.split('');
-    const pattern = chars.map(c => `${c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}.?`).join('');
-    return new RegExp(pattern, 'i');
-};
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
+import { searchIndex, suggestCompletions, tokenize, SEARCHABLE_VISIBILITIES } from '../../utils/searchIndex.js';
+
+const SUGGESTION_LIMIT = 10;
+// Channels shown on the first page of an all-types search
+const ALL_MODE_CHANNELS = 6;
 
 /**
  * Get search text suggestions (autocomplete)
- * Returns popular/recent search queries, NOT videos
+ * Returns recent/popular search queries, topped up with completions of the last word
+ * from the search index — NOT videos
  */
 export const getSearchSuggestions = async (req, res) => {
     try {
@@ -39,8 +36,18 @@ export const getSearchSuggestions = async (req, res) => {
             });
         }
 
-        // Get search suggestions based on partial query
-        const suggestions = await SearchHistory.getSuggestions(query.trim(), userId, 10);
+        // Past searches first, then completions of the last word from the search index
+        const suggestions = await SearchHistory.getSuggestions(query.trim(), userId, SUGGESTION_LIMIT);
+        if (suggestions.length < SUGGESTION_LIMIT) {
+            const seen = new Set(suggestions.map(s => s.query.toLowerCase()));
+            const completions = await suggestCompletions(query, SUGGESTION_LIMIT);
+            for (const completion of completions) {
+                if (suggestions.length >= SUGGESTION_LIMIT) break;
+                if (seen.has(completion)) continue;
+                seen.add(completion);
+                suggestions.push({ query: completion, type: 'completion' });
+            }
+        }
 
         res.json({
             suggestions,
@@ -82,73 +89,31 @@ const extractHashtags = (text) => {
 };
 
 /**
- * Calculate relevance score between search terms and text
- * @param {string[]} searchWords - Array of search words
- * @param {string} text - Text to search in
- * @param {number} exactMatchScore - Score for exact full match
- * @param {number} wordMatchScore - Score for each word match
- * @param {number} partialMatchScore - Score for partial match
+ * Helper: fetch ranked index matches as Content docs (same order, stale entries dropped —
+ * the visibility/status filter guards against an index that hasn't caught up yet)
  */
-const calculateTextScore = (searchWords, text, exactMatchScore, wordMatchScore, partialMatchScore) => {
-    if (!text) return 0;
-
-    const textLower = text.toLowerCase();
-    const textWords = textLower.split(/\s+/).filter(w => w.length > 0);
-    let score = 0;
-
-    // Check for exact full phrase match
-    const fullSearchPhrase = searchWords.join(' ');
-    if (textLower === fullSearchPhrase) {
-        score += exactMatchScore;
-    }
-
-    // Check for each search word
-    searchWords.forEach(searchWord => {
-        // Exact word match (highest for individual words)
-        if (textWords.includes(searchWord)) {
-            score += wordMatchScore;
-        }
-        // Word starts with search term
-        else if (textWords.some(tw => tw.startsWith(searchWord))) {
-            score += wordMatchScore * 0.7;
-        }
-        // Partial/substring match
-        else if (textLower.includes(searchWord)) {
-            score += partialMatchScore;
-        }
-    });
-
-    return score;
+const loadRankedContent = async (ranked) => {
+    if (ranked.length === 0) return [];
+    const docs = await Content.find({
+        _id: { $in: ranked.map(r => r.refId) },
+        status: 'completed',
+        visibility: { $in: SEARCHABLE_VISIBILITIES },
+    })
+        .populate('userId', 'userName channelName channelHandle channelPicture')
+        .lean();
+    const byId = new Map(docs.map(d => [d._id.toString(), d]));
+    return ranked
+        .map(r => {
+            const doc = byId.get(r.refId.toString());
+            return doc ? { ...doc, searchScore: r.score } : null;
+        })
+        .filter(Boolean);
 };
 
 /**
- * Calculate hashtag match score
- * @param {string[]} searchHashtags - Hashtags from search query
- * @param {string[]} contentHashtags - Hashtags from video content
- * @returns {number} Score based on hashtag matches
- */
-const calculateHashtagScore = (searchHashtags, contentHashtags) => {
-    if (searchHashtags.length === 0 || contentHashtags.length === 0) return 0;
-
-    let score = 0;
-    searchHashtags.forEach(searchTag => {
-        // Exact hashtag match
-        if (contentHashtags.includes(searchTag)) {
-            score += 60; // High score for exact hashtag match
-        }
-        // Partial hashtag match
-        else if (contentHashtags.some(tag => tag.includes(searchTag) || searchTag.includes(tag))) {
-            score += 30;
-        }
-    });
-
-    return score;
-};
-
-/**
- * Advanced search algorithm for videos
- * Searches by title, description, channel name, username, and hashtags
- * Ranks results by relevance score with smart word matching
+ * Video search, ranked by the search index (utils/searchIndex.js)
+ * Matches title, tags and hashtags, description and channel (in that order of weight),
+ * tolerating typos and completing the last word
  */
 export const searchVideos = async (req, res) => {
     try {
@@ -171,123 +136,21 @@ export const searchVideos = async (req, res) => {
 
         // Extract hashtags from search query (e.g., "#music #viral")
         const searchHashtags = extractHashtags(query);
-
-        // Remove hashtags from search term for regular word matching
-        const cleanSearchTerm = searchTerm.replace(/#\w+/g, '').trim();
-        const searchWords = cleanSearchTerm.split(/\s+/).filter(w => w.length > 0);
+        const searchWords = searchTerm.replace(/#\w+/g, '').trim().split(/\s+/).filter(w => w.length > 0);
 
         const skip = (page - 1) * parseInt(limit);
 
-        // Use MongoDB text search with indexes for faster initial filtering
-        // Build query with $or for multiple field matching
-        const searchRegex = new RegExp(searchWords.join('|'), 'i');
-
-        const matchQuery = {
-            status: 'completed',
-            visibility: { $in: ['public', 'pay_per_view'] },
-            $or: [
-                { title: searchRegex },
-                { description: searchRegex }
-            ]
-        };
-
-        // Get matching videos with user info (limited initial fetch for performance)
-        const allVideos = await Content.find({ ...matchQuery, contentType: 'video' })
-            .populate('userId', 'userName channelName channelHandle channelPicture')
-            .sort({ views: -1, createdAt: -1 })
-            .limit(200) // Limit to top 200 for scoring (performance optimization)
-            .sort({ createdAt: -1 });
-
-        // Score and filter videos based on search relevance
-        const scoredVideos = allVideos.map(video => {
-            const title = video.title || '';
-            const description = video.description || '';
-            const userName = video.userId?.userName || '';
-            const channelName = video.userId?.channelName || '';
-            const channelHandle = video.userId?.channelHandle || '';
-
-            // Extract hashtags from video title and description
-            const titleHashtags = extractHashtags(title);
-            const descriptionHashtags = extractHashtags(description);
-            const allVideoHashtags = [...new Set([...titleHashtags, ...descriptionHashtags])];
-
-            let score = 0;
-
-            // === HASHTAG MATCHING (highest priority when searching with #) ===
-            if (searchHashtags.length > 0) {
-                score += calculateHashtagScore(searchHashtags, allVideoHashtags);
-            }
-
-            // === REGULAR WORD MATCHING ===
-            if (searchWords.length > 0) {
-                // Title scoring (highest priority)
-                // Exact match: 100, word match: 50 each, partial: 30
-                score += calculateTextScore(searchWords, title, 100, 50, 30);
-
-                // Channel name scoring (high priority)
-                // Exact match: 90, word match: 40 each, partial: 25
-                score += calculateTextScore(searchWords, channelName, 90, 40, 25);
-
-                // Channel handle scoring (high priority)
-                score += calculateTextScore(searchWords, channelHandle, 85, 35, 20);
-
-                // Username scoring (medium priority)
-                // Exact match: 80, word match: 30 each, partial: 20
-                score += calculateTextScore(searchWords, userName, 80, 30, 20);
-
-                // Description scoring (lower priority)
-                // Exact match: 40, word match: 15 each, partial: 10
-                score += calculateTextScore(searchWords, description, 40, 15, 10);
-
-                // Bonus for matching multiple search words (relevance boost)
-                const matchedWordsInTitle = searchWords.filter(sw =>
-                    title.toLowerCase().includes(sw)
-                ).length;
-                if (matchedWordsInTitle > 1) {
-                    score += matchedWordsInTitle * 10; // Bonus for multi-word matches
-                }
-            }
-
-            // === CHANNEL NAME BOOST ===
-            // Extra boost if channel name matches closely
-            const channelNameLower = channelName.toLowerCase();
-            const searchWordsForChannel = searchHashtags.length > 0
-                ? [...searchWords, ...searchHashtags]
-                : searchWords;
-
-            searchWordsForChannel.forEach(word => {
-                if (channelNameLower === word) {
-                    score += 70; // Exact channel name match
-                } else if (channelNameLower.startsWith(word) || channelNameLower.endsWith(word)) {
-                    score += 35; // Channel name starts/ends with search
-                }
-            });
-
-            // Recency boost (videos from last 30 days get up to 20 points)
-            const daysSinceCreation = (new Date() - new Date(video.createdAt)) / (1000 * 60 * 60 * 24);
-            const recencyBoost = Math.max(0, 20 - (daysSinceCreation * 0.66));
-            score += recencyBoost;
-
-            // Popularity boost (up to 15 points based on views)
-            const popularityBoost = Math.min(video.views / 1000, 15);
-            score += popularityBoost;
-
-            return {
-                ...video.toObject(),
-                searchScore: score,
-                matchedHashtags: allVideoHashtags.filter(tag =>
-                    searchHashtags.some(st => tag.includes(st) || st.includes(tag))
-                )
-            };
-        }).filter(video => video.searchScore > 0) // Only include videos with some relevance
-            .sort((a, b) => b.searchScore - a.searchScore); // Sort by relevance
-
-        // Apply pagination
-        const paginatedVideos = scoredVideos.slice(skip, skip + parseInt(limit));
+        const { results } = await searchIndex(query, { contentTypes: ['video'] });
+        const pageVideos = await loadRankedContent(results.slice(skip, skip + parseInt(limit)));
 
         // Generate CloudFront thumbnail URLs
-        const videosWithUrls = paginatedVideos.map((video) => {
+        const videosWithUrls = pageVideos.map((video) => {
             const thumbnailUrl = getCfUrl(video.thumbnailKey);
+            const videoHashtags = [...new Set([
+                ...extractHashtags(video.title),
+                ...extractHashtags(video.description),
+                ...(video.tags || []).map(t => t.toLowerCase()),
+            ])];
 
             return {
                 _id: video._id,
@@ -307,11 +170,13 @@ export const searchVideos = async (req, res) => {
                     channelPicture: video.userId?.channelPicture
                 },
                 searchScore: video.searchScore,
-                matchedHashtags: video.matchedHashtags || []
+                matchedHashtags: videoHashtags.filter(tag =>
+                    searchHashtags.some(st => tag.includes(st) || st.includes(tag))
+                )
             };
         });
 
-        const totalVideos = scoredVideos.length;
+        const totalVideos = results.length;
         const hasNextPage = skip + parseInt(limit) < totalVideos;
 
         // Record search query for suggestions (async, don't wait)
@@ -343,6 +208,9 @@ export const searchVideos = async (req, res) => {
  * Unified search across ALL content types + channels
  * GET /api/v2/video/search/unified?q=...&type=all|video|audio|short|post|channel&page=1&limit=20
  *
+ * Ranking comes from the search index (utils/searchIndex.js); only the requested page
+ * of each list is loaded from Content / User.
+ *
  * Returns:
  *   { videos, audio, shorts, posts, channels, totalCount, query }
  *   or when type != 'all': { results: [...], pagination, totalCount, query }
@@ -358,75 +226,15 @@ export const unifiedSearch = async (req, res) => {
 
         const searchTerm = query.trim().toLowerCase();
         const searchHashtags = extractHashtags(query);
-        const cleanSearchTerm = searchTerm.replace(/#\w+/g, '').trim();
-        const searchWords = cleanSearchTerm.split(/\s+/).filter(w => w.length > 1);
+        const searchWords = searchTerm.replace(/#\w+/g, '').trim().split(/\s+/).filter(w => w.length > 1);
 
-        if (searchWords.length === 0 && searchHashtags.length === 0) {
+        if (tokenize(query).length === 0) {
             return res.json({ videos: [], audio: [], shorts: [], posts: [], channels: [], totalCount: 0, query });
         }
 
-        const searchRegex = searchWords.length > 0
-            ? new RegExp(searchWords.join('|'), 'i')
-            : null;
-
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        // ── Helper: score a content item ────────────────────────────────────
-        const scoreItem = (item) => {
-            const title = item.title || '';
-            const description = item.description || '';
-            const channelName = item.userId?.channelName || '';
-            const channelHandle = item.userId?.channelHandle || '';
-            const userName = item.userId?.userName || '';
-            const tags = item.tags || [];
-            const titleHashtags = extractHashtags(title);
-            const descHashtags = extractHashtags(description);
-            const allHashtags = [...new Set([...titleHashtags, ...descHashtags, ...tags])];
-            let score = 0;
-
-            if (searchHashtags.length > 0) score += calculateHashtagScore(searchHashtags, allHashtags);
-            if (searchWords.length > 0) {
-                score += calculateTextScore(searchWords, title, 100, 50, 30);
-                score += calculateTextScore(searchWords, channelName, 80, 35, 20);
-                score += calculateTextScore(searchWords, channelHandle, 75, 30, 18);
-                score += calculateTextScore(searchWords, userName, 65, 25, 15);
-                score += calculateTextScore(searchWords, description, 35, 12, 8);
-                tags.forEach(tag => score += calculateTextScore(searchWords, tag, 50, 30, 15));
-                const multiWordBonus = searchWords.filter(sw => title.toLowerCase().includes(sw)).length;
-                if (multiWordBonus > 1) score += multiWordBonus * 8;
-            }
-            // Recency and popularity boosts
-            const daysSince = (Date.now() - new Date(item.createdAt)) / 86400000;
-            score += Math.max(0, 15 - daysSince * 0.5);
-            score += Math.min((item.views || 0) / 1000, 12);
-            // Creator follower count boost — uses populated subscriptions as a rough proxy for scoring only.
-            // Actual fan count is computed separately for display (not from this field).
-            const creatorFollowers = item.userId?.subscriptions?.length || 0;
-            score += Math.min(creatorFollowers / 100, 10);
-            return score;
-        };
-
-        // ── Helper: score a channel (User doc) ───────────────────────────────
-        const scoreChannel = (user) => {
-            const channelName = user.channelName || '';
-            const channelHandle = user.channelHandle || '';
-            const userName = user.userName || '';
-            const bio = user.channelDescription || user.bio || '';
-            let score = 0;
-            if (searchWords.length > 0) {
-                score += calculateTextScore(searchWords, channelName, 120, 60, 35);
-                score += calculateTextScore(searchWords, channelHandle, 110, 55, 30);
-                score += calculateTextScore(searchWords, userName, 90, 40, 25);
-                score += calculateTextScore(searchWords, bio, 30, 10, 5);
-            }
-            // sub count boost — uses subscriptions.length as scoring proxy
-            // (actual fan count computed separately in scoredChannels)
-            const subs = (user.subscriptions?.length || 0);
-            score += Math.min(subs / 100, 15);
-            return score;
-        };
-
-        // ── Build parallel queries based on requested type ────────────────────
+        // ── Rank with the search index ───────────────────────────────────────
         const wantAll = type === 'all';
         const contentTypes = [];
         if (wantAll || type === 'video') contentTypes.push('video');
@@ -435,77 +243,37 @@ export const unifiedSearch = async (req, res) => {
         if (wantAll || type === 'post') contentTypes.push('post');
         const wantChannels = wantAll || type === 'channel';
 
-        const fuzzyPatterns = searchWords.map(w => generateFuzzyRegex(w)).filter(Boolean);
-
-        let contentOr = [];
-        if (searchRegex) {
-            contentOr = [
-                { title: searchRegex },
-                { description: searchRegex },
-                { tags: searchRegex },
-                ...fuzzyPatterns.flatMap(fp => [
-                    { title: fp },
-                    { description: fp },
-                    { tags: fp }
-                ])
-            ];
-        }
-
-        // Build mongo filter for content — only show completed items
-        const contentFilter = {
-            visibility: { $in: ['public', 'pay_per_view'] },
-            status: 'completed',
-            ...(contentOr.length > 0 ? { $or: contentOr } : {}),
-        };
-
-        // Build parallel fetches
-        const queries = [];
-        if (contentTypes.length > 0) {
-            // Fetch all needed content types in one query, then split
-            queries.push(
-                Content.find({ ...contentFilter, contentType: { $in: contentTypes } })
-                    .populate('userId', 'userName channelName channelHandle channelPicture subscriptions subscriberCount')
-                    .sort({ createdAt: -1 })
-                    .limit(300)
+        const [contentMatches, channelMatches] = await Promise.all([
+            contentTypes.length > 0 ? searchIndex(query, { contentTypes }) : { results: [] },
+            wantChannels ? searchIndex(query, { kind: 'channel', limit: 50 }) : { results: [] },
+        ]);
+
+        const ranked = { video: [], audio: [], short: [], post: [] };
+        contentMatches.results.forEach(r => ranked[r.contentType]?.push(r));
+        const rankedChannels = channelMatches.results;
+
+        // ── Load the requested page ───────────────────────────────────────────
+        const pageOf = (arr) => arr.slice(skip, skip + parseInt(limit));
+        const pageContent = wantAll
+            ? Object.values(ranked).flatMap(pageOf)
+            : (type === 'channel' ? [] : pageOf(ranked[type] || []));
+        const pageChannels = wantAll
+            ? (parseInt(page) === 1 ? rankedChannels.slice(0, ALL_MODE_CHANNELS) : []) // channels only on page 1
+            : (type === 'channel' ? pageOf(rankedChannels) : []);
+
+        const [contentDocs, channelDocs] = await Promise.all([
+            loadRankedContent(pageContent),
+            pageChannels.length > 0
+                ? User.find({ _id: { $in: pageChannels.map(c => c.refId) }, deletedAt: null })
+                    .select('userName channelName channelHandle channelPicture channelDescription bio subscriberCount createdAt')
                     .lean()
-            );
-        } else {
-            queries.push(Promise.resolve([]));
-        }
-
-        if (wantChannels) {
-            const channelRegex = new RegExp(searchWords.join('|') || searchTerm, 'i');
-            queries.push(
-                User.find({
-                    channelName: { $exists: true, $ne: '' },
-                    channelHandle: { $exists: true, $ne: '' },
-                    $or: [
-                        { channelName: channelRegex },
-                        { channelHandle: channelRegex },
-                        { userName: channelRegex },
-                        ...fuzzyPatterns.flatMap(fp => [
-                            { channelName: fp },
-                            { channelHandle: fp },
-                            { userName: fp },
-                        ]),
-                    ],
-                })
-                    .select('userName channelName channelHandle channelPicture channelDescription bio subscriptions subscriberCount createdAt')
-                    .limit(50)
-                    .lean()
-            );
-        } else {
-            queries.push(Promise.resolve([]));
-        }
-
-        const [contentDocs, channelDocs] = await Promise.all(queries);
+                : [],
+        ]);
 
-        // ── Score & separate content by type ─────────────────────────────────
+        // ── Format & separate content by type ────────────────────────────────
         const buckets = { video: [], audio: [], short: [], post: [] };
 
         contentDocs.forEach(item => {
-            const score = scoreItem(item);
-            if (score <= 0) return;
             const thumbnail = getCfUrl(item.thumbnailKey);
             // Posts store their image in imageKey (not thumbnailKey)
             const imageUrl = item.imageKey ? getCfUrl(item.imageKey)
@@ -550,28 +318,26 @@ export const unifiedSearch = async (req, res) => {
                     channelHandle: item.userId?.channelHandle,
                     channelPicture: channelPic,
                 },
-                searchScore: score,
+                searchScore: item.searchScore,
             });
         });
 
-        // Sort each bucket by score
-        Object.keys(buckets).forEach(k => buckets[k].sort((a, b) => b.searchScore - a.searchScore));
-
         // Strip media URLs for unpurchased PPV items across all content buckets
         const allBucketItems = Object.values(buckets).flat();
         const ppvAccessSet = await batchCheckPpvAccess(allBucketItems, userId);
         Object.keys(buckets).forEach(k => {
             buckets[k] = buckets[k].map(item => {
-                if (item.visibility !== 'pay_per_view' || ppvAccessSet.has(item._id.toString())) return item;
-                return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ppvRequired: true };
+                if (!isGatedContent(item) || ppvAccessSet.has(item._id.toString())) return item;
+                return { ...item, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ...gateFlags(item) };
             });
         });
 
         // Use cached subscriberCount from user documents — no extra queries needed
-        const scoredChannels = channelDocs
-            .map((user) => {
-                const score = scoreChannel(user);
-                return score > 0 ? {
+        const channelsById = new Map(channelDocs.map(u => [u._id.toString(), u]));
+        const channels = pageChannels
+            .map(({ refId, score }) => {
+                const user = channelsById.get(refId.toString());
+                return user ? {
                     _id: user._id,
                     type: 'channel',
                     userName: user.userName,
@@ -584,17 +350,14 @@ export const unifiedSearch = async (req, res) => {
                     searchScore: score,
                 } : null;
             })
-            .filter(Boolean)
-            .sort((a, b) => b.searchScore - a.searchScore);
+            .filter(Boolean);
 
         // ── Return ────────────────────────────────────────────────────────────
         if (!wantAll) {
-            // Single-type mode: paginate the one relevant bucket / channel list
-            const list = type === 'channel' ? scoredChannels : buckets[type] || [];
-            const total = list.length;
-            const paginated = list.slice(skip, skip + parseInt(limit));
+            // Single-type mode: the one relevant bucket / channel list
+            const total = type === 'channel' ? rankedChannels.length : (ranked[type] || []).length;
             return res.json({
-                results: paginated,
+                results: type === 'channel' ? channels : buckets[type] || [],
                 pagination: {
                     currentPage: parseInt(page),
                     totalPages: Math.ceil(total / parseInt(limit)),
@@ -606,22 +369,21 @@ export const unifiedSearch = async (req, res) => {
             });
         }
 
-        // All-type mode: paginate each bucket, channels in first page
-        const paginateBucket = (arr) => arr.slice(skip, skip + parseInt(limit));
-        const totalCount = Object.values(buckets).reduce((s, a) => s + a.length, 0) + scoredChannels.length;
+        // All-type mode: each bucket paginated, channels in first page
+        const totalCount = contentMatches.results.length + rankedChannels.length;
 
         // Record search for suggestions
         SearchHistory.recordSearch(userId, query.trim(), totalCount).catch(() => { });
 
         res.json({
-            videos: paginateBucket(buckets.video),
-            audio: paginateBucket(buckets.audio),
-            shorts: paginateBucket(buckets.short),
-            posts: paginateBucket(buckets.post),
-            channels: parseInt(page) === 1 ? scoredChannels.slice(0, 6) : [], // channels only on page 1
+            videos: buckets.video,
+            audio: buckets.audio,
+            shorts: buckets.short,
+            posts: buckets.post,
+            channels,
             pagination: {
                 currentPage: parseInt(page),
-                hasNextPage: skip + parseInt(limit) < Math.max(...Object.values(buckets).map(a => a.length)),
+                hasNextPage: skip + parseInt(limit) < Math.max(...Object.values(ranked).map(a => a.length)),
                 totalCount,
             },
             query,
@@ -29,8 +29,9 @@ import User from '../../models/user.model.js';
 import ContentView from '../../models/contentView.model.js';
 import ContentReport from '../../models/contentReport.model.js';
 import { recordWatchSignal } from '../../utils/watchAnalytics.js';
+import { resolveChapters } from '../../utils/videoChapters.js';
 import { hasPpvAccess, hasActiveRental } from '../../utils/ppvGuard.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { putObject } from '../../utils/storage.js';
 import { getCfUrl } from '../../config/cloudfront.js';
 
 /**
@@ -52,14 +53,6 @@ function getDevice(ua = '') {
     return 'desktop';
 }
 
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
 /**
  * Upload custom thumbnail for content (shorts/audio)
  */
@@ -80,7 +73,7 @@ export const uploadThumbnail = async (req, res) => {
         const contentTypeFolder = content.contentType === 'short' ? 'shorts' : content.contentType;
         const thumbnailKey = `thumbnails/${contentTypeFolder}/${userId}/${contentId}_thumb.${file.mimetype.split('/')[1] || 'jpg'}`;
 
-        await s3Client.send(new PutObjectCommand({ Bucket: process.env.S3_BUCKET, Key: thumbnailKey, Body: file.buffer, ContentType: file.mimetype }));
+        await putObject(thumbnailKey, file.buffer, { contentType: file.mimetype });
         await Content.findByIdAndUpdate(contentId, { thumbnailKey, thumbnailSource: 'custom' });
 
         console.log(`✅ Custom thumbnail uploaded for content: ${contentId}`);
@@ -135,6 +128,7 @@ export const getContent = async (req, res) => {
             audioCategory: content.audioCategory, artist: content.artist, album: content.album,
             visibility: content.visibility, commentsEnabled: content.commentsEnabled,
             ppvRequired: !ppvGranted && content.visibility === 'pay_per_view',
+            membershipRequired: !ppvGranted && content.visibility === 'members_only',
             price: content.visibility === 'pay_per_view' ? content.price : undefined,
         });
     } catch (error) {
@@ -274,6 +268,7 @@ export const getSingleContent = async (req, res) => {
             _id: content._id, contentType: content.contentType, title: content.title,
             description: content.description, postContent: content.postContent,
             duration: content.duration, thumbnailUrl,
+            chapters: resolveChapters(content),
             imageUrl: imageUrl || thumbnailUrl, imageUrls,
             videoUrl: ppvGranted ? (content.contentType === 'short' ? mediaUrl : null) : null,
             audioUrl: ppvGranted ? (content.contentType === 'audio' ? mediaUrl : null) : null,
@@ -286,6 +281,7 @@ export const getSingleContent = async (req, res) => {
             artist: content.artist, album: content.album, audioCategory: content.audioCategory,
             visibility: content.visibility, status: content.status,
             ppvRequired: !ppvGranted && content.visibility === 'pay_per_view',
+            membershipRequired: !ppvGranted && content.visibility === 'members_only',
             price: content.visibility === 'pay_per_view' ? content.price : undefined,
         });
     } catch (error) {
@@ -7,20 +7,13 @@
 import mongoose from 'mongoose';
 import Content from '../../models/content.model.js';
 import Comment from '../../models/comment.model.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { presignPutUrl } from '../../utils/storage.js';
 import { watchHistoryEngine } from '../../algorithms/watchHistoryRecommendation.js';
 import { createUploadNotifications } from '../notification-controllers/notificationController.js';
 import { getCfUrl } from '../../config/cloudfront.js';
-import { batchCheckPpvAccess } from '../../utils/ppvGuard.js';
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
+import { parsePublishAt, applySchedule } from '../../utils/scheduledPublishing.js';
+import { enqueueTranscode } from '../../utils/transcoding.js';
 
 /**
  * Initialize short video upload
@@ -53,12 +46,7 @@ export const shortUploadInit = async (req, res) => {
             status: 'uploading'
         });
 
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: key,
-            ContentType: fileType,
-        });
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
 
         console.log(`📤 Short upload initialized: ${fileId} for user ${userId}`);
         res.json({ uploadUrl, fileId: fileId.toString(), key });
@@ -73,7 +61,7 @@ export const shortUploadInit = async (req, res) => {
  */
 export const shortUploadComplete = async (req, res) => {
     try {
-        const { fileId, fileSize, title, description, tags, category, visibility, isAgeRestricted, commentsEnabled, selectedRoles } = req.body;
+        const { fileId, fileSize, title, description, tags, category, visibility, isAgeRestricted, commentsEnabled, selectedRoles, publishAt, isPremiere } = req.body;
         const userId = req.user?.id;
 
         if (!fileId) return res.status(400).json({ error: 'fileId is required' });
@@ -83,7 +71,8 @@ export const shortUploadComplete = async (req, res) => {
         if (!content) return res.status(404).json({ error: 'Content not found' });
         if (content.userId.toString() !== userId) return res.status(403).json({ error: 'Not authorized' });
 
-        const updateData = { status: 'completed', fileSize: fileSize || 0, processingStart: new Date(), publishedAt: new Date() };
+        // Shorts stay playable from the original (feeds include 'processing') until the worker finishes the HLS ladder
+        const updateData = { status: 'processing', fileSize: fileSize || 0, processingStart: new Date(), publishedAt: new Date() };
         if (title) updateData.title = title;
         if (description) updateData.description = description;
         if (tags) updateData.tags = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
@@ -93,16 +82,28 @@ export const shortUploadComplete = async (req, res) => {
         if (typeof commentsEnabled === 'boolean') updateData.commentsEnabled = commentsEnabled;
         if (selectedRoles) updateData.selectedRoles = selectedRoles;
 
-        await Content.findByIdAndUpdate(fileId, updateData);
+        // Optional scheduled publish — held private until the publish worker releases it
+        const schedule = parsePublishAt(publishAt);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+        if (schedule.publishAt) {
+            delete updateData.publishedAt;
+            const scheduleError = applySchedule(updateData, schedule.publishAt, updateData.visibility || content.visibility, isPremiere);
+            if (scheduleError) return res.status(400).json({ error: scheduleError });
+        }
 
-        // Notify subscribers about the new short
-        createUploadNotifications(
-            content.userId, fileId, 'short',
-            updateData.title || content.title, content.thumbnailKey
-        ).catch(err => console.error('Notification error:', err));
+        await Content.findByIdAndUpdate(fileId, updateData);
+        await enqueueTranscode(fileId);
+
+        // Notify subscribers about the new short (scheduled shorts notify on publish)
+        if (!schedule.publishAt) {
+            createUploadNotifications(
+                content.userId, fileId, 'short',
+                updateData.title || content.title, content.thumbnailKey
+            ).catch(err => console.error('Notification error:', err));
+        }
 
         console.log(`✅ Short upload completed: ${fileId}`);
-        res.json({ success: true, message: 'Short uploaded successfully, processing started', contentId: fileId });
+        res.json({ success: true, message: 'Short uploaded successfully, processing started', contentId: fileId, publishAt: schedule.publishAt });
     } catch (error) {
         console.error('❌ Error completing short upload:', error);
         res.status(500).json({ error: 'Failed to complete upload' });
@@ -227,8 +228,8 @@ export const getShortsPlayerFeed = async (req, res) => {
         // Strip media URLs for unpurchased PPV shorts
         const ppvAccessSet = await batchCheckPpvAccess(allShorts, userId);
         const sanitizedShorts = allShorts.map(s => {
-            if (s.visibility !== 'pay_per_view' || ppvAccessSet.has(s._id.toString())) return s;
-            return { ...s, videoUrl: null, hlsMasterUrl: null, ppvRequired: true };
+            if (!isGatedContent(s) || ppvAccessSet.has(s._id.toString())) return s;
+            return { ...s, videoUrl: null, hlsMasterUrl: null, ...gateFlags(s) };
         });
 
         res.json({
@@ -4,41 +4,39 @@ import User from "../../models/user.model.js";
 import VideoReaction from "../../models/videoReaction.model.js";
 import Comment from "../../models/comment.model.js";
 import mongoose from 'mongoose';
-import { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 // Dead import removed: videoParameters.js was an obsolete direct view incrementer
 // Views are now counted atomically by watchAnalytics.js via ContentView deduplication
 import { recommendationEngine } from "../../algorithms/recommendationAlgorithm.js";
 import { getCfUrl, getCfHlsMasterUrl } from "../../config/cloudfront.js";
 import { createUploadNotifications } from '../notification-controllers/notificationController.js';
-import { hasPpvAccess, hasActiveRental } from '../../utils/ppvGuard.js';
+import { hasPpvAccess, hasActiveRental, isGatedContent, gateDeniedBody } from '../../utils/ppvGuard.js';
 import Bookmark from '../../models/bookmark.model.js';
 import Purchase from '../../models/purchase.model.js';
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
-// Helper to find HLS files in S3
+import { getReadyCaptionTracks } from './captionController.js';
+import { injectSubtitleTracks } from '../../utils/captionUtils.js';
+import { parsePublishAt, applySchedule } from '../../utils/scheduledPublishing.js';
+import { resolveChapters } from '../../utils/videoChapters.js';
+import { enqueueTranscode } from '../../utils/transcoding.js';
+import { getObject, getObjectBuffer, listAllObjects, presignPutUrl, putObject, isNotFoundError } from '../../utils/storage.js';
+import { resolveContentTier } from '../../utils/memberships.js';
+
+// Helper to find HLS files in storage
 async function findHLSFiles(videoId, userId) {
     try {
-        const prefix = `hls/videos/${userId}/${videoId}/`;
-        const command = new ListObjectsV2Command({
-            Bucket: process.env.S3_BUCKET,
-            Prefix: prefix,
-        });
-        const response = await s3Client.send(command);
-        return response.Contents || [];
+        return await listAllObjects(`hls/videos/${userId}/${videoId}/`);
     } catch (error) {
         console.error('Error finding HLS files:', error);
         return [];
     }
 }
 
+// Request protocol as seen by the client (X-Forwarded-Proto behind Render/CloudFront, else req.protocol)
+function getProtocol(req) {
+    const forwarded = req.headers['x-forwarded-proto'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+    return req.secure ? 'https' : req.protocol;
+}
+
 // Get video metadata
 export const getVideo = async (req, res) => {
     try {
@@ -143,10 +141,13 @@ export const getVideo = async (req, res) => {
             title: video.title,
             description: video.description,
             duration: video.duration,
+            chapters: resolveChapters(video),
             // Only include playable stream URL if PPV access is granted
             hlsMasterUrl: ppvGranted ? getCfHlsMasterUrl(video.hlsMasterKey) : null,
             thumbnailUrl,
             renditions,
+            // Ready subtitle tracks (for <track> elements / players not using the backend master playlist)
+            captions: ppvGranted ? getReadyCaptionTracks(video, `${getProtocol(req)}://${req.get('host')}`) : [],
             status: video.status,
             createdAt: video.createdAt,
             user: video.userId,
@@ -165,8 +166,10 @@ export const getVideo = async (req, res) => {
             category: video.category || '',
             visibility: video.visibility || 'public',
             commentsEnabled: video.commentsEnabled !== false,
-            // PPV gate flags & rental details
+            // PPV / membership gate flags & rental details
             ppvRequired: !ppvGranted && video.visibility === 'pay_per_view',
+            membershipRequired: !ppvGranted && video.visibility === 'members_only',
+            membershipTierId: video.visibility === 'members_only' ? (video.membershipTierId || null) : undefined,
             price: video.visibility === 'pay_per_view' ? video.price : undefined,
             rentalDuration: video.visibility === 'pay_per_view' ? (video.rentalDuration || 2) : undefined,
             rentalExpiresAt,
@@ -208,11 +211,11 @@ export const getHLSMasterPlaylist = async (req, res) => {
             }
         }
 
-        // ── PPV controller-level check (second layer after route middleware) ──
-        if (video.visibility === 'pay_per_view') {
+        // ── PPV / members-only controller-level check (second layer after route middleware) ──
+        if (isGatedContent(video)) {
             const granted = await hasPpvAccess(video, req.user?.id);
             if (!granted) {
-                return res.status(403).json({ error: 'Purchase required', ppvRequired: true, price: video.price });
+                return res.status(403).json(gateDeniedBody(video));
             }
         }
 
@@ -226,31 +229,16 @@ export const getHLSMasterPlaylist = async (req, res) => {
         if (!video.hlsMasterKey) {
             console.error('❌ No HLS master key found, searching...');
             const hlsFiles = await findHLSFiles(videoId, video.userId);
-            const masterFile = hlsFiles.find(file => file.Key && file.Key.includes('master.m3u8'));
+            const masterFile = hlsFiles.find(file => file.key.includes('master.m3u8'));
             if (!masterFile) {
                 return res.status(404).json({ error: 'Master playlist not found' });
             }
-            video.hlsMasterKey = masterFile.Key;
+            video.hlsMasterKey = masterFile.key;
             await video.save();
         }
 
-        // Fetch master playlist from S3 (signed URL)
-        const signedUrl = await getSignedUrl(
-            s3Client,
-            new GetObjectCommand({
-                Bucket: process.env.S3_BUCKET,
-                Key: video.hlsMasterKey,
-            }),
-            { expiresIn: 3600 }
-        );
-        console.log('🔑 Generated signed URL for master playlist:', signedUrl);
-        const response = await fetch(signedUrl);
-        if (!response.ok) {
-            console.log("response not ok");
-            throw new Error(`S3 responded with status: ${response.status}`);
-        }
-
-        let masterContent = await response.text();
+        // Fetch master playlist from storage
+        let masterContent = (await getObjectBuffer(video.hlsMasterKey)).toString('utf8');
         console.log('📄 Master playlist fetched, size:', masterContent.length, 'bytes');
 
         // Build absolute backend base (so HLS.js won't resolve against blob:)
@@ -325,7 +313,9 @@ export const getHLSMasterPlaylist = async (req, res) => {
             }
         }
 
-        const output = rebuilt.join('\n');
+        // Inject subtitle renditions for every ready caption track
+        const output = injectSubtitleTracks(rebuilt.join('\n'), getReadyCaptionTracks(video, backendBase)
+            .map(track => ({ ...track, uri: track.playlistUrl })));
 
         // Set HLS headers
         res.set({
@@ -379,11 +369,11 @@ export const getHLSVariantPlaylist = async (req, res) => {
             }
         }
 
-        // ── PPV controller-level check (second layer after route middleware) ──
-        if (video.visibility === 'pay_per_view') {
+        // ── PPV / members-only controller-level check (second layer after route middleware) ──
+        if (isGatedContent(video)) {
             const granted = await hasPpvAccess(video, req.user?.id);
             if (!granted) {
-                return res.status(403).json({ error: 'Purchase required', ppvRequired: true, price: video.price });
+                return res.status(403).json(gateDeniedBody(video));
             }
         }
 
@@ -392,7 +382,7 @@ export const getHLSVariantPlaylist = async (req, res) => {
             video.hlsMasterKey.substring(0, video.hlsMasterKey.lastIndexOf('/') + 1) :
             `hls/videos/${video.userId}/${videoId}/`;
 
-        // build candidate S3 keys
+        // build candidate storage keys
         const q = quality && quality !== 'auto' ? (quality.endsWith('p') ? quality : `${quality}p`) : null;
         const candidates = [];
 
@@ -405,30 +395,22 @@ export const getHLSVariantPlaylist = async (req, res) => {
         candidates.push(`${basePath}variants/${variantFile}`);
         candidates.push(`${basePath}${variantFile}`);
 
-        console.log('🔍 Trying variant S3 keys:', candidates);
+        console.log('🔍 Trying variant storage keys:', candidates);
 
         let chosenKey = null;
         let variantContent = null;
 
         for (const key of candidates) {
             try {
-                // create signed URL and try to fetch
-                const signedUrl = await getSignedUrl(
-                    s3Client,
-                    new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }),
-                    { expiresIn: 3600 }
-                );
-
-                const response = await fetch(signedUrl);
-                if (response && response.ok) {
-                    chosenKey = key;
-                    variantContent = await response.text();
-                    console.log('📄 Found variant at key:', key, 'size:', variantContent.length);
-                    break;
-                } else {
-                    console.warn('⛔ Candidate not available:', key, response?.status);
-                }
+                variantContent = (await getObjectBuffer(key)).toString('utf8');
+                chosenKey = key;
+                console.log('📄 Found variant at key:', key, 'size:', variantContent.length);
+                break;
             } catch (err) {
+                if (isNotFoundError(err)) {
+                    console.warn('⛔ Candidate not available:', key);
+                    continue;
+                }
                 console.warn('⛔ Error trying candidate key:', key, err.message || err);
                 // continue trying next candidate
             }
@@ -498,7 +480,7 @@ export const getHLSVariantPlaylist = async (req, res) => {
     }
 };
 
-// Get HLS segment (proxy from S3 instead of redirect)
+// Get HLS segment (proxy from storage instead of redirect)
 export const getHLSSegment = async (req, res) => {
     try {
         const videoId = req.params.id; // route uses /video/:id/segments/:segmentFile
@@ -530,15 +512,15 @@ export const getHLSSegment = async (req, res) => {
             }
         }
 
-        // ── PPV controller-level check (second layer after route middleware) ──
-        if (video.visibility === 'pay_per_view') {
+        // ── PPV / members-only controller-level check (second layer after route middleware) ──
+        if (isGatedContent(video)) {
             const granted = await hasPpvAccess(video, req.user?.id);
             if (!granted) {
-                return res.status(403).json({ error: 'Purchase required', ppvRequired: true, price: video.price });
+                return res.status(403).json(gateDeniedBody(video));
             }
         }
 
-        // Determine base path in S3
+        // Determine base path in storage
         const userId = video.userId;
         const basePath = video.hlsMasterKey ?
             video.hlsMasterKey.substring(0, video.hlsMasterKey.lastIndexOf('/') + 1) :
@@ -563,22 +545,15 @@ export const getHLSSegment = async (req, res) => {
 
         for (const key of candidates) {
             try {
-                const getCmdParams = {
-                    Bucket: process.env.S3_BUCKET,
-                    Key: key,
-                    ...(rangeHeader ? { Range: rangeHeader } : {})
-                };
-                const getCmd = new GetObjectCommand(getCmdParams);
-                objResponse = await s3Client.send(getCmd);
+                objResponse = await getObject(key, { range: rangeHeader });
                 usedKey = key;
                 break;
             } catch (err) {
-                const notFound = err && (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404);
-                if (notFound) {
+                if (isNotFoundError(err)) {
                     console.warn('Segment candidate not found:', key);
                     continue;
                 }
-                console.warn('S3 error while fetching segment candidate:', key, err.message || err);
+                console.warn('Storage error while fetching segment candidate:', key, err.message || err);
             }
         }
 
@@ -587,26 +562,26 @@ export const getHLSSegment = async (req, res) => {
             return res.status(404).json({ error: 'Segment not found in storage' });
         }
 
-        // Prepare headers - forward S3 metadata and range headers where present
-        // If Range requested and S3 returned ContentRange, respond 206 Partial Content
-        const isPartial = Boolean(rangeHeader) && Boolean(objResponse.ContentRange);
+        // Prepare headers - forward storage metadata and range headers where present
+        // If Range requested and storage returned a content range, respond 206 Partial Content
+        const isPartial = Boolean(rangeHeader) && Boolean(objResponse.contentRange);
         if (isPartial) {
             res.status(206);
-            if (objResponse.ContentRange) res.setHeader('Content-Range', objResponse.ContentRange);
+            res.setHeader('Content-Range', objResponse.contentRange);
         } else {
             res.status(200);
         }
 
-        if (objResponse.ContentType) res.setHeader('Content-Type', objResponse.ContentType);
-        if (objResponse.ContentLength) res.setHeader('Content-Length', String(objResponse.ContentLength));
-        if (objResponse.ETag) res.setHeader('ETag', objResponse.ETag);
-        if (objResponse.LastModified) res.setHeader('Last-Modified', new Date(objResponse.LastModified).toUTCString());
+        if (objResponse.contentType) res.setHeader('Content-Type', objResponse.contentType);
+        if (objResponse.contentLength) res.setHeader('Content-Length', String(objResponse.contentLength));
+        if (objResponse.etag) res.setHeader('ETag', objResponse.etag);
+        if (objResponse.lastModified) res.setHeader('Last-Modified', new Date(objResponse.lastModified).toUTCString());
         res.setHeader('Accept-Ranges', 'bytes');
         res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
         res.setHeader('Access-Control-Allow-Credentials', 'true');
 
-        console.log('🔗 Proxying segment from S3 key:', usedKey, isPartial ? '(partial)' : '(full)');
-        await pipeline(objResponse.Body, res);
+        console.log('🔗 Proxying segment from storage key:', usedKey, isPartial ? '(partial)' : '(full)');
+        await pipeline(objResponse.body, res);
 
     } catch (error) {
         console.error('💥 Error serving segment:', error);
@@ -975,6 +950,14 @@ export const uploadInit = async (req, res) => {
             }
         }
 
+        // Members-only: optional minimum tier, which must be one of the creator's own
+        let membershipTierId = null;
+        if (visibility === 'members_only') {
+            const tier = await resolveContentTier(userId, req.body.membershipTierId);
+            if (tier.error) return res.status(400).json({ error: tier.error });
+            membershipTierId = tier.membershipTierId;
+        }
+
         const video = await Content.create({
             _id: fileId,
             contentType: 'video',
@@ -985,6 +968,7 @@ export const uploadInit = async (req, res) => {
             visibility: visibility || 'public',
             price: visibility === 'pay_per_view' ? Number(price) : null,
             rentalDuration: visibility === 'pay_per_view' && [2,3,5,7,14,28].includes(Number(rentalDuration)) ? Number(rentalDuration) : 2,
+            membershipTierId,
             isAgeRestricted: isAgeRestricted || false,
             commentsEnabled: commentsEnabled !== false,
             selectedRoles: selectedRoles || [],
@@ -995,13 +979,7 @@ export const uploadInit = async (req, res) => {
 
         console.log(`📤 Video upload initialized: ${fileId}, title: "${title || fileName}"`);
 
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: key,
-            ContentType: fileType,
-        });
-
-        const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+        const uploadUrl = await presignPutUrl(key, { contentType: fileType, expiresIn: 3600 });
         res.json({ uploadUrl, fileId });
     } catch (error) {
         console.error("Error generating presigned URL:", error);
@@ -1176,20 +1154,35 @@ export const updateUserPreferences = async (req, res) => {
 
 export const uploadComplete = async (req, res) => {
     try {
-        const { fileId, fileSize } = req.body;
+        const { fileId, fileSize, publishAt, isPremiere } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(fileId)) {
             return res.status(400).json({ error: 'Invalid file ID' });
         }
 
-        const content = await Content.findByIdAndUpdate(fileId, {
+        const updateData = {
             status: 'processing',
             'sizes.original': fileSize,
             processingStart: new Date()
-        }, { new: true });
+        };
 
-        // Notify subscribers about the new upload
-        if (content) {
+        // Optional scheduled publish — content stays private until the publish worker releases it
+        const schedule = parsePublishAt(publishAt);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
+        }
+        if (schedule.publishAt) {
+            const existing = await Content.findById(fileId).select('visibility').lean();
+            if (!existing) return res.status(404).json({ error: 'Video not found' });
+            const scheduleError = applySchedule(updateData, schedule.publishAt, existing.visibility, isPremiere);
+            if (scheduleError) return res.status(400).json({ error: scheduleError });
+        }
+
+        const content = await Content.findByIdAndUpdate(fileId, updateData, { new: true });
+        if (content) await enqueueTranscode(content._id);
+
+        // Notify subscribers about the new upload (scheduled uploads notify on publish)
+        if (content && !schedule.publishAt) {
             createUploadNotifications(
                 content.userId, content._id, 'video',
                 content.title, content.thumbnailKey
@@ -1205,7 +1198,7 @@ export const uploadComplete = async (req, res) => {
             }
         }
 
-        res.json({ success: true, message: 'Queue reset and video added' });
+        res.json({ success: true, message: 'Queue reset and video added', publishAt: schedule.publishAt });
     } catch (error) {
         console.error('Error completing upload:', error);
         res.status(500).json({ error: 'Failed to complete upload' });
@@ -1284,15 +1277,7 @@ export const uploadVideoThumbnail = async (req, res) => {
         const file = req.file || req.files.thumbnail[0];
         const thumbnailKey = `thumbnails/videos/${userId}/${videoId}_custom.${file.mimetype.split('/')[1] || 'jpg'}`;
 
-        // Upload to S3
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: thumbnailKey,
-            Body: file.buffer,
-            ContentType: file.mimetype,
-        });
-
-        await s3Client.send(command);
+        await putObject(thumbnailKey, file.buffer, { contentType: file.mimetype });
 
         // Update video with thumbnail key and mark as custom
         await Content.findByIdAndUpdate(videoId, {
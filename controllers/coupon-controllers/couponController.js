@@ -0,0 +1,370 @@
+/**
+ * Coupon Controller — creator coupons and sale prices for PPV content
+ *
+ * Endpoints:
+ * - POST   /api/v2/coupons                    — Create a coupon (creator)
+ * - GET    /api/v2/coupons/mine               — My coupons with redemption counts
+ * - PATCH  /api/v2/coupons/:couponId          — Update limits/dates/description/active flag
+ * - DELETE /api/v2/coupons/:couponId          — Deactivate a coupon (history is kept)
+ * - GET    /api/v2/coupons/quote?contentId=&code= — Price quote for a buyer (sale + coupon)
+ * - PUT    /api/v2/coupons/sale/:contentId    — Set a time-boxed sale price on own PPV content
+ * - DELETE /api/v2/coupons/sale/:contentId    — End a sale
+ *
+ * Pricing rules live in utils/ppvPricing.js; both the wallet and gateway purchase
+ * flows charge the quoted final price.
+ */
+
+import mongoose from 'mongoose';
+import Coupon from '../../models/coupon.model.js';
+import Content from '../../models/content.model.js';
+import {
+    normalizeCouponCode,
+    quotePpvPrice,
+    MAX_PERCENT_DISCOUNT,
+    MIN_PPV_PRICE,
+} from '../../utils/ppvPricing.js';
+
+const MAX_COUPON_CONTENT_IDS = 200;
+const MAX_ACTIVE_COUPONS = 100;
+
+/**
+ * Helper: parse an optional date field. Returns undefined when absent, null when
+ * explicitly cleared, or throws on an invalid value.
+ */
+function parseOptionalDate(value, field) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`${field} must be a valid date`);
+    return date;
+}
+
+/**
+ * Helper: validate discount type/value pair
+ */
+function validateDiscount(discountType, discountValue) {
+    if (!['percent', 'fixed'].includes(discountType)) {
+        return 'discountType must be percent or fixed';
+    }
+    const value = Number(discountValue);
+    if (!Number.isFinite(value) || value < 1) {
+        return 'discountValue must be a positive number';
+    }
+    if (discountType === 'percent' && value > MAX_PERCENT_DISCOUNT) {
+        return `Percent discounts cannot exceed ${MAX_PERCENT_DISCOUNT}%`;
+    }
+    return null;
+}
+
+/**
+ * Helper: check that all contentIds are the creator's own PPV content
+ */
+async function validateCouponContentIds(contentIds, creatorId) {
+    if (!Array.isArray(contentIds) || contentIds.length > MAX_COUPON_CONTENT_IDS) {
+        return `contentIds must be an array of at most ${MAX_COUPON_CONTENT_IDS} IDs`;
+    }
+    if (contentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return 'contentIds contains an invalid ID';
+    }
+    const unique = [...new Set(contentIds.map(String))];
+    const owned = await Content.countDocuments({
+        _id: { $in: unique },
+        userId: creatorId,
+        visibility: 'pay_per_view',
+    });
+    if (owned !== unique.length) {
+        return 'Coupons can only target your own pay-per-view content';
+    }
+    return null;
+}
+
+/**
+ * Create a coupon
+ * POST /api/v2/coupons
+ * Body: { code, discountType, discountValue, description?, contentIds?, startsAt?, expiresAt?, maxRedemptions?, perUserLimit? }
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const {
+            code,
+            discountType,
+            discountValue,
+            description = '',
+            contentIds = [],
+            maxRedemptions = null,
+            perUserLimit = 1,
+        } = req.body;
+
+        const normalizedCode = normalizeCouponCode(code);
+        if (!normalizedCode) {
+            return res.status(400).json({ error: 'Code must be 3-32 characters: letters, numbers, _ or -' });
+        }
+
+        const discountError = validateDiscount(discountType, discountValue);
+        if (discountError) return res.status(400).json({ error: discountError });
+
+        const contentError = await validateCouponContentIds(contentIds, userId);
+        if (contentError) return res.status(400).json({ error: contentError });
+
+        let startsAt, expiresAt;
+        try {
+            startsAt = parseOptionalDate(req.body.startsAt, 'startsAt');
+            expiresAt = parseOptionalDate(req.body.expiresAt, 'expiresAt');
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (expiresAt && expiresAt <= (startsAt || new Date())) {
+            return res.status(400).json({ error: 'expiresAt must be after the start date' });
+        }
+
+        const activeCount = await Coupon.countDocuments({ creatorId: userId, isActive: true });
+        if (activeCount >= MAX_ACTIVE_COUPONS) {
+            return res.status(400).json({ error: `You can have at most ${MAX_ACTIVE_COUPONS} active coupons` });
+        }
+
+        const coupon = await Coupon.create({
+            creatorId: userId,
+            code: normalizedCode,
+            description,
+            discountType,
+            discountValue: Number(discountValue),
+            contentIds: [...new Set(contentIds.map(String))],
+            ...(startsAt ? { startsAt } : {}),
+            expiresAt: expiresAt || null,
+            maxRedemptions: maxRedemptions ? Number(maxRedemptions) : null,
+            perUserLimit: Number(perUserLimit) || 1,
+        });
+
+        return res.status(201).json({ message: 'Coupon created', coupon });
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'You already have a coupon with this code' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to create coupon' });
+    }
+};
+
+/**
+ * List my coupons
+ * GET /api/v2/coupons/mine?active=true
+ */
+export const getMyCoupons = async (req, res) => {
+    try {
+        const query = { creatorId: req.user.id };
+        if (req.query.active === 'true') query.isActive = true;
+
+        const coupons = await Coupon.find(query)
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .populate('contentIds', 'title contentType price')
+            .lean();
+
+        return res.json({ coupons });
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        return res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+};
+
+/**
+ * Update a coupon. The code and discount are immutable once issued so buyers
+ * who saw a quote aren't charged differently; create a new coupon instead.
+ * PATCH /api/v2/coupons/:couponId
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(400).json({ error: 'Invalid coupon ID' });
+        }
+
+        const coupon = await Coupon.findOne({ _id: couponId, creatorId: req.user.id });
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+
+        const { description, contentIds, maxRedemptions, perUserLimit, isActive } = req.body;
+
+        if (description !== undefined) coupon.description = description;
+        if (contentIds !== undefined) {
+            const contentError = await validateCouponContentIds(contentIds, req.user.id);
+            if (contentError) return res.status(400).json({ error: contentError });
+            coupon.contentIds = [...new Set(contentIds.map(String))];
+        }
+        if (maxRedemptions !== undefined) {
+            const max = maxRedemptions === null ? null : Number(maxRedemptions);
+            if (max !== null && (!Number.isInteger(max) || max < coupon.redemptionCount || max < 1)) {
+                return res.status(400).json({ error: `maxRedemptions must be at least ${Math.max(1, coupon.redemptionCount)}` });
+            }
+            coupon.maxRedemptions = max;
+        }
+        if (perUserLimit !== undefined) coupon.perUserLimit = Number(perUserLimit);
+        if (isActive !== undefined) coupon.isActive = !!isActive;
+
+        try {
+            const startsAt = parseOptionalDate(req.body.startsAt, 'startsAt');
+            const expiresAt = parseOptionalDate(req.body.expiresAt, 'expiresAt');
+            if (startsAt !== undefined) coupon.startsAt = startsAt || new Date();
+            if (expiresAt !== undefined) coupon.expiresAt = expiresAt;
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (coupon.expiresAt && coupon.expiresAt <= coupon.startsAt) {
+            return res.status(400).json({ error: 'expiresAt must be after the start date' });
+        }
+
+        await coupon.save();
+        return res.json({ message: 'Coupon updated', coupon });
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to update coupon' });
+    }
+};
+
+/**
+ * Deactivate a coupon (redemption history is kept for purchases that used it)
+ * DELETE /api/v2/coupons/:couponId
+ */
+export const deactivateCoupon = async (req, res) => {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(400).json({ error: 'Invalid coupon ID' });
+        }
+
+        const coupon = await Coupon.findOneAndUpdate(
+            { _id: couponId, creatorId: req.user.id },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+
+        return res.json({ message: 'Coupon deactivated', coupon });
+    } catch (error) {
+        console.error('Error deactivating coupon:', error);
+        return res.status(500).json({ error: 'Failed to deactivate coupon' });
+    }
+};
+
+/**
+ * Price quote for PPV content, optionally with a coupon code
+ * GET /api/v2/coupons/quote?contentId=&code=
+ */
+export const getPriceQuote = async (req, res) => {
+    try {
+        const { contentId, code } = req.query;
+        if (!mongoose.Types.ObjectId.isValid(contentId)) {
+            return res.status(400).json({ error: 'Invalid content ID' });
+        }
+
+        const content = await Content.findById(contentId)
+            .select('userId visibility status price salePrice saleStartsAt saleEndsAt')
+            .lean();
+        if (!content || content.visibility !== 'pay_per_view' || !content.price) {
+            return res.status(404).json({ error: 'Pay-per-view content not found' });
+        }
+        if (code && !req.user?.id) {
+            return res.status(401).json({ error: 'Sign in to apply a coupon' });
+        }
+
+        const quote = await quotePpvPrice(content, req.user?.id, code || null);
+
+        return res.json({
+            contentId,
+            listPrice: quote.listPrice,
+            salePrice: quote.salePrice,
+            saleEndsAt: quote.saleEndsAt,
+            couponCode: quote.couponCode,
+            couponError: quote.error,
+            discountAmount: quote.discountAmount,
+            finalPrice: quote.finalPrice,
+        });
+    } catch (error) {
+        console.error('Error quoting PPV price:', error);
+        return res.status(500).json({ error: 'Failed to get price' });
+    }
+};
+
+/**
+ * Set a sale price on own PPV content
+ * PUT /api/v2/coupons/sale/:contentId
+ * Body: { salePrice, saleStartsAt?, saleEndsAt }
+ */
+export const setSalePrice = async (req, res) => {
+    try {
+        const { contentId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(contentId)) {
+            return res.status(400).json({ error: 'Invalid content ID' });
+        }
+
+        const content = await Content.findOne({ _id: contentId, userId: req.user.id });
+        if (!content) return res.status(404).json({ error: 'Content not found' });
+        if (content.visibility !== 'pay_per_view' || !content.price) {
+            return res.status(400).json({ error: 'Sales can only be set on pay-per-view content' });
+        }
+
+        const salePrice = Number(req.body.salePrice);
+        if (!Number.isFinite(salePrice) || salePrice < MIN_PPV_PRICE || salePrice >= content.price) {
+            return res.status(400).json({ error: `salePrice must be between ₹${MIN_PPV_PRICE} and the regular price (₹${content.price})` });
+        }
+
+        let saleStartsAt, saleEndsAt;
+        try {
+            saleStartsAt = parseOptionalDate(req.body.saleStartsAt, 'saleStartsAt') || new Date();
+            saleEndsAt = parseOptionalDate(req.body.saleEndsAt, 'saleEndsAt');
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        // Sales are time-boxed so a "temporary" discount can't silently become the price
+        if (!saleEndsAt || saleEndsAt <= saleStartsAt || saleEndsAt <= new Date()) {
+            return res.status(400).json({ error: 'saleEndsAt is required and must be in the future, after saleStartsAt' });
+        }
+
+        content.salePrice = salePrice;
+        content.saleStartsAt = saleStartsAt;
+        content.saleEndsAt = saleEndsAt;
+        await content.save();
+
+        return res.json({
+            message: 'Sale scheduled',
+            contentId,
+            price: content.price,
+            salePrice,
+            saleStartsAt,
+            saleEndsAt,
+        });
+    } catch (error) {
+        console.error('Error setting sale price:', error);
+        return res.status(500).json({ error: 'Failed to set sale price' });
+    }
+};
+
+/**
+ * End a sale early
+ * DELETE /api/v2/coupons/sale/:contentId
+ */
+export const clearSalePrice = async (req, res) => {
+    try {
+        const { contentId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(contentId)) {
+            return res.status(400).json({ error: 'Invalid content ID' });
+        }
+
+        const result = await Content.updateOne(
+            { _id: contentId, userId: req.user.id },
+            { $set: { salePrice: null, saleStartsAt: null, saleEndsAt: null } }
+        );
+        if (!result.matchedCount) return res.status(404).json({ error: 'Content not found' });
+
+        return res.json({ message: 'Sale ended', contentId });
+    } catch (error) {
+        console.error('Error clearing sale price:', error);
+        return res.status(500).json({ error: 'Failed to end sale' });
+    }
+};
@@ -18,7 +18,7 @@ import WatchHistory from '../../models/watchHistory.model.js';
 import Content from '../../models/content.model.js';
 import User from '../../models/user.model.js';
 import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
-import { batchCheckPpvAccess } from '../../utils/ppvGuard.js';
+import { batchCheckPpvAccess, isGatedContent, gateFlags } from '../../utils/ppvGuard.js';
 
 /**
  * Get paginated watch history for the current user
@@ -114,17 +114,18 @@ export const getWatchHistory = async (req, res) => {
                 userId: content.userId,
                 visibility: content.visibility,
                 price: content.price,
+                membershipTierId: content.membershipTierId || null,
                 deleted: false,
                 isRemoved,
                 isRental,
             };
         }));
 
-        // Strip media URLs for unpurchased PPV items in history
+        // Strip media URLs for unpurchased PPV items (and lapsed memberships) in history
         const ppvAccessSet = await batchCheckPpvAccess(enrichedHistory.map(h => ({ ...h, _id: h.contentId })), userId);
         const sanitizedHistory = enrichedHistory.map(h => {
-            if (h.visibility !== 'pay_per_view' || ppvAccessSet.has(h.contentId?.toString())) return h;
-            return { ...h, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ppvRequired: true };
+            if (!isGatedContent(h) || ppvAccessSet.has(h.contentId?.toString())) return h;
+            return { ...h, hlsMasterUrl: null, videoUrl: null, audioUrl: null, ...gateFlags(h) };
         });
 
         res.json({
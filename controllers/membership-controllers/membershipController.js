@@ -0,0 +1,491 @@
+/**
+ * Membership Controller — creator membership tiers and fan channel memberships
+ *
+ * Endpoints:
+ * - GET    /api/v2/memberships/tiers/mine              — My tiers with member counts (creator)
+ * - POST   /api/v2/memberships/tiers                   — Create a tier (creator)
+ * - PATCH  /api/v2/memberships/tiers/:tierId           — Update name/price/perks/badge/rank/active flag
+ * - GET    /api/v2/memberships/members?status=&tierId= — My channel's members (creator)
+ * - GET    /api/v2/memberships/mine                    — Channels I'm a member of
+ * - GET    /api/v2/memberships/channel/:creatorId      — A channel's active tiers (+ my membership)
+ * - POST   /api/v2/memberships/channel/:creatorId/join — Join a tier, first month paid with wallet + PIN
+ * - POST   /api/v2/memberships/channel/:creatorId/cancel — Stop renewing (access until period end)
+ * - POST   /api/v2/memberships/channel/:creatorId/resume — Undo a cancellation before the period ends
+ * - PATCH  /api/v2/memberships/channel/:creatorId/tier — Switch tier from the next renewal
+ *
+ * Billing rules live in utils/memberships.js and utils/membershipRenewals.js;
+ * members-only content gating lives in utils/ppvGuard.js.
+ */
+
+import mongoose from 'mongoose';
+import MembershipTier from '../../models/membershipTier.model.js';
+import ChannelMembership from '../../models/channelMembership.model.js';
+import User from '../../models/user.model.js';
+import { ensurePrimaryWallet, executeMembershipCharge } from '../../utils/walletService.js';
+import { checkPaymentPin } from '../../utils/paymentPin.js';
+import { getStateStore } from '../../utils/stateStore.js';
+import { notify } from '../../utils/notificationService.js';
+import { emitWebhookEvent } from '../../utils/webhooks.js';
+import {
+    MAX_TIERS_PER_CREATOR,
+    MIN_MEMBERSHIP_PRICE,
+    MAX_MEMBERSHIP_PRICE,
+    addMonths,
+    isMembershipLive,
+} from '../../utils/memberships.js';
+
+const JOIN_LOCK_TTL_MS = 30 * 1000;
+const MAX_PERKS = 10;
+
+/**
+ * Helper: validate tier fields present in a create/update body.
+ * Returns { update, error } with only the provided, normalised fields.
+ */
+function parseTierFields(body, { requireAll = false } = {}) {
+    const update = {};
+    const { name, description, monthlyPrice, perks, badge, rank, isActive } = body;
+
+    if (name !== undefined || requireAll) {
+        const trimmed = String(name ?? '').trim();
+        if (trimmed.length < 2 || trimmed.length > 40) return { error: 'Tier name must be 2-40 characters' };
+        update.name = trimmed;
+    }
+    if (monthlyPrice !== undefined || requireAll) {
+        const price = Number(monthlyPrice);
+        if (!Number.isFinite(price) || price < MIN_MEMBERSHIP_PRICE || price > MAX_MEMBERSHIP_PRICE) {
+            return { error: `Monthly price must be between ₹${MIN_MEMBERSHIP_PRICE} and ₹${MAX_MEMBERSHIP_PRICE}` };
+        }
+        update.monthlyPrice = Math.round(price * 100) / 100;
+    }
+    if (description !== undefined) {
+        if (String(description).length > 500) return { error: 'Description can be at most 500 characters' };
+        update.description = String(description).trim();
+    }
+    if (perks !== undefined) {
+        if (!Array.isArray(perks) || perks.length > MAX_PERKS || perks.some(p => typeof p !== 'string' || p.length > 120)) {
+            return { error: `Perks must be a list of at most ${MAX_PERKS} short descriptions` };
+        }
+        update.perks = perks.map(p => p.trim()).filter(Boolean);
+    }
+    if (badge !== undefined) {
+        if (String(badge).length > 24) return { error: 'Badge can be at most 24 characters' };
+        update.badge = String(badge).trim();
+    }
+    if (rank !== undefined) {
+        const value = Number(rank);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_TIERS_PER_CREATOR) {
+            return { error: `Rank must be a whole number from 1 to ${MAX_TIERS_PER_CREATOR}` };
+        }
+        update.rank = value;
+    }
+    if (isActive !== undefined) update.isActive = !!isActive;
+    return { update };
+}
+
+/**
+ * Helper: public shape of a membership for the member
+ */
+function formatMembership(membership, tier = null) {
+    return {
+        _id: membership._id,
+        creatorId: membership.creatorId,
+        tier: tier ? { _id: tier._id, name: tier.name, badge: tier.badge, rank: tier.rank } : membership.tierId,
+        pendingTierId: membership.pendingTierId,
+        price: membership.price,
+        status: membership.status,
+        startedAt: membership.startedAt,
+        currentPeriodEnd: membership.currentPeriodEnd,
+        cancelAtPeriodEnd: membership.cancelAtPeriodEnd,
+        graceUntil: membership.graceUntil,
+        lastRenewalError: membership.status === 'grace' ? membership.lastRenewalError : null,
+    };
+}
+
+// ─── Creator: tiers ─────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v2/memberships/tiers/mine
+ */
+export const getMyTiers = async (req, res) => {
+    try {
+        const tiers = await MembershipTier.find({ creatorId: req.user.id }).sort({ rank: 1 }).lean();
+        return res.json({ tiers });
+    } catch (error) {
+        console.error('❌ Error fetching membership tiers:', error);
+        return res.status(500).json({ error: 'Failed to fetch membership tiers' });
+    }
+};
+
+/**
+ * POST /api/v2/memberships/tiers
+ * Body: { name, monthlyPrice, description?, perks?, badge?, rank? }
+ */
+export const createTier = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { update, error } = parseTierFields(req.body, { requireAll: true });
+        if (error) return res.status(400).json({ error });
+
+        const creator = await User.findById(userId).select('channelBanned').lean();
+        if (creator?.channelBanned) {
+            return res.status(403).json({ error: 'Your channel has been banned. You cannot offer memberships.' });
+        }
+
+        const existing = await MembershipTier.find({ creatorId: userId }).select('rank').lean();
+        if (existing.length >= MAX_TIERS_PER_CREATOR) {
+            return res.status(400).json({ error: `You can have at most ${MAX_TIERS_PER_CREATOR} membership tiers` });
+        }
+
+        const tier = await MembershipTier.create({
+            creatorId: userId,
+            rank: update.rank || Math.max(0, ...existing.map(t => t.rank)) + 1,
+            ...update,
+        });
+
+        return res.status(201).json({ message: 'Membership tier created', tier });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'You already have a tier with this name' });
+        }
+        console.error('❌ Error creating membership tier:', error);
+        return res.status(500).json({ error: 'Failed to create membership tier' });
+    }
+};
+
+/**
+ * PATCH /api/v2/memberships/tiers/:tierId
+ * Price changes apply to new members; existing members keep the price they joined at.
+ */
+export const updateTier = async (req, res) => {
+    try {
+        const { tierId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(tierId)) return res.status(400).json({ error: 'Invalid tier ID' });
+
+        const { update, error } = parseTierFields(req.body);
+        if (error) return res.status(400).json({ error });
+        if (Object.keys(update).length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+        const tier = await MembershipTier.findOneAndUpdate(
+            { _id: tierId, creatorId: req.user.id },
+            { $set: update },
+            { new: true, runValidators: true }
+        );
+        if (!tier) return res.status(404).json({ error: 'Membership tier not found' });
+
+        return res.json({ message: 'Membership tier updated', tier });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'You already have a tier with this name' });
+        }
+        console.error('❌ Error updating membership tier:', error);
+        return res.status(500).json({ error: 'Failed to update membership tier' });
+    }
+};
+
+/**
+ * GET /api/v2/memberships/members?status=active|grace|cancelled|expired&tierId=&page=&limit=
+ */
+export const getMyMembers = async (req, res) => {
+    try {
+        const { status, tierId } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const query = { creatorId: req.user.id };
+        if (status) {
+            if (!['active', 'grace', 'cancelled', 'expired'].includes(status)) {
+                return res.status(400).json({ error: 'Invalid status filter' });
+            }
+            query.status = status;
+        } else {
+            query.status = { $in: ['active', 'grace'] };
+        }
+        if (tierId) {
+            if (!mongoose.Types.ObjectId.isValid(tierId)) return res.status(400).json({ error: 'Invalid tier ID' });
+            query.tierId = tierId;
+        }
+
+        const [members, total] = await Promise.all([
+            ChannelMembership.find(query)
+                .sort({ startedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('memberId', 'userName channelName channelHandle channelPicture')
+                .populate('tierId', 'name badge rank')
+                .lean(),
+            ChannelMembership.countDocuments(query),
+        ]);
+
+        return res.json({
+            members: members.map(m => ({
+                _id: m._id,
+                member: m.memberId,
+                tier: m.tierId,
+                status: m.status,
+                startedAt: m.startedAt,
+                currentPeriodEnd: m.currentPeriodEnd,
+                cancelAtPeriodEnd: m.cancelAtPeriodEnd,
+            })),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        });
+    } catch (error) {
+        console.error('❌ Error fetching channel members:', error);
+        return res.status(500).json({ error: 'Failed to fetch members' });
+    }
+};
+
+// ─── Fans: memberships ──────────────────────────────────────────────────────
+
+/**
+ * GET /api/v2/memberships/channel/:creatorId
+ */
+export const getChannelTiers = async (req, res) => {
+    try {
+        const { creatorId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(creatorId)) return res.status(400).json({ error: 'Invalid channel ID' });
+
+        const [tiers, membership] = await Promise.all([
+            MembershipTier.find({ creatorId, isActive: true })
+                .select('name description monthlyPrice perks badge rank memberCount')
+                .sort({ rank: 1 })
+                .lean(),
+            req.user?.id ? ChannelMembership.findOne({ memberId: req.user.id, creatorId }).lean() : null,
+        ]);
+
+        return res.json({
+            tiers,
+            membership: isMembershipLive(membership) ? formatMembership(membership) : null,
+        });
+    } catch (error) {
+        console.error('❌ Error fetching channel tiers:', error);
+        return res.status(500).json({ error: 'Failed to fetch membership tiers' });
+    }
+};
+
+/**
+ * GET /api/v2/memberships/mine
+ */
+export const getMyMemberships = async (req, res) => {
+    try {
+        const memberships = await ChannelMembership.find({
+            memberId: req.user.id,
+            status: { $in: ['active', 'grace'] },
+        })
+            .sort({ currentPeriodEnd: 1 })
+            .populate('creatorId', 'channelName channelHandle channelPicture')
+            .populate('tierId', 'name badge rank')
+            .lean();
+
+        return res.json({
+            memberships: memberships.map(m => ({
+                ...formatMembership(m, m.tierId),
+                creatorId: m.creatorId?._id || m.creatorId,
+                channel: m.creatorId,
+            })),
+        });
+    } catch (error) {
+        console.error('❌ Error fetching memberships:', error);
+        return res.status(500).json({ error: 'Failed to fetch memberships' });
+    }
+};
+
+/**
+ * POST /api/v2/memberships/channel/:creatorId/join
+ * Body: { tierId, pin }
+ * Charges the first month immediately; the renewal worker bills each month after.
+ */
+export const joinMembership = async (req, res) => {
+    const userId = req.user.id;
+    const { creatorId } = req.params;
+    const lockKey = `membership:join:${userId}:${creatorId}`;
+    let locked = false;
+
+    try {
+        const { tierId, pin } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(creatorId) || !mongoose.Types.ObjectId.isValid(tierId)) {
+            return res.status(400).json({ error: 'Valid channel and tier IDs are required' });
+        }
+        if (creatorId === userId) {
+            return res.status(400).json({ error: 'You cannot join your own channel' });
+        }
+
+        const tier = await MembershipTier.findOne({ _id: tierId, creatorId, isActive: true }).lean();
+        if (!tier) return res.status(404).json({ error: 'Membership tier not found' });
+
+        const existing = await ChannelMembership.findOne({ memberId: userId, creatorId }).lean();
+        if (isMembershipLive(existing)) {
+            return res.status(400).json({ error: 'You are already a member of this channel', membership: formatMembership(existing) });
+        }
+
+        // ── PIN Verification Check ──
+        const wallet = await ensurePrimaryWallet(userId);
+        const pinError = await checkPaymentPin(wallet, pin);
+        if (pinError) return res.status(400).json(pinError);
+
+        // One join at a time per member + channel, so a double click can't bill twice
+        locked = await getStateStore().setIfAbsent(lockKey, 1, JOIN_LOCK_TTL_MS);
+        if (!locked) return res.status(409).json({ error: 'Your membership is already being processed' });
+
+        // Re-check under the lock: a join that finished while we waited already billed
+        const current = await ChannelMembership.findOne({ memberId: userId, creatorId }).lean();
+        if (isMembershipLive(current)) {
+            return res.status(400).json({ error: 'You are already a member of this channel', membership: formatMembership(current) });
+        }
+
+        const membershipId = current?._id || new mongoose.Types.ObjectId();
+        const periodStart = new Date();
+        const periodEnd = addMonths(periodStart, 1);
+
+        const result = await executeMembershipCharge(userId, creatorId, membershipId.toString(), tier._id.toString(), tier.monthlyPrice, periodStart);
+
+        const membership = await ChannelMembership.findOneAndUpdate(
+            { memberId: userId, creatorId },
+            {
+                $set: {
+                    tierId: tier._id,
+                    pendingTierId: null,
+                    price: tier.monthlyPrice,
+                    status: 'active',
+                    startedAt: periodStart,
+                    currentPeriodStart: periodStart,
+                    currentPeriodEnd: periodEnd,
+                    cancelAtPeriodEnd: false,
+                    cancelledAt: null,
+                    graceUntil: null,
+                    renewalAttempts: 0,
+                    nextRenewalAttemptAt: null,
+                    lastRenewalError: null,
+                    lastChargedAt: periodStart,
+                    endedAt: null,
+                },
+                $setOnInsert: { _id: membershipId },
+            },
+            { upsert: true, new: true }
+        );
+        await MembershipTier.updateOne({ _id: tier._id }, { $inc: { memberCount: 1 } });
+
+        notify({
+            type: 'new_member',
+            recipientIds: [creatorId],
+            actorId: userId,
+            fields: { title: tier.name, message: `Joined ${tier.name} for ₹${tier.monthlyPrice}/month` },
+            dedupeKey: () => `new_member:${membership._id}:${periodStart.getTime()}`,
+        });
+
+        emitWebhookEvent('membership.joined', {
+            creatorId,
+            data: {
+                membershipId: String(membership._id),
+                tierId: String(tier._id),
+                tierName: tier.name,
+                monthlyPrice: tier.monthlyPrice,
+                currentPeriodEnd: periodEnd.toISOString(),
+            },
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: `Welcome to ${tier.name}! Your membership renews on ${periodEnd.toDateString()}.`,
+            membership: formatMembership(membership.toObject(), tier),
+            walletBalance: result.memberTxn.balanceAfter,
+        });
+    } catch (error) {
+        if (error.message === 'Insufficient wallet balance') {
+            return res.status(400).json({ error: 'Insufficient wallet balance. Please recharge your wallet.' });
+        }
+        console.error('❌ Error joining membership:', error);
+        return res.status(500).json({ error: 'Failed to join membership' });
+    } finally {
+        if (locked) await getStateStore().del(lockKey).catch(() => {});
+    }
+};
+
+/**
+ * POST /api/v2/memberships/channel/:creatorId/cancel
+ * Access continues until the end of the paid period; no further charges.
+ */
+export const cancelMembership = async (req, res) => {
+    try {
+        const { creatorId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(creatorId)) return res.status(400).json({ error: 'Invalid channel ID' });
+
+        const membership = await ChannelMembership.findOneAndUpdate(
+            { memberId: req.user.id, creatorId, status: { $in: ['active', 'grace'] } },
+            { $set: { cancelAtPeriodEnd: true, cancelledAt: new Date(), pendingTierId: null } },
+            { new: true }
+        ).lean();
+        if (!membership) return res.status(404).json({ error: 'You are not a member of this channel' });
+
+        return res.json({
+            message: membership.status === 'grace'
+                ? 'Membership cancelled'
+                : `Membership cancelled. You keep access until ${new Date(membership.currentPeriodEnd).toDateString()}.`,
+            membership: formatMembership(membership),
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling membership:', error);
+        return res.status(500).json({ error: 'Failed to cancel membership' });
+    }
+};
+
+/**
+ * POST /api/v2/memberships/channel/:creatorId/resume
+ */
+export const resumeMembership = async (req, res) => {
+    try {
+        const { creatorId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(creatorId)) return res.status(400).json({ error: 'Invalid channel ID' });
+
+        const membership = await ChannelMembership.findOneAndUpdate(
+            { memberId: req.user.id, creatorId, status: 'active', cancelAtPeriodEnd: true, currentPeriodEnd: { $gt: new Date() } },
+            { $set: { cancelAtPeriodEnd: false, cancelledAt: null } },
+            { new: true }
+        ).lean();
+        if (!membership) return res.status(404).json({ error: 'No cancelled membership to resume' });
+
+        return res.json({ message: 'Membership resumed', membership: formatMembership(membership) });
+    } catch (error) {
+        console.error('❌ Error resuming membership:', error);
+        return res.status(500).json({ error: 'Failed to resume membership' });
+    }
+};
+
+/**
+ * PATCH /api/v2/memberships/channel/:creatorId/tier
+ * Body: { tierId } — the switch (and its price) applies from the next renewal.
+ */
+export const changeMembershipTier = async (req, res) => {
+    try {
+        const { creatorId } = req.params;
+        const { tierId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(creatorId) || !mongoose.Types.ObjectId.isValid(tierId)) {
+            return res.status(400).json({ error: 'Valid channel and tier IDs are required' });
+        }
+
+        const tier = await MembershipTier.findOne({ _id: tierId, creatorId, isActive: true }).lean();
+        if (!tier) return res.status(404).json({ error: 'Membership tier not found' });
+
+        const current = await ChannelMembership.findOne({ memberId: req.user.id, creatorId, status: 'active' }).lean();
+        if (!current) return res.status(404).json({ error: 'You need an active membership to switch tiers' });
+        if (current.cancelAtPeriodEnd) {
+            return res.status(400).json({ error: 'Resume your membership before switching tiers' });
+        }
+
+        const pendingTierId = tier._id.toString() === current.tierId.toString() ? null : tier._id;
+        const membership = await ChannelMembership.findOneAndUpdate(
+            { _id: current._id },
+            { $set: { pendingTierId } },
+            { new: true }
+        ).lean();
+
+        return res.json({
+            message: pendingTierId
+                ? `You'll move to ${tier.name} (₹${tier.monthlyPrice}/month) on ${new Date(current.currentPeriodEnd).toDateString()}`
+                : 'Tier change cancelled',
+            membership: formatMembership(membership),
+        });
+    } catch (error) {
+        console.error('❌ Error changing membership tier:', error);
+        return res.status(500).json({ error: 'Failed to change membership tier' });
+    }
+};
@@ -2,26 +2,31 @@
  * Notification Controller
  * 
  * Endpoints:
- * - GET    /api/v2/notifications           — Get notifications (max 10, newest first)
+ * - GET    /api/v2/notifications           — Get notifications (max 50, newest first, ?type=mention)
  * - POST   /api/v2/notifications/dismiss/:id — Dismiss/remove a notification
  * - GET    /api/v2/notifications/unread-count — Get unread notification count
  * - POST   /api/v2/notifications/mark-read   — Mark all notifications as read
+ * - GET    /api/v2/notifications/preferences — Per-type preferences, mute state, muted users
+ * - PUT    /api/v2/notifications/preferences — Update per-type preferences and/or mute all
+ * - POST   /api/v2/notifications/mute/:userId   — Stop notifications caused by a user
+ * - DELETE /api/v2/notifications/mute/:userId   — Unmute a user
  * 
  * Internal:
  * - createUploadNotifications(creatorId, contentId, contentType, title, thumbnailKey)
  *   Called when a creator uploads new content to notify all subscribers.
+ * - Other types are created through utils/notificationService.js → notify()
  */
 
 import mongoose from 'mongoose';
-import Notification from '../../models/notification.model.js';
+import Notification, { NOTIFICATION_TYPES } from '../../models/notification.model.js';
 import User from '../../models/user.model.js';
 import { getCfUrl } from '../../config/cloudfront.js';
-
-const MAX_NOTIFICATIONS_PER_USER = 10;
+import { notify, MAX_NOTIFICATIONS_PER_USER, MAX_MUTED_USERS } from '../../utils/notificationService.js';
 
 /**
  * Create notifications for all subscribers of a creator when new content is uploaded.
  * Called internally from upload-complete handlers.
+ * Subscribers' notification preferences and mutes are honoured by notify().
  * 
  * @param {string} creatorId - The creator who uploaded content
  * @param {string} contentId - The content document ID
@@ -43,35 +48,24 @@ export const createUploadNotifications = async (creatorId, contentId, contentTyp
 
         if (subscribers.length === 0) return;
 
-        const notifications = subscribers.map(sub => ({
-            userId: sub._id,
-            contentId,
-            creatorId,
-            contentType,
-            title: title || 'New upload',
-            thumbnailUrl: thumbnailKey ? getCfUrl(thumbnailKey) : '',
-            creatorName: creator.channelName || '',
-            creatorChannelPicture: creator.channelPicture ? getCfUrl(creator.channelPicture) : ''
-        }));
-
-        // Batch insert
-        await Notification.insertMany(notifications, { ordered: false });
-
-        // Enforce max 10 per user — remove oldest excess
-        for (const sub of subscribers) {
-            const count = await Notification.countDocuments({ userId: sub._id });
-            if (count > MAX_NOTIFICATIONS_PER_USER) {
-                const excess = count - MAX_NOTIFICATIONS_PER_USER;
-                const oldestToRemove = await Notification.find({ userId: sub._id })
-                    .sort({ createdAt: 1 })
-                    .limit(excess)
-                    .select('_id')
-                    .lean();
-                await Notification.deleteMany({
-                    _id: { $in: oldestToRemove.map(n => n._id) }
-                });
-            }
-        }
+        const creatorChannelPicture = creator.channelPicture ? getCfUrl(creator.channelPicture) : '';
+        await notify({
+            type: 'upload',
+            recipientIds: subscribers.map(sub => sub._id),
+            actorId: creatorId,
+            fields: {
+                contentId,
+                creatorId,
+                contentType,
+                title: title || 'New upload',
+                thumbnailUrl: thumbnailKey ? getCfUrl(thumbnailKey) : '',
+                creatorName: creator.channelName || '',
+                creatorChannelPicture,
+                actorName: creator.channelName || '',
+                actorPicture: creatorChannelPicture,
+            },
+            dedupeKey: () => `upload:${contentId}`,
+        });
     } catch (error) {
         console.error('Error creating upload notifications:', error);
         // Don't throw — notifications are non-critical
@@ -79,16 +73,20 @@ export const createUploadNotifications = async (creatorId, contentId, contentTyp
 };
 
 /**
- * Get user notifications (max 10, newest first)
+ * Get user notifications (max 50, newest first)
  * Only returns notifications for content that has completed processing.
- * GET /api/v2/notifications
+ * GET /api/v2/notifications?type=comment_reply
  */
 export const getNotifications = async (req, res) => {
     try {
         const userId = req.user.id;
+        const { type } = req.query;
+        if (type && !NOTIFICATION_TYPES.includes(type)) {
+            return res.status(400).json({ message: `type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+        }
 
         const notifications = await Notification.aggregate([
-            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $match: { userId: new mongoose.Types.ObjectId(userId), ...(type ? { type } : {}) } },
             { $sort: { createdAt: -1 } },
             { $limit: MAX_NOTIFICATIONS_PER_USER * 2 }, // fetch more to account for filtered-out processing items
             {
@@ -195,3 +193,149 @@ export const markAllNotificationsRead = async (req, res) => {
         return res.status(500).json({ message: 'Failed to mark as read' });
     }
 };
+
+/**
+ * Shape a user's notification settings for responses
+ */
+function formatPreferences(user) {
+    const preferences = {};
+    for (const type of NOTIFICATION_TYPES) {
+        preferences[type] = user.notificationPreferences?.[type] !== false;
+    }
+    const mutedUntil = user.notificationsMutedUntil && new Date(user.notificationsMutedUntil) > new Date()
+        ? user.notificationsMutedUntil
+        : null;
+    return {
+        preferences,
+        mutedUntil,
+        mutedUserIds: user.mutedNotificationUsers || [],
+    };
+}
+
+/**
+ * Get notification preferences
+ * GET /api/v2/notifications/preferences
+ */
+export const getNotificationPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('notificationPreferences notificationsMutedUntil mutedNotificationUsers')
+            .lean();
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        return res.json(formatPreferences(user));
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        return res.status(500).json({ message: 'Failed to fetch notification preferences' });
+    }
+};
+
+/**
+ * Update notification preferences
+ * PUT /api/v2/notifications/preferences
+ * Body: {
+ *   preferences?: { comment_like: false, ... },
+ *   muteForHours?: number   — mute everything for N hours (0 = unmute)
+ *   mutedUntil?: ISO date | null — explicit mute end (null = unmute)
+ * }
+ */
+export const updateNotificationPreferences = async (req, res) => {
+    try {
+        const { preferences, muteForHours, mutedUntil } = req.body;
+        const $set = {};
+
+        if (preferences !== undefined) {
+            if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+                return res.status(400).json({ message: 'preferences must be an object' });
+            }
+            for (const [type, enabled] of Object.entries(preferences)) {
+                if (!NOTIFICATION_TYPES.includes(type)) {
+                    return res.status(400).json({ message: `Unknown notification type: ${type}` });
+                }
+                if (typeof enabled !== 'boolean') {
+                    return res.status(400).json({ message: `Preference for ${type} must be true or false` });
+                }
+                $set[`notificationPreferences.${type}`] = enabled;
+            }
+        }
+
+        if (muteForHours !== undefined) {
+            const hours = Number(muteForHours);
+            if (!Number.isFinite(hours) || hours < 0 || hours > 24 * 365) {
+                return res.status(400).json({ message: 'muteForHours must be between 0 and 8760' });
+            }
+            $set.notificationsMutedUntil = hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000) : null;
+        } else if (mutedUntil !== undefined) {
+            const until = mutedUntil === null ? null : new Date(mutedUntil);
+            if (until && Number.isNaN(until.getTime())) {
+                return res.status(400).json({ message: 'mutedUntil must be a valid date or null' });
+            }
+            $set.notificationsMutedUntil = until;
+        }
+
+        if (Object.keys($set).length === 0) {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.id, { $set }, { new: true })
+            .select('notificationPreferences notificationsMutedUntil mutedNotificationUsers')
+            .lean();
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        return res.json({ message: 'Notification preferences updated', ...formatPreferences(user) });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        return res.status(500).json({ message: 'Failed to update notification preferences' });
+    }
+};
+
+/**
+ * Mute notifications caused by a specific user
+ * POST /api/v2/notifications/mute/:userId
+ */
+export const muteNotificationUser = async (req, res) => {
+    try {
+        const { userId: targetId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(targetId)) {
+            return res.status(400).json({ message: 'Invalid user ID' });
+        }
+        if (targetId === req.user.id) {
+            return res.status(400).json({ message: 'You cannot mute yourself' });
+        }
+        if (!await User.exists({ _id: targetId })) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const result = await User.updateOne(
+            { _id: req.user.id, [`mutedNotificationUsers.${MAX_MUTED_USERS - 1}`]: { $exists: false } },
+            { $addToSet: { mutedNotificationUsers: targetId } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(400).json({ message: `You can mute at most ${MAX_MUTED_USERS} users` });
+        }
+
+        return res.json({ message: 'User muted', muted: true });
+    } catch (error) {
+        console.error('Error muting user notifications:', error);
+        return res.status(500).json({ message: 'Failed to mute user' });
+    }
+};
+
+/**
+ * Unmute a user
+ * DELETE /api/v2/notifications/mute/:userId
+ */
+export const unmuteNotificationUser = async (req, res) => {
+    try {
+        const { userId: targetId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(targetId)) {
+            return res.status(400).json({ message: 'Invalid user ID' });
+        }
+
+        await User.updateOne({ _id: req.user.id }, { $pull: { mutedNotificationUsers: targetId } });
+        return res.json({ message: 'User unmuted', muted: false });
+    } catch (error) {
+        console.error('Error unmuting user notifications:', error);
+        return res.status(500).json({ message: 'Failed to unmute user' });
+    }
+};
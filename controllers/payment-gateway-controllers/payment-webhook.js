@@ -2,6 +2,7 @@ import crypto from "crypto";
 import dotenv from "dotenv";
 import PaymentDetails from "../../models/payment.details.model.js";
 import { fulfillWalletRecharge, fulfillPpvPurchase } from "../../utils/paymentFulfillmentService.js";
+import { releaseCouponRedemption } from "../../utils/ppvPricing.js";
 
 dotenv.config();
 
@@ -129,6 +130,8 @@ export const handleCashfreeWebhook = async (req, res) => {
         });
         console.log(`Payment failure recorded for Order: ${orderId}`);
       }
+      // Give the coupon use back; a later successful retry on the same order re-claims it
+      if (orderId) await releaseCouponRedemption(orderId);
     }
 
     return res.status(200).send("Webhook processed");
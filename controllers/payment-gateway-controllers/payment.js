@@ -6,6 +6,7 @@ import { Cashfree, CFEnvironment } from "cashfree-pg";
 import generateOrderId from "./get.order.id.js";
 import User from "../../models/user.model.js";
 import PaymentDetails from "../../models/payment.details.model.js";
+import { resolveGatewayPpvPricing, claimCouponRedemption, releaseCouponRedemption } from "../../utils/ppvPricing.js";
 
 // ✅ Correct instantiation for SDK v5.0.8
 const cfEnv = process.env.CASHFREE_MODE?.trim() === 'production' ? CFEnvironment.PRODUCTION : CFEnvironment.SANDBOX;
@@ -13,7 +14,8 @@ const cashfree = new Cashfree(cfEnv, process.env.CF_CLIENT_ID?.trim(), process.e
 
 const payment = async (req, res) => {
   try {
-    const { price, contentId } = req.body;
+    const { contentId, couponCode } = req.body;
+    let { price } = req.body;
     console.log("Received price:", price, "ContentId:", contentId);
     
     if (!contentId) {
@@ -25,6 +27,13 @@ const payment = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // PPV orders are priced server-side (sale price / coupon); the client price is only used for recharges
+    const pricing = await resolveGatewayPpvPricing(contentId, user._id, couponCode);
+    if (pricing?.error) {
+      return res.status(400).json({ error: pricing.error, couponInvalid: true });
+    }
+    if (pricing) price = pricing.finalPrice;
+
     console.log("Calling generateOrderId function");
     const orderId = await generateOrderId();
     console.log("Generated order ID:", orderId);
@@ -48,6 +57,14 @@ const payment = async (req, res) => {
       }
     };
 
+    if (pricing?.coupon) {
+      try {
+        await claimCouponRedemption(pricing, { userId: user._id, contentId, orderId });
+      } catch (err) {
+        return res.status(400).json({ error: err.message, couponInvalid: true });
+      }
+    }
+
     // Create a pending record in DB so payment-verify never sees null
     await PaymentDetails.create({
       orderId,
@@ -56,16 +73,29 @@ const payment = async (req, res) => {
       amount: price,
       currency: "INR",
       userId: user._id,
-      contentId: contentId
+      contentId: contentId,
+      listPrice: pricing?.listPrice ?? null,
+      discountAmount: pricing?.discountAmount || 0,
+      couponId: pricing?.coupon?._id || null,
+      couponCode: pricing?.couponCode || null
     });
 
-    const response = await cashfree.PGCreateOrder(request);
+    let response;
+    try {
+      response = await cashfree.PGCreateOrder(request);
+    } catch (err) {
+      if (pricing?.coupon) await releaseCouponRedemption(orderId).catch(() => {});
+      throw err;
+    }
     console.log("Payment session created successfully:", response.data);
 
     res.status(200).json({
       order_id: orderId,
       payment_session_id: response.data.payment_session_id, // ✅ required by SDK
-      contentId
+      contentId,
+      amount: price,
+      listPrice: pricing?.listPrice ?? null,
+      discountAmount: pricing?.discountAmount || 0
     });
 
   } catch (error) {
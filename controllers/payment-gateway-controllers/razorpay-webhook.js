@@ -1,6 +1,7 @@
 import crypto from "crypto";
 import PaymentDetails from "../../models/payment.details.model.js";
 import { fulfillWalletRecharge, fulfillPpvPurchase } from "../../utils/paymentFulfillmentService.js";
+import { releaseCouponRedemption } from "../../utils/ppvPricing.js";
 
 export const handleRazorpayWebhook = async (req, res) => {
   try {
@@ -74,6 +75,8 @@ export const handleRazorpayWebhook = async (req, res) => {
         { orderId: razorpay_order_id },
         { status: "FAILED" }
       );
+      // Give the coupon use back; a later successful retry on the same order re-claims it
+      await releaseCouponRedemption(razorpay_order_id);
     }
 
     res.status(200).send("Webhook received");
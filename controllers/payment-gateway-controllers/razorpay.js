@@ -5,6 +5,7 @@ import Razorpay from "razorpay";
 import generateOrderId from "./get.order.id.js";
 import User from "../../models/user.model.js";
 import PaymentDetails from "../../models/payment.details.model.js";
+import { resolveGatewayPpvPricing, claimCouponRedemption, releaseCouponRedemption, rekeyCouponRedemption } from "../../utils/ppvPricing.js";
 
 const razorpay = new Razorpay({
   key_id: process.env.RAZORPAY_KEY_ID || "default_key_id",
@@ -13,7 +14,8 @@ const razorpay = new Razorpay({
 
 const payment = async (req, res) => {
   try {
-    const { price, contentId } = req.body;
+    const { contentId, couponCode } = req.body;
+    let { price } = req.body;
     
     // For wallet recharge, contentId might be 'recharge' or null, depending on logic.
     // If we require it, make sure frontend passes it.
@@ -26,6 +28,13 @@ const payment = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // PPV orders are priced server-side (sale price / coupon); the client price is only used for recharges
+    const pricing = await resolveGatewayPpvPricing(contentId, user._id, couponCode);
+    if (pricing?.error) {
+      return res.status(400).json({ error: pricing.error, couponInvalid: true });
+    }
+    if (pricing) price = pricing.finalPrice;
+
     const orderId = await generateOrderId();
 
     const options = {
@@ -38,7 +47,24 @@ const payment = async (req, res) => {
       }
     };
 
-    const order = await razorpay.orders.create(options);
+    // Reserve the coupon use first so a claim that fails never leaves an orphan gateway order
+    if (pricing?.coupon) {
+      try {
+        await claimCouponRedemption(pricing, { userId: user._id, contentId, orderId });
+      } catch (err) {
+        return res.status(400).json({ error: err.message, couponInvalid: true });
+      }
+    }
+
+    let order;
+    try {
+      order = await razorpay.orders.create(options);
+    } catch (err) {
+      if (pricing?.coupon) await releaseCouponRedemption(orderId).catch(() => {});
+      throw err;
+    }
+    // Webhooks and fulfillment look the reservation up by Razorpay's order id
+    if (pricing?.coupon) await rekeyCouponRedemption(orderId, order.id);
 
     await PaymentDetails.create({
       orderId: order.id, 
@@ -47,7 +73,11 @@ const payment = async (req, res) => {
       amount: price,
       currency: "INR",
       userId: user._id,
-      contentId: contentId === "recharge" ? null : contentId 
+      contentId: contentId === "recharge" ? null : contentId,
+      listPrice: pricing?.listPrice ?? null,
+      discountAmount: pricing?.discountAmount || 0,
+      couponId: pricing?.coupon?._id || null,
+      couponCode: pricing?.couponCode || null
     });
 
     res.json({
@@ -55,6 +85,8 @@ const payment = async (req, res) => {
       order_id: order.id,
       amount: order.amount,
       currency: order.currency,
+      listPrice: pricing?.listPrice ?? null,
+      discountAmount: pricing?.discountAmount || 0,
       key_id: process.env.RAZORPAY_KEY_ID,
       customer_name: user.userName || user.channelName || "User",
       customer_email: user.email || "user@example.com",
@@ -1,71 +1,36 @@
 import User from "../../models/user.model.js";
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import { v4 as uuidv4 } from "uuid";
 import sharp from "sharp";
 import path from "path";
 import { getCfUrl } from "../../config/cloudfront.js";
+import { putObject, deleteObject, resolveStorageKey } from "../../utils/storage.js";
 
 /* ======================================================
-   S3 CLIENT
+   STORAGE HELPERS
 ====================================================== */
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
-/* ======================================================
-   S3 HELPERS
-====================================================== */
-
-// Upload file to S3 — returns the S3 key (not full URL)
-const uploadToS3 = async (fileBuffer, fileName, mimeType) => {
-    const uploadParams = {
-        Bucket: process.env.S3_BUCKET,
-        Key: fileName,
-        Body: fileBuffer,
-        ContentType: mimeType,
-    };
 
+// Upload file to storage — returns the storage key (not full URL)
+const uploadToStorage = async (fileBuffer, fileName, mimeType) => {
     try {
-        const command = new PutObjectCommand(uploadParams);
-        await s3Client.send(command);
-
+        await putObject(fileName, fileBuffer, { contentType: mimeType });
         return fileName; // Return key, not full URL
     } catch (error) {
-        console.error("S3 upload error:", error);
-        throw new Error("Failed to upload to S3");
+        console.error("Storage upload error:", error);
+        throw new Error("Failed to upload to storage");
     }
 };
 
-// Delete file from S3 (handles both S3 keys and full URLs)
-const deleteFromS3 = async (keyOrUrl) => {
+// Delete file from storage (handles both keys and full storage/CF URLs)
+// External URLs (e.g. Google profile pictures) are skipped safely.
+const deleteFromStorage = async (keyOrUrl) => {
     try {
-        if (!keyOrUrl) return;
-
-        let key = keyOrUrl;
-        // If it's a full URL, extract the key
-        if (keyOrUrl.startsWith('http')) {
-            try {
-                const url = new URL(keyOrUrl);
-                key = url.pathname.startsWith('/') ? url.pathname.slice(1) : url.pathname;
-            } catch {
-                key = keyOrUrl;
-            }
-        }
-
-        const deleteParams = {
-            Bucket: process.env.S3_BUCKET,
-            Key: key,
-        };
+        const key = resolveStorageKey(keyOrUrl);
+        if (!key) return; // Not our asset — nothing to delete
 
-        const command = new DeleteObjectCommand(deleteParams);
-        await s3Client.send(command);
+        await deleteObject(key);
         return true;
     } catch (error) {
-        console.error("S3 delete error:", error);
+        console.error("Storage delete error:", error);
         return false;
     }
 };
@@ -143,36 +108,36 @@ export const updateChannelPicture = async (req, res) => {
 
         // Delete old channel picture if exists
         if (user.channelPicture) {
-            await deleteFromS3(user.channelPicture);
+            await deleteFromStorage(user.channelPicture);
         }
 
-        // Generate S3 key
+        // Generate storage key
         const fileExtension = path.extname(req.file.originalname).toLowerCase();
         const fileName = `channelPictures/${req.user.id}/${uuidv4()}${fileExtension}`;
 
         // Optimize image
         const optimizedBuffer = await optimizeImage(req.file.buffer);
 
-        // Upload to S3
-        const s3Key = await uploadToS3(
+        // Upload to storage
+        const storageKey = await uploadToStorage(
             optimizedBuffer,
             fileName,
             req.file.mimetype
         );
 
         // Save key to DB
-        user.channelPicture = s3Key;
+        user.channelPicture = storageKey;
         user.updatedAt = new Date();
         await user.save();
 
         return res.status(200).json({
             success: true,
             message: "Account picture updated successfully",
-            channelPicture: getCfUrl(s3Key),
+            channelPicture: getCfUrl(storageKey),
             user: {
                 _id: user._id,
                 userName: user.userName,
-                channelPicture: getCfUrl(s3Key),
+                channelPicture: getCfUrl(storageKey),
                 channelName: user.channelName || user.userName,
                 updatedAt: user.updatedAt,
             },
@@ -207,7 +172,7 @@ export const removeChannelPicture = async (req, res) => {
         }
 
         if (user.channelPicture) {
-            await deleteFromS3(user.channelPicture);
+            await deleteFromStorage(user.channelPicture);
         }
 
         user.channelPicture = null;
@@ -0,0 +1,632 @@
+/**
+ * Playlist Controller
+ *
+ * Endpoints:
+ * - POST   /api/v2/playlists                                — Create a playlist
+ * - GET    /api/v2/playlists/mine                           — Playlists I own or collaborate on
+ * - GET    /api/v2/playlists/:playlistId                    — Get a playlist with its items
+ * - PATCH  /api/v2/playlists/:playlistId                    — Update title/description/visibility (owner)
+ * - DELETE /api/v2/playlists/:playlistId                    — Delete a playlist (owner)
+ * - POST   /api/v2/playlists/:playlistId/items              — Add a content item
+ * - DELETE /api/v2/playlists/:playlistId/items/:contentId   — Remove a content item
+ * - PUT    /api/v2/playlists/:playlistId/items/order        — Reorder items
+ * - POST   /api/v2/playlists/:playlistId/collaborators      — Add a collaborator (owner)
+ * - DELETE /api/v2/playlists/:playlistId/collaborators/:userId — Remove a collaborator (owner or self)
+ */
+
+import mongoose from 'mongoose';
+import Playlist from '../../models/playlist.model.js';
+import Content from '../../models/content.model.js';
+import User from '../../models/user.model.js';
+import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
+import { batchCheckPpvAccess, stripMediaFields, isGatedContent } from '../../utils/ppvGuard.js';
+
+const PLAYLIST_VISIBILITIES = ['public', 'unlisted', 'private'];
+const PLAYLIST_CONTENT_TYPES = ['video', 'short', 'audio'];
+const MAX_PLAYLIST_ITEMS = 500;
+const MAX_COLLABORATORS = 20;
+
+/**
+ * Helper: role of a user on a playlist — 'owner', 'collaborator' or null
+ */
+function getPlaylistRole(playlist, userId) {
+    if (!userId) return null;
+    if (playlist.userId?.toString() === userId) return 'owner';
+    if (playlist.collaborators?.some(id => id.toString() === userId)) return 'collaborator';
+    return null;
+}
+
+/**
+ * Helper: whether a user may view a playlist.
+ * Public and unlisted playlists are viewable by anyone who has the link.
+ */
+function canViewPlaylist(playlist, userId) {
+    if (playlist.visibility !== 'private') return true;
+    return !!getPlaylistRole(playlist, userId);
+}
+
+/**
+ * Helper: whether a content item may be shown inside a playlist to this viewer.
+ * Private content stays visible only to its own creator; removed/unfinished content is hidden.
+ */
+function isContentListable(content, viewerId) {
+    if (!content || content.status !== 'completed') return false;
+    if (content.visibility === 'private') {
+        const creatorId = content.userId?._id?.toString() || content.userId?.toString();
+        return !!viewerId && creatorId === viewerId;
+    }
+    return true;
+}
+
+/**
+ * Helper: shape a playlist summary (no items) for list responses
+ */
+function formatPlaylistSummary(playlist, coverThumbnailKey = null) {
+    return {
+        _id: playlist._id,
+        title: playlist.title,
+        description: playlist.description || '',
+        visibility: playlist.visibility,
+        itemCount: playlist.itemCount || 0,
+        userId: playlist.userId,
+        collaboratorCount: playlist.collaborators?.length || 0,
+        thumbnailUrl: coverThumbnailKey ? getCfUrl(coverThumbnailKey) : null,
+        createdAt: playlist.createdAt,
+        updatedAt: playlist.updatedAt,
+    };
+}
+
+/**
+ * Helper: map playlists → cover thumbnail key (thumbnail of the first item)
+ */
+async function getCoverThumbnailKeys(playlists) {
+    const firstIds = playlists
+        .map(p => p.items?.[0]?.contentId)
+        .filter(Boolean);
+    if (firstIds.length === 0) return {};
+
+    const contents = await Content.find({ _id: { $in: firstIds } })
+        .select('thumbnailKey imageKey')
+        .lean();
+    const keyMap = {};
+    contents.forEach(c => { keyMap[c._id.toString()] = c.thumbnailKey || c.imageKey || null; });
+
+    const covers = {};
+    playlists.forEach(p => {
+        const firstId = p.items?.[0]?.contentId?.toString();
+        covers[p._id.toString()] = firstId ? keyMap[firstId] || null : null;
+    });
+    return covers;
+}
+
+/**
+ * Helper: load a playlist by id, sending 400/404 if it does not resolve.
+ * Returns null when a response has already been sent.
+ */
+async function loadPlaylist(req, res) {
+    const { playlistId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(playlistId)) {
+        res.status(400).json({ error: 'Invalid playlist ID' });
+        return null;
+    }
+    const playlist = await Playlist.findById(playlistId);
+    if (!playlist) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return null;
+    }
+    return playlist;
+}
+
+/**
+ * Get public playlists for a creator (used by the channel page).
+ * @param {ObjectId|string} userId - Channel owner's user ID
+ * @param {number} limit - Max playlists to return
+ * @returns {Promise<Array<Object>>} Playlist summaries
+ */
+export async function getPublicPlaylistsForUser(userId, limit = 12) {
+    const playlists = await Playlist.find({ userId, visibility: 'public', itemCount: { $gt: 0 } })
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .select('-collaborators')
+        .slice('items', 1)
+        .lean();
+
+    const covers = await getCoverThumbnailKeys(playlists);
+    return playlists.map(p => formatPlaylistSummary(p, covers[p._id.toString()]));
+}
+
+/**
+ * Create a playlist
+ * POST /api/v2/playlists
+ * Body: { title, description?, visibility?, contentIds? }
+ */
+export const createPlaylist = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { title, description = '', visibility = 'private', contentIds = [] } = req.body;
+
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: 'Playlist title is required' });
+        }
+        if (typeof description !== 'string') {
+            return res.status(400).json({ error: 'Description must be a string' });
+        }
+        if (!PLAYLIST_VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ error: 'Invalid visibility. Must be public, unlisted, or private' });
+        }
+        if (!Array.isArray(contentIds) || contentIds.length > MAX_PLAYLIST_ITEMS) {
+            return res.status(400).json({ error: `contentIds must be an array of at most ${MAX_PLAYLIST_ITEMS} IDs` });
+        }
+
+        // Keep only unique, valid, listable content IDs (in the order given)
+        const uniqueIds = [...new Set(contentIds.map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+        const contents = uniqueIds.length > 0
+            ? await Content.find({ _id: { $in: uniqueIds }, contentType: { $in: PLAYLIST_CONTENT_TYPES } })
+                .select('userId status visibility')
+                .lean()
+            : [];
+        const allowed = new Set(contents.filter(c => isContentListable(c, userId)).map(c => c._id.toString()));
+        const items = uniqueIds
+            .filter(id => allowed.has(id))
+            .map(contentId => ({ contentId, addedBy: userId }));
+
+        const playlist = await Playlist.create({
+            userId,
+            title: title.trim(),
+            description,
+            visibility,
+            items,
+            itemCount: items.length,
+        });
+
+        return res.status(201).json({ message: 'Playlist created', playlist });
+    } catch (error) {
+        console.error('Error creating playlist:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to create playlist' });
+    }
+};
+
+/**
+ * Get playlists the current user owns or collaborates on
+ * GET /api/v2/playlists/mine?contentId=<optional>
+ * When contentId is given, each playlist carries `containsContent` for "save to playlist" menus.
+ */
+export const getMyPlaylists = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { contentId } = req.query;
+
+        const playlists = await Playlist.find({
+            $or: [{ userId }, { collaborators: userId }]
+        })
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        const covers = await getCoverThumbnailKeys(playlists);
+        const result = playlists.map(p => ({
+            ...formatPlaylistSummary(p, covers[p._id.toString()]),
+            role: getPlaylistRole(p, userId),
+            ...(contentId && {
+                containsContent: p.items.some(item => item.contentId.toString() === contentId)
+            }),
+        }));
+
+        return res.json({ playlists: result });
+    } catch (error) {
+        console.error('Error fetching my playlists:', error);
+        return res.status(500).json({ error: 'Failed to fetch playlists' });
+    }
+};
+
+/**
+ * Get a playlist with its items (paginated)
+ * GET /api/v2/playlists/:playlistId?page=1&limit=50
+ */
+export const getPlaylist = async (req, res) => {
+    try {
+        const viewerId = req.user?.id || null;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const skip = (page - 1) * limit;
+
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (!canViewPlaylist(playlist, viewerId)) {
+            // Same response as a missing playlist so private playlists can't be probed
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        const pageItems = playlist.items.slice(skip, skip + limit);
+        const contentIds = pageItems.map(item => item.contentId);
+
+        const [contents, owner] = await Promise.all([
+            Content.find({ _id: { $in: contentIds } })
+                .populate('userId', 'channelName channelHandle channelPicture')
+                .lean(),
+            User.findById(playlist.userId).select('channelName channelHandle channelPicture userName').lean(),
+        ]);
+
+        const ppvAccess = await batchCheckPpvAccess(contents, viewerId);
+        const contentMap = {};
+        contents.forEach(c => { contentMap[c._id.toString()] = c; });
+
+        const items = pageItems.map((item, index) => {
+            const c = contentMap[item.contentId.toString()];
+            const position = skip + index;
+            if (!isContentListable(c, viewerId)) {
+                // Keep the slot so positions stay stable, but expose nothing about the content
+                return { position, contentId: item.contentId, unavailable: true, addedAt: item.addedAt };
+            }
+
+            const mediaKey = c.processedKey || c.originalKey;
+            const card = {
+                position,
+                addedAt: item.addedAt,
+                addedBy: item.addedBy,
+                _id: c._id,
+                contentType: c.contentType,
+                title: c.title,
+                duration: c.duration,
+                views: c.views || 0,
+                createdAt: c.createdAt,
+                visibility: c.visibility,
+                price: c.price,
+                membershipTierId: c.membershipTierId || null,
+                thumbnailUrl: getCfUrl(c.thumbnailKey),
+                imageUrl: getCfUrl(c.imageKey),
+                hlsMasterUrl: c.hlsMasterKey ? getCfHlsMasterUrl(c.hlsMasterKey) : null,
+                videoUrl: (c.contentType === 'video' || c.contentType === 'short') && mediaKey ? getCfUrl(mediaKey) : null,
+                audioUrl: c.contentType === 'audio' && mediaKey ? getCfUrl(mediaKey) : null,
+                channelName: c.userId?.channelName,
+                channelHandle: c.userId?.channelHandle,
+                channelPicture: c.userId?.channelPicture ? getCfUrl(c.userId.channelPicture) : null,
+            };
+
+            // PPV / members-only: strip media URLs for items the viewer hasn't unlocked
+            if (isGatedContent(c) && !ppvAccess.has(c._id.toString())) {
+                return stripMediaFields(card);
+            }
+            return card;
+        });
+
+        const total = playlist.items.length;
+        return res.json({
+            playlist: {
+                ...formatPlaylistSummary(playlist),
+                owner: owner ? {
+                    _id: owner._id,
+                    channelName: owner.channelName || owner.userName,
+                    channelHandle: owner.channelHandle || '',
+                    channelPicture: owner.channelPicture ? getCfUrl(owner.channelPicture) : null,
+                } : null,
+                role: getPlaylistRole(playlist, viewerId),
+            },
+            items,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasMore: skip + pageItems.length < total,
+        });
+    } catch (error) {
+        console.error('Error fetching playlist:', error);
+        return res.status(500).json({ error: 'Failed to fetch playlist' });
+    }
+};
+
+/**
+ * Update playlist metadata (owner only)
+ * PATCH /api/v2/playlists/:playlistId
+ * Body: { title?, description?, visibility? }
+ */
+export const updatePlaylist = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (getPlaylistRole(playlist, userId) !== 'owner') {
+            return res.status(403).json({ error: 'Only the playlist owner can edit playlist details' });
+        }
+
+        const { title, description, visibility } = req.body;
+        if (title !== undefined) {
+            if (typeof title !== 'string' || !title.trim()) return res.status(400).json({ error: 'Playlist title cannot be empty' });
+            playlist.title = title.trim();
+        }
+        if (description !== undefined) {
+            if (typeof description !== 'string') return res.status(400).json({ error: 'Description must be a string' });
+            playlist.description = description;
+        }
+        if (visibility !== undefined) {
+            if (!PLAYLIST_VISIBILITIES.includes(visibility)) {
+                return res.status(400).json({ error: 'Invalid visibility. Must be public, unlisted, or private' });
+            }
+            playlist.visibility = visibility;
+        }
+
+        await playlist.save();
+        return res.json({ message: 'Playlist updated', playlist: formatPlaylistSummary(playlist) });
+    } catch (error) {
+        console.error('Error updating playlist:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        return res.status(500).json({ error: 'Failed to update playlist' });
+    }
+};
+
+/**
+ * Delete a playlist (owner only)
+ * DELETE /api/v2/playlists/:playlistId
+ */
+export const deletePlaylist = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (getPlaylistRole(playlist, userId) !== 'owner') {
+            return res.status(403).json({ error: 'Only the playlist owner can delete this playlist' });
+        }
+
+        await Playlist.deleteOne({ _id: playlist._id });
+        return res.json({ message: 'Playlist deleted' });
+    } catch (error) {
+        console.error('Error deleting playlist:', error);
+        return res.status(500).json({ error: 'Failed to delete playlist' });
+    }
+};
+
+/**
+ * Add a content item to the end of a playlist (owner or collaborator)
+ * POST /api/v2/playlists/:playlistId/items
+ * Body: { contentId }
+ */
+export const addPlaylistItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { contentId } = req.body;
+
+        if (!contentId || !mongoose.Types.ObjectId.isValid(contentId)) {
+            return res.status(400).json({ error: 'Valid contentId is required' });
+        }
+
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (!getPlaylistRole(playlist, userId)) {
+            return res.status(403).json({ error: 'You cannot edit this playlist' });
+        }
+
+        const content = await Content.findById(contentId).select('contentType userId status visibility').lean();
+        if (!content || !isContentListable(content, userId)) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!PLAYLIST_CONTENT_TYPES.includes(content.contentType)) {
+            return res.status(400).json({ error: 'Only videos, shorts and audio can be added to playlists' });
+        }
+
+        // Atomic append — guards against duplicates and the size cap in one write
+        const updated = await Playlist.findOneAndUpdate(
+            {
+                _id: playlist._id,
+                'items.contentId': { $ne: content._id },
+                itemCount: { $lt: MAX_PLAYLIST_ITEMS },
+            },
+            {
+                $push: { items: { contentId: content._id, addedBy: userId, addedAt: new Date() } },
+                $inc: { itemCount: 1 },
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            const fresh = await Playlist.findById(playlist._id).select('items.contentId itemCount').lean();
+            if (fresh?.items?.some(item => item.contentId.toString() === contentId)) {
+                return res.status(409).json({ error: 'Content is already in this playlist' });
+            }
+            return res.status(400).json({ error: `Playlists can hold at most ${MAX_PLAYLIST_ITEMS} items` });
+        }
+
+        return res.status(201).json({ message: 'Added to playlist', itemCount: updated.itemCount });
+    } catch (error) {
+        console.error('Error adding playlist item:', error);
+        return res.status(500).json({ error: 'Failed to add to playlist' });
+    }
+};
+
+/**
+ * Remove a content item from a playlist (owner or collaborator)
+ * DELETE /api/v2/playlists/:playlistId/items/:contentId
+ */
+export const removePlaylistItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { contentId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(contentId)) {
+            return res.status(400).json({ error: 'Invalid content ID' });
+        }
+
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (!getPlaylistRole(playlist, userId)) {
+            return res.status(403).json({ error: 'You cannot edit this playlist' });
+        }
+
+        const updated = await Playlist.findOneAndUpdate(
+            { _id: playlist._id, 'items.contentId': contentId },
+            {
+                $pull: { items: { contentId } },
+                $inc: { itemCount: -1 },
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Content is not in this playlist' });
+        }
+
+        return res.json({ message: 'Removed from playlist', itemCount: updated.itemCount });
+    } catch (error) {
+        console.error('Error removing playlist item:', error);
+        return res.status(500).json({ error: 'Failed to remove from playlist' });
+    }
+};
+
+/**
+ * Reorder playlist items (owner or collaborator)
+ * PUT /api/v2/playlists/:playlistId/items/order
+ * Body: { contentIds: [...] } — must be a permutation of the current items
+ */
+export const reorderPlaylistItems = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { contentIds } = req.body;
+
+        if (!Array.isArray(contentIds)) {
+            return res.status(400).json({ error: 'contentIds array is required' });
+        }
+
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (!getPlaylistRole(playlist, userId)) {
+            return res.status(403).json({ error: 'You cannot edit this playlist' });
+        }
+
+        const currentIds = playlist.items.map(item => item.contentId.toString());
+        const requested = contentIds.map(String);
+        const isPermutation = requested.length === currentIds.length
+            && new Set(requested).size === requested.length
+            && requested.every(id => currentIds.includes(id));
+
+        if (!isPermutation) {
+            return res.status(409).json({
+                error: 'contentIds must contain exactly the current playlist items. Refresh and try again.'
+            });
+        }
+
+        const itemMap = {};
+        playlist.items.forEach(item => { itemMap[item.contentId.toString()] = item; });
+        const reordered = requested.map(id => itemMap[id]);
+
+        // Optimistic concurrency: only write if nobody touched the playlist since we read it
+        const result = await Playlist.updateOne(
+            { _id: playlist._id, updatedAt: playlist.updatedAt },
+            { $set: { items: reordered } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ error: 'Playlist changed while reordering. Refresh and try again.' });
+        }
+
+        return res.json({ message: 'Playlist reordered', contentIds: requested });
+    } catch (error) {
+        console.error('Error reordering playlist:', error);
+        return res.status(500).json({ error: 'Failed to reorder playlist' });
+    }
+};
+
+/**
+ * Add a collaborator (owner only)
+ * POST /api/v2/playlists/:playlistId/collaborators
+ * Body: { userId } or { channelHandle }
+ */
+export const addCollaborator = async (req, res) => {
+    try {
+        const ownerId = req.user.id;
+        const { userId: targetUserId, channelHandle } = req.body;
+
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        if (getPlaylistRole(playlist, ownerId) !== 'owner') {
+            return res.status(403).json({ error: 'Only the playlist owner can manage collaborators' });
+        }
+
+        let target = null;
+        if (typeof targetUserId === 'string' && mongoose.Types.ObjectId.isValid(targetUserId)) {
+            target = await User.findById(targetUserId).select('_id channelName channelHandle userName').lean();
+        } else if (typeof channelHandle === 'string' && channelHandle.trim()) {
+            target = await User.findOne({ channelHandle: channelHandle.replace(/^@/, '').toLowerCase() })
+                .select('_id channelName channelHandle userName')
+                .lean();
+        } else {
+            return res.status(400).json({ error: 'userId or channelHandle is required' });
+        }
+
+        if (!target) return res.status(404).json({ error: 'User not found' });
+        if (target._id.toString() === ownerId) {
+            return res.status(400).json({ error: 'You already own this playlist' });
+        }
+        // Atomic cap — only matches while there is a free slot (or the user is already on the list)
+        const result = await Playlist.updateOne(
+            {
+                _id: playlist._id,
+                $or: [
+                    { collaborators: target._id },
+                    { [`collaborators.${MAX_COLLABORATORS - 1}`]: { $exists: false } },
+                ],
+            },
+            { $addToSet: { collaborators: target._id } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(400).json({ error: `Playlists can have at most ${MAX_COLLABORATORS} collaborators` });
+        }
+
+        return res.status(201).json({
+            message: 'Collaborator added',
+            collaborator: {
+                _id: target._id,
+                channelName: target.channelName || target.userName,
+                channelHandle: target.channelHandle || '',
+            }
+        });
+    } catch (error) {
+        console.error('Error adding playlist collaborator:', error);
+        return res.status(500).json({ error: 'Failed to add collaborator' });
+    }
+};
+
+/**
+ * Remove a collaborator — the owner can remove anyone, a collaborator can remove themselves
+ * DELETE /api/v2/playlists/:playlistId/collaborators/:userId
+ */
+export const removeCollaborator = async (req, res) => {
+    try {
+        const requesterId = req.user.id;
+        const { userId: targetUserId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const playlist = await loadPlaylist(req, res);
+        if (!playlist) return;
+
+        const role = getPlaylistRole(playlist, requesterId);
+        if (role !== 'owner' && !(role === 'collaborator' && requesterId === targetUserId)) {
+            return res.status(403).json({ error: 'Only the playlist owner can manage collaborators' });
+        }
+
+        const result = await Playlist.updateOne(
+            { _id: playlist._id, collaborators: targetUserId },
+            { $pull: { collaborators: targetUserId } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'User is not a collaborator on this playlist' });
+        }
+
+        return res.json({ message: 'Collaborator removed' });
+    } catch (error) {
+        console.error('Error removing playlist collaborator:', error);
+        return res.status(500).json({ error: 'Failed to remove collaborator' });
+    }
+};
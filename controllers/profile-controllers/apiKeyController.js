@@ -0,0 +1,193 @@
+/**
+ * API Key Controller — personal API keys in profile settings
+ *
+ * Endpoints (session only — an API key can never manage keys):
+ * - GET    /api/v2/profile/api-keys              - My keys, the scope catalogue and limits
+ * - POST   /api/v2/profile/api-keys              - Create { name, scopes, rateLimitPerMinute?, expiresInDays? } (key shown once)
+ * - PATCH  /api/v2/profile/api-keys/:keyId       - Update { name?, scopes?, rateLimitPerMinute? }
+ * - DELETE /api/v2/profile/api-keys/:keyId       - Revoke (stops working immediately)
+ * - GET    /api/v2/profile/api-keys/:keyId/usage - Daily request counts (?days=30, max 90)
+ */
+
+import mongoose from 'mongoose';
+import ApiKey from '../../models/apiKey.model.js';
+import ApiKeyUsage from '../../models/apiKeyUsage.model.js';
+import {
+    API_KEY_SCOPES,
+    API_KEY_EXPIRY_DAYS,
+    MAX_API_KEYS_PER_USER,
+    MIN_RATE_LIMIT_PER_MINUTE,
+    MAX_RATE_LIMIT_PER_MINUTE,
+    DEFAULT_RATE_LIMIT_PER_MINUTE,
+    generateApiKey,
+    parseApiKeyInput,
+    apiKeyStatus,
+    formatApiKey,
+    usageDay,
+} from '../../utils/apiKeys.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: the caller's key from :keyId, or an error response
+ */
+async function findOwnKey(req, res) {
+    const { keyId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        res.status(400).json({ error: 'Invalid API key ID' });
+        return null;
+    }
+    const apiKey = await ApiKey.findOne({ _id: keyId, userId: req.user.id });
+    if (!apiKey) {
+        res.status(404).json({ error: 'API key not found' });
+        return null;
+    }
+    return apiKey;
+}
+
+/**
+ * GET /api/v2/profile/api-keys
+ */
+export const getApiKeys = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const keys = await ApiKey.find({ userId }).sort({ createdAt: -1 }).lean();
+        res.json({
+            keys: keys.map(k => formatApiKey(k)),
+            scopes: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description })),
+            limits: {
+                maxKeys: MAX_API_KEYS_PER_USER,
+                rateLimitPerMinute: {
+                    min: MIN_RATE_LIMIT_PER_MINUTE,
+                    max: MAX_RATE_LIMIT_PER_MINUTE,
+                    default: DEFAULT_RATE_LIMIT_PER_MINUTE,
+                },
+                expiresInDays: API_KEY_EXPIRY_DAYS,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+};
+
+/**
+ * POST /api/v2/profile/api-keys
+ */
+export const createApiKey = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { fields, error } = parseApiKeyInput(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const activeKeys = await ApiKey.countDocuments({
+            userId,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        });
+        if (activeKeys >= MAX_API_KEYS_PER_USER) {
+            return res.status(400).json({ error: `You can have up to ${MAX_API_KEYS_PER_USER} active API keys. Revoke one first.` });
+        }
+
+        const { key, prefix, keyHash } = generateApiKey();
+        const apiKey = await ApiKey.create({ ...fields, userId, prefix, keyHash });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now — it will not be shown again.',
+            apiKey: formatApiKey(apiKey),
+            key,
+        });
+    } catch (error) {
+        console.error('❌ Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+};
+
+/**
+ * PATCH /api/v2/profile/api-keys/:keyId
+ */
+export const updateApiKey = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const apiKey = await findOwnKey(req, res);
+        if (!apiKey) return;
+        if (apiKeyStatus(apiKey) !== 'active') {
+            return res.status(400).json({ error: 'Revoked or expired keys cannot be changed' });
+        }
+
+        const { fields, error } = parseApiKeyInput(req.body, { partial: true });
+        if (error) return res.status(400).json({ error });
+
+        apiKey.set(fields);
+        await apiKey.save();
+        res.json({ success: true, apiKey: formatApiKey(apiKey) });
+    } catch (error) {
+        console.error('❌ Error updating API key:', error);
+        res.status(500).json({ error: 'Failed to update API key' });
+    }
+};
+
+/**
+ * DELETE /api/v2/profile/api-keys/:keyId
+ * The key record stays (with its usage) so the owner can see what it did.
+ */
+export const revokeApiKey = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const apiKey = await findOwnKey(req, res);
+        if (!apiKey) return;
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+        res.json({ success: true, message: 'API key revoked', apiKey: formatApiKey(apiKey) });
+    } catch (error) {
+        console.error('❌ Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+};
+
+/**
+ * GET /api/v2/profile/api-keys/:keyId/usage?days=30
+ * One entry per day (oldest first), zero-filled.
+ */
+export const getApiKeyUsage = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const apiKey = await findOwnKey(req, res);
+        if (!apiKey) return;
+
+        const days = Math.min(90, Math.max(1, parseInt(req.query.days) || 30));
+        const now = Date.now();
+        const dayList = Array.from({ length: days }, (_, i) => usageDay(new Date(now - (days - 1 - i) * DAY_MS)));
+
+        const rows = await ApiKeyUsage.find({ keyId: apiKey._id, day: { $gte: dayList[0] } }).lean();
+        const byDay = new Map(rows.map(r => [r.day, r]));
+        const usage = dayList.map(day => ({
+            day,
+            requests: byDay.get(day)?.requests || 0,
+            rejected: byDay.get(day)?.rejected || 0,
+        }));
+
+        res.json({
+            apiKey: formatApiKey(apiKey),
+            usage,
+            totals: {
+                requests: usage.reduce((sum, d) => sum + d.requests, 0),
+                rejected: usage.reduce((sum, d) => sum + d.rejected, 0),
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error fetching API key usage:', error);
+        res.status(500).json({ error: 'Failed to fetch API key usage' });
+    }
+};
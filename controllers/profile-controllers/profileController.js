@@ -4,7 +4,7 @@
  *
  * Endpoints:
  * - GET    /api/v2/profile/content           - Get creator's own content (with engagement stats)
- * - PUT    /api/v2/profile/content/:id       - Update content (title, description, visibility, commentsEnabled)
+ * - PUT    /api/v2/profile/content/:id       - Update content (title, description, visibility, commentsEnabled, chapters)
  * - DELETE /api/v2/profile/content/:id       - Delete content (with warning confirmation via ?confirm=true)
  * - PUT    /api/v2/profile/settings          - Update profile settings (channelName, userName, bio, achievements, etc.)
  * - GET    /api/v2/profile/settings          - Get current profile settings
@@ -20,17 +20,14 @@ import ContentView from '../../models/contentView.model.js';
 import Purchase from '../../models/purchase.model.js';
 import ContentShare from '../../models/contentShare.model.js';
 import { isAdminUser } from '../../utils/ppvGuard.js';
+import { isScheduled } from '../../utils/scheduledPublishing.js';
+import { normalizeChapters, resolveChapters, CHAPTER_CONTENT_TYPES } from '../../utils/videoChapters.js';
+import { getChapterAnalytics } from '../../utils/watchAnalytics.js';
 import { PLATFORM_CUT_PERCENT } from '../../utils/paymentFulfillmentService.js';
-import { S3Client, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
 import { getCfUrl, getCfHlsMasterUrl } from '../../config/cloudfront.js';
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
+import { deleteObject, listAllObjects } from '../../utils/storage.js';
+import { resolveContentTier } from '../../utils/memberships.js';
+import { syncChannelSearch } from '../../utils/searchIndex.js';
 
 /**
  * Get creator's own content with engagement stats
@@ -44,7 +41,8 @@ export const getMyContent = async (req, res) => {
         let targetUserId = userId;
         const requestedCreatorId = req.query.creatorId;
         if (requestedCreatorId && requestedCreatorId !== userId) {
-            const isAdmin = await isAdminUser(userId);
+            // API keys only ever act on the key owner's own channel
+            const isAdmin = !req.user.apiKeyId && await isAdminUser(userId);
             if (isAdmin) {
                 targetUserId = requestedCreatorId;
             } else {
@@ -154,7 +152,9 @@ export const getMyContent = async (req, res) => {
 /**
  * Update content metadata
  * Only the creator can update their own content
- * Updatable fields: title, description, visibility, commentsEnabled, tags, category
+ * Updatable fields: title, description, visibility, commentsEnabled, tags, category, chapters, membershipTierId
+ * chapters: [{ startSeconds | timestamp, title }] — [] or null clears them, falling back to
+ * `00:00 Title` lines parsed from the description
  */
 export const updateContent = async (req, res) => {
     try {
@@ -179,7 +179,7 @@ export const updateContent = async (req, res) => {
             return res.status(403).json({ error: 'Your channel has been banned. Content settings cannot be modified.' });
         }
 
-        const { title, description, visibility, price, trailerContentId, spoilerContentId, spoilerText, commentsEnabled, tags, category, rentalDuration } = req.body;
+        const { title, description, visibility, price, trailerContentId, spoilerContentId, spoilerText, commentsEnabled, tags, category, rentalDuration, chapters } = req.body;
 
         // Extract 24-char MongoDB ID from a full watchinit URL, string ID, or populated object
         const extractId = (val) => {
@@ -211,7 +211,7 @@ export const updateContent = async (req, res) => {
         if (description !== undefined) update.description = description;
         const VALID_RENTAL_DAYS = [2, 3, 5, 7, 14, 28];
 
-        if (visibility !== undefined && ['public', 'unlisted', 'private', 'pay_per_view'].includes(visibility)) {
+        if (visibility !== undefined && ['public', 'unlisted', 'private', 'pay_per_view', 'members_only'].includes(visibility)) {
             update.visibility = visibility;
             // When switching to PPV, price is required
             if (visibility === 'pay_per_view') {
@@ -239,6 +239,13 @@ export const updateContent = async (req, res) => {
                 update.spoilerContentId = null;
                 update.spoilerText = '';
             }
+            if (visibility === 'members_only') {
+                const tier = await resolveContentTier(userId, req.body.membershipTierId);
+                if (tier.error) return res.status(400).json({ error: tier.error });
+                update.membershipTierId = tier.membershipTierId;
+            } else {
+                update.membershipTierId = null;
+            }
         } else if (content.visibility === 'pay_per_view') {
             // Allow price update without changing visibility (already PPV)
             if (price !== undefined) {
@@ -260,11 +267,37 @@ export const updateContent = async (req, res) => {
                 update.spoilerContentId = parsedTrailerId;
             }
             if (spoilerText !== undefined) update.spoilerText = spoilerText;
+        } else if (content.visibility === 'members_only' && req.body.membershipTierId !== undefined) {
+            // Change the minimum tier while staying members-only
+            const tier = await resolveContentTier(userId, req.body.membershipTierId);
+            if (tier.error) return res.status(400).json({ error: tier.error });
+            update.membershipTierId = tier.membershipTierId;
         }
         if (typeof commentsEnabled === 'boolean') update.commentsEnabled = commentsEnabled;
         if (tags !== undefined) update.tags = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
         if (category !== undefined) update.category = category;
 
+        if (chapters !== undefined) {
+            if (!CHAPTER_CONTENT_TYPES.includes(content.contentType)) {
+                return res.status(400).json({ error: 'Chapters are only supported for videos and audio' });
+            }
+            const normalized = normalizeChapters(chapters ?? [], content.duration || 0);
+            if (normalized.error) return res.status(400).json({ error: normalized.error });
+            update.chapters = normalized.chapters;
+        }
+
+        // Scheduled content: a new visibility applies on publish; choosing private cancels the schedule
+        if (isScheduled(content) && update.visibility !== undefined) {
+            if (update.visibility === 'private') {
+                update.scheduledVisibility = null;
+                update.publishAt = null;
+                update.isPremiere = false;
+            } else {
+                update.scheduledVisibility = update.visibility;
+                update.visibility = 'private';
+            }
+        }
+
         const updated = await Content.findByIdAndUpdate(id, update, { new: true });
 
         res.json({
@@ -283,6 +316,9 @@ export const updateContent = async (req, res) => {
                 commentsEnabled: updated.commentsEnabled,
                 tags: updated.tags,
                 category: updated.category,
+                scheduledVisibility: updated.scheduledVisibility || null,
+                publishAt: updated.publishAt || null,
+                chapters: resolveChapters(updated),
             }
         });
     } catch (error) {
@@ -318,7 +354,7 @@ export const deleteContent = async (req, res) => {
             WatchHistory.deleteMany({ contentId: id }),
         ]);
 
-        // Clean up S3 objects (fire and forget) — includes all variants
+        // Clean up stored objects (fire and forget) — includes all variants
         const keysToDelete = [
             content.originalKey,
             content.processedKey,
@@ -332,16 +368,13 @@ export const deleteContent = async (req, res) => {
         if (content.hlsKey) {
             const hlsDir = content.hlsKey.substring(0, content.hlsKey.lastIndexOf('/'));
             try {
-                const { ListObjectsV2Command } = await import('@aws-sdk/client-s3');
-                const listed = await s3Client.send(new ListObjectsV2Command({
-                    Bucket: process.env.S3_BUCKET, Prefix: hlsDir + '/'
-                }));
-                if (listed.Contents) keysToDelete.push(...listed.Contents.map(o => o.Key));
+                const listed = await listAllObjects(hlsDir + '/');
+                keysToDelete.push(...listed.map(o => o.key));
             } catch { /* ignore listing errors */ }
         }
 
         Promise.all(keysToDelete.map(key =>
-            s3Client.send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key })).catch(() => { })
+            deleteObject(key).catch(() => { })
         )).catch(() => { });
 
         await Content.findByIdAndDelete(id);
@@ -403,8 +436,7 @@ export const updateProfileSettings = async (req, res) => {
         if (!userId) return res.status(401).json({ error: 'Authentication required' });
 
         // Enforce OTP Verification check
-        const verifiedUntil = kycOtpStore.get(`verified_${userId}`);
-        if (!verifiedUntil || verifiedUntil < Date.now()) {
+        if (!await kycOtpStore.isVerified(userId)) {
             return res.status(400).json({ error: 'Email OTP verification is required before updating profile settings' });
         }
 
@@ -432,7 +464,11 @@ export const updateProfileSettings = async (req, res) => {
         );
 
         // Consume single-use OTP verification token
-        kycOtpStore.delete(`verified_${userId}`);
+        await kycOtpStore.clearVerified(userId);
+
+        if (['channelName', 'userName', 'bio', 'channelDescription'].some(f => f in update)) {
+            syncChannelSearch(userId);
+        }
 
         res.json({
             success: true,
@@ -661,13 +697,13 @@ export const getContentAnalytics = async (req, res) => {
 
         const content = await Content.findById(id).lean();
         if (!content) return res.status(404).json({ error: 'Content not found' });
-        const isAdmin = await isAdminUser(userId);
+        const isAdmin = !req.user.apiKeyId && await isAdminUser(userId);
         if (!isAdmin && content.userId.toString() !== userId) return res.status(403).json({ error: 'Not authorized' });
 
         const isPpv = content.visibility === 'pay_per_view' || content.visibility === 'ppv' || Boolean(content.isPayPerView) || Boolean(content.price && content.price > 0);
 
         // Parallel fetch: comments, reactions, watch history, signed URLs, unique viewers, viewer breakdown, PPV purchases, shares
-        const [commentCount, likes, dislikes, sharesCount, contentViewBreakdown, watchEntries, thumbnailUrl, imageUrl, ppvData] = await Promise.all([
+        const [commentCount, likes, dislikes, sharesCount, contentViewBreakdown, watchEntries, thumbnailUrl, imageUrl, ppvData, chapterAnalytics] = await Promise.all([
             Comment.countDocuments({ videoId: id }),
             VideoReaction.countDocuments({ videoId: id, type: 'like' }),
             VideoReaction.countDocuments({ videoId: id, type: 'dislike' }),
@@ -736,6 +772,8 @@ export const getContentAnalytics = async (req, res) => {
                     }))
                 };
             })() : null,
+            // Per-chapter watch time & retention (video/audio with chapters)
+            getChapterAnalytics(content),
         ]);
 
         let aggregatedAuthViews = 0;
@@ -839,6 +877,7 @@ export const getContentAnalytics = async (req, res) => {
                 createdAt: content.createdAt,
                 thumbnailUrl,
                 imageUrl,
+                chapters: resolveChapters(content),
             },
             stats: {
                 views: totalViews,
@@ -863,6 +902,7 @@ export const getContentAnalytics = async (req, res) => {
             },
             dailyViews: Object.entries(dailyViews).sort(([a], [b]) => a.localeCompare(b)).map(([date, count]) => ({ date, views: count })),
             ...(ppvData ? { ppvAnalytics: ppvData } : {}),
+            chapterAnalytics,
         });
     } catch (error) {
         console.error('❌ Error fetching content analytics:', error);
@@ -930,7 +970,7 @@ export const checkContentActiveRentals = async (req, res) => {
 };
 
 /**
- * Permanently delete content — comprehensive S3 + MongoDB cleanup
+ * Permanently delete content — comprehensive storage + MongoDB cleanup
  * Requires ?confirm=true query param for safety
  * Blocks deletion if active rentals exist (returns 409 with rental info)
  * Only the creator can permanently delete their own content
@@ -990,8 +1030,7 @@ export const permanentlyDeleteContent = async (req, res) => {
             Purchase.deleteMany({ contentId: id }),
         ]);
 
-        // ── Clean up ALL S3 objects ──
-        const bucket = process.env.S3_BUCKET;
+        // ── Clean up ALL stored objects ──
         const keysToDelete = [
             content.originalKey,
             content.processedKey,
@@ -1020,31 +1059,21 @@ export const permanentlyDeleteContent = async (req, res) => {
             const hlsDir = hlsRef.substring(0, hlsRef.lastIndexOf('/'));
             if (hlsDir) {
                 try {
-                    let continuationToken;
-                    do {
-                        const listResult = await s3Client.send(new ListObjectsV2Command({
-                            Bucket: bucket,
-                            Prefix: hlsDir + '/',
-                            ContinuationToken: continuationToken,
-                        }));
-                        if (listResult.Contents) {
-                            keysToDelete.push(...listResult.Contents.map(o => o.Key));
-                        }
-                        continuationToken = listResult.IsTruncated ? listResult.NextContinuationToken : undefined;
-                    } while (continuationToken);
+                    const listed = await listAllObjects(hlsDir + '/');
+                    keysToDelete.push(...listed.map(o => o.key));
                 } catch (err) {
                     console.error('Error listing HLS prefix for deletion:', err.message);
                 }
             }
         }
 
-        // Deduplicate keys and delete all S3 objects
+        // Deduplicate keys and delete all stored objects
         const uniqueKeys = [...new Set(keysToDelete)];
         if (uniqueKeys.length > 0) {
             await Promise.all(
                 uniqueKeys.map(key =>
-                    s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
-                        .catch(err => console.error(`Failed to delete S3 key ${key}:`, err.message))
+                    deleteObject(key)
+                        .catch(err => console.error(`Failed to delete storage key ${key}:`, err.message))
                 )
             );
         }
@@ -1052,7 +1081,7 @@ export const permanentlyDeleteContent = async (req, res) => {
         // ── Delete the content record ──
         await Content.findByIdAndDelete(id);
 
-        console.log(`🗑️ Permanently deleted content ${id} — ${uniqueKeys.length} S3 objects removed`);
+        console.log(`🗑️ Permanently deleted content ${id} — ${uniqueKeys.length} stored objects removed`);
 
         res.json({
             success: true,
@@ -0,0 +1,73 @@
+/**
+ * Local Storage Controller — serves the local filesystem storage driver over HTTP
+ *
+ * Only mounted when STORAGE_DRIVER=local (see utils/localDiskStorage.js):
+ * - GET /storage/{key}   — read an object (Range requests supported for video seeking).
+ *                          Media keys are public like the CDN; private prefixes need a presigned URL.
+ * - PUT /storage/{key}   — presigned upload (whole object, or one part with ?uploadId&partNumber)
+ */
+
+import { getStorage } from '../../utils/storage.js';
+
+const keyFromParams = (req) => [].concat(req.params.key).join('/');
+
+/**
+ * GET /storage/{key}
+ */
+export const serveObject = async (req, res) => {
+    try {
+        const storage = getStorage();
+        const key = keyFromParams(req);
+
+        const allowed = req.query.signature !== undefined
+            ? storage.verifySignature('get', key, req.query)
+            : !storage.isPrivateKey(key);
+        if (!allowed) return res.status(403).json({ error: 'Access denied' });
+
+        const meta = await storage.head(key);
+        if (!meta) return res.status(404).json({ error: 'Not found' });
+
+        const headers = { 'Content-Type': req.query.contentType || meta.contentType };
+        if (meta.cacheControl) headers['Cache-Control'] = meta.cacheControl;
+        if (req.query.filename) headers['Content-Disposition'] = `attachment; filename="${req.query.filename}"`;
+
+        res.sendFile(storage.resolvePath(key), { headers, dotfiles: 'deny' });
+    } catch (error) {
+        if (error.statusCode === 400) return res.status(400).json({ error: error.message });
+        console.error('❌ Error serving local storage object:', error);
+        res.status(500).json({ error: 'Failed to read object' });
+    }
+};
+
+/**
+ * PUT /storage/{key}?expires&signature[&contentType]
+ * PUT /storage/{key}?uploadId&partNumber&expires&signature
+ *
+ * Responds with the object's (or part's) ETag header, like S3.
+ */
+export const uploadObject = async (req, res) => {
+    try {
+        const storage = getStorage();
+        const key = keyFromParams(req);
+        const { uploadId, partNumber } = req.query;
+
+        let etag;
+        if (uploadId !== undefined) {
+            if (!storage.verifySignature('part', key, req.query)) return res.status(403).json({ error: 'Invalid or expired upload URL' });
+            etag = await storage.writePart(key, uploadId, partNumber, req);
+        } else {
+            if (!storage.verifySignature('put', key, req.query)) return res.status(403).json({ error: 'Invalid or expired upload URL' });
+            etag = await storage.put(key, req, { contentType: req.query.contentType || req.headers['content-type'] });
+        }
+
+        res.set('ETag', etag);
+        res.set('Access-Control-Expose-Headers', 'ETag');
+        res.status(200).end();
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('❌ Error writing local storage object:', error);
+        res.status(500).json({ error: 'Failed to store object' });
+    }
+};
@@ -3,8 +3,27 @@ import Content from '../../models/content.model.js';
 import Purchase from '../../models/purchase.model.js';
 import SecondaryWallet from '../../models/secondaryWallet.model.js';
 import WalletTransaction from '../../models/walletTransaction.model.js';
+import Tip from '../../models/tip.model.js';
 import { isAdminUser } from '../../utils/ppvGuard.js';
 
+/**
+ * Helper: tips received by a creator (optionally within [from, to)).
+ * Tips don't depend on owning content — community chat tips count too.
+ */
+async function aggregateTips(creatorObjId, from = null, to = null) {
+    const match = { creatorId: creatorObjId };
+    if (from && to) match.createdAt = { $gte: from, $lt: to };
+    const [agg] = await Tip.aggregate([
+        { $match: match },
+        { $group: { _id: null, count: { $sum: 1 }, gross: { $sum: '$amount' }, net: { $sum: '$creatorAmount' } } }
+    ]);
+    return {
+        tipsReceived: agg?.count || 0,
+        tipGross: parseFloat((agg?.gross || 0).toFixed(2)),
+        tipEarnings: parseFloat((agg?.net || 0).toFixed(2)),
+    };
+}
+
 /**
  * Get Creator Earnings Metrics (Till Date + Monthly Filtered)
  * URL: GET /api/v2/wallets/earnings
@@ -13,7 +32,7 @@ import { isAdminUser } from '../../utils/ppvGuard.js';
 export const getCreatorEarnings = async (req, res) => {
     try {
         const userId = req.user?.id || req.admin?._id?.toString() || req.admin?.id;
-        const isAdmin = Boolean(req.admin) || (userId ? await isAdminUser(userId) : false);
+        const isAdmin = Boolean(req.admin) || (userId && !req.user?.apiKeyId ? await isAdminUser(userId) : false);
 
         if (!userId && !isAdmin) return res.status(401).json({ error: 'Authentication required' });
 
@@ -43,6 +62,15 @@ export const getCreatorEarnings = async (req, res) => {
 
         if (allContentIds.length === 0) {
             const currentMonthStr = new Date().toISOString().substring(0, 7);
+            const nowMonth = new Date();
+            const [lifetimeTips, monthlyTips] = await Promise.all([
+                aggregateTips(creatorObjId),
+                aggregateTips(
+                    creatorObjId,
+                    new Date(Date.UTC(nowMonth.getUTCFullYear(), nowMonth.getUTCMonth(), 1)),
+                    new Date(Date.UTC(nowMonth.getUTCFullYear(), nowMonth.getUTCMonth() + 1, 1))
+                ),
+            ]);
             const emptyMonths = [];
             const nowObj = new Date();
             for (let i = 0; i < 12; i++) {
@@ -67,6 +95,8 @@ export const getCreatorEarnings = async (req, res) => {
                     gstOnCommission: 0,
                     tdsDeducted: 0,
                     tcsDeducted: 0,
+                    ...lifetimeTips,
+                    totalCreatorEarnings: lifetimeTips.tipEarnings,
                 },
                 monthly: {
                     month: currentMonthStr,
@@ -78,6 +108,8 @@ export const getCreatorEarnings = async (req, res) => {
                     gstOnCommission: 0,
                     tdsDeducted: 0,
                     tcsDeducted: 0,
+                    ...monthlyTips,
+                    totalCreatorEarnings: monthlyTips.tipEarnings,
                 },
                 availableMonths: emptyMonths
             });
@@ -212,6 +244,12 @@ export const getCreatorEarnings = async (req, res) => {
             if (monthlyEngAgg[0]) monthlyEngagementEarnings = monthlyEngAgg[0].total;
         }
 
+        // 5. Tips ("Super Thanks") — net share already credited to Wallet 2
+        const [lifetimeTips, monthlyTips] = await Promise.all([
+            aggregateTips(creatorObjId),
+            aggregateTips(creatorObjId, monthStart, monthEnd),
+        ]);
+
         const lData = lifetimeAgg[0] || {};
         const lGross = lData.grossSold || 0;
         const lComm = lData.platformCommission || 0;
@@ -237,7 +275,8 @@ export const getCreatorEarnings = async (req, res) => {
                 totalCuts: parseFloat(lCuts.toFixed(2)),
                 netEarnings: parseFloat(lNet.toFixed(2)),
                 engagementEarnings: parseFloat(lifetimeEngagementEarnings.toFixed(2)),
-                totalCreatorEarnings: parseFloat((lNet + lifetimeEngagementEarnings).toFixed(2)),
+                ...lifetimeTips,
+                totalCreatorEarnings: parseFloat((lNet + lifetimeEngagementEarnings + lifetimeTips.tipEarnings).toFixed(2)),
                 totalUnlocks: lData.totalUnlocks || 0,
                 platformCommission: parseFloat(lComm.toFixed(2)),
                 gstOnCommission: parseFloat(lGstComm.toFixed(2)),
@@ -250,7 +289,8 @@ export const getCreatorEarnings = async (req, res) => {
                 totalCuts: parseFloat(mCuts.toFixed(2)),
                 netEarnings: parseFloat(mNet.toFixed(2)),
                 engagementEarnings: parseFloat(monthlyEngagementEarnings.toFixed(2)),
-                totalCreatorEarnings: parseFloat((mNet + monthlyEngagementEarnings).toFixed(2)),
+                ...monthlyTips,
+                totalCreatorEarnings: parseFloat((mNet + monthlyEngagementEarnings + monthlyTips.tipEarnings).toFixed(2)),
                 totalUnlocks: mData.totalUnlocks || 0,
                 platformCommission: parseFloat(mComm.toFixed(2)),
                 gstOnCommission: parseFloat(mGstComm.toFixed(2)),
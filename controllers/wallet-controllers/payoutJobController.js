@@ -21,18 +21,11 @@ import { sendOtpToEmail } from '../auth-controllers/services/otpServiceEmail.js'
 import { sendOtpToPhone } from '../auth-controllers/services/otpServicePhone.js';
 import { decryptBankDetails } from '../../utils/encryption.js';
 import { calculateTaxBreakdown } from '../../utils/taxCalculator.js';
+import { recoverPendingRefunds } from '../../utils/walletService.js';
 import { sendAdminEmail } from '../../services/adminEmailService.js';
 import { generateSettlementPdf } from '../../utils/pdfGenerator.js';
-import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
+import { emitWebhookEvent, payoutEventData } from '../../utils/webhooks.js';
+import { getObject, putObject, presignGetUrl } from '../../utils/storage.js';
 
 const MAINTENANCE_FEE_PERCENT = 0; // 0% — no payout fee. Change here to apply a platform fee.
 
@@ -78,9 +71,10 @@ async function computePayoutLedgerBreakdown(walletId, session = null) {
     }
 
     let rawSelling = 0, rawBase = 0, rawGst = 0, rawComm = 0, rawCommGst = 0, rawTds = 0, rawTcs = 0, totalTransferredToWallet1 = 0;
+    let rawTipSelling = 0, rawTipNet = 0;
 
     for (const tx of periodTxns) {
-        if (tx.type === 'ppv_earning_credit') {
+        if (tx.type === 'ppv_earning_credit' || tx.type === 'membership_earning_credit' || tx.type === 'tip_earning_credit') {
             let txBreakdown = tx.taxBreakdown;
             if (!txBreakdown && tx.relatedPurchaseId) {
                 const purchase = purchaseMap.get(tx.relatedPurchaseId.toString());
@@ -108,6 +102,10 @@ async function computePayoutLedgerBreakdown(walletId, session = null) {
                 rawCommGst += txBreakdown.gstOnCommission || 0;
                 rawTds += txBreakdown.tdsAmount || 0;
                 rawTcs += txBreakdown.tcsAmount || 0;
+                if (tx.type === 'tip_earning_credit') {
+                    rawTipSelling += txBreakdown.sellingPrice || 0;
+                    rawTipNet += tx.amount || 0;
+                }
             }
         } else if (tx.type === 'transfer_from_settlement' || tx.type === 'transfer_to_primary') {
             totalTransferredToWallet1 += tx.amount || 0;
@@ -123,6 +121,8 @@ async function computePayoutLedgerBreakdown(walletId, session = null) {
         totalTdsDeducted: Number(rawTds.toFixed(2)),
         totalTcsDeducted: Number(rawTcs.toFixed(2)),
         totalTransferredToWallet1: Number(totalTransferredToWallet1.toFixed(2)),
+        totalTipsReceived: Number(rawTipSelling.toFixed(2)),
+        totalTipEarnings: Number(rawTipNet.toFixed(2)),
         periodStart,
         periodEnd,
     };
@@ -230,7 +230,7 @@ export const runMonthEndPayout = async (req, res) => {
         const userIds = allWallets.map(w => w.userId);
         const [kycDocs, userDocs] = await Promise.all([
             KycDetails.find({ userId: { $in: userIds } }).lean(),
-            User.find({ _id: { $in: userIds } }).select('userName channelName contact email').lean()
+            User.find({ _id: { $in: userIds } }).select('userName channelName contact email twoFactorEnabled').lean()
         ]);
 
         const kycByUser = new Map(kycDocs.map(k => [k.userId.toString(), k]));
@@ -241,6 +241,7 @@ export const runMonthEndPayout = async (req, res) => {
             skipped: 0,
             failed: 0,
             skippedNoKyc: 0,
+            skippedNo2fa: 0,
             skippedZeroBalance: 0,
             skippedPendingSettlement: 0,
             skippedDetails: [],
@@ -268,6 +269,22 @@ export const runMonthEndPayout = async (req, res) => {
                 continue;
             }
 
+            // Verified creators must have TOTP 2FA on before money leaves the platform
+            if (!user?.twoFactorEnabled) {
+                results.skippedNo2fa++;
+                results.skipped++;
+                const reason = 'Creator has not turned on two-factor authentication';
+                results.skippedDetails.push({
+                    walletId: wallet._id.toString(),
+                    userId: wallet.userId.toString(),
+                    creatorName,
+                    balance: wallet.balance,
+                    reason
+                });
+                console.log(`⏩ [PAYOUT_BULK_SKIP_2FA] Wallet ${wallet._id} | Creator: "${creatorName}" (${wallet.userId}) | Balance: ₹${wallet.balance} | Reason: ${reason}`);
+                continue;
+            }
+
             // STEP 4: Check wallet balance ONLY AFTER KYC verification passes!
             if (wallet.balance <= 0) {
                 results.skippedZeroBalance++;
@@ -308,7 +325,8 @@ export const runMonthEndPayout = async (req, res) => {
                         return;
                     }
 
-                    // Re-read wallet inside session to get latest balance
+                    // Recover refund shortfalls first, then re-read wallet inside session to get latest balance
+                    await recoverPendingRefunds(wallet._id, session);
                     const freshWallet = await SecondaryWallet.findById(wallet._id).session(session);
                     if (!freshWallet || freshWallet.balance <= 0) {
                         results.skippedZeroBalance++;
@@ -370,6 +388,8 @@ export const runMonthEndPayout = async (req, res) => {
                         totalTdsDeducted,
                         totalTcsDeducted,
                         totalTransferredToWallet1,
+                        totalTipsReceived,
+                        totalTipEarnings,
                         periodStart,
                         periodEnd,
                     } = ledgerBreakdown;
@@ -403,6 +423,8 @@ export const runMonthEndPayout = async (req, res) => {
                         totalTdsDeducted,
                         totalTcsDeducted,
                         totalTransferredToWallet1,
+                        totalTipsReceived,
+                        totalTipEarnings,
                         periodStart,
                         periodEnd,
                         ...bankSnapshot,
@@ -444,7 +466,7 @@ export const runMonthEndPayout = async (req, res) => {
         console.log(`\n=================== [PAYOUT_JOB_BULK_SUMMARY] ===================`);
         console.log(`Total Wallets Evaluated: ${allWallets.length}`);
         console.log(`✅ Processed: ${results.processed}`);
-        console.log(`⏩ Skipped: ${results.skipped} (Zero Balance: ${results.skippedZeroBalance}, Unverified KYC: ${results.skippedNoKyc}, Pending Settlement: ${results.skippedPendingSettlement})`);
+        console.log(`⏩ Skipped: ${results.skipped} (Zero Balance: ${results.skippedZeroBalance}, Unverified KYC: ${results.skippedNoKyc}, No 2FA: ${results.skippedNo2fa}, Pending Settlement: ${results.skippedPendingSettlement})`);
         console.log(`❌ Failed: ${results.failed}`);
         if (results.skippedDetails.length > 0) {
             console.log(`📋 Skipped Wallets Breakdown:`);
@@ -456,7 +478,7 @@ export const runMonthEndPayout = async (req, res) => {
 
         let message = `Bulk payout job executed successfully. Processed: ${results.processed} | Skipped: ${results.skipped} | Failed: ${results.failed}`;
         if (results.processed === 0 && results.skipped > 0) {
-            message = `No new payouts initiated: All ${allWallets.length} creator wallet(s) were skipped (${results.skippedZeroBalance} zero balance, ${results.skippedNoKyc} unverified KYC, ${results.skippedPendingSettlement} pending settlement).`;
+            message = `No new payouts initiated: All ${allWallets.length} creator wallet(s) were skipped (${results.skippedZeroBalance} zero balance, ${results.skippedNoKyc} unverified KYC, ${results.skippedNo2fa} without 2FA, ${results.skippedPendingSettlement} pending settlement).`;
         }
 
         res.json({
@@ -502,11 +524,7 @@ export const getPayoutReport = async (req, res) => {
             if (kyc?.kycDocumentKey) {
                 kycDocumentType = kyc.kycDocumentType;
                 try {
-                    const command = new GetObjectCommand({
-                        Bucket: process.env.S3_BUCKET,
-                        Key: kyc.kycDocumentKey,
-                    });
-                    kycDocumentUrl = await getSignedUrl(s3Client, command, { expiresIn: 900 }); // 15 min
+                    kycDocumentUrl = await presignGetUrl(kyc.kycDocumentKey, { expiresIn: 900 }); // 15 min
                 } catch (err) {
                     console.error(`Failed to generate presigned URL for ${kyc.kycDocumentKey}:`, err);
                 }
@@ -528,6 +546,8 @@ export const getPayoutReport = async (req, res) => {
                 totalTdsDeducted: payout.totalTdsDeducted || 0,
                 totalTcsDeducted: payout.totalTcsDeducted || 0,
                 totalTransferredToWallet1: payout.totalTransferredToWallet1 || 0,
+                totalTipsReceived: payout.totalTipsReceived || 0,
+                totalTipEarnings: payout.totalTipEarnings || 0,
                 periodStart: payout.periodStart || null,
                 periodEnd: payout.periodEnd || payout.createdAt,
                 bankDetails: {
@@ -558,6 +578,8 @@ export const getPayoutReport = async (req, res) => {
         const totalTdsDeducted = payouts.reduce((sum, p) => sum + (p.totalTdsDeducted || 0), 0);
         const totalTcsDeducted = payouts.reduce((sum, p) => sum + (p.totalTcsDeducted || 0), 0);
         const totalTransferredToWallet1 = payouts.reduce((sum, p) => sum + (p.totalTransferredToWallet1 || 0), 0);
+        const totalTipsReceived = payouts.reduce((sum, p) => sum + (p.totalTipsReceived || 0), 0);
+        const totalTipEarnings = payouts.reduce((sum, p) => sum + (p.totalTipEarnings || 0), 0);
 
         res.json({
             payoutMonth: month,
@@ -575,6 +597,8 @@ export const getPayoutReport = async (req, res) => {
                 totalTdsDeducted: Math.round(totalTdsDeducted * 100) / 100,
                 totalTcsDeducted: Math.round(totalTcsDeducted * 100) / 100,
                 totalTransferredToWallet1: Math.round(totalTransferredToWallet1 * 100) / 100,
+                totalTipsReceived: Math.round(totalTipsReceived * 100) / 100,
+                totalTipEarnings: Math.round(totalTipEarnings * 100) / 100,
             },
             payouts: enrichedPayouts,
         });
@@ -604,6 +628,12 @@ export const runSingleCreatorPayout = async (req, res) => {
             return res.status(400).json({ error: "Creator KYC is not verified. Payouts can only be initiated for KYC-verified creators." });
         }
 
+        const creator = await User.findById(userId).select('twoFactorEnabled').lean();
+        if (!creator?.twoFactorEnabled) {
+            console.error(`[PAYOUT_SINGLE_REJECTED] Creator ${userId} has not turned on two-factor authentication`);
+            return res.status(400).json({ error: "Creator has not turned on two-factor authentication. Payouts require 2FA for KYC-verified creators." });
+        }
+
         // 2. Check if previous settlement is still pending
         const pendingPayout = await Payout.findOne({ userId, status: 'pending_settlement' });
         if (pendingPayout) {
@@ -637,10 +667,14 @@ export const runSingleCreatorPayout = async (req, res) => {
         let createdPayout;
         try {
             await session.withTransaction(async () => {
+                await recoverPendingRefunds(wallet._id, session);
                 const freshWallet = await SecondaryWallet.findById(wallet._id).session(session);
                 if (!freshWallet || freshWallet.balance <= 0) {
                     throw new Error("Wallet balance is zero");
                 }
+                if (payoutType === 'partial' && partialAmount > freshWallet.balance) {
+                    throw new Error(`Partial amount (₹${partialAmount}) exceeds wallet balance after refund recovery (₹${freshWallet.balance})`);
+                }
 
                 const grossAmount = payoutType === 'partial' ? partialAmount : freshWallet.balance;
                 const feeAmount = 0; // MAINTENANCE_FEE_PERCENT is 0
@@ -684,6 +718,8 @@ export const runSingleCreatorPayout = async (req, res) => {
                     totalTdsDeducted,
                     totalTcsDeducted,
                     totalTransferredToWallet1,
+                    totalTipsReceived,
+                    totalTipEarnings,
                     periodStart,
                     periodEnd,
                 } = ledgerBreakdown;
@@ -712,6 +748,8 @@ export const runSingleCreatorPayout = async (req, res) => {
                     totalTdsDeducted,
                     totalTcsDeducted,
                     totalTransferredToWallet1,
+                    totalTipsReceived,
+                    totalTipEarnings,
                     periodStart,
                     periodEnd,
                     ...bankSnapshot,
@@ -930,6 +968,7 @@ export const completePayoutSettlement = async (req, res) => {
         payout.status = 'completed';
         payout.completedAt = new Date();
         await payout.save();
+        emitWebhookEvent('payout.settled', { creatorId: payout.userId?._id, data: payoutEventData(payout) });
 
         console.log(`✅ [SETTLEMENT_COMPLETE_SUCCESS] Payout ${payoutId} marked as completed for User ${payout.userId?._id} | Net Transferred: ₹${payout.netAmount}`);
         console.log(`=================== [SETTLEMENT_COMPLETE_END] ===================\n`);
@@ -1011,6 +1050,7 @@ export const completeBulkPayoutSettlement = async (req, res) => {
                 payout.status = 'completed';
                 payout.completedAt = new Date();
                 await payout.save();
+                emitWebhookEvent('payout.settled', { creatorId: payout.userId._id, data: payoutEventData(payout) });
                 completedCount++;
             } catch (mailErr) {
                 console.error(`❌ [BULK_SETTLEMENT_EMAIL_GUARD] Email failed for ${payout._id}:`, mailErr);
@@ -1173,13 +1213,7 @@ export const getCreatorInvoices = async (req, res) => {
                     });
 
                     s3Key = `settlement-invoices/${p.payoutMonth || 'general'}/${p.userId}_Tax_Invoice_${Date.now()}.pdf`;
-                    await s3Client.send(new PutObjectCommand({
-                        Bucket: s3Bucket,
-                        Key: s3Key,
-                        Body: pdfBuffer,
-                        ContentType: 'application/pdf',
-                        ServerSideEncryption: 'AES256',
-                    }));
+                    await putObject(s3Key, pdfBuffer, { contentType: 'application/pdf', encrypt: true });
 
                     pdfUrl = `${cdnUrl}/${s3Key}`;
                     await Payout.findByIdAndUpdate(p._id, {
@@ -1255,15 +1289,12 @@ export const getPayoutInvoicePdf = async (req, res) => {
         if (payout.invoiceS3Key && s3Bucket) {
             try {
                 console.log(`🔍 [INVOICE_PDF_S3_CHECK] Attempting to fetch from S3: s3://${s3Bucket}/${payout.invoiceS3Key}`);
-                const s3Obj = await s3Client.send(new GetObjectCommand({
-                    Bucket: s3Bucket,
-                    Key: payout.invoiceS3Key
-                }));
+                const s3Obj = await getObject(payout.invoiceS3Key);
                 console.log(`✅ [INVOICE_PDF_SERVED] Source: PATH_A_AWS_S3 | Bucket: ${s3Bucket} | Key: ${payout.invoiceS3Key}`);
                 console.log(`=================== [INVOICE_PDF_FETCH_END] ===================\n`);
                 res.setHeader('Content-Type', 'application/pdf');
                 res.setHeader('Content-Disposition', `inline; filename="Tax_Invoice_${payout.payoutMonth}.pdf"`);
-                return s3Obj.Body.pipe(res);
+                return s3Obj.body.pipe(res);
             } catch (s3ReadErr) {
                 console.warn(`⚠️ [INVOICE_PDF_S3_WARNING] S3 read failed (${s3ReadErr.message}). Falling back to dynamic PDF generation...`);
             }
@@ -1311,13 +1342,7 @@ export const getPayoutInvoicePdf = async (req, res) => {
         if (s3Bucket && !payout.invoiceS3Key) {
             try {
                 const s3Key = `settlement-invoices/${payout.payoutMonth || 'general'}/${payout.userId?._id || payout.userId}_Tax_Invoice_${Date.now()}.pdf`;
-                await s3Client.send(new PutObjectCommand({
-                    Bucket: s3Bucket,
-                    Key: s3Key,
-                    Body: pdfBuffer,
-                    ContentType: 'application/pdf',
-                    ServerSideEncryption: 'AES256',
-                }));
+                await putObject(s3Key, pdfBuffer, { contentType: 'application/pdf', encrypt: true });
                 const cdnUrl = process.env.VITE_CDN_URL || process.env.CDN_URL || `https://${s3Bucket}.s3.amazonaws.com`;
                 const invoiceUrl = `${cdnUrl}/${s3Key}`;
                 await Payout.findByIdAndUpdate(payout._id, {
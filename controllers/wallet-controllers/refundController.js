@@ -0,0 +1,270 @@
+/**
+ * Refund Controller — PPV refunds and rental disputes
+ *
+ * Buyer endpoints (mounted at /api/v2):
+ * - POST /wallets/purchases/:purchaseId/refund  — Request a refund or open a dispute
+ * - GET  /wallets/refunds                       — List own refund requests
+ *
+ * Admin endpoints (mounted at /api/admin):
+ * - GET  /refunds                — List refund requests (?status=pending)
+ * - POST /refunds/:id/approve    — Approve → atomic wallet reversal (walletService.executePpvRefund)
+ * - POST /refunds/:id/reject     — Reject with a reason
+ *
+ * Access is revoked by the reversal itself: hasPpvAccess() only honours 'active' purchases.
+ */
+
+import mongoose from 'mongoose';
+import Purchase from '../../models/purchase.model.js';
+import Content from '../../models/content.model.js';
+import RefundRequest from '../../models/refundRequest.model.js';
+import WalletTransaction from '../../models/walletTransaction.model.js';
+import SecondaryWallet from '../../models/secondaryWallet.model.js';
+import { executePpvRefund } from '../../utils/walletService.js';
+
+/** Days after purchase a buyer may ask for a refund */
+export const REFUND_WINDOW_DAYS = 7;
+/** Days after purchase a buyer may dispute a charge (e.g. unauthorized use) */
+export const DISPUTE_WINDOW_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFUND_REASONS = RefundRequest.schema.path('reason').enumValues;
+
+/**
+ * Resolve the creator for a purchase — from the content, or from the earning ledger
+ * entry when the content has since been deleted.
+ */
+async function resolveCreatorId(purchase) {
+    const content = await Content.findById(purchase.contentId).select('userId').lean();
+    if (content?.userId) return content.userId;
+
+    const earning = await WalletTransaction.findOne({
+        relatedPurchaseId: purchase._id,
+        type: 'ppv_earning_credit',
+    }).select('walletId').lean();
+    if (!earning) return null;
+    const wallet = await SecondaryWallet.findById(earning.walletId).select('userId').lean();
+    return wallet?.userId || null;
+}
+
+/**
+ * POST /wallets/purchases/:purchaseId/refund
+ * Body: { type: 'refund'|'dispute', reason, description }
+ */
+export const requestRefund = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { purchaseId } = req.params;
+        const { type = 'refund', reason, description = '' } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(purchaseId)) {
+            return res.status(400).json({ error: 'Invalid purchase ID' });
+        }
+        if (!['refund', 'dispute'].includes(type)) {
+            return res.status(400).json({ error: 'Type must be refund or dispute' });
+        }
+        if (!REFUND_REASONS.includes(reason)) {
+            return res.status(400).json({ error: `Reason must be one of: ${REFUND_REASONS.join(', ')}` });
+        }
+        if (typeof description !== 'string' || description.length > 1000) {
+            return res.status(400).json({ error: 'Description must be under 1000 characters' });
+        }
+
+        const purchase = await Purchase.findOne({ _id: purchaseId, buyerId: userId }).lean();
+        if (!purchase) return res.status(404).json({ error: 'Purchase not found' });
+        if (purchase.status === 'refunded') {
+            return res.status(400).json({ error: 'This purchase has already been refunded' });
+        }
+        if (!['active', 'expired'].includes(purchase.status)) {
+            return res.status(400).json({ error: 'Only completed purchases can be refunded' });
+        }
+
+        const windowDays = type === 'dispute' ? DISPUTE_WINDOW_DAYS : REFUND_WINDOW_DAYS;
+        if (Date.now() - new Date(purchase.purchasedAt).getTime() > windowDays * DAY_MS) {
+            return res.status(400).json({
+                error: `${type === 'dispute' ? 'Disputes' : 'Refunds'} must be requested within ${windowDays} days of purchase`
+            });
+        }
+
+        // A rejected dispute is final — don't let the same claim be re-filed for the whole window
+        if (await RefundRequest.exists({ purchaseId, status: 'rejected', type: 'dispute' })) {
+            return res.status(409).json({ error: 'A dispute for this purchase was already reviewed and rejected' });
+        }
+
+        // One reviewed refund per purchase; a rejected buyer can still escalate to a dispute
+        if (type === 'refund' && await RefundRequest.exists({ purchaseId, status: 'rejected', type: 'refund' })) {
+            return res.status(400).json({ error: 'A refund for this purchase was already reviewed. You can still open a dispute.' });
+        }
+
+        const creatorId = await resolveCreatorId(purchase);
+        if (!creatorId) return res.status(400).json({ error: 'Unable to resolve the creator for this purchase' });
+
+        let request;
+        try {
+            request = await RefundRequest.create({
+                purchaseId,
+                buyerId: userId,
+                contentId: purchase.contentId,
+                creatorId,
+                type,
+                reason,
+                description: description.trim(),
+                amount: purchase.amount,
+            });
+        } catch (err) {
+            if (err.code === 11000) {
+                return res.status(409).json({ error: 'A refund request for this purchase is already under review' });
+            }
+            throw err;
+        }
+
+        console.log(`[PPV_REFUND_REQUESTED] Request: ${request._id} | Purchase: ${purchaseId} | Buyer: ${userId} | Type: ${type} | Reason: ${reason}`);
+        res.status(201).json({
+            success: true,
+            message: 'Your request has been submitted for review',
+            refundRequest: {
+                _id: request._id,
+                purchaseId: request.purchaseId,
+                type: request.type,
+                reason: request.reason,
+                amount: request.amount,
+                status: request.status,
+                createdAt: request.createdAt,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error requesting refund:', error);
+        res.status(500).json({ error: 'Failed to submit refund request' });
+    }
+};
+
+/**
+ * GET /wallets/refunds — Buyer's own refund requests
+ */
+export const getMyRefundRequests = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const requests = await RefundRequest.find({ buyerId: userId })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .select('purchaseId contentId type reason description amount status adminNote reviewedAt createdAt')
+            .populate('contentId', 'title contentType thumbnailKey')
+            .lean();
+
+        res.json({ refundRequests: requests });
+    } catch (error) {
+        console.error('❌ Error fetching refund requests:', error);
+        res.status(500).json({ error: 'Failed to fetch refund requests' });
+    }
+};
+
+/**
+ * GET /admin/refunds?status=pending&page=1&limit=20
+ */
+export const listRefundRequests = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, parseInt(req.query.limit) || 20);
+
+        const query = {};
+        if (status && status !== 'all') query.status = status;
+
+        const [requests, total] = await Promise.all([
+            RefundRequest.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('buyerId', 'userName email contact')
+                .populate('creatorId', 'userName channelName channelHandle')
+                .populate('contentId', 'title contentType')
+                .populate('purchaseId', 'orderId amount purchasedAt expiresAt status')
+                .lean(),
+            RefundRequest.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            refundRequests: requests,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        });
+    } catch (error) {
+        console.error('[ADMIN_LIST_REFUNDS]', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * POST /admin/refunds/:id/approve
+ * Body: { reason } — stored as the admin note and in the audit log
+ */
+export const approveRefundRequest = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: 'Invalid refund request ID' });
+        }
+
+        const result = await executePpvRefund(id, {
+            adminId: req.admin?._id,
+            adminNote: req.body?.reason || '',
+        });
+
+        res.status(200).json({
+            success: true,
+            message: result.creatorShortfall > 0
+                ? `Refund approved. ₹${result.creatorShortfall} was already paid out and will be recovered from the creator's next payout.`
+                : 'Refund approved',
+            refundRequest: result.refundRequest,
+            buyerCredited: result.buyerTxn.amount,
+            creatorDebited: result.creatorDebited,
+            creatorShortfall: result.creatorShortfall,
+        });
+    } catch (error) {
+        console.error('[ADMIN_APPROVE_REFUND]', error);
+        const isBusinessError = /not found|already|not refundable/i.test(error.message || '');
+        res.status(isBusinessError ? 400 : 500).json({ success: false, message: error.message || 'Server error' });
+    }
+};
+
+/**
+ * POST /admin/refunds/:id/reject
+ * Body: { reason } — required
+ */
+export const rejectRefundRequest = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason?.trim()) {
+            return res.status(400).json({ success: false, message: 'Rejection reason is required' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: 'Invalid refund request ID' });
+        }
+
+        const request = await RefundRequest.findOneAndUpdate(
+            { _id: id, status: 'pending' },
+            {
+                $set: {
+                    status: 'rejected',
+                    reviewedBy: req.admin?._id,
+                    reviewedAt: new Date(),
+                    adminNote: reason.trim(),
+                },
+            },
+            { new: true }
+        );
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Refund request not found or already reviewed' });
+        }
+
+        res.status(200).json({ success: true, message: 'Refund request rejected', refundRequest: request });
+    } catch (error) {
+        console.error('[ADMIN_REJECT_REFUND]', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
@@ -0,0 +1,334 @@
+/**
+ * Tip Controller — "Super Thanks" from fans to creators
+ *
+ * Endpoints (mounted at /api/v2):
+ * - POST /wallets/tips/content/:contentId     — Tip the creator of a content item (highlighted comment)
+ * - POST /wallets/tips/community/:communityId — Tip the owner inside community chat (highlighted message)
+ * - GET  /wallets/tips/received               — Tips received (creator)
+ * - GET  /wallets/tips/sent                   — Tips sent
+ *
+ * Body for sending: { amount, message?, pin, idempotencyKey? }
+ * Money moves through walletService.executeTip(); amount rules live in utils/tips.js.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Content from '../../models/content.model.js';
+import Comment from '../../models/comment.model.js';
+import Community from '../../models/community.model.js';
+import CommunityMember from '../../models/communityMember.model.js';
+import CommunityChat from '../../models/communityChat.model.js';
+import Tip from '../../models/tip.model.js';
+import { ensurePrimaryWallet, executeTip } from '../../utils/walletService.js';
+import { checkPaymentPin } from '../../utils/paymentPin.js';
+import { notify } from '../../utils/notificationService.js';
+import { publishToCommunity } from '../../utils/realtimeGateway.js';
+import { emitWebhookEvent } from '../../utils/webhooks.js';
+import { getMemberBadges } from '../../utils/memberships.js';
+import { runAutomod } from '../../utils/communityAutomod.js';
+import { parseTipAmount, parseTipMessage, tipHighlight, tipDisplayText } from '../../utils/tips.js';
+
+/**
+ * Helper: validate the common tip body and derive the order ID.
+ * A client-supplied idempotencyKey makes retries (double taps, flaky networks) safe.
+ */
+function parseTipRequest(userId, body) {
+    const { amount, error: amountError } = parseTipAmount(body.amount);
+    if (amountError) return { error: amountError };
+
+    const { message, error: messageError } = parseTipMessage(body.message);
+    if (messageError) return { error: messageError };
+
+    let orderId;
+    if (body.idempotencyKey !== undefined) {
+        if (typeof body.idempotencyKey !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.idempotencyKey)) {
+            return { error: 'Invalid idempotency key' };
+        }
+        orderId = `tip_${userId}_${body.idempotencyKey}`;
+    } else {
+        orderId = `tip_${crypto.randomUUID()}`;
+    }
+
+    return { amount, message, orderId, highlight: tipHighlight(amount) };
+}
+
+/**
+ * Helper: PIN check + atomic wallet movement shared by both tip sources.
+ * Returns { result } or { status, body } for an error response.
+ */
+async function chargeTip(userId, creatorId, parsed, tipFields) {
+    const wallet = await ensurePrimaryWallet(userId);
+    const pinError = await checkPaymentPin(wallet, parsed.pin);
+    if (pinError) return { status: 400, body: pinError };
+
+    try {
+        const result = await executeTip(userId, creatorId, parsed.amount, {
+            ...tipFields,
+            message: parsed.message,
+            highlightLevel: parsed.highlight.level,
+        }, parsed.orderId);
+        return { result };
+    } catch (error) {
+        if (error.message === 'Insufficient wallet balance') {
+            return { status: 400, body: { error: 'Insufficient wallet balance. Please recharge your wallet.' } };
+        }
+        throw error;
+    }
+}
+
+/**
+ * tip.received webhook — the fan's message is public (it's shown as a highlighted comment/chat message)
+ */
+function emitTipReceived(creatorId, tip) {
+    emitWebhookEvent('tip.received', {
+        creatorId,
+        data: {
+            tipId: String(tip._id),
+            source: tip.source,
+            contentId: tip.contentId ? String(tip.contentId) : null,
+            communityId: tip.communityId ? String(tip.communityId) : null,
+            amount: tip.amount,
+            creatorAmount: tip.creatorAmount,
+            currency: 'INR',
+            message: tip.message || '',
+            highlightLevel: tip.highlightLevel,
+        },
+    });
+}
+
+const formatTip = (tip) => ({
+    _id: tip._id,
+    source: tip.source,
+    contentId: tip.contentId,
+    communityId: tip.communityId,
+    amount: tip.amount,
+    message: tip.message,
+    highlightLevel: tip.highlightLevel,
+    commentId: tip.commentId,
+    chatMessageId: tip.chatMessageId,
+    createdAt: tip.createdAt,
+});
+
+/**
+ * POST /wallets/tips/content/:contentId
+ */
+export const tipContent = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { contentId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(contentId)) {
+            return res.status(400).json({ error: 'Valid content ID is required' });
+        }
+
+        const parsed = parseTipRequest(userId, req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        parsed.pin = req.body.pin;
+
+        const content = await Content.findById(contentId).select('userId title status visibility commentsEnabled').lean();
+        if (!content || content.status === 'removed' || content.visibility === 'private') {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        const creatorId = content.userId.toString();
+        if (creatorId === userId) {
+            return res.status(400).json({ error: 'You cannot tip your own content' });
+        }
+
+        const charged = await chargeTip(userId, creatorId, parsed, { source: 'content', contentId: content._id });
+        if (!charged.result) return res.status(charged.status).json(charged.body);
+        const { tip, senderTxn, duplicate } = charged.result;
+
+        // The highlighted comment — skipped when the creator turned comments off
+        let comment = null;
+        if (!duplicate && content.commentsEnabled !== false) {
+            comment = await Comment.create({
+                videoId: content._id,
+                onModel: 'Content',
+                userId,
+                text: tipDisplayText(tip.amount, tip.message),
+                tip: { tipId: tip._id, amount: tip.amount, highlightLevel: tip.highlightLevel },
+            });
+            await Tip.updateOne({ _id: tip._id }, { $set: { commentId: comment._id } });
+            tip.commentId = comment._id;
+        }
+
+        if (!duplicate) {
+            notify({
+                type: 'tip_received',
+                recipientIds: [creatorId],
+                actorId: userId,
+                fields: {
+                    contentId: content._id,
+                    commentId: comment?._id || null,
+                    title: content.title || '',
+                    message: `Sent a ₹${tip.amount} tip${tip.message ? `: ${tip.message.slice(0, 200)}` : ''}`,
+                },
+                dedupeKey: () => `tip_received:${tip._id}`,
+            });
+            emitTipReceived(creatorId, tip);
+        }
+
+        return res.status(duplicate ? 200 : 201).json({
+            success: true,
+            message: `Thanks sent! ₹${tip.amount} tip delivered.`,
+            tip: formatTip(tip),
+            comment,
+            walletBalance: senderTxn?.balanceAfter ?? null,
+        });
+    } catch (error) {
+        console.error('❌ Error sending content tip:', error);
+        return res.status(500).json({ error: 'Failed to send tip' });
+    }
+};
+
+/**
+ * POST /wallets/tips/community/:communityId
+ * The tip goes to the community owner and is posted as a highlighted chat message.
+ */
+export const tipCommunity = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { communityId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(communityId)) {
+            return res.status(400).json({ error: 'Valid community ID is required' });
+        }
+
+        const parsed = parseTipRequest(userId, req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        parsed.pin = req.body.pin;
+
+        const community = await Community.findById(communityId).select('ownerId name settings').lean();
+        if (!community) return res.status(404).json({ error: 'Community not found' });
+        const creatorId = community.ownerId.toString();
+        if (creatorId === userId) {
+            return res.status(400).json({ error: 'You cannot tip your own community' });
+        }
+
+        const membership = await CommunityMember.findOne({ communityId, userId, status: 'ACTIVE' }).lean();
+        if (!membership) return res.status(403).json({ error: 'Must be an active community member' });
+        if (membership.role === 'BANNED') return res.status(403).json({ error: 'You are banned from this community' });
+
+        // The tip message is posted to chat, so it goes through automod before anything is charged
+        if (parsed.message) {
+            const automod = await runAutomod(community, membership, parsed.message, { source: 'tip' });
+            if (!automod.allowed) return res.status(403).json({ error: automod.reason, automod: { rule: automod.rule } });
+        }
+
+        const charged = await chargeTip(userId, creatorId, parsed, { source: 'community_chat', communityId: community._id });
+        if (!charged.result) return res.status(charged.status).json(charged.body);
+        const { tip, senderTxn, duplicate } = charged.result;
+
+        let message = null;
+        if (!duplicate) {
+            const msg = await CommunityChat.create({
+                communityId,
+                senderId: userId,
+                text: tipDisplayText(tip.amount, tip.message),
+                tip: { tipId: tip._id, amount: tip.amount, highlightLevel: tip.highlightLevel },
+            });
+            await Tip.updateOne({ _id: tip._id }, { $set: { chatMessageId: msg._id } });
+            tip.chatMessageId = msg._id;
+
+            message = await CommunityChat.findById(msg._id)
+                .populate('senderId', 'userName channelName channelPicture channelHandle')
+                .lean();
+            message.senderRole = membership.role;
+            const badges = await getMemberBadges(creatorId, [userId]);
+            message.memberBadge = badges.get(userId.toString()) || null;
+
+            publishToCommunity(communityId, 'community.message.new', { communityId, message });
+
+            notify({
+                type: 'tip_received',
+                recipientIds: [creatorId],
+                actorId: userId,
+                fields: {
+                    title: community.name || '',
+                    message: `Sent a ₹${tip.amount} tip in community chat${tip.message ? `: ${tip.message.slice(0, 200)}` : ''}`,
+                },
+                dedupeKey: () => `tip_received:${tip._id}`,
+            });
+            emitTipReceived(creatorId, tip);
+        }
+
+        return res.status(duplicate ? 200 : 201).json({
+            success: true,
+            message: `Thanks sent! ₹${tip.amount} tip delivered.`,
+            tip: formatTip(tip),
+            chatMessage: message,
+            walletBalance: senderTxn?.balanceAfter ?? null,
+        });
+    } catch (error) {
+        console.error('❌ Error sending community tip:', error);
+        return res.status(500).json({ error: 'Failed to send tip' });
+    }
+};
+
+/**
+ * Helper: paginated tip listing for one side of the tip
+ */
+async function listTips(req, res, side) {
+    const userId = req.user?.id;
+    if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = side === 'received' ? { creatorId: userId } : { senderId: userId };
+    const counterpart = side === 'received' ? 'senderId' : 'creatorId';
+
+    const [tips, total, totals] = await Promise.all([
+        Tip.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate(counterpart, 'userName channelName channelHandle channelPicture')
+            .populate('contentId', 'title contentType thumbnailKey')
+            .populate('communityId', 'name communityId')
+            .lean(),
+        Tip.countDocuments(query),
+        Tip.aggregate([
+            { $match: { [side === 'received' ? 'creatorId' : 'senderId']: new mongoose.Types.ObjectId(userId) } },
+            { $group: { _id: null, amount: { $sum: '$amount' }, creatorAmount: { $sum: '$creatorAmount' } } },
+        ]),
+    ]);
+
+    return res.json({
+        tips: tips.map(t => ({
+            ...formatTip(t),
+            [side === 'received' ? 'sender' : 'creator']: t[counterpart],
+            ...(side === 'received' ? { creatorAmount: t.creatorAmount } : {}),
+        })),
+        totals: {
+            amount: totals[0]?.amount || 0,
+            ...(side === 'received' ? { creatorAmount: Number((totals[0]?.creatorAmount || 0).toFixed(2)) } : {}),
+        },
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+}
+
+/**
+ * GET /wallets/tips/received?page=&limit=
+ */
+export const getTipsReceived = async (req, res) => {
+    try {
+        return await listTips(req, res, 'received');
+    } catch (error) {
+        console.error('❌ Error fetching received tips:', error);
+        return res.status(500).json({ error: 'Failed to fetch tips' });
+    }
+};
+
+/**
+ * GET /wallets/tips/sent?page=&limit=
+ */
+export const getTipsSent = async (req, res) => {
+    try {
+        return await listTips(req, res, 'sent');
+    } catch (error) {
+        console.error('❌ Error fetching sent tips:', error);
+        return res.status(500).json({ error: 'Failed to fetch tips' });
+    }
+};
@@ -26,12 +26,17 @@ import {
     createPendingRechargeRecord,
 } from '../../utils/walletService.js';
 import { encryptBankDetails } from '../../utils/encryption.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { putObject } from '../../utils/storage.js';
 import { v4 as uuidv4 } from 'uuid';
 import Content from '../../models/content.model.js';
 import { sendOtpToEmail } from '../auth-controllers/services/otpServiceEmail.js';
+import { createOtpStore } from '../auth-controllers/services/otpStore.js';
 import { sendPpvRentalEmail } from '../../services/paymentEmailService.js';
 import { calculateTaxBreakdown } from '../../utils/taxCalculator.js';
+import { quotePpvPrice } from '../../utils/ppvPricing.js';
+import { checkPaymentPin } from '../../utils/paymentPin.js';
+import { notify } from '../../utils/notificationService.js';
+import { emitWebhookEvent, ppvEventData } from '../../utils/webhooks.js';
 import PaymentDetails from '../../models/payment.details.model.js';
 import { Cashfree, CFEnvironment } from 'cashfree-pg';
 import Razorpay from 'razorpay';
@@ -44,14 +49,6 @@ const getRazorpayInstance = () => new Razorpay({
     key_secret: process.env.RAZORPAY_KEY_SECRET,
 });
 
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
 // Initialize Cashfree
 const cfEnv = process.env.CASHFREE_MODE?.trim() === 'production'
     ? CFEnvironment.PRODUCTION
@@ -91,6 +88,8 @@ export const getMyWallets = async (req, res) => {
                 kycStatus: kycDetails?.kycStatus || 'not_started',
                 label: 'Payout Balance',
                 withdrawable: true,
+                // Refund reversals not yet recovered (earning was already paid out)
+                pendingRecovery: secondaryWallet.pendingRecovery || 0,
                 note: 'Paid out automatically at month-end to your bank account, minus 1% maintenance fee.',
             };
         } else {
@@ -165,6 +164,12 @@ export const getWalletTransactions = async (req, res) => {
                 query.type = 'ppv_earning_credit';
             } else if (filter === 'engagement_earning') {
                 query.type = 'engagement_earning_credit';
+            } else if (filter === 'membership' || filter === 'memberships') {
+                query.type = { $in: ['membership_debit', 'membership_earning_credit'] };
+            } else if (filter === 'tip' || filter === 'tips') {
+                query.type = { $in: ['tip_debit', 'tip_earning_credit'] };
+            } else if (filter === 'refund' || filter === 'refunds') {
+                query.type = { $in: ['ppv_refund_credit', 'ppv_refund_debit', 'refund_recovery_debit'] };
             } else {
                 query.type = filter;
             }
@@ -357,30 +362,33 @@ export const rechargeInit = async (req, res) => {
     }
 };
 
-export const transferOtpStore = new Map();
-
-// ── OTP Store TTL Cleanup (prevents memory leaks) ───────────────────────────
-// Runs every 5 minutes to clear expired OTPs from all in-memory stores
-setInterval(() => {
-    const now = Date.now();
-    const stores = [
-        { name: 'transferOtpStore', store: transferOtpStore },
-    ];
-    // kycOtpStore and pinOtpStore are defined later, cleaned via same interval
-    for (const { name, store } of stores) {
-        let cleaned = 0;
-        for (const [key, val] of store.entries()) {
-            if (typeof val === 'object' && val.expiresAt && val.expiresAt < now) {
-                store.delete(key);
-                cleaned++;
-            } else if (typeof val === 'number' && val < now) {
-                store.delete(key);
-                cleaned++;
-            }
-        }
-        if (cleaned > 0) console.log(`🧹 [OTP_CLEANUP] ${name}: removed ${cleaned} expired entries`);
+// ── Wallet OTP stores (shared state store: Redis when configured) ──────────
+// Each flow: 5-min OTP, 30-sec resend cooldown, 5 wrong guesses burn the code
+export const transferOtpStore = createOtpStore('wallet:transfer');
+export const kycOtpStore = createOtpStore('wallet:kyc', { verifiedTtlMs: 15 * 60 * 1000 });
+export const pinOtpStore = createOtpStore('wallet:pin', { verifiedTtlMs: 15 * 60 * 1000 });
+
+const OTP_VERIFY_ERRORS = {
+    expired: 'OTP has expired or is invalid. Please request a new OTP.',
+    invalid: 'Invalid OTP code. Please check your email.',
+    locked: 'Too many incorrect attempts. Please request a new OTP.',
+};
+
+/**
+ * Issue an OTP, or answer 429 + Retry-After if the user is inside the resend cooldown.
+ * @returns {Promise<boolean>} false when a 429 response was sent
+ */
+async function issueOtpOrRespond(store, userId, otp, res) {
+    try {
+        await store.issue(userId, otp);
+        return true;
+    } catch (err) {
+        if (err.statusCode !== 429) throw err;
+        res.set('Retry-After', String(err.retryAfterSec));
+        res.status(429).json({ error: err.message, retryAfterSec: err.retryAfterSec });
+        return false;
     }
-}, 5 * 60 * 1000);
+}
 
 /**
  * POST /wallets/transfer/send-otp — Send OTP for transferring Payout Balance to Wallet
@@ -397,22 +405,8 @@ export const sendTransferOtp = async (req, res) => {
             return res.status(400).json({ error: 'Registered user email not found' });
         }
 
-        // 30-second cooldown check
-        const existing = transferOtpStore.get(userId);
-        if (existing && existing.lastSentAt && (Date.now() - existing.lastSentAt < 30000)) {
-            const waitSec = Math.ceil((30000 - (Date.now() - existing.lastSentAt)) / 1000);
-            return res.status(429).json({
-                error: `Please wait ${waitSec} seconds before requesting another OTP.`,
-                retryAfterSec: waitSec
-            });
-        }
-
         const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        transferOtpStore.set(userId, {
-            otp,
-            expiresAt: Date.now() + 5 * 60 * 1000, // 5 min TTL
-            lastSentAt: Date.now()
-        });
+        if (!await issueOtpOrRespond(transferOtpStore, userId, otp, res)) return;
 
         await sendOtpToEmail(resolvedEmail, otp, 'wallet_transfer');
         return res.json({
@@ -457,17 +451,11 @@ export const transferToWalletOne = async (req, res) => {
             return res.status(400).json({ error: 'Valid 6-digit verification OTP code is required' });
         }
 
-        const storedOtp = transferOtpStore.get(userId);
-        if (!storedOtp || storedOtp.expiresAt < Date.now()) {
-            return res.status(400).json({ error: 'OTP has expired or is invalid. Please request a new OTP.' });
+        const otpResult = await transferOtpStore.verify(userId, otp);
+        if (otpResult !== 'ok') {
+            return res.status(400).json({ error: OTP_VERIFY_ERRORS[otpResult] });
         }
 
-        if (storedOtp.otp !== String(otp).trim()) {
-            return res.status(400).json({ error: 'Invalid OTP code. Please check your email.' });
-        }
-
-        transferOtpStore.delete(userId);
-
         const idempotencyKey = `transfer_${userId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 
         const result = await executeTransfer(userId, numAmount, idempotencyKey);
@@ -494,8 +482,6 @@ export const transferToWalletOne = async (req, res) => {
     }
 };
 
-export const kycOtpStore = new Map();
-
 /**
  * POST /wallets/kyc/send-otp — Send 6-digit verification OTP to user email
  */
@@ -518,22 +504,8 @@ export const sendKycOtp = async (req, res) => {
 
         const purpose = req.body?.purpose || req.query?.purpose || 'kyc_update';
 
-        // 30-second cooldown check
-        const existing = kycOtpStore.get(userId);
-        if (existing && existing.lastSentAt && (Date.now() - existing.lastSentAt < 30000)) {
-            const waitSec = Math.ceil((30000 - (Date.now() - existing.lastSentAt)) / 1000);
-            return res.status(429).json({
-                error: `Please wait ${waitSec} seconds before requesting another OTP.`,
-                retryAfterSec: waitSec
-            });
-        }
-
         const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        kycOtpStore.set(userId, {
-            otp,
-            expiresAt: Date.now() + 5 * 60 * 1000, // 5 min TTL
-            lastSentAt: Date.now()
-        });
+        if (!await issueOtpOrRespond(kycOtpStore, userId, otp, res)) return;
 
         await sendOtpToEmail(resolvedEmail, otp, purpose);
         const purposeLabel = (purpose === 'account_update' || purpose === 'accountUpdate') ? 'Profile Update' : 'KYC Verification';
@@ -561,18 +533,13 @@ export const verifyKycOtp = async (req, res) => {
             return res.status(400).json({ error: 'Valid 6-digit OTP code is required' });
         }
 
-        const stored = kycOtpStore.get(userId);
-        if (!stored || stored.expiresAt < Date.now()) {
-            return res.status(400).json({ error: 'OTP has expired or is invalid. Please request a new OTP.' });
-        }
-
-        if (stored.otp !== String(otp).trim()) {
-            return res.status(400).json({ error: 'Invalid OTP code. Please check your email.' });
+        const otpResult = await kycOtpStore.verify(userId, otp);
+        if (otpResult !== 'ok') {
+            return res.status(400).json({ error: OTP_VERIFY_ERRORS[otpResult] });
         }
 
         // Grant 15-minute window for KYC / Profile update submission
-        kycOtpStore.set(`verified_${userId}`, Date.now() + 15 * 60 * 1000);
-        kycOtpStore.delete(userId);
+        await kycOtpStore.markVerified(userId);
 
         return res.json({ success: true, message: 'OTP verified successfully!' });
     } catch (err) {
@@ -590,8 +557,7 @@ export const submitKyc = async (req, res) => {
         if (!userId) return res.status(401).json({ error: 'Authentication required' });
 
         // Enforce OTP Verification check
-        const verifiedUntil = kycOtpStore.get(`verified_${userId}`);
-        if (!verifiedUntil || verifiedUntil < Date.now()) {
+        if (!await kycOtpStore.isVerified(userId)) {
             return res.status(400).json({ error: 'Email OTP verification is required before submitting KYC details' });
         }
 
@@ -617,33 +583,19 @@ export const submitKyc = async (req, res) => {
             return res.status(400).json({ error: 'GST Number is required when registered as a GST holder' });
         }
 
-        const kycBucket = process.env.S3_BUCKET;
-
-        // Upload primary KYC document to S3
+        // Upload primary KYC document (private prefix — only readable via presigned URL)
         const docExt = kycDocFile.originalname?.split('.').pop()?.toLowerCase() || 'jpg';
         const kycDocumentKey = `kyc-documents/${userId}/${uuidv4()}.${docExt}`;
 
-        await s3Client.send(new PutObjectCommand({
-            Bucket: kycBucket,
-            Key: kycDocumentKey,
-            Body: kycDocFile.buffer,
-            ContentType: kycDocFile.mimetype,
-            ServerSideEncryption: 'AES256',
-        }));
+        await putObject(kycDocumentKey, kycDocFile.buffer, { contentType: kycDocFile.mimetype, encrypt: true });
 
-        // Upload GST certificate to S3 if provided
+        // Upload GST certificate if provided
         let gstCertificateKey = null;
         if (isGst && gstCertFile) {
             const gstExt = gstCertFile.originalname?.split('.').pop()?.toLowerCase() || 'jpg';
             gstCertificateKey = `gst-certificates/${userId}/${uuidv4()}.${gstExt}`;
 
-            await s3Client.send(new PutObjectCommand({
-                Bucket: kycBucket,
-                Key: gstCertificateKey,
-                Body: gstCertFile.buffer,
-                ContentType: gstCertFile.mimetype,
-                ServerSideEncryption: 'AES256',
-            }));
+            await putObject(gstCertificateKey, gstCertFile.buffer, { contentType: gstCertFile.mimetype, encrypt: true });
         }
 
         // Encrypt bank details
@@ -702,8 +654,6 @@ export const submitKyc = async (req, res) => {
     }
 };
 
-export const pinOtpStore = new Map();
-
 /**
  * POST /wallets/pin/send-otp — Send 6-digit OTP code to email for setting/updating payment PIN
  */
@@ -719,22 +669,8 @@ export const sendPinOtp = async (req, res) => {
             return res.status(400).json({ error: 'Registered user email not found' });
         }
 
-        // 30-second cooldown check
-        const existing = pinOtpStore.get(userId);
-        if (existing && existing.lastSentAt && (Date.now() - existing.lastSentAt < 30000)) {
-            const waitSec = Math.ceil((30000 - (Date.now() - existing.lastSentAt)) / 1000);
-            return res.status(429).json({
-                error: `Please wait ${waitSec} seconds before requesting another OTP.`,
-                retryAfterSec: waitSec
-            });
-        }
-
         const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        pinOtpStore.set(userId, {
-            otp,
-            expiresAt: Date.now() + 5 * 60 * 1000, // 5 min TTL
-            lastSentAt: Date.now()
-        });
+        if (!await issueOtpOrRespond(pinOtpStore, userId, otp, res)) return;
 
         await sendOtpToEmail(resolvedEmail, otp, 'pin_setup');
         return res.json({
@@ -761,18 +697,13 @@ export const verifyPinOtp = async (req, res) => {
             return res.status(400).json({ error: 'Valid 6-digit OTP code is required' });
         }
 
-        const stored = pinOtpStore.get(userId);
-        if (!stored || stored.expiresAt < Date.now()) {
-            return res.status(400).json({ error: 'OTP has expired or is invalid. Please request a new OTP.' });
-        }
-
-        if (stored.otp !== String(otp).trim()) {
-            return res.status(400).json({ error: 'Invalid OTP code. Please check your email.' });
+        const otpResult = await pinOtpStore.verify(userId, otp);
+        if (otpResult !== 'ok') {
+            return res.status(400).json({ error: OTP_VERIFY_ERRORS[otpResult] });
         }
 
         // Grant 15-minute window for setting PIN
-        pinOtpStore.set(`verified_${userId}`, Date.now() + 15 * 60 * 1000);
-        pinOtpStore.delete(userId);
+        await pinOtpStore.markVerified(userId);
 
         return res.json({ success: true, message: 'OTP verified successfully! You can now set your 4-digit PIN.' });
     } catch (err) {
@@ -790,8 +721,7 @@ export const setPaymentPin = async (req, res) => {
         if (!userId) return res.status(401).json({ error: 'Authentication required' });
 
         // Enforce OTP Verification check
-        const verifiedUntil = pinOtpStore.get(`verified_${userId}`);
-        if (!verifiedUntil || verifiedUntil < Date.now()) {
+        if (!await pinOtpStore.isVerified(userId)) {
             return res.status(400).json({ error: 'Email OTP verification is required before setting payment PIN' });
         }
 
@@ -813,7 +743,7 @@ export const setPaymentPin = async (req, res) => {
         primaryWallet.failedPinAttempts = 0;
         await primaryWallet.save();
 
-        pinOtpStore.delete(`verified_${userId}`);
+        await pinOtpStore.clearVerified(userId);
 
         return res.json({
             success: true,
@@ -829,6 +759,7 @@ export const setPaymentPin = async (req, res) => {
 
 /**
  * POST /wallets/purchase-ppv — Purchase PPV content using wallet balance
+ * Body: { contentId, pin, couponCode? } — price is resolved server-side (sale price / coupon)
  */
 export const purchasePpvWithWallet = async (req, res) => {
     try {
@@ -866,78 +797,59 @@ export const purchasePpvWithWallet = async (req, res) => {
             return res.status(400).json({ error: 'You already have an active purchase for this content', expiresAt: existingPurchase.expiresAt });
         }
 
-        // ── PIN Verification Check ──
-        const buyerWallet = await ensurePrimaryWallet(userId);
-        if (!buyerWallet.isPinSet) {
-            return res.status(400).json({
-                error: 'Payment PIN is not set. Please set your PIN in Wallet page first.',
-                isPinSet: false,
-            });
-        }
-
-        if (buyerWallet.isPinLocked) {
-            return res.status(400).json({
-                error: 'Payment PIN is locked due to 3 incorrect attempts. Please update/reset your PIN in Wallet page.',
-                isPinLocked: true,
-            });
-        }
-
-        const { pin } = req.body;
-        if (!pin || !/^\d{4}$/.test(String(pin).trim())) {
-            return res.status(400).json({
-                error: 'Please enter your 4-digit Payment PIN',
-                pinRequired: true,
-            });
-        }
-
-        const isPinValid = await bcrypt.compare(String(pin).trim(), buyerWallet.pinHash);
-        if (!isPinValid) {
-            buyerWallet.failedPinAttempts = (buyerWallet.failedPinAttempts || 0) + 1;
-            if (buyerWallet.failedPinAttempts >= 3) {
-                buyerWallet.isPinLocked = true;
-                await buyerWallet.save();
-                return res.status(400).json({
-                    error: 'Incorrect PIN. Your Payment PIN has been locked due to 3 incorrect attempts. Please update your PIN in Wallet page.',
-                    isPinLocked: true,
-                    failedPinAttempts: 3,
-                });
-            }
-            await buyerWallet.save();
-            const remaining = 3 - buyerWallet.failedPinAttempts;
-            return res.status(400).json({
-                error: `Incorrect PIN. ${remaining} attempt(s) remaining.`,
-                remainingAttempts: remaining,
-                failedPinAttempts: buyerWallet.failedPinAttempts,
-            });
+        // Resolve the price before touching the PIN so a bad coupon doesn't cost an attempt
+        const pricing = await quotePpvPrice(content, userId, req.body.couponCode || null);
+        if (pricing.error) {
+            return res.status(400).json({ error: pricing.error, couponInvalid: true });
         }
+        const amount = pricing.finalPrice;
 
-        // Reset failed PIN attempts on successful validation
-        if (buyerWallet.failedPinAttempts > 0) {
-            buyerWallet.failedPinAttempts = 0;
-            await buyerWallet.save();
-        }
+        // ── PIN Verification Check ──
+        const buyerWallet = await ensurePrimaryWallet(userId);
+        const pinError = await checkPaymentPin(buyerWallet, req.body.pin);
+        if (pinError) return res.status(400).json(pinError);
 
         // Execute atomic wallet purchase (70% to creator, 30% platform)
-        const result = await executePpvPurchase(userId, content.userId.toString(), contentId, content.price, content.rentalDuration);
+        const result = await executePpvPurchase(userId, content.userId.toString(), contentId, amount, content.rentalDuration, pricing);
 
         // Trigger automated PPV rental email notification asynchronously
         sendPpvRentalEmail({
             userId,
             contentId,
-            amount: content.price,
+            amount,
             orderId: result.purchase?.orderId || result.purchase?._id?.toString(),
             paymentMethod: 'Wallet Balance',
         }).catch(err => {
             console.error('[WalletPurchase] Failed to send PPV rental email:', err);
         });
 
+        notify({
+            type: 'ppv_purchase',
+            recipientIds: [content.userId],
+            actorId: userId,
+            fields: { contentId, title: content.title || '', message: `Rented for ₹${amount}` },
+            dedupeKey: () => `ppv_purchase:${result.purchase._id}`,
+        });
+
+        emitWebhookEvent('ppv.purchased', {
+            creatorId: content.userId,
+            data: ppvEventData(result.purchase, {
+                title: content.title || '',
+                creatorEarning: result.creatorAmount,
+                paymentMethod: 'wallet',
+            }),
+        });
+
         res.json({
             success: true,
-            message: `Successfully purchased for ₹${content.price}`,
+            message: `Successfully purchased for ₹${amount}`,
             purchase: {
                 _id: result.purchase._id,
                 contentId: result.purchase.contentId,
                 amount: result.purchase.amount,
+                listPrice: result.purchase.listPrice,
+                discountAmount: result.purchase.discountAmount,
+                couponCode: result.purchase.couponCode,
                 expiresAt: result.purchase.expiresAt,
                 status: result.purchase.status,
             },
@@ -951,6 +863,9 @@ export const purchasePpvWithWallet = async (req, res) => {
         if (error.message === 'Insufficient wallet balance') {
             return res.status(400).json({ error: 'Insufficient wallet balance. Please recharge your wallet.' });
         }
+        if (['This coupon has been fully redeemed', 'You have already used this coupon'].includes(error.message)) {
+            return res.status(400).json({ error: error.message, couponInvalid: true });
+        }
         console.error('❌ Error purchasing PPV content:', error);
         res.status(500).json({ error: 'Failed to purchase content' });
     }
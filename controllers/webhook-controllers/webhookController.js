@@ -0,0 +1,284 @@
+/**
+ * Webhook Controller — creator-owned outgoing webhooks
+ *
+ * Endpoints (mounted at /api/v2/webhooks):
+ * - GET    /events                          — Event catalogue
+ * - GET    /endpoints                       — My endpoints
+ * - POST   /endpoints                       — Create (the signing secret is returned once)
+ * - PATCH  /endpoints/:endpointId           — Update url / events / name / isActive
+ * - DELETE /endpoints/:endpointId           — Delete
+ * - POST   /endpoints/:endpointId/rotate-secret
+ * - POST   /endpoints/:endpointId/test      — Queue a webhook.ping
+ * - GET    /deliveries                      — Delivery log (?status=&event=&endpointId=)
+ * - GET    /deliveries/:deliveryId          — One delivery with payload and attempts
+ * - POST   /deliveries/:deliveryId/replay   — Send the same event again
+ *
+ * Signing, fan-out and delivery live in utils/webhooks.js; partner endpoints are
+ * managed by admins (controllers/admin-controllers/adminWebhookController.js).
+ */
+
+import mongoose from 'mongoose';
+import WebhookEndpoint from '../../models/webhookEndpoint.model.js';
+import WebhookDelivery from '../../models/webhookDelivery.model.js';
+import {
+    WEBHOOK_EVENTS,
+    WEBHOOK_PING_EVENT,
+    MAX_ENDPOINTS_PER_OWNER,
+    generateWebhookSecret,
+    secretFields,
+    parseEndpointInput,
+    formatWebhookEndpoint,
+    formatWebhookDelivery,
+    listWebhookDeliveries,
+    sendTestEvent,
+    replayDelivery,
+} from '../../utils/webhooks.js';
+
+/**
+ * Helper: the caller's endpoint from :endpointId, or an error response
+ */
+async function findOwnEndpoint(req, res) {
+    const { endpointId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(endpointId)) {
+        res.status(400).json({ error: 'Valid endpoint ID is required' });
+        return null;
+    }
+    const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, kind: 'creator', ownerId: req.user.id });
+    if (!endpoint) {
+        res.status(404).json({ error: 'Webhook endpoint not found' });
+        return null;
+    }
+    return endpoint;
+}
+
+/**
+ * GET /webhooks/events
+ */
+export const getWebhookEvents = async (req, res) => {
+    res.json({
+        events: Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description })),
+        testEvent: WEBHOOK_PING_EVENT,
+    });
+};
+
+/**
+ * GET /webhooks/endpoints
+ */
+export const getMyEndpoints = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const endpoints = await WebhookEndpoint.find({ kind: 'creator', ownerId: userId }).sort({ createdAt: -1 }).lean();
+        return res.json({ endpoints: endpoints.map(formatWebhookEndpoint), limit: MAX_ENDPOINTS_PER_OWNER });
+    } catch (error) {
+        console.error('❌ Error fetching webhook endpoints:', error);
+        return res.status(500).json({ error: 'Failed to fetch webhook endpoints' });
+    }
+};
+
+/**
+ * POST /webhooks/endpoints
+ * Body: { url, events: [...], name? }
+ */
+export const createEndpoint = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const { fields, error } = await parseEndpointInput(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const count = await WebhookEndpoint.countDocuments({ kind: 'creator', ownerId: userId });
+        if (count >= MAX_ENDPOINTS_PER_OWNER) {
+            return res.status(400).json({ error: `You can have up to ${MAX_ENDPOINTS_PER_OWNER} webhook endpoints` });
+        }
+
+        const secret = generateWebhookSecret();
+        const endpoint = await WebhookEndpoint.create({
+            ...fields,
+            kind: 'creator',
+            ownerId: userId,
+            ...secretFields(secret),
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Webhook endpoint created. Copy the signing secret now — it will not be shown again.',
+            endpoint: formatWebhookEndpoint(endpoint),
+            secret,
+        });
+    } catch (error) {
+        console.error('❌ Error creating webhook endpoint:', error);
+        return res.status(500).json({ error: 'Failed to create webhook endpoint' });
+    }
+};
+
+/**
+ * PATCH /webhooks/endpoints/:endpointId
+ * Body: any of { url, events, name, isActive }
+ */
+export const updateEndpoint = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const endpoint = await findOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        const { fields, error } = await parseEndpointInput(req.body, { partial: true });
+        if (error) return res.status(400).json({ error });
+
+        endpoint.set(fields);
+        await endpoint.save();
+        return res.json({ success: true, endpoint: formatWebhookEndpoint(endpoint) });
+    } catch (error) {
+        console.error('❌ Error updating webhook endpoint:', error);
+        return res.status(500).json({ error: 'Failed to update webhook endpoint' });
+    }
+};
+
+/**
+ * DELETE /webhooks/endpoints/:endpointId
+ * Pending deliveries fail on their next attempt; the log expires on its own.
+ */
+export const deleteEndpoint = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const endpoint = await findOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        await endpoint.deleteOne();
+        return res.json({ success: true, message: 'Webhook endpoint deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting webhook endpoint:', error);
+        return res.status(500).json({ error: 'Failed to delete webhook endpoint' });
+    }
+};
+
+/**
+ * POST /webhooks/endpoints/:endpointId/rotate-secret
+ * The old secret stops working immediately.
+ */
+export const rotateEndpointSecret = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const endpoint = await findOwnEndpoint(req, res);
+        if (!endpoint) return;
+
+        const secret = generateWebhookSecret();
+        endpoint.set(secretFields(secret));
+        await endpoint.save();
+        return res.json({
+            success: true,
+            message: 'Signing secret rotated. Copy it now — it will not be shown again.',
+            endpoint: formatWebhookEndpoint(endpoint),
+            secret,
+        });
+    } catch (error) {
+        console.error('❌ Error rotating webhook secret:', error);
+        return res.status(500).json({ error: 'Failed to rotate signing secret' });
+    }
+};
+
+/**
+ * POST /webhooks/endpoints/:endpointId/test
+ */
+export const testEndpoint = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const endpoint = await findOwnEndpoint(req, res);
+        if (!endpoint) return;
+        if (!endpoint.isActive) return res.status(400).json({ error: 'Enable the endpoint before sending a test event' });
+
+        const delivery = await sendTestEvent(endpoint);
+        return res.status(202).json({
+            success: true,
+            message: 'Test event queued',
+            delivery: formatWebhookDelivery(delivery),
+        });
+    } catch (error) {
+        console.error('❌ Error sending webhook test event:', error);
+        return res.status(500).json({ error: 'Failed to send test event' });
+    }
+};
+
+/**
+ * GET /webhooks/deliveries?status=&event=&endpointId=&page=&limit=
+ */
+export const getMyDeliveries = async (req, res) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        const result = await listWebhookDeliveries({ ownerId: userId }, req.query);
+        if (result.error) return res.status(400).json({ error: result.error });
+        return res.json(result);
+    } catch (error) {
+        console.error('❌ Error fetching webhook deliveries:', error);
+        return res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+};
+
+/**
+ * Helper: the caller's delivery from :deliveryId, or an error response
+ */
+async function findOwnDelivery(req, res) {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+        res.status(400).json({ error: 'Valid delivery ID is required' });
+        return null;
+    }
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, ownerId: req.user.id }).lean();
+    if (!delivery) {
+        res.status(404).json({ error: 'Webhook delivery not found' });
+        return null;
+    }
+    return delivery;
+}
+
+/**
+ * GET /webhooks/deliveries/:deliveryId
+ */
+export const getDelivery = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const delivery = await findOwnDelivery(req, res);
+        if (!delivery) return;
+        return res.json({ delivery: formatWebhookDelivery(delivery, { detail: true }) });
+    } catch (error) {
+        console.error('❌ Error fetching webhook delivery:', error);
+        return res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+    }
+};
+
+/**
+ * POST /webhooks/deliveries/:deliveryId/replay
+ */
+export const replayMyDelivery = async (req, res) => {
+    try {
+        if (!req.user?.id) return res.status(401).json({ error: 'Authentication required' });
+
+        const delivery = await findOwnDelivery(req, res);
+        if (!delivery) return;
+        if (delivery.status === 'pending') {
+            return res.status(400).json({ error: 'This delivery is still being attempted' });
+        }
+
+        const replay = await replayDelivery(delivery);
+        return res.status(202).json({
+            success: true,
+            message: 'Delivery queued again',
+            delivery: formatWebhookDelivery(replay),
+        });
+    } catch (error) {
+        if (['Webhook endpoint not found', 'Webhook endpoint is disabled'].includes(error.message)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Error replaying webhook delivery:', error);
+        return res.status(500).json({ error: 'Failed to replay webhook delivery' });
+    }
+};
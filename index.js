@@ -24,12 +24,22 @@ import bookmarkRouter from "./routes/bookmarkRoutes/bookmarkRouter.js";
 import chatRouter from "./routes/chatRoutes/chatRouter.js";
 import notificationRouter from "./routes/notificationRoutes/notificationRouter.js";
 import communityRouter from "./routes/communityRoutes/communityRouter.js";
+import playlistRouter from "./routes/playlistRoutes/playlistRouter.js";
+import couponRouter from "./routes/couponRoutes/couponRouter.js";
+import membershipRouter from "./routes/membershipRoutes/membershipRouter.js";
+import webhookRouter from "./routes/webhookRoutes/webhookRouter.js";
+import accountRouter from "./routes/accountRoutes/accountRouter.js";
+import appealRouter from "./routes/appealRoutes/appealRouter.js";
 import { issueCloudFrontCookies } from "./config/cloudfront.js";
 import { universalTokenVerifier } from "./controllers/auth-controllers/universalTokenVerifier.js";
+import { rateLimit } from "./middlewares/rateLimiter.js";
+import { getStorage } from "./utils/storage.js";
+import storageRouter from "./routes/storageRoutes/storageRouter.js";
 import adminRouter from "./routes/adminRoutes/adminRouter.js";
 import analyticsRouter from "./routes/analyticsRoutes/analyticsRouter.js";
 import walletRouter from "./routes/walletRoutes/walletRouter.js";
 import referralRouter from "./routes/referralRoutes.js";
+import { startScheduledJobs } from "./utils/scheduledJobs.js";
 
 
 // ── Global crash handlers — prevent silent 521 ─────────────────────────
@@ -92,42 +102,18 @@ app.post(
   handleRazorpayWebhook
 );
 
+// Local object storage (STORAGE_DRIVER=local) — raw upload bodies, so before the JSON parser
+if (getStorage().name === 'local') {
+  app.use("/storage", storageRouter);
+}
+
 // All other routes get normal JSON/body parsing
 app.use(express.json());
 app.use(cookieParser());
 
 // ── Global spam protection — rate limit all API routes ────────────────────
-const globalRateLimitStore = new Map();
-const GLOBAL_RATE_LIMIT = 100; // max requests per window
-const GLOBAL_RATE_WINDOW = 60000; // 1 minute window
-
-app.use('/api', (req, res, next) => {
-    const key = req.ip || 'unknown';
-    const now = Date.now();
-    const record = globalRateLimitStore.get(key);
-
-    if (!record || now > record.resetAt) {
-        globalRateLimitStore.set(key, { count: 1, resetAt: now + GLOBAL_RATE_WINDOW });
-        return next();
-    }
-
-    record.count++;
-    if (record.count > GLOBAL_RATE_LIMIT) {
-        return res.status(429).json({
-            success: false,
-            message: 'Too many requests. Please slow down and try again later.'
-        });
-    }
-    next();
-});
-
-// Cleanup stale global rate limit entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, record] of globalRateLimitStore) {
-        if (now > record.resetAt) globalRateLimitStore.delete(key);
-    }
-}, 5 * 60 * 1000);
+// Counted in the shared state store (Redis when configured) so limits hold across instances
+app.use('/api', rateLimit({ group: 'global', limit: 100, windowMs: 60000 }));
 
 app.use("/api/v1/contact", contactRouter);
 app.use("/api/v1/payments", router);//
@@ -144,6 +130,12 @@ app.use("/api/v2/bookmarks", bookmarkRouter); // Bookmarks
 app.use("/api/v2/chats", chatRouter); // Chat / Messaging
 app.use("/api/v2/notifications", notificationRouter); // Notifications
 app.use("/api/v2/communities", communityRouter); // Communities
+app.use("/api/v2/playlists", playlistRouter); // Playlists
+app.use("/api/v2/coupons", couponRouter); // PPV coupons & sale prices
+app.use("/api/v2/memberships", membershipRouter); // Channel memberships
+app.use("/api/v2/webhooks", webhookRouter); // Outgoing webhooks
+app.use("/api/v2/account", accountRouter); // Data export & account deletion
+app.use("/api/v2/appeals", appealRouter); // Appeals against takedowns & bans
 
 // Admin panel
 app.use("/api/admin", adminRouter);
@@ -174,6 +166,7 @@ const connectWithRetry = async () => {
       serverSelectionTimeoutMS: 15000,
     });
     console.log("✅ MongoDB connected successfully");
+    startScheduledJobs();
 
   } catch (err) {
     console.error("❌ DB connection attempt failed, retrying in 3s...", err.message);
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/admin.model.js';
 import AdminAuditLog from '../models/adminAuditLog.model.js';
+import { rateLimit } from './rateLimiter.js';
+import { hasAdminScope, isAdminScope } from '../utils/adminPermissions.js';
 
 /**
  * Verify admin JWT token and attach admin to req.
@@ -57,6 +59,25 @@ export const requireSuperAdmin = (req, res, next) => {
     next();
 };
 
+/**
+ * Require a permission scope (utils/adminPermissions.js). Superadmins pass every check.
+ * Must be used AFTER adminTokenVerifier. The scope is kept on req for the audit log.
+ */
+export const requireScope = (scope) => {
+    if (!isAdminScope(scope)) throw new Error(`Unknown admin scope "${scope}"`);
+    return (req, res, next) => {
+        if (!hasAdminScope(req.admin, scope)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action',
+                requiredScope: scope
+            });
+        }
+        req.adminScope = scope;
+        next();
+    };
+};
+
 /**
  * Audit logging middleware factory.
  * Logs the admin action after the response is sent.
@@ -75,6 +96,7 @@ export const auditLog = (action, targetType = null) => {
                     ip: req.ip || req.connection?.remoteAddress || '',
                     user_agent: req.headers['user-agent'] || '',
                     note: req.body?.reason || '',
+                    scope: req.adminScope || null,
                     metadata: { statusCode: res.statusCode }
                 }).catch(err => console.error('Audit log error:', err));
             }
@@ -85,34 +107,13 @@ export const auditLog = (action, targetType = null) => {
 };
 
 /**
- * Rate limiter for admin routes — simple in-memory per-IP limiter.
- * Limits to `max` requests per `windowMs`.
+ * Per-IP rate limiter for sensitive routes (sign-in, OTP, password reset).
+ * Limits to `max` requests per `windowMs`, counted separately for each route
+ * in the shared state store.
  */
-const rateLimitStore = new Map();
-
-export const adminRateLimiter = (max = 10, windowMs = 60000) => {
-    return (req, res, next) => {
-        const key = req.ip || 'unknown';
-        const now = Date.now();
-        const record = rateLimitStore.get(key);
-
-        if (!record || now > record.resetAt) {
-            rateLimitStore.set(key, { count: 1, resetAt: now + windowMs });
-            return next();
-        }
-
-        record.count++;
-        if (record.count > max) {
-            return res.status(429).json({ success: false, message: 'Too many requests. Try again later.' });
-        }
-        next();
-    };
-};
-
-// Cleanup stale rate limit entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, record] of rateLimitStore) {
-        if (now > record.resetAt) rateLimitStore.delete(key);
-    }
-}, 5 * 60 * 1000);
+export const adminRateLimiter = (max = 10, windowMs = 60000) => rateLimit({
+    group: (req) => `${req.baseUrl}${req.route?.path || req.path}`,
+    limit: max,
+    windowMs,
+    message: 'Too many requests. Try again later.',
+});
@@ -0,0 +1,49 @@
+/**
+ * API Key Middleware
+ *
+ * apiKeyOrToken(scope) replaces universalTokenVerifier on routes a creator's own tooling
+ * may call headlessly. Requests carrying an API key (utils/apiKeys.js) are authenticated
+ * by the key — it must hold `scope` and stays within its own per-minute rate limit — and
+ * get `req.user = { id, sessionId: null, apiKeyId }`. Requests without a key fall through
+ * to the normal session check, so browsers are unaffected.
+ */
+
+import { universalTokenVerifier } from '../controllers/auth-controllers/universalTokenVerifier.js';
+import { clientIp } from '../controllers/auth-controllers/services/sessionStore.js';
+import { rateLimit } from './rateLimiter.js';
+import { extractApiKey, authenticateApiKey, recordApiKeyUsage } from '../utils/apiKeys.js';
+
+const keyRateLimiter = rateLimit({
+    group: (req) => `apikey:${req.apiKey._id}`,
+    limit: (req) => req.apiKey.rateLimitPerMinute,
+    windowMs: 60 * 1000,
+    keyBy: 'user',
+    message: 'API key rate limit exceeded. Please slow down.',
+});
+
+export const apiKeyOrToken = (scope) => async (req, res, next) => {
+    const presented = extractApiKey(req);
+    if (!presented) return universalTokenVerifier(req, res, next);
+
+    try {
+        const { apiKey, error } = await authenticateApiKey(presented);
+        if (!apiKey) return res.status(401).json({ message: error });
+
+        const ip = clientIp(req);
+        if (!apiKey.scopes.includes(scope)) {
+            recordApiKeyUsage(apiKey, { ip, rejected: true });
+            return res.status(403).json({ message: `This API key does not have the ${scope} scope`, requiredScope: scope });
+        }
+
+        req.user = { id: apiKey.userId.toString(), sessionId: null, apiKeyId: apiKey._id.toString() };
+        req.apiKey = apiKey;
+
+        let allowed = false;
+        await keyRateLimiter(req, res, () => { allowed = true; });
+        recordApiKeyUsage(apiKey, { ip, rejected: !allowed });
+        if (allowed) next();
+    } catch (err) {
+        console.error('❌ [ApiKeys] Authentication failed:', err);
+        return res.status(500).json({ message: 'Failed to verify API key' });
+    }
+};
@@ -2,7 +2,8 @@
  * Pay Per View Access Middleware
  *
  * Route-level middleware that blocks requests for PPV content when the
- * requester does not have a valid, non-expired purchase.
+ * requester does not have a valid, non-expired purchase, and for members-only
+ * content when they are not a member of a high enough tier.
  *
  * This is the OUTER defense layer. Controllers add a second, inner check
  * using hasPpvAccess() from utils/ppvGuard.js for defense-in-depth.
@@ -12,7 +13,7 @@
  */
 
 import Content from '../models/content.model.js';
-import { hasPpvAccess, hasActiveRental } from '../utils/ppvGuard.js';
+import { hasPpvAccess, hasActiveRental, isGatedContent, gateDeniedBody } from '../utils/ppvGuard.js';
 
 const payPerViewAccess = async (req, res, next) => {
     try {
@@ -24,7 +25,7 @@ const payPerViewAccess = async (req, res, next) => {
             return next();
         }
 
-        const content = await Content.findById(contentId).select('visibility userId price trailerContentId spoilerContentId spoilerText rentalDuration status');
+        const content = await Content.findById(contentId).select('visibility userId price membershipTierId trailerContentId spoilerContentId spoilerText rentalDuration status');
         if (!content) {
             return res.status(404).json({ error: 'Content not found' });
         }
@@ -43,15 +44,18 @@ const payPerViewAccess = async (req, res, next) => {
             }
         }
 
-        // Not PPV → pass through
-        if (content.visibility !== 'pay_per_view') {
+        // Not PPV / members-only → pass through
+        if (!isGatedContent(content)) {
             return next();
         }
 
-        // Use the shared access check (admin check + creator check + purchase lookup)
+        // Use the shared access check (admin check + creator check + purchase/membership lookup)
         const userId = req.user?.id || req.admin?._id?.toString() || null;
         const hasAccess = await hasPpvAccess(content, userId);
 
+        if (!hasAccess && content.visibility === 'members_only') {
+            return res.status(403).json({ ...gateDeniedBody(content), creatorId: content.userId });
+        }
         if (!hasAccess) {
             return res.status(403).json({
                 error: 'Purchase required',
@@ -0,0 +1,50 @@
+import { getStateStore } from '../utils/stateStore.js';
+
+/**
+ * Sliding-window rate limiter backed by the shared state store (Redis when configured).
+ *
+ * Limits are counted per route group and per caller:
+ *   key = `ratelimit:{group}:{ip|user:<id>}`
+ *
+ * Responses carry `RateLimit-Limit` / `RateLimit-Remaining`; a 429 also carries
+ * `Retry-After` (seconds) and `retryAfterSec` in the body.
+ *
+ * @param {Object} options
+ * @param {string|function(req): string} options.group - Route group name (or derive it from the request)
+ * @param {number|function(req): number} options.limit - Max requests per window (or derive it from the request)
+ * @param {number} options.windowMs - Window length
+ * @param {'ip'|'user'} options.keyBy - 'user' needs a token verifier before it; falls back to IP when anonymous
+ * @param {string} options.message - 429 message
+ */
+export const rateLimit = ({
+    group,
+    limit,
+    windowMs,
+    keyBy = 'ip',
+    message = 'Too many requests. Please slow down and try again later.',
+}) => {
+    return async (req, res, next) => {
+        const groupName = typeof group === 'function' ? group(req) : group;
+        const max = typeof limit === 'function' ? limit(req) : limit;
+        const caller = keyBy === 'user' && req.user?.id ? `user:${req.user.id}` : (req.ip || 'unknown');
+
+        let result;
+        try {
+            result = await getStateStore().hit(`ratelimit:${groupName}:${caller}`, max, windowMs);
+        } catch (err) {
+            // Never take the API down because the limiter is unhealthy
+            console.error('❌ [RateLimit] Store error, allowing request:', err.message);
+            return next();
+        }
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(result.remaining));
+
+        if (!result.allowed) {
+            const retryAfterSec = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+            res.set('Retry-After', String(retryAfterSec));
+            return res.status(429).json({ success: false, message, retryAfterSec });
+        }
+        next();
+    };
+};
@@ -0,0 +1,34 @@
+/**
+ * Two-Factor Enrolment Middleware
+ *
+ * Creators with a KYC-verified wallet hold withdrawable money, so they must turn on
+ * TOTP 2FA before changing their payment PIN. (Bank payouts are gated the same way in
+ * payoutJobController.) Everyone else passes straight through.
+ *
+ * Needs universalTokenVerifier before it.
+ */
+
+import User from '../models/user.model.js';
+import { isTwoFactorRequired } from '../controllers/auth-controllers/services/twoFactor.js';
+
+const requireTwoFactorEnrolment = async (req, res, next) => {
+    try {
+        const userId = req.user?.id;
+        if (!userId) return res.status(401).json({ error: 'Authentication required' });
+
+        if (!await isTwoFactorRequired(userId)) return next();
+
+        const user = await User.findById(userId).select('twoFactorEnabled').lean();
+        if (user?.twoFactorEnabled) return next();
+
+        return res.status(403).json({
+            error: 'Turn on two-factor authentication to manage payouts and your payment PIN',
+            twoFactorRequired: true,
+        });
+    } catch (err) {
+        console.error('❌ [2FA] Enrolment check failed:', err);
+        return res.status(500).json({ error: 'Failed to verify account security settings' });
+    }
+};
+
+export default requireTwoFactorEnrolment;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * AccountExport — one "download my data" job per request.
+ *
+ * Lifecycle: queued → processing → ready → expired
+ *                                 ↘ failed
+ * - Jobs are picked up by workers/accountDataWorker.js
+ * - The archive (.tar.gz of JSON files) is stored in S3 under `archiveKey`
+ * - Ready archives are downloadable until `expiresAt`, then the worker deletes the object
+ */
+const AccountExportSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'ready', 'failed', 'expired'],
+        default: 'queued'
+    },
+    archiveKey: {
+        type: String,
+        default: null
+    },
+    sizeBytes: {
+        type: Number,
+        default: 0
+    },
+    // Record count per section, e.g. { comments: 120, watchHistory: 980 }
+    sectionCounts: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+AccountExportSchema.index({ status: 1, createdAt: 1 });
+AccountExportSchema.index({ userId: 1, createdAt: -1 });
+
+const AccountExport = mongoose.model('AccountExport', AccountExportSchema);
+export default AccountExport;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLE_TEMPLATES, DEFAULT_ROLE_TEMPLATE, ALL_ADMIN_SCOPES } from '../utils/adminPermissions.js';
 
 const AdminSchema = new mongoose.Schema({
     name: {
@@ -23,6 +24,17 @@ const AdminSchema = new mongoose.Schema({
         enum: ['admin', 'superadmin'],
         default: 'admin'
     },
+    // Permission template for regular admins (superadmins have every scope) — see utils/adminPermissions.js
+    role_template: {
+        type: String,
+        enum: Object.keys(ROLE_TEMPLATES),
+        default: DEFAULT_ROLE_TEMPLATE
+    },
+    // Individually granted scopes on top of the template
+    extra_scopes: {
+        type: [{ type: String, enum: ALL_ADMIN_SCOPES }],
+        default: []
+    },
     status: {
         type: String,
         enum: ['pending', 'active', 'blocked'],
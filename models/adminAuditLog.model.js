@@ -23,13 +23,23 @@ const AdminAuditLogSchema = new mongoose.Schema({
             'ban_request', 'stats_update', 'email_sent', 'email_sent_bulk',
             'otp_sent', 'otp_verified', 'otp_failed',
             'single_payout', 'bulk_payout', 'payout_complete', 'payout_resend',
+            'refund_approved', 'refund_rejected',
             'dummy_lockout_remove',
+            'admin_role_change',
+            'enquiry_reply', 'enquiry_status_change',
+            'email_template_created', 'email_template_updated', 'email_template_deleted',
+            'kyc_verified', 'kyc_rejected', 'wallet_adjusted',
+            'single_engagement_payout',
+            'referral_settings_updated', 'referral_settings_otp_verified',
+            'referral_approved', 'referral_partial_approved', 'referral_rejected',
+            'appeal_approved', 'appeal_rejected',
             'other'
         ]
     },
     target_type: {
         type: String,
-        enum: ['admin', 'content', 'report', 'feedback', 'user', 'payout', 'system', 'dummy_lockout', null],
+        enum: ['admin', 'content', 'report', 'feedback', 'user', 'payout', 'refund', 'system', 'dummy_lockout',
+            'enquiry', 'email_template', 'kyc', 'wallet', 'referral', 'appeal', null],
         default: null
     },
     target_id: {
@@ -50,6 +60,11 @@ const AdminAuditLogSchema = new mongoose.Schema({
         maxlength: 1000,
         default: ''
     },
+    // Permission scope the route required (utils/adminPermissions.js); null for auth events
+    scope: {
+        type: String,
+        default: null
+    },
     metadata: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
@@ -61,6 +76,7 @@ const AdminAuditLogSchema = new mongoose.Schema({
 
 AdminAuditLogSchema.index({ admin_id: 1, timestamp: -1 });
 AdminAuditLogSchema.index({ action: 1, timestamp: -1 });
+AdminAuditLogSchema.index({ scope: 1, timestamp: -1 });
 AdminAuditLogSchema.index({ target_type: 1, target_id: 1 });
 AdminAuditLogSchema.index({ timestamp: -1 });
 
@@ -11,7 +11,8 @@ const AdminNotificationSchema = new mongoose.Schema({
             'content_removed', 'content_restored', 'system_alert',
             'report_new', 'admin_removed',
             'channel_banned', 'channel_unbanned', 'ban_request',
-            'admin_unlocked', 'forgot_password_activation'
+            'admin_unlocked', 'forgot_password_activation',
+            'appeal_new', 'appeal_overdue'
         ],
         required: true
     },
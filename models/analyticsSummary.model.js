@@ -2,7 +2,8 @@ import mongoose from 'mongoose';
 
 /**
  * Analytics Summary — pre-aggregated analytics for fast dashboard queries.
- * Updated periodically (hourly/daily) via aggregation pipeline or on-demand.
+ * Written by the hourly `analytics-aggregation` job (utils/analyticsAggregation.js),
+ * which also backfills missing days, or on demand via POST /admin/analytics/aggregate.
  */
 const AnalyticsSummarySchema = new mongoose.Schema({
     // Time period this summary covers
@@ -62,6 +63,14 @@ const AnalyticsSummarySchema = new mongoose.Schema({
         post: { type: Number, default: 0 },
     },
 
+    // First-time viewers (ContentView) per content type
+    newViewers: {
+        video: { type: Number, default: 0 },
+        short: { type: Number, default: 0 },
+        audio: { type: Number, default: 0 },
+        post: { type: Number, default: 0 },
+    },
+
     // Top content (most watched)
     topContent: [{
         contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' },
@@ -81,6 +90,13 @@ const AnalyticsSummarySchema = new mongoose.Schema({
     // Unique users
     uniqueUsers: { type: Number, default: 0 },
     newUsers: { type: Number, default: 0 },
+
+    // UTC range covered (end exclusive) and when it was last computed
+    rangeStart: { type: Date, default: null },
+    rangeEnd: { type: Date, default: null },
+    aggregatedAt: { type: Date, default: null },
+    // Computed after the period ended (plus a grace period for late events) — final
+    complete: { type: Boolean, default: false },
 }, {
     timestamps: true,
     versionKey: false,
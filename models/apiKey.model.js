@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * ApiKey Model
+ * A personal API key that lets a user's own tooling call selected endpoints without a
+ * browser session (see middlewares/apiKeyAuth.js and utils/apiKeys.js).
+ *
+ * Only the sha256 of the key is stored; `prefix` is the first characters of the key so
+ * owners can tell keys apart. A key works only on routes that accept one of its
+ * `scopes`, and is limited to `rateLimitPerMinute` requests.
+ */
+const ApiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 60,
+        required: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scopes: {
+        type: [String],
+        default: []
+    },
+    rateLimitPerMinute: {
+        type: Number,
+        default: 60
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // Usage (per-day counts live in ApiKeyUsage)
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    }
+}, { timestamps: true });
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+export default ApiKey;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * ApiKeyUsage Model
+ * Requests made with one API key on one UTC day — shown as the key's usage chart.
+ * `rejected` counts requests refused for a missing scope or the key's rate limit.
+ */
+const ApiKeyUsageSchema = new mongoose.Schema({
+    keyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 'YYYY-MM-DD' (UTC)
+    day: {
+        type: String,
+        required: true
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    rejected: {
+        type: Number,
+        default: 0
+    },
+    // For the TTL index
+    dayStart: {
+        type: Date,
+        required: true
+    }
+});
+
+ApiKeyUsageSchema.index({ keyId: 1, day: 1 }, { unique: true });
+ApiKeyUsageSchema.index({ userId: 1 });
+// Daily usage is kept for 90 days
+ApiKeyUsageSchema.index({ dayStart: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const ApiKeyUsage = mongoose.model('ApiKeyUsage', ApiKeyUsageSchema);
+export default ApiKeyUsage;
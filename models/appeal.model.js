@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+/**
+ * Appeal Model
+ * A user contesting one moderation action (see utils/appeals.js):
+ *   - content_takedown: a ContentReport that took their content down (admin queue)
+ *   - channel_ban:      their channel ban (admin queue)
+ *   - community_ban:    their ban from a community (community owner's queue)
+ * `subjectKey` identifies the action itself, so each action can be appealed once.
+ */
+const AppealSchema = new mongoose.Schema({
+    appellantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['content_takedown', 'channel_ban', 'community_ban'],
+        required: true
+    },
+    subjectKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // content_takedown
+    reportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ContentReport',
+        default: null
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        default: null
+    },
+    // community_ban
+    communityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Community',
+        default: null
+    },
+    // Snapshot of the contested action (readable even after it is reversed)
+    actionAt: {
+        type: Date,
+        default: null
+    },
+    actionReason: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        default: ''
+    },
+    actionByAdmin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    actionByUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    subjectTitle: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    statement: {
+        type: String,
+        trim: true,
+        required: true,
+        maxlength: 2000
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    // SLA: the reviewer should decide before dueAt; the SLA worker stamps slaBreachedAt
+    dueAt: {
+        type: Date,
+        required: true
+    },
+    slaBreachedAt: {
+        type: Date,
+        default: null
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    decidedByAdmin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    decidedByUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    decisionNote: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+    }
+}, { timestamps: true });
+
+AppealSchema.index({ status: 1, type: 1, dueAt: 1 });
+AppealSchema.index({ communityId: 1, status: 1, dueAt: 1 });
+AppealSchema.index({ appellantId: 1, createdAt: -1 });
+
+const Appeal = mongoose.model('Appeal', AppealSchema);
+export default Appeal;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+/**
+ * Auth Session — one signed-in device (a refresh-token family).
+ *
+ * Every refresh rotates the token; only the hash of the latest token id (jti) is kept.
+ * Presenting an older token of the family means it was copied, so the whole family is revoked.
+ * Not to be confused with UserSession (analytics visits).
+ */
+const AuthSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    // Stable id for the device — carried in the refresh token as `sid`
+    familyId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // sha256 of the jti of the only refresh token currently valid for this family
+    tokenHash: {
+        type: String,
+        required: true,
+    },
+    // The token it replaced, accepted for a few seconds so parallel tabs don't trip reuse detection
+    previousTokenHash: {
+        type: String,
+        default: null,
+    },
+    rotatedAt: {
+        type: Date,
+        default: null,
+    },
+    method: {
+        type: String,
+        default: 'password',
+    },
+    // Device info
+    userAgent: {
+        type: String,
+        default: '',
+    },
+    deviceSummary: {
+        type: String,
+        default: 'Unknown Device',
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    // Approximate, from CDN geo headers when present
+    location: {
+        city: { type: String, default: null },
+        region: { type: String, default: null },
+        country: { type: String, default: null },
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokeReason: {
+        type: String,
+        enum: [null, 'logout', 'user_revoked', 'email_link', 'reuse_detected', 'password_change', 'logout_all'],
+        default: null,
+    },
+    // TTL — pushed forward on every rotation, shortened on revoke
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+    versionKey: false,
+});
+
+AuthSessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+export default AuthSession;
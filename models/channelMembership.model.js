@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+/**
+ * ChannelMembership Model
+ * A fan's recurring monthly membership of a creator's channel, paid from their
+ * PrimaryWallet (see utils/membershipRenewals.js).
+ *
+ * Lifecycle:
+ *   active    — paid up until `currentPeriodEnd`; the renewal worker charges the next month
+ *   grace     — a renewal charge failed; access continues until `graceUntil` while the
+ *               worker retries daily
+ *   cancelled — the member cancelled and the paid period ran out
+ *   expired   — every retry failed before `graceUntil`
+ *
+ * One document per (member, creator): re-joining after a membership ended reuses it.
+ * `price` is locked in at join time; tier price changes apply to new members only.
+ */
+const ChannelMembershipSchema = new mongoose.Schema({
+    memberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    creatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MembershipTier',
+        required: true
+    },
+    // Tier switch requested by the member — applied (and priced) at the next renewal
+    pendingTierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MembershipTier',
+        default: null
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['active', 'grace', 'cancelled', 'expired'],
+        default: 'active'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    currentPeriodStart: {
+        type: Date,
+        required: true
+    },
+    currentPeriodEnd: {
+        type: Date,
+        required: true
+    },
+    // Member asked to stop renewing — the membership ends at currentPeriodEnd
+    cancelAtPeriodEnd: {
+        type: Boolean,
+        default: false
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    graceUntil: {
+        type: Date,
+        default: null
+    },
+    renewalAttempts: {
+        type: Number,
+        default: 0
+    },
+    nextRenewalAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastRenewalError: {
+        type: String,
+        default: null
+    },
+    lastChargedAt: {
+        type: Date,
+        default: null
+    },
+    endedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+ChannelMembershipSchema.index({ memberId: 1, creatorId: 1 }, { unique: true });
+ChannelMembershipSchema.index({ creatorId: 1, status: 1, createdAt: -1 });
+ChannelMembershipSchema.index({ status: 1, currentPeriodEnd: 1 });
+ChannelMembershipSchema.index({ status: 1, nextRenewalAttemptAt: 1 });
+
+const ChannelMembership = mongoose.model('ChannelMembership', ChannelMembershipSchema);
+export default ChannelMembership;
@@ -58,6 +58,17 @@ const commentSchema = new mongoose.Schema({
         ref: "Comment",
         default: null
     },
+    // Users @mentioned in the text (resolved against User.channelHandle)
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
+    // Set when the comment carries a tip ("Super Thanks") — rendered highlighted
+    tip: {
+        tipId: { type: mongoose.Schema.Types.ObjectId, ref: "Tip" },
+        amount: { type: Number },
+        highlightLevel: { type: Number }
+    },
     isEdited: {
         type: Boolean,
         default: false
@@ -85,7 +85,7 @@ const CommunitySchema = new mongoose.Schema({
         title: { type: String, trim: true, maxlength: 200 },
         description: { type: String, trim: true, maxlength: 1000 }
     }],
-    // Extensible settings
+    // Extensible settings (settings.automod: automod rules, see utils/communityAutomod.js)
     settings: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
@@ -31,6 +31,12 @@ const CommunityChatSchema = new mongoose.Schema({
         contentType: { type: String, enum: ['video', 'short', 'audio', 'post', null], default: null },
         thumbnailKey: { type: String, default: null }
     },
+    // Set when the message carries a tip ("Super Thanks") — rendered highlighted
+    tip: {
+        tipId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tip' },
+        amount: { type: Number },
+        highlightLevel: { type: Number }
+    },
     // Reply to another message
     replyTo: {
         type: mongoose.Schema.Types.ObjectId,
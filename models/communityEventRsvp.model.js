@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * CommunityEventRsvp Model
+ * One member's response to a community event (CommunityPost type 'event').
+ * 'going' and 'interested' RSVPs receive the event reminder notification.
+ */
+const CommunityEventRsvpSchema = new mongoose.Schema({
+    postId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['going', 'interested', 'not_going'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+CommunityEventRsvpSchema.index({ postId: 1, userId: 1 }, { unique: true });
+CommunityEventRsvpSchema.index({ postId: 1, status: 1 });
+
+const CommunityEventRsvp = mongoose.model('CommunityEventRsvp', CommunityEventRsvpSchema);
+export default CommunityEventRsvp;
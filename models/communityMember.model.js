@@ -36,6 +36,12 @@ const CommunityMemberSchema = new mongoose.Schema({
         enum: ['manual', 'invite', 'request', 'import_backfill'],
         default: 'manual'
     },
+    // Invite link used to join (joinSource 'invite' via POST /communities/invites/:code/accept)
+    inviteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InviteLink',
+        default: null
+    },
     // Ban tracking
     bannedAt: Date,
     bannedBy: {
@@ -72,6 +78,8 @@ const CommunityMemberSchema = new mongoose.Schema({
         ruleIndex: { type: Number, default: null },
         ruleTitle: { type: String, default: null },
         issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // Issued by automod (no issuedBy)
+        automated: { type: Boolean, default: false },
         issuedAt: { type: Date, default: Date.now }
     }]
 }, {
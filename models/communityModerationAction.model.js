@@ -4,6 +4,8 @@ import mongoose from 'mongoose';
  * CommunityModerationAction Model
  * Tracks all enforcement actions taken by moderators/admins within a community.
  * Links actions to specific community rules when applicable.
+ * Automod actions (utils/communityAutomod.js) use the system actor: actorType 'system'
+ * and no actionBy.
  */
 const CommunityModerationActionSchema = new mongoose.Schema({
     communityId: {
@@ -12,10 +14,16 @@ const CommunityModerationActionSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    actorType: {
+        type: String,
+        enum: ['user', 'system'],
+        default: 'user'
+    },
     actionBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        required: function () { return this.actorType !== 'system'; },
+        default: null,
         index: true
     },
     targetUserId: {
@@ -29,11 +37,19 @@ const CommunityModerationActionSchema = new mongoose.Schema({
         ref: 'Content',
         default: null
     },
+    // Community poll, event or announcement (CommunityPost)
+    targetPostId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost',
+        default: null
+    },
     actionType: {
         type: String,
         required: true,
         enum: [
             'content_removed',
+            'post_removed',
+            'automod_blocked',
             'member_warned',
             'member_muted',
             'member_unmuted',
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * CommunityPollVote Model
+ * One member's current choice in a community poll (CommunityPost type 'poll').
+ * Changing a vote replaces `optionIds`; the per-option counts on the post are
+ * adjusted by the difference (utils/communityPosts.js).
+ */
+const CommunityPollVoteSchema = new mongoose.Schema({
+    postId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    optionIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+CommunityPollVoteSchema.index({ postId: 1, userId: 1 }, { unique: true });
+CommunityPollVoteSchema.index({ postId: 1, optionIds: 1 });
+
+const CommunityPollVote = mongoose.model('CommunityPollVote', CommunityPollVoteSchema);
+export default CommunityPollVote;
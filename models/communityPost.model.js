@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Community Post Model
+ * First-class community posts that aren't shared Content (see utils/communityPosts.js):
+ * - poll          — single or multiple choice, optional deadline, optional anonymous voting
+ *                   (votes in CommunityPollVote; counts cached on the options)
+ * - event         — start/end time and location with RSVPs (CommunityEventRsvp) and a
+ *                   reminder notification sent by workers/communityEventWorker.js
+ * - announcement  — text post; moderators can pin it to the top of the community feed
+ *
+ * Posts are never hard-deleted: authors and moderators set status 'removed'.
+ */
+const PollOptionSchema = new mongoose.Schema({
+    text: { type: String, required: true, trim: true, maxlength: 100 },
+    votes: { type: Number, default: 0 }
+});
+
+const CommunityPostSchema = new mongoose.Schema({
+    communityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Community',
+        required: true
+    },
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['poll', 'event', 'announcement'],
+        required: true
+    },
+    // Announcement headline, poll question or event name
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
+        default: ''
+    },
+
+    poll: {
+        options: { type: [PollOptionSchema], default: undefined },
+        allowMultiple: { type: Boolean, default: false },
+        // Voters are never revealed; votes are still recorded to stop double voting
+        anonymous: { type: Boolean, default: false },
+        closesAt: { type: Date, default: null },
+        // Closed early by the author or a moderator
+        closedAt: { type: Date, default: null },
+        totalVoters: { type: Number, default: 0 }
+    },
+
+    event: {
+        startsAt: { type: Date },
+        endsAt: { type: Date, default: null },
+        location: { type: String, trim: true, maxlength: 200, default: '' },
+        // Minutes before startsAt to notify RSVPs (null = no reminder)
+        reminderMinutes: { type: Number, default: null },
+        remindAt: { type: Date, default: null },
+        reminderSentAt: { type: Date, default: null },
+        counts: {
+            going: { type: Number, default: 0 },
+            interested: { type: Number, default: 0 },
+            not_going: { type: Number, default: 0 }
+        }
+    },
+
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    pinnedAt: {
+        type: Date,
+        default: null
+    },
+    pinnedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'removed'],
+        default: 'active'
+    },
+    removedAt: {
+        type: Date,
+        default: null
+    },
+    removedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    removalReason: {
+        type: String,
+        maxlength: 500,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+CommunityPostSchema.index({ communityId: 1, status: 1, _id: -1 });
+CommunityPostSchema.index({ communityId: 1, pinned: 1, pinnedAt: -1 });
+// Reminder scan
+CommunityPostSchema.index({ 'event.remindAt': 1, 'event.reminderSentAt': 1 }, { partialFilterExpression: { type: 'event' } });
+
+const CommunityPost = mongoose.model('CommunityPost', CommunityPostSchema);
+export default CommunityPost;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SEARCH_INDEXED_PATHS, syncContentSearch, touchesSearchFields } from '../utils/searchIndex.js';
 
 /**
  * Unified Content Model
@@ -33,6 +34,16 @@ const ContentSchema = new mongoose.Schema({
         trim: true,
         maxlength: 5000
     },
+    // Creator-defined chapters (video/audio). Empty → parsed from description timestamps
+    // at read time (see utils/videoChapters.js → resolveChapters)
+    chapters: {
+        type: [{
+            _id: false,
+            startSeconds: { type: Number, required: true, min: 0 },
+            title: { type: String, required: true, trim: true, maxlength: 100 }
+        }],
+        default: []
+    },
 
     // Tags and categorization
     tags: [{
@@ -47,9 +58,16 @@ const ContentSchema = new mongoose.Schema({
     // Content settings
     visibility: {
         type: String,
-        enum: ['public', 'unlisted', 'private', 'pay_per_view'],
+        enum: ['public', 'unlisted', 'private', 'pay_per_view', 'members_only'],
         default: 'public'
     },
+    // members_only: lowest channel membership tier that unlocks this item
+    // (null → any active member of the creator's channel, see utils/memberships.js)
+    membershipTierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MembershipTier',
+        default: null
+    },
     price: {
         type: Number,
         default: null,
@@ -62,6 +80,20 @@ const ContentSchema = new mongoose.Schema({
         default: 2,
         enum: [2, 3, 5, 7, 14, 28],
     },
+    // Time-boxed PPV sale price (see utils/ppvPricing.js → getEffectivePrice)
+    salePrice: {
+        type: Number,
+        default: null,
+        min: 1,
+    },
+    saleStartsAt: {
+        type: Date,
+        default: null,
+    },
+    saleEndsAt: {
+        type: Date,
+        default: null,
+    },
     // PPV-only fields: trailer and spoiler are links to other content on the platform
     trailerContentId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -86,6 +118,23 @@ const ContentSchema = new mongoose.Schema({
         default: true
     },
 
+    // Scheduled publishing — while scheduled, visibility is held at 'private' and the
+    // creator's intended visibility lives here until the publish worker flips it at publishAt.
+    publishAt: {
+        type: Date,
+        default: null
+    },
+    scheduledVisibility: {
+        type: String,
+        enum: ['public', 'unlisted', 'pay_per_view', 'members_only', null],
+        default: null
+    },
+    // Premiere: expose a metadata-only countdown page before publishAt
+    isPremiere: {
+        type: Boolean,
+        default: false
+    },
+
     // Creator roles associated with this content
     selectedRoles: [{
         type: String,
@@ -130,14 +179,32 @@ const ContentSchema = new mongoose.Schema({
     processingEnd: Date,
     processingError: String,
 
-    // Renditions (for video/shorts transcoding)
+    // Renditions (for video/shorts transcoding — written by workers/worker.js)
     renditions: [{
+        name: String,
         resolution: String,
         bitrate: Number,
         playlistKey: String,
         codecs: String
     }],
 
+    // Caption/subtitle tracks (WebVTT, one per language) — injected into the HLS master playlist
+    captions: [{
+        language: { type: String, required: true, trim: true },  // BCP-47 code, e.g. en, hi, pt-BR
+        label: { type: String, trim: true, maxlength: 60 },       // Display name, e.g. "English"
+        sourceKey: String,                                        // Raw uploaded file (.srt or .vtt)
+        sourceFormat: { type: String, enum: ['vtt', 'srt'] },
+        vttKey: String,                                           // Normalised WebVTT served to players
+        status: {
+            type: String,
+            enum: ['uploading', 'ready', 'failed'],
+            default: 'uploading'
+        },
+        isDefault: { type: Boolean, default: false },
+        error: String,
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+
     // ============================================
     // ENGAGEMENT METRICS
     // ============================================
@@ -322,13 +389,49 @@ ContentSchema.index({ tags: 1 });
 ContentSchema.index({ visibility: 1, status: 1 });
 ContentSchema.index({ contentType: 1, status: 1, views: -1 });
 ContentSchema.index({ contentType: 1, visibility: 1, createdAt: -1 });
+ContentSchema.index({ scheduledVisibility: 1, publishAt: 1 });
 
 // Update timestamp on save
 ContentSchema.pre('save', function (next) {
     this.updatedAt = new Date();
+    this.$locals.searchDirty = this.isNew || SEARCH_INDEXED_PATHS.some(path => this.isModified(path));
     next();
 });
 
+// ============================================
+// SEARCH INDEX SYNC (utils/searchIndex.js)
+// Only writes that touch indexed fields re-index — view/like counters don't.
+// ============================================
+ContentSchema.post('save', function (doc) {
+    if (doc.$locals.searchDirty) syncContentSearch([doc._id]);
+});
+
+// updateOne/updateMany/deleteOne/deleteMany don't return documents — collect the ids first
+ContentSchema.pre(['updateOne', 'updateMany'], async function () {
+    if (!touchesSearchFields(this.getUpdate())) return;
+    const query = this.model.find(this.getFilter()).select('_id').lean();
+    if (this.op === 'updateOne') query.limit(1);
+    this._searchSyncIds = (await query).map(d => d._id);
+});
+
+ContentSchema.pre(['deleteOne', 'deleteMany'], async function () {
+    const query = this.model.find(this.getFilter()).select('_id').lean();
+    if (this.op === 'deleteOne') query.limit(1);
+    this._searchSyncIds = (await query).map(d => d._id);
+});
+
+ContentSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], function () {
+    if (this._searchSyncIds?.length) syncContentSearch(this._searchSyncIds);
+});
+
+ContentSchema.post('findOneAndUpdate', function (doc) {
+    if (doc && touchesSearchFields(this.getUpdate())) syncContentSearch([doc._id]);
+});
+
+ContentSchema.post('findOneAndDelete', function (doc) {
+    if (doc) syncContentSearch([doc._id]);
+});
+
 const Content = mongoose.model('Content', ContentSchema);
 
 export default Content;
@@ -18,10 +18,22 @@ const ContentArchiveSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.Mixed,
         default: {}
     },
+    // 'admin' = removed by a moderator, 'account_deletion' = owner deleted their account
+    removal_source: {
+        type: String,
+        enum: ['admin', 'account_deletion'],
+        default: 'admin'
+    },
     removed_by_admin: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Admin',
-        required: true
+        required: function () { return this.removal_source === 'admin'; },
+        default: null
+    },
+    removed_by_user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     },
     removed_at: {
         type: Date,
@@ -53,6 +65,12 @@ const ContentArchiveSchema = new mongoose.Schema({
         trim: true,
         maxlength: 1000,
         default: ''
+    },
+    // Set while the creator's takedown appeal is pending (utils/appeals.js); held
+    // archives are never purged and stay restorable past delete_scheduled_at
+    appeal_hold: {
+        type: Boolean,
+        default: false
     }
 }, { timestamps: true });
 
@@ -133,6 +133,13 @@ const ContentWatchtimeSchema = new mongoose.Schema({
     // Posts
     impression: { type: Boolean, default: false },
     clickedThrough: { type: Boolean, default: false },
+    // Video/Audio chapters: active play seconds per chapter in this session,
+    // keyed by chapter startSeconds (see utils/videoChapters.js)
+    chapterWatchTime: {
+        type: Map,
+        of: Number,
+        default: undefined,
+    },
 }, {
     timestamps: true,
     versionKey: false,
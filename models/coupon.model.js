@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon Model
+ * Creator-issued discount codes for pay-per-view content.
+ *
+ * - Codes are unique per creator (two creators may both have "LAUNCH50")
+ * - `contentIds` empty → applies to all of the creator's PPV content
+ * - `maxRedemptions` null → unlimited; `perUserLimit` caps uses per buyer
+ * - `redemptionCount` counts reserved + redeemed uses (see utils/ppvPricing.js)
+ */
+const CouponSchema = new mongoose.Schema({
+    creatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        minlength: 3,
+        maxlength: 32,
+        match: /^[A-Z0-9_-]+$/
+    },
+    description: {
+        type: String,
+        maxlength: 200,
+        trim: true,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: true
+    },
+    // Percent (1–90) or fixed rupee amount
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    contentIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    }],
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    maxRedemptions: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    redemptionCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+CouponSchema.index({ creatorId: 1, code: 1 }, { unique: true });
+CouponSchema.index({ creatorId: 1, isActive: 1, createdAt: -1 });
+
+const Coupon = mongoose.model('Coupon', CouponSchema);
+export default Coupon;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon Redemption Model
+ * One row per coupon use, keyed by order.
+ *
+ * Lifecycle:
+ *   reserved  — gateway order created, payment not yet confirmed
+ *   redeemed  — purchase completed (wallet purchase or gateway fulfillment)
+ *   released  — gateway payment failed/abandoned; the use is returned to the coupon
+ */
+const CouponRedemptionSchema = new mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        required: true
+    },
+    orderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    purchaseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Purchase',
+        default: null
+    },
+    listPrice: {
+        type: Number,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['reserved', 'redeemed', 'released'],
+        default: 'reserved'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+CouponRedemptionSchema.index({ couponId: 1, status: 1, createdAt: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
+export default CouponRedemption;
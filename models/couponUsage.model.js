@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon Usage Model
+ * Per-buyer use counter for a coupon — the atomic guard behind `perUserLimit`.
+ * `count` mirrors the buyer's reserved + redeemed CouponRedemptions and is only
+ * changed by utils/ppvPricing.js (conditional $inc on claim, $inc -1 on release).
+ */
+const CouponUsageSchema = new mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+CouponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+const CouponUsage = mongoose.model('CouponUsage', CouponUsageSchema);
+export default CouponUsage;
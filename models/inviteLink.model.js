@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * InviteLink Model
+ * Shareable invite code for a community or a group chat (see utils/inviteLinks.js).
+ * A link stops working when it is revoked, expires, or reaches maxUses.
+ * Joins are recorded in InviteRedemption.
+ */
+const InviteLinkSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    targetType: {
+        type: String,
+        enum: ['community', 'group_chat'],
+        required: true
+    },
+    communityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Community',
+        default: null
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Role given on joining. Communities: MEMBER | MODERATOR | ADMIN; group chats: MEMBER | ADMIN
+    role: {
+        type: String,
+        enum: ['MEMBER', 'MODERATOR', 'ADMIN'],
+        default: 'MEMBER'
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    },
+    // null = unlimited
+    maxUses: {
+        type: Number,
+        default: null
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    // null = never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+InviteLinkSchema.index({ communityId: 1, createdAt: -1 }, { partialFilterExpression: { targetType: 'community' } });
+InviteLinkSchema.index({ conversationId: 1, createdAt: -1 }, { partialFilterExpression: { targetType: 'group_chat' } });
+
+const InviteLink = mongoose.model('InviteLink', InviteLinkSchema);
+export default InviteLink;
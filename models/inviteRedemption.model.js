@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * InviteRedemption Model
+ * One user joining a community or group chat through an InviteLink.
+ */
+const InviteRedemptionSchema = new mongoose.Schema({
+    inviteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InviteLink',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    role: {
+        type: String,
+        enum: ['MEMBER', 'MODERATOR', 'ADMIN'],
+        default: 'MEMBER'
+    },
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+InviteRedemptionSchema.index({ inviteId: 1, userId: 1 }, { unique: true });
+InviteRedemptionSchema.index({ inviteId: 1, redeemedAt: -1 });
+
+const InviteRedemption = mongoose.model('InviteRedemption', InviteRedemptionSchema);
+export default InviteRedemption;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Run — one execution of a scheduled background job (utils/jobScheduler.js).
+ * Kept for 90 days as the job history shown in the admin panel.
+ * A run left 'running' by an instance that died is marked 'abandoned' by the next
+ * instance that takes the job's lock.
+ */
+const JobRunSchema = new mongoose.Schema({
+    job: {
+        type: String,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['running', 'succeeded', 'failed', 'abandoned'],
+        default: 'running',
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule',
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null,
+    },
+    // Job-specific input (e.g. an aggregation date range for manual runs)
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    instanceId: {
+        type: String,
+        default: '',
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    finishedAt: {
+        type: Date,
+        default: null,
+    },
+    durationMs: {
+        type: Number,
+        default: null,
+    },
+    // What the job did (counts, keys processed ...)
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    error: {
+        type: String,
+        maxlength: 2000,
+        default: '',
+    },
+}, {
+    versionKey: false,
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ job: 1, status: 1 });
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', JobRunSchema);
+export default JobRun;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * MembershipTier Model
+ * A creator-defined recurring monthly channel membership level.
+ *
+ * - `rank` orders a creator's tiers: members of a higher-ranked tier can see
+ *   members-only content gated to any lower-ranked tier (see utils/memberships.js)
+ * - Deactivated tiers keep existing members until they cancel or a renewal fails,
+ *   but cannot be joined
+ * - `monthlyPrice` changes apply to new members only; existing members keep the
+ *   price stored on their ChannelMembership
+ */
+const MembershipTierSchema = new mongoose.Schema({
+    creatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 40
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+    monthlyPrice: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    perks: [{
+        type: String,
+        trim: true,
+        maxlength: 120
+    }],
+    // Short label shown next to the member's name in comments and community chat
+    badge: {
+        type: String,
+        trim: true,
+        maxlength: 24,
+        default: ''
+    },
+    rank: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    memberCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { timestamps: true });
+
+MembershipTierSchema.index({ creatorId: 1, rank: 1 });
+MembershipTierSchema.index({ creatorId: 1, name: 1 }, { unique: true });
+
+const MembershipTier = mongoose.model('MembershipTier', MembershipTierSchema);
+
+export default MembershipTier;
@@ -2,13 +2,27 @@ import mongoose from 'mongoose';
 
 /**
  * Notification Model
- * Stores notifications for new content uploads from subscribed creators.
- * 
+ * In-app notifications, one document per recipient.
+ *
+ * Types (see utils/notificationService.js):
+ * - upload          — a subscribed creator published new content
+ * - comment_reply   — someone replied to your comment
+ * - mention         — someone @mentioned you in a comment or reply
+ * - comment_like    — someone liked your comment
+ * - new_subscriber  — someone subscribed to your channel
+ * - ppv_purchase    — someone rented your pay-per-view content
+ * - new_member      — someone joined your channel membership
+ * - tip_received    — someone sent you a tip on your content or in your community chat
+ * - event_reminder  — a community event you RSVP'd to is about to start
+ *
  * Rules:
- * - Max 10 notifications per user (FIFO — oldest removed when >10)
+ * - Max MAX_NOTIFICATIONS_PER_USER per user (FIFO — oldest removed when exceeded)
  * - Clicking a notification marks it as read and removes it
- * - Only tracks new uploads from creators the user is subscribed to
+ * - Recipients' per-type preferences and mutes are applied before a notification is created
+ * - `dedupeKey` makes repeatable actions (like → unlike → like) notify only once
  */
+export const NOTIFICATION_TYPES = ['upload', 'comment_reply', 'mention', 'comment_like', 'new_subscriber', 'ppv_purchase', 'new_member', 'tip_received', 'event_reminder'];
+
 const NotificationSchema = new mongoose.Schema({
     // The user who receives the notification
     userId: {
@@ -17,28 +31,61 @@ const NotificationSchema = new mongoose.Schema({
         required: true,
         index: true
     },
-    // The content that was uploaded
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        default: 'upload'
+    },
+    // The content the notification is about (uploaded, commented on, purchased)
     contentId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Content',
-        required: true
+        required: function () { return this.type === 'upload'; }
     },
-    // The creator who uploaded the content
+    // The creator who uploaded the content (upload notifications)
     creatorId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function () { return this.type === 'upload'; }
     },
     contentType: {
         type: String,
         enum: ['video', 'short', 'audio', 'post'],
-        required: true
+        required: function () { return this.type === 'upload'; }
+    },
+    // The user whose action triggered the notification (replier, liker, subscriber, buyer)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    commentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    // Community post notifications (event reminders)
+    communityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Community',
+        default: null
+    },
+    communityPostId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost',
+        default: null
     },
     // Snapshot data for quick display without populating
     title: {
         type: String,
         default: ''
     },
+    // Short preview (comment text, purchase amount, ...)
+    message: {
+        type: String,
+        default: '',
+        maxlength: 300
+    },
     thumbnailUrl: {
         type: String,
         default: ''
@@ -51,6 +98,18 @@ const NotificationSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    actorName: {
+        type: String,
+        default: ''
+    },
+    actorPicture: {
+        type: String,
+        default: ''
+    },
+    dedupeKey: {
+        type: String,
+        default: undefined
+    },
     read: {
         type: Boolean,
         default: false
@@ -65,6 +124,13 @@ const NotificationSchema = new mongoose.Schema({
 NotificationSchema.index({ userId: 1, createdAt: -1 });
 // For cleanup of old notifications
 NotificationSchema.index({ userId: 1, createdAt: 1 });
+// Per-type listing
+NotificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
+// One notification per repeatable action
+NotificationSchema.index(
+    { userId: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
 
 const Notification = mongoose.model('Notification', NotificationSchema);
 export default Notification;
@@ -9,6 +9,11 @@ const paymentDetailsSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   contentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' },
   purchaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase' },
+  // PPV promo pricing snapshot taken at order creation (copied onto the Purchase at fulfillment)
+  listPrice: { type: Number, default: null },
+  discountAmount: { type: Number, default: 0 },
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+  couponCode: { type: String, default: null },
 }, { timestamps: true });
 
 const PaymentDetails = mongoose.model("PaymentDetails", paymentDetailsSchema);
@@ -16,6 +16,8 @@ const payoutSchema = new mongoose.Schema({
     totalTdsDeducted: { type: Number, default: 0 },
     totalTcsDeducted: { type: Number, default: 0 },
     totalTransferredToWallet1: { type: Number, default: 0 }, // Self-transferred from W2 to W1 in window
+    totalTipsReceived: { type: Number, default: 0 },     // Gross tips received in window (included in the totals above)
+    totalTipEarnings: { type: Number, default: 0 },      // Creator's net share of those tips
 
     // Calculation window timestamp boundary (date + time)
     periodStart: { type: Date, default: null },
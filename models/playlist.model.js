@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * Playlist Model
+ * User-curated, ordered list of Content items (video, short, audio).
+ *
+ * Rules:
+ * - Items are kept in array order — position in `items` IS the play order
+ * - A content item can appear only once per playlist
+ * - Owner can edit everything; collaborators can only add/remove/reorder items
+ * - Visibility: public (listed on channel page), unlisted (link only), private (owner + collaborators)
+ */
+const PlaylistItemSchema = new mongoose.Schema({
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        required: true
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const PlaylistSchema = new mongoose.Schema({
+    // Playlist owner
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Playlist title is required'],
+        trim: true,
+        maxlength: 150
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        default: ''
+    },
+    visibility: {
+        type: String,
+        enum: ['public', 'unlisted', 'private'],
+        default: 'private'
+    },
+    items: {
+        type: [PlaylistItemSchema],
+        default: []
+    },
+    // Users allowed to add/remove/reorder items
+    collaborators: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Cached item count (kept in sync on every item mutation)
+    itemCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+PlaylistSchema.index({ userId: 1, visibility: 1, updatedAt: -1 });
+PlaylistSchema.index({ collaborators: 1 });
+PlaylistSchema.index({ 'items.contentId': 1 });
+
+const Playlist = mongoose.model('Playlist', PlaylistSchema);
+export default Playlist;
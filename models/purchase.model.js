@@ -5,7 +5,12 @@ const purchaseSchema = new mongoose.Schema({
   buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   orderId: { type: String, required: true, unique: true },
   paymentId: { type: String, default: null },
-  amount: { type: Number, required: true },
+  amount: { type: Number, required: true }, // amount actually paid — taxes/commission/payout are computed on this
+  // Promo pricing: list price before sale/coupon, total discount, and the coupon used (if any)
+  listPrice: { type: Number, default: null },
+  discountAmount: { type: Number, default: 0 },
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+  couponCode: { type: String, default: null },
   currency: { type: String, default: 'INR' },
   // Tax breakdown fields
   basePrice: { type: Number, default: null },
@@ -17,7 +22,9 @@ const purchaseSchema = new mongoose.Schema({
   creatorPayout: { type: Number, default: null },
   purchasedAt: { type: Date, default: Date.now },
   expiresAt: { type: Date, required: true },
-  status: { type: String, enum: ['pending', 'active', 'expired', 'refunded'], default: 'pending' }
+  status: { type: String, enum: ['pending', 'active', 'expired', 'refunded'], default: 'pending' },
+  // Set when an approved refund/dispute reverses the purchase (status → 'refunded')
+  refundedAt: { type: Date, default: null }
 });
 
 purchaseSchema.index({ buyerId: 1, contentId: 1, expiresAt: 1 });
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * QueueJob — a background job in a MongoDB-backed queue (see utils/jobQueue.js)
+ *
+ * Lifecycle: waiting → active → (completed | waiting again after a failure | dead)
+ * An active job whose lock expires (worker crashed) is handed to the next worker.
+ */
+const QueueJobSchema = new mongoose.Schema({
+    queue: {
+        type: String,
+        required: true
+    },
+    // Caller-supplied id (e.g. the content id) — one live job per id per queue
+    jobId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'active', 'completed', 'dead'],
+        default: 'waiting'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+QueueJobSchema.index({ queue: 1, jobId: 1 }, { unique: true });
+QueueJobSchema.index({ queue: 1, status: 1, runAt: 1 });
+QueueJobSchema.index({ queue: 1, status: 1, lockedUntil: 1 });
+// Completed and dead jobs are kept for a week for debugging
+QueueJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const QueueJob = mongoose.model('QueueJob', QueueJobSchema);
+
+export default QueueJob;
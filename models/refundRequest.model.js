@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refund Request Model
+ * Buyer-initiated refund or dispute for a PPV purchase/rental.
+ *
+ * Lifecycle: pending → approved (wallet reversal executed) | rejected
+ * Only one open (pending) request may exist per purchase. A rejected refund can still be
+ * escalated to a dispute; a rejected dispute is final (refundController.requestRefund).
+ *
+ * On approval the reversal in walletService.executePpvRefund():
+ * - credits the buyer's PrimaryWallet with the full purchase amount
+ * - debits the creator's SecondaryWallet earning (as much as is still there)
+ * - records any shortfall (creator already paid out) as `creatorShortfall`,
+ *   which is recovered from the creator's next payout/transfer
+ * - marks the Purchase as 'refunded', which revokes PPV access
+ */
+const RefundRequestSchema = new mongoose.Schema({
+    purchaseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Purchase',
+        required: true
+    },
+    buyerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        required: true
+    },
+    creatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // refund = buyer asks for money back; dispute = buyer contests the charge (e.g. unauthorized)
+    type: {
+        type: String,
+        enum: ['refund', 'dispute'],
+        default: 'refund'
+    },
+    reason: {
+        type: String,
+        enum: [
+            'accidental_purchase',
+            'playback_issue',
+            'not_as_described',
+            'unauthorized',
+            'duplicate_charge',
+            'other'
+        ],
+        required: true
+    },
+    description: {
+        type: String,
+        maxlength: 1000,
+        trim: true,
+        default: ''
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+        index: true
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    adminNote: {
+        type: String,
+        maxlength: 1000,
+        default: ''
+    },
+    // Reversal outcome (set on approval)
+    creatorDebited: {
+        type: Number,
+        default: 0
+    },
+    creatorShortfall: {
+        type: Number,
+        default: 0
+    },
+    buyerTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WalletTransaction',
+        default: null
+    },
+    creatorTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WalletTransaction',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// At most one pending request per purchase
+RefundRequestSchema.index(
+    { purchaseId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_per_purchase' }
+);
+RefundRequestSchema.index({ purchaseId: 1, status: 1 });
+RefundRequestSchema.index({ status: 1, createdAt: -1 });
+
+const RefundRequest = mongoose.model('RefundRequest', RefundRequestSchema);
+export default RefundRequest;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * SearchDocument Model
+ * One entry per searchable item in the embedded search index (utils/searchIndex.js).
+ * - kind 'content' → a completed public / pay-per-view Content item (refId = content _id)
+ * - kind 'channel' → a user with a channel (refId = user _id)
+ *
+ * `fields` holds the normalised tokens of each indexed field (in order, with repeats)
+ * so BM25 term frequencies and field lengths can be computed at query time;
+ * `terms` is the de-duplicated union used as the posting list (multikey index).
+ */
+const SearchDocumentSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['content', 'channel'],
+        required: true
+    },
+    refId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Content only
+    contentType: {
+        type: String,
+        enum: ['video', 'short', 'audio', 'post', null],
+        default: null
+    },
+    // Content: the creator; channel: the user itself
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    terms: {
+        type: [String],
+        default: []
+    },
+    fields: {
+        title: { type: [String], default: [] },
+        tags: { type: [String], default: [] },
+        description: { type: [String], default: [] },
+        channel: { type: [String], default: [] }
+    },
+    // Tie-breaker for equal scores (newer first)
+    publishedAt: {
+        type: Date,
+        default: Date.now
+    },
+    indexedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+SearchDocumentSchema.index({ kind: 1, refId: 1 }, { unique: true });
+SearchDocumentSchema.index({ kind: 1, terms: 1 });
+SearchDocumentSchema.index({ userId: 1, kind: 1 });
+
+const SearchDocument = mongoose.model('SearchDocument', SearchDocumentSchema);
+export default SearchDocument;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * SearchTerm Model
+ * The vocabulary of the embedded search index (utils/searchIndex.js): every term that
+ * appears in at least one SearchDocument, with its document frequency per kind.
+ *
+ * Used for BM25 IDF, prefix autocomplete (anchored regex on `term`) and typo
+ * tolerance (candidates by `first` character and `length`, then edit distance).
+ * Terms whose frequencies both drop to zero are deleted.
+ * Written only by utils/searchIndex.js.
+ */
+const SearchTermSchema = new mongoose.Schema({
+    term: {
+        type: String,
+        required: true
+    },
+    first: {
+        type: String,
+        required: true
+    },
+    length: {
+        type: Number,
+        required: true
+    },
+    contentDf: {
+        type: Number,
+        default: 0
+    },
+    channelDf: {
+        type: Number,
+        default: 0
+    },
+    // Last frequency change — a rebuild drops terms it didn't touch
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+SearchTermSchema.index({ term: 1 }, { unique: true });
+SearchTermSchema.index({ first: 1, length: 1 });
+
+const SearchTerm = mongoose.model('SearchTerm', SearchTermSchema);
+export default SearchTerm;
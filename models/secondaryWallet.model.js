@@ -5,6 +5,7 @@ import mongoose from 'mongoose';
  * 
  * MONEY-IN:  Only PPV purchase credits (70% of price) via service layer.
  * MONEY-OUT: Transfer-to-primary or month-end payout.
+ *            PPV refund reversals (see walletService.executePpvRefund).
  * 
  * GUARD: This wallet CANNOT be recharged directly. The only code path that
  * credits money into it is executePpvPurchase() in walletService.js.
@@ -30,6 +31,13 @@ const secondaryWalletSchema = new mongoose.Schema({
         type: String,
         default: 'INR',
     },
+    // Refund reversals that couldn't be debited because the earning was already paid out.
+    // Recovered before the next payout/transfer (walletService.recoverPendingRefunds).
+    pendingRecovery: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
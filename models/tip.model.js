@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * Tip Model
+ * A one-off "Super Thanks" from a fan to a creator, sent on a piece of content or
+ * inside the creator's community chat and paid from the fan's PrimaryWallet
+ * (walletService.executeTip). Created inside the same transaction as the two ledger
+ * entries, so a Tip exists if and only if the money moved.
+ *
+ * The highlighted comment / chat message is created right after and linked back via
+ * commentId / chatMessageId.
+ */
+const TipSchema = new mongoose.Schema({
+    senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    creatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['content', 'community_chat'],
+        required: true
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        default: null
+    },
+    communityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Community',
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    message: {
+        type: String,
+        default: '',
+        maxlength: 300
+    },
+    highlightLevel: {
+        type: Number,
+        default: 1
+    },
+    // Creator's net share after commission/GST/TDS/TCS (same split as PPV)
+    creatorAmount: {
+        type: Number,
+        required: true
+    },
+    taxBreakdown: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    orderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    commentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    chatMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityChat',
+        default: null
+    }
+}, { timestamps: true });
+
+TipSchema.index({ creatorId: 1, createdAt: -1 });
+TipSchema.index({ senderId: 1, createdAt: -1 });
+TipSchema.index({ contentId: 1, createdAt: -1 });
+
+const Tip = mongoose.model('Tip', TipSchema);
+export default Tip;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * TwoFactorAuth — TOTP enrolment per user (see utils/totp.js, controllers/auth-controllers/services/twoFactor.js).
+ * Kept out of the User document so the secret never rides along with user payloads.
+ *
+ * The secret is AES-256-GCM encrypted (utils/encryption.js); recovery codes are sha256-hashed.
+ * `User.twoFactorEnabled` mirrors `enabledAt` for cheap checks at sign-in.
+ */
+const recoveryCodeSchema = new mongoose.Schema({
+    hash: { type: String, required: true },
+    usedAt: { type: Date, default: null },
+}, { _id: false });
+
+const twoFactorAuthSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true,
+        index: true,
+    },
+
+    // Active secret (set once enrolment is confirmed)
+    secretEncrypted: { type: String, default: null },
+    secretIv: { type: String, default: null },
+    secretTag: { type: String, default: null },
+    enabledAt: { type: Date, default: null },
+
+    // Secret waiting for its first valid code (setup → enable)
+    pendingSecretEncrypted: { type: String, default: null },
+    pendingSecretIv: { type: String, default: null },
+    pendingSecretTag: { type: String, default: null },
+    pendingCreatedAt: { type: Date, default: null },
+
+    // Last accepted TOTP time step — a code is never accepted twice
+    lastUsedStep: { type: Number, default: 0 },
+
+    recoveryCodes: { type: [recoveryCodeSchema], default: [] },
+    recoveryCodesGeneratedAt: { type: Date, default: null },
+
+    // Bumped to forget every "remember this device" cookie
+    rememberVersion: { type: Number, default: 0 },
+}, {
+    timestamps: true,
+    versionKey: false,
+});
+
+const TwoFactorAuth = mongoose.model('TwoFactorAuth', twoFactorAuthSchema);
+export default TwoFactorAuth;
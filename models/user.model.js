@@ -105,6 +105,28 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+    // In-app notification settings (see utils/notificationService.js)
+    notificationPreferences: {
+        upload: { type: Boolean, default: true },
+        comment_reply: { type: Boolean, default: true },
+        mention: { type: Boolean, default: true },
+        comment_like: { type: Boolean, default: true },
+        new_subscriber: { type: Boolean, default: true },
+        ppv_purchase: { type: Boolean, default: true },
+        new_member: { type: Boolean, default: true },
+        tip_received: { type: Boolean, default: true },
+        event_reminder: { type: Boolean, default: true },
+    },
+    // Mute all notifications until this time (null = not muted; far future = muted indefinitely)
+    notificationsMutedUntil: {
+        type: Date,
+        default: null,
+    },
+    // Users whose actions never notify this user
+    mutedNotificationUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     subscriptions: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -149,6 +171,11 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 0,
     },
+    // TOTP two-factor authentication — secret and recovery codes live in TwoFactorAuth
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
     // Referral system
     referralCode: {
         type: String,
@@ -161,6 +188,27 @@ const userSchema = new mongoose.Schema({
         ref: 'User',
         default: null,
     },
+    // Self-service account deletion (see utils/accountDeletion.js)
+    // Set when the user confirms deletion; cleared if they cancel during the grace period
+    deletionRequestedAt: {
+        type: Date,
+        default: null,
+    },
+    deletionScheduledAt: {
+        type: Date,
+        default: null,
+        index: true,
+    },
+    deletionReason: {
+        type: String,
+        default: null,
+    },
+    // Set once the account has been erased — the document remains as an anonymous tombstone
+    // so ledger, purchase and payout references stay valid for tax records
+    deletedAt: {
+        type: Date,
+        default: null,
+    },
 });
 
 const User = mongoose.model("User", userSchema);
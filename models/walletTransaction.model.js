@@ -17,6 +17,11 @@ import mongoose from 'mongoose';
  * When a creator views their secondary wallet activity, the API response
  * must NEVER include `relatedBuyerId` — this is enforced at the API layer,
  * not by omitting the field from the model (we need it for reconciliation).
+ *
+ * ACCOUNT DELETION:
+ * Ledger rows are never deleted (tax records). When a user deletes their account,
+ * rows referencing them keep amounts and tax breakdowns but drop `relatedBuyerId`
+ * and free-form `metadata`, and are stamped with `anonymizedAt`.
  */
 const walletTransactionSchema = new mongoose.Schema({
     walletId: {
@@ -45,6 +50,13 @@ const walletTransactionSchema = new mongoose.Schema({
             'referral_bonus_credit',     // Primary/Secondary: referral program bonus
             'admin_credit',              // Manual admin credit
             'admin_debit',               // Manual admin debit
+            'ppv_refund_credit',         // Primary: buyer refunded for a reversed PPV purchase
+            'ppv_refund_debit',          // Secondary: creator earning reversed for a refunded purchase
+            'refund_recovery_debit',     // Secondary: shortfall of an earlier reversal recovered from new earnings
+            'membership_debit',          // Primary: member pays a monthly channel membership
+            'membership_earning_credit', // Secondary: creator receives the membership payout
+            'tip_debit',                 // Primary: fan sends a creator a tip
+            'tip_earning_credit',        // Secondary: creator receives the tip payout
         ],
         required: true,
     },
@@ -69,6 +81,8 @@ const walletTransactionSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now, index: true },
     // For pending records: when the payment initiation expires
     expiresAt: { type: Date, default: null },
+    // Set when the owning/buying user deleted their account
+    anonymizedAt: { type: Date, default: null },
 });
 
 walletTransactionSchema.index({ walletId: 1, createdAt: -1 });
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebhookDelivery Model
+ * One event sent to one endpoint — doubles as the delivery log owners inspect.
+ *
+ * Lifecycle: pending → (succeeded | pending again after a failed attempt | failed)
+ * The retry schedule lives in the `webhooks` job queue (utils/webhooks.js); this
+ * document records every attempt. Replaying creates a new delivery (`replayOf`) with
+ * the same event id and payload, so receivers can de-duplicate on `X-Webhook-Id`.
+ */
+const AttemptSchema = new mongoose.Schema({
+    at: { type: Date, default: Date.now },
+    responseStatus: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+    error: { type: String, default: null }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+    endpointId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookEndpoint',
+        required: true
+    },
+    // Owner of the endpoint (null for partner endpoints) — for listing without a join
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // The exact JSON envelope that is signed and sent
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    attemptLog: {
+        type: [AttemptSchema],
+        default: []
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    // First bytes of the receiver's response, for debugging
+    responseBody: {
+        type: String,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    }
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ ownerId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ eventId: 1 });
+// Delivery logs are kept for 30 days
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+export default WebhookDelivery;
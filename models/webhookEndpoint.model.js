@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebhookEndpoint Model
+ * A URL that receives signed event deliveries (see utils/webhooks.js).
+ *
+ * Kinds:
+ *   creator — owned by a creator (`ownerId`); receives events about their own channel
+ *   partner — registered by an admin for a partner integration; receives the subscribed
+ *             events for every creator
+ *
+ * The signing secret is stored encrypted (utils/encryption.js) and only shown in full
+ * when the endpoint is created or the secret is rotated. Endpoints whose deliveries
+ * keep failing are disabled automatically (`disabledReason`).
+ */
+const WebhookEndpointSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['creator', 'partner'],
+        required: true
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdByAdminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 80,
+        default: ''
+    },
+    url: {
+        type: String,
+        required: true,
+        maxlength: 2048
+    },
+    events: {
+        type: [String],
+        default: []
+    },
+    secretEncrypted: { type: String, required: true },
+    secretIv: { type: String, required: true },
+    secretTag: { type: String, required: true },
+    // Last 4 characters, so the owner can tell secrets apart without seeing them
+    secretHint: {
+        type: String,
+        default: ''
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    disabledReason: {
+        type: String,
+        default: null
+    },
+    // Deliveries that exhausted every retry in a row; reset by any success
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    lastDeliveryAt: {
+        type: Date,
+        default: null
+    },
+    lastSuccessAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+WebhookEndpointSchema.index({ ownerId: 1, createdAt: -1 });
+WebhookEndpointSchema.index({ kind: 1, isActive: 1, events: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
+export default WebhookEndpoint;
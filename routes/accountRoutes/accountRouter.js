@@ -0,0 +1,33 @@
+/**
+ * Account Router - /api/v2/account
+ * Data export and self-service account deletion (all require authentication)
+ */
+import express from 'express';
+import {
+    requestDataExport,
+    getDataExports,
+    downloadDataExport,
+    sendDeletionOtp,
+    requestAccountDeletion,
+    getAccountDeletionStatus,
+    cancelAccountDeletion
+} from '../../controllers/account-controllers/accountController.js';
+import { universalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+import { rateLimit } from '../../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+const deletionOtpLimiter = rateLimit({ group: 'account:delete-otp', limit: 3, windowMs: 15 * 60 * 1000, keyBy: 'user', message: 'Too many OTP requests. Please try again later.' });
+
+// Data export
+router.post('/export', universalTokenVerifier, requestDataExport);
+router.get('/export', universalTokenVerifier, getDataExports);
+router.get('/export/:id/download', universalTokenVerifier, downloadDataExport);
+
+// Account deletion
+router.post('/delete/send-otp', universalTokenVerifier, deletionOtpLimiter, sendDeletionOtp);
+router.post('/delete', universalTokenVerifier, requestAccountDeletion);
+router.get('/delete', universalTokenVerifier, getAccountDeletionStatus);
+router.delete('/delete', universalTokenVerifier, cancelAccountDeletion);
+
+export default router;
@@ -5,7 +5,8 @@ import {
     generateResetOtp
 } from '../../controllers/admin-controllers/adminAuthController.js';
 import {
-    approveSignup, rejectSignup, listRequests, removeAdmin, listAdmins, unlockAdmin
+    approveSignup, rejectSignup, listRequests, removeAdmin, listAdmins, unlockAdmin,
+    listRoleTemplates, updateAdminRole
 } from '../../controllers/admin-controllers/adminManagementController.js';
 import {
     hideContent, removeContent, restoreContent, deleteContent,
@@ -21,10 +22,12 @@ import {
     sendAdminEmailOtp, getUserDetailedAnalytics
 } from '../../controllers/admin-controllers/adminDashboardController.js';
 import { getAnalytics } from '../../controllers/admin-controllers/adminAnalyticsController.js';
+import { listAppeals, getAppeal, decideAppeal } from '../../controllers/admin-controllers/adminAppealController.js';
 import {
     getPlatformAnalytics, getContentAnalytics, getUserAnalytics,
-    searchUsersForAnalytics, runAggregation
+    searchUsersForAnalytics, runAggregation, getAnalyticsSummaries
 } from '../../controllers/admin-controllers/adminAdvancedAnalyticsController.js';
+import { listJobs, getJobRuns, getJobRun, triggerJob } from '../../controllers/admin-controllers/adminJobController.js';
 import { issueCloudFrontCookies } from '../../config/cloudfront.js';
 import {
     adminSendMessage, adminGetMessages, adminGetConversations
@@ -39,6 +42,9 @@ import {
     getPayoutReport, runMonthEndPayout, getDailyPayoutStats, runSingleCreatorPayout, completePayoutSettlement, completeBulkPayoutSettlement, resendSettlementEmail, getCreatorInvoices, getPayoutInvoicePdf, sendBulkPayoutOtp
 } from '../../controllers/wallet-controllers/payoutJobController.js';
 import { getCreatorEarnings } from '../../controllers/wallet-controllers/earningsController.js';
+import {
+    listRefundRequests, approveRefundRequest, rejectRefundRequest
+} from '../../controllers/wallet-controllers/refundController.js';
 import {
     sendEngagementPayoutOtp, runEngagementPayout, previewEngagementPayout,
     getEngagementPayoutReport, runSingleCreatorEngagementPayout, getEngagementPayoutDetail
@@ -50,10 +56,14 @@ import {
     sendReferralSettingsOtp, verifyReferralSettingsOtp
 } from '../../controllers/admin-controllers/referralController.js';
 import {
-    adminTokenVerifier, requireSuperAdmin, auditLog, adminRateLimiter
+    adminTokenVerifier, requireSuperAdmin, requireScope, auditLog, adminRateLimiter
 } from '../../middlewares/admin.middleware.js';
 import { listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, seedDefaultTemplates } from '../../controllers/admin-controllers/adminEmailTemplateController.js';
 import { listEmailLogs, getEmailLog } from '../../controllers/admin-controllers/adminEmailLogController.js';
+import {
+    listWebhookEndpoints, createPartnerEndpoint, updateWebhookEndpoint, deletePartnerEndpoint,
+    rotatePartnerSecret, testPartnerEndpoint, listDeliveries, getDeliveryDetail, replayDeliveryHandler
+} from '../../controllers/admin-controllers/adminWebhookController.js';
 
 
 const adminRouter = express.Router();
@@ -69,147 +79,181 @@ adminRouter.post('/forgot-password-generate-otp', adminRateLimiter(3, 60000), ge
 adminRouter.post('/reset-password', adminRateLimiter(5, 60000), adminResetPassword);
 
 // ─── Protected routes (require valid admin JWT) ─────────────────────────────
+// Every route below is guarded by a permission scope (utils/adminPermissions.js).
+// SuperAdmins hold every scope; other admins get theirs from their role template.
 adminRouter.use(adminTokenVerifier);
 
 // Dashboard
-adminRouter.get('/dashboard', getDashboard);
+adminRouter.get('/dashboard', requireScope('dashboard.view'), getDashboard);
 
 // Platform analytics
-adminRouter.get('/analytics', getAnalytics);
+adminRouter.get('/analytics', requireScope('analytics.view'), getAnalytics);
 
 // Advanced analytics
-adminRouter.get('/analytics/platform', getPlatformAnalytics);
-adminRouter.get('/analytics/content', getContentAnalytics);
-adminRouter.get('/analytics/user-search', searchUsersForAnalytics);
-adminRouter.get('/analytics/user/:userId', getUserAnalytics);
+adminRouter.get('/analytics/platform', requireScope('analytics.view'), getPlatformAnalytics);
+adminRouter.get('/analytics/content', requireScope('analytics.view'), getContentAnalytics);
+adminRouter.get('/analytics/user-search', requireScope('analytics.view'), searchUsersForAnalytics);
+adminRouter.get('/analytics/user/:userId', requireScope('analytics.view'), getUserAnalytics);
+adminRouter.get('/analytics/summaries', requireScope('analytics.view'), getAnalyticsSummaries);
+
+// Scheduled jobs (triggering also needs the job's own scope, e.g. analytics.aggregate)
+adminRouter.get('/jobs', requireScope('jobs.view'), listJobs);
+adminRouter.get('/jobs/runs/:runId', requireScope('jobs.view'), getJobRun);
+adminRouter.get('/jobs/:name/runs', requireScope('jobs.view'), getJobRuns);
+adminRouter.post('/jobs/:name/run', requireScope('jobs.view'), triggerJob);
 
 // Reports & Feedbacks
-adminRouter.get('/reports', listReports);
-adminRouter.post('/reports/:id/resolve', auditLog('report_review', 'report'), resolveReport);
-adminRouter.get('/feedbacks', listFeedbacks);
-adminRouter.get('/enquiries', listEnquiries);
-adminRouter.post('/enquiries/:id/reply', auditLog('enquiry_reply', 'enquiry'), replyToEnquiry);
-adminRouter.patch('/enquiries/:id/status', auditLog('enquiry_status_change', 'enquiry'), toggleEnquiryStatus);
+adminRouter.get('/reports', requireScope('content.moderate'), listReports);
+adminRouter.post('/reports/:id/resolve', requireScope('content.moderate'), auditLog('report_review', 'report'), resolveReport);
+adminRouter.get('/feedbacks', requireScope('support.respond'), listFeedbacks);
+adminRouter.get('/enquiries', requireScope('support.respond'), listEnquiries);
+adminRouter.post('/enquiries/:id/reply', requireScope('support.respond'), auditLog('enquiry_reply', 'enquiry'), replyToEnquiry);
+adminRouter.patch('/enquiries/:id/status', requireScope('support.respond'), auditLog('enquiry_status_change', 'enquiry'), toggleEnquiryStatus);
+
+// Appeals against takedowns & channel bans (decideAppeal writes its own audit entry)
+adminRouter.get('/appeals', requireScope('appeals.review'), listAppeals);
+adminRouter.get('/appeals/:id', requireScope('appeals.review'), getAppeal);
+adminRouter.post('/appeals/:id/decide', requireScope('appeals.review'), decideAppeal);
 
 // Content Hub
-adminRouter.get('/content/list', listAllContent);
-adminRouter.get('/content/:id/detailed-analytics', getContentDetailedAnalytics);
+adminRouter.get('/content/list', requireScope('content.view'), listAllContent);
+adminRouter.get('/content/:id/detailed-analytics', requireScope('analytics.view'), getContentDetailedAnalytics);
 
 // Content management & PPV
-adminRouter.get('/ppv/list', listPpvContent);
-adminRouter.get('/content/:id', getContentDetails);
-adminRouter.post('/content/:id/hide', auditLog('content_hide', 'content'), hideContent);
-adminRouter.post('/content/:id/remove', auditLog('content_remove', 'content'), removeContent);
-adminRouter.post('/content/:id/restore', auditLog('content_restore', 'content'), restoreContent);
-adminRouter.delete('/content/:id', deleteContent);
+adminRouter.get('/ppv/list', requireScope('content.view'), listPpvContent);
+adminRouter.get('/content/:id', requireScope('content.view'), getContentDetails);
+adminRouter.post('/content/:id/hide', requireScope('content.moderate'), auditLog('content_hide', 'content'), hideContent);
+adminRouter.post('/content/:id/remove', requireScope('content.remove'), auditLog('content_remove', 'content'), removeContent);
+adminRouter.post('/content/:id/restore', requireScope('content.moderate'), auditLog('content_restore', 'content'), restoreContent);
+adminRouter.delete('/content/:id', requireScope('content.purge'), deleteContent);
 
 // Admin CloudFront cookies (for admin video player)
-adminRouter.get('/cloudfront-cookies', (req, res) => issueCloudFrontCookies(req, res));
+adminRouter.get('/cloudfront-cookies', requireScope('content.view'), (req, res) => issueCloudFrontCookies(req, res));
 
 // Archive
-adminRouter.get('/archive', listArchive);
+adminRouter.get('/archive', requireScope('content.view'), listArchive);
 
 // Creator analytics, earnings & search
-adminRouter.get('/creator/:id/analytics', getCreatorAnalytics);
-adminRouter.get('/creator/:id/profile', getCreatorProfile);
-adminRouter.get('/creator/:id/studio', getCreatorStudio);
-adminRouter.get('/creator/:id/earnings', getCreatorEarnings);
-adminRouter.get('/creator/:id/invoices', getCreatorInvoices);
-adminRouter.post('/creator/:id/resend-settlement-email', resendSettlementEmail);
-adminRouter.get('/search/creators', searchCreators);
+adminRouter.get('/creator/:id/analytics', requireScope('analytics.view'), getCreatorAnalytics);
+adminRouter.get('/creator/:id/profile', requireScope('content.view'), getCreatorProfile);
+adminRouter.get('/creator/:id/studio', requireScope('content.view'), getCreatorStudio);
+adminRouter.get('/creator/:id/earnings', requireScope('payout.view'), getCreatorEarnings);
+adminRouter.get('/creator/:id/invoices', requireScope('payout.view'), getCreatorInvoices);
+adminRouter.post('/creator/:id/resend-settlement-email', requireScope('payout.run'), resendSettlementEmail);
+adminRouter.get('/search/creators', requireScope('content.view'), searchCreators);
 
 // Admin chat with creators
-adminRouter.post('/chat/send', adminSendMessage);
-adminRouter.get('/chat/conversations', adminGetConversations);
-adminRouter.get('/chat/:creatorId', adminGetMessages);
+adminRouter.post('/chat/send', requireScope('support.respond'), adminSendMessage);
+adminRouter.get('/chat/conversations', requireScope('support.respond'), adminGetConversations);
+adminRouter.get('/chat/:creatorId', requireScope('support.respond'), adminGetMessages);
 
 // Admin ban request (admin requests superadmin to ban a channel)
-adminRouter.post('/creator/:id/ban-request', requestBanChannel);
+adminRouter.post('/creator/:id/ban-request', requireScope('content.moderate'), requestBanChannel);
 
 // Audit logs
-adminRouter.get('/audit-logs', listAuditLogs);
+adminRouter.get('/audit-logs', requireScope('audit.view'), listAuditLogs);
 
 // Notifications
-adminRouter.get('/notifications', listNotifications);
-adminRouter.post('/notifications/:id/read', markNotificationRead);
+adminRouter.get('/notifications', requireScope('dashboard.view'), listNotifications);
+adminRouter.post('/notifications/:id/read', requireScope('dashboard.view'), markNotificationRead);
 
 // User management & Email Broadcasts
-adminRouter.get('/users', listUsers);
-adminRouter.get('/users/:userId/detailed-analytics', getUserDetailedAnalytics);
-adminRouter.post('/emails/send-otp', sendAdminEmailOtp);
-adminRouter.post('/send-email', auditLog('email_sent', 'user'), adminSendEmailHandler);
+adminRouter.get('/users', requireScope('users.view'), listUsers);
+adminRouter.get('/users/:userId/detailed-analytics', requireScope('users.view'), getUserDetailedAnalytics);
+adminRouter.post('/emails/send-otp', requireScope('email.send'), sendAdminEmailOtp);
+adminRouter.post('/send-email', requireScope('email.send'), auditLog('email_sent', 'user'), adminSendEmailHandler);
 
 // Email Templates CRUD
-adminRouter.get('/email-templates', listTemplates);
-adminRouter.get('/email-templates/:id', getTemplate);
-adminRouter.post('/email-templates', auditLog('email_template_created', 'email_template'), createTemplate);
-adminRouter.put('/email-templates/:id', auditLog('email_template_updated', 'email_template'), updateTemplate);
-adminRouter.delete('/email-templates/:id', auditLog('email_template_deleted', 'email_template'), deleteTemplate);
+adminRouter.get('/email-templates', requireScope('email.templates'), listTemplates);
+adminRouter.get('/email-templates/:id', requireScope('email.templates'), getTemplate);
+adminRouter.post('/email-templates', requireScope('email.templates'), auditLog('email_template_created', 'email_template'), createTemplate);
+adminRouter.put('/email-templates/:id', requireScope('email.templates'), auditLog('email_template_updated', 'email_template'), updateTemplate);
+adminRouter.delete('/email-templates/:id', requireScope('email.templates'), auditLog('email_template_deleted', 'email_template'), deleteTemplate);
 
 // Email Logs
-adminRouter.get('/email-logs', listEmailLogs);
-adminRouter.get('/email-logs/:id', getEmailLog);
+adminRouter.get('/email-logs', requireScope('email.templates'), listEmailLogs);
+adminRouter.get('/email-logs/:id', requireScope('email.templates'), getEmailLog);
 
 // Admin requests (signup approvals, forgot-password activations)
 
-adminRouter.get('/requests', listRequests);
+adminRouter.get('/requests', requireScope('admins.manage'), listRequests);
 
 // Wallet & KYC management
-adminRouter.get('/kyc', getKycList);
-adminRouter.put('/kyc/:kycId/verify', auditLog('kyc_verified', 'admin'), verifyKyc);
-adminRouter.put('/kyc/:kycId/reject', auditLog('kyc_rejected', 'admin'), rejectKyc);
-adminRouter.get('/wallets/primary', getWalletsList);
-adminRouter.get('/wallets/secondary', getSecondaryWalletsList);
-
-// ─── Payout routes (accessible to all admins) ───────────────────────────────
-adminRouter.get('/payouts/daily-stats', getDailyPayoutStats);
-adminRouter.get('/payouts/:month', getPayoutReport);
-adminRouter.post('/payouts/send-otp', sendBulkPayoutOtp);
-adminRouter.post('/payouts/run', runMonthEndPayout);
-adminRouter.post('/payouts/run-single', auditLog('single_payout', 'payout'), runSingleCreatorPayout);
-adminRouter.post('/payouts/complete-bulk', completeBulkPayoutSettlement);
-adminRouter.post('/payouts/:payoutId/complete', completePayoutSettlement);
-adminRouter.post('/payouts/:payoutId/resend-email', resendSettlementEmail);
-adminRouter.get('/payouts/:payoutId/invoice-pdf', getPayoutInvoicePdf);
-
-// ─── Engagement Payout routes (accessible to all admins) ─────────────────────
-adminRouter.post('/engagement-payouts/send-otp', sendEngagementPayoutOtp);
-adminRouter.post('/engagement-payouts/run', runEngagementPayout);
-adminRouter.post('/engagement-payouts/run-single', auditLog('single_engagement_payout', 'payout'), runSingleCreatorEngagementPayout);
-adminRouter.get('/engagement-payouts/preview', previewEngagementPayout);
-adminRouter.get('/engagement-payouts/:month', getEngagementPayoutReport);
-adminRouter.get('/engagement-payouts/:payoutId/detail', getEngagementPayoutDetail);
+adminRouter.get('/kyc', requireScope('kyc.review'), getKycList);
+adminRouter.put('/kyc/:kycId/verify', requireScope('kyc.review'), auditLog('kyc_verified', 'admin'), verifyKyc);
+adminRouter.put('/kyc/:kycId/reject', requireScope('kyc.review'), auditLog('kyc_rejected', 'admin'), rejectKyc);
+adminRouter.get('/wallets/primary', requireScope('wallet.view'), getWalletsList);
+adminRouter.get('/wallets/secondary', requireScope('wallet.view'), getSecondaryWalletsList);
+
+// ─── Payout routes ───────────────────────────────────────────────────────────
+adminRouter.get('/payouts/daily-stats', requireScope('payout.view'), getDailyPayoutStats);
+adminRouter.get('/payouts/:month', requireScope('payout.view'), getPayoutReport);
+adminRouter.post('/payouts/send-otp', requireScope('payout.run'), sendBulkPayoutOtp);
+adminRouter.post('/payouts/run', requireScope('payout.run'), runMonthEndPayout);
+adminRouter.post('/payouts/run-single', requireScope('payout.run'), auditLog('single_payout', 'payout'), runSingleCreatorPayout);
+adminRouter.post('/payouts/complete-bulk', requireScope('payout.run'), completeBulkPayoutSettlement);
+adminRouter.post('/payouts/:payoutId/complete', requireScope('payout.run'), completePayoutSettlement);
+adminRouter.post('/payouts/:payoutId/resend-email', requireScope('payout.run'), resendSettlementEmail);
+adminRouter.get('/payouts/:payoutId/invoice-pdf', requireScope('payout.view'), getPayoutInvoicePdf);
+
+// PPV refunds & disputes
+adminRouter.get('/refunds', requireScope('refund.review'), listRefundRequests);
+adminRouter.post('/refunds/:id/approve', requireScope('refund.review'), auditLog('refund_approved', 'refund'), approveRefundRequest);
+adminRouter.post('/refunds/:id/reject', requireScope('refund.review'), auditLog('refund_rejected', 'refund'), rejectRefundRequest);
+
+// ─── Engagement Payout routes ────────────────────────────────────────────────
+adminRouter.post('/engagement-payouts/send-otp', requireScope('payout.run'), sendEngagementPayoutOtp);
+adminRouter.post('/engagement-payouts/run', requireScope('payout.run'), runEngagementPayout);
+adminRouter.post('/engagement-payouts/run-single', requireScope('payout.run'), auditLog('single_engagement_payout', 'payout'), runSingleCreatorEngagementPayout);
+adminRouter.get('/engagement-payouts/preview', requireScope('payout.view'), previewEngagementPayout);
+adminRouter.get('/engagement-payouts/:month', requireScope('payout.view'), getEngagementPayoutReport);
+adminRouter.get('/engagement-payouts/:payoutId/detail', requireScope('payout.view'), getEngagementPayoutDetail);
 
 // Ledger & Live Transfers
-adminRouter.get('/ledger/daily', getDailyLedger);
-adminRouter.get('/ledger/live', getLiveTransfers);
+adminRouter.get('/ledger/daily', requireScope('wallet.view'), getDailyLedger);
+adminRouter.get('/ledger/live', requireScope('wallet.view'), getLiveTransfers);
 
 // Referral management routes (add after existing route sections)
-adminRouter.get('/referrals', listReferrals);
-adminRouter.get('/referrals/stats', getReferralStats);
-adminRouter.get('/referrals/settings', getReferralSettingsHandler);
-adminRouter.put('/referrals/settings', auditLog('referral_settings_updated', 'referral'), updateReferralSettingsHandler);
-adminRouter.post('/referrals/settings/send-otp', sendReferralSettingsOtp);
-adminRouter.post('/referrals/settings/verify-otp', auditLog('referral_settings_otp_verified', 'referral'), verifyReferralSettingsOtp);
-adminRouter.get('/referrals/:id', getReferralDetail);
-adminRouter.post('/referrals/:id/approve', auditLog('referral_approved', 'referral'), handleApproveReferral);
-adminRouter.post('/referrals/:id/partial-approve', auditLog('referral_partial_approved', 'referral'), handlePartialApproveReferral);
-adminRouter.post('/referrals/:id/reject', auditLog('referral_rejected', 'referral'), handleRejectReferral);
-
-// ─── SuperAdmin-only routes ──────────────────────────────────────────────────
-adminRouter.post('/approve-signup', requireSuperAdmin, auditLog('signup_approved', 'admin'), approveSignup);
-adminRouter.post('/reject-signup', requireSuperAdmin, auditLog('signup_rejected', 'admin'), rejectSignup);
-adminRouter.post('/forgot-password-approve', requireSuperAdmin, auditLog('forgot_password_approved', 'admin'), forgotPasswordApprove);
-adminRouter.delete('/remove-admin/:id', requireSuperAdmin, auditLog('admin_remove', 'admin'), removeAdmin);
-adminRouter.get('/list-admins', requireSuperAdmin, listAdmins);
-adminRouter.post('/creator/:id/ban', requireSuperAdmin, banChannel);
-adminRouter.post('/creator/:id/unban', requireSuperAdmin, unbanChannel);
-adminRouter.patch('/content/:id/stats', requireSuperAdmin, updateContentStats);
-adminRouter.patch('/creator/:id/stats', requireSuperAdmin, updateCreatorStats);
-adminRouter.post('/creator/:id/stats/reset', requireSuperAdmin, resetCreatorStats);
-adminRouter.post('/unlock-admin/:id', requireSuperAdmin, auditLog('admin_unlock', 'admin'), unlockAdmin);
-adminRouter.post('/analytics/aggregate', requireSuperAdmin, runAggregation);
-adminRouter.post('/wallets/adjust', requireSuperAdmin, auditLog('wallet_adjusted', 'wallet'), adminCreditDebitWallet);
-// Note: run-single routes moved to regular admin section above
+adminRouter.get('/referrals', requireScope('referral.manage'), listReferrals);
+adminRouter.get('/referrals/stats', requireScope('referral.manage'), getReferralStats);
+adminRouter.get('/referrals/settings', requireScope('referral.manage'), getReferralSettingsHandler);
+adminRouter.put('/referrals/settings', requireScope('referral.manage'), auditLog('referral_settings_updated', 'referral'), updateReferralSettingsHandler);
+adminRouter.post('/referrals/settings/send-otp', requireScope('referral.manage'), sendReferralSettingsOtp);
+adminRouter.post('/referrals/settings/verify-otp', requireScope('referral.manage'), auditLog('referral_settings_otp_verified', 'referral'), verifyReferralSettingsOtp);
+adminRouter.get('/referrals/:id', requireScope('referral.manage'), getReferralDetail);
+adminRouter.post('/referrals/:id/approve', requireScope('referral.manage'), auditLog('referral_approved', 'referral'), handleApproveReferral);
+adminRouter.post('/referrals/:id/partial-approve', requireScope('referral.manage'), auditLog('referral_partial_approved', 'referral'), handlePartialApproveReferral);
+adminRouter.post('/referrals/:id/reject', requireScope('referral.manage'), auditLog('referral_rejected', 'referral'), handleRejectReferral);
+
+// Webhooks — partner endpoints and the delivery log
+adminRouter.get('/webhooks/endpoints', requireScope('webhooks.manage'), listWebhookEndpoints);
+adminRouter.post('/webhooks/endpoints', requireScope('webhooks.manage'), auditLog('webhook_partner_created', 'webhook_endpoint'), createPartnerEndpoint);
+adminRouter.patch('/webhooks/endpoints/:id', requireScope('webhooks.manage'), auditLog('webhook_endpoint_updated', 'webhook_endpoint'), updateWebhookEndpoint);
+adminRouter.delete('/webhooks/endpoints/:id', requireScope('webhooks.manage'), auditLog('webhook_partner_deleted', 'webhook_endpoint'), deletePartnerEndpoint);
+adminRouter.post('/webhooks/endpoints/:id/rotate-secret', requireScope('webhooks.manage'), auditLog('webhook_secret_rotated', 'webhook_endpoint'), rotatePartnerSecret);
+adminRouter.post('/webhooks/endpoints/:id/test', requireScope('webhooks.manage'), testPartnerEndpoint);
+adminRouter.get('/webhooks/deliveries', requireScope('webhooks.manage'), listDeliveries);
+adminRouter.get('/webhooks/deliveries/:id', requireScope('webhooks.manage'), getDeliveryDetail);
+adminRouter.post('/webhooks/deliveries/:id/replay', requireScope('webhooks.manage'), auditLog('webhook_delivery_replayed', 'webhook_delivery'), replayDeliveryHandler);
+
+// ─── Admin management, bans, stats & wallet adjustments ──────────────────────
+// (not part of any role template — SuperAdmins, or admins granted the scope individually)
+adminRouter.post('/approve-signup', requireScope('admins.manage'), auditLog('signup_approved', 'admin'), approveSignup);
+adminRouter.post('/reject-signup', requireScope('admins.manage'), auditLog('signup_rejected', 'admin'), rejectSignup);
+adminRouter.post('/forgot-password-approve', requireScope('admins.manage'), auditLog('forgot_password_approved', 'admin'), forgotPasswordApprove);
+adminRouter.delete('/remove-admin/:id', requireScope('admins.manage'), auditLog('admin_remove', 'admin'), removeAdmin);
+adminRouter.get('/list-admins', requireScope('admins.manage'), listAdmins);
+adminRouter.post('/creator/:id/ban', requireScope('channel.ban'), banChannel);
+adminRouter.post('/creator/:id/unban', requireScope('channel.ban'), unbanChannel);
+adminRouter.patch('/content/:id/stats', requireScope('content.stats'), updateContentStats);
+adminRouter.patch('/creator/:id/stats', requireScope('content.stats'), updateCreatorStats);
+adminRouter.post('/creator/:id/stats/reset', requireScope('content.stats'), resetCreatorStats);
+adminRouter.post('/unlock-admin/:id', requireScope('admins.manage'), auditLog('admin_unlock', 'admin'), unlockAdmin);
+adminRouter.post('/analytics/aggregate', requireScope('analytics.aggregate'), runAggregation);
+adminRouter.post('/wallets/adjust', requireScope('wallet.adjust'), auditLog('wallet_adjusted', 'wallet'), adminCreditDebitWallet);
+
+// Roles & permissions — only SuperAdmins assign roles
+adminRouter.get('/roles', requireScope('admins.manage'), listRoleTemplates);
+adminRouter.put('/admins/:id/role', requireSuperAdmin, requireScope('admins.manage'), updateAdminRole);
 
 export default adminRouter;
@@ -0,0 +1,29 @@
+/**
+ * Appeal Router - /api/v2/appeals
+ * Admin and community-owner queues live in adminRouter.js and communityRouter.js.
+ */
+import express from 'express';
+import {
+    getEligibleActions,
+    fileAppeal,
+    listMyAppeals,
+    getMyAppeal
+} from '../../controllers/appeal-controllers/appealController.js';
+import { universalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+
+const router = express.Router();
+
+// All appeal routes require authentication
+router.use(universalTokenVerifier);
+
+// Takedowns and bans the user can appeal
+router.get('/eligible', getEligibleActions);
+
+// File an appeal / list own appeals
+router.post('/', fileAppeal);
+router.get('/', listMyAppeals);
+
+// Single appeal
+router.get('/:id', getMyAppeal);
+
+export default router;
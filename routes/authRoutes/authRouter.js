@@ -10,7 +10,12 @@ import { universalTokenVerifier, optionalTokenVerifier } from '../../controllers
 import { userData } from '../../controllers/auth-controllers/userdata.js';
 import { updateChannel, checkHandleAvailability, generateHandleSuggestion } from '../../controllers/auth-controllers/updateChannel.js';
 import { refreshToken } from '../../controllers/auth-controllers/refreshToken.js';
-import { logout } from '../../controllers/auth-controllers/logoutController.js';
+import { logout, logoutAll } from '../../controllers/auth-controllers/logoutController.js';
+import { getSessions, revokeSessionById, revokeOtherSessions, revokeSessionFromLink } from '../../controllers/auth-controllers/sessionsController.js';
+import {
+    getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor,
+    regenerateRecoveryCodes, forgetRememberedDevices, verifyTwoFactorLogin,
+} from '../../controllers/auth-controllers/twoFactorController.js';
 import { adminRateLimiter } from '../../middlewares/admin.middleware.js';
 const authRouter = express.Router();
 
@@ -33,6 +38,22 @@ authRouter.post("/refresh", refreshToken);
 
 // Logout — optionalTokenVerifier so it works even if access token expired
 authRouter.post("/logout", optionalTokenVerifier, logout);
+authRouter.post("/logout-all", universalTokenVerifier, logoutAll);
+
+// Signed-in devices — list and remote sign-out
+authRouter.get("/sessions", universalTokenVerifier, getSessions);
+authRouter.delete("/sessions", universalTokenVerifier, revokeOtherSessions);
+authRouter.post("/sessions/revoke-link", adminRateLimiter(10, 60000), revokeSessionFromLink);
+authRouter.delete("/sessions/:sessionId", universalTokenVerifier, revokeSessionById);
+
+// TOTP two-factor authentication
+authRouter.post("/2fa/verify-login", adminRateLimiter(10, 60000), verifyTwoFactorLogin);
+authRouter.get("/2fa", universalTokenVerifier, getTwoFactorStatus);
+authRouter.post("/2fa/setup", universalTokenVerifier, adminRateLimiter(5, 60000), setupTwoFactor);
+authRouter.post("/2fa/enable", universalTokenVerifier, adminRateLimiter(5, 60000), enableTwoFactor);
+authRouter.post("/2fa/disable", universalTokenVerifier, adminRateLimiter(5, 60000), disableTwoFactor);
+authRouter.post("/2fa/recovery-codes", universalTokenVerifier, adminRateLimiter(5, 60000), regenerateRecoveryCodes);
+authRouter.delete("/2fa/remembered-devices", universalTokenVerifier, forgetRememberedDevices);
 
 // Auth check endpoint — returns user data if authenticated, 401 if not
 authRouter.get("/me", universalTokenVerifier, userData);
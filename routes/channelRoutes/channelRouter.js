@@ -4,7 +4,7 @@
  */
 
 import express from 'express';
-import { getChannelPage, getChannelContent, checkNewContent, getChannelFollowers } from '../../controllers/channel-controllers/channelController.js';
+import { getChannelPage, getChannelContent, checkNewContent, getChannelFollowers, getChannelPlaylists } from '../../controllers/channel-controllers/channelController.js';
 import { optionalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
 
 const router = express.Router();
@@ -19,6 +19,9 @@ router.get('/:channelIdentifier', optionalTokenVerifier, getChannelPage);
 // Get channel content by type with sorting
 router.get('/:channelIdentifier/content', optionalTokenVerifier, getChannelContent);
 
+// Get channel's public playlists
+router.get('/:channelIdentifier/playlists', getChannelPlaylists);
+
 // Get top 20 creator followers sorted by their follower count
 router.get('/:channelIdentifier/followers', getChannelFollowers);
 
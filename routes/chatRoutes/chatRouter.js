@@ -28,17 +28,32 @@ import {
     editGroupInfo,
     getGroups,
     searchMessages,
-    searchGroupMessages
+    searchGroupMessages,
+    createGroupInvite,
+    listGroupInvites,
+    revokeGroupInvite,
+    getGroupInviteRedemptions,
+    previewGroupInvite,
+    joinGroupViaInvite
 } from '../../controllers/chat-controllers/chatController.js';
+import { openChatStream, sendTypingIndicator } from '../../controllers/chat-controllers/chatStreamController.js';
 import { universalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+import { rateLimit } from '../../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
 // All chat routes require authentication
 router.use(universalTokenVerifier);
 
+// Per-user send limit shared by DMs and group messages
+const sendLimiter = rateLimit({ group: 'chat:send', limit: 30, windowMs: 60000, keyBy: 'user', message: 'You are sending messages too fast. Please slow down.' });
+
+// Realtime event stream (SSE) + typing indicators
+router.get('/stream', openChatStream);
+router.post('/typing/:conversationId', sendTypingIndicator);
+
 // Send a DM
-router.post('/send', sendMessage);
+router.post('/send', sendLimiter, sendMessage);
 
 // Get conversations (accepted chats)
 router.get('/conversations', getConversations);
@@ -88,12 +103,18 @@ router.delete('/hide/:conversationId', hideConversation);
 // ── Group routes ──
 router.get('/groups', getGroups);
 router.post('/group/create', createGroup);
+router.get('/group/invites/:code', previewGroupInvite);
+router.post('/group/invites/:code/join', joinGroupViaInvite);
 router.post('/group/:conversationId/accept-invite', acceptGroupInvite);
 router.post('/group/:conversationId/leave', leaveGroup);
-router.post('/group/:conversationId/send', sendGroupMessage);
+router.post('/group/:conversationId/send', sendLimiter, sendGroupMessage);
 router.get('/group/:conversationId/messages', getGroupMessages);
 router.get('/group/:conversationId/search', searchGroupMessages);
 router.patch('/group/:conversationId/make-admin/:memberId', makeGroupAdmin);
 router.patch('/group/:conversationId', editGroupInfo);
+router.post('/group/:conversationId/invites', createGroupInvite);
+router.get('/group/:conversationId/invites', listGroupInvites);
+router.delete('/group/:conversationId/invites/:inviteId', revokeGroupInvite);
+router.get('/group/:conversationId/invites/:inviteId/redemptions', getGroupInviteRedemptions);
 
 export default router;
@@ -9,20 +9,25 @@ import {
     replyToComment
 } from "../../controllers/comment-controllers/commentController.js";
 import { universalTokenVerifier, optionalTokenVerifier } from "../../controllers/auth-controllers/universalTokenVerifier.js";
+import { rateLimit } from "../../middlewares/rateLimiter.js";
+import { apiKeyOrToken } from "../../middlewares/apiKeyAuth.js";
 
 const router = express.Router({ mergeParams: true });
 
+// Per-user posting limit shared by new comments and replies
+const commentLimiter = rateLimit({ group: 'comments', limit: 10, windowMs: 60000, keyBy: 'user', message: 'You are commenting too fast. Please wait a moment.' });
+
 // Comments on videos (optionalTokenVerifier to get userLiked status)
-router.post("/", universalTokenVerifier, createComment);
+router.post("/", apiKeyOrToken('comments.manage'), commentLimiter, createComment);
 router.get("/", optionalTokenVerifier, getComments);
 
 // Comment replies (optionalTokenVerifier to get userLiked status)
 router.get("/:commentId/replies", optionalTokenVerifier, getCommentReplies);
-router.post("/:commentId/reply", universalTokenVerifier, replyToComment);
+router.post("/:commentId/reply", apiKeyOrToken('comments.manage'), commentLimiter, replyToComment);
 
 // Comment management
-router.put("/:commentId", universalTokenVerifier, editComment);
-router.delete("/:commentId", universalTokenVerifier, deleteComment);
+router.put("/:commentId", apiKeyOrToken('comments.manage'), editComment);
+router.delete("/:commentId", apiKeyOrToken('comments.manage'), deleteComment);
 
 // Comment likes
 router.post("/:commentId/like", universalTokenVerifier, likeComment);
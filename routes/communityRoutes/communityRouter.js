@@ -31,7 +31,9 @@ import {
     moderateContent,
     warnMember,
     muteMember,
-    getModerationLog
+    getModerationLog,
+    getAutomod,
+    updateAutomod
 } from '../../controllers/community-controllers/communityController.js';
 import {
     getCommunityFeed,
@@ -44,11 +46,39 @@ import {
     getChatMessages,
     editChatMessage,
     deleteChatMessage,
+    sendChatTyping,
     reportContent,
     getContentCommunities,
     getRecommendedCommunities,
     updateFeedWatchTime
 } from '../../controllers/community-controllers/communityChatController.js';
+import {
+    createCommunityPost,
+    listCommunityPosts,
+    getCommunityPost,
+    deleteCommunityPost,
+    pinCommunityPost,
+    unpinCommunityPost,
+    votePoll,
+    retractPollVote,
+    closePoll,
+    getPollVoters,
+    rsvpEvent,
+    cancelEventRsvp,
+    getEventRsvps
+} from '../../controllers/community-controllers/communityPostController.js';
+import {
+    createCommunityInvite,
+    listCommunityInvites,
+    revokeCommunityInvite,
+    getCommunityInviteRedemptions,
+    previewCommunityInvite,
+    acceptCommunityInvite
+} from '../../controllers/community-controllers/communityInviteController.js';
+import {
+    listCommunityAppeals,
+    decideCommunityAppeal
+} from '../../controllers/community-controllers/communityAppealController.js';
 
 const router = express.Router();
 
@@ -66,6 +96,10 @@ router.post('/report', universalTokenVerifier, reportContent);
 // ── Feed watch time ──
 router.post('/feed-watch-time', universalTokenVerifier, updateFeedWatchTime);
 
+// ── Invite links (by code) ──
+router.get('/invites/:code', optionalTokenVerifier, previewCommunityInvite);
+router.post('/invites/:code/accept', universalTokenVerifier, acceptCommunityInvite);
+
 // ── Content posting to communities ──
 router.post('/content', universalTokenVerifier, postContentToCommunities);
 
@@ -88,6 +122,16 @@ router.post('/:id/unban/:targetUserId', universalTokenVerifier, unbanMember);
 router.post('/:id/remove/:targetUserId', universalTokenVerifier, removeMember);
 router.post('/:id/add-member', universalTokenVerifier, addMember);
 
+// ── Invite links ──
+router.post('/:id/invites', universalTokenVerifier, createCommunityInvite);
+router.get('/:id/invites', universalTokenVerifier, listCommunityInvites);
+router.delete('/:id/invites/:inviteId', universalTokenVerifier, revokeCommunityInvite);
+router.get('/:id/invites/:inviteId/redemptions', universalTokenVerifier, getCommunityInviteRedemptions);
+
+// ── Ban appeals (owner queue; members file through /api/v2/appeals) ──
+router.get('/:id/appeals', universalTokenVerifier, listCommunityAppeals);
+router.post('/:id/appeals/:appealId/decide', universalTokenVerifier, decideCommunityAppeal);
+
 // ── Role management ──
 router.post('/:id/role/:targetUserId', universalTokenVerifier, changeRole);
 router.post('/:id/transfer', universalTokenVerifier, transferOwnership);
@@ -98,6 +142,8 @@ router.post('/:id/moderate-content', universalTokenVerifier, moderateContent);
 router.post('/:id/warn/:targetUserId', universalTokenVerifier, warnMember);
 router.post('/:id/mute/:targetUserId', universalTokenVerifier, muteMember);
 router.get('/:id/moderation-log', universalTokenVerifier, getModerationLog);
+router.get('/:id/automod', universalTokenVerifier, getAutomod);
+router.put('/:id/automod', universalTokenVerifier, updateAutomod);
 
 // ── Rules ──
 router.get('/:id/rules', optionalTokenVerifier, getRules);
@@ -114,10 +160,26 @@ router.get('/:id/import-status', universalTokenVerifier, getImportStatus);
 
 // ── Community Chat ──
 router.post('/:id/chat', universalTokenVerifier, sendChatMessage);
+router.post('/:id/chat/typing', universalTokenVerifier, sendChatTyping);
 router.get('/:id/chat', universalTokenVerifier, getChatMessages);
 router.patch('/:id/chat/:messageId', universalTokenVerifier, editChatMessage);
 router.delete('/:id/chat/:messageId', universalTokenVerifier, deleteChatMessage);
 
+// ── Community posts: polls, events & announcements ──
+router.post('/:id/posts', universalTokenVerifier, createCommunityPost);
+router.get('/:id/posts', optionalTokenVerifier, listCommunityPosts);
+router.get('/:id/posts/:postId', optionalTokenVerifier, getCommunityPost);
+router.delete('/:id/posts/:postId', universalTokenVerifier, deleteCommunityPost);
+router.post('/:id/posts/:postId/pin', universalTokenVerifier, pinCommunityPost);
+router.delete('/:id/posts/:postId/pin', universalTokenVerifier, unpinCommunityPost);
+router.post('/:id/posts/:postId/vote', universalTokenVerifier, votePoll);
+router.delete('/:id/posts/:postId/vote', universalTokenVerifier, retractPollVote);
+router.post('/:id/posts/:postId/close', universalTokenVerifier, closePoll);
+router.get('/:id/posts/:postId/voters', optionalTokenVerifier, getPollVoters);
+router.post('/:id/posts/:postId/rsvp', universalTokenVerifier, rsvpEvent);
+router.delete('/:id/posts/:postId/rsvp', universalTokenVerifier, cancelEventRsvp);
+router.get('/:id/posts/:postId/rsvps', optionalTokenVerifier, getEventRsvps);
+
 // ── Content communities (for chat community picker) ──
 router.get('/content-communities/:contentId', universalTokenVerifier, getContentCommunities);
 
@@ -32,7 +32,9 @@ import { getSubscriptionPosts } from '../../controllers/content-controllers/post
 
 import { multipartInit, multipartComplete, multipartAbort } from '../../controllers/content-controllers/multipartUploadController.js';
 import { shareContent } from '../../controllers/content-controllers/interactions.js';
+import { getPremiereCountdown, updateSchedule } from '../../controllers/content-controllers/scheduleController.js';
 import { universalTokenVerifier, optionalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+import { apiKeyOrToken } from '../../middlewares/apiKeyAuth.js';
 import payPerViewAccess from '../../middlewares/payPerViewAccess.js';
 
 const router = express.Router();
@@ -55,9 +57,9 @@ const upload = multer({
 // ============================================
 // MULTIPART UPLOAD ROUTES (fast parallel chunked uploads)
 // ============================================
-router.post('/upload/multipart/init', universalTokenVerifier, multipartInit);
-router.post('/upload/multipart/complete', universalTokenVerifier, multipartComplete);
-router.post('/upload/multipart/abort', universalTokenVerifier, multipartAbort);
+router.post('/upload/multipart/init', apiKeyOrToken('content.upload'), multipartInit);
+router.post('/upload/multipart/complete', apiKeyOrToken('content.upload'), multipartComplete);
+router.post('/upload/multipart/abort', apiKeyOrToken('content.upload'), multipartAbort);
 
 // ============================================
 // MOUNT SUB-ROUTERS
@@ -69,7 +71,7 @@ router.use('/post', postsRouter);
 // ============================================
 // THUMBNAIL ROUTE (for any content type)
 // ============================================
-router.post('/:id/thumbnail', universalTokenVerifier, upload.single('thumbnail'), uploadThumbnail);
+router.post('/:id/thumbnail', apiKeyOrToken('content.upload'), upload.single('thumbnail'), uploadThumbnail);
 
 // ============================================
 // PLAYER FEEDS (also accessible at root level)
@@ -86,6 +88,12 @@ router.post('/:id/engagement', universalTokenVerifier, updateContentEngagement);
 router.get('/:id/engagement/status', universalTokenVerifier, getContentEngagementStatus);
 router.post('/:id/watch-time', optionalTokenVerifier, updateContentWatchTime);
 
+// ============================================
+// SCHEDULED PUBLISHING / PREMIERES
+// ============================================
+router.get('/:id/premiere', optionalTokenVerifier, getPremiereCountdown);
+router.patch('/:id/schedule', universalTokenVerifier, updateSchedule);
+
 // ============================================
 // REPORT ROUTE (report any content - same model as community feed)
 // ============================================
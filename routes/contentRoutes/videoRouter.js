@@ -23,6 +23,15 @@ import {
     uploadVideoThumbnail,
     getSpecificContent,
 } from "../../controllers/content-controllers/videoController.js";
+import {
+    captionUploadInit,
+    captionUploadComplete,
+    listCaptions,
+    updateCaption,
+    deleteCaption,
+    getCaptionPlaylist,
+    getCaptionFile,
+} from "../../controllers/content-controllers/captionController.js";
 import { getRentalRecommendations } from "../../controllers/content-controllers/rentalRecommendationController.js";
 import { getMixedFeed, getRecommendationsWithShorts, getCategoryTags, getCategoryFeed, getCategoryTrending } from "../../controllers/content-controllers/feedController.js";
 import { likeVideo, dislikeVideo, subscribeToUser, updateWatchTime, shareContent } from "../../controllers/content-controllers/interactions.js";
@@ -30,6 +39,7 @@ import { likeVideo, dislikeVideo, subscribeToUser, updateWatchTime, shareContent
 import { searchVideos, getSearchSuggestions, clearSearchHistory, unifiedSearch } from "../../controllers/content-controllers/search.js";
 import { multipartInit, multipartComplete, multipartAbort } from "../../controllers/content-controllers/multipartUploadController.js";
 import { universalTokenVerifier, optionalTokenVerifier } from "../../controllers/auth-controllers/universalTokenVerifier.js";
+import { apiKeyOrToken } from "../../middlewares/apiKeyAuth.js";
 import payPerViewAccess from "../../middlewares/payPerViewAccess.js";
 import commentRouter from "../commentRoutes/commentRouter.js";
 
@@ -51,9 +61,9 @@ router.post("/:id/share", optionalTokenVerifier, shareContent);
 // CRITICAL: Route order matters! Most specific first, general last
 
 // Multipart upload routes (fast parallel chunked uploads)
-router.post("/upload/multipart/init", universalTokenVerifier, multipartInit);
-router.post("/upload/multipart/complete", universalTokenVerifier, multipartComplete);
-router.post("/upload/multipart/abort", universalTokenVerifier, multipartAbort);
+router.post("/upload/multipart/init", apiKeyOrToken('content.upload'), multipartInit);
+router.post("/upload/multipart/complete", apiKeyOrToken('content.upload'), multipartComplete);
+router.post("/upload/multipart/abort", apiKeyOrToken('content.upload'), multipartAbort);
 
 // Legacy upload routes (single PUT - kept for backward compat)
 router.post("/upload/complete", universalTokenVerifier, uploadComplete);
@@ -92,6 +102,15 @@ router.get('/:id/master.m3u8', optionalTokenVerifier, payPerViewAccess, getHLSMa
 router.get('/:id/variants/:variantFile', optionalTokenVerifier, payPerViewAccess, getHLSVariantPlaylist);
 router.get('/:id/segments/:segmentFile', optionalTokenVerifier, payPerViewAccess, getHLSSegment);
 
+// Captions / subtitles — upload (creator) + playback (PPV gated at route level)
+router.post('/:id/captions/upload/init', universalTokenVerifier, captionUploadInit);
+router.post('/:id/captions/upload/complete', universalTokenVerifier, captionUploadComplete);
+router.get('/:id/captions', optionalTokenVerifier, payPerViewAccess, listCaptions);
+router.get('/:id/captions/:language/playlist.m3u8', optionalTokenVerifier, payPerViewAccess, getCaptionPlaylist);
+router.get('/:id/captions/:language/captions.vtt', optionalTokenVerifier, payPerViewAccess, getCaptionFile);
+router.patch('/:id/captions/:language', universalTokenVerifier, updateCaption);
+router.delete('/:id/captions/:language', universalTokenVerifier, deleteCaption);
+
 // Like/Dislike
 router.post("/:id/like", universalTokenVerifier, likeVideo);
 router.post("/:id/dislike", universalTokenVerifier, dislikeVideo);
@@ -106,7 +125,7 @@ router.post("/user/:userId/subscribe", universalTokenVerifier, subscribeToUser);
 router.post("/:id/watch-time", optionalTokenVerifier, updateWatchTime);
 
 // Thumbnail upload
-router.post("/:id/thumbnail", universalTokenVerifier, upload.single('thumbnail'), uploadVideoThumbnail);
+router.post("/:id/thumbnail", apiKeyOrToken('content.upload'), upload.single('thumbnail'), uploadVideoThumbnail);
 
 // Status
 router.get("/:id/status", optionalTokenVerifier, getVideoStatus);
@@ -0,0 +1,31 @@
+/**
+ * Coupon Router - /api/v2/coupons
+ */
+import express from 'express';
+import {
+    createCoupon,
+    getMyCoupons,
+    updateCoupon,
+    deactivateCoupon,
+    getPriceQuote,
+    setSalePrice,
+    clearSalePrice
+} from '../../controllers/coupon-controllers/couponController.js';
+import { universalTokenVerifier, optionalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+
+const router = express.Router();
+
+// Price quote (sale + optional coupon) — MUST be before /:couponId
+router.get('/quote', optionalTokenVerifier, getPriceQuote);
+
+// Sale prices on own PPV content
+router.put('/sale/:contentId', universalTokenVerifier, setSalePrice);
+router.delete('/sale/:contentId', universalTokenVerifier, clearSalePrice);
+
+// Creator coupons
+router.post('/', universalTokenVerifier, createCoupon);
+router.get('/mine', universalTokenVerifier, getMyCoupons);
+router.patch('/:couponId', universalTokenVerifier, updateCoupon);
+router.delete('/:couponId', universalTokenVerifier, deactivateCoupon);
+
+export default router;
@@ -0,0 +1,38 @@
+/**
+ * Membership Router - /api/v2/memberships
+ */
+import express from 'express';
+import {
+    getMyTiers,
+    createTier,
+    updateTier,
+    getMyMembers,
+    getChannelTiers,
+    getMyMemberships,
+    joinMembership,
+    cancelMembership,
+    resumeMembership,
+    changeMembershipTier
+} from '../../controllers/membership-controllers/membershipController.js';
+import { universalTokenVerifier, optionalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+import { rateLimit } from '../../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+const joinLimiter = rateLimit({ group: 'membership:join', limit: 10, windowMs: 15 * 60 * 1000, keyBy: 'user', message: 'Too many membership attempts. Please try again later.' });
+
+// Creator tiers & members
+router.get('/tiers/mine', universalTokenVerifier, getMyTiers);
+router.post('/tiers', universalTokenVerifier, createTier);
+router.patch('/tiers/:tierId', universalTokenVerifier, updateTier);
+router.get('/members', universalTokenVerifier, getMyMembers);
+
+// Fan memberships
+router.get('/mine', universalTokenVerifier, getMyMemberships);
+router.get('/channel/:creatorId', optionalTokenVerifier, getChannelTiers);
+router.post('/channel/:creatorId/join', universalTokenVerifier, joinLimiter, joinMembership);
+router.post('/channel/:creatorId/cancel', universalTokenVerifier, cancelMembership);
+router.post('/channel/:creatorId/resume', universalTokenVerifier, resumeMembership);
+router.patch('/channel/:creatorId/tier', universalTokenVerifier, changeMembershipTier);
+
+export default router;
@@ -6,7 +6,11 @@ import {
     getNotifications,
     dismissNotification,
     getUnreadNotificationCount,
-    markAllNotificationsRead
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    muteNotificationUser,
+    unmuteNotificationUser
 } from '../../controllers/notification-controllers/notificationController.js';
 import { universalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
 
@@ -15,7 +19,7 @@ const router = express.Router();
 // All notification routes require authentication
 router.use(universalTokenVerifier);
 
-// Get notifications (max 10)
+// Get notifications (max 50, optional ?type=)
 router.get('/', getNotifications);
 
 // Get unread count
@@ -27,4 +31,12 @@ router.post('/mark-read', markAllNotificationsRead);
 // Dismiss a specific notification
 router.post('/dismiss/:id', dismissNotification);
 
+// Per-type preferences and mute-all
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', updateNotificationPreferences);
+
+// Mute / unmute notifications caused by a specific user
+router.post('/mute/:userId', muteNotificationUser);
+router.delete('/mute/:userId', unmuteNotificationUser);
+
 export default router;
@@ -0,0 +1,43 @@
+/**
+ * Playlist Router - /api/v2/playlists
+ */
+import express from 'express';
+import {
+    createPlaylist,
+    getMyPlaylists,
+    getPlaylist,
+    updatePlaylist,
+    deletePlaylist,
+    addPlaylistItem,
+    removePlaylistItem,
+    reorderPlaylistItems,
+    addCollaborator,
+    removeCollaborator
+} from '../../controllers/playlist-controllers/playlistController.js';
+import { universalTokenVerifier, optionalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+
+const router = express.Router();
+
+// Create a playlist
+router.post('/', universalTokenVerifier, createPlaylist);
+
+// Playlists I own or collaborate on (MUST be before /:playlistId)
+router.get('/mine', universalTokenVerifier, getMyPlaylists);
+
+// Get a playlist — public/unlisted for anyone, private for owner + collaborators
+router.get('/:playlistId', optionalTokenVerifier, getPlaylist);
+
+// Update / delete playlist (owner only)
+router.patch('/:playlistId', universalTokenVerifier, updatePlaylist);
+router.delete('/:playlistId', universalTokenVerifier, deletePlaylist);
+
+// Items (owner or collaborator) — /items/order MUST be before /items/:contentId
+router.post('/:playlistId/items', universalTokenVerifier, addPlaylistItem);
+router.put('/:playlistId/items/order', universalTokenVerifier, reorderPlaylistItems);
+router.delete('/:playlistId/items/:contentId', universalTokenVerifier, removePlaylistItem);
+
+// Collaborators
+router.post('/:playlistId/collaborators', universalTokenVerifier, addCollaborator);
+router.delete('/:playlistId/collaborators/:userId', universalTokenVerifier, removeCollaborator);
+
+export default router;
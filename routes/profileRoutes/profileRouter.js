@@ -17,28 +17,46 @@ import {
     checkContentActiveRentals,
     permanentlyDeleteContent,
 } from '../../controllers/profile-controllers/profileController.js';
+import {
+    getApiKeys,
+    createApiKey,
+    updateApiKey,
+    revokeApiKey,
+    getApiKeyUsage,
+} from '../../controllers/profile-controllers/apiKeyController.js';
 import { universalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+import { apiKeyOrToken } from '../../middlewares/apiKeyAuth.js';
+import { rateLimit } from '../../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
+const apiKeyCreateLimiter = rateLimit({ group: 'apikeys:create', limit: 10, windowMs: 60 * 60 * 1000, keyBy: 'user', message: 'Too many API keys created. Please try again later.' });
+
 // Profile settings
 router.get('/settings', universalTokenVerifier, getProfileSettings);
 router.put('/settings', universalTokenVerifier, updateProfileSettings);
 router.get('/recommended-profiles', universalTokenVerifier, getRecommendedProfiles);
 
+// Personal API keys (session only)
+router.get('/api-keys', universalTokenVerifier, getApiKeys);
+router.post('/api-keys', universalTokenVerifier, apiKeyCreateLimiter, createApiKey);
+router.patch('/api-keys/:keyId', universalTokenVerifier, updateApiKey);
+router.delete('/api-keys/:keyId', universalTokenVerifier, revokeApiKey);
+router.get('/api-keys/:keyId/usage', universalTokenVerifier, getApiKeyUsage);
+
 // Creator's own content management
-router.get('/content', universalTokenVerifier, getMyContent);
+router.get('/content', apiKeyOrToken('analytics.read'), getMyContent);
 router.put('/content/:id', universalTokenVerifier, updateContent);
 router.delete('/content/:id', universalTokenVerifier, deleteContent);
 
 // Content analytics
-router.get('/content/:id/analytics', universalTokenVerifier, getContentAnalytics);
+router.get('/content/:id/analytics', apiKeyOrToken('analytics.read'), getContentAnalytics);
 
 // Content rental check & permanent deletion
 router.get('/content/:id/active-rentals', universalTokenVerifier, checkContentActiveRentals);
 router.delete('/content/:id/permanent', universalTokenVerifier, permanentlyDeleteContent);
 
 // Comment deletion (user can only delete own comments)
-router.delete('/comments/:commentId', universalTokenVerifier, deleteComment);
+router.delete('/comments/:commentId', apiKeyOrToken('comments.manage'), deleteComment);
 
 export default router;
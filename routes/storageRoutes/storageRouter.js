@@ -0,0 +1,15 @@
+/**
+ * Storage Router - /storage
+ * Local filesystem storage driver only (STORAGE_DRIVER=local). Mounted outside /api so
+ * HLS segment fetches don't count against the API rate limit, and before the JSON body
+ * parser so uploads arrive as raw streams.
+ */
+import express from 'express';
+import { serveObject, uploadObject } from '../../controllers/storage-controllers/localStorageController.js';
+
+const router = express.Router();
+
+router.get('/*key', serveObject);
+router.put('/*key', uploadObject);
+
+export default router;
@@ -19,11 +19,21 @@ import { handleRechargeWebhook } from '../../controllers/wallet-controllers/rech
 import { runMonthEndPayout, getPayoutReport } from '../../controllers/wallet-controllers/payoutJobController.js';
 import { getCreatorEarnings } from '../../controllers/wallet-controllers/earningsController.js';
 import { getContentEarnings } from '../../controllers/wallet-controllers/contentEarningsController.js';
+import { requestRefund, getMyRefundRequests } from '../../controllers/wallet-controllers/refundController.js';
+import { tipContent, tipCommunity, getTipsReceived, getTipsSent } from '../../controllers/wallet-controllers/tipController.js';
 
-import { adminTokenVerifier } from '../../middlewares/admin.middleware.js';
+import { adminTokenVerifier, requireScope } from '../../middlewares/admin.middleware.js';
+import { rateLimit } from '../../middlewares/rateLimiter.js';
+import { apiKeyOrToken } from '../../middlewares/apiKeyAuth.js';
+import requireTwoFactorEnrolment from '../../middlewares/twoFactorEnrolment.js';
 
 const walletRouter = express.Router();
 
+// Per-user cap on OTP emails across transfer / KYC / PIN flows (each flow also has its own resend cooldown)
+const otpSendLimiter = rateLimit({ group: 'wallet:otp', limit: 5, windowMs: 15 * 60 * 1000, keyBy: 'user', message: 'Too many OTP requests. Please try again later.' });
+// Tips post into comments / chat, so cap them like chat messages
+const tipLimiter = rateLimit({ group: 'wallet:tip', limit: 10, windowMs: 60 * 1000, keyBy: 'user', message: 'You are sending tips too fast. Please slow down.' });
+
 // Multer for KYC document upload (memory storage, max 15MB, images & PDF)
 const kycUpload = multer({
     storage: multer.memoryStorage(),
@@ -36,29 +46,35 @@ const kycUpload = multer({
 
 // ── User & Creator wallet endpoints ──
 walletRouter.get('/wallets', universalTokenVerifier, getMyWallets);
-walletRouter.get('/wallets/earnings', universalTokenVerifier, getCreatorEarnings);
+walletRouter.get('/wallets/earnings', apiKeyOrToken('earnings.read'), getCreatorEarnings);
 walletRouter.get('/wallets/earnings/:creatorId', universalTokenVerifier, getCreatorEarnings);
-walletRouter.get('/wallets/content/:contentId/earnings', universalTokenVerifier, getContentEarnings);
+walletRouter.get('/wallets/content/:contentId/earnings', apiKeyOrToken('earnings.read'), getContentEarnings);
 walletRouter.get('/wallets/:walletId/transactions', universalTokenVerifier, getWalletTransactions);
 walletRouter.post('/wallets/recharge', universalTokenVerifier, rechargeInit);
 walletRouter.post('/wallets/transfer', universalTokenVerifier, transferToWalletOne);
-walletRouter.post('/wallets/transfer/send-otp', universalTokenVerifier, sendTransferOtp);
-walletRouter.post('/wallets/kyc/send-otp', universalTokenVerifier, sendKycOtp);
+walletRouter.post('/wallets/transfer/send-otp', universalTokenVerifier, otpSendLimiter, sendTransferOtp);
+walletRouter.post('/wallets/kyc/send-otp', universalTokenVerifier, otpSendLimiter, sendKycOtp);
 walletRouter.post('/wallets/kyc/verify-otp', universalTokenVerifier, verifyKycOtp);
-walletRouter.post('/wallets/pin/send-otp', universalTokenVerifier, sendPinOtp);
-walletRouter.post('/wallets/pin/verify-otp', universalTokenVerifier, verifyPinOtp);
-walletRouter.post('/wallets/pin/set', universalTokenVerifier, setPaymentPin);
+walletRouter.post('/wallets/pin/send-otp', universalTokenVerifier, requireTwoFactorEnrolment, otpSendLimiter, sendPinOtp);
+walletRouter.post('/wallets/pin/verify-otp', universalTokenVerifier, requireTwoFactorEnrolment, verifyPinOtp);
+walletRouter.post('/wallets/pin/set', universalTokenVerifier, requireTwoFactorEnrolment, setPaymentPin);
 walletRouter.post('/wallets/kyc', universalTokenVerifier, kycUpload.fields([
     { name: 'kycDocument', maxCount: 1 },
     { name: 'gstCertificate', maxCount: 1 }
 ]), submitKyc);
 walletRouter.post('/wallets/purchase-ppv', universalTokenVerifier, purchasePpvWithWallet);
+walletRouter.post('/wallets/purchases/:purchaseId/refund', universalTokenVerifier, requestRefund);
+walletRouter.get('/wallets/refunds', universalTokenVerifier, getMyRefundRequests);
+walletRouter.post('/wallets/tips/content/:contentId', universalTokenVerifier, tipLimiter, tipContent);
+walletRouter.post('/wallets/tips/community/:communityId', universalTokenVerifier, tipLimiter, tipCommunity);
+walletRouter.get('/wallets/tips/received', universalTokenVerifier, getTipsReceived);
+walletRouter.get('/wallets/tips/sent', universalTokenVerifier, getTipsSent);
 
 // ── Cashfree recharge webhook (no auth, signature-verified) ──
 walletRouter.post('/wallets/recharge-webhook', express.raw({ type: 'application/json' }), handleRechargeWebhook);
 
-// ── Admin endpoints (protected by admin auth) ──
-walletRouter.post('/admin/payouts/run', adminTokenVerifier, runMonthEndPayout);
-walletRouter.get('/admin/payouts/:month', adminTokenVerifier, getPayoutReport);
+// ── Admin endpoints (same scopes as their adminRouter twins) ──
+walletRouter.post('/admin/payouts/run', adminTokenVerifier, requireScope('payout.run'), runMonthEndPayout);
+walletRouter.get('/admin/payouts/:month', adminTokenVerifier, requireScope('payout.view'), getPayoutReport);
 
 export default walletRouter;
@@ -0,0 +1,39 @@
+/**
+ * Webhook Router - /api/v2/webhooks
+ */
+import express from 'express';
+import {
+    getWebhookEvents,
+    getMyEndpoints,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    rotateEndpointSecret,
+    testEndpoint,
+    getMyDeliveries,
+    getDelivery,
+    replayMyDelivery
+} from '../../controllers/webhook-controllers/webhookController.js';
+import { universalTokenVerifier } from '../../controllers/auth-controllers/universalTokenVerifier.js';
+import { rateLimit } from '../../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+const sendLimiter = rateLimit({ group: 'webhooks:send', limit: 20, windowMs: 15 * 60 * 1000, keyBy: 'user', message: 'Too many webhook test or replay requests. Please try again later.' });
+
+router.get('/events', getWebhookEvents);
+
+// Endpoints
+router.get('/endpoints', universalTokenVerifier, getMyEndpoints);
+router.post('/endpoints', universalTokenVerifier, createEndpoint);
+router.patch('/endpoints/:endpointId', universalTokenVerifier, updateEndpoint);
+router.delete('/endpoints/:endpointId', universalTokenVerifier, deleteEndpoint);
+router.post('/endpoints/:endpointId/rotate-secret', universalTokenVerifier, rotateEndpointSecret);
+router.post('/endpoints/:endpointId/test', universalTokenVerifier, sendLimiter, testEndpoint);
+
+// Delivery log
+router.get('/deliveries', universalTokenVerifier, getMyDeliveries);
+router.get('/deliveries/:deliveryId', universalTokenVerifier, getDelivery);
+router.post('/deliveries/:deliveryId/replay', universalTokenVerifier, sendLimiter, replayMyDelivery);
+
+export default router;
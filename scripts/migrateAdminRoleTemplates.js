@@ -0,0 +1,40 @@
+/**
+ * Migration Script: give existing admins an explicit role template
+ *
+ * RUN ONCE, before deploying permission scopes:  npm run migrate:admin-roles
+ *
+ * Admins created before scopes existed have no `role_template`, and would silently fall
+ * back to the least-privileged `moderator` template (losing wallet, KYC and payout
+ * access). This sets them to `operations` — everything a regular admin could reach
+ * before — so superadmins can narrow them down afterwards.
+ *
+ * SAFE TO RE-RUN: only touches admins without a role_template.
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+
+dotenv.config();
+
+const LEGACY_TEMPLATE = 'operations';
+
+async function migrate() {
+    console.log('🔄 Assigning role templates to existing admins...\n');
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const result = await Admin.updateMany(
+        { role: 'admin', role_template: null },
+        { $set: { role_template: LEGACY_TEMPLATE } }
+    );
+
+    console.log(`✅ ${result.modifiedCount} admin(s) set to the "${LEGACY_TEMPLATE}" template`);
+    await mongoose.disconnect();
+}
+
+migrate().catch(async (err) => {
+    console.error('❌ Migration failed:', err);
+    await mongoose.disconnect();
+    process.exit(1);
+});
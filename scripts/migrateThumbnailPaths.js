@@ -6,29 +6,19 @@
  * - Shorts: thumbnails/{userId}/{id}.jpg -> thumbnails/shorts/{userId}/{id}.jpg
  * - Audio: thumbnails/{userId}/{id}.jpg -> thumbnails/audio/{userId}/{id}.jpg
  * 
- * Run: node scripts/migrateThumbnailPaths.js
+ * Run: node scripts/migrateThumbnailPaths.js [--dry-run] [--copy-files]
+ * Files are copied through utils/storage.js, so this works against S3 or the local driver.
  */
 
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import { S3Client, CopyObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { getStorage, headObject, copyObject } from '../utils/storage.js';
 
 dotenv.config();
 
 // MongoDB connection
 const MONGO_URI = process.env.DB_CONNECTION_STRING || process.env.MONGO_URI;
 
-// S3 client
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
-const S3_BUCKET = process.env.S3_BUCKET || 'cini-shine';
-
 // Video Schema (minimal for migration)
 const videoSchema = new mongoose.Schema({
     userId: mongoose.Schema.Types.ObjectId,
@@ -47,30 +37,15 @@ const contentSchema = new mongoose.Schema({
 const Video = mongoose.model('Video', videoSchema);
 const Content = mongoose.model('Content', contentSchema);
 
-// Check if S3 object exists
-async function s3ObjectExists(key) {
-    try {
-        await s3Client.send(new HeadObjectCommand({
-            Bucket: S3_BUCKET,
-            Key: key,
-        }));
-        return true;
-    } catch (err) {
-        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
-            return false;
-        }
-        throw err;
-    }
+// Check if storage object exists
+async function storageObjectExists(key) {
+    return (await headObject(key)) !== null;
 }
 
-// Copy S3 object to new location
-async function copyS3Object(sourceKey, destKey) {
+// Copy storage object to new location
+async function copyStorageObject(sourceKey, destKey) {
     try {
-        await s3Client.send(new CopyObjectCommand({
-            Bucket: S3_BUCKET,
-            CopySource: `${S3_BUCKET}/${sourceKey}`,
-            Key: destKey,
-        }));
+        await copyObject(sourceKey, destKey);
         console.log(`  ✅ Copied: ${sourceKey} -> ${destKey}`);
         return true;
     } catch (err) {
@@ -161,17 +136,17 @@ async function migrateVideos(dryRun = false, copyFiles = false) {
             continue;
         }
         try {
-            // Optionally copy file in S3
+            // Optionally copy file in storage
             if (copyFiles) {
-                const sourceExists = await s3ObjectExists(oldKey);
+                const sourceExists = await storageObjectExists(oldKey);
                 if (sourceExists) {
-                    const copied = await copyS3Object(oldKey, newKey);
+                    const copied = await copyStorageObject(oldKey, newKey);
                     if (!copied) {
                         errors++;
                         continue;
                     }
                 } else {
-                    console.log(`  ⚠️ Source file doesn't exist in S3, updating DB only`);
+                    console.log(`  ⚠️ Source file doesn't exist in storage, updating DB only`);
                 }
             }
 
@@ -231,17 +206,17 @@ async function migrateContent(dryRun = false, copyFiles = false) {
         }
 
         try {
-            // Optionally copy file in S3
+            // Optionally copy file in storage
             if (copyFiles) {
-                const sourceExists = await s3ObjectExists(oldKey);
+                const sourceExists = await storageObjectExists(oldKey);
                 if (sourceExists) {
-                    const copied = await copyS3Object(oldKey, newKey);
+                    const copied = await copyStorageObject(oldKey, newKey);
                     if (!copied) {
                         errors++;
                         continue;
                     }
                 } else {
-                    console.log(`  ⚠️ Source file doesn't exist in S3, updating DB only`);
+                    console.log(`  ⚠️ Source file doesn't exist in storage, updating DB only`);
                 }
             }
 
@@ -266,14 +241,14 @@ async function main() {
     // Parse command line args
     const args = process.argv.slice(2);
     const dryRun = args.includes('--dry-run');
-    const copyFiles = args.includes('--copy-s3');
+    const copyFiles = args.includes('--copy-files') || args.includes('--copy-s3');
 
     console.log('═══════════════════════════════════════════════════════════════');
     console.log('          THUMBNAIL PATH MIGRATION SCRIPT');
     console.log('═══════════════════════════════════════════════════════════════');
     console.log(`\nMode: ${dryRun ? '🔍 DRY RUN (no changes)' : '🚀 LIVE (making changes)'}`);
-    console.log(`S3 Copy: ${copyFiles ? '✅ Enabled' : '❌ Disabled (DB only)'}`);
-    console.log(`Bucket: ${S3_BUCKET}`);
+    console.log(`File Copy: ${copyFiles ? '✅ Enabled' : '❌ Disabled (DB only)'}`);
+    console.log(`Storage: ${getStorage().name}${getStorage().bucket ? ` (${getStorage().bucket})` : ''}`);
     console.log('');
 
     if (!MONGO_URI) {
@@ -299,7 +274,7 @@ async function main() {
 
         if (dryRun) {
             console.log('💡 This was a DRY RUN. To apply changes, run without --dry-run flag.');
-            console.log('   To also copy S3 files, add --copy-s3 flag.\n');
+            console.log('   To also copy stored files, add --copy-files flag.\n');
         }
 
     } catch (err) {
@@ -0,0 +1,46 @@
+/**
+ * Rebuild the search index (utils/searchIndex.js)
+ *
+ * Indexes every completed public / pay-per-view content item and every channel,
+ * drops index entries that are no longer searchable and recomputes term frequencies.
+ *
+ * Usage: npm run search:rebuild   (node scripts/rebuildSearchIndex.js)
+ *
+ * - Run once after deploying the search index, then whenever results look stale
+ * - Safe on a live system and safe to run multiple times — search keeps working throughout
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import '../models/content.model.js';
+import { rebuildSearchIndex } from '../utils/searchIndex.js';
+
+async function rebuild() {
+    try {
+        const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+        if (!uri) {
+            console.error('❌ No MONGODB_URI or MONGO_URI found in environment');
+            process.exit(1);
+        }
+
+        console.log('🔌 Connecting to MongoDB…');
+        await mongoose.connect(uri);
+        console.log('✅ Connected');
+
+        console.log('🔎 Rebuilding search index…');
+        const started = Date.now();
+        const result = await rebuildSearchIndex({ log: console.log });
+
+        console.log(`✅ Indexed ${result.content} content items and ${result.channels} channels`);
+        console.log(`   Removed ${result.removed} stale entries | ${result.terms} terms | ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('❌ Search index rebuild failed:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+rebuild();
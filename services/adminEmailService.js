@@ -8,6 +8,8 @@
  *  - channelUnbanned — auto-sent when admin unbans a channel
  *  - warning         — admin sends a warning to a creator
  *  - custom          — free-form email from admin
+ *  - appealReceived / appealDecided  — to the user who filed an appeal (utils/appeals.js)
+ *  - appealSubmitted / appealResolved / appealOverdue — to the admin or community owner reviewing it
  */
 import { Resend } from "resend";
 import dotenv from "dotenv";
@@ -26,6 +28,14 @@ const getResendClient = () => {
 
 // ─── EMAIL TEMPLATES ──────────────────────────────────────────────────────
 
+// Appeal statements and decision notes are user-written; keep them inert in HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 const templates = {
     contentRemoved: ({ creatorName, contentTitle, contentType, reason }) => ({
         subject: `[${PLATFORM_NAME}] Your ${contentType || 'content'} has been removed`,
@@ -527,6 +537,125 @@ const templates = {
             text: `Hi ${creatorName}, your ${targetName} was ${action === 'credit' ? 'credited' : 'debited'} by ₹${formattedAmount}.${reason ? ` Reason: ${reason}` : ''}`
         };
     },
+
+    appealReceived: ({ creatorName, appealType, subjectTitle, dueAt }) => ({
+        subject: `[${PLATFORM_NAME}] We received your appeal`,
+        html: `
+            <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; border-radius: 12px; overflow: hidden;">
+                <div style="background: linear-gradient(135deg, #6366f1 0%, #4f46e5 100%); padding: 24px 32px;">
+                    <h1 style="color: white; margin: 0; font-size: 20px;">${PLATFORM_NAME}</h1>
+                </div>
+                <div style="padding: 32px;">
+                    <h2 style="color: #a5b4fc; margin-top: 0;">Appeal Received</h2>
+                    <p>Hi <strong>${creatorName}</strong>,</p>
+                    <p>We received your appeal against the ${appealType} of <strong>"${escapeHtml(subjectTitle)}"</strong>. A reviewer will look at it and you can expect a decision by <strong>${dueAt}</strong>.</p>
+                    <p>We will email you as soon as a decision is made.</p>
+                    <p style="color: #888; font-size: 12px; margin-top: 24px;">This is an automated message from Team ${PLATFORM_NAME}.</p>
+                </div>
+            </div>`,
+        text: `Hi ${creatorName}, we received your appeal against the ${appealType} of "${subjectTitle}". Expect a decision by ${dueAt}.`
+    }),
+
+    appealDecided: ({ creatorName, appealType, subjectTitle, decision, note }) => {
+        const approved = decision === 'approved';
+        return {
+            subject: `[${PLATFORM_NAME}] Your appeal was ${approved ? 'approved' : 'not approved'}`,
+            html: `
+                <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; border-radius: 12px; overflow: hidden;">
+                    <div style="background: linear-gradient(135deg, ${approved ? '#10b981 0%, #059669' : '#e63946 0%, #c1121f'} 100%); padding: 24px 32px;">
+                        <h1 style="color: white; margin: 0; font-size: 20px;">${PLATFORM_NAME}</h1>
+                    </div>
+                    <div style="padding: 32px;">
+                        <h2 style="color: ${approved ? '#34d399' : '#ff6b6b'}; margin-top: 0;">Appeal ${approved ? 'Approved' : 'Not Approved'}</h2>
+                        <p>Hi <strong>${creatorName}</strong>,</p>
+                        <p>Your appeal against the ${appealType} of <strong>"${escapeHtml(subjectTitle)}"</strong> has been reviewed.</p>
+                        <p>${approved ? 'The decision has been reversed and everything is back to how it was.' : 'The original decision stands.'}</p>
+                        ${note ? `<div style="background: #2a2a3e; border-left: 4px solid ${approved ? '#10b981' : '#e63946'}; padding: 16px; border-radius: 4px; margin: 16px 0;">
+                            <p style="margin: 0; color: ${approved ? '#34d399' : '#ff9999'};"><strong>Reviewer's note:</strong></p>
+                            <p style="margin: 8px 0 0; color: #e0e0e0;">${escapeHtml(note)}</p>
+                        </div>` : ''}
+                        <p style="color: #888; font-size: 12px; margin-top: 24px;">This is an automated message from Team ${PLATFORM_NAME}.</p>
+                    </div>
+                </div>`,
+            text: `Hi ${creatorName}, your appeal against the ${appealType} of "${subjectTitle}" was ${approved ? 'approved — the decision has been reversed' : 'not approved — the original decision stands'}.${note ? ` Note: ${note}` : ''}`
+        };
+    },
+
+    appealSubmitted: ({ creatorName, appellantName, appealType, subjectTitle, statement, dueAt }) => ({
+        subject: `[${PLATFORM_NAME}] New appeal to review`,
+        html: `
+            <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; border-radius: 12px; overflow: hidden;">
+                <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 24px 32px;">
+                    <h1 style="color: white; margin: 0; font-size: 20px;">${PLATFORM_NAME}</h1>
+                </div>
+                <div style="padding: 32px;">
+                    <h2 style="color: #fbbf24; margin-top: 0;">New Appeal</h2>
+                    <p>Hi <strong>${creatorName}</strong>,</p>
+                    <p><strong>${escapeHtml(appellantName)}</strong> appealed the ${appealType} of <strong>"${escapeHtml(subjectTitle)}"</strong>. Please decide by <strong>${dueAt}</strong>.</p>
+                    <div style="background: #2a2a3e; border-left: 4px solid #f59e0b; padding: 16px; border-radius: 4px; margin: 16px 0;">
+                        <p style="margin: 0; color: #fbbf24;"><strong>Their statement:</strong></p>
+                        <p style="margin: 8px 0 0; color: #e0e0e0;">${escapeHtml(statement)}</p>
+                    </div>
+                    <p style="color: #888; font-size: 12px; margin-top: 24px;">This is an automated message from Team ${PLATFORM_NAME}.</p>
+                </div>
+            </div>`,
+        text: `Hi ${creatorName}, ${appellantName} appealed the ${appealType} of "${subjectTitle}". Please decide by ${dueAt}. Statement: ${statement}`
+    }),
+
+    appealResolved: ({ creatorName, appellantName, appealType, subjectTitle, decision, note, deciderName }) => ({
+        subject: `[${PLATFORM_NAME}] Appeal ${decision}: ${subjectTitle}`,
+        html: `
+            <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; border-radius: 12px; overflow: hidden;">
+                <div style="background: linear-gradient(135deg, #6366f1 0%, #4f46e5 100%); padding: 24px 32px;">
+                    <h1 style="color: white; margin: 0; font-size: 20px;">${PLATFORM_NAME}</h1>
+                </div>
+                <div style="padding: 32px;">
+                    <h2 style="color: #a5b4fc; margin-top: 0;">Appeal Decided</h2>
+                    <p>Hi <strong>${creatorName}</strong>,</p>
+                    <p>The appeal by <strong>${escapeHtml(appellantName)}</strong> against the ${appealType} of <strong>"${escapeHtml(subjectTitle)}"</strong> was <strong>${decision}</strong>${deciderName ? ` by ${escapeHtml(deciderName)}` : ''}.</p>
+                    ${note ? `<p style="color: #ccc;"><strong>Note:</strong> ${escapeHtml(note)}</p>` : ''}
+                    <p style="color: #888; font-size: 12px; margin-top: 24px;">This is an automated message from Team ${PLATFORM_NAME}.</p>
+                </div>
+            </div>`,
+        text: `Hi ${creatorName}, the appeal by ${appellantName} against the ${appealType} of "${subjectTitle}" was ${decision}${deciderName ? ` by ${deciderName}` : ''}.${note ? ` Note: ${note}` : ''}`
+    }),
+
+    appealOverdue: ({ creatorName, appellantName, appealType, subjectTitle, dueAt }) => ({
+        subject: `[${PLATFORM_NAME}] An appeal is waiting for your decision`,
+        html: `
+            <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; border-radius: 12px; overflow: hidden;">
+                <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 24px 32px;">
+                    <h1 style="color: white; margin: 0; font-size: 20px;">${PLATFORM_NAME}</h1>
+                </div>
+                <div style="padding: 32px;">
+                    <h2 style="color: #fbbf24; margin-top: 0;">Appeal Overdue</h2>
+                    <p>Hi <strong>${creatorName}</strong>,</p>
+                    <p>The appeal by <strong>${escapeHtml(appellantName)}</strong> against the ${appealType} of <strong>"${escapeHtml(subjectTitle)}"</strong> was due for a decision by ${dueAt} and is still pending.</p>
+                    <p>Please review it from your community's appeal queue.</p>
+                    <p style="color: #888; font-size: 12px; margin-top: 24px;">This is an automated message from Team ${PLATFORM_NAME}.</p>
+                </div>
+            </div>`,
+        text: `Hi ${creatorName}, the appeal by ${appellantName} against the ${appealType} of "${subjectTitle}" was due by ${dueAt} and is still pending.`
+    }),
+
+    accountDeletionPostponed: ({ creatorName, reasons = [], retryAt }) => ({
+        subject: `[${PLATFORM_NAME}] Your account deletion is on hold`,
+        html: `
+            <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; border-radius: 12px; overflow: hidden;">
+                <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 24px 32px;">
+                    <h1 style="color: white; margin: 0; font-size: 20px;">${PLATFORM_NAME}</h1>
+                </div>
+                <div style="padding: 32px;">
+                    <h2 style="color: #fbbf24; margin-top: 0;">Account Deletion On Hold</h2>
+                    <p>Hi <strong>${creatorName}</strong>,</p>
+                    <p>We couldn't delete your account yet:</p>
+                    <ul>${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+                    <p>We'll try again on <strong>${retryAt}</strong>. You can also cancel the deletion from your account settings.</p>
+                    <p style="color: #888; font-size: 12px; margin-top: 24px;">This is an automated message from Team ${PLATFORM_NAME}.</p>
+                </div>
+            </div>`,
+        text: `Hi ${creatorName}, we couldn't delete your account yet: ${reasons.join(' ')} We'll try again on ${retryAt}.`
+    }),
 };
 
 // Pre-built quick templates for admin UI
@@ -676,24 +805,8 @@ export async function sendAdminEmail(templateName, recipientEmail, data = {}) {
             if (s3Key && s3Bucket) {
                 try {
                     console.log(`[AdminEmail] Fetching existing saved PDF invoice from AWS S3: s3://${s3Bucket}/${s3Key}`);
-                    const { GetObjectCommand, S3Client } = await import('@aws-sdk/client-s3');
-                    const s3Client = new S3Client({
-                        region: REGION,
-                        credentials: {
-                            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-                        }
-                    });
-                    const s3Obj = await s3Client.send(new GetObjectCommand({
-                        Bucket: s3Bucket,
-                        Key: s3Key,
-                    }));
-
-                    const chunks = [];
-                    for await (const chunk of s3Obj.Body) {
-                        chunks.push(chunk);
-                    }
-                    pdfBuffer = Buffer.concat(chunks);
+                    const { getObjectBuffer } = await import('../utils/storage.js');
+                    pdfBuffer = await getObjectBuffer(s3Key);
                     console.log(`✅ [AdminEmail] Successfully fetched saved PDF (${pdfBuffer.length} bytes) from S3: s3://${s3Bucket}/${s3Key}`);
                 } catch (s3FetchErr) {
                     console.warn(`⚠️ [AdminEmail] S3 fetch warning (${s3FetchErr.message}). Will generate PDF as fallback.`);
@@ -709,21 +822,8 @@ export async function sendAdminEmail(templateName, recipientEmail, data = {}) {
                 if (s3Bucket) {
                     try {
                         const newS3Key = `settlement-invoices/${data.payoutMonth || 'general'}/${data.userId || data.creatorId || 'creator'}_Tax_Invoice_${Date.now()}.pdf`;
-                        const { PutObjectCommand, S3Client } = await import('@aws-sdk/client-s3');
-                        const s3Client = new S3Client({
-                            region: REGION,
-                            credentials: {
-                                accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                                secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-                            }
-                        });
-                        await s3Client.send(new PutObjectCommand({
-                            Bucket: s3Bucket,
-                            Key: newS3Key,
-                            Body: pdfBuffer,
-                            ContentType: 'application/pdf',
-                            ServerSideEncryption: 'AES256',
-                        }));
+                        const { putObject } = await import('../utils/storage.js');
+                        await putObject(newS3Key, pdfBuffer, { contentType: 'application/pdf', encrypt: true });
                         console.log(`[AdminEmail] Saved generated PDF invoice to AWS S3: s3://${s3Bucket}/${newS3Key}`);
 
                         // Save invoice key and URL to Payout document if payoutId is available
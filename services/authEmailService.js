@@ -10,6 +10,7 @@
 import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
 import { Resend } from "resend";
 import dotenv from "dotenv";
+import { parseDeviceSummary } from "../utils/deviceSummary.js";
 
 dotenv.config();
 
@@ -21,30 +22,6 @@ const PLATFORM_URL = process.env.CLIENT_URL || process.env.FRONTEND_URL || "http
 const ses = new SESClient({ region: REGION });
 const resendClient = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 
-/**
- * Format user-agent string into human-readable device/browser summary
- */
-function parseDeviceSummary(userAgent = "") {
-    if (!userAgent) return "Unknown Device";
-    
-    let browser = "Web Browser";
-    if (userAgent.includes("Edg/")) browser = "Microsoft Edge";
-    else if (userAgent.includes("Chrome/")) browser = "Google Chrome";
-    else if (userAgent.includes("Safari/") && !userAgent.includes("Chrome/")) browser = "Apple Safari";
-    else if (userAgent.includes("Firefox/")) browser = "Mozilla Firefox";
-    else if (userAgent.includes("PostmanRuntime")) browser = "Postman / API Client";
-
-    let os = "Desktop";
-    if (userAgent.includes("Windows")) os = "Windows";
-    else if (userAgent.includes("Macintosh") || userAgent.includes("Mac OS")) os = "macOS";
-    else if (userAgent.includes("iPhone")) os = "iPhone (iOS)";
-    else if (userAgent.includes("iPad")) os = "iPad (iPadOS)";
-    else if (userAgent.includes("Android")) os = "Android";
-    else if (userAgent.includes("Linux")) os = "Linux";
-
-    return `${browser} on ${os}`;
-}
-
 /**
  * Clean up IP address (handle local IPv6, proxies)
  */
@@ -239,6 +216,7 @@ House of Cinema`;
  * @param {string} [params.userAgent] - Client User Agent string
  * @param {Date}   [params.signinTime] - Time of signin
  * @param {string} [params.method] - Signin method ('Password', 'Google Sign-In', etc.)
+ * @param {string} [params.revokeUrl] - "Not you?" link that signs this session out (sessionStore.sessionRevokeUrl)
  */
 export async function sendSigninAlertEmail({
     email,
@@ -246,7 +224,8 @@ export async function sendSigninAlertEmail({
     ipAddress = '',
     userAgent = '',
     signinTime = new Date(),
-    method = 'Password'
+    method = 'Password',
+    revokeUrl = null
 }) {
     try {
         if (!email || !email.includes('@')) return;
@@ -333,6 +312,9 @@ export async function sendSigninAlertEmail({
                 <p style="margin: 0; font-size: 13px; color: #e2e8f0; line-height: 1.5;">
                   If this wasn't you, your account may be compromised. Please reset your password immediately and review your active sessions.
                 </p>
+                ${revokeUrl ? `<p style="margin: 14px 0 0 0;">
+                  <a href="${revokeUrl}" style="display: inline-block; background-color: #ef4444; color: #ffffff; text-decoration: none; padding: 10px 22px; border-radius: 9999px; font-weight: 700; font-size: 13px;">Not you? Sign out this device</a>
+                </p>` : ''}
               </div>
             </td>
           </tr>
@@ -362,7 +344,8 @@ A new sign-in to your WATCHIN IT account was detected:
 - IP: ${displayIp}
 - Method: ${method}
 
-If you did not initiate this sign-in, please reset your password immediately.
+If you did not initiate this sign-in, please reset your password immediately.${revokeUrl ? `
+Not you? Sign out this device: ${revokeUrl}` : ''}
 
 © ${new Date().getFullYear()} WATCHIN IT`;
 
@@ -320,3 +320,155 @@ export async function sendPpvRentalEmail({ userId, contentId, amount, orderId, p
         return false;
     }
 }
+
+/**
+ * Shared layout + delivery + EmailLog entry for channel membership notices
+ */
+async function sendMembershipNotice(user, { subject, badgeLine, heading, intro, rows, ctaLabel, ctaUrl, text, templateId, templateName }) {
+    const recipientEmail = user.email || (user.contact && user.contact.includes('@') ? user.contact : null);
+    if (!recipientEmail) {
+        console.warn(`[PaymentEmail] User ${user._id} has no valid email address to send ${templateId} notification.`);
+        return false;
+    }
+
+    const userName = user.userName || user.channelName || 'User';
+    const rowsHtml = rows.map(([label, value, color = '#f8fafc']) => `
+                            <tr>
+                                <td style="padding: 8px 0; color: #94a3b8;">${label}:</td>
+                                <td style="padding: 8px 0; color: ${color}; font-weight: 600; text-align: right;">${value}</td>
+                            </tr>`).join('');
+
+    const html = `
+            <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #0f172a; color: #f8fafc; border-radius: 16px; overflow: hidden; border: 1px solid #1e293b;">
+                <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 28px 32px;">
+                    <h1 style="color: white; margin: 0; font-size: 22px; font-weight: 800; letter-spacing: 0.5px;">${PLATFORM_NAME}</h1>
+                    <p style="color: #fef3c7; margin: 6px 0 0 0; font-size: 13px; font-weight: 600;">${badgeLine}</p>
+                </div>
+                <div style="padding: 32px;">
+                    <h2 style="color: #fbbf24; margin-top: 0; font-size: 20px;">${heading}</h2>
+                    <p style="font-size: 15px; color: #cbd5e1; line-height: 1.6;">Hi <strong>${userName}</strong>,</p>
+                    <p style="font-size: 14px; color: #94a3b8; line-height: 1.6;">${intro}</p>
+
+                    <div style="background: #1e293b; border: 1px solid #334155; padding: 20px; border-radius: 12px; margin: 24px 0;">
+                        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">${rowsHtml}
+                        </table>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 28px;">
+                        <a href="${ctaUrl}" style="display: inline-block; background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; text-decoration: none; padding: 12px 28px; border-radius: 9999px; font-weight: 700; font-size: 14px;">${ctaLabel}</a>
+                    </div>
+
+                    <p style="color: #64748b; font-size: 12px; margin-top: 32px; border-top: 1px solid #1e293b; padding-top: 20px; text-align: center;">
+                        This is an automated billing notification from ${PLATFORM_NAME}. You can manage your memberships from your account at any time.
+                    </p>
+                </div>
+            </div>
+        `;
+
+    const sent = await sendRawEmail(recipientEmail, subject, html, `${PLATFORM_NAME} - ${badgeLine}\n\nHi ${userName},\n\n${text}`);
+
+    try {
+        const EmailLog = (await import('../models/emailLog.model.js')).default;
+        await EmailLog.create({
+            adminId: null,
+            adminEmail: 'System (Memberships)',
+            recipientType: 'individual',
+            recipientIds: [user._id],
+            recipientCount: 1,
+            successCount: sent ? 1 : 0,
+            failCount: sent ? 0 : 1,
+            status: sent ? 'success' : 'failed',
+            subject: subject.trim(),
+            body: text,
+            bodyPreview: text.substring(0, 500),
+            templateId,
+            template: {
+                name: templateName,
+                category: 'Billing & Payments'
+            },
+            sentAt: new Date()
+        });
+    } catch (logErr) {
+        console.error('[EMAIL_LOG_MEMBERSHIP_ERROR]', logErr.message);
+    }
+
+    return sent;
+}
+
+const formatRupees = (amount) => Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatIstDate = (date) => new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Send "membership renewal failed" email — first failed charge, grace period started
+ */
+export async function sendMembershipRenewalFailedEmail({ userId, creatorId, tierName, amount, graceUntil }) {
+    try {
+        if (!userId || !creatorId) return false;
+        const [user, creator] = await Promise.all([
+            User.findById(userId).select('email contact userName channelName').lean(),
+            User.findById(creatorId).select('channelName userName channelHandle').lean(),
+        ]);
+        if (!user || !creator) return false;
+
+        const channelName = creator.channelName || creator.userName || 'the channel';
+        const graceEnd = formatIstDate(graceUntil);
+
+        return await sendMembershipNotice(user, {
+            subject: `[${PLATFORM_NAME}] Action needed: your ${channelName} membership could not be renewed`,
+            badgeLine: 'Membership Renewal Failed',
+            heading: `We couldn't renew your ${channelName} membership`,
+            intro: `Your wallet balance wasn't enough to pay this month's membership. You keep your member perks until <strong>${graceEnd}</strong> while we retry daily — recharge your wallet to stay a member.`,
+            rows: [
+                ['Channel', channelName],
+                ['Tier', tierName || 'Member'],
+                ['Monthly Price', `₹${formatRupees(amount)}`, '#fbbf24'],
+                ['Access Until', graceEnd, '#f59e0b'],
+            ],
+            ctaLabel: 'Recharge Wallet',
+            ctaUrl: `${FRONTEND_URL}/wallet`,
+            text: `We couldn't renew your ${channelName} membership (${tierName || 'Member'}, ₹${formatRupees(amount)}/month) because your wallet balance was too low.\n\nYou keep access until ${graceEnd} while we retry daily. Recharge at: ${FRONTEND_URL}/wallet`,
+            templateId: 'membership_renewal_failed',
+            templateName: 'Membership Renewal Failed',
+        });
+    } catch (err) {
+        console.error('❌ Error sending membership renewal failed email:', err);
+        return false;
+    }
+}
+
+/**
+ * Send "membership ended" email — every retry in the grace period failed
+ */
+export async function sendMembershipExpiredEmail({ userId, creatorId, tierName, amount }) {
+    try {
+        if (!userId || !creatorId) return false;
+        const [user, creator] = await Promise.all([
+            User.findById(userId).select('email contact userName channelName').lean(),
+            User.findById(creatorId).select('channelName userName channelHandle').lean(),
+        ]);
+        if (!user || !creator) return false;
+
+        const channelName = creator.channelName || creator.userName || 'the channel';
+        const channelUrl = `${FRONTEND_URL}/channel/${creator.channelHandle || creatorId}`;
+
+        return await sendMembershipNotice(user, {
+            subject: `[${PLATFORM_NAME}] Your ${channelName} membership has ended`,
+            badgeLine: 'Membership Ended',
+            heading: `Your ${channelName} membership has ended`,
+            intro: `We weren't able to collect the monthly payment before your grace period ran out, so members-only content and your member badge are no longer available. You can rejoin whenever you like.`,
+            rows: [
+                ['Channel', channelName],
+                ['Tier', tierName || 'Member'],
+                ['Monthly Price', `₹${formatRupees(amount)}`],
+            ],
+            ctaLabel: 'Rejoin Channel',
+            ctaUrl: channelUrl,
+            text: `Your ${channelName} membership (${tierName || 'Member'}) has ended because the monthly payment of ₹${formatRupees(amount)} could not be collected.\n\nRejoin at: ${channelUrl}`,
+            templateId: 'membership_expired',
+            templateName: 'Membership Ended',
+        });
+    } catch (err) {
+        console.error('❌ Error sending membership expired email:', err);
+        return false;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Account export tests — tar archive layout and export bundling
+ *
+ * Pure functions, no DB needed.
+ * Run with:  node --test tests/account-export.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gunzipSync } from 'zlib';
+import {
+    buildTarArchive,
+    buildExportArchive,
+    sanitizeProfile,
+    countSection,
+} from '../utils/accountExport.js';
+
+/**
+ * Minimal ustar reader: [{ name, content, checksumOk }]
+ */
+function readTar(buffer) {
+    const entries = [];
+    let offset = 0;
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(b => b === 0)) break;
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        const size = parseInt(header.toString('utf8', 124, 135), 8);
+        const storedChecksum = parseInt(header.toString('utf8', 148, 154), 8);
+        let sum = 0;
+        for (let i = 0; i < 512; i++) sum += (i >= 148 && i < 156) ? 32 : header[i];
+        const content = buffer.subarray(offset + 512, offset + 512 + size).toString('utf8');
+        entries.push({ name, content, checksumOk: sum === storedChecksum });
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+describe('buildTarArchive', () => {
+    it('writes valid headers, padded data and an end marker', () => {
+        const tar = buildTarArchive([
+            { name: 'a.json', content: '{"x":1}' },
+            { name: 'b.txt', content: 'x'.repeat(600) },
+        ], new Date('2026-01-01T00:00:00Z'));
+
+        assert.equal(tar.length % 512, 0);
+        assert.ok(tar.subarray(tar.length - 1024).every(b => b === 0));
+
+        const entries = readTar(tar);
+        assert.deepEqual(entries.map(e => e.name), ['a.json', 'b.txt']);
+        assert.equal(entries[0].content, '{"x":1}');
+        assert.equal(entries[1].content.length, 600);
+        assert.ok(entries.every(e => e.checksumOk));
+    });
+
+    it('rejects names that do not fit the header', () => {
+        assert.throws(() => buildTarArchive([{ name: 'x'.repeat(101), content: '' }]), /too long/);
+    });
+});
+
+describe('buildExportArchive', () => {
+    it('bundles every section plus a manifest', () => {
+        const { buffer, sectionCounts } = buildExportArchive({
+            profile: { userName: 'sam' },
+            comments: [{ text: 'hi' }, { text: 'there' }],
+            chats: { conversations: [{}], messages: [{}, {}, {}] },
+            wallet: { primaryWallet: null, secondaryWallet: null, ledger: [{ amount: 10 }] },
+        }, { userId: 'u1', generatedAt: new Date('2026-01-01T00:00:00Z') });
+
+        const entries = readTar(gunzipSync(buffer));
+        assert.equal(entries[0].name, 'manifest.json');
+        assert.ok(entries.some(e => e.name === 'watch-history.json'));
+
+        const manifest = JSON.parse(entries[0].content);
+        assert.equal(manifest.userId, 'u1');
+        assert.equal(manifest.sectionCounts.comments, 2);
+        assert.equal(sectionCounts.chats, 3);
+        assert.equal(sectionCounts.wallet, 1);
+        assert.equal(sectionCounts.bookmarks, 0);
+    });
+});
+
+describe('export helpers', () => {
+    it('never exports credentials', () => {
+        const profile = sanitizeProfile({ userName: 'sam', password: 'hash', tokenVersion: 3 });
+        assert.deepEqual(profile, { userName: 'sam' });
+    });
+
+    it('counts records per section', () => {
+        assert.equal(countSection('profile', { a: 1 }), 1);
+        assert.equal(countSection('profile', null), 0);
+        assert.equal(countSection('purchases', [1, 2]), 2);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Admin permission tests — role templates, scope resolution and the requireScope guard
+ *
+ * No DB needed. Run with:  node --test tests/admin-permissions.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+    ALL_ADMIN_SCOPES,
+    ROLE_TEMPLATES,
+    resolveAdminScopes,
+    hasAdminScope,
+} from '../utils/adminPermissions.js';
+import { requireScope } from '../middlewares/admin.middleware.js';
+
+function mockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+describe('resolveAdminScopes', () => {
+    it('gives superadmins every scope', () => {
+        assert.deepEqual(resolveAdminScopes({ role: 'superadmin' }), ALL_ADMIN_SCOPES);
+    });
+
+    it('keeps moderators away from money and email tooling', () => {
+        const scopes = resolveAdminScopes({ role: 'admin', role_template: 'moderator' });
+        assert.ok(scopes.includes('content.moderate'));
+        for (const scope of ['wallet.adjust', 'wallet.view', 'payout.run', 'kyc.review', 'email.send']) {
+            assert.equal(scopes.includes(scope), false, scope);
+        }
+    });
+
+    it('falls back to the moderator template and adds valid extra scopes only', () => {
+        const scopes = resolveAdminScopes({ role: 'admin', extra_scopes: ['analytics.view', 'not.a.scope'] });
+        assert.deepEqual(scopes, [...new Set([...ROLE_TEMPLATES.moderator.scopes, 'analytics.view'])]
+            .sort((a, b) => ALL_ADMIN_SCOPES.indexOf(a) - ALL_ADMIN_SCOPES.indexOf(b)));
+    });
+
+    it('only uses known scopes in templates', () => {
+        for (const [id, template] of Object.entries(ROLE_TEMPLATES)) {
+            for (const scope of template.scopes) assert.ok(ALL_ADMIN_SCOPES.includes(scope), `${id}: ${scope}`);
+            assert.equal(template.scopes.includes('admins.manage'), false, id);
+        }
+    });
+
+    it('checks a single scope', () => {
+        assert.equal(hasAdminScope({ role: 'admin', role_template: 'finance' }, 'payout.run'), true);
+        assert.equal(hasAdminScope({ role: 'admin', role_template: 'finance' }, 'content.moderate'), false);
+        assert.equal(hasAdminScope(null, 'dashboard.view'), false);
+    });
+});
+
+describe('requireScope', () => {
+    it('rejects unknown scopes at route definition time', () => {
+        assert.throws(() => requireScope('wallet.steal'), /Unknown admin scope/);
+    });
+
+    it('returns 403 without the scope and records it on req when allowed', () => {
+        const guard = requireScope('kyc.review');
+
+        const denied = { admin: { role: 'admin', role_template: 'moderator' } };
+        const res = mockRes();
+        let called = false;
+        guard(denied, res, () => { called = true; });
+        assert.equal(called, false);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.requiredScope, 'kyc.review');
+
+        const allowed = { admin: { role: 'admin', role_template: 'finance' } };
+        guard(allowed, mockRes(), () => { called = true; });
+        assert.equal(called, true);
+        assert.equal(allowed.adminScope, 'kyc.review');
+    });
+});
+
+describe('adminRouter', () => {
+    it('guards every protected route with a scope', () => {
+        const source = fs.readFileSync(new URL('../routes/adminRoutes/adminRouter.js', import.meta.url), 'utf8');
+        const protectedPart = source.slice(source.indexOf('adminRouter.use(adminTokenVerifier)'));
+        const routes = protectedPart.split('\n').filter(line => /^adminRouter\.(get|post|put|patch|delete)\(/.test(line));
+        assert.ok(routes.length > 50);
+        for (const line of routes) assert.match(line, /requireScope\('[a-z.]+'\)/, line);
+    });
+
+    it('guards admin routes mounted by other routers too', () => {
+        const routesDir = new URL('../routes/', import.meta.url);
+        for (const file of fs.readdirSync(routesDir, { recursive: true })) {
+            if (!file.endsWith('.js') || file.endsWith('adminRouter.js')) continue;
+            const source = fs.readFileSync(new URL(file, routesDir), 'utf8');
+            for (const line of source.split('\n').filter(l => /\.(get|post|put|patch|delete)\(.*adminTokenVerifier/.test(l))) {
+                assert.match(line, /requireScope\('[a-z.]+'\)/, `${file}: ${line}`);
+            }
+        }
+    });
+});
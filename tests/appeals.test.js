@@ -0,0 +1,110 @@
+/**
+ * Appeal tests — filing and decision validation, subject keys, SLA timers and public shape
+ *
+ * No DB needed. Run with:  node --test tests/appeals.test.js
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseAppealInput,
+    parseDecisionInput,
+    appealSubjectKey,
+    slaHoursFor,
+    computeDueAt,
+    appealSlaState,
+    formatAppeal,
+    DEFAULT_SLA_HOURS,
+    MIN_STATEMENT_LENGTH,
+} from '../utils/appeals.js';
+
+const now = new Date('2026-03-01T12:00:00Z');
+const statement = 'The video is my own footage and does not break any rule.';
+const reportId = '65f000000000000000000001';
+const communityId = '65f000000000000000000002';
+const userId = '65f000000000000000000003';
+
+describe('parseAppealInput', () => {
+    it('accepts each appeal type with its reference', () => {
+        assert.deepEqual(parseAppealInput({ type: 'content_takedown', reportId, statement: `  ${statement}  ` }), {
+            fields: { type: 'content_takedown', statement, reportId },
+            error: null,
+        });
+        assert.deepEqual(parseAppealInput({ type: 'channel_ban', statement }).fields, { type: 'channel_ban', statement });
+        assert.equal(parseAppealInput({ type: 'community_ban', communityId, statement }).fields.communityId, communityId);
+    });
+
+    it('rejects unknown types and missing references', () => {
+        assert.match(parseAppealInput({ type: 'comment_removed', statement }).error, /type must be one of/);
+        assert.match(parseAppealInput({ type: 'content_takedown', statement }).error, /reportId/);
+        assert.match(parseAppealInput({ type: 'community_ban', communityId: { $ne: null }, statement }).error, /communityId/);
+    });
+
+    it('needs a statement of reasonable length', () => {
+        assert.match(parseAppealInput({ type: 'channel_ban', statement: 'unfair' }).error, /statement/);
+        assert.match(parseAppealInput({ type: 'channel_ban', statement: 'x'.repeat(2001) }).error, /statement/);
+        assert.equal(parseAppealInput({ type: 'channel_ban', statement: 'x'.repeat(MIN_STATEMENT_LENGTH) }).error, null);
+    });
+});
+
+describe('parseDecisionInput', () => {
+    it('approves without a note and trims notes', () => {
+        assert.deepEqual(parseDecisionInput({ decision: 'approved' }), { decision: 'approved', note: '', error: null });
+        assert.equal(parseDecisionInput({ decision: 'approved', note: ' Context checks out ' }).note, 'Context checks out');
+    });
+
+    it('requires a note to reject and a known decision', () => {
+        assert.match(parseDecisionInput({ decision: 'rejected' }).error, /requires a note/);
+        assert.equal(parseDecisionInput({ decision: 'rejected', note: 'Clear rule violation.' }).error, null);
+        assert.match(parseDecisionInput({ decision: 'maybe' }).error, /decision must be one of/);
+    });
+});
+
+describe('appealSubjectKey', () => {
+    it('identifies the contested action, not just the target', () => {
+        assert.equal(appealSubjectKey('content_takedown', { reportId }), `content_takedown:${reportId}`);
+
+        const firstBan = appealSubjectKey('channel_ban', { userId, actionAt: now });
+        const secondBan = appealSubjectKey('channel_ban', { userId, actionAt: new Date(now.getTime() + 1000) });
+        assert.notEqual(firstBan, secondBan);
+
+        assert.equal(
+            appealSubjectKey('community_ban', { userId, communityId, actionAt: now }),
+            `community_ban:${communityId}:${userId}:${now.getTime()}`
+        );
+    });
+});
+
+describe('SLA timers', () => {
+    afterEach(() => { delete process.env.APPEAL_SLA_HOURS_CHANNEL_BAN; });
+
+    it('uses the per-type default and env overrides', () => {
+        assert.equal(slaHoursFor('content_takedown'), DEFAULT_SLA_HOURS.content_takedown);
+        process.env.APPEAL_SLA_HOURS_CHANNEL_BAN = '12';
+        assert.equal(slaHoursFor('channel_ban'), 12);
+        assert.equal(computeDueAt('channel_ban', now).toISOString(), '2026-03-02T00:00:00.000Z');
+        process.env.APPEAL_SLA_HOURS_CHANNEL_BAN = 'soon';
+        assert.equal(slaHoursFor('channel_ban'), DEFAULT_SLA_HOURS.channel_ban);
+    });
+
+    it('reports time left and overdue appeals while pending only', () => {
+        const dueAt = new Date(now.getTime() + 60 * 60 * 1000);
+        assert.deepEqual(appealSlaState({ status: 'pending', dueAt }, now), { overdue: false, remainingMs: 3600000 });
+        assert.equal(appealSlaState({ status: 'pending', dueAt }, new Date(dueAt.getTime() + 1)).overdue, true);
+        assert.deepEqual(appealSlaState({ status: 'approved', dueAt }, now), { overdue: false, remainingMs: null });
+    });
+});
+
+describe('formatAppeal', () => {
+    it('exposes the SLA state alongside the appeal', () => {
+        const appeal = {
+            _id: 'a1', type: 'community_ban', status: 'pending', appellantId: userId, communityId,
+            subjectTitle: 'Night Owls', statement, dueAt: new Date(now.getTime() - 1000), createdAt: now,
+        };
+        const formatted = formatAppeal(appeal, now);
+        assert.equal(formatted.appellant, userId);
+        assert.equal(formatted.overdue, true);
+        assert.equal(formatted.remainingMs, -1000);
+        assert.equal(formatted.subjectKey, undefined);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Auth session tests — refresh-token rotation / reuse classification, session claims,
+ * approximate location, the "Not you?" revoke link token and which tokens the access-token
+ * verifier accepts
+ *
+ * No DB needed. Run with:  node --test tests/auth-sessions.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+    classifyRefresh,
+    hashTokenId,
+    approximateLocation,
+    createRevokeLinkToken,
+    verifyRevokeLinkToken,
+    sessionRevokeUrl,
+} from '../controllers/auth-controllers/services/sessionStore.js';
+import { setAuthCookies, verifyRefreshToken } from '../controllers/auth-controllers/services/cookieHelper.js';
+import { universalTokenVerifier, optionalTokenVerifier } from '../controllers/auth-controllers/universalTokenVerifier.js';
+import { parseDeviceSummary } from '../utils/deviceSummary.js';
+
+function mockRes() {
+    return {
+        cookies: {},
+        cookie(name, value) { this.cookies[name] = value; },
+    };
+}
+
+// Run a verifier middleware on a Bearer token → { status, user } (status 200 when next() was called)
+async function runVerifier(verifier, token) {
+    const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+    let status = 200;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await verifier(req, res, () => {});
+    return { status, user: req.user || null };
+}
+
+before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+describe('classifyRefresh', () => {
+    const rotatedAt = new Date('2026-03-01T10:00:00Z');
+    const session = {
+        tokenHash: hashTokenId('jti-2'),
+        previousTokenHash: hashTokenId('jti-1'),
+        rotatedAt,
+        revokedAt: null,
+    };
+
+    it('accepts the current token', () => {
+        assert.equal(classifyRefresh(session, hashTokenId('jti-2'), rotatedAt.getTime() + 60_000), 'current');
+    });
+
+    it('tolerates the just-replaced token for a few seconds only', () => {
+        assert.equal(classifyRefresh(session, hashTokenId('jti-1'), rotatedAt.getTime() + 5_000), 'grace');
+        assert.equal(classifyRefresh(session, hashTokenId('jti-1'), rotatedAt.getTime() + 60_000), 'reuse');
+    });
+
+    it('treats any older token as reuse', () => {
+        assert.equal(classifyRefresh(session, hashTokenId('jti-0'), rotatedAt.getTime() + 1_000), 'reuse');
+    });
+
+    it('rejects revoked and missing sessions', () => {
+        assert.equal(classifyRefresh({ ...session, revokedAt: new Date() }, hashTokenId('jti-2')), 'revoked');
+        assert.equal(classifyRefresh(null, hashTokenId('jti-2')), 'revoked');
+    });
+});
+
+describe('session claims in auth cookies', () => {
+    it('puts sid in both tokens and jti in the refresh token', () => {
+        const user = { _id: '65f000000000000000000001', tokenVersion: 3 };
+        const res = mockRes();
+        const { accessToken, refreshToken } = setAuthCookies(res, user, { sid: 'family-1', jti: 'jti-1' });
+
+        assert.equal(jwt.decode(accessToken).sid, 'family-1');
+        assert.equal(jwt.decode(accessToken).jti, undefined);
+        assert.equal(res.cookies.refresh_token, refreshToken);
+
+        const result = verifyRefreshToken(refreshToken, user);
+        assert.deepEqual(result, { valid: true, userId: user._id, sid: 'family-1', jti: 'jti-1' });
+        assert.equal(verifyRefreshToken(refreshToken, { ...user, tokenVersion: 4 }).valid, false);
+    });
+
+    it('keeps access and refresh tokens apart', async () => {
+        const user = { _id: '65f000000000000000000001' };
+        const { accessToken, refreshToken } = setAuthCookies(mockRes(), user, { sid: 'family-1', jti: 'jti-1' });
+        assert.equal(verifyRefreshToken(accessToken, user).valid, false);
+        assert.equal((await runVerifier(universalTokenVerifier, refreshToken)).status, 401);
+    });
+});
+
+describe('access-token verifier', () => {
+    const user = { _id: '65f000000000000000000001' };
+
+    it('accepts access tokens', async () => {
+        const { accessToken } = setAuthCookies(mockRes(), user, { sid: 'family-1', jti: 'jti-1' });
+        const { status, user: reqUser } = await runVerifier(universalTokenVerifier, accessToken);
+        assert.equal(status, 200);
+        assert.deepEqual(reqUser, { id: user._id, sessionId: 'family-1' });
+    });
+
+    it('rejects revoke-link tokens', async () => {
+        const token = createRevokeLinkToken({ userId: user._id, familyId: 'family-9' });
+        assert.equal((await runVerifier(universalTokenVerifier, token)).status, 401);
+        assert.equal((await runVerifier(optionalTokenVerifier, token)).user, null);
+    });
+
+    it('rejects tokens that carry a purpose or no access type', async () => {
+        const purposeToken = jwt.sign({ userId: user._id, typ: 'access', purpose: 'session_revoke' }, process.env.JWT_SECRET);
+        const untyped = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+        assert.equal((await runVerifier(universalTokenVerifier, purposeToken)).status, 401);
+        assert.equal((await runVerifier(universalTokenVerifier, untyped)).status, 401);
+        assert.equal((await runVerifier(optionalTokenVerifier, untyped)).user, null);
+    });
+});
+
+describe('approximateLocation', () => {
+    it('reads CDN geo headers', () => {
+        assert.deepEqual(
+            approximateLocation({ 'cf-ipcountry': 'IN', 'cf-ipcity': 'Bengaluru', 'cf-region': 'Karnataka' }),
+            { city: 'Bengaluru', region: 'Karnataka', country: 'IN' }
+        );
+        assert.deepEqual(
+            approximateLocation({ 'x-vercel-ip-country': 'DE', 'x-vercel-ip-city': 'M%C3%BCnchen' }),
+            { city: 'München', region: null, country: 'DE' }
+        );
+    });
+
+    it('returns nulls without geo headers or for unknown countries', () => {
+        assert.deepEqual(approximateLocation({ 'cf-ipcountry': 'XX' }), { city: null, region: null, country: null });
+    });
+});
+
+describe('revoke link', () => {
+    const session = { userId: '65f000000000000000000001', familyId: 'family-9' };
+
+    it('round-trips the session it was issued for', () => {
+        assert.deepEqual(verifyRevokeLinkToken(createRevokeLinkToken(session)), {
+            userId: session.userId,
+            sid: 'family-9',
+        });
+        assert.match(sessionRevokeUrl(session), /\/security\/revoke-session\?token=/);
+    });
+
+    it('rejects other JWTs and garbage', () => {
+        const accessToken = jwt.sign({ userId: session.userId, sid: 'family-9' }, process.env.JWT_SECRET);
+        assert.equal(verifyRevokeLinkToken(accessToken), null);
+        assert.equal(verifyRevokeLinkToken('not-a-token'), null);
+        assert.equal(verifyRevokeLinkToken(undefined), null);
+    });
+});
+
+describe('parseDeviceSummary', () => {
+    it('does not mistake iPhones for Macs', () => {
+        const ua = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+        assert.equal(parseDeviceSummary(ua), 'Apple Safari on iPhone (iOS)');
+        assert.equal(parseDeviceSummary(''), 'Unknown Device');
+    });
+});
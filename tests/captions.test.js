@@ -0,0 +1,111 @@
+/**
+ * Caption utility tests — SRT → VTT conversion and HLS subtitle injection
+ *
+ * Pure functions, no DB/S3 needed.
+ * Run with:  node --test tests/captions.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    srtToVtt,
+    detectCaptionFormat,
+    normalizeCaptionText,
+    normalizeLanguageCode,
+    buildSubtitlePlaylist,
+    injectSubtitleTracks,
+} from '../utils/captionUtils.js';
+
+const SAMPLE_SRT = '\uFEFF1\r\n00:00:01,000 --> 00:00:04,500\r\n{\\an8}Hello there\r\n\r\n2\r\n00:00:05,250 --> 00:00:07,000\r\nGeneral Kenobi\r\n';
+
+const SAMPLE_MASTER = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+    'https://api.example.com/api/v2/video/abc/variants/stream_360p.m3u8?quality=360p',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=1280x720',
+    'https://api.example.com/api/v2/video/abc/variants/stream_720p.m3u8?quality=720p',
+].join('\n');
+
+describe('srtToVtt', () => {
+    it('adds the WEBVTT header, converts timestamps and strips override tags', () => {
+        const vtt = srtToVtt(SAMPLE_SRT);
+        assert.ok(vtt.startsWith('WEBVTT\n\n'));
+        assert.ok(vtt.includes('00:00:01.000 --> 00:00:04.500'));
+        assert.ok(vtt.includes('00:00:05.250 --> 00:00:07.000'));
+        assert.ok(!vtt.includes('{\\an8}'));
+        assert.ok(!vtt.includes('\r'));
+    });
+});
+
+describe('detectCaptionFormat / normalizeCaptionText', () => {
+    it('detects srt and vtt', () => {
+        assert.equal(detectCaptionFormat(SAMPLE_SRT), 'srt');
+        assert.equal(detectCaptionFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nHi'), 'vtt');
+        assert.equal(detectCaptionFormat('just some text'), null);
+    });
+
+    it('returns null for files without cues', () => {
+        assert.equal(normalizeCaptionText('WEBVTT\n\nNOTE nothing here'), null);
+        assert.equal(normalizeCaptionText(''), null);
+    });
+
+    it('passes valid vtt through', () => {
+        const vtt = normalizeCaptionText('WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi');
+        assert.equal(vtt, 'WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n');
+    });
+});
+
+describe('normalizeLanguageCode', () => {
+    it('normalises valid BCP-47 codes', () => {
+        assert.equal(normalizeLanguageCode('EN'), 'en');
+        assert.equal(normalizeLanguageCode('pt_br'), 'pt-BR');
+        assert.equal(normalizeLanguageCode('zh-hant'), 'zh-Hant');
+    });
+
+    it('rejects garbage', () => {
+        for (const bad of [null, '', 'e', 'english language', '../etc', 'en-']) {
+            assert.equal(normalizeLanguageCode(bad), null, `should reject ${bad}`);
+        }
+    });
+});
+
+describe('buildSubtitlePlaylist', () => {
+    it('builds a single-segment VOD playlist', () => {
+        const playlist = buildSubtitlePlaylist('https://x/captions.vtt', 95.4);
+        assert.ok(playlist.includes('#EXT-X-TARGETDURATION:96'));
+        assert.ok(playlist.includes('#EXTINF:96.000,\nhttps://x/captions.vtt'));
+        assert.ok(playlist.trim().endsWith('#EXT-X-ENDLIST'));
+    });
+});
+
+describe('injectSubtitleTracks', () => {
+    const tracks = [
+        { language: 'en', label: 'English', uri: 'https://x/en/playlist.m3u8', isDefault: true },
+        { language: 'hi', label: 'हिन्दी', uri: 'https://x/hi/playlist.m3u8' },
+    ];
+
+    it('adds one EXT-X-MEDIA per track before the first variant', () => {
+        const output = injectSubtitleTracks(SAMPLE_MASTER, tracks);
+        const lines = output.split('\n');
+        const firstMedia = lines.findIndex(l => l.startsWith('#EXT-X-MEDIA:TYPE=SUBTITLES'));
+        const firstVariant = lines.findIndex(l => l.startsWith('#EXT-X-STREAM-INF'));
+        assert.equal(lines.filter(l => l.startsWith('#EXT-X-MEDIA:TYPE=SUBTITLES')).length, 2);
+        assert.ok(firstMedia < firstVariant);
+        assert.ok(output.includes('LANGUAGE="en",DEFAULT=YES'));
+        assert.ok(output.includes('LANGUAGE="hi",DEFAULT=NO'));
+    });
+
+    it('tags every variant with the subtitle group', () => {
+        const output = injectSubtitleTracks(SAMPLE_MASTER, tracks);
+        const variants = output.split('\n').filter(l => l.startsWith('#EXT-X-STREAM-INF'));
+        assert.equal(variants.length, 2);
+        variants.forEach(v => assert.ok(v.endsWith(',SUBTITLES="subs"')));
+    });
+
+    it('is a no-op without tracks or when subtitles already exist', () => {
+        assert.equal(injectSubtitleTracks(SAMPLE_MASTER, []), SAMPLE_MASTER);
+        const once = injectSubtitleTracks(SAMPLE_MASTER, tracks);
+        assert.equal(injectSubtitleTracks(once, tracks), once);
+    });
+});
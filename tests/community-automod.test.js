@@ -0,0 +1,115 @@
+/**
+ * Community automod tests — settings validation, text rules, slow mode and mute escalation
+ *
+ * No DB needed. Run with:  node --test tests/community-automod.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+    getAutomodSettings,
+    normalizeAutomodSettings,
+    evaluateAutomodText,
+    isSlowModeMember,
+    escalatedMuteMinutes,
+    MAX_MUTE_MINUTES,
+} from '../utils/communityAutomod.js';
+
+const withRules = (rules) => {
+    const { settings, error } = normalizeAutomodSettings({ enabled: true, ...rules });
+    assert.equal(error, null);
+    return settings;
+};
+
+describe('normalizeAutomodSettings', () => {
+    it('fills defaults and keeps rules that are left out', () => {
+        const current = withRules({ caps: { enabled: true, maxCapsPercent: 80 } });
+        const { settings } = normalizeAutomodSettings({ emoji: { enabled: true } }, current);
+        assert.equal(settings.caps.enabled, true);
+        assert.equal(settings.caps.maxCapsPercent, 80);
+        assert.equal(settings.emoji.enabled, true);
+        assert.equal(settings.emoji.maxEmojis, 10);
+    });
+
+    it('lowercases and de-duplicates banned words and cleans allowed domains', () => {
+        const settings = withRules({
+            bannedWords: { enabled: true, words: ['Spam', 'spam ', ''] },
+            links: { enabled: true, allowedDomains: ['https://www.Example.com/path', 'docs.example.org'] },
+        });
+        assert.deepEqual(settings.bannedWords.words, ['spam']);
+        assert.deepEqual(settings.links.allowedDomains, ['example.com', 'docs.example.org']);
+    });
+
+    it('rejects invalid and catastrophic regex patterns', () => {
+        assert.match(normalizeAutomodSettings({ bannedWords: { patterns: ['(unclosed'] } }).error, /not a valid regular expression/);
+        assert.match(normalizeAutomodSettings({ bannedWords: { patterns: ['(a+)+$'] } }).error, /nests quantifiers/);
+    });
+
+    it('rejects unknown actions and clamps numbers', () => {
+        assert.match(normalizeAutomodSettings({ caps: { action: 'ban' } }).error, /action must be one of/);
+        const settings = withRules({ escalation: { warnings: 0, muteMinutes: 999999 } });
+        assert.equal(settings.escalation.warnings, 1);
+        assert.equal(settings.escalation.muteMinutes, MAX_MUTE_MINUTES);
+    });
+});
+
+describe('evaluateAutomodText', () => {
+    it('does nothing while automod is off', () => {
+        const settings = { ...withRules({ bannedWords: { enabled: true, words: ['spam'] } }), enabled: false };
+        assert.equal(evaluateAutomodText('spam', settings), null);
+        assert.equal(evaluateAutomodText('anything', getAutomodSettings(null)), null);
+    });
+
+    it('matches banned words as whole words, ignoring case and accents', () => {
+        const settings = withRules({ bannedWords: { enabled: true, words: ['spam'] } });
+        assert.equal(evaluateAutomodText('Buy SPAM now', settings).rule, 'bannedWords');
+        assert.equal(evaluateAutomodText('Buy späm now', settings).rule, 'bannedWords');
+        assert.equal(evaluateAutomodText('spammer', settings), null);
+        assert.equal(evaluateAutomodText('Buy SPAM now', settings).action, 'warn');
+    });
+
+    it('matches banned regex patterns', () => {
+        const settings = withRules({ bannedWords: { enabled: true, patterns: ['fr[e3]{2}\\s*coins'] } });
+        assert.equal(evaluateAutomodText('get fr33 coins here', settings).match, 'fr33 coins');
+    });
+
+    it('blocks invite links before the general link rule', () => {
+        const settings = withRules({ invites: { enabled: true }, links: { enabled: true } });
+        assert.equal(evaluateAutomodText('join discord.gg/abc123', settings).rule, 'invites');
+        assert.equal(evaluateAutomodText('see https://evil.example.net/x', settings).rule, 'links');
+    });
+
+    it('lets allow-listed domains and their subdomains through', () => {
+        const settings = withRules({ links: { enabled: true, allowedDomains: ['example.com'] } });
+        assert.equal(evaluateAutomodText('docs at https://docs.example.com/a and www.example.com', settings), null);
+        assert.match(evaluateAutomodText('or notexample.com', settings).reason, /limited to: example.com/);
+    });
+
+    it('limits caps and emoji', () => {
+        const settings = withRules({ caps: { enabled: true }, emoji: { enabled: true, maxEmojis: 2 } });
+        assert.equal(evaluateAutomodText('THIS IS SO LOUD RIGHT NOW', settings).rule, 'caps');
+        assert.equal(evaluateAutomodText('OK GO', settings), null);
+        assert.equal(evaluateAutomodText('nice 🔥🔥🔥', settings).rule, 'emoji');
+        assert.equal(evaluateAutomodText('nice 🔥🔥', settings), null);
+    });
+});
+
+describe('slow mode and escalation', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const userCreatedAt = (hoursAgo) => mongoose.Types.ObjectId.createFromTime((now.getTime() - hoursAgo * 3600000) / 1000);
+
+    it('applies to young accounts and, when set, recent members', () => {
+        const { slowMode } = withRules({ slowMode: { enabled: true, accountAgeHours: 24, memberAgeHours: 2 } });
+        assert.equal(isSlowModeMember(slowMode, { userId: userCreatedAt(1) }, now), true);
+        assert.equal(isSlowModeMember(slowMode, { userId: userCreatedAt(48), joinedAt: new Date(now - 3600000) }, now), true);
+        assert.equal(isSlowModeMember(slowMode, { userId: userCreatedAt(48), joinedAt: new Date(now - 3 * 3600000) }, now), false);
+        assert.equal(isSlowModeMember({ ...slowMode, enabled: false }, { userId: userCreatedAt(1) }, now), false);
+    });
+
+    it('doubles the mute for every earlier automod mute, up to 30 days', () => {
+        assert.equal(escalatedMuteMinutes(60, 0), 60);
+        assert.equal(escalatedMuteMinutes(60, 2), 240);
+        assert.equal(escalatedMuteMinutes(60, 40), MAX_MUTE_MINUTES);
+    });
+});
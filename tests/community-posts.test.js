@@ -0,0 +1,159 @@
+/**
+ * Community post tests — poll/event/announcement validation, vote checks,
+ * counter deltas and the public post shape
+ *
+ * No DB needed. Run with:  node --test tests/community-posts.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+    parseCommunityPostInput,
+    parseVote,
+    isPollOpen,
+    isEventOpen,
+    selectionDelta,
+    formatCommunityPost,
+    DEFAULT_EVENT_REMINDER_MINUTES,
+} from '../utils/communityPosts.js';
+
+const now = new Date('2026-03-01T12:00:00Z');
+const inMinutes = (m) => new Date(now.getTime() + m * 60 * 1000).toISOString();
+
+const pollPost = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type: 'poll',
+    status: 'active',
+    title: 'Next stream?',
+    poll: {
+        options: [
+            { _id: new mongoose.Types.ObjectId(), text: 'Friday', votes: 3 },
+            { _id: new mongoose.Types.ObjectId(), text: 'Saturday', votes: 1 },
+        ],
+        allowMultiple: false,
+        anonymous: false,
+        closesAt: null,
+        closedAt: null,
+        totalVoters: 4,
+    },
+    ...overrides,
+});
+
+describe('parseCommunityPostInput', () => {
+    it('accepts an announcement and keeps the pin request', () => {
+        const { fields, error } = parseCommunityPostInput({ type: 'announcement', title: ' Rules updated ', pinned: true }, { now });
+        assert.equal(error, null);
+        assert.equal(fields.title, 'Rules updated');
+        assert.equal(fields.pinned, true);
+    });
+
+    it('ignores pinned on polls and events', () => {
+        const { fields } = parseCommunityPostInput({ type: 'poll', title: 'Q', pinned: true, poll: { options: ['a', 'b'] } }, { now });
+        assert.equal(fields.pinned, false);
+    });
+
+    it('rejects unknown types and missing titles', () => {
+        assert.match(parseCommunityPostInput({ type: 'video', title: 'x' }, { now }).error, /type must be one of/);
+        assert.match(parseCommunityPostInput({ type: 'poll', poll: { options: ['a', 'b'] } }, { now }).error, /poll question is required/);
+    });
+
+    it('validates poll options and deadline', () => {
+        const poll = (p) => parseCommunityPostInput({ type: 'poll', title: 'Q', poll: p }, { now });
+        assert.match(poll({ options: ['only one'] }).error, /between 2 and 10 options/);
+        assert.match(poll({ options: ['Yes', 'yes'] }).error, /different/);
+        assert.match(poll({ options: ['a', 'b'], closesAt: inMinutes(2) }).error, /5 minutes and 30 days/);
+        assert.match(poll({ options: ['a', 'b'], closesAt: 'soon' }).error, /Invalid poll deadline/);
+
+        const { fields } = poll({ options: ['a', 'b'], allowMultiple: true, anonymous: true, closesAt: inMinutes(60) });
+        assert.deepEqual(fields.poll.options, [{ text: 'a', votes: 0 }, { text: 'b', votes: 0 }]);
+        assert.equal(fields.poll.allowMultiple, true);
+        assert.equal(fields.poll.anonymous, true);
+    });
+
+    it('schedules the event reminder before the start, never in the past', () => {
+        const event = (e) => parseCommunityPostInput({ type: 'event', title: 'Meetup', event: e }, { now });
+
+        const { fields } = event({ startsAt: inMinutes(180) });
+        assert.equal(fields.event.reminderMinutes, DEFAULT_EVENT_REMINDER_MINUTES);
+        assert.equal(fields.event.remindAt.toISOString(), inMinutes(120));
+
+        assert.equal(event({ startsAt: inMinutes(30), reminderMinutes: 60 }).fields.event.remindAt.getTime(), now.getTime());
+        assert.equal(event({ startsAt: inMinutes(30), reminderMinutes: null }).fields.event.remindAt, null);
+        assert.match(event({ startsAt: inMinutes(30), reminderMinutes: 5 }).error, /Reminder must be one of/);
+    });
+
+    it('rejects events in the past, ending before they start or running over a week', () => {
+        const event = (e) => parseCommunityPostInput({ type: 'event', title: 'Meetup', event: e }, { now });
+        assert.match(event({ startsAt: inMinutes(-1) }).error, /start in the future/);
+        assert.match(event({ startsAt: inMinutes(60), endsAt: inMinutes(30) }).error, /end after it starts/);
+        assert.match(event({ startsAt: inMinutes(60), endsAt: inMinutes(60 + 8 * 24 * 60) }).error, /at most 7 days/);
+    });
+});
+
+describe('parseVote', () => {
+    it('accepts one option on a single-choice poll', () => {
+        const post = pollPost();
+        const id = post.poll.options[0]._id.toString();
+        assert.deepEqual(parseVote(post, id), { optionIds: [id], error: null });
+    });
+
+    it('rejects several options unless the poll allows multiple', () => {
+        const post = pollPost();
+        const ids = post.poll.options.map(o => o._id.toString());
+        assert.match(parseVote(post, ids).error, /only one choice/);
+        assert.deepEqual(parseVote(pollPost({ poll: { ...post.poll, allowMultiple: true } }), ids).optionIds, ids);
+    });
+
+    it('rejects empty and unknown options', () => {
+        assert.match(parseVote(pollPost(), []).error, /Choose an option/);
+        assert.match(parseVote(pollPost(), new mongoose.Types.ObjectId().toString()).error, /Unknown poll option/);
+    });
+});
+
+describe('poll and event state', () => {
+    it('closes polls at the deadline or when closed early', () => {
+        const base = pollPost();
+        assert.equal(isPollOpen(base, now), true);
+        assert.equal(isPollOpen(pollPost({ poll: { ...base.poll, closesAt: new Date(inMinutes(-1)) } }), now), false);
+        assert.equal(isPollOpen(pollPost({ poll: { ...base.poll, closedAt: now } }), now), false);
+        assert.equal(isPollOpen(pollPost({ status: 'removed' }), now), false);
+    });
+
+    it('accepts RSVPs until the event ends', () => {
+        const event = { type: 'event', status: 'active', event: { startsAt: new Date(inMinutes(-30)), endsAt: new Date(inMinutes(30)) } };
+        assert.equal(isEventOpen(event, now), true);
+        assert.equal(isEventOpen({ ...event, event: { startsAt: event.event.startsAt, endsAt: null } }, now), false);
+    });
+
+    it('computes counter changes between selections', () => {
+        assert.deepEqual(selectionDelta([], ['a']), { a: 1 });
+        assert.deepEqual(selectionDelta(['a', 'b'], ['b', 'c']), { c: 1, a: -1 });
+        assert.deepEqual(selectionDelta(['going'], ['going']), {});
+    });
+});
+
+describe('formatCommunityPost', () => {
+    it('adds percentages and the viewer\'s own choice to polls', () => {
+        const post = pollPost();
+        const mine = post.poll.options[0]._id.toString();
+        const formatted = formatCommunityPost(post, { optionIds: [mine] }, now);
+        assert.equal(formatted.kind, 'community_post');
+        assert.deepEqual(formatted.poll.options.map(o => o.percent), [75, 25]);
+        assert.deepEqual(formatted.poll.myOptionIds, [mine]);
+        assert.equal(formatted.poll.isOpen, true);
+    });
+
+    it('exposes event counts with the viewer\'s RSVP', () => {
+        const formatted = formatCommunityPost({
+            _id: new mongoose.Types.ObjectId(),
+            type: 'event',
+            status: 'active',
+            title: 'Meetup',
+            event: { startsAt: new Date(inMinutes(60)), location: 'Online', counts: { going: 2, interested: 1, not_going: 4 } },
+        }, { rsvp: 'going' }, now);
+        assert.deepEqual(formatted.event.counts, { going: 2, interested: 1, notGoing: 4 });
+        assert.equal(formatted.event.myRsvp, 'going');
+        assert.equal(formatted.event.isOpen, true);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Invite link tests — code format, create-body validation, link status and public shape
+ *
+ * No DB needed. Run with:  node --test tests/invite-links.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateInviteCode,
+    isValidInviteCode,
+    parseInviteInput,
+    inviteStatus,
+    formatInvite,
+    COMMUNITY_INVITE_ROLES,
+    INVITE_CODE_LENGTH,
+} from '../utils/inviteLinks.js';
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+describe('generateInviteCode', () => {
+    it('makes valid codes without look-alike characters', () => {
+        for (let i = 0; i < 50; i++) {
+            const code = generateInviteCode();
+            assert.equal(code.length, INVITE_CODE_LENGTH);
+            assert.ok(isValidInviteCode(code));
+            assert.doesNotMatch(code, /[0O1lI]/);
+        }
+    });
+
+    it('rejects malformed codes', () => {
+        assert.equal(isValidInviteCode('abc'), false);
+        assert.equal(isValidInviteCode('abc$defgh'), false);
+        assert.equal(isValidInviteCode({ $ne: null }), false);
+    });
+});
+
+describe('parseInviteInput', () => {
+    it('defaults to an unlimited, never-expiring member invite', () => {
+        assert.deepEqual(parseInviteInput({}, { now }), {
+            fields: { role: 'MEMBER', maxUses: null, expiresAt: null, label: '' },
+            error: null,
+        });
+    });
+
+    it('computes the expiry and validates the use cap', () => {
+        const { fields } = parseInviteInput({ maxUses: '5', expiresInHours: 24, label: ' Launch ' }, { now });
+        assert.equal(fields.maxUses, 5);
+        assert.equal(fields.expiresAt.toISOString(), '2026-03-02T12:00:00.000Z');
+        assert.equal(fields.label, 'Launch');
+
+        assert.match(parseInviteInput({ maxUses: 0 }, { now }).error, /maxUses/);
+        assert.match(parseInviteInput({ maxUses: 2.5 }, { now }).error, /maxUses/);
+        assert.match(parseInviteInput({ expiresInHours: 24 * 31 }, { now }).error, /expiresInHours/);
+    });
+
+    it('only allows the roles the caller may hand out', () => {
+        assert.match(parseInviteInput({ role: 'ADMIN', maxUses: 1, expiresInHours: 1 }, { allowedRoles: ['MEMBER', 'MODERATOR'] }).error, /role must be one of/);
+        assert.equal(parseInviteInput({ role: 'ADMIN', maxUses: 1, expiresInHours: 1 }, { allowedRoles: COMMUNITY_INVITE_ROLES }).error, null);
+    });
+
+    it('requires a use cap and an expiry for elevated roles', () => {
+        assert.match(parseInviteInput({ role: 'MODERATOR', maxUses: 1 }, { allowedRoles: COMMUNITY_INVITE_ROLES }).error, /need both maxUses and expiresInHours/);
+    });
+});
+
+describe('inviteStatus', () => {
+    const invite = { revokedAt: null, expiresAt: null, maxUses: null, uses: 0 };
+
+    it('reports revoked, expired and used-up links', () => {
+        assert.equal(inviteStatus(invite, now), 'active');
+        assert.equal(inviteStatus({ ...invite, revokedAt: now }, now), 'revoked');
+        assert.equal(inviteStatus({ ...invite, expiresAt: now }, now), 'expired');
+        assert.equal(inviteStatus({ ...invite, maxUses: 3, uses: 3 }, now), 'used_up');
+        assert.equal(inviteStatus({ ...invite, maxUses: 3, uses: 2 }, now), 'active');
+    });
+
+    it('formats remaining uses and a join URL per target', () => {
+        const formatted = formatInvite({ ...invite, code: 'AbCdEfGhJk', targetType: 'group_chat', maxUses: 3, uses: 1 }, now);
+        assert.equal(formatted.remainingUses, 2);
+        assert.match(formatted.url, /\/chats\/invite\/AbCdEfGhJk$/);
+        assert.match(formatInvite({ ...invite, code: 'AbCdEfGhJk', targetType: 'community' }, now).url, /\/communities\/invite\/AbCdEfGhJk$/);
+    });
+});
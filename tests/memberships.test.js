@@ -0,0 +1,193 @@
+/**
+ * Channel membership tests — billing periods, renewal decisions, grace-period retries,
+ * tier ranks and how members-only content is flagged to clients
+ *
+ * No DB needed. Run with:  node --test tests/memberships.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GRACE_PERIOD_DAYS,
+    RENEWAL_RETRY_INTERVAL_MS,
+    addMonths,
+    membershipChargeKey,
+    isMembershipLive,
+    renewalActionFor,
+    nextBillingPeriod,
+    renewedState,
+    failedRenewalState,
+    tierGrantsAccess,
+} from '../utils/memberships.js';
+import { isGatedContent, gateFlags, gateDeniedBody } from '../utils/ppvGuard.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+
+const active = (overrides = {}) => ({
+    _id: 'm1',
+    status: 'active',
+    tierId: 't1',
+    price: 99,
+    currentPeriodStart: new Date('2026-02-10T12:00:00Z'),
+    currentPeriodEnd: new Date('2026-03-10T12:00:00Z'),
+    cancelAtPeriodEnd: false,
+    renewalAttempts: 0,
+    ...overrides,
+});
+
+describe('addMonths', () => {
+    it('keeps the day of month', () => {
+        assert.equal(addMonths(new Date('2026-01-15T08:00:00Z')).toISOString(), '2026-02-15T08:00:00.000Z');
+    });
+
+    it('clamps to the end of shorter months', () => {
+        assert.equal(addMonths(new Date('2026-01-31T00:00:00Z')).toISOString(), '2026-02-28T00:00:00.000Z');
+        assert.equal(addMonths(new Date('2028-01-31T00:00:00Z')).toISOString(), '2028-02-29T00:00:00.000Z');
+    });
+
+    it('rolls over the year', () => {
+        assert.equal(addMonths(new Date('2026-12-05T00:00:00Z')).toISOString(), '2027-01-05T00:00:00.000Z');
+    });
+});
+
+describe('membershipChargeKey', () => {
+    it('is stable for the same period and differs across periods', () => {
+        const start = new Date('2026-03-10T12:00:00Z');
+        assert.equal(membershipChargeKey('m1', start), membershipChargeKey('m1', new Date(start)));
+        assert.notEqual(membershipChargeKey('m1', start), membershipChargeKey('m1', addMonths(start)));
+    });
+});
+
+describe('renewalActionFor', () => {
+    it('waits until the paid period is over', () => {
+        assert.equal(renewalActionFor(active({ currentPeriodEnd: new Date(now.getTime() + 1000) }), now), 'wait');
+    });
+
+    it('charges a due active membership', () => {
+        assert.equal(renewalActionFor(active(), now), 'charge');
+    });
+
+    it('ends a cancelled membership once the period is over', () => {
+        assert.equal(renewalActionFor(active({ cancelAtPeriodEnd: true }), now), 'end');
+    });
+
+    it('retries during grace only when the retry is due', () => {
+        const grace = active({
+            status: 'grace',
+            graceUntil: new Date(now.getTime() + 2 * DAY),
+            nextRenewalAttemptAt: new Date(now.getTime() + DAY),
+        });
+        assert.equal(renewalActionFor(grace, now), 'wait');
+        assert.equal(renewalActionFor(grace, new Date(now.getTime() + DAY)), 'charge');
+    });
+
+    it('expires once the grace period runs out', () => {
+        const grace = active({ status: 'grace', graceUntil: now, nextRenewalAttemptAt: now });
+        assert.equal(renewalActionFor(grace, now), 'expire');
+    });
+
+    it('leaves ended memberships alone', () => {
+        assert.equal(renewalActionFor(active({ status: 'expired' }), now), 'wait');
+        assert.equal(isMembershipLive(active({ status: 'cancelled' })), false);
+        assert.equal(isMembershipLive(active({ status: 'grace' })), true);
+    });
+});
+
+describe('nextBillingPeriod', () => {
+    it('keeps the billing date for on-time renewals', () => {
+        const { periodStart, periodEnd } = nextBillingPeriod(active(), new Date(now.getTime() + 60 * 1000));
+        assert.equal(periodStart.toISOString(), '2026-03-10T12:00:00.000Z');
+        assert.equal(periodEnd.toISOString(), '2026-04-10T12:00:00.000Z');
+    });
+
+    it('starts a fresh month from the scheduled retry during grace', () => {
+        const retryAt = new Date('2026-03-11T12:00:00Z');
+        const grace = active({ status: 'grace', nextRenewalAttemptAt: retryAt });
+        const a = nextBillingPeriod(grace, new Date('2026-03-11T12:05:00Z'));
+        const b = nextBillingPeriod(grace, new Date('2026-03-11T12:20:00Z'));
+        assert.equal(a.periodStart.toISOString(), retryAt.toISOString());
+        assert.equal(a.periodEnd.toISOString(), '2026-04-11T12:00:00.000Z');
+        assert.equal(membershipChargeKey('m1', a.periodStart), membershipChargeKey('m1', b.periodStart));
+    });
+});
+
+describe('renewedState / failedRenewalState', () => {
+    it('a successful renewal clears grace and any pending tier switch', () => {
+        const periodStart = new Date('2026-03-10T12:00:00Z');
+        const set = renewedState(active({ status: 'grace', renewalAttempts: 2 }), {
+            periodStart,
+            periodEnd: addMonths(periodStart),
+            tierId: 't2',
+            price: 199,
+        }, now);
+        assert.equal(set.status, 'active');
+        assert.equal(set.tierId, 't2');
+        assert.equal(set.price, 199);
+        assert.equal(set.pendingTierId, null);
+        assert.equal(set.graceUntil, null);
+        assert.equal(set.renewalAttempts, 0);
+    });
+
+    it('the first failure opens the grace period and schedules a retry', () => {
+        const { firstFailure, set } = failedRenewalState(active(), 'Insufficient wallet balance', now);
+        assert.equal(firstFailure, true);
+        assert.equal(set.status, 'grace');
+        assert.equal(set.graceUntil.getTime(), now.getTime() + GRACE_PERIOD_DAYS * DAY);
+        assert.equal(set.nextRenewalAttemptAt.getTime(), now.getTime() + RENEWAL_RETRY_INTERVAL_MS);
+        assert.equal(set.renewalAttempts, 1);
+        assert.equal(set.lastRenewalError, 'Insufficient wallet balance');
+    });
+
+    it('later failures keep the grace deadline and never retry past it', () => {
+        const graceUntil = new Date(now.getTime() + 6 * 60 * 60 * 1000);
+        const grace = active({ status: 'grace', graceUntil, renewalAttempts: 2 });
+        const { firstFailure, set } = failedRenewalState(grace, 'Insufficient wallet balance', now);
+        assert.equal(firstFailure, false);
+        assert.equal(set.graceUntil.getTime(), graceUntil.getTime());
+        assert.equal(set.nextRenewalAttemptAt.getTime(), graceUntil.getTime());
+        assert.equal(set.renewalAttempts, 3);
+    });
+});
+
+describe('tierGrantsAccess', () => {
+    it('non-members never get access', () => {
+        assert.equal(tierGrantsAccess(undefined, null), false);
+    });
+
+    it('any member gets content without a minimum tier', () => {
+        assert.equal(tierGrantsAccess(1, null), true);
+    });
+
+    it('higher tiers unlock lower-tier content but not the reverse', () => {
+        assert.equal(tierGrantsAccess(3, 2), true);
+        assert.equal(tierGrantsAccess(2, 2), true);
+        assert.equal(tierGrantsAccess(1, 2), false);
+    });
+});
+
+describe('members-only gating flags', () => {
+    it('treats members-only content as gated like PPV', () => {
+        assert.equal(isGatedContent({ visibility: 'members_only' }), true);
+        assert.equal(isGatedContent({ visibility: 'pay_per_view' }), true);
+        assert.equal(isGatedContent({ visibility: 'public' }), false);
+    });
+
+    it('tells clients which gate applies', () => {
+        assert.deepEqual(gateFlags({ visibility: 'pay_per_view' }), { ppvRequired: true });
+        assert.deepEqual(gateFlags({ visibility: 'members_only', membershipTierId: 't2' }), {
+            membershipRequired: true,
+            membershipTierId: 't2',
+        });
+        assert.deepEqual(gateDeniedBody({ visibility: 'members_only' }), {
+            error: 'Membership required',
+            membershipRequired: true,
+            membershipTierId: null,
+        });
+        assert.deepEqual(gateDeniedBody({ visibility: 'pay_per_view', price: 49 }), {
+            error: 'Purchase required',
+            ppvRequired: true,
+            price: 49,
+        });
+    });
+});
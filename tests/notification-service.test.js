@@ -0,0 +1,56 @@
+/**
+ * Notification service tests — @mention parsing and recipient preference checks
+ *
+ * Pure functions, no DB needed.
+ * Run with:  node --test tests/notification-service.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractMentionHandles, acceptsNotification } from '../utils/notificationService.js';
+
+describe('extractMentionHandles', () => {
+    it('finds handles at the start, after spaces and after punctuation', () => {
+        assert.deepEqual(extractMentionHandles('@Alice great point, (@bob_99) agrees'), ['alice', 'bob_99']);
+    });
+
+    it('ignores emails, short handles and duplicates', () => {
+        assert.deepEqual(extractMentionHandles('mail me@example.com or @ab, @Carol @carol'), ['carol']);
+    });
+
+    it('caps the number of mentions', () => {
+        const text = Array.from({ length: 15 }, (_, i) => `@user${i}`).join(' ');
+        assert.equal(extractMentionHandles(text).length, 10);
+    });
+
+    it('handles empty input', () => {
+        assert.deepEqual(extractMentionHandles(''), []);
+        assert.deepEqual(extractMentionHandles(null), []);
+    });
+});
+
+describe('acceptsNotification', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    it('accepts by default', () => {
+        assert.equal(acceptsNotification({}, 'mention', 'a1', now), true);
+    });
+
+    it('respects per-type preferences', () => {
+        const recipient = { notificationPreferences: { comment_like: false } };
+        assert.equal(acceptsNotification(recipient, 'comment_like', 'a1', now), false);
+        assert.equal(acceptsNotification(recipient, 'mention', 'a1', now), true);
+    });
+
+    it('respects a global mute until it expires', () => {
+        const recipient = { notificationsMutedUntil: new Date(now + 60_000) };
+        assert.equal(acceptsNotification(recipient, 'mention', 'a1', now), false);
+        assert.equal(acceptsNotification(recipient, 'mention', 'a1', now + 120_000), true);
+    });
+
+    it('drops notifications from muted users', () => {
+        const recipient = { mutedNotificationUsers: ['a1'] };
+        assert.equal(acceptsNotification(recipient, 'mention', 'a1', now), false);
+        assert.equal(acceptsNotification(recipient, 'mention', 'a2', now), true);
+    });
+});
@@ -32,10 +32,12 @@ async function testPinFeature() {
 
   // 3. Test OTP Store logic
   const testUserId = "user_test_123";
-  pinOtpStore.set(testUserId, { otp: "654321", expiresAt: Date.now() + 300000 });
-  const stored = pinOtpStore.get(testUserId);
-  console.log("OTP Store retrieval:", stored.otp === "654321");
-  pinOtpStore.delete(testUserId);
+  await pinOtpStore.issue(testUserId, "654321");
+  const stored = await pinOtpStore.get(testUserId);
+  console.log("OTP Store retrieval:", stored === "654321");
+  const result = await pinOtpStore.verify(testUserId, "654321");
+  console.log("OTP Store verify:", result === "ok");
+  await pinOtpStore.clear(testUserId);
 
   console.log("=== ALL UNIT TESTS PASSED SUCCESSFULLY! ===");
 }
@@ -0,0 +1,324 @@
+/**
+ * Playlist tests — owner/collaborator permissions, body validation, adding items (duplicates
+ * and the size cap), the collaborator cap and reordering (must be a permutation of the
+ * current items)
+ *
+ * No DB needed: the Playlist, Content and User model statics are replaced with an in-memory store.
+ * Run with:  node --test tests/playlists.test.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Playlist from '../models/playlist.model.js';
+import Content from '../models/content.model.js';
+import User from '../models/user.model.js';
+import {
+    createPlaylist,
+    updatePlaylist,
+    deletePlaylist,
+    addPlaylistItem,
+    removePlaylistItem,
+    reorderPlaylistItems,
+    addCollaborator,
+    removeCollaborator,
+} from '../controllers/playlist-controllers/playlistController.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const ownerId = id().toString();
+const collaboratorId = id().toString();
+const strangerId = id().toString();
+
+let playlists;
+let contents;
+
+// Query-like result: chainable select()/lean() and awaitable
+const query = (value) => ({
+    select() { return this; },
+    lean() { return this; },
+    then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); },
+});
+
+const hasItem = (doc, contentId) => doc.items.some(item => item.contentId.toString() === contentId.toString());
+const hasCollaborator = (doc, userId) => doc.collaborators.some(c => c.toString() === userId.toString());
+
+// The collaborator clauses addCollaborator/removeCollaborator filter on
+function matchesCollaboratorClause(doc, clause) {
+    if (clause.collaborators) return hasCollaborator(doc, clause.collaborators);
+    const slot = Object.keys(clause).find(key => key.startsWith('collaborators.'));
+    if (slot) return doc.collaborators.length <= Number(slot.split('.')[1]);
+    return true;
+}
+
+Playlist.findById = (playlistId) => query(playlists.get(playlistId.toString()) || null);
+
+Playlist.findOneAndUpdate = async (filter, update) => {
+    const doc = playlists.get(filter._id.toString());
+    if (!doc) return null;
+    if (filter['items.contentId']?.$ne && hasItem(doc, filter['items.contentId'].$ne)) return null;
+    if (filter.itemCount?.$lt !== undefined && !(doc.itemCount < filter.itemCount.$lt)) return null;
+    if (typeof filter['items.contentId'] === 'string' && !hasItem(doc, filter['items.contentId'])) return null;
+
+    if (update.$push) doc.items.push(update.$push.items);
+    if (update.$pull) doc.items = doc.items.filter(item => item.contentId.toString() !== update.$pull.items.contentId);
+    doc.itemCount += update.$inc.itemCount;
+    doc.updatedAt = new Date(doc.updatedAt.getTime() + 1);
+    return doc;
+};
+
+Playlist.updateOne = async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve)); // a DB round-trip: concurrent requests interleave here
+    const doc = playlists.get(filter._id.toString());
+    if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+    if (filter.updatedAt && filter.updatedAt.getTime() !== doc.updatedAt.getTime()) return { matchedCount: 0, modifiedCount: 0 };
+    if (!matchesCollaboratorClause(doc, filter)) return { matchedCount: 0, modifiedCount: 0 };
+    if (filter.$or && !filter.$or.some(clause => matchesCollaboratorClause(doc, clause))) {
+        return { matchedCount: 0, modifiedCount: 0 };
+    }
+
+    if (update.$set?.items) doc.items = update.$set.items;
+    if (update.$addToSet && !hasCollaborator(doc, update.$addToSet.collaborators)) {
+        doc.collaborators.push(update.$addToSet.collaborators);
+    }
+    if (update.$pull) doc.collaborators = doc.collaborators.filter(c => c.toString() !== update.$pull.collaborators);
+    return { matchedCount: 1, modifiedCount: 1 };
+};
+
+Playlist.deleteOne = async (filter) => {
+    playlists.delete(filter._id.toString());
+    return { deletedCount: 1 };
+};
+
+Content.findById = (contentId) => query(contents.get(contentId.toString()) || null);
+
+User.findById = (userId) => query({ _id: new mongoose.Types.ObjectId(userId.toString()), channelName: 'Someone' });
+
+function makePlaylist(overrides = {}) {
+    const doc = {
+        _id: id(),
+        userId: new mongoose.Types.ObjectId(ownerId),
+        title: 'Road trip',
+        description: '',
+        visibility: 'private',
+        items: [],
+        collaborators: [new mongoose.Types.ObjectId(collaboratorId)],
+        itemCount: 0,
+        updatedAt: new Date('2026-01-01T00:00:00Z'),
+        async save() {},
+        ...overrides,
+    };
+    doc.itemCount = doc.items.length;
+    playlists.set(doc._id.toString(), doc);
+    return doc;
+}
+
+function makeContent(overrides = {}) {
+    const doc = { _id: id(), contentType: 'video', userId: id(), status: 'completed', visibility: 'public', ...overrides };
+    contents.set(doc._id.toString(), doc);
+    return doc;
+}
+
+const itemsFor = (docs) => docs.map(c => ({ contentId: c._id, addedBy: ownerId, addedAt: new Date() }));
+
+function createMockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+    };
+}
+
+async function call(handler, { userId, params = {}, body = {} }) {
+    const res = createMockRes();
+    await handler({ user: { id: userId }, params, body, query: {} }, res);
+    return res;
+}
+
+beforeEach(() => {
+    playlists = new Map();
+    contents = new Map();
+});
+
+describe('playlist permissions', () => {
+    it('lets only the owner edit details, delete or manage collaborators', async () => {
+        const playlist = makePlaylist();
+        const params = { playlistId: playlist._id.toString() };
+
+        for (const userId of [collaboratorId, strangerId]) {
+            assert.equal((await call(updatePlaylist, { userId, params, body: { title: 'Mine now' } })).statusCode, 403);
+            assert.equal((await call(deletePlaylist, { userId, params })).statusCode, 403);
+            assert.equal((await call(addCollaborator, { userId, params, body: { userId: strangerId } })).statusCode, 403);
+        }
+        assert.equal(playlist.title, 'Road trip');
+        assert.ok(playlists.has(playlist._id.toString()));
+
+        assert.equal((await call(updatePlaylist, { userId: ownerId, params, body: { title: ' Summer ' } })).statusCode, 200);
+        assert.equal(playlist.title, 'Summer');
+        assert.equal((await call(deletePlaylist, { userId: ownerId, params })).statusCode, 200);
+        assert.equal(playlists.has(playlist._id.toString()), false);
+    });
+
+    it('lets collaborators edit items but not strangers', async () => {
+        const content = makeContent();
+        const playlist = makePlaylist();
+        const params = { playlistId: playlist._id.toString() };
+        const body = { contentId: content._id.toString() };
+
+        assert.equal((await call(addPlaylistItem, { userId: strangerId, params, body })).statusCode, 403);
+        assert.equal((await call(addPlaylistItem, { userId: collaboratorId, params, body })).statusCode, 201);
+
+        const removeParams = { ...params, contentId: content._id.toString() };
+        assert.equal((await call(removePlaylistItem, { userId: strangerId, params: removeParams })).statusCode, 403);
+        assert.equal((await call(removePlaylistItem, { userId: collaboratorId, params: removeParams })).statusCode, 200);
+        assert.equal(playlist.itemCount, 0);
+    });
+
+    it('lets a collaborator remove only themselves', async () => {
+        const otherCollaborator = id().toString();
+        const playlist = makePlaylist();
+        playlist.collaborators.push(new mongoose.Types.ObjectId(otherCollaborator));
+        const params = (userId) => ({ playlistId: playlist._id.toString(), userId });
+
+        assert.equal((await call(removeCollaborator, { userId: collaboratorId, params: params(otherCollaborator) })).statusCode, 403);
+        assert.equal((await call(removeCollaborator, { userId: collaboratorId, params: params(collaboratorId) })).statusCode, 200);
+        assert.equal((await call(removeCollaborator, { userId: ownerId, params: params(otherCollaborator) })).statusCode, 200);
+        assert.deepEqual(playlist.collaborators, []);
+    });
+
+    it('answers 404 for unknown playlists and 400 for bad IDs', async () => {
+        assert.equal((await call(deletePlaylist, { userId: ownerId, params: { playlistId: id().toString() } })).statusCode, 404);
+        assert.equal((await call(deletePlaylist, { userId: ownerId, params: { playlistId: 'nope' } })).statusCode, 400);
+    });
+});
+
+describe('request validation', () => {
+    it('answers 400 instead of 500 for non-string fields', async () => {
+        for (const body of [{ title: { $ne: '' } }, { title: ['Road trip'] }, { title: 'Road trip', description: { text: 'x' } }]) {
+            const res = await call(createPlaylist, { userId: ownerId, body });
+            assert.equal(res.statusCode, 400, JSON.stringify(body));
+        }
+
+        const playlist = makePlaylist();
+        const params = { playlistId: playlist._id.toString() };
+        assert.equal((await call(updatePlaylist, { userId: ownerId, params, body: { title: 42 } })).statusCode, 400);
+        assert.equal((await call(updatePlaylist, { userId: ownerId, params, body: { description: [] } })).statusCode, 400);
+        assert.equal((await call(addCollaborator, { userId: ownerId, params, body: { channelHandle: { $gt: '' } } })).statusCode, 400);
+        assert.equal((await call(addCollaborator, { userId: ownerId, params, body: { userId: 12345 } })).statusCode, 400);
+        assert.equal(playlist.title, 'Road trip');
+    });
+});
+
+describe('addCollaborator', () => {
+    it('never goes over the cap, even for concurrent adds', async () => {
+        const playlist = makePlaylist({ collaborators: Array.from({ length: 19 }, () => id()) });
+        const params = { playlistId: playlist._id.toString() };
+        const [first, second] = await Promise.all([
+            call(addCollaborator, { userId: ownerId, params, body: { userId: id().toString() } }),
+            call(addCollaborator, { userId: ownerId, params, body: { userId: id().toString() } }),
+        ]);
+
+        assert.deepEqual([first.statusCode, second.statusCode].sort(), [201, 400]);
+        assert.equal(playlist.collaborators.length, 20);
+    });
+
+    it('still accepts re-adding someone already on a full list', async () => {
+        const playlist = makePlaylist({ collaborators: Array.from({ length: 20 }, () => id()) });
+        const existing = playlist.collaborators[5].toString();
+        const res = await call(addCollaborator, {
+            userId: ownerId,
+            params: { playlistId: playlist._id.toString() },
+            body: { userId: existing },
+        });
+        assert.equal(res.statusCode, 201);
+        assert.equal(playlist.collaborators.length, 20);
+    });
+});
+
+describe('addPlaylistItem', () => {
+    it('rejects content that is already in the playlist', async () => {
+        const content = makeContent();
+        const playlist = makePlaylist({ items: itemsFor([content]) });
+        const res = await call(addPlaylistItem, {
+            userId: ownerId,
+            params: { playlistId: playlist._id.toString() },
+            body: { contentId: content._id.toString() },
+        });
+        assert.equal(res.statusCode, 409);
+        assert.match(res.body.error, /already in this playlist/);
+        assert.equal(playlist.items.length, 1);
+    });
+
+    it('stops at the size cap', async () => {
+        const full = Array.from({ length: 500 }, () => makeContent());
+        const playlist = makePlaylist({ items: itemsFor(full) });
+        const extra = makeContent();
+        const res = await call(addPlaylistItem, {
+            userId: ownerId,
+            params: { playlistId: playlist._id.toString() },
+            body: { contentId: extra._id.toString() },
+        });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /at most 500 items/);
+        assert.equal(playlist.itemCount, 500);
+    });
+
+    it('refuses content types and content the user cannot list', async () => {
+        const playlist = makePlaylist();
+        const params = { playlistId: playlist._id.toString() };
+        const image = makeContent({ contentType: 'image' });
+        const someoneElsesPrivate = makeContent({ visibility: 'private' });
+        const ownPrivate = makeContent({ visibility: 'private', userId: new mongoose.Types.ObjectId(ownerId) });
+
+        assert.equal((await call(addPlaylistItem, { userId: ownerId, params, body: { contentId: image._id.toString() } })).statusCode, 400);
+        assert.equal((await call(addPlaylistItem, { userId: ownerId, params, body: { contentId: someoneElsesPrivate._id.toString() } })).statusCode, 404);
+        assert.equal((await call(addPlaylistItem, { userId: ownerId, params, body: { contentId: ownPrivate._id.toString() } })).statusCode, 201);
+        assert.equal(playlist.itemCount, 1);
+    });
+});
+
+describe('reorderPlaylistItems', () => {
+    const setup = () => {
+        const [a, b, c] = [makeContent(), makeContent(), makeContent()];
+        const playlist = makePlaylist({ items: itemsFor([a, b, c]) });
+        return { playlist, ids: [a, b, c].map(doc => doc._id.toString()) };
+    };
+    const reorder = (playlist, contentIds, userId = ownerId) => call(reorderPlaylistItems, {
+        userId,
+        params: { playlistId: playlist._id.toString() },
+        body: { contentIds },
+    });
+    const order = (playlist) => playlist.items.map(item => item.contentId.toString());
+
+    it('applies a permutation of the current items', async () => {
+        const { playlist, ids: [a, b, c] } = setup();
+        const res = await reorder(playlist, [c, a, b], collaboratorId);
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(order(playlist), [c, a, b]);
+    });
+
+    it('rejects anything that is not exactly the current items', async () => {
+        const { playlist, ids: [a, b, c] } = setup();
+        for (const contentIds of [[a, b], [a, b, c, a], [a, a, b], [a, b, id().toString()]]) {
+            const res = await reorder(playlist, contentIds);
+            assert.equal(res.statusCode, 409, JSON.stringify(contentIds));
+        }
+        assert.equal((await reorder(playlist, 'a,b,c')).statusCode, 400);
+        assert.equal((await reorder(playlist, [c, b, a], strangerId)).statusCode, 403);
+        assert.deepEqual(order(playlist), [a, b, c]);
+    });
+
+    it('refuses to overwrite a playlist changed since it was read', async () => {
+        const { playlist, ids: [a, b, c] } = setup();
+        const stale = Playlist.updateOne;
+        Playlist.updateOne = async () => ({ matchedCount: 0, modifiedCount: 0 });
+        try {
+            const res = await reorder(playlist, [c, b, a]);
+            assert.equal(res.statusCode, 409);
+            assert.match(res.body.error, /changed while reordering/);
+        } finally {
+            Playlist.updateOne = stale;
+        }
+        assert.deepEqual(order(playlist), [a, b, c]);
+    });
+});
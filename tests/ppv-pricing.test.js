@@ -0,0 +1,108 @@
+/**
+ * PPV pricing tests — sale windows, coupon discounts and applicability checks
+ *
+ * Pure functions, no DB needed.
+ * Run with:  node --test tests/ppv-pricing.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+    normalizeCouponCode,
+    isSaleActive,
+    getEffectivePrice,
+    computeCouponDiscount,
+    checkCouponApplicable,
+} from '../utils/ppvPricing.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const creatorId = new mongoose.Types.ObjectId();
+const content = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: creatorId,
+    price: 100,
+    salePrice: 60,
+    saleStartsAt: new Date(NOW - HOUR),
+    saleEndsAt: new Date(NOW + HOUR),
+};
+
+describe('normalizeCouponCode', () => {
+    it('uppercases and trims valid codes', () => {
+        assert.equal(normalizeCouponCode('  launch50 '), 'LAUNCH50');
+    });
+
+    it('rejects invalid input', () => {
+        assert.equal(normalizeCouponCode('ab'), null);
+        assert.equal(normalizeCouponCode('has space'), null);
+        assert.equal(normalizeCouponCode(42), null);
+    });
+});
+
+describe('sale price', () => {
+    it('applies inside the sale window', () => {
+        assert.equal(isSaleActive(content, NOW), true);
+        assert.equal(getEffectivePrice(content, NOW), 60);
+    });
+
+    it('falls back to the list price outside the window', () => {
+        assert.equal(getEffectivePrice(content, NOW + 2 * HOUR), 100);
+        assert.equal(getEffectivePrice(content, NOW - 2 * HOUR), 100);
+    });
+
+    it('ignores a sale price that is not below the list price', () => {
+        assert.equal(getEffectivePrice({ ...content, salePrice: 150 }, NOW), 100);
+    });
+});
+
+describe('computeCouponDiscount', () => {
+    it('computes percent discounts', () => {
+        assert.equal(computeCouponDiscount({ discountType: 'percent', discountValue: 25 }, 60), 15);
+    });
+
+    it('caps percent discounts at 90%', () => {
+        assert.equal(computeCouponDiscount({ discountType: 'percent', discountValue: 100 }, 100), 90);
+    });
+
+    it('never takes the price below ₹1', () => {
+        assert.equal(computeCouponDiscount({ discountType: 'fixed', discountValue: 500 }, 60), 59);
+    });
+
+    it('rounds to paisa', () => {
+        assert.equal(computeCouponDiscount({ discountType: 'percent', discountValue: 33 }, 99.99), 33);
+    });
+});
+
+describe('checkCouponApplicable', () => {
+    const coupon = {
+        creatorId,
+        isActive: true,
+        contentIds: [],
+        startsAt: new Date(NOW - HOUR),
+        expiresAt: new Date(NOW + HOUR),
+        maxRedemptions: 10,
+        redemptionCount: 0,
+    };
+
+    it('accepts a valid coupon for any of the creator\'s content', () => {
+        assert.equal(checkCouponApplicable(coupon, content, NOW), null);
+    });
+
+    it('rejects another creator\'s coupon', () => {
+        const other = { ...coupon, creatorId: new mongoose.Types.ObjectId() };
+        assert.equal(checkCouponApplicable(other, content, NOW), 'Invalid coupon code');
+    });
+
+    it('rejects expired, inactive and exhausted coupons', () => {
+        assert.match(checkCouponApplicable(coupon, content, NOW + 2 * HOUR), /expired/);
+        assert.equal(checkCouponApplicable({ ...coupon, isActive: false }, content, NOW), 'Invalid coupon code');
+        assert.match(checkCouponApplicable({ ...coupon, redemptionCount: 10 }, content, NOW), /fully redeemed/);
+    });
+
+    it('respects content scoping', () => {
+        const scoped = { ...coupon, contentIds: [new mongoose.Types.ObjectId()] };
+        assert.match(checkCouponApplicable(scoped, content, NOW), /does not apply/);
+        assert.equal(checkCouponApplicable({ ...scoped, contentIds: [content._id] }, content, NOW), null);
+    });
+});
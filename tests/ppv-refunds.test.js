@@ -0,0 +1,334 @@
+/**
+ * PPV refund tests — wallet reversal, shortfalls parked in pendingRecovery after a payout,
+ * recovery before the next payout/transfer, and the admin refund endpoints
+ *
+ * No DB needed: the wallet models are replaced with in-memory collections and sessions
+ * run their callback directly.
+ * Run with:  node --test tests/ppv-refunds.test.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PrimaryWallet from '../models/primaryWallet.model.js';
+import SecondaryWallet from '../models/secondaryWallet.model.js';
+import WalletTransaction from '../models/walletTransaction.model.js';
+import WalletTransferLog from '../models/walletTransferLog.model.js';
+import Purchase from '../models/purchase.model.js';
+import RefundRequest from '../models/refundRequest.model.js';
+import Content from '../models/content.model.js';
+import { executePpvRefund, recoverPendingRefunds, executeTransfer } from '../utils/walletService.js';
+import {
+    requestRefund,
+    approveRefundRequest,
+    rejectRefundRequest,
+    REFUND_WINDOW_DAYS,
+} from '../controllers/wallet-controllers/refundController.js';
+
+const { ObjectId } = mongoose.Types;
+const DAY = 24 * 60 * 60 * 1000;
+
+// ─── In-memory models ────────────────────────────────────────────────────────
+
+const collections = new Map();
+
+const isOperatorObject = (value) => value && typeof value === 'object'
+    && !(value instanceof ObjectId) && !(value instanceof Date)
+    && Object.keys(value).every(key => key.startsWith('$'));
+
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, expected]) => {
+        const actual = doc[key];
+        if (!isOperatorObject(expected)) return String(actual) === String(expected);
+        if ('$in' in expected && !expected.$in.map(String).includes(String(actual))) return false;
+        if ('$gte' in expected && !(actual >= expected.$gte)) return false;
+        return true;
+    });
+}
+
+function applyUpdate(doc, update) {
+    const ops = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+    Object.assign(doc, ops.$set || {});
+    for (const [key, amount] of Object.entries(ops.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+    return doc;
+}
+
+// Query-like result: chainable session()/select()/lean() and awaitable
+const query = (value) => ({
+    session() { return this; },
+    select() { return this; },
+    lean() { return this; },
+    then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); },
+});
+
+function useMemoryModel(Model) {
+    const docs = () => collections.get(Model.modelName);
+    const find = (filter) => docs().find(doc => matches(doc, filter)) || null;
+    const insert = (data) => {
+        const doc = { _id: new ObjectId(), createdAt: new Date(), ...data };
+        doc.save = async () => doc;
+        docs().push(doc);
+        return doc;
+    };
+
+    Model.insert = insert;
+    Model.all = (filter = {}) => docs().filter(doc => matches(doc, filter));
+    Model.findOne = (filter) => query(find(filter));
+    Model.findById = (id) => query(find({ _id: id }));
+    Model.exists = async (filter) => (find(filter) ? { _id: find(filter)._id } : null);
+    Model.findOneAndUpdate = async (filter, update) => {
+        const doc = find(filter);
+        return doc ? applyUpdate(doc, update) : null;
+    };
+    Model.updateOne = async (filter, update) => {
+        const doc = find(filter);
+        if (doc) applyUpdate(doc, update);
+        return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    };
+    Model.create = async (input) => (Array.isArray(input) ? input.map(insert) : insert(input));
+}
+
+[PrimaryWallet, SecondaryWallet, WalletTransaction, WalletTransferLog, Purchase, RefundRequest, Content]
+    .forEach(useMemoryModel);
+
+mongoose.startSession = async () => ({
+    withTransaction: async (fn) => { await fn(); },
+    endSession: async () => {},
+});
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const buyerId = new ObjectId();
+const creatorId = new ObjectId();
+const adminId = new ObjectId();
+
+/**
+ * A ₹100 purchase whose ₹68 creator earning landed in a wallet that now holds `creatorBalance`.
+ */
+function seedPurchase({ creatorBalance, pendingRecovery = 0, purchasedAt = new Date() }) {
+    const content = Content.insert({ userId: creatorId, title: 'Concert' });
+    const creatorWallet = SecondaryWallet.insert({ userId: creatorId, balance: creatorBalance, pendingRecovery });
+    const buyerWallet = PrimaryWallet.insert({ userId: buyerId, balance: 0 });
+    const purchase = Purchase.insert({
+        buyerId,
+        contentId: content._id,
+        amount: 100,
+        orderId: 'order_1',
+        status: 'active',
+        purchasedAt,
+    });
+    WalletTransaction.insert({
+        walletId: creatorWallet._id,
+        walletType: 'secondary',
+        type: 'ppv_earning_credit',
+        amount: 68,
+        relatedPurchaseId: purchase._id,
+        status: 'completed',
+        idempotencyKey: `ppv_${purchase._id}_earning`,
+    });
+    const request = RefundRequest.insert({
+        purchaseId: purchase._id,
+        buyerId,
+        contentId: content._id,
+        creatorId,
+        type: 'refund',
+        reason: 'not_as_described',
+        amount: 100,
+        status: 'pending',
+    });
+    return { content, creatorWallet, buyerWallet, purchase, request };
+}
+
+function createMockRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+    };
+}
+
+beforeEach(() => {
+    for (const Model of [PrimaryWallet, SecondaryWallet, WalletTransaction, WalletTransferLog, Purchase, RefundRequest, Content]) {
+        collections.set(Model.modelName, []);
+    }
+});
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+describe('executePpvRefund', () => {
+    it('credits the buyer in full and takes the whole earning back from the creator', async () => {
+        const { creatorWallet, buyerWallet, purchase, request } = seedPurchase({ creatorBalance: 200 });
+
+        const result = await executePpvRefund(request._id, { adminId, adminNote: 'Broken upload' });
+
+        assert.equal(result.buyerTxn.amount, 100);
+        assert.equal(result.creatorDebited, 68);
+        assert.equal(result.creatorShortfall, 0);
+        assert.equal(buyerWallet.balance, 100);
+        assert.equal(creatorWallet.balance, 132);
+        assert.equal(creatorWallet.pendingRecovery, 0);
+        assert.equal(purchase.status, 'refunded');
+        assert.equal(request.status, 'approved');
+        assert.equal(request.adminNote, 'Broken upload');
+        assert.equal(WalletTransaction.all({ type: 'ppv_refund_debit' })[0].amount, 68);
+    });
+
+    it('parks the part already paid out in pendingRecovery', async () => {
+        const { creatorWallet, buyerWallet, request } = seedPurchase({ creatorBalance: 20 });
+
+        const result = await executePpvRefund(request._id, { adminId });
+
+        assert.equal(buyerWallet.balance, 100);
+        assert.equal(result.creatorDebited, 20);
+        assert.equal(result.creatorShortfall, 48);
+        assert.equal(creatorWallet.balance, 0);
+        assert.equal(creatorWallet.pendingRecovery, 48);
+        assert.equal(request.creatorShortfall, 48);
+    });
+
+    it('writes no creator debit when the whole earning was paid out', async () => {
+        const { creatorWallet, request } = seedPurchase({ creatorBalance: 0, pendingRecovery: 10 });
+
+        const result = await executePpvRefund(request._id, { adminId });
+
+        assert.equal(result.creatorTxn, null);
+        assert.equal(result.creatorShortfall, 68);
+        assert.equal(creatorWallet.pendingRecovery, 78);
+        assert.equal(WalletTransaction.all({ type: 'ppv_refund_debit' }).length, 0);
+    });
+
+    it('refuses requests that were already reviewed and purchases that were already refunded', async () => {
+        const { purchase, request } = seedPurchase({ creatorBalance: 200 });
+        await executePpvRefund(request._id, { adminId });
+        await assert.rejects(executePpvRefund(request._id, { adminId }), /already reviewed/);
+
+        const second = RefundRequest.insert({ purchaseId: purchase._id, status: 'pending', type: 'dispute' });
+        await assert.rejects(executePpvRefund(second._id, { adminId }), /not refundable/);
+        assert.equal(WalletTransaction.all({ type: 'ppv_refund_credit' }).length, 1);
+    });
+});
+
+describe('recoverPendingRefunds', () => {
+    it('recovers what the balance covers and keeps the rest owed', async () => {
+        const wallet = SecondaryWallet.insert({ userId: creatorId, balance: 30, pendingRecovery: 48 });
+
+        assert.equal(await recoverPendingRefunds(wallet._id, null), 30);
+        assert.equal(wallet.balance, 0);
+        assert.equal(wallet.pendingRecovery, 18);
+        assert.equal(await recoverPendingRefunds(wallet._id, null), 0);
+
+        wallet.balance = 100;
+        assert.equal(await recoverPendingRefunds(wallet._id, null), 18);
+        assert.equal(wallet.balance, 82);
+        assert.equal(wallet.pendingRecovery, 0);
+        assert.deepEqual(WalletTransaction.all({ type: 'refund_recovery_debit' }).map(txn => txn.amount), [30, 18]);
+    });
+
+    it('is a no-op when nothing is owed', async () => {
+        const wallet = SecondaryWallet.insert({ userId: creatorId, balance: 50, pendingRecovery: 0 });
+        assert.equal(await recoverPendingRefunds(wallet._id, null), 0);
+        assert.equal(wallet.balance, 50);
+    });
+});
+
+describe('executeTransfer', () => {
+    it('settles refund shortfalls before moving earnings to the primary wallet', async () => {
+        const secondary = SecondaryWallet.insert({ userId: creatorId, balance: 100, pendingRecovery: 48 });
+        const primary = PrimaryWallet.insert({ userId: creatorId, balance: 0 });
+
+        await assert.rejects(executeTransfer(creatorId, 60, 'transfer_too_much'), /Insufficient secondary wallet balance/);
+        assert.equal(secondary.balance, 52);
+        assert.equal(secondary.pendingRecovery, 0);
+
+        await executeTransfer(creatorId, 50, 'transfer_ok');
+        assert.equal(secondary.balance, 2);
+        assert.equal(primary.balance, 50);
+    });
+});
+
+describe('refund controller', () => {
+    it('reports the amount left to recover when approving after a payout', async () => {
+        const { request } = seedPurchase({ creatorBalance: 20 });
+        const res = createMockRes();
+
+        await approveRefundRequest({ params: { id: request._id.toString() }, body: { reason: 'ok' }, admin: { _id: adminId } }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.buyerCredited, 100);
+        assert.equal(res.body.creatorShortfall, 48);
+        assert.match(res.body.message, /₹48 was already paid out/);
+    });
+
+    it('answers 400 for bad IDs and requests that were already reviewed', async () => {
+        const { request } = seedPurchase({ creatorBalance: 200 });
+        const approve = async (id) => {
+            const res = createMockRes();
+            await approveRefundRequest({ params: { id }, body: {}, admin: { _id: adminId } }, res);
+            return res;
+        };
+
+        assert.equal((await approve('nope')).statusCode, 400);
+        assert.equal((await approve(request._id.toString())).statusCode, 200);
+        const again = await approve(request._id.toString());
+        assert.equal(again.statusCode, 400);
+        assert.match(again.body.message, /already reviewed/);
+
+        const res = createMockRes();
+        await rejectRefundRequest({ params: { id: request._id.toString() }, body: { reason: 'Too late' }, admin: { _id: adminId } }, res);
+        assert.equal(res.statusCode, 404);
+    });
+
+    it('only accepts refund requests inside the refund window', async () => {
+        const { purchase } = seedPurchase({
+            creatorBalance: 200,
+            purchasedAt: new Date(Date.now() - (REFUND_WINDOW_DAYS + 1) * DAY),
+        });
+        collections.set(RefundRequest.modelName, []);
+        const ask = async (type) => {
+            const res = createMockRes();
+            await requestRefund({
+                user: { id: buyerId.toString() },
+                params: { purchaseId: purchase._id.toString() },
+                body: { type, reason: 'not_as_described' },
+            }, res);
+            return res;
+        };
+
+        const refund = await ask('refund');
+        assert.equal(refund.statusCode, 400);
+        assert.match(refund.body.error, /within 7 days/);
+
+        const dispute = await ask('dispute');
+        assert.equal(dispute.statusCode, 201);
+        assert.equal(RefundRequest.all({ purchaseId: purchase._id })[0].creatorId, creatorId);
+    });
+
+    it('lets a rejected refund escalate to a dispute once, but never re-files a rejected dispute', async () => {
+        const { purchase } = seedPurchase({ creatorBalance: 200 });
+        collections.set(RefundRequest.modelName, []);
+        const ask = async (type) => {
+            const res = createMockRes();
+            await requestRefund({
+                user: { id: buyerId.toString() },
+                params: { purchaseId: purchase._id.toString() },
+                body: { type, reason: 'unauthorized' },
+            }, res);
+            return res;
+        };
+        const rejectLatest = () => { RefundRequest.all().at(-1).status = 'rejected'; };
+
+        assert.equal((await ask('refund')).statusCode, 201);
+        rejectLatest();
+        assert.equal((await ask('refund')).statusCode, 400);
+        assert.equal((await ask('dispute')).statusCode, 201);
+        rejectLatest();
+
+        for (const type of ['dispute', 'refund']) {
+            const res = await ask(type);
+            assert.equal(res.statusCode, 409);
+            assert.match(res.body.error, /already reviewed and rejected/);
+        }
+        assert.equal(RefundRequest.all({ purchaseId: purchase._id }).length, 2);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Realtime gateway tests — SSE framing and local topic delivery
+ *
+ * Runs without Redis (REDIS_URL unset → local-only delivery).
+ * Run with:  node --test tests/realtime-gateway.test.js
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+delete process.env.REDIS_URL;
+
+const {
+    formatSseEvent,
+    registerStream,
+    publishToUsers,
+    publishToCommunity,
+    leaveCommunityTopic,
+    communityTopic,
+    getLocalStreamCount,
+    MAX_STREAMS_PER_USER,
+} = await import('../utils/realtimeGateway.js');
+
+// Minimal Express req/res doubles
+function fakeStream() {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        statusCode: null,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        set(headers) { Object.assign(this.headers, headers); return this; },
+        flushHeaders() {},
+        write(chunk) { this.chunks.push(chunk); return true; },
+    };
+    return { req, res, body: () => res.chunks.join('') };
+}
+
+const open = [];
+function connect(userId, topics = []) {
+    const stream = fakeStream();
+    const client = registerStream(stream.req, stream.res, userId, topics);
+    open.push(stream);
+    return { ...stream, client };
+}
+
+afterEach(() => {
+    while (open.length) open.pop().req.emit('close');
+});
+
+describe('formatSseEvent', () => {
+    it('produces a single-line JSON data frame', () => {
+        const frame = formatSseEvent('message.new', { text: 'hi\nthere' }, '42');
+        assert.equal(frame, 'id: 42\nevent: message.new\ndata: {"text":"hi\\nthere"}\n\n');
+    });
+});
+
+describe('registerStream / publish', () => {
+    it('sets SSE headers and sends a ready event', () => {
+        const { res, body } = connect('u1');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Content-Type'], 'text/event-stream');
+        assert.ok(body().includes('event: ready'));
+    });
+
+    it('delivers user events only to that user', () => {
+        const alice = connect('alice');
+        const bob = connect('bob');
+        publishToUsers(['alice', 'alice'], 'typing', { conversationId: 'c1', isTyping: true });
+        assert.equal(alice.body().split('event: typing').length - 1, 1);
+        assert.ok(!bob.body().includes('event: typing'));
+    });
+
+    it('delivers community events to subscribed streams', () => {
+        const member = connect('m1', [communityTopic('comm1')]);
+        const outsider = connect('m2');
+        publishToCommunity('comm1', 'community.message.new', { communityId: 'comm1' });
+        assert.ok(member.body().includes('event: community.message.new'));
+        assert.ok(!outsider.body().includes('community.message.new'));
+    });
+
+    it('removes streams on close and caps streams per user', () => {
+        const before = getLocalStreamCount();
+        for (let i = 0; i < MAX_STREAMS_PER_USER; i++) assert.ok(connect('busy').client);
+        assert.equal(connect('busy').client, null);
+        assert.equal(getLocalStreamCount(), before + MAX_STREAMS_PER_USER);
+
+        while (open.length) open.pop().req.emit('close');
+        assert.equal(getLocalStreamCount(), 0);
+    });
+});
+
+describe('leaveCommunityTopic', () => {
+    it('stops community delivery to a banned member only', () => {
+        const banned = connect('b1', [communityTopic('comm2')]);
+        const member = connect('m3', [communityTopic('comm2')]);
+        leaveCommunityTopic('comm2', 'b1', 'banned');
+        assert.ok(banned.body().includes('event: community.left'));
+        assert.ok(banned.body().includes('"reason":"banned"'));
+        assert.ok(!banned.client.topics.has(communityTopic('comm2')));
+
+        publishToCommunity('comm2', 'community.message.new', { communityId: 'comm2' });
+        assert.ok(!banned.body().includes('community.message.new'));
+        assert.ok(member.body().includes('community.message.new'));
+        assert.ok(!member.body().includes('community.left'));
+    });
+
+    it('drops the topic from every stream when the community is deleted', () => {
+        const a = connect('a1', [communityTopic('comm3')]);
+        const b = connect('a2', [communityTopic('comm3')]);
+        leaveCommunityTopic('comm3', null, 'deleted');
+        publishToCommunity('comm3', 'community.message.new', { communityId: 'comm3' });
+        for (const stream of [a, b]) {
+            assert.ok(stream.body().includes('event: community.left'));
+            assert.ok(!stream.body().includes('community.message.new'));
+        }
+    });
+});
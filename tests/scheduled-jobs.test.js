@@ -0,0 +1,191 @@
+/**
+ * Scheduled job tests — the in-memory lock, job run bookkeeping and analytics period keys
+ *
+ * No DB needed. Run with:  node --test tests/scheduled-jobs.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryLock } from '../utils/distributedLock.js';
+import { JobScheduler, MemoryRunStore } from '../utils/jobScheduler.js';
+import {
+    isoWeekKey,
+    periodRange,
+    planAggregation,
+    parseAggregationRange,
+    buildSummaryFields,
+    isCompleteAt,
+    LATE_DATA_GRACE_MS,
+} from '../utils/analyticsAggregation.js';
+
+function makeScheduler() {
+    let clock = Date.parse('2026-03-01T12:00:00Z');
+    const now = () => clock;
+    const lock = new MemoryLock({ now });
+    const store = new MemoryRunStore();
+    const scheduler = new JobScheduler({ lock, store, now, jitterMs: 0 });
+    return { scheduler, lock, store, advance: (ms) => { clock += ms; } };
+}
+
+describe('MemoryLock', () => {
+    it('has one holder until released or expired', async () => {
+        let clock = 0;
+        const lock = new MemoryLock({ now: () => clock });
+        const token = await lock.acquire('jobs:a', 1000);
+        assert.ok(token);
+        assert.equal(await lock.acquire('jobs:a', 1000), null);
+        assert.equal(await lock.release('jobs:a', 'someone-else'), false);
+
+        clock = 900;
+        assert.equal(await lock.extend('jobs:a', token, 1000), true);
+        clock = 1800;
+        assert.deepEqual(await lock.holder('jobs:a'), { token, ttlMs: 100 });
+
+        clock = 1900;
+        assert.equal(await lock.holder('jobs:a'), null);
+        assert.equal(await lock.extend('jobs:a', token, 1000), false);
+        assert.ok(await lock.acquire('jobs:a', 1000));
+    });
+});
+
+describe('JobScheduler', () => {
+    it('records a successful run and releases the lock', async () => {
+        const { scheduler, store } = makeScheduler();
+        scheduler.register('rollup', { intervalMs: 60000, run: async ({ params }) => ({ days: params.days }) });
+
+        const run = await scheduler.runNow('rollup', { trigger: 'manual', triggeredBy: 'admin1', params: { days: 3 } });
+        assert.equal(run.status, 'succeeded');
+        assert.deepEqual(run.result, { days: 3 });
+        assert.equal(run.triggeredBy, 'admin1');
+        assert.equal(typeof run.durationMs, 'number');
+        assert.equal(store.runs.length, 1);
+        assert.equal(await scheduler.holder('rollup'), null);
+    });
+
+    it('skips while another run holds the lock', async () => {
+        const { scheduler, store } = makeScheduler();
+        let finish;
+        scheduler.register('rollup', { intervalMs: 60000, run: () => new Promise(resolve => { finish = resolve; }) });
+
+        const first = await scheduler.begin('rollup', { trigger: 'schedule' });
+        assert.equal(scheduler.localState('rollup').runningHere, true);
+        const second = await scheduler.runNow('rollup');
+        assert.equal(second.skipped, true);
+        assert.ok(second.holder.token);
+        assert.equal(store.runs.length, 1);
+
+        finish();
+        assert.equal((await first.done).status, 'succeeded');
+        assert.equal(scheduler.localState('rollup').runningHere, false);
+    });
+
+    it('records failures and marks runs left running by a dead instance as abandoned', async () => {
+        const { scheduler, store, lock, advance } = makeScheduler();
+        scheduler.register('rollup', {
+            intervalMs: 60000,
+            lockTtlMs: 5000,
+            run: async () => { throw new Error('Mongo went away'); },
+        });
+
+        // A previous instance took the lock, started a run and died
+        await lock.acquire('jobs:rollup', 5000);
+        await store.start({ job: 'rollup', status: 'running', startedAt: new Date() });
+        assert.equal((await scheduler.runNow('rollup')).skipped, true);
+
+        advance(5001);
+        const run = await scheduler.runNow('rollup');
+        assert.equal(run.status, 'failed');
+        assert.equal(run.error, 'Mongo went away');
+        assert.equal(store.runs[0].status, 'abandoned');
+    });
+
+    it('rejects duplicate and invalid job definitions', () => {
+        const { scheduler } = makeScheduler();
+        scheduler.register('rollup', { intervalMs: 1000, run: async () => {} });
+        assert.throws(() => scheduler.register('rollup', { intervalMs: 1000, run: async () => {} }), /already registered/);
+        assert.throws(() => scheduler.register('other', { intervalMs: 0, run: async () => {} }), /positive intervalMs/);
+    });
+});
+
+describe('analytics periods', () => {
+    it('uses ISO weeks across year boundaries', () => {
+        assert.equal(isoWeekKey('2025-01-15T10:00:00Z'), '2025-W03');
+        assert.equal(isoWeekKey('2024-12-30T00:00:00Z'), '2025-W01');
+        assert.equal(isoWeekKey('2027-01-01T00:00:00Z'), '2026-W53');
+    });
+
+    it('maps keys to UTC ranges and their days', () => {
+        const week = periodRange('weekly', '2025-W01');
+        assert.equal(week.start.toISOString(), '2024-12-30T00:00:00.000Z');
+        assert.equal(week.dayKeys.length, 7);
+        assert.equal(week.dayKeys[6], '2025-01-05');
+
+        const month = periodRange('monthly', '2024-02');
+        assert.equal(month.dayKeys.length, 29);
+        assert.equal(month.end.toISOString(), '2024-03-01T00:00:00.000Z');
+        assert.deepEqual(periodRange('daily', '2025-01-15').dayKeys, ['2025-01-15']);
+    });
+
+    it('treats a summary as final only after the late-data grace period', () => {
+        const end = new Date('2025-01-16T00:00:00Z');
+        assert.equal(isCompleteAt(end, new Date(end.getTime() + 1000)), false);
+        assert.equal(isCompleteAt(end, new Date(end.getTime() + LATE_DATA_GRACE_MS)), true);
+    });
+});
+
+describe('planAggregation', () => {
+    it('backfills incomplete days oldest first, in batches, always including today', () => {
+        const plan = planAggregation({
+            today: '2025-02-03',
+            windowStart: '2025-01-28',
+            completeDays: ['2025-01-28', '2025-01-30'],
+            batchSize: 3,
+        });
+        assert.deepEqual(plan.days, ['2025-01-29', '2025-01-31', '2025-02-01', '2025-02-03']);
+        assert.deepEqual(plan.weeks, ['2025-W05', '2025-W06']);
+        assert.deepEqual(plan.months, ['2025-01', '2025-02']);
+    });
+
+    it('only recomputes today once everything else is complete', () => {
+        const plan = planAggregation({ today: '2025-02-03', windowStart: '2025-02-02', completeDays: ['2025-02-02'] });
+        assert.deepEqual(plan, { days: ['2025-02-03'], weeks: ['2025-W06'], months: ['2025-02'] });
+    });
+});
+
+describe('parseAggregationRange', () => {
+    const now = new Date('2025-02-03T08:00:00Z');
+
+    it('accepts a single date or a range', () => {
+        assert.deepEqual(parseAggregationRange({ date: '2025-01-15' }, now).params, { from: '2025-01-15', to: '2025-01-15' });
+        assert.deepEqual(parseAggregationRange({ from: '2025-01-01', to: '2025-01-31' }, now).params, { from: '2025-01-01', to: '2025-01-31' });
+    });
+
+    it('rejects bad, reversed, future and oversized ranges', () => {
+        assert.match(parseAggregationRange({ date: '2025-02-30' }, now).error, /YYYY-MM-DD/);
+        assert.match(parseAggregationRange({ date: { $gt: '' } }, now).error, /YYYY-MM-DD/);
+        assert.match(parseAggregationRange({ from: '2025-01-10', to: '2025-01-01' }, now).error, /after/);
+        assert.match(parseAggregationRange({ date: '2025-02-04' }, now).error, /future/);
+        assert.match(parseAggregationRange({ from: '2023-01-01', to: '2025-01-01' }, now).error, /at most/);
+    });
+});
+
+describe('buildSummaryFields', () => {
+    it('shapes aggregation results into summary fields', () => {
+        const fields = buildSummaryFields({
+            sessions: { total: 10, authenticated: 6, avgDuration: 120.4, totalDuration: 1204, mobileCount: 7, desktopCount: 3 },
+            uniqueUsers: 4,
+            pages: [{ _id: 'watch', totalTime: 99.6 }],
+            watchtime: [{ _id: 'video', totalPlayTime: 500.2, count: 5 }, { _id: 'unknown', totalPlayTime: 1, count: 1 }],
+            newViewers: [{ _id: 'short', viewers: 2 }, { _id: null, viewers: 1 }],
+            topContent: [{ _id: 'c1', contentType: 'video', totalPlayTime: 300.7, viewCount: 3 }],
+        });
+        assert.equal(fields.anonymousSessions, 4);
+        assert.equal(fields.avgSessionDuration, 120);
+        assert.deepEqual(fields.pageUsage, { watch: 100 });
+        assert.deepEqual(fields.contentWatchtime, { video: 500 });
+        assert.deepEqual(fields.newViewers, { short: 2 });
+        assert.deepEqual(fields.deviceBreakdown, { desktop: 3, mobile: 7, tablet: 0 });
+        assert.equal(fields.topContent[0].title, 'Untitled');
+        assert.equal(fields.uniqueUsers, 4);
+    });
+});
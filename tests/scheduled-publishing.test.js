@@ -0,0 +1,82 @@
+/**
+ * Scheduled publishing tests — publishAt validation and premiere countdown state
+ *
+ * Pure functions, no DB needed.
+ * Run with:  node --test tests/scheduled-publishing.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parsePublishAt,
+    applySchedule,
+    isScheduled,
+    getPremiereState,
+} from '../utils/scheduledPublishing.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+describe('parsePublishAt', () => {
+    it('treats empty input as publish immediately', () => {
+        for (const empty of [undefined, null, '']) {
+            assert.deepEqual(parsePublishAt(empty, NOW), { publishAt: null, error: null });
+        }
+    });
+
+    it('accepts a time within the allowed window', () => {
+        const { publishAt, error } = parsePublishAt('2026-01-02T12:00:00Z', NOW);
+        assert.equal(error, null);
+        assert.equal(publishAt.toISOString(), '2026-01-02T12:00:00.000Z');
+    });
+
+    it('rejects invalid, past, too-soon and too-far dates', () => {
+        assert.ok(parsePublishAt('not a date', NOW).error);
+        assert.ok(parsePublishAt('2025-12-31T12:00:00Z', NOW).error);
+        assert.ok(parsePublishAt(NOW + 10 * 1000, NOW).error);
+        assert.ok(parsePublishAt('2027-06-01T12:00:00Z', NOW).error);
+    });
+});
+
+describe('applySchedule', () => {
+    it('holds content private and remembers the intended visibility', () => {
+        const update = { visibility: 'public' };
+        const publishAt = new Date(NOW + 3600 * 1000);
+        assert.equal(applySchedule(update, publishAt, 'pay_per_view', true), null);
+        assert.deepEqual(update, {
+            visibility: 'private',
+            scheduledVisibility: 'pay_per_view',
+            publishAt,
+            isPremiere: true,
+        });
+        assert.ok(isScheduled(update));
+    });
+
+    it('refuses to schedule private content', () => {
+        const update = {};
+        assert.ok(applySchedule(update, new Date(NOW + 3600 * 1000), 'private'));
+        assert.deepEqual(update, {});
+    });
+});
+
+describe('getPremiereState', () => {
+    const publishAt = new Date(NOW + 90 * 1000);
+
+    it('counts down before publishAt', () => {
+        const state = getPremiereState({ scheduledVisibility: 'public', publishAt }, NOW);
+        assert.equal(state.state, 'scheduled');
+        assert.equal(state.secondsRemaining, 90);
+    });
+
+    it('reports processing once publishAt passes but the item is still held', () => {
+        const state = getPremiereState({ scheduledVisibility: 'public', publishAt }, NOW + 120 * 1000);
+        assert.equal(state.state, 'processing');
+        assert.equal(state.secondsRemaining, 0);
+    });
+
+    it('reports published for unscheduled content', () => {
+        const publishedAt = new Date(NOW);
+        assert.deepEqual(getPremiereState({ visibility: 'public', publishedAt }, NOW), {
+            state: 'published', publishAt: publishedAt, secondsRemaining: 0,
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Search index tests — tokenizing, typo tolerance, query expansion, BM25 field boosts
+ * and which Content writes trigger a re-index
+ *
+ * No DB needed. Run with:  node --test tests/search-index.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    tokenize,
+    contentSearchFields,
+    channelSearchFields,
+    uniqueTerms,
+    editDistance,
+    maxTypos,
+    expandToken,
+    scoreDocument,
+    touchesSearchFields,
+    isSearchableContent,
+} from '../utils/searchIndex.js';
+
+const emptyFields = { title: [], tags: [], description: [], channel: [] };
+const stats = { count: 100, avgLength: { title: 5, tags: 3, description: 40, channel: 3 } };
+const exact = (term, df = 5) => ({ token: term, expansions: [{ term, weight: 1, df }] });
+
+describe('tokenize', () => {
+    it('lowercases, strips accents and punctuation, and drops stopwords', () => {
+        assert.deepEqual(tokenize('The Café of #LoFi Beats!'), ['cafe', 'lofi', 'beats']);
+    });
+
+    it('keeps single digits but not single letters', () => {
+        assert.deepEqual(tokenize('Part 2 a b'), ['part', '2']);
+    });
+});
+
+describe('index fields', () => {
+    it('indexes tags and hashtags from the title and description as tags', () => {
+        const fields = contentSearchFields(
+            { title: 'Morning #yoga flow', description: 'Stretch with me #wellness', tags: ['Fitness'] },
+            { channelName: 'Calm Corner', channelHandle: 'calm_corner', userName: 'asha' }
+        );
+        assert.deepEqual(fields.tags, ['fitness', 'yoga', 'wellness']);
+        assert.deepEqual(fields.channel, ['calm', 'corner', 'calm', 'corner', 'asha']);
+        assert.ok(uniqueTerms(fields).includes('stretch'));
+    });
+
+    it('indexes a channel handle split and joined', () => {
+        const fields = channelSearchFields({ channelName: 'Calm Corner', channelHandle: 'calm_corner', userName: 'asha' });
+        assert.ok(fields.title.includes('calmcorner'));
+        assert.ok(fields.title.includes('corner'));
+    });
+
+    it('only indexes completed public or pay-per-view content', () => {
+        assert.equal(isSearchableContent({ status: 'completed', visibility: 'public' }), true);
+        assert.equal(isSearchableContent({ status: 'completed', visibility: 'pay_per_view' }), true);
+        assert.equal(isSearchableContent({ status: 'completed', visibility: 'members_only' }), false);
+        assert.equal(isSearchableContent({ status: 'removed', visibility: 'public' }), false);
+        assert.equal(isSearchableContent(null), false);
+    });
+});
+
+describe('typo tolerance', () => {
+    it('counts insertions, deletions, substitutions and swaps as one edit', () => {
+        assert.equal(editDistance('music', 'musics'), 1);
+        assert.equal(editDistance('music', 'msic'), 1);
+        assert.equal(editDistance('music', 'mosic'), 1);
+        assert.equal(editDistance('music', 'muisc'), 1);
+        assert.equal(editDistance('kitten', 'sitting'), 3);
+    });
+
+    it('stops early once the limit is exceeded', () => {
+        assert.equal(editDistance('tutorial', 'completely', 2), 3);
+    });
+
+    it('allows more typos in longer words', () => {
+        assert.equal(maxTypos(3), 0);
+        assert.equal(maxTypos(5), 1);
+        assert.equal(maxTypos(9), 2);
+    });
+
+    it('expands a token to exact, prefix and typo matches with falling weights', () => {
+        const expansions = expandToken('guitar', {
+            exact: [{ term: 'guitar', df: 10 }],
+            prefix: [{ term: 'guitarist', df: 4 }],
+            typo: [{ term: 'guitars', df: 3 }, { term: 'sitar', df: 2 }, { term: 'guitar', df: 10 }],
+        });
+        const weights = Object.fromEntries(expansions.map(e => [e.term, e.weight]));
+        assert.deepEqual(weights, { guitar: 1, guitarist: 0.7, guitars: 0.6 });
+    });
+
+    it('ignores terms that no longer occur', () => {
+        assert.deepEqual(expandToken('piano', { exact: [{ term: 'piano', df: 0 }] }), []);
+    });
+});
+
+describe('scoreDocument', () => {
+    const query = [exact('guitar')];
+
+    it('ranks title over tags over description over channel', () => {
+        const scoreIn = (field) => scoreDocument({ ...emptyFields, [field]: ['guitar'] }, query, stats).score;
+        assert.ok(scoreIn('title') > scoreIn('tags'));
+        assert.ok(scoreIn('tags') > scoreIn('description'));
+        assert.ok(scoreIn('description') > scoreIn('channel'));
+        assert.ok(scoreIn('channel') > 0);
+    });
+
+    it('favours rarer terms and documents matching more of the query', () => {
+        const doc = { ...emptyFields, title: ['guitar', 'lesson'] };
+        const rare = scoreDocument(doc, [exact('guitar', 2)], stats).score;
+        const common = scoreDocument(doc, [exact('guitar', 80)], stats).score;
+        assert.ok(rare > common);
+
+        const both = scoreDocument(doc, [exact('guitar'), exact('lesson')], stats);
+        const one = scoreDocument({ ...emptyFields, title: ['guitar', 'solo'] }, [exact('guitar'), exact('lesson')], stats);
+        assert.equal(both.matched, 2);
+        assert.equal(one.matched, 1);
+        assert.ok(both.score > one.score * 2);
+    });
+
+    it('scores a typo match below an exact one', () => {
+        const typo = [{ token: 'guitr', expansions: [{ term: 'guitar', weight: 0.6, df: 5 }] }];
+        const doc = { ...emptyFields, title: ['guitar'] };
+        assert.ok(scoreDocument(doc, typo, stats).score < scoreDocument(doc, query, stats).score);
+    });
+
+    it('scores zero when nothing matches', () => {
+        assert.deepEqual(scoreDocument({ ...emptyFields, title: ['piano'] }, query, stats), { score: 0, matched: 0 });
+    });
+});
+
+describe('touchesSearchFields', () => {
+    it('re-indexes on indexed fields only', () => {
+        assert.equal(touchesSearchFields({ $set: { title: 'New' } }), true);
+        assert.equal(touchesSearchFields({ visibility: 'private' }), true);
+        assert.equal(touchesSearchFields({ $push: { tags: 'x' } }), true);
+        assert.equal(touchesSearchFields({ $inc: { views: 1 }, $set: { lastViewedAt: new Date() } }), false);
+        assert.equal(touchesSearchFields({ $set: { 'sizes.processed': 10 } }), false);
+        assert.equal(touchesSearchFields([{ $set: { status: 'completed' } }]), true);
+    });
+});
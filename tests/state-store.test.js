@@ -0,0 +1,170 @@
+/**
+ * State store tests — TTLs, atomic counters, sliding-window limits, OTP flows
+ *
+ * Uses the in-memory backend with a fake clock, no Redis needed.
+ * Run with:  node --test tests/state-store.test.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStateStore, setStateStore } from '../utils/stateStore.js';
+import { createOtpStore } from '../controllers/auth-controllers/services/otpStore.js';
+import { rateLimit } from '../middlewares/rateLimiter.js';
+
+function fakeClock(start = 1_700_000_000_000) {
+    const clock = { now: start };
+    clock.fn = () => clock.now;
+    return clock;
+}
+
+describe('MemoryStateStore', () => {
+    it('expires values and counters after their TTL', async () => {
+        const clock = fakeClock();
+        const store = new MemoryStateStore({ now: clock.fn });
+
+        await store.set('a', { x: 1 }, 1000);
+        assert.equal(await store.incr('n', 1000), 1);
+        assert.equal(await store.incr('n', 1000), 2);
+        assert.deepEqual(await store.get('a'), { x: 1 });
+
+        clock.now += 1000;
+        assert.equal(await store.get('a'), null);
+        assert.equal(await store.incr('n', 1000), 1);
+    });
+
+    it('setIfAbsent only creates missing keys and del reports consumption', async () => {
+        const store = new MemoryStateStore();
+        assert.equal(await store.setIfAbsent('k', 1, 1000), true);
+        assert.equal(await store.setIfAbsent('k', 2, 1000), false);
+        assert.equal(await store.del('k'), true);
+        assert.equal(await store.del('k'), false);
+    });
+
+    it('hit enforces a sliding window and reports when to retry', async () => {
+        const clock = fakeClock();
+        const store = new MemoryStateStore({ now: clock.fn });
+
+        assert.equal((await store.hit('w', 2, 10_000)).remaining, 1);
+        clock.now += 4000;
+        assert.equal((await store.hit('w', 2, 10_000)).allowed, true);
+
+        const blocked = await store.hit('w', 2, 10_000);
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.retryAfterMs, 6000);
+
+        // The first hit slides out of the window; the second still counts
+        clock.now += 6000;
+        const next = await store.hit('w', 2, 10_000);
+        assert.equal(next.allowed, true);
+        assert.equal(next.count, 2);
+    });
+});
+
+describe('createOtpStore', () => {
+    let clock;
+    beforeEach(() => {
+        clock = fakeClock();
+        setStateStore(new MemoryStateStore({ now: clock.fn }));
+    });
+
+    it('rejects a resend inside the cooldown with retryAfterSec', async () => {
+        const otps = createOtpStore('test', { cooldownMs: 30_000 });
+        await otps.issue('User@Example.com', '123456');
+
+        clock.now += 10_000;
+        await assert.rejects(otps.issue('user@example.com', '654321'), (err) => {
+            assert.equal(err.statusCode, 429);
+            assert.equal(err.retryAfterSec, 20);
+            return true;
+        });
+
+        clock.now += 20_000;
+        await otps.issue('user@example.com', '654321');
+        assert.equal(await otps.get('user@example.com'), '654321');
+    });
+
+    it('burns the code after too many wrong guesses', async () => {
+        const otps = createOtpStore('test', { maxAttempts: 3 });
+        await otps.issue('u1', '111111');
+
+        assert.equal(await otps.verify('u1', '000000'), 'invalid');
+        assert.equal(await otps.verify('u1', '000000'), 'invalid');
+        assert.equal(await otps.verify('u1', '000000'), 'invalid');
+        assert.equal(await otps.verify('u1', '111111'), 'expired');
+    });
+
+    it('codes are single use and expire', async () => {
+        const otps = createOtpStore('test', { ttlMs: 60_000 });
+        await otps.issue('u1', '111111');
+        assert.equal(await otps.verify('u1', '111111'), 'ok');
+        assert.equal(await otps.verify('u1', '111111'), 'expired');
+
+        clock.now += 60_000;
+        await otps.issue('u2', '222222');
+        clock.now += 60_000;
+        assert.equal(await otps.verify('u2', '222222'), 'expired');
+    });
+
+    it('remembers verification until cleared', async () => {
+        const otps = createOtpStore('test', { verifiedTtlMs: 1000 });
+        await otps.markVerified('u1');
+        assert.equal(await otps.isVerified('u1'), true);
+        await otps.clearVerified('u1');
+        assert.equal(await otps.isVerified('u1'), false);
+    });
+});
+
+describe('rateLimit middleware', () => {
+    function mockRes() {
+        return {
+            headers: {},
+            statusCode: 200,
+            body: null,
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; },
+        };
+    }
+
+    async function call(mw, req) {
+        const res = mockRes();
+        let passed = false;
+        await mw(req, res, () => { passed = true; });
+        return { res, passed };
+    }
+
+    beforeEach(() => setStateStore(new MemoryStateStore()));
+
+    it('returns 429 with Retry-After once the limit is reached', async () => {
+        const mw = rateLimit({ group: 'test', limit: 2, windowMs: 60_000 });
+        const req = { ip: '10.0.0.1' };
+
+        assert.equal((await call(mw, req)).passed, true);
+        const second = await call(mw, req);
+        assert.equal(second.passed, true);
+        assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+        const third = await call(mw, req);
+        assert.equal(third.passed, false);
+        assert.equal(third.res.statusCode, 429);
+        assert.equal(third.res.headers['Retry-After'], '60');
+    });
+
+    it('keys per user when asked, independent of IP', async () => {
+        const mw = rateLimit({ group: 'test', limit: 1, windowMs: 60_000, keyBy: 'user' });
+
+        assert.equal((await call(mw, { ip: '10.0.0.1', user: { id: 'a' } })).passed, true);
+        assert.equal((await call(mw, { ip: '10.0.0.1', user: { id: 'b' } })).passed, true);
+        assert.equal((await call(mw, { ip: '10.0.0.2', user: { id: 'a' } })).passed, false);
+    });
+
+    it('derives the limit from the request when given a function', async () => {
+        const mw = rateLimit({ group: (req) => `key:${req.key.id}`, limit: (req) => req.key.perMinute, windowMs: 60_000 });
+        const req = { ip: '10.0.0.1', key: { id: 'k1', perMinute: 3 } };
+
+        for (let i = 0; i < 3; i++) assert.equal((await call(mw, req)).passed, true);
+        const fourth = await call(mw, req);
+        assert.equal(fourth.passed, false);
+        assert.equal(fourth.res.headers['RateLimit-Limit'], '3');
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Storage tests — local filesystem driver (objects, listing, signed URLs, multipart)
+ *
+ * Uses a temp directory; no AWS / network needed.
+ * Run with:  node --test tests/storage.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createLocalDiskStorage, parseRange } from '../utils/localDiskStorage.js';
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+function queryOf(url) {
+    return Object.fromEntries(new URL(url).searchParams);
+}
+
+describe('local storage driver', () => {
+    let rootDir;
+    let clock;
+    let storage;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+        clock = Date.parse('2026-01-01T00:00:00Z');
+        storage = createLocalDiskStorage({
+            rootDir,
+            baseUrl: 'http://localhost:5000',
+            secret: 'test-secret',
+            now: () => clock,
+        });
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('round-trips an object with its content type', async () => {
+        await storage.put('thumbnails/videos/u1/a.jpg', Buffer.from('jpeg-bytes'), { contentType: 'image/jpeg' });
+        const obj = await storage.get('thumbnails/videos/u1/a.jpg');
+        assert.equal(obj.contentType, 'image/jpeg');
+        assert.equal(obj.contentLength, 10);
+        assert.equal(await readAll(obj.body), 'jpeg-bytes');
+    });
+
+    it('serves byte ranges', async () => {
+        await storage.put('hls/videos/u1/v1/stream_360p/seg_000.ts', '0123456789');
+        const obj = await storage.get('hls/videos/u1/v1/stream_360p/seg_000.ts', { range: 'bytes=2-5' });
+        assert.equal(obj.contentRange, 'bytes 2-5/10');
+        assert.equal(obj.contentLength, 4);
+        assert.equal(await readAll(obj.body), '2345');
+    });
+
+    it('parses open-ended and suffix ranges', () => {
+        assert.deepEqual(parseRange('bytes=4-', 10), { start: 4, end: 9 });
+        assert.deepEqual(parseRange('bytes=-3', 10), { start: 7, end: 9 });
+        assert.equal(parseRange('bytes=20-30', 10), null);
+        assert.equal(parseRange(undefined, 10), null);
+    });
+
+    it('throws NoSuchKey for missing objects and head returns null', async () => {
+        await assert.rejects(storage.get('nope/missing.txt'), err => err.name === 'NoSuchKey' && err.statusCode === 404);
+        assert.equal(await storage.head('nope/missing.txt'), null);
+    });
+
+    it('rejects keys that escape the storage root', async () => {
+        for (const key of ['../etc/passwd', 'a/../../b', '/abs/path', '.meta/x.json', 'a//b']) {
+            await assert.rejects(storage.put(key, 'x'), err => err.statusCode === 400, key);
+        }
+    });
+
+    it('lists by prefix with pagination and deletes', async () => {
+        for (const name of ['master.m3u8', 'stream_360p/index.m3u8', 'stream_720p/index.m3u8']) {
+            await storage.put(`hls/videos/u2/v2/${name}`, 'x');
+        }
+        await storage.put('hls/videos/u2/v20/master.m3u8', 'other video');
+
+        const first = await storage.list('hls/videos/u2/v2/', { limit: 2 });
+        assert.equal(first.objects.length, 2);
+        assert.ok(first.cursor);
+        const second = await storage.list('hls/videos/u2/v2/', { limit: 2, cursor: first.cursor });
+        const keys = [...first.objects, ...second.objects].map(o => o.key);
+        assert.deepEqual(keys, [
+            'hls/videos/u2/v2/master.m3u8',
+            'hls/videos/u2/v2/stream_360p/index.m3u8',
+            'hls/videos/u2/v2/stream_720p/index.m3u8',
+        ]);
+        assert.equal(second.cursor, null);
+
+        await storage.deleteMany(keys);
+        assert.equal((await storage.list('hls/videos/u2/v2/')).objects.length, 0);
+        assert.ok(await storage.head('hls/videos/u2/v20/master.m3u8'));
+    });
+
+    it('copies objects with their metadata', async () => {
+        await storage.put('thumbnails/u3/t.png', 'png', { contentType: 'image/png' });
+        await storage.copy('thumbnails/u3/t.png', 'thumbnails/videos/u3/t.png');
+        const meta = await storage.head('thumbnails/videos/u3/t.png');
+        assert.equal(meta.contentType, 'image/png');
+        await assert.rejects(storage.copy('thumbnails/u3/none.png', 'x/y.png'), err => err.name === 'NoSuchKey');
+    });
+
+    it('maps media URLs back to keys', () => {
+        const url = storage.mediaUrl('profilePictures/u1/my pic.jpg');
+        assert.equal(url, 'http://localhost:5000/storage/profilePictures/u1/my%20pic.jpg');
+        assert.equal(storage.keyFromUrl(url), 'profilePictures/u1/my pic.jpg');
+        assert.equal(storage.keyFromUrl('https://lh3.googleusercontent.com/a/photo.jpg'), null);
+    });
+
+    it('verifies presigned URLs and rejects tampering and expiry', async () => {
+        const url = await storage.presignGet('exports/u1/e1.tar.gz', { expiresIn: 900, downloadName: 'export.tar.gz' });
+        const query = queryOf(url);
+        assert.equal(storage.verifySignature('get', 'exports/u1/e1.tar.gz', query), true);
+        assert.equal(storage.verifySignature('get', 'exports/u1/other.tar.gz', query), false);
+        assert.equal(storage.verifySignature('get', 'exports/u1/e1.tar.gz', { ...query, filename: 'x' }), false);
+        assert.equal(storage.verifySignature('put', 'exports/u1/e1.tar.gz', query), false);
+
+        clock += 901 * 1000;
+        assert.equal(storage.verifySignature('get', 'exports/u1/e1.tar.gz', query), false);
+    });
+
+    it('treats KYC documents and exports as private', () => {
+        assert.equal(storage.isPrivateKey('kyc-documents/u1/doc.pdf'), true);
+        assert.equal(storage.isPrivateKey('exports/u1/e1.tar.gz'), true);
+        assert.equal(storage.isPrivateKey('hls/videos/u1/v1/master.m3u8'), false);
+    });
+
+    it('assembles multipart uploads in part order', async () => {
+        const key = 'videos/u4/big.mp4';
+        const uploadId = await storage.createMultipartUpload(key, { contentType: 'video/mp4' });
+
+        const partUrl = await storage.presignUploadPart(key, uploadId, 2);
+        assert.equal(storage.verifySignature('part', key, queryOf(partUrl)), true);
+
+        const etag2 = await storage.writePart(key, uploadId, 2, Readable.from([Buffer.from('world')]));
+        const etag1 = await storage.writePart(key, uploadId, 1, Readable.from([Buffer.from('hello ')]));
+        await storage.completeMultipartUpload(key, uploadId, [
+            { PartNumber: 2, ETag: etag2 },
+            { PartNumber: 1, ETag: etag1 },
+        ]);
+
+        const obj = await storage.get(key);
+        assert.equal(obj.contentType, 'video/mp4');
+        assert.equal(await readAll(obj.body), 'hello world');
+        assert.equal(fs.existsSync(path.join(rootDir, '.multipart', uploadId)), false);
+    });
+
+    it('rejects parts for a different key and aborts uploads', async () => {
+        const uploadId = await storage.createMultipartUpload('videos/u5/a.mp4');
+        await assert.rejects(storage.writePart('videos/u5/b.mp4', uploadId, 1, 'x'), err => err.statusCode === 400);
+        await storage.abortMultipartUpload('videos/u5/a.mp4', uploadId);
+        await assert.rejects(storage.writePart('videos/u5/a.mp4', uploadId, 1, 'x'), err => err.statusCode === 404);
+    });
+});
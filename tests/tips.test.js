@@ -0,0 +1,72 @@
+/**
+ * Tip tests — amount/message validation, highlight levels and the creator's share
+ *
+ * No DB needed. Run with:  node --test tests/tips.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MIN_TIP_AMOUNT,
+    MAX_TIP_AMOUNT,
+    MAX_TIP_MESSAGE_LENGTH,
+    parseTipAmount,
+    parseTipMessage,
+    tipHighlight,
+    tipDisplayText,
+} from '../utils/tips.js';
+import { calculateTaxBreakdown } from '../utils/taxCalculator.js';
+
+describe('parseTipAmount', () => {
+    it('accepts whole rupees within the limits', () => {
+        assert.deepEqual(parseTipAmount(MIN_TIP_AMOUNT), { amount: MIN_TIP_AMOUNT, error: null });
+        assert.deepEqual(parseTipAmount('250'), { amount: 250, error: null });
+        assert.deepEqual(parseTipAmount(MAX_TIP_AMOUNT), { amount: MAX_TIP_AMOUNT, error: null });
+    });
+
+    it('rejects fractions, junk and out-of-range amounts', () => {
+        for (const value of [12.5, 'abc', undefined, MIN_TIP_AMOUNT - 1, MAX_TIP_AMOUNT + 1, -50]) {
+            const { amount, error } = parseTipAmount(value);
+            assert.equal(amount, null, `value ${value}`);
+            assert.ok(error, `value ${value}`);
+        }
+    });
+});
+
+describe('parseTipMessage', () => {
+    it('is optional and trimmed', () => {
+        assert.deepEqual(parseTipMessage(undefined), { message: '', error: null });
+        assert.deepEqual(parseTipMessage('  great video!  '), { message: 'great video!', error: null });
+    });
+
+    it('rejects non-text and overly long messages', () => {
+        assert.ok(parseTipMessage(42).error);
+        assert.ok(parseTipMessage('x'.repeat(MAX_TIP_MESSAGE_LENGTH + 1)).error);
+    });
+});
+
+describe('tipHighlight', () => {
+    it('gets louder with the amount', () => {
+        assert.equal(tipHighlight(MIN_TIP_AMOUNT).level, 1);
+        assert.equal(tipHighlight(99).level, 1);
+        assert.equal(tipHighlight(100).level, 2);
+        assert.equal(tipHighlight(500).level, 3);
+        assert.equal(tipHighlight(2000).level, 4);
+        assert.deepEqual(tipHighlight(MAX_TIP_AMOUNT), { level: 5, name: 'red' });
+    });
+});
+
+describe('tipDisplayText', () => {
+    it('uses the message, or a default when there is none', () => {
+        assert.equal(tipDisplayText(100, 'Thanks!'), 'Thanks!');
+        assert.equal(tipDisplayText(100, ''), 'Sent ₹100 as thanks');
+    });
+});
+
+describe('creator share', () => {
+    it('tips use the same split as PPV', () => {
+        const tax = calculateTaxBreakdown(100);
+        assert.equal(tax.sellingPrice, 100);
+        assert.ok(tax.creatorPayout > 0 && tax.creatorPayout < 100);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Transcoding tests — rendition ladder, FFmpeg args, thumbnails and job queue retries
+ *
+ * Pure functions + the in-memory queue driver, no FFmpeg / DB / Redis needed.
+ * Run with:  node --test tests/transcoding.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    selectRenditions,
+    buildHlsArgs,
+    buildMasterPlaylist,
+    thumbnailTimestamps,
+    chooseThumbnail,
+    outputKeys,
+} from '../utils/transcoding.js';
+import { MemoryJobQueue, retryDelayMs } from '../utils/jobQueue.js';
+
+describe('selectRenditions', () => {
+    it('never upscales a video', () => {
+        const names = selectRenditions(1280, 720, 'video').map(r => r.name);
+        assert.deepEqual(names, ['144p', '240p', '360p', '480p', '720p']);
+    });
+
+    it('keeps the smallest rung for tiny sources', () => {
+        const renditions = selectRenditions(160, 90, 'video');
+        assert.equal(renditions.length, 1);
+        assert.equal(renditions[0].resolution, '256x144');
+    });
+
+    it('keeps landscape shorts landscape', () => {
+        const [first] = selectRenditions(1920, 1080, 'short');
+        assert.equal(first.resolution, '854x480');
+    });
+});
+
+describe('HLS output', () => {
+    const renditions = selectRenditions(854, 480, 'video');
+
+    it('maps one video (and audio) stream per rendition', () => {
+        const args = buildHlsArgs({ inputPath: '/in.mp4', outputDir: '/out', renditions, hasAudio: true });
+        const streamMap = args[args.indexOf('-var_stream_map') + 1];
+        assert.equal(streamMap, 'v:0,a:0,name:144p v:1,a:1,name:240p v:2,a:2,name:360p v:3,a:3,name:480p');
+        assert.equal(args[args.indexOf('-hls_time') + 1], '6');
+        assert.equal(args.at(-1), '/out/stream_%v/playlist.m3u8');
+    });
+
+    it('uses short segments for shorts and omits audio maps without audio', () => {
+        const args = buildHlsArgs({
+            inputPath: '/in.mp4', outputDir: '/out', renditions: selectRenditions(720, 1280, 'short'),
+            hasAudio: false, contentType: 'short',
+        });
+        assert.equal(args[args.indexOf('-hls_time') + 1], '2');
+        assert.ok(!args.includes('0:a:0'));
+    });
+
+    it('builds a master playlist with one variant per rendition', () => {
+        const text = buildMasterPlaylist(renditions.slice(0, 2), false);
+        assert.ok(text.startsWith('#EXTM3U\n'));
+        assert.ok(text.includes('BANDWIDTH=200000,RESOLUTION=256x144,CODECS="avc1.640028",NAME="144p"'));
+        assert.ok(text.includes('stream_240p/playlist.m3u8'));
+    });
+
+    it('keeps the existing storage layout', () => {
+        const keys = outputKeys('short', 'u1', 'c1');
+        assert.equal(keys.masterKey, 'hls/shorts/u1/c1/master.m3u8');
+        assert.equal(keys.playlistKey('720p'), 'hls/shorts/u1/c1/stream_720p/playlist.m3u8');
+        assert.equal(keys.thumbnailKey, 'thumbnails/shorts/u1/c1.jpg');
+    });
+});
+
+describe('auto thumbnails', () => {
+    it('spreads candidates across the video, away from the edges', () => {
+        assert.deepEqual(thumbnailTimestamps(100), [10, 25, 50, 75]);
+        assert.deepEqual(thumbnailTimestamps(1.5), [0.75]);
+    });
+
+    it('prefers the most detailed frame', () => {
+        const best = chooseThumbnail([
+            { path: 'a.jpg', size: 4000 },
+            { path: 'b.jpg', size: 52000 },
+            { path: 'c.jpg', size: 0 },
+        ]);
+        assert.equal(best.path, 'b.jpg');
+        assert.equal(chooseThumbnail([{ path: 'x.jpg', size: 0 }]), null);
+    });
+});
+
+describe('MemoryJobQueue', () => {
+    function clockedQueue() {
+        const clock = { now: 1_700_000_000_000 };
+        return { clock, queue: new MemoryJobQueue('test', { now: () => clock.now }) };
+    }
+
+    it('keeps one live job per id', async () => {
+        const { queue } = clockedQueue();
+        assert.equal(await queue.enqueue('c1', { contentId: 'c1' }), true);
+        assert.equal(await queue.enqueue('c1', { contentId: 'c1' }), false);
+
+        const job = await queue.reserve('w1', 60_000);
+        await queue.complete(job);
+        assert.equal(await queue.enqueue('c1', { contentId: 'c1' }), true);
+    });
+
+    it('retries with backoff and then gives up', async () => {
+        const { clock, queue } = clockedQueue();
+        await queue.enqueue('c1', {}, { maxAttempts: 2 });
+
+        const first = await queue.reserve('w1', 60_000);
+        const retry = await queue.fail(first, new Error('boom'));
+        assert.deepEqual(retry, { dead: false, retryInMs: retryDelayMs(1) });
+        assert.equal(await queue.reserve('w1', 60_000), null);
+
+        clock.now += retry.retryInMs;
+        const second = await queue.reserve('w1', 60_000);
+        assert.equal(second.attempts, 2);
+        assert.equal((await queue.fail(second, new Error('boom'))).dead, true);
+    });
+
+    it('hands out a job again when its lock expires', async () => {
+        const { clock, queue } = clockedQueue();
+        await queue.enqueue('c1', {});
+        await queue.reserve('w1', 60_000);
+        assert.equal(await queue.reserve('w2', 60_000), null);
+
+        clock.now += 60_000;
+        const stolen = await queue.reserve('w2', 60_000);
+        assert.equal(stolen.id, 'c1');
+        assert.equal(stolen.attempts, 2);
+    });
+
+    it('release does not count as an attempt', async () => {
+        const { queue } = clockedQueue();
+        await queue.enqueue('c1', {});
+        await queue.release(await queue.reserve('w1', 60_000));
+        assert.equal((await queue.reserve('w1', 60_000)).attempts, 1);
+    });
+});
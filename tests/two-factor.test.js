@@ -0,0 +1,149 @@
+/**
+ * Two-factor tests — TOTP against the RFC 6238 vectors, provisioning URIs, recovery codes,
+ * the sign-in challenge and "remember this device" (neither usable as an access token)
+ *
+ * No DB needed. Run with:  node --test tests/two-factor.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+    base32Encode,
+    base32Decode,
+    hotp,
+    totp,
+    verifyTotp,
+    generateTotpSecret,
+    provisioningUri,
+} from '../utils/totp.js';
+import {
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    remainingRecoveryCodes,
+    createLoginChallenge,
+    verifyLoginChallenge,
+    rememberDevice,
+    isDeviceRemembered,
+} from '../controllers/auth-controllers/services/twoFactor.js';
+import { universalTokenVerifier } from '../controllers/auth-controllers/universalTokenVerifier.js';
+
+// Status the access-token verifier answers for a Bearer token (200 when it lets the request through)
+async function verifierStatus(token) {
+    let status = 200;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await universalTokenVerifier({ headers: { authorization: `Bearer ${token}` }, cookies: {} }, res, () => {});
+    return status;
+}
+
+// RFC 6238 appendix B (SHA1) — seed "12345678901234567890"
+const RFC_SECRET = Buffer.from('12345678901234567890');
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+];
+
+before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+describe('TOTP', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, expected] of RFC_VECTORS) {
+            assert.equal(hotp(RFC_SECRET, Math.floor(seconds / 30), 8), expected, `T=${seconds}`);
+        }
+    });
+
+    it('round-trips base32 secrets', () => {
+        assert.equal(base32Encode(RFC_SECRET), 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        assert.deepEqual(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq'), RFC_SECRET);
+        assert.equal(generateTotpSecret().length, 32);
+        assert.throws(() => base32Decode('ABC1'), /Invalid base32/);
+    });
+
+    it('accepts codes one step either side and returns the matched step', () => {
+        const secret = generateTotpSecret();
+        const now = Date.parse('2026-05-01T12:00:10Z');
+        const step = Math.floor(now / 30000);
+
+        assert.equal(verifyTotp(secret, totp(secret, now), { now }), step);
+        assert.equal(verifyTotp(secret, totp(secret, now - 30000), { now }), step - 1);
+        assert.equal(verifyTotp(secret, totp(secret, now + 30000), { now }), step + 1);
+        assert.equal(verifyTotp(secret, totp(secret, now - 90000), { now }), null);
+        assert.equal(verifyTotp(secret, '12345', { now }), null);
+        assert.equal(verifyTotp(secret, undefined, { now }), null);
+    });
+
+    it('builds an otpauth URI authenticator apps understand', () => {
+        const uri = new URL(provisioningUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'creator@example.com', issuer: 'WATCHIN IT' }));
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/WATCHIN IT:creator@example.com');
+        assert.equal(uri.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+        assert.equal(uri.searchParams.get('issuer'), 'WATCHIN IT');
+        assert.equal(uri.searchParams.get('digits'), '6');
+    });
+});
+
+describe('recovery codes', () => {
+    it('stores only hashes and ignores formatting when checking', () => {
+        const { codes, hashed } = generateRecoveryCodes();
+        assert.equal(codes.length, 10);
+        assert.equal(new Set(codes).size, 10);
+        assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        assert.equal(hashed[0].hash, hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')));
+        assert.ok(!JSON.stringify(hashed).includes(codes[0]));
+    });
+
+    it('counts unused codes', () => {
+        const { hashed } = generateRecoveryCodes(3);
+        hashed[1].usedAt = new Date();
+        assert.equal(remainingRecoveryCodes({ recoveryCodes: hashed }), 2);
+        assert.equal(remainingRecoveryCodes(null), 0);
+    });
+});
+
+describe('sign-in challenge', () => {
+    const user = { _id: '65f000000000000000000002' };
+
+    it('round-trips the user, method and Google link', () => {
+        assert.deepEqual(verifyLoginChallenge(createLoginChallenge(user, 'google', { googleId: 'g-123' })), {
+            userId: user._id,
+            method: 'google',
+            googleId: 'g-123',
+        });
+    });
+
+    it('is not interchangeable with other tokens', () => {
+        assert.equal(verifyLoginChallenge(jwt.sign({ userId: user._id }, process.env.JWT_SECRET)), null);
+        assert.equal(verifyLoginChallenge('garbage'), null);
+        assert.equal(verifyLoginChallenge(jwt.sign({ purpose: '2fa_login', userId: user._id }, process.env.JWT_SECRET)), null);
+    });
+
+    it('is rejected by the access-token verifier', async () => {
+        assert.equal(await verifierStatus(createLoginChallenge(user, 'password')), 401);
+    });
+});
+
+describe('remember this device', () => {
+    it('honours the cookie until the remember version changes', () => {
+        const record = { userId: '65f000000000000000000003', rememberVersion: 2 };
+        const cookies = {};
+        rememberDevice({ cookie: (name, value) => { cookies[name] = value; } }, record);
+
+        const req = { cookies };
+        assert.equal(isDeviceRemembered(req, record), true);
+        assert.equal(isDeviceRemembered(req, { ...record, rememberVersion: 3 }), false);
+        assert.equal(isDeviceRemembered(req, { ...record, userId: '65f000000000000000000004' }), false);
+        assert.equal(isDeviceRemembered({ cookies: {} }, record), false);
+    });
+
+    it('cannot be used as an access token', async () => {
+        const cookies = {};
+        rememberDevice({ cookie: (name, value) => { cookies[name] = value; } }, { userId: '65f000000000000000000003' });
+        assert.equal(await verifierStatus(Object.values(cookies)[0]), 401);
+    });
+});
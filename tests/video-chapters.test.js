@@ -0,0 +1,128 @@
+/**
+ * Video chapter tests — description parsing, validation and per-chapter attribution
+ *
+ * Pure functions, no DB needed.
+ * Run with:  node --test tests/video-chapters.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseTimestamp,
+    formatTimestamp,
+    normalizeChapters,
+    parseChaptersFromDescription,
+    resolveChapters,
+    findChapterAt,
+    splitPlayTimeByChapter,
+    buildChapterRetention,
+} from '../utils/videoChapters.js';
+
+const DESCRIPTION = [
+    'Full build walkthrough.',
+    '',
+    '00:00 Intro',
+    '1:30 - Setup',
+    '(10:05) Deploying',
+    '1:02:03 Q&A',
+    '',
+    'Thanks for watching!',
+].join('\n');
+
+describe('timestamps', () => {
+    it('parses m:ss and h:mm:ss', () => {
+        assert.equal(parseTimestamp('1:30'), 90);
+        assert.equal(parseTimestamp('01:02:03'), 3723);
+        assert.equal(parseTimestamp('1:75'), null);
+        assert.equal(parseTimestamp('abc'), null);
+    });
+
+    it('formats seconds', () => {
+        assert.equal(formatTimestamp(90), '1:30');
+        assert.equal(formatTimestamp(3723), '1:02:03');
+    });
+});
+
+describe('parseChaptersFromDescription', () => {
+    it('extracts timestamp lines', () => {
+        assert.deepEqual(parseChaptersFromDescription(DESCRIPTION, 4000), [
+            { startSeconds: 0, title: 'Intro' },
+            { startSeconds: 90, title: 'Setup' },
+            { startSeconds: 605, title: 'Deploying' },
+            { startSeconds: 3723, title: 'Q&A' },
+        ]);
+    });
+
+    it('ignores lists that do not start at 0:00 or are out of order', () => {
+        assert.deepEqual(parseChaptersFromDescription('1:00 A\n2:00 B', 300), []);
+        assert.deepEqual(parseChaptersFromDescription('0:00 A\n4:00 B\n2:00 C', 300), []);
+    });
+
+    it('ignores a single stray timestamp', () => {
+        assert.deepEqual(parseChaptersFromDescription('See 0:00 for the intro', 300), []);
+    });
+});
+
+describe('normalizeChapters', () => {
+    it('accepts timestamps or seconds and sorts them', () => {
+        const { chapters, error } = normalizeChapters([
+            { startSeconds: 60, title: 'Middle' },
+            { timestamp: '0:00', title: 'Start' },
+        ], 120);
+        assert.equal(error, null);
+        assert.deepEqual(chapters.map(c => c.startSeconds), [0, 60]);
+    });
+
+    it('treats an empty list as clearing chapters', () => {
+        assert.deepEqual(normalizeChapters([], 120), { chapters: [], error: null });
+    });
+
+    it('rejects chapters that are too short or past the end', () => {
+        assert.match(normalizeChapters([{ startSeconds: 0, title: 'A' }, { startSeconds: 2, title: 'B' }]).error, /at least/);
+        assert.match(normalizeChapters([{ startSeconds: 0, title: 'A' }, { startSeconds: 118, title: 'B' }], 120).error, /too close/);
+    });
+});
+
+describe('resolveChapters', () => {
+    it('prefers explicit chapters over the description', () => {
+        const chapters = resolveChapters({
+            contentType: 'video',
+            duration: 4000,
+            description: DESCRIPTION,
+            chapters: [{ startSeconds: 0, title: 'One' }, { startSeconds: 100, title: 'Two' }],
+        });
+        assert.deepEqual(chapters.map(c => [c.title, c.endSeconds, c.source]), [
+            ['One', 100, 'creator'],
+            ['Two', 4000, 'creator'],
+        ]);
+    });
+
+    it('falls back to the description and skips non-chapter types', () => {
+        assert.equal(resolveChapters({ contentType: 'video', duration: 4000, description: DESCRIPTION }).length, 4);
+        assert.deepEqual(resolveChapters({ contentType: 'short', description: DESCRIPTION }), []);
+    });
+});
+
+describe('chapter attribution', () => {
+    const chapters = resolveChapters({ contentType: 'video', duration: 4000, description: DESCRIPTION });
+
+    it('finds the chapter at a playhead', () => {
+        assert.equal(findChapterAt(chapters, 100).title, 'Setup');
+        assert.equal(findChapterAt(chapters, 0).title, 'Intro');
+        assert.equal(findChapterAt([], 10), null);
+    });
+
+    it('splits a heartbeat across a chapter boundary', () => {
+        assert.deepEqual(splitPlayTimeByChapter(chapters, 100, 20), { 0: 10, 90: 10 });
+    });
+
+    it('builds retention relative to the first chapter', () => {
+        const rows = [
+            { _id: '0', watchTime: 900, sessions: 10 },
+            { _id: '90', watchTime: 2000, sessions: 5 },
+        ];
+        const retention = buildChapterRetention(chapters, rows);
+        assert.deepEqual(retention.map(c => c.retentionPercent), [100, 50, 0, 0]);
+        assert.equal(retention[1].avgWatchTime, 400);
+    });
+});
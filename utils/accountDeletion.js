@@ -0,0 +1,401 @@
+/**
+ * Account Deletion — self-service erasure with a grace period
+ *
+ * Flow:
+ * 1. User requests an OTP and confirms deletion → `deletionScheduledAt = now + DELETION_GRACE_MS`
+ * 2. During the grace period the account works normally and deletion can be cancelled
+ * 3. workers/accountDataWorker.js calls runAccountDeletionCycle(), which runs
+ *    executeAccountDeletion() for every account whose grace period has passed
+ * 4. Earnings that arrived during the grace period block erasure again: the deletion is
+ *    postponed by DELETION_POSTPONE_MS and the user is emailed until they withdraw
+ *
+ * Cascade (executeAccountDeletion):
+ * - Content      → ContentArchive (removal_source: 'account_deletion'), purged later by
+ *                  workers/archivePurgeWorker.js exactly like moderator removals
+ * - Personal data → deleted: watch/search history, bookmarks, playlists, comments, reactions,
+ *                  notifications, 1:1 chats, community memberships, data exports
+ * - Channel memberships → the user's own memberships are deleted; as a creator, fans'
+ *                  memberships end (no further renewals) and tiers are deactivated
+ * - Community posts → the user's polls, events and announcements are removed; their votes
+ *                  and RSVPs are deleted (poll and attendance counts are kept)
+ * - Invite links → links the user created are revoked; their redemption records are deleted
+ * - Appeals      → deleted; takedown archives they held go back on the purge schedule
+ * - Tips         → kept (they back ledger rows); messages the user sent are cleared
+ * - Webhooks     → the user's endpoints and their delivery logs are deleted
+ * - API keys     → deleted with their usage history
+ * - Search index → the channel leaves it (archived content leaves via the Content hooks)
+ * - Analytics    → de-identified (userId → null) so creators' stats stay intact
+ * - Wallet ledger → kept for tax records; rows lose buyer identity and free-form metadata
+ * - KYC          → bank details and documents removed; GST details kept for tax filings
+ * - User         → anonymous tombstone (PII wiped, can no longer sign in) so ledger,
+ *                  purchase and payout references stay valid
+ *
+ * Deletion never talks to storage directly: keys that should be removed are returned
+ * to the caller (the worker deletes them via utils/storage.js).
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import Content from '../models/content.model.js';
+import ContentArchive from '../models/contentArchive.model.js';
+import WatchHistory from '../models/watchHistory.model.js';
+import SearchHistory from '../models/searchHistory.model.js';
+import Comment from '../models/comment.model.js';
+import VideoReaction from '../models/videoReaction.model.js';
+import Bookmark from '../models/bookmark.model.js';
+import Playlist from '../models/playlist.model.js';
+import Notification from '../models/notification.model.js';
+import Conversation from '../models/conversation.model.js';
+import Message from '../models/message.model.js';
+import CommunityMember from '../models/communityMember.model.js';
+import CommunityPost from '../models/communityPost.model.js';
+import CommunityPollVote from '../models/communityPollVote.model.js';
+import CommunityEventRsvp from '../models/communityEventRsvp.model.js';
+import InviteLink from '../models/inviteLink.model.js';
+import InviteRedemption from '../models/inviteRedemption.model.js';
+import ContentView from '../models/contentView.model.js';
+import ContentWatchtime from '../models/contentWatchtime.model.js';
+import UserSession from '../models/userSession.model.js';
+import AuthSession from '../models/authSession.model.js';
+import TwoFactorAuth from '../models/twoFactorAuth.model.js';
+import PrimaryWallet from '../models/primaryWallet.model.js';
+import SecondaryWallet from '../models/secondaryWallet.model.js';
+import WalletTransaction from '../models/walletTransaction.model.js';
+import KycDetails from '../models/kycDetails.model.js';
+import AccountExport from '../models/accountExport.model.js';
+import ChannelMembership from '../models/channelMembership.model.js';
+import MembershipTier from '../models/membershipTier.model.js';
+import Tip from '../models/tip.model.js';
+import WebhookEndpoint from '../models/webhookEndpoint.model.js';
+import WebhookDelivery from '../models/webhookDelivery.model.js';
+import ApiKey from '../models/apiKey.model.js';
+import ApiKeyUsage from '../models/apiKeyUsage.model.js';
+import { syncChannelSearch } from './searchIndex.js';
+import { removeAppealsForUser } from './appeals.js';
+import { sendAdminEmail } from '../services/adminEmailService.js';
+
+export const DELETION_GRACE_MS = 14 * 24 * 60 * 60 * 1000;   // 14 days to change your mind
+export const DELETION_POSTPONE_MS = 24 * 60 * 60 * 1000;    // retry daily while blocked
+export const CONTENT_ARCHIVE_TTL_MS = 24 * 60 * 60 * 1000;   // same window as moderator removals
+const DELETION_BATCH_SIZE = 20;
+
+/**
+ * Reasons an account cannot be scheduled for deletion right now.
+ * Unpaid creator earnings must be withdrawn first — they can't be paid out once KYC is gone.
+ * @returns {Promise<string[]>}
+ */
+export async function getDeletionBlockers(userId) {
+    const blockers = [];
+    const secondaryWallet = await SecondaryWallet.findOne({ userId }).select('balance').lean();
+    if (secondaryWallet?.balance > 0) {
+        blockers.push(`Withdraw your remaining earnings (₹${secondaryWallet.balance}) before deleting your account`);
+    }
+    return blockers;
+}
+
+/**
+ * Move all of a user's content into ContentArchive so the archive purge worker removes
+ * media and related documents on its normal schedule.
+ * @returns {Promise<number>} Number of items archived
+ */
+async function archiveUserContent(userId, now) {
+    const contents = await Content.find({ userId, status: { $ne: 'removed' } });
+    let archived = 0;
+
+    for (const content of contents) {
+        const existingArchive = await ContentArchive.exists({
+            content_id: content._id,
+            permanently_deleted: false,
+            restored_at: null
+        });
+
+        if (!existingArchive) {
+            let hlsPrefix = '';
+            if (content.hlsMasterKey) {
+                hlsPrefix = content.hlsMasterKey.substring(0, content.hlsMasterKey.lastIndexOf('/') + 1);
+            }
+
+            await ContentArchive.create({
+                content_id: content._id,
+                originalKey: content.originalKey || '',
+                hlsMasterKey: content.hlsMasterKey || '',
+                thumbnailKey: content.thumbnailKey || '',
+                imageKey: content.imageKey || '',
+                imageKeys: content.imageKeys || [],
+                hlsPrefix,
+                content_snapshot: {
+                    title: content.title,
+                    contentType: content.contentType,
+                    userId: content.userId,
+                    views: content.views,
+                    createdAt: content.createdAt
+                },
+                removal_source: 'account_deletion',
+                removed_by_user: userId,
+                removed_at: now,
+                delete_scheduled_at: new Date(now.getTime() + CONTENT_ARCHIVE_TTL_MS),
+                reason: 'Owner deleted their account'
+            });
+        }
+
+        content.visibility = 'private';
+        content.status = 'removed';
+        await content.save();
+        archived++;
+    }
+    return archived;
+}
+
+/**
+ * Stop channel memberships in both directions so the renewal worker never bills
+ * for a deleted account.
+ */
+async function endChannelMemberships(userId, now) {
+    const own = await ChannelMembership.find({ memberId: userId, status: { $in: ['active', 'grace'] } })
+        .select('tierId').lean();
+    for (const m of own) {
+        await MembershipTier.updateOne({ _id: m.tierId, memberCount: { $gt: 0 } }, { $inc: { memberCount: -1 } });
+    }
+    await ChannelMembership.deleteMany({ memberId: userId });
+
+    await ChannelMembership.updateMany(
+        { creatorId: userId, status: { $in: ['active', 'grace'] } },
+        { $set: { status: 'cancelled', endedAt: now, cancelAtPeriodEnd: true, graceUntil: null, nextRenewalAttemptAt: null, pendingTierId: null } }
+    );
+    await MembershipTier.updateMany({ creatorId: userId }, { $set: { isActive: false, memberCount: 0 } });
+}
+
+/**
+ * Remove chats: 1:1 conversations disappear for both sides, group chats just lose the member.
+ */
+async function removeChats(userId) {
+    const directConversations = await Conversation.find({ participants: userId, isGroup: { $ne: true } })
+        .select('_id')
+        .lean();
+    const directIds = directConversations.map(c => c._id);
+
+    await Promise.all([
+        Message.deleteMany({ $or: [{ senderId: userId }, { recipientId: userId }, { conversationId: { $in: directIds } }] }),
+        Conversation.deleteMany({ _id: { $in: directIds } }),
+        Conversation.updateMany(
+            { isGroup: true, participants: userId },
+            { $pull: { participants: userId, adminIds: userId, pendingInvites: { userId } } }
+        ),
+    ]);
+}
+
+/**
+ * Keep ledger rows (tax records) but drop anything that identifies the user beyond the wallet link.
+ */
+async function anonymizeWalletLedger(userId, now) {
+    const [primaryWallet, secondaryWallet] = await Promise.all([
+        PrimaryWallet.findOne({ userId }).select('_id').lean(),
+        SecondaryWallet.findOne({ userId }).select('_id').lean(),
+    ]);
+    const walletIds = [primaryWallet?._id, secondaryWallet?._id].filter(Boolean);
+
+    const result = await WalletTransaction.updateMany(
+        { $or: [{ walletId: { $in: walletIds } }, { relatedBuyerId: userId }] },
+        { $set: { relatedBuyerId: null, metadata: null, anonymizedAt: now } }
+    );
+
+    if (primaryWallet) {
+        await PrimaryWallet.updateOne(
+            { _id: primaryWallet._id },
+            { $set: { pinHash: null, isPinSet: false, isPinLocked: false, failedPinAttempts: 0 } }
+        );
+    }
+    return result.modifiedCount || 0;
+}
+
+/**
+ * Drop bank details and uploaded documents; GST details stay for tax filings.
+ * @returns {Promise<string[]>} storage keys of removed documents
+ */
+async function scrubKyc(userId) {
+    const kyc = await KycDetails.findOne({ userId }).lean();
+    if (!kyc) return [];
+
+    const bankFields = {};
+    for (const field of ['bankAccountNumber', 'bankName', 'ifscCode', 'accountHolderName']) {
+        for (const suffix of ['Encrypted', 'Iv', 'Tag']) bankFields[`${field}${suffix}`] = null;
+    }
+    await KycDetails.updateOne(
+        { _id: kyc._id },
+        { $set: { ...bankFields, kycDocumentKey: null, gstCertificateKey: null } }
+    );
+    return [kyc.kycDocumentKey, kyc.gstCertificateKey].filter(Boolean);
+}
+
+/**
+ * Push a blocked deletion back by DELETION_POSTPONE_MS and tell the user why.
+ */
+async function postponeDeletion(user, blockers, now) {
+    const retryAt = new Date(now.getTime() + DELETION_POSTPONE_MS);
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, deletedAt: null, deletionScheduledAt: user.deletionScheduledAt },
+        { $set: { deletionScheduledAt: retryAt } }
+    );
+    if (modifiedCount === 0) return;   // cancelled or rescheduled meanwhile
+    console.log(`⏸️ [AccountDeletion] Postponed ${user._id} to ${retryAt.toISOString()}: ${blockers.join('; ')}`);
+
+    const email = user.email || (user.contact?.includes('@') ? user.contact : null);
+    if (email) {
+        sendAdminEmail('accountDeletionPostponed', email, {
+            userName: user.userName,
+            creatorName: user.channelName,
+            reasons: blockers,
+            retryAt: retryAt.toDateString(),
+            userId: user._id,
+        }).catch(err => console.error('[AdminEmail] Failed to send deletion postponed email:', err.message));
+    }
+}
+
+/**
+ * Erase an account whose grace period has passed.
+ *
+ * @param {string|ObjectId} userId
+ * @param {Date} now
+ * @returns {Promise<null|{ userId: string, archivedContent: number, anonymizedLedgerRows: number, storageKeysToDelete: string[] }>}
+ *          null when the account isn't due (cancelled, not scheduled, or already deleted) or
+ *          was postponed because getDeletionBlockers() found a payable balance
+ */
+export async function executeAccountDeletion(userId, now = new Date()) {
+    const user = await User.findOne({
+        _id: userId,
+        deletedAt: null,
+        deletionScheduledAt: { $ne: null, $lte: now }
+    }).lean();
+    if (!user) return null;
+
+    // Blockers were checked when deletion was scheduled, but earnings keep arriving
+    const blockers = await getDeletionBlockers(userId);
+    if (blockers.length > 0) {
+        await postponeDeletion(user, blockers, now);
+        return null;
+    }
+
+    console.log(`🗑️ [AccountDeletion] Erasing account ${userId}`);
+    const storageKeysToDelete = [user.profilePicture, user.channelPicture].filter(Boolean);
+
+    // 1. Content → archive purge path
+    const archivedContent = await archiveUserContent(userId, now);
+
+    // 2. Personal data
+    const ownComments = await Comment.find({ userId }).select('_id').lean();
+    const ownCommentIds = ownComments.map(c => c._id);
+    await Promise.all([
+        WatchHistory.deleteMany({ userId }),
+        SearchHistory.deleteMany({ userId }),
+        Bookmark.deleteMany({ userId }),
+        Playlist.deleteMany({ userId }),
+        VideoReaction.deleteMany({ userId }),
+        CommunityMember.deleteMany({ userId }),
+        CommunityPost.updateMany(
+            { authorId: userId, status: 'active' },
+            { $set: { status: 'removed', removedAt: now, removedBy: userId, pinned: false } }
+        ),
+        CommunityPollVote.deleteMany({ userId }),
+        CommunityEventRsvp.deleteMany({ userId }),
+        InviteLink.updateMany({ createdBy: userId, revokedAt: null }, { $set: { revokedAt: now, revokedBy: userId } }),
+        InviteRedemption.deleteMany({ userId }),
+        removeAppealsForUser(userId),
+        Notification.deleteMany({ $or: [{ userId }, { actorId: userId }] }),
+        Comment.deleteMany({ $or: [{ _id: { $in: ownCommentIds } }, { parentCommentId: { $in: ownCommentIds } }] }),
+        Comment.updateMany({ likes: userId }, { $pull: { likes: userId }, $inc: { likeCount: -1 } }),
+        Comment.updateMany({ mentions: userId }, { $pull: { mentions: userId } }),
+        removeChats(userId),
+        endChannelMemberships(userId, now),
+        Tip.updateMany({ senderId: userId }, { $set: { message: '' } }),
+        WebhookEndpoint.deleteMany({ kind: 'creator', ownerId: userId }),
+        WebhookDelivery.deleteMany({ ownerId: userId }),
+        ApiKey.deleteMany({ userId }),
+        ApiKeyUsage.deleteMany({ userId }),
+    ]);
+
+    // 3. Analytics — keep the numbers, lose the person
+    await Promise.all([
+        ContentView.updateMany({ userId }, { $set: { userId: null } }),
+        ContentWatchtime.updateMany({ userId }, { $set: { userId: null } }),
+        UserSession.updateMany({ userId }, { $set: { userId: null } }),
+    ]);
+    // Signed-in devices hold IPs and locations, 2FA holds secrets — nothing to keep
+    await Promise.all([
+        AuthSession.deleteMany({ userId }),
+        TwoFactorAuth.deleteMany({ userId }),
+    ]);
+
+    // 4. Social graph
+    if (user.subscriptions?.length > 0) {
+        await User.updateMany({ _id: { $in: user.subscriptions } }, { $inc: { subscriberCount: -1 } });
+    }
+    await User.updateMany(
+        { $or: [{ subscriptions: userId }, { mutedNotificationUsers: userId }] },
+        { $pull: { subscriptions: userId, mutedNotificationUsers: userId } }
+    );
+
+    // 5. Money — anonymise, never delete
+    const anonymizedLedgerRows = await anonymizeWalletLedger(userId, now);
+    storageKeysToDelete.push(...await scrubKyc(userId));
+
+    // 6. Data exports
+    const exports = await AccountExport.find({ userId, archiveKey: { $ne: null } }).select('archiveKey').lean();
+    storageKeysToDelete.push(...exports.map(e => e.archiveKey));
+    await AccountExport.deleteMany({ userId });
+
+    // 7. Tombstone — unusable credentials, no PII, all sessions invalidated
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            contact: `deleted:${userId}`,
+            userName: 'Deleted user',
+            fullName: null,
+            password: unusablePassword,
+            profilePicture: null,
+            channelPicture: null,
+            channelName: null,
+            channelDescription: null,
+            bio: null,
+            achievements: [],
+            roles: [],
+            subscriptions: [],
+            viewHistory: [],
+            mutedNotificationUsers: [],
+            subscriberCount: 0,
+            deletedAt: now,
+            deletionScheduledAt: null,
+            deletionReason: null,
+            twoFactorEnabled: false,
+        },
+        $unset: { googleId: 1, channelHandle: 1, referralCode: 1 },
+        $inc: { tokenVersion: 1 },
+    });
+    syncChannelSearch(userId);
+
+    console.log(`✅ [AccountDeletion] Account ${userId} erased | Content archived: ${archivedContent} | Ledger rows anonymised: ${anonymizedLedgerRows}`);
+    return { userId: userId.toString(), archivedContent, anonymizedLedgerRows, storageKeysToDelete };
+}
+
+/**
+ * Erase every account whose grace period has passed (one batch per call).
+ * Failures are logged and retried on the next cycle.
+ * @returns {Promise<Array>} Results of executeAccountDeletion for erased accounts
+ */
+export async function runAccountDeletionCycle(now = new Date()) {
+    const due = await User.find({ deletedAt: null, deletionScheduledAt: { $ne: null, $lte: now } })
+        .select('_id')
+        .limit(DELETION_BATCH_SIZE)
+        .lean();
+
+    const results = [];
+    for (const { _id } of due) {
+        try {
+            const result = await executeAccountDeletion(_id, now);
+            if (result) results.push(result);
+        } catch (err) {
+            console.error(`❌ [AccountDeletion] Failed to erase account ${_id}:`, err);
+        }
+    }
+    return results;
+}
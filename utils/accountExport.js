@@ -0,0 +1,209 @@
+/**
+ * Account Export — "download my data"
+ *
+ * A user requests an export (POST /api/v2/account/export), which queues an AccountExport job.
+ * workers/accountDataWorker.js picks queued jobs up, calls collectAccountData() and
+ * buildExportArchive(), uploads the .tar.gz to S3 and marks the job ready. The archive
+ * can be downloaded through a short-lived presigned URL until EXPORT_DOWNLOAD_TTL_MS passes.
+ *
+ * Archive layout (one JSON file per section + a manifest):
+ *   manifest.json, profile.json, watch-history.json, search-history.json, comments.json,
+ *   bookmarks.json, playlists.json, chats.json, purchases.json, wallet.json
+ *
+ * The archive is a plain ustar tarball gzipped with zlib — no archiver dependency needed.
+ */
+
+import { gzipSync } from 'zlib';
+import User from '../models/user.model.js';
+import WatchHistory from '../models/watchHistory.model.js';
+import SearchHistory from '../models/searchHistory.model.js';
+import Comment from '../models/comment.model.js';
+import Bookmark from '../models/bookmark.model.js';
+import Playlist from '../models/playlist.model.js';
+import Conversation from '../models/conversation.model.js';
+import Message from '../models/message.model.js';
+import Purchase from '../models/purchase.model.js';
+import PrimaryWallet from '../models/primaryWallet.model.js';
+import SecondaryWallet from '../models/secondaryWallet.model.js';
+import WalletTransaction from '../models/walletTransaction.model.js';
+import KycDetails from '../models/kycDetails.model.js';
+
+export const EXPORT_DOWNLOAD_TTL_MS = 7 * 24 * 60 * 60 * 1000;  // archives downloadable for 7 days
+export const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;          // one export request per day
+export const MAX_EXPORT_ATTEMPTS = 3;
+export const MAX_ROWS_PER_SECTION = 100000;
+
+// Never leave the database, even in the owner's own export
+const PROFILE_HIDDEN_FIELDS = ['password', 'tokenVersion', '__v'];
+
+/**
+ * Strip secrets from a lean user document before exporting it
+ */
+export function sanitizeProfile(user) {
+    if (!user) return null;
+    const profile = { ...user };
+    for (const field of PROFILE_HIDDEN_FIELDS) delete profile[field];
+    return profile;
+}
+
+// ─── Tar (ustar) ─────────────────────────────────────────────────────────────
+
+function writeField(header, value, offset, length) {
+    header.write(String(value).slice(0, length), offset, length, 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+    // Octal digits padded to length-1, NUL-terminated
+    writeField(header, Math.floor(value).toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function buildTarHeader(name, size, mtime) {
+    const header = Buffer.alloc(512);
+    writeField(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);   // mode
+    writeOctal(header, 0, 108, 8);       // uid
+    writeOctal(header, 0, 116, 8);       // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, mtime, 136, 12);
+    header.fill(' ', 148, 156);          // checksum placeholder (spaces while summing)
+    writeField(header, '0', 156, 1);     // regular file
+    writeField(header, 'ustar\0', 257, 6);
+    writeField(header, '00', 263, 2);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    writeField(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+    return header;
+}
+
+/**
+ * Build an uncompressed ustar archive.
+ * @param {Array<{ name: string, content: string|Buffer }>} files - names must be ≤ 100 bytes
+ * @param {Date} mtime
+ * @returns {Buffer}
+ */
+export function buildTarArchive(files, mtime = new Date()) {
+    const seconds = Math.floor(mtime.getTime() / 1000);
+    const blocks = [];
+    for (const file of files) {
+        if (Buffer.byteLength(file.name) > 100) throw new Error(`Tar entry name too long: ${file.name}`);
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        blocks.push(buildTarHeader(file.name, data.length, seconds), data);
+        const padding = (512 - (data.length % 512)) % 512;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    }
+    blocks.push(Buffer.alloc(1024)); // two empty blocks mark the end of the archive
+    return Buffer.concat(blocks);
+}
+
+// ─── Data collection ─────────────────────────────────────────────────────────
+
+/**
+ * Gather everything we hold about a user, grouped by archive section.
+ * @returns {Promise<Object<string, any>>} section name → JSON-serialisable data
+ */
+export async function collectAccountData(userId) {
+    const user = await User.findById(userId).lean();
+    if (!user) throw new Error('User not found');
+
+    const [watchHistory, searchHistory, comments, bookmarks, playlists, purchases, kyc] = await Promise.all([
+        WatchHistory.find({ userId }).sort({ lastWatchedAt: -1 }).limit(MAX_ROWS_PER_SECTION).lean(),
+        SearchHistory.find({ userId }).sort({ lastSearchedAt: -1 }).limit(MAX_ROWS_PER_SECTION).lean(),
+        Comment.find({ userId }).select('-likes').sort({ createdAt: -1 }).limit(MAX_ROWS_PER_SECTION).lean(),
+        Bookmark.find({ userId }).sort({ createdAt: -1 }).limit(MAX_ROWS_PER_SECTION).lean(),
+        Playlist.find({ userId }).lean(),
+        Purchase.find({ buyerId: userId }).sort({ createdAt: -1 }).limit(MAX_ROWS_PER_SECTION).lean(),
+        KycDetails.findOne({ userId }).select('kycStatus kycDocumentType isGstHolder gstNumber submittedAt').lean(),
+    ]);
+
+    // Chats: every conversation the user is part of, minus messages they deleted for themselves
+    const conversations = await Conversation.find({ participants: userId })
+        .select('participants isGroup groupName createdAt updatedAt')
+        .lean();
+    const messages = await Message.find({
+        $or: [
+            { senderId: userId },
+            { recipientId: userId },
+            { conversationId: { $in: conversations.filter(c => c.isGroup).map(c => c._id) } },
+        ],
+        deletedForEveryone: { $ne: true },
+        [`deletedBy.${userId}`]: { $exists: false },
+    })
+        .select('conversationId senderId recipientId text read readAt editedAt createdAt')
+        .sort({ createdAt: 1 })
+        .limit(MAX_ROWS_PER_SECTION)
+        .lean();
+
+    // Wallet: balances + full ledger (buyer identities on earnings are never exported)
+    const [primaryWallet, secondaryWallet] = await Promise.all([
+        PrimaryWallet.findOne({ userId }).select('balance currency isPinSet createdAt').lean(),
+        SecondaryWallet.findOne({ userId }).select('balance currency createdAt').lean(),
+    ]);
+    const walletIds = [primaryWallet?._id, secondaryWallet?._id].filter(Boolean);
+    const ledger = walletIds.length > 0
+        ? await WalletTransaction.find({ walletId: { $in: walletIds }, status: 'completed' })
+            .select('-relatedBuyerId -metadata -idempotencyKey')
+            .sort({ createdAt: 1 })
+            .limit(MAX_ROWS_PER_SECTION)
+            .lean()
+        : [];
+
+    return {
+        profile: { ...sanitizeProfile(user), kyc: kyc || null },
+        watchHistory,
+        searchHistory,
+        comments,
+        bookmarks,
+        playlists,
+        chats: { conversations, messages },
+        purchases,
+        wallet: { primaryWallet, secondaryWallet, ledger },
+    };
+}
+
+const SECTION_FILES = {
+    profile: 'profile.json',
+    watchHistory: 'watch-history.json',
+    searchHistory: 'search-history.json',
+    comments: 'comments.json',
+    bookmarks: 'bookmarks.json',
+    playlists: 'playlists.json',
+    chats: 'chats.json',
+    purchases: 'purchases.json',
+    wallet: 'wallet.json',
+};
+
+/**
+ * Number of records in a section (arrays → length, wallet → ledger rows, chats → messages, objects → 1)
+ */
+export function countSection(name, data) {
+    if (Array.isArray(data)) return data.length;
+    if (name === 'wallet') return data?.ledger?.length || 0;
+    if (name === 'chats') return data?.messages?.length || 0;
+    return data ? 1 : 0;
+}
+
+/**
+ * Bundle collected sections into a gzipped tarball.
+ * @returns {{ buffer: Buffer, sectionCounts: Object<string, number> }}
+ */
+export function buildExportArchive(sections, { userId, generatedAt = new Date() } = {}) {
+    const sectionCounts = {};
+    const files = [];
+
+    for (const [name, fileName] of Object.entries(SECTION_FILES)) {
+        const data = sections[name] ?? null;
+        sectionCounts[name] = countSection(name, data);
+        files.push({ name: fileName, content: JSON.stringify(data, null, 2) });
+    }
+
+    const manifest = {
+        userId: userId ? String(userId) : null,
+        generatedAt: generatedAt.toISOString(),
+        files: Object.values(SECTION_FILES),
+        sectionCounts,
+    };
+    files.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+    return { buffer: gzipSync(buildTarArchive(files, generatedAt)), sectionCounts };
+}
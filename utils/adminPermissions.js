@@ -0,0 +1,97 @@
+/**
+ * Admin Permissions — named scopes and the role templates superadmins assign
+ *
+ * Every protected route in routes/adminRoutes/adminRouter.js is guarded by one scope
+ * (middlewares/admin.middleware.js → requireScope). An admin's effective scopes are:
+ *   - superadmin: every scope
+ *   - admin:      the scopes of their role template + any extra scopes granted individually
+ *
+ * New admins start on the least-privileged `moderator` template. Admins that predate
+ * scopes are moved to `operations` by scripts/migrateAdminRoleTemplates.js.
+ */
+
+export const ADMIN_SCOPES = {
+    'dashboard.view': 'Dashboard, notifications and admin requests',
+    'analytics.view': 'Platform, content, user and creator analytics',
+    'analytics.aggregate': 'Trigger analytics aggregation jobs',
+    'jobs.view': 'Scheduled background jobs: status and run history',
+    'content.view': 'Browse content, PPV titles, the archive and creator profiles',
+    'content.moderate': 'Hide and restore content, resolve reports, request channel bans',
+    'content.remove': 'Remove content directly (outside the reports workflow)',
+    'content.purge': 'Permanently delete archived content',
+    'content.stats': 'Edit or reset content and creator stats',
+    'channel.ban': 'Ban and unban channels',
+    'appeals.review': 'Review and decide appeals against takedowns and channel bans',
+    'support.respond': 'Feedback, enquiries and creator chat',
+    'users.view': 'User list and per-user analytics',
+    'email.send': 'Send emails and broadcasts to users',
+    'email.templates': 'Manage email templates and read email logs',
+    'kyc.review': 'View, verify and reject creator KYC',
+    'wallet.view': 'View wallets, the daily ledger and live transfers',
+    'wallet.adjust': 'Credit or debit user wallets',
+    'payout.view': 'Payout reports, creator earnings and invoices',
+    'payout.run': 'Run, complete and resend payouts (monthly and engagement)',
+    'refund.review': 'Approve or reject PPV refund requests',
+    'referral.manage': 'Review referrals and change referral settings',
+    'audit.view': 'Read the admin audit log',
+    'webhooks.manage': 'Partner webhook endpoints and the webhook delivery log',
+    'admins.manage': 'Approve signups, remove or unlock admins, assign roles',
+};
+
+export const ALL_ADMIN_SCOPES = Object.keys(ADMIN_SCOPES);
+
+export const ROLE_TEMPLATES = {
+    moderator: {
+        label: 'Moderator',
+        scopes: ['dashboard.view', 'content.view', 'content.moderate', 'appeals.review', 'support.respond', 'users.view'],
+    },
+    support: {
+        label: 'Support',
+        scopes: ['dashboard.view', 'content.view', 'support.respond', 'users.view', 'email.send', 'email.templates'],
+    },
+    finance: {
+        label: 'Finance',
+        scopes: [
+            'dashboard.view', 'users.view', 'kyc.review', 'wallet.view', 'payout.view', 'payout.run',
+            'refund.review', 'referral.manage',
+        ],
+    },
+    analyst: {
+        label: 'Analyst',
+        scopes: ['dashboard.view', 'analytics.view', 'jobs.view', 'content.view', 'users.view', 'payout.view', 'wallet.view'],
+    },
+    // Everything a regular admin could reach before scopes existed
+    operations: {
+        label: 'Operations (full admin)',
+        scopes: [
+            'dashboard.view', 'analytics.view', 'jobs.view', 'content.view', 'content.moderate', 'content.purge',
+            'appeals.review', 'support.respond', 'users.view', 'email.send', 'email.templates', 'kyc.review', 'wallet.view',
+            'payout.view', 'payout.run', 'refund.review', 'referral.manage', 'audit.view', 'webhooks.manage',
+        ],
+    },
+};
+
+export const DEFAULT_ROLE_TEMPLATE = 'moderator';
+
+export const isAdminScope = (scope) => Object.prototype.hasOwnProperty.call(ADMIN_SCOPES, scope);
+
+/**
+ * Effective scopes for an admin document (sorted, de-duplicated)
+ */
+export function resolveAdminScopes(admin) {
+    if (!admin) return [];
+    if (admin.role === 'superadmin') return [...ALL_ADMIN_SCOPES];
+
+    const template = ROLE_TEMPLATES[admin.role_template] || ROLE_TEMPLATES[DEFAULT_ROLE_TEMPLATE];
+    const scopes = new Set(template.scopes);
+    for (const scope of admin.extra_scopes || []) {
+        if (isAdminScope(scope)) scopes.add(scope);
+    }
+    return ALL_ADMIN_SCOPES.filter(scope => scopes.has(scope));
+}
+
+export function hasAdminScope(admin, scope) {
+    if (!admin) return false;
+    if (admin.role === 'superadmin') return true;
+    return resolveAdminScopes(admin).includes(scope);
+}
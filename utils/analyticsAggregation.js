@@ -0,0 +1,340 @@
+/**
+ * Analytics Aggregation — rolls raw tracking data up into AnalyticsSummary
+ *
+ * Sources: UserSession, PageUsage and ContentWatchtime (by their UTC `dateBucket`),
+ * ContentView (new viewers by `firstViewedAt`) and new User accounts (ObjectId time).
+ * Periods (all UTC):
+ *   - daily   "2025-01-15"
+ *   - weekly  "2025-W03" (ISO week, Monday to Sunday)
+ *   - monthly "2025-01"
+ * Weekly and monthly summaries are computed from the raw data for their whole range, not
+ * by adding up days, so unique users are not double counted.
+ *
+ * The scheduled job (utils/scheduledJobs.js) runs runAnalyticsAggregation() hourly:
+ * every day in the backfill window without a complete summary is (re)computed, oldest
+ * first and a batch at a time, followed by the weeks and months those days belong to.
+ * A summary is complete once it was computed LATE_DATA_GRACE_MS after its period ended
+ * (clients send buffered events late). Every write is an upsert on { period, dateKey },
+ * so re-running any range is safe.
+ */
+
+import mongoose from 'mongoose';
+import AnalyticsSummary from '../models/analyticsSummary.model.js';
+import UserSession from '../models/userSession.model.js';
+import PageUsage from '../models/pageUsage.model.js';
+import ContentView from '../models/contentView.model.js';
+import ContentWatchtime from '../models/contentWatchtime.model.js';
+import Content from '../models/content.model.js';
+import User from '../models/user.model.js';
+
+export const ANALYTICS_AGGREGATION_JOB = 'analytics-aggregation';
+export const PERIODS = ['daily', 'weekly', 'monthly'];
+export const LATE_DATA_GRACE_MS = 60 * 60 * 1000;
+export const MAX_MANUAL_RANGE_DAYS = 366;
+export const TOP_CONTENT_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONTENT_TYPES = ['video', 'short', 'audio', 'post'];
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const backfillDays = () => parseInt(process.env.ANALYTICS_BACKFILL_DAYS) || 90;
+export const backfillBatchDays = () => parseInt(process.env.ANALYTICS_BACKFILL_BATCH_DAYS) || 31;
+
+// ─── Period keys ─────────────────────────────────────────────────────────────
+
+export const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+export const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+export function isValidDayKey(key) {
+    return typeof key === 'string' && DAY_KEY_PATTERN.test(key) && dayKey(`${key}T00:00:00.000Z`) === key;
+}
+
+/**
+ * ISO-8601 week key, e.g. "2025-W03" (the week belongs to the year of its Thursday)
+ */
+export function isoWeekKey(date) {
+    const d = new Date(dayKey(date) + 'T00:00:00.000Z');
+    const weekday = (d.getUTCDay() + 6) % 7; // Monday = 0
+    const thursday = new Date(d.getTime() + (3 - weekday) * DAY_MS);
+    const year = thursday.getUTCFullYear();
+    const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS));
+    return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * { start, end, dayKeys } for a period key — start inclusive, end exclusive
+ */
+export function periodRange(period, key) {
+    let start;
+    let end;
+    if (period === 'daily') {
+        start = new Date(`${key}T00:00:00.000Z`);
+        end = new Date(start.getTime() + DAY_MS);
+    } else if (period === 'weekly') {
+        const [year, week] = key.split('-W').map(Number);
+        const jan4 = Date.UTC(year, 0, 4);
+        const week1Monday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS;
+        start = new Date(week1Monday + (week - 1) * 7 * DAY_MS);
+        end = new Date(start.getTime() + 7 * DAY_MS);
+    } else if (period === 'monthly') {
+        const [year, month] = key.split('-').map(Number);
+        start = new Date(Date.UTC(year, month - 1, 1));
+        end = new Date(Date.UTC(year, month, 1));
+    } else {
+        throw new Error(`Unknown analytics period "${period}"`);
+    }
+
+    const dayKeys = [];
+    for (let t = start.getTime(); t < end.getTime(); t += DAY_MS) dayKeys.push(dayKey(t));
+    return { start, end, dayKeys };
+}
+
+export function periodKeyFor(period, date) {
+    if (period === 'daily') return dayKey(date);
+    if (period === 'weekly') return isoWeekKey(date);
+    return monthKey(date);
+}
+
+/**
+ * Day keys from `from` to `to` (inclusive, both day keys)
+ */
+export function dayKeysBetween(from, to) {
+    const keys = [];
+    for (let t = Date.parse(`${from}T00:00:00.000Z`); t <= Date.parse(`${to}T00:00:00.000Z`); t += DAY_MS) keys.push(dayKey(t));
+    return keys;
+}
+
+export const isCompleteAt = (end, aggregatedAt) => new Date(aggregatedAt).getTime() >= new Date(end).getTime() + LATE_DATA_GRACE_MS;
+
+/**
+ * Which days to (re)compute on a scheduled run: days in [windowStart, today] without a
+ * complete summary, oldest first, at most `batchSize` plus today. Returns
+ * { days, weeks, months } — the weeks and months those days belong to.
+ */
+export function planAggregation({ today, windowStart, completeDays = [], batchSize = backfillBatchDays() }) {
+    const complete = new Set(completeDays);
+    const pending = windowStart <= today
+        ? dayKeysBetween(windowStart, today).filter(key => key !== today && !complete.has(key))
+        : [];
+    const days = [...pending.slice(0, batchSize), today];
+
+    const at = (key) => `${key}T00:00:00.000Z`;
+    return {
+        days,
+        weeks: [...new Set(days.map(key => isoWeekKey(at(key))))],
+        months: [...new Set(days.map(key => monthKey(at(key))))],
+    };
+}
+
+// ─── Summary computation ─────────────────────────────────────────────────────
+
+/**
+ * Shape raw aggregation results into AnalyticsSummary fields
+ */
+export function buildSummaryFields({ sessions = {}, uniqueUsers = 0, newUsers = 0, pages = [], watchtime = [], newViewers = [], topContent = [] }) {
+    const pageUsage = {};
+    for (const p of pages) if (p._id) pageUsage[p._id] = Math.round(p.totalTime);
+
+    const contentWatchtime = {};
+    const contentConsumed = {};
+    for (const c of watchtime) {
+        if (!CONTENT_TYPES.includes(c._id)) continue;
+        contentWatchtime[c._id] = Math.round(c.totalPlayTime);
+        contentConsumed[c._id] = c.count;
+    }
+
+    const viewers = {};
+    for (const v of newViewers) if (CONTENT_TYPES.includes(v._id)) viewers[v._id] = v.viewers;
+
+    const total = sessions.total || 0;
+    return {
+        totalSessions: total,
+        authenticatedSessions: sessions.authenticated || 0,
+        anonymousSessions: total - (sessions.authenticated || 0),
+        avgSessionDuration: Math.round(sessions.avgDuration || 0),
+        totalPlatformTime: Math.round(sessions.totalDuration || 0),
+        pageUsage,
+        contentWatchtime,
+        contentConsumed,
+        newViewers: viewers,
+        topContent: topContent.map(t => ({
+            contentId: t._id,
+            contentType: t.contentType,
+            title: t.title || 'Untitled',
+            totalPlayTime: Math.round(t.totalPlayTime),
+            viewCount: t.viewCount,
+        })),
+        deviceBreakdown: {
+            desktop: sessions.desktopCount || 0,
+            mobile: sessions.mobileCount || 0,
+            tablet: sessions.tabletCount || 0,
+        },
+        uniqueUsers,
+        newUsers,
+    };
+}
+
+async function collectSummaryData({ start, end, dayKeys }) {
+    const bucketMatch = { dateBucket: { $in: dayKeys } };
+    const idFrom = mongoose.Types.ObjectId.createFromTime(Math.floor(start.getTime() / 1000));
+    const idTo = mongoose.Types.ObjectId.createFromTime(Math.floor(end.getTime() / 1000));
+
+    const [sessions, uniqueUsers, newUsers, pages, watchtime, newViewers, top] = await Promise.all([
+        UserSession.aggregate([
+            { $match: bucketMatch },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    authenticated: { $sum: { $cond: ['$isAuthenticated', 1, 0] } },
+                    avgDuration: { $avg: '$totalDuration' },
+                    totalDuration: { $sum: '$totalDuration' },
+                    desktopCount: { $sum: { $cond: [{ $eq: ['$device', 'desktop'] }, 1, 0] } },
+                    mobileCount: { $sum: { $cond: [{ $eq: ['$device', 'mobile'] }, 1, 0] } },
+                    tabletCount: { $sum: { $cond: [{ $eq: ['$device', 'tablet'] }, 1, 0] } },
+                },
+            },
+        ]),
+        UserSession.aggregate([
+            { $match: { ...bucketMatch, userId: { $ne: null } } },
+            { $group: { _id: '$userId' } },
+            { $count: 'users' },
+        ]),
+        User.countDocuments({ _id: { $gte: idFrom, $lt: idTo } }),
+        PageUsage.aggregate([
+            { $match: bucketMatch },
+            { $group: { _id: '$pageName', totalTime: { $sum: '$timeSpent' } } },
+        ]),
+        ContentWatchtime.aggregate([
+            { $match: bucketMatch },
+            { $group: { _id: '$contentType', totalPlayTime: { $sum: '$activePlayTime' }, count: { $sum: 1 } } },
+        ]),
+        ContentView.aggregate([
+            { $match: { firstViewedAt: { $gte: start, $lt: end } } },
+            { $group: { _id: '$contentId', viewers: { $sum: 1 } } },
+            {
+                $lookup: {
+                    from: Content.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { contentType: 1 } }],
+                    as: 'content',
+                },
+            },
+            { $group: { _id: { $first: '$content.contentType' }, viewers: { $sum: '$viewers' } } },
+        ]),
+        ContentWatchtime.aggregate([
+            { $match: bucketMatch },
+            {
+                $group: {
+                    _id: '$contentId',
+                    contentType: { $first: '$contentType' },
+                    totalPlayTime: { $sum: '$activePlayTime' },
+                    viewCount: { $sum: 1 },
+                },
+            },
+            { $sort: { totalPlayTime: -1 } },
+            { $limit: TOP_CONTENT_LIMIT },
+        ]),
+    ]);
+
+    const titles = await Content.find({ _id: { $in: top.map(t => t._id) } }).select('title').lean();
+    const titleById = new Map(titles.map(c => [c._id.toString(), c.title]));
+
+    return {
+        sessions: sessions[0] || {},
+        uniqueUsers: uniqueUsers[0]?.users || 0,
+        newUsers,
+        pages,
+        watchtime,
+        newViewers,
+        topContent: top.map(t => ({ ...t, title: titleById.get(t._id?.toString()) })),
+    };
+}
+
+/**
+ * Compute and upsert one summary
+ */
+export async function aggregatePeriod(period, key, now = new Date()) {
+    const range = periodRange(period, key);
+    const fields = buildSummaryFields(await collectSummaryData(range));
+    await AnalyticsSummary.updateOne(
+        { period, dateKey: key },
+        {
+            $set: {
+                ...fields,
+                rangeStart: range.start,
+                rangeEnd: range.end,
+                aggregatedAt: now,
+                complete: isCompleteAt(range.end, now),
+            },
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * First day with tracking data (UserSession is written on every visit), or null
+ */
+async function earliestDataDay() {
+    const first = await UserSession.findOne({ dateBucket: { $ne: null } }).sort({ dateBucket: 1 }).select('dateBucket').lean();
+    return first?.dateBucket || null;
+}
+
+/**
+ * Job body. Scheduled runs backfill the window (see planAggregation); manual runs pass
+ * params { from, to } (day keys) to recompute that range.
+ */
+export async function runAnalyticsAggregation({ params = {} } = {}) {
+    const now = new Date();
+    const today = dayKey(now);
+    let plan;
+
+    if (params.from) {
+        const days = dayKeysBetween(params.from, params.to || params.from);
+        const at = (key) => `${key}T00:00:00.000Z`;
+        plan = {
+            days,
+            weeks: [...new Set(days.map(key => isoWeekKey(at(key))))],
+            months: [...new Set(days.map(key => monthKey(at(key))))],
+        };
+    } else {
+        const windowFloor = dayKey(now.getTime() - (backfillDays() - 1) * DAY_MS);
+        const earliest = await earliestDataDay();
+        const windowStart = earliest && earliest > windowFloor ? earliest : windowFloor;
+        const completeDays = await AnalyticsSummary.distinct('dateKey', {
+            period: 'daily', complete: true, dateKey: { $gte: windowStart, $lte: today },
+        });
+        plan = planAggregation({ today, windowStart: earliest ? windowStart : today, completeDays });
+    }
+
+    for (const key of plan.days) await aggregatePeriod('daily', key, now);
+    for (const key of plan.weeks) await aggregatePeriod('weekly', key, now);
+    for (const key of plan.months) await aggregatePeriod('monthly', key, now);
+
+    return {
+        days: plan.days.length,
+        from: plan.days[0],
+        to: plan.days[plan.days.length - 1],
+        weeks: plan.weeks,
+        months: plan.months,
+    };
+}
+
+/**
+ * Validate a manual range body: { from, to? } day keys (or { date } for a single day).
+ * Returns { params, error }.
+ */
+export function parseAggregationRange(body = {}, now = new Date()) {
+    const from = body.from || body.date;
+    const to = body.to || from;
+    if (!isValidDayKey(from) || !isValidDayKey(to)) {
+        return { params: null, error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (from > to) return { params: null, error: 'from must not be after to' };
+    if (to > dayKey(now)) return { params: null, error: 'Cannot aggregate future dates' };
+    if (dayKeysBetween(from, to).length > MAX_MANUAL_RANGE_DAYS) {
+        return { params: null, error: `A manual run covers at most ${MAX_MANUAL_RANGE_DAYS} days` };
+    }
+    return { params: { from, to }, error: null };
+}
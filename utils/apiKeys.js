@@ -0,0 +1,193 @@
+/**
+ * API Keys — personal keys for a creator's own tooling
+ *
+ * Key format: `wik_` + 43 base64url characters (256 random bits). The key is shown once;
+ * we keep its sha256 (`keyHash`) and the first API_KEY_PREFIX_LENGTH characters (`prefix`).
+ *
+ * Sending a key (either header):
+ *   X-API-Key: wik_…
+ *   Authorization: Bearer wik_…
+ *
+ * Keys are opt-in per route: only routes guarded by apiKeyOrToken(scope)
+ * (middlewares/apiKeyAuth.js) accept them, and only when the key holds that scope.
+ * Everything else — including managing keys — still needs a signed-in session.
+ * Requests made with a key carry `req.user.apiKeyId`; controllers use it to skip
+ * admin-user bypasses, so a key only ever reaches its owner's own data.
+ */
+
+import crypto from 'crypto';
+import ApiKey from '../models/apiKey.model.js';
+import ApiKeyUsage from '../models/apiKeyUsage.model.js';
+
+export const API_KEY_SCOPES = {
+    'analytics.read': 'Read your content list and per-content analytics',
+    'content.upload': 'Upload videos and content (multipart uploads, thumbnails)',
+    'comments.manage': 'Post, reply to, edit and delete comments as you',
+    'earnings.read': 'Read your earnings and per-content earnings',
+};
+
+export const API_KEY_PREFIX = 'wik_';
+export const API_KEY_PREFIX_LENGTH = 12;
+export const MAX_API_KEYS_PER_USER = 10;
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+export const MIN_RATE_LIMIT_PER_MINUTE = 1;
+export const MAX_RATE_LIMIT_PER_MINUTE = 300;
+export const API_KEY_EXPIRY_DAYS = [30, 90, 365];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Don't write lastUsedAt more than once a minute per key
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+export const isApiKeyScope = (scope) => Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope);
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+export const looksLikeApiKey = (value) => typeof value === 'string' && /^wik_[A-Za-z0-9_-]{43}$/.test(value);
+
+/**
+ * New random key. Returns { key, prefix, keyHash } — only `key` ever leaves the server, once.
+ */
+export function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+}
+
+/**
+ * The key sent with a request, or null. Session JWTs in the Authorization header are left alone.
+ */
+export function extractApiKey(req) {
+    const header = req.headers?.['x-api-key'];
+    if (typeof header === 'string' && header.trim()) return header.trim();
+
+    const auth = req.headers?.authorization;
+    if (auth?.startsWith('Bearer ')) {
+        const token = auth.slice(7).trim();
+        if (token.startsWith(API_KEY_PREFIX)) return token;
+    }
+    return null;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate a create body — or, with `partial`, an update of name / scopes / rate limit
+ * (missing fields are left alone; the expiry is fixed at creation). Returns { fields, error }.
+ */
+export function parseApiKeyInput(body = {}, { partial = false, now = new Date() } = {}) {
+    const fields = {};
+
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) return { fields: null, error: 'Give the key a name' };
+        if (name.length > 60) return { fields: null, error: 'Name must be at most 60 characters' };
+        fields.name = name;
+    }
+
+    if (body.scopes !== undefined || !partial) {
+        if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+            return { fields: null, error: 'Choose at least one scope' };
+        }
+        const unknown = body.scopes.filter(s => !isApiKeyScope(s));
+        if (unknown.length > 0) return { fields: null, error: `Unknown scopes: ${unknown.join(', ')}` };
+        fields.scopes = [...new Set(body.scopes)];
+    }
+
+    if (body.rateLimitPerMinute !== undefined) {
+        const rateLimitPerMinute = Number(body.rateLimitPerMinute);
+        if (!Number.isInteger(rateLimitPerMinute)
+            || rateLimitPerMinute < MIN_RATE_LIMIT_PER_MINUTE
+            || rateLimitPerMinute > MAX_RATE_LIMIT_PER_MINUTE) {
+            return {
+                fields: null,
+                error: `Rate limit must be a whole number between ${MIN_RATE_LIMIT_PER_MINUTE} and ${MAX_RATE_LIMIT_PER_MINUTE} requests per minute`,
+            };
+        }
+        fields.rateLimitPerMinute = rateLimitPerMinute;
+    } else if (!partial) {
+        fields.rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE;
+    }
+
+    if (!partial) {
+        fields.expiresAt = null;
+        if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+            const days = Number(body.expiresInDays);
+            if (!API_KEY_EXPIRY_DAYS.includes(days)) {
+                return { fields: null, error: `Expiry must be one of ${API_KEY_EXPIRY_DAYS.join(', ')} days, or never` };
+            }
+            fields.expiresAt = new Date(new Date(now).getTime() + days * DAY_MS);
+        }
+    }
+
+    return { fields, error: null };
+}
+
+/**
+ * 'active' | 'revoked' | 'expired'
+ */
+export function apiKeyStatus(apiKey, now = new Date()) {
+    if (apiKey.revokedAt) return 'revoked';
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= new Date(now).getTime()) return 'expired';
+    return 'active';
+}
+
+export const usageDay = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+export const formatApiKey = (apiKey, now = new Date()) => ({
+    _id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    status: apiKeyStatus(apiKey, now),
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    usageCount: apiKey.usageCount,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    createdAt: apiKey.createdAt,
+});
+
+// ─── Lookup & usage ──────────────────────────────────────────────────────────
+
+/**
+ * Resolve a presented key. Returns { apiKey, error } — `error` is safe to show.
+ */
+export async function authenticateApiKey(presented, now = new Date()) {
+    if (!looksLikeApiKey(presented)) return { apiKey: null, error: 'Invalid API key' };
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(presented) }).lean();
+    if (!apiKey) return { apiKey: null, error: 'Invalid API key' };
+
+    const status = apiKeyStatus(apiKey, now);
+    if (status === 'revoked') return { apiKey: null, error: 'API key has been revoked' };
+    if (status === 'expired') return { apiKey: null, error: 'API key has expired' };
+    return { apiKey, error: null };
+}
+
+/**
+ * Count one request against the key. Fire-and-forget — never throws.
+ * @param {boolean} rejected - refused for a missing scope or the rate limit
+ */
+export function recordApiKeyUsage(apiKey, { ip = null, rejected = false, now = new Date() } = {}) {
+    const day = usageDay(now);
+    const dayStart = new Date(`${day}T00:00:00.000Z`);
+
+    ApiKeyUsage.updateOne(
+        { keyId: apiKey._id, day },
+        {
+            $inc: rejected ? { rejected: 1 } : { requests: 1 },
+            $setOnInsert: { userId: apiKey.userId, dayStart },
+        },
+        { upsert: true }
+    ).catch(err => console.error('❌ [ApiKeys] Failed to record usage:', err.message));
+
+    if (rejected) return;
+
+    const update = { $inc: { usageCount: 1 } };
+    const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+    if (new Date(now).getTime() - lastUsed >= LAST_USED_THROTTLE_MS) {
+        update.$set = { lastUsedAt: now, lastUsedIp: ip };
+    }
+    ApiKey.updateOne({ _id: apiKey._id }, update)
+        .catch(err => console.error('❌ [ApiKeys] Failed to update key usage:', err.message));
+}
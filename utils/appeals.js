@@ -0,0 +1,428 @@
+/**
+ * Appeals — users contesting a moderation action taken against them
+ *
+ * - content_takedown: the creator appeals a ContentReport takedown. While the appeal is
+ *   pending the ContentArchive entry is held (appeal_hold) so the purge worker keeps it.
+ *   Approval restores the content (adminContentController.restoreArchivedContent).
+ * - channel_ban: a banned creator appeals the ban. Approval lifts it
+ *   (adminContentController.liftChannelBan).
+ * - community_ban: a banned member appeals to the community owner. Approval lifts the ban
+ *   (communityController.liftCommunityBan).
+ *
+ * Takedown and channel-ban appeals go to the admin queue (adminAppealController.js),
+ * community bans to the owner's queue (communityAppealController.js). Every appeal has
+ * an SLA (dueAt); workers/appealSlaWorker.js flags the ones that run past it.
+ * Appellant and reviewer are emailed through adminEmailService when an appeal is filed
+ * and when it is decided.
+ */
+
+import mongoose from 'mongoose';
+import Appeal from '../models/appeal.model.js';
+import Admin from '../models/admin.model.js';
+import AdminAuditLog from '../models/adminAuditLog.model.js';
+import AdminNotification from '../models/adminNotification.model.js';
+import Community from '../models/community.model.js';
+import CommunityMember from '../models/communityMember.model.js';
+import Content from '../models/content.model.js';
+import ContentArchive from '../models/contentArchive.model.js';
+import ContentReport from '../models/contentReport.model.js';
+import User from '../models/user.model.js';
+import { sendAdminEmail } from '../services/adminEmailService.js';
+
+export const APPEAL_TYPES = ['content_takedown', 'channel_ban', 'community_ban'];
+export const ADMIN_APPEAL_TYPES = ['content_takedown', 'channel_ban'];
+export const APPEAL_DECISIONS = ['approved', 'rejected'];
+export const MIN_STATEMENT_LENGTH = 20;
+export const MAX_STATEMENT_LENGTH = 2000;
+export const MAX_DECISION_NOTE_LENGTH = 1000;
+
+// Override per type with APPEAL_SLA_HOURS_CONTENT_TAKEDOWN etc.
+export const DEFAULT_SLA_HOURS = {
+    content_takedown: 48,
+    channel_ban: 72,
+    community_ban: 72,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TYPE_LABELS = {
+    content_takedown: 'content takedown',
+    channel_ban: 'channel ban',
+    community_ban: 'community ban',
+};
+
+export function slaHoursFor(type) {
+    const override = parseFloat(process.env[`APPEAL_SLA_HOURS_${type.toUpperCase()}`]);
+    return Number.isFinite(override) && override > 0 ? override : DEFAULT_SLA_HOURS[type];
+}
+
+export function computeDueAt(type, from = new Date()) {
+    return new Date(new Date(from).getTime() + slaHoursFor(type) * HOUR_MS);
+}
+
+/**
+ * SLA position of an appeal: { overdue, remainingMs } (remainingMs is negative once overdue;
+ * both are null for decided appeals)
+ */
+export function appealSlaState(appeal, now = new Date()) {
+    if (appeal.status !== 'pending') return { overdue: false, remainingMs: null };
+    const remainingMs = new Date(appeal.dueAt).getTime() - new Date(now).getTime();
+    return { overdue: remainingMs <= 0, remainingMs };
+}
+
+/**
+ * Validate a filing body: { type, statement, reportId?, communityId? }.
+ * Returns { fields, error }.
+ */
+export function parseAppealInput(body = {}, { allowedTypes = APPEAL_TYPES } = {}) {
+    const { type } = body;
+    if (!allowedTypes.includes(type)) {
+        return { fields: null, error: `type must be one of: ${allowedTypes.join(', ')}` };
+    }
+
+    const statement = typeof body.statement === 'string' ? body.statement.trim() : '';
+    if (statement.length < MIN_STATEMENT_LENGTH || statement.length > MAX_STATEMENT_LENGTH) {
+        return { fields: null, error: `statement must be between ${MIN_STATEMENT_LENGTH} and ${MAX_STATEMENT_LENGTH} characters` };
+    }
+
+    const fields = { type, statement };
+    if (type === 'content_takedown') {
+        if (!mongoose.Types.ObjectId.isValid(body.reportId)) return { fields: null, error: 'A valid reportId is required' };
+        fields.reportId = body.reportId;
+    }
+    if (type === 'community_ban') {
+        if (!mongoose.Types.ObjectId.isValid(body.communityId)) return { fields: null, error: 'A valid communityId is required' };
+        fields.communityId = body.communityId;
+    }
+    return { fields, error: null };
+}
+
+/**
+ * Validate a decision body: { decision, note? }. Rejections need a note.
+ * Returns { decision, note, error }.
+ */
+export function parseDecisionInput(body = {}) {
+    const { decision } = body;
+    if (!APPEAL_DECISIONS.includes(decision)) {
+        return { decision: null, note: '', error: `decision must be one of: ${APPEAL_DECISIONS.join(', ')}` };
+    }
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (note.length > MAX_DECISION_NOTE_LENGTH) {
+        return { decision: null, note: '', error: `note must be at most ${MAX_DECISION_NOTE_LENGTH} characters` };
+    }
+    if (decision === 'rejected' && note.length < 10) {
+        return { decision: null, note: '', error: 'Rejecting an appeal requires a note (at least 10 characters)' };
+    }
+    return { decision, note, error: null };
+}
+
+/**
+ * One key per contested action — a ban that is lifted and re-applied is a new action
+ */
+export function appealSubjectKey(type, { reportId, userId, communityId, actionAt }) {
+    if (type === 'content_takedown') return `content_takedown:${reportId}`;
+    if (type === 'channel_ban') return `channel_ban:${userId}:${new Date(actionAt).getTime()}`;
+    return `community_ban:${communityId}:${userId}:${new Date(actionAt).getTime()}`;
+}
+
+/**
+ * Look up the action a filing refers to and check the appellant may contest it.
+ * Returns { subject, status, error } — subject holds the Appeal fields describing the action.
+ */
+export async function resolveAppealSubject(userId, fields, now = new Date()) {
+    const fail = (status, error) => ({ subject: null, status, error });
+
+    if (fields.type === 'content_takedown') {
+        const report = await ContentReport.findById(fields.reportId).lean();
+        if (!report || !report.takenDown) return fail(404, 'Takedown not found');
+
+        const content = await Content.findById(report.contentId).select('userId title').lean();
+        if (!content || content.userId?.toString() !== userId.toString()) {
+            return fail(403, 'You can only appeal takedowns of your own content');
+        }
+
+        const archive = await ContentArchive.findOne({
+            content_id: content._id, permanently_deleted: false, restored_at: null
+        }).select('delete_scheduled_at appeal_hold').lean();
+        if (!archive || (!archive.appeal_hold && archive.delete_scheduled_at <= now)) {
+            return fail(409, 'This content has already been permanently deleted and can no longer be appealed');
+        }
+
+        return {
+            subject: {
+                subjectKey: appealSubjectKey('content_takedown', { reportId: report._id }),
+                reportId: report._id,
+                contentId: content._id,
+                actionAt: report.takenDownAt,
+                actionReason: report.takedownJustification || '',
+                actionByAdmin: report.reviewedBy,
+                subjectTitle: content.title || 'Untitled',
+            },
+            status: 200,
+            error: null,
+        };
+    }
+
+    if (fields.type === 'channel_ban') {
+        const user = await User.findById(userId).select('channelBanned channelBannedAt channelBanReason channelName userName').lean();
+        if (!user?.channelBanned) return fail(409, 'Your channel is not banned');
+
+        const banLog = await AdminAuditLog.findOne({ action: 'channel_ban', target_id: user._id })
+            .sort({ timestamp: -1 })
+            .select('admin_id')
+            .lean();
+
+        return {
+            subject: {
+                subjectKey: appealSubjectKey('channel_ban', { userId: user._id, actionAt: user.channelBannedAt }),
+                actionAt: user.channelBannedAt,
+                actionReason: user.channelBanReason || '',
+                actionByAdmin: banLog?.admin_id || null,
+                subjectTitle: user.channelName || user.userName || 'Your channel',
+            },
+            status: 200,
+            error: null,
+        };
+    }
+
+    const community = await Community.findOne({ _id: fields.communityId, deleted: { $ne: true } }).select('name').lean();
+    if (!community) return fail(404, 'Community not found');
+
+    const member = await CommunityMember.findOne({ communityId: community._id, userId, status: 'BANNED' }).lean();
+    if (!member) return fail(409, 'You are not banned from this community');
+
+    return {
+        subject: {
+            subjectKey: appealSubjectKey('community_ban', { userId, communityId: community._id, actionAt: member.bannedAt }),
+            communityId: community._id,
+            actionAt: member.bannedAt,
+            actionReason: member.banReason || '',
+            actionByUser: member.bannedBy,
+            subjectTitle: community.name,
+        },
+        status: 200,
+        error: null,
+    };
+}
+
+/**
+ * Create an appeal for a resolved subject. Returns null when this action was already appealed.
+ */
+export async function createAppeal(userId, fields, subject, now = new Date()) {
+    try {
+        const appeal = await Appeal.create({
+            ...subject,
+            appellantId: userId,
+            type: fields.type,
+            statement: fields.statement,
+            dueAt: computeDueAt(fields.type, now),
+        });
+        if (appeal.type === 'content_takedown') await setArchiveHold(appeal.contentId, true);
+        return appeal;
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+}
+
+/**
+ * Hold (or release) the active archive entry of appealed content
+ */
+export async function setArchiveHold(contentId, hold) {
+    await ContentArchive.updateMany(
+        { content_id: contentId, permanently_deleted: false, restored_at: null },
+        { $set: { appeal_hold: hold } }
+    );
+}
+
+/**
+ * Move a pending appeal to its decision. Returns the updated appeal, or null when someone
+ * else decided it first.
+ */
+export async function claimDecision(appealId, { decision, note, adminId = null, userId = null, now = new Date() }) {
+    return Appeal.findOneAndUpdate(
+        { _id: appealId, status: 'pending' },
+        {
+            $set: {
+                status: decision,
+                decisionNote: note,
+                decidedAt: now,
+                decidedByAdmin: adminId,
+                decidedByUser: userId,
+            }
+        },
+        { new: true }
+    );
+}
+
+/**
+ * Put an appeal back in the queue when its decision could not be carried out
+ */
+export async function revertDecision(appealId) {
+    await Appeal.updateOne(
+        { _id: appealId },
+        { $set: { status: 'pending', decisionNote: '', decidedAt: null, decidedByAdmin: null, decidedByUser: null } }
+    );
+}
+
+export function formatAppeal(appeal, now = new Date()) {
+    return {
+        _id: appeal._id,
+        type: appeal.type,
+        status: appeal.status,
+        appellant: appeal.appellantId,
+        reportId: appeal.reportId,
+        contentId: appeal.contentId,
+        communityId: appeal.communityId,
+        subjectTitle: appeal.subjectTitle,
+        actionAt: appeal.actionAt,
+        actionReason: appeal.actionReason,
+        statement: appeal.statement,
+        dueAt: appeal.dueAt,
+        ...appealSlaState(appeal, now),
+        slaBreachedAt: appeal.slaBreachedAt,
+        decidedAt: appeal.decidedAt,
+        decisionNote: appeal.decisionNote,
+        createdAt: appeal.createdAt,
+    };
+}
+
+// ─── Emails ──────────────────────────────────────────────────────────────────
+
+const emailOf = (person) => (person?.contact && person.contact.includes('@') ? person.contact : null);
+
+/**
+ * Who reviews an appeal: the admin who took the action (admin queue) or the
+ * community owner. Returns { email, name } or null.
+ */
+async function reviewerContact(appeal) {
+    if (appeal.type === 'community_ban') {
+        const community = await Community.findById(appeal.communityId).select('ownerId').lean();
+        const owner = community ? await User.findById(community.ownerId).select('userName channelName contact').lean() : null;
+        const email = emailOf(owner);
+        return email ? { email, name: owner.userName || owner.channelName || 'Owner' } : null;
+    }
+    if (!appeal.actionByAdmin) return null;
+    const admin = await Admin.findById(appeal.actionByAdmin).select('name contact').lean();
+    const email = emailOf(admin);
+    return email ? { email, name: admin.name || 'Admin' } : null;
+}
+
+/**
+ * Confirmation to the appellant and a heads-up to the reviewer (non-blocking)
+ */
+export async function sendAppealFiledEmails(appeal) {
+    const appellant = await User.findById(appeal.appellantId).select('userName channelName contact').lean();
+    const appellantName = appellant?.userName || appellant?.channelName || 'User';
+    const common = {
+        appealType: TYPE_LABELS[appeal.type],
+        subjectTitle: appeal.subjectTitle,
+        dueAt: appeal.dueAt.toUTCString(),
+    };
+
+    const appellantEmail = emailOf(appellant);
+    if (appellantEmail) {
+        sendAdminEmail('appealReceived', appellantEmail, { ...common, creatorName: appellantName, userId: appellant._id })
+            .catch(err => console.error('[AdminEmail] Failed to send appeal confirmation email:', err.message));
+    }
+
+    const reviewer = await reviewerContact(appeal);
+    if (reviewer) {
+        sendAdminEmail('appealSubmitted', reviewer.email, {
+            ...common,
+            creatorName: reviewer.name,
+            appellantName,
+            statement: appeal.statement,
+        }).catch(err => console.error('[AdminEmail] Failed to send appeal submitted email:', err.message));
+    }
+}
+
+/**
+ * Decision to the appellant, and the outcome to whoever took the action when
+ * someone else decided (non-blocking)
+ */
+export async function sendAppealDecidedEmails(appeal, { deciderName = '' } = {}) {
+    const appellant = await User.findById(appeal.appellantId).select('userName channelName contact').lean();
+    const appellantName = appellant?.userName || appellant?.channelName || 'User';
+    const common = {
+        appealType: TYPE_LABELS[appeal.type],
+        subjectTitle: appeal.subjectTitle,
+        decision: appeal.status,
+        note: appeal.decisionNote,
+    };
+
+    const appellantEmail = emailOf(appellant);
+    if (appellantEmail) {
+        sendAdminEmail('appealDecided', appellantEmail, { ...common, creatorName: appellantName, userId: appellant._id })
+            .catch(err => console.error('[AdminEmail] Failed to send appeal decision email:', err.message));
+    }
+
+    const decidedBySameAdmin = appeal.actionByAdmin && appeal.decidedByAdmin
+        && appeal.actionByAdmin.toString() === appeal.decidedByAdmin.toString();
+    if (appeal.type === 'community_ban' || decidedBySameAdmin) return;
+
+    const reviewer = await reviewerContact(appeal);
+    if (reviewer) {
+        sendAdminEmail('appealResolved', reviewer.email, { ...common, creatorName: reviewer.name, appellantName, deciderName })
+            .catch(err => console.error('[AdminEmail] Failed to send appeal outcome email:', err.message));
+    }
+}
+
+// ─── SLA ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Flag pending appeals past their SLA, once each: admin-queue appeals raise an
+ * AdminNotification, community appeals email the owner.
+ * @returns {Promise<number>} Number of appeals flagged
+ */
+export async function flagOverdueAppeals(now = new Date()) {
+    let flagged = 0;
+    for (;;) {
+        const appeal = await Appeal.findOneAndUpdate(
+            { status: 'pending', slaBreachedAt: null, dueAt: { $lte: now } },
+            { $set: { slaBreachedAt: now } },
+            { new: true, sort: { dueAt: 1 } }
+        ).lean();
+        if (!appeal) break;
+        flagged++;
+
+        try {
+            if (ADMIN_APPEAL_TYPES.includes(appeal.type)) {
+                await AdminNotification.create({
+                    type: 'appeal_overdue',
+                    title: 'Appeal Past SLA',
+                    message: `A ${TYPE_LABELS[appeal.type]} appeal for "${appeal.subjectTitle}" was due ${appeal.dueAt.toUTCString()} and is still pending.`,
+                    severity: 'warning',
+                    metadata: { appeal_id: appeal._id, type: appeal.type }
+                });
+                continue;
+            }
+
+            const reviewer = await reviewerContact(appeal);
+            if (reviewer) {
+                const appellant = await User.findById(appeal.appellantId).select('userName channelName').lean();
+                sendAdminEmail('appealOverdue', reviewer.email, {
+                    creatorName: reviewer.name,
+                    appellantName: appellant?.userName || appellant?.channelName || 'A member',
+                    appealType: TYPE_LABELS[appeal.type],
+                    subjectTitle: appeal.subjectTitle,
+                    dueAt: appeal.dueAt.toUTCString(),
+                }).catch(err => console.error('[AdminEmail] Failed to send appeal overdue email:', err.message));
+            }
+        } catch (error) {
+            console.error('flagOverdueAppeals error:', error);
+        }
+    }
+    return flagged;
+}
+
+/**
+ * Account deletion: release archive holds and drop the user's appeals
+ */
+export async function removeAppealsForUser(userId) {
+    const pendingTakedowns = await Appeal.find({ appellantId: userId, type: 'content_takedown', status: 'pending' })
+        .select('contentId')
+        .lean();
+    for (const appeal of pendingTakedowns) await setArchiveHold(appeal.contentId, false);
+    await Appeal.deleteMany({ appellantId: userId });
+}
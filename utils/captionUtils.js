@@ -0,0 +1,153 @@
+/**
+ * Caption Utilities — WebVTT/SRT handling for HLS subtitle tracks
+ *
+ * - srtToVtt():               convert SubRip (.srt) text to WebVTT
+ * - normalizeCaptionText():   accept either format, always return WebVTT (or null if invalid)
+ * - buildSubtitlePlaylist():  single-segment HLS media playlist that points at a .vtt file
+ * - injectSubtitleTracks():   add #EXT-X-MEDIA:TYPE=SUBTITLES entries to a master playlist
+ *
+ * Pure functions only — no S3/DB access here so everything is unit-testable.
+ */
+
+export const SUBTITLE_GROUP_ID = 'subs';
+export const MAX_CAPTION_BYTES = 2 * 1024 * 1024; // 2 MB is plenty for a feature-length film
+export const CAPTION_FORMATS = ['vtt', 'srt'];
+
+// BCP-47-ish: primary language subtag plus optional region/script subtags (en, hi, pt-BR, zh-Hant)
+const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Normalise a caption language code — lowercase primary subtag, uppercase 2-letter region.
+ * Returns null when the code is not a plausible BCP-47 tag.
+ */
+export function normalizeLanguageCode(code) {
+    if (!code || typeof code !== 'string') return null;
+    const trimmed = code.trim().replace(/_/g, '-');
+    if (!LANGUAGE_CODE_REGEX.test(trimmed)) return null;
+    return trimmed
+        .split('-')
+        .map((part, i) => {
+            if (i === 0) return part.toLowerCase();
+            if (part.length === 2) return part.toUpperCase();
+            return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+        })
+        .join('-');
+}
+
+/**
+ * Convert SubRip (.srt) text to WebVTT.
+ * - Timestamps use '.' instead of ',' for milliseconds
+ * - SSA-style override tags ({\an8}, {\i1}) are stripped — players render them literally
+ */
+export function srtToVtt(srtText) {
+    const text = String(srtText || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .trim();
+
+    const converted = text
+        .replace(
+            /(\d{1,2}:\d{2}:\d{2}),(\d{3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}),(\d{3})/g,
+            '$1.$2 --> $3.$4'
+        )
+        .replace(/\{\\[^}]*\}/g, '');
+
+    return `WEBVTT\n\n${converted}\n`;
+}
+
+/**
+ * Detect the caption format of raw text ('vtt' | 'srt' | null).
+ */
+export function detectCaptionFormat(text) {
+    const body = String(text || '').replace(/^\uFEFF/, '').trimStart();
+    if (body.startsWith('WEBVTT')) return 'vtt';
+    if (/\d{1,2}:\d{2}:\d{2},\d{3}\s*-->\s*\d{1,2}:\d{2}:\d{2},\d{3}/.test(body)) return 'srt';
+    return null;
+}
+
+/**
+ * Accept SRT or WebVTT text and return normalised WebVTT, or null when the
+ * input doesn't contain a single valid cue.
+ */
+export function normalizeCaptionText(text) {
+    const format = detectCaptionFormat(text);
+    if (!format) return null;
+
+    const vtt = format === 'srt'
+        ? srtToVtt(text)
+        : `${String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim()}\n`;
+
+    if (!/\d{2}:\d{2}(:\d{2})?\.\d{3}\s*-->\s*\d{2}:\d{2}(:\d{2})?\.\d{3}/.test(vtt)) return null;
+    return vtt;
+}
+
+/**
+ * Build a single-segment HLS subtitle media playlist for one .vtt file.
+ * HLS players need a media playlist per subtitle rendition, not a bare .vtt URI.
+ *
+ * @param {string} vttUrl - Absolute URL of the WebVTT file
+ * @param {number} durationSeconds - Video duration (used for TARGETDURATION/EXTINF)
+ */
+export function buildSubtitlePlaylist(vttUrl, durationSeconds) {
+    const duration = Math.max(1, Math.ceil(Number(durationSeconds) || 0));
+    return [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${duration}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        `#EXTINF:${duration}.000,`,
+        vttUrl,
+        '#EXT-X-ENDLIST',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Inject subtitle renditions into an HLS master playlist.
+ *
+ * Adds one #EXT-X-MEDIA:TYPE=SUBTITLES line per track (before the first
+ * #EXT-X-STREAM-INF) and tags every variant with SUBTITLES="subs".
+ * A manifest that already carries subtitle renditions is returned unchanged.
+ *
+ * @param {string} masterContent - Master playlist text
+ * @param {Array<{language: string, label: string, uri: string, isDefault?: boolean}>} tracks
+ * @returns {string} Rewritten master playlist
+ */
+export function injectSubtitleTracks(masterContent, tracks) {
+    if (!tracks || tracks.length === 0) return masterContent;
+    if (/#EXT-X-MEDIA:[^\n]*TYPE=SUBTITLES/.test(masterContent)) return masterContent;
+
+    const quote = (value) => String(value).replace(/[",\r\n]/g, ' ').trim();
+    const mediaLines = tracks.map(track => [
+        '#EXT-X-MEDIA:TYPE=SUBTITLES',
+        `GROUP-ID="${SUBTITLE_GROUP_ID}"`,
+        `NAME="${quote(track.label || track.language)}"`,
+        `LANGUAGE="${quote(track.language)}"`,
+        `DEFAULT=${track.isDefault ? 'YES' : 'NO'}`,
+        'AUTOSELECT=YES',
+        'FORCED=NO',
+        `URI="${track.uri}"`,
+    ].join(','));
+
+    const lines = masterContent.split(/\r?\n/);
+    const output = [];
+    let injected = false;
+
+    for (const line of lines) {
+        if (line.startsWith('#EXT-X-STREAM-INF')) {
+            if (!injected) {
+                output.push(...mediaLines);
+                injected = true;
+            }
+            output.push(/SUBTITLES=/.test(line) ? line : `${line},SUBTITLES="${SUBTITLE_GROUP_ID}"`);
+            continue;
+        }
+        output.push(line);
+    }
+
+    // No variants at all (malformed master) — append so the tracks are at least discoverable
+    if (!injected) output.push(...mediaLines);
+
+    return output.join('\n');
+}
@@ -0,0 +1,381 @@
+/**
+ * Community Automod — owner-configured rules applied before a chat message, tip message,
+ * community post or shared content reaches a community
+ *
+ * Rules (Community.settings.automod, edited via PUT /api/v2/communities/:id/automod):
+ * - bannedWords  — whole-word list plus optional regex patterns (case-insensitive)
+ * - invites      — invite links to other chat servers / groups (Discord, Telegram, WhatsApp…)
+ * - links        — any link whose domain is not in allowedDomains
+ * - caps         — mostly-uppercase messages (maxCapsPercent of letters, from minLength letters)
+ * - emoji        — more than maxEmojis emoji
+ * - slowMode     — accounts younger than accountAgeHours (or members who joined less than
+ *                  memberAgeHours ago) may send one chat message every intervalSeconds
+ * - escalation   — after `warnings` warnings (manual or automated) within windowHours the
+ *                  member is muted; each further automod mute doubles muteMinutes (max 30 days)
+ *
+ * Each text rule has an action: 'block' rejects the message, 'warn' rejects it and adds a
+ * warning to the member. Owners, admins and moderators are exempt.
+ *
+ * Every automated action is written to the moderation log (CommunityModerationAction)
+ * with the system actor (actorType 'system', no actionBy) and to the ActionLog.
+ */
+
+import CommunityMember from '../models/communityMember.model.js';
+import CommunityModerationAction from '../models/communityModerationAction.model.js';
+import CommunityChat from '../models/communityChat.model.js';
+import ActionLog from '../models/actionLog.model.js';
+
+export const AUTOMOD_ACTIONS = ['block', 'warn'];
+export const AUTOMOD_EXEMPT_ROLES = ['OWNER', 'ADMIN', 'MODERATOR'];
+export const MAX_MUTE_MINUTES = 43200; // 30 days, same cap as muteMember
+
+const MAX_BANNED_WORDS = 200;
+const MAX_BANNED_WORD_LENGTH = 50;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_ALLOWED_DOMAINS = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_AUTOMOD = Object.freeze({
+    enabled: false,
+    bannedWords: { enabled: false, words: [], patterns: [], action: 'warn' },
+    invites: { enabled: false, action: 'block' },
+    links: { enabled: false, allowedDomains: [], action: 'block' },
+    caps: { enabled: false, maxCapsPercent: 70, minLength: 10, action: 'block' },
+    emoji: { enabled: false, maxEmojis: 10, action: 'block' },
+    slowMode: { enabled: false, accountAgeHours: 72, memberAgeHours: 0, intervalSeconds: 60 },
+    escalation: { enabled: false, warnings: 3, windowHours: 24, muteMinutes: 60 },
+});
+
+const INVITE_PATTERN = /\b(?:discord(?:app)?\.com\/invite|discord\.gg|t\.me|telegram\.(?:me|dog)|chat\.whatsapp\.com|signal\.group|join\.skype\.com|groupme\.com\/join_group)\/[\w-]+/i;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|gg|me|co|app|dev|xyz|tv|ly|in|link|info|biz|us|uk|ru|to|cc|gl|be|site|online|shop|store)\b(?:\/[^\s<>"']*)?/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+// Quantified group that is itself quantified — e.g. (a+)+ — backtracks catastrophically
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*(?:[+*]|\{\d+,?\d*\})/;
+
+// ─── Settings ────────────────────────────────────────────────────────────────
+
+const clampInt = (value, min, max, fallback) => {
+    const n = parseInt(value, 10);
+    if (Number.isNaN(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+};
+
+/**
+ * The community's automod settings merged over the defaults
+ */
+export function getAutomodSettings(community) {
+    const saved = community?.settings?.automod || {};
+    const merged = { enabled: saved.enabled === true };
+    for (const [rule, defaults] of Object.entries(DEFAULT_AUTOMOD)) {
+        if (rule === 'enabled') continue;
+        merged[rule] = { ...defaults, ...(saved[rule] || {}) };
+    }
+    return merged;
+}
+
+function parseAction(value, fallback) {
+    if (value === undefined) return { action: fallback };
+    if (!AUTOMOD_ACTIONS.includes(value)) return { error: `action must be one of: ${AUTOMOD_ACTIONS.join(', ')}` };
+    return { action: value };
+}
+
+/**
+ * Validate a PUT body against the current settings. Rules that are left out keep their
+ * current values. Returns { settings, error }.
+ */
+export function normalizeAutomodSettings(input, current = getAutomodSettings(null)) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { settings: null, error: 'automod must be an object' };
+    }
+    const next = getAutomodSettings({ settings: { automod: current } });
+    const fail = (error) => ({ settings: null, error });
+    const ruleInput = (rule) => {
+        const value = input[rule];
+        if (value === undefined) return null;
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { invalid: true };
+        return value;
+    };
+
+    if (input.enabled !== undefined) next.enabled = input.enabled === true;
+
+    for (const rule of ['bannedWords', 'invites', 'links', 'caps', 'emoji', 'slowMode', 'escalation']) {
+        const value = ruleInput(rule);
+        if (!value) continue;
+        if (value.invalid) return fail(`${rule} must be an object`);
+        if (value.enabled !== undefined) next[rule].enabled = value.enabled === true;
+        if (rule !== 'slowMode' && rule !== 'escalation') {
+            const { action, error } = parseAction(value.action, next[rule].action);
+            if (error) return fail(`${rule}: ${error}`);
+            next[rule].action = action;
+        }
+    }
+
+    const bannedWords = ruleInput('bannedWords');
+    if (bannedWords?.words !== undefined) {
+        if (!Array.isArray(bannedWords.words)) return fail('bannedWords.words must be an array');
+        const words = [...new Set(bannedWords.words
+            .filter(w => typeof w === 'string')
+            .map(w => w.trim().toLowerCase())
+            .filter(Boolean))];
+        if (words.length > MAX_BANNED_WORDS) return fail(`At most ${MAX_BANNED_WORDS} banned words`);
+        if (words.some(w => w.length > MAX_BANNED_WORD_LENGTH)) return fail(`Banned words must be at most ${MAX_BANNED_WORD_LENGTH} characters`);
+        next.bannedWords.words = words;
+    }
+    if (bannedWords?.patterns !== undefined) {
+        if (!Array.isArray(bannedWords.patterns)) return fail('bannedWords.patterns must be an array');
+        const patterns = [...new Set(bannedWords.patterns.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim()))];
+        if (patterns.length > MAX_PATTERNS) return fail(`At most ${MAX_PATTERNS} patterns`);
+        for (const pattern of patterns) {
+            if (pattern.length > MAX_PATTERN_LENGTH) return fail(`Patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+            if (NESTED_QUANTIFIER.test(pattern)) return fail(`Pattern "${pattern}" nests quantifiers, which is too slow to run`);
+            try {
+                new RegExp(pattern, 'i');
+            } catch {
+                return fail(`Pattern "${pattern}" is not a valid regular expression`);
+            }
+        }
+        next.bannedWords.patterns = patterns;
+    }
+
+    const links = ruleInput('links');
+    if (links?.allowedDomains !== undefined) {
+        if (!Array.isArray(links.allowedDomains)) return fail('links.allowedDomains must be an array');
+        const domains = [...new Set(links.allowedDomains
+            .filter(d => typeof d === 'string')
+            .map(d => d.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''))
+            .filter(Boolean))];
+        if (domains.length > MAX_ALLOWED_DOMAINS) return fail(`At most ${MAX_ALLOWED_DOMAINS} allowed domains`);
+        if (domains.some(d => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d))) return fail('allowedDomains must be plain domains like example.com');
+        next.links.allowedDomains = domains;
+    }
+
+    const caps = ruleInput('caps');
+    if (caps) {
+        next.caps.maxCapsPercent = clampInt(caps.maxCapsPercent, 30, 100, next.caps.maxCapsPercent);
+        next.caps.minLength = clampInt(caps.minLength, 1, 500, next.caps.minLength);
+    }
+
+    const emoji = ruleInput('emoji');
+    if (emoji) next.emoji.maxEmojis = clampInt(emoji.maxEmojis, 0, 100, next.emoji.maxEmojis);
+
+    const slowMode = ruleInput('slowMode');
+    if (slowMode) {
+        next.slowMode.accountAgeHours = clampInt(slowMode.accountAgeHours, 0, 24 * 90, next.slowMode.accountAgeHours);
+        next.slowMode.memberAgeHours = clampInt(slowMode.memberAgeHours, 0, 24 * 90, next.slowMode.memberAgeHours);
+        next.slowMode.intervalSeconds = clampInt(slowMode.intervalSeconds, 5, 3600, next.slowMode.intervalSeconds);
+    }
+
+    const escalation = ruleInput('escalation');
+    if (escalation) {
+        next.escalation.warnings = clampInt(escalation.warnings, 1, 20, next.escalation.warnings);
+        next.escalation.windowHours = clampInt(escalation.windowHours, 1, 24 * 30, next.escalation.windowHours);
+        next.escalation.muteMinutes = clampInt(escalation.muteMinutes, 1, MAX_MUTE_MINUTES, next.escalation.muteMinutes);
+    }
+
+    return { settings: next, error: null };
+}
+
+// ─── Text rules ──────────────────────────────────────────────────────────────
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeForMatch = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+function hostOf(link) {
+    const withoutScheme = link.replace(/^https?:\/\//i, '');
+    return withoutScheme.split(/[/?#:]/)[0].toLowerCase().replace(/^www\./, '');
+}
+
+const isAllowedHost = (host, allowedDomains) =>
+    allowedDomains.some(d => host === d || host.endsWith(`.${d}`));
+
+/**
+ * First rule the text breaks, or null.
+ * @returns {{ rule: string, action: string, reason: string, match?: string } | null}
+ */
+export function evaluateAutomodText(text, settings) {
+    if (!settings?.enabled || typeof text !== 'string' || !text.trim()) return null;
+
+    const { bannedWords, invites, links, caps, emoji } = settings;
+
+    if (bannedWords.enabled) {
+        const normalized = normalizeForMatch(text);
+        const word = bannedWords.words.find(w =>
+            new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(normalizeForMatch(w))}(?![\\p{L}\\p{N}])`, 'u').test(normalized));
+        if (word) return { rule: 'bannedWords', action: bannedWords.action, reason: 'Your message contains a word that is not allowed in this community', match: word };
+
+        for (const pattern of bannedWords.patterns) {
+            let regex;
+            try { regex = new RegExp(pattern, 'i'); } catch { continue; }
+            const found = text.match(regex);
+            if (found) return { rule: 'bannedWords', action: bannedWords.action, reason: 'Your message contains text that is not allowed in this community', match: found[0].slice(0, 100) };
+        }
+    }
+
+    if (invites.enabled) {
+        const found = text.match(INVITE_PATTERN);
+        if (found) return { rule: 'invites', action: invites.action, reason: 'Invite links are not allowed in this community', match: found[0] };
+    }
+
+    if (links.enabled) {
+        const blocked = (text.match(LINK_PATTERN) || []).find(l => !isAllowedHost(hostOf(l), links.allowedDomains));
+        if (blocked) {
+            return {
+                rule: 'links',
+                action: links.action,
+                reason: links.allowedDomains.length > 0
+                    ? `Links are limited to: ${links.allowedDomains.join(', ')}`
+                    : 'Links are not allowed in this community',
+                match: blocked.slice(0, 200),
+            };
+        }
+    }
+
+    if (caps.enabled) {
+        const letters = text.match(/\p{L}/gu) || [];
+        const upper = letters.filter(l => l !== l.toLowerCase() && l === l.toUpperCase()).length;
+        if (letters.length >= caps.minLength && (upper / letters.length) * 100 > caps.maxCapsPercent) {
+            return { rule: 'caps', action: caps.action, reason: 'Please don\'t write in all caps' };
+        }
+    }
+
+    if (emoji.enabled) {
+        const count = (text.match(EMOJI_PATTERN) || []).length;
+        if (count > emoji.maxEmojis) {
+            return { rule: 'emoji', action: emoji.action, reason: `Messages can contain at most ${emoji.maxEmojis} emoji` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Whether slow mode applies to this member — account or membership younger than the limits
+ */
+export function isSlowModeMember(slowMode, { userId, joinedAt }, now = new Date()) {
+    if (!slowMode?.enabled) return false;
+    const accountCreatedAt = typeof userId?.getTimestamp === 'function' ? userId.getTimestamp() : null;
+    if (slowMode.accountAgeHours > 0 && accountCreatedAt && now - accountCreatedAt < slowMode.accountAgeHours * HOUR_MS) return true;
+    if (slowMode.memberAgeHours > 0 && joinedAt && now - new Date(joinedAt) < slowMode.memberAgeHours * HOUR_MS) return true;
+    return false;
+}
+
+/**
+ * Mute length for the next automod mute: muteMinutes doubled per earlier automod mute
+ */
+export function escalatedMuteMinutes(muteMinutes, previousMutes) {
+    return Math.min(MAX_MUTE_MINUTES, muteMinutes * 2 ** Math.min(previousMutes, 16));
+}
+
+// ─── Enforcement ─────────────────────────────────────────────────────────────
+
+async function recordSystemAction(communityId, fields, logAction, payload) {
+    await CommunityModerationAction.create({ communityId, actorType: 'system', actionBy: null, ...fields });
+    try {
+        await ActionLog.create({ userId: null, communityId, action: logAction, payload: { ...payload, automated: true } });
+    } catch (e) {
+        console.error('ActionLog write failed:', e.message);
+    }
+}
+
+/**
+ * Mute the member when their recent warnings reach the escalation threshold. Called after
+ * every warning — automated or issued by a moderator (warnMember).
+ * Warnings before the member's last automod mute don't count again.
+ * @returns {Promise<{ mutedUntil: Date, durationMinutes: number } | null>}
+ */
+export async function applyWarningEscalation(community, targetUserId, now = new Date()) {
+    const { enabled, escalation } = getAutomodSettings(community);
+    if (!enabled || !escalation.enabled) return null;
+
+    const member = await CommunityMember.findOne({ communityId: community._id, userId: targetUserId, status: 'ACTIVE' }).lean();
+    if (!member || AUTOMOD_EXEMPT_ROLES.includes(member.role)) return null;
+    if (member.mutedUntil && new Date(member.mutedUntil) > now) return null;
+
+    const previousMutes = await CommunityModerationAction.find({
+        communityId: community._id, targetUserId, actorType: 'system', actionType: 'member_muted'
+    }).sort({ createdAt: -1 }).select('createdAt').lean();
+
+    const windowStart = new Date(now.getTime() - escalation.windowHours * HOUR_MS);
+    const since = previousMutes[0] && previousMutes[0].createdAt > windowStart ? previousMutes[0].createdAt : windowStart;
+    const recentWarnings = (member.warnings || []).filter(w => new Date(w.issuedAt) > since).length;
+    if (recentWarnings < escalation.warnings) return null;
+
+    const durationMinutes = escalatedMuteMinutes(escalation.muteMinutes, previousMutes.length);
+    const mutedUntil = new Date(now.getTime() + durationMinutes * 60000);
+    const reason = `Automod: ${recentWarnings} warnings in ${escalation.windowHours} hour(s)`;
+
+    const updated = await CommunityMember.updateOne(
+        { _id: member._id, $or: [{ mutedUntil: null }, { mutedUntil: { $lte: now } }] },
+        { $set: { mutedUntil, mutedBy: null, mutedReason: reason } }
+    );
+    if (updated.modifiedCount === 0) return null;
+
+    await recordSystemAction(community._id, {
+        targetUserId, actionType: 'member_muted', reason,
+        metadata: { durationMinutes, mutedUntil, warnings: recentWarnings, escalationLevel: previousMutes.length + 1 }
+    }, 'automod_member_muted', { targetUserId, durationMinutes });
+
+    return { mutedUntil, durationMinutes };
+}
+
+/**
+ * Run automod for a member about to post `text` to a community.
+ *
+ * @param {object} community  — lean Community (needs _id and settings)
+ * @param {object} member     — lean active CommunityMember of the author
+ * @param {string} text       — everything the reader will see, joined
+ * @param {object} options    — { source: 'chat'|'tip'|'post'|'content', refId?, slowMode? }
+ *                              slowMode: true only for new chat messages
+ * @returns {Promise<{ allowed: boolean, reason?: string, rule?: string, muted?: object|null }>}
+ */
+export async function runAutomod(community, member, text, { source, refId = null, slowMode = false } = {}, now = new Date()) {
+    const settings = getAutomodSettings(community);
+    if (!settings.enabled || !member || AUTOMOD_EXEMPT_ROLES.includes(member.role)) return { allowed: true };
+
+    if (slowMode && isSlowModeMember(settings.slowMode, member, now)) {
+        const last = await CommunityChat.findOne({ communityId: community._id, senderId: member.userId })
+            .sort({ createdAt: -1 })
+            .select('createdAt')
+            .lean();
+        const waitMs = last ? settings.slowMode.intervalSeconds * 1000 - (now - last.createdAt) : 0;
+        if (waitMs > 0) {
+            return {
+                allowed: false,
+                rule: 'slowMode',
+                reason: `Slow mode is on for new members. Try again in ${Math.ceil(waitMs / 1000)} second(s).`,
+            };
+        }
+    }
+
+    const violation = evaluateAutomodText(text, settings);
+    if (!violation) return { allowed: true };
+
+    const targetUserId = member.userId;
+    await recordSystemAction(community._id, {
+        targetUserId,
+        actionType: 'automod_blocked',
+        reason: violation.reason,
+        metadata: { rule: violation.rule, source, refId, match: violation.match ?? null, excerpt: text.slice(0, 200) }
+    }, 'automod_blocked', { targetUserId, rule: violation.rule, source });
+
+    let muted = null;
+    if (violation.action === 'warn') {
+        const reason = `Automod: ${violation.reason}`;
+        await CommunityMember.updateOne({ _id: member._id }, {
+            $push: { warnings: { reason, issuedBy: null, automated: true, issuedAt: now } }
+        });
+        await recordSystemAction(community._id, {
+            targetUserId, actionType: 'member_warned', reason, metadata: { rule: violation.rule, source }
+        }, 'automod_member_warned', { targetUserId, rule: violation.rule });
+        muted = await applyWarningEscalation(community, targetUserId, now);
+    }
+
+    return {
+        allowed: false,
+        rule: violation.rule,
+        reason: muted ? `${violation.reason}. You have been muted until ${muted.mutedUntil.toISOString()}.` : violation.reason,
+        muted,
+    };
+}
@@ -0,0 +1,376 @@
+/**
+ * Community Posts — polls, events and pinned announcements inside a community
+ *
+ * Rules:
+ * - Creating any post follows the community's postingPolicy (checkPostingAuth);
+ *   pinning is for moderators, admins and the owner, and only announcements can be pinned
+ *   (at most MAX_PINNED_POSTS per community, shown above getCommunityFeed's first page)
+ * - Polls: 2–MAX_POLL_OPTIONS options, single or multiple choice, optional deadline.
+ *   Members can change or retract their vote while the poll is open. Anonymous polls
+ *   never reveal who voted for what.
+ * - Events: RSVP going / interested / not going until the event ends. 'going' and
+ *   'interested' members get an `event_reminder` notification reminderMinutes before
+ *   the start (workers/communityEventWorker.js → sendDueEventReminders()).
+ * - Moderators remove posts through moderateContent ({ postId }); authors can remove their own.
+ *
+ * Cached counters (option votes, RSVP counts) are moved by the difference between a
+ * member's previous and new choice, read atomically from the upsert that records it.
+ */
+
+import mongoose from 'mongoose';
+import CommunityPost from '../models/communityPost.model.js';
+import CommunityPollVote from '../models/communityPollVote.model.js';
+import CommunityEventRsvp from '../models/communityEventRsvp.model.js';
+import { notify } from './notificationService.js';
+
+export const COMMUNITY_POST_TYPES = ['poll', 'event', 'announcement'];
+export const RSVP_STATUSES = ['going', 'interested', 'not_going'];
+export const EVENT_REMINDER_MINUTES = [15, 60, 1440];
+export const DEFAULT_EVENT_REMINDER_MINUTES = 60;
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 10;
+export const MAX_PINNED_POSTS = 3;
+export const MODERATOR_ROLES = ['OWNER', 'ADMIN', 'MODERATOR'];
+
+const MIN = 60 * 1000;
+const DAY_MS = 24 * 60 * MIN;
+const MIN_POLL_DURATION_MS = 5 * MIN;
+const MAX_POLL_DURATION_MS = 30 * DAY_MS;
+const MAX_EVENT_LEAD_MS = 365 * DAY_MS;
+const MAX_EVENT_DURATION_MS = 7 * DAY_MS;
+const REMINDER_BATCH_SIZE = 50;
+
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function parsePoll(poll, now) {
+    if (!poll || typeof poll !== 'object') return { error: 'Poll options are required' };
+
+    if (!Array.isArray(poll.options)) return { error: 'Poll options are required' };
+    const options = poll.options.map(o => (typeof o === 'string' ? o.trim() : ''));
+    if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+        return { error: `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` };
+    }
+    if (options.some(o => !o || o.length > 100)) return { error: 'Each option must be 1–100 characters' };
+    if (new Set(options.map(o => o.toLowerCase())).size !== options.length) {
+        return { error: 'Poll options must be different from each other' };
+    }
+
+    const closesAt = parseDate(poll.closesAt);
+    if (closesAt === undefined) return { error: 'Invalid poll deadline' };
+    if (closesAt) {
+        const ms = closesAt.getTime() - now.getTime();
+        if (ms < MIN_POLL_DURATION_MS || ms > MAX_POLL_DURATION_MS) {
+            return { error: 'The poll deadline must be between 5 minutes and 30 days from now' };
+        }
+    }
+
+    return {
+        poll: {
+            options: options.map(text => ({ text, votes: 0 })),
+            allowMultiple: poll.allowMultiple === true,
+            anonymous: poll.anonymous === true,
+            closesAt,
+        },
+    };
+}
+
+function parseEvent(event, now) {
+    if (!event || typeof event !== 'object') return { error: 'Event start time is required' };
+
+    const startsAt = parseDate(event.startsAt);
+    if (!startsAt) return { error: 'Event start time is required' };
+    if (startsAt <= now) return { error: 'The event must start in the future' };
+    if (startsAt.getTime() - now.getTime() > MAX_EVENT_LEAD_MS) return { error: 'The event must start within a year' };
+
+    const endsAt = parseDate(event.endsAt);
+    if (endsAt === undefined) return { error: 'Invalid event end time' };
+    if (endsAt && (endsAt <= startsAt || endsAt.getTime() - startsAt.getTime() > MAX_EVENT_DURATION_MS)) {
+        return { error: 'The event must end after it starts and last at most 7 days' };
+    }
+
+    const location = typeof event.location === 'string' ? event.location.trim() : '';
+    if (location.length > 200) return { error: 'Location must be at most 200 characters' };
+
+    let reminderMinutes = DEFAULT_EVENT_REMINDER_MINUTES;
+    if (event.reminderMinutes === null) reminderMinutes = null;
+    else if (event.reminderMinutes !== undefined) {
+        reminderMinutes = Number(event.reminderMinutes);
+        if (!EVENT_REMINDER_MINUTES.includes(reminderMinutes)) {
+            return { error: `Reminder must be one of ${EVENT_REMINDER_MINUTES.join(', ')} minutes before, or none` };
+        }
+    }
+    // A reminder whose time has already passed goes out on the worker's next run
+    const remindAt = reminderMinutes === null
+        ? null
+        : new Date(Math.max(now.getTime(), startsAt.getTime() - reminderMinutes * MIN));
+
+    return { event: { startsAt, endsAt, location, reminderMinutes, remindAt } };
+}
+
+/**
+ * Validate a create body: { type, title, body?, poll?, event?, pinned? }.
+ * Returns { fields, error } — `fields.pinned` still needs a role check by the caller.
+ */
+export function parseCommunityPostInput(body = {}, { now = new Date() } = {}) {
+    if (!COMMUNITY_POST_TYPES.includes(body.type)) {
+        return { fields: null, error: `type must be one of: ${COMMUNITY_POST_TYPES.join(', ')}` };
+    }
+
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) {
+        const label = { poll: 'question', event: 'name', announcement: 'title' }[body.type];
+        return { fields: null, error: `The ${body.type} ${label} is required` };
+    }
+    if (title.length > 200) return { fields: null, error: 'Title must be at most 200 characters' };
+
+    const text = typeof body.body === 'string' ? body.body.trim() : '';
+    if (text.length > 5000) return { fields: null, error: 'Text must be at most 5000 characters' };
+
+    const fields = { type: body.type, title, body: text, pinned: body.type === 'announcement' && body.pinned === true };
+
+    if (body.type === 'poll') {
+        const { poll, error } = parsePoll(body.poll, new Date(now));
+        if (error) return { fields: null, error };
+        fields.poll = poll;
+    }
+    if (body.type === 'event') {
+        const { event, error } = parseEvent(body.event, new Date(now));
+        if (error) return { fields: null, error };
+        fields.event = event;
+    }
+    return { fields, error: null };
+}
+
+/**
+ * Validate a vote against a poll. Returns { optionIds, error } (de-duplicated, as strings).
+ */
+export function parseVote(post, optionIds) {
+    const ids = [...new Set((Array.isArray(optionIds) ? optionIds : [optionIds]).filter(Boolean).map(String))];
+    if (ids.length === 0) return { optionIds: null, error: 'Choose an option' };
+    if (!post.poll.allowMultiple && ids.length > 1) return { optionIds: null, error: 'This poll allows only one choice' };
+
+    const valid = new Set(post.poll.options.map(o => o._id.toString()));
+    if (ids.some(id => !valid.has(id))) return { optionIds: null, error: 'Unknown poll option' };
+    return { optionIds: ids, error: null };
+}
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+export function isPollOpen(post, now = new Date()) {
+    if (post.type !== 'poll' || post.status !== 'active' || post.poll?.closedAt) return false;
+    return !post.poll.closesAt || new Date(post.poll.closesAt) > new Date(now);
+}
+
+/**
+ * RSVPs are accepted until the event ends (or starts, when it has no end time)
+ */
+export function isEventOpen(post, now = new Date()) {
+    if (post.type !== 'event' || post.status !== 'active') return false;
+    return new Date(post.event.endsAt || post.event.startsAt) > new Date(now);
+}
+
+/**
+ * Counter changes between a previous and a new selection: { key: +1 | -1 }
+ */
+export function selectionDelta(previous = [], next = []) {
+    const prev = new Set(previous.map(String));
+    const nextSet = new Set(next.map(String));
+    const delta = {};
+    nextSet.forEach(k => { if (!prev.has(k)) delta[k] = 1; });
+    prev.forEach(k => { if (!nextSet.has(k)) delta[k] = -1; });
+    return delta;
+}
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+/**
+ * Public shape of a post. `viewer` = { optionIds, rsvp } of the requesting user.
+ */
+export function formatCommunityPost(post, viewer = {}, now = new Date()) {
+    const author = post.authorId && typeof post.authorId === 'object' && post.authorId.userName !== undefined
+        ? {
+            _id: post.authorId._id,
+            userName: post.authorId.userName,
+            channelName: post.authorId.channelName,
+            channelHandle: post.authorId.channelHandle,
+            channelPicture: post.authorId.channelPicture,
+        }
+        : { _id: post.authorId };
+
+    const formatted = {
+        _id: post._id,
+        kind: 'community_post',
+        type: post.type,
+        communityId: post.communityId,
+        author,
+        title: post.title,
+        body: post.body,
+        pinned: post.pinned,
+        pinnedAt: post.pinnedAt,
+        createdAt: post.createdAt,
+    };
+
+    if (post.type === 'poll') {
+        const totalVotes = post.poll.options.reduce((sum, o) => sum + o.votes, 0);
+        formatted.poll = {
+            options: post.poll.options.map(o => ({
+                _id: o._id,
+                text: o.text,
+                votes: o.votes,
+                percent: totalVotes > 0 ? Math.round((o.votes / totalVotes) * 100) : 0,
+            })),
+            allowMultiple: post.poll.allowMultiple,
+            anonymous: post.poll.anonymous,
+            closesAt: post.poll.closesAt,
+            closedAt: post.poll.closedAt,
+            isOpen: isPollOpen(post, now),
+            totalVoters: post.poll.totalVoters,
+            myOptionIds: viewer.optionIds || [],
+        };
+    }
+
+    if (post.type === 'event') {
+        formatted.event = {
+            startsAt: post.event.startsAt,
+            endsAt: post.event.endsAt,
+            location: post.event.location,
+            reminderMinutes: post.event.reminderMinutes,
+            counts: {
+                going: post.event.counts?.going || 0,
+                interested: post.event.counts?.interested || 0,
+                notGoing: post.event.counts?.not_going || 0,
+            },
+            isOpen: isEventOpen(post, now),
+            myRsvp: viewer.rsvp || null,
+        };
+    }
+    return formatted;
+}
+
+/**
+ * Format posts with the viewer's own votes and RSVPs
+ */
+export async function formatPostsForViewer(posts, userId, now = new Date()) {
+    if (posts.length === 0) return [];
+    const votes = new Map();
+    const rsvps = new Map();
+    if (userId) {
+        const pollIds = posts.filter(p => p.type === 'poll').map(p => p._id);
+        const eventIds = posts.filter(p => p.type === 'event').map(p => p._id);
+        const [voteDocs, rsvpDocs] = await Promise.all([
+            pollIds.length ? CommunityPollVote.find({ postId: { $in: pollIds }, userId }).lean() : [],
+            eventIds.length ? CommunityEventRsvp.find({ postId: { $in: eventIds }, userId }).lean() : [],
+        ]);
+        voteDocs.forEach(v => votes.set(v.postId.toString(), v.optionIds.map(String)));
+        rsvpDocs.forEach(r => rsvps.set(r.postId.toString(), r.status));
+    }
+    return posts.map(p => formatCommunityPost(p, {
+        optionIds: votes.get(p._id.toString()),
+        rsvp: rsvps.get(p._id.toString()),
+    }, now));
+}
+
+// ─── Votes & RSVPs ───────────────────────────────────────────────────────────
+
+async function applyOptionDelta(postId, delta, voterDelta) {
+    const entries = Object.entries(delta);
+    if (entries.length === 0 && voterDelta === 0) return;
+    const $inc = {};
+    const arrayFilters = [];
+    entries.forEach(([optionId, change], i) => {
+        $inc[`poll.options.$[o${i}].votes`] = change;
+        arrayFilters.push({ [`o${i}._id`]: new mongoose.Types.ObjectId(optionId) });
+    });
+    if (voterDelta !== 0) $inc['poll.totalVoters'] = voterDelta;
+    await CommunityPost.updateOne({ _id: postId }, { $inc }, arrayFilters.length ? { arrayFilters } : {});
+}
+
+/**
+ * Record (or replace) a member's vote. `optionIds` must come from parseVote().
+ */
+export async function castVote(post, userId, optionIds) {
+    const previous = await CommunityPollVote.findOneAndUpdate(
+        { postId: post._id, userId },
+        { $set: { optionIds: optionIds.map(id => new mongoose.Types.ObjectId(id)) } },
+        { upsert: true }
+    ).lean();
+    await applyOptionDelta(post._id, selectionDelta(previous?.optionIds || [], optionIds), previous ? 0 : 1);
+}
+
+export async function retractVote(post, userId) {
+    const previous = await CommunityPollVote.findOneAndDelete({ postId: post._id, userId }).lean();
+    if (previous) await applyOptionDelta(post._id, selectionDelta(previous.optionIds, []), -1);
+    return Boolean(previous);
+}
+
+async function applyRsvpDelta(postId, delta) {
+    const $inc = Object.fromEntries(Object.entries(delta).map(([status, change]) => [`event.counts.${status}`, change]));
+    if (Object.keys($inc).length > 0) await CommunityPost.updateOne({ _id: postId }, { $inc });
+}
+
+export async function setRsvp(post, userId, status) {
+    const previous = await CommunityEventRsvp.findOneAndUpdate(
+        { postId: post._id, userId },
+        { $set: { status } },
+        { upsert: true }
+    ).lean();
+    await applyRsvpDelta(post._id, selectionDelta(previous ? [previous.status] : [], [status]));
+}
+
+export async function removeRsvp(post, userId) {
+    const previous = await CommunityEventRsvp.findOneAndDelete({ postId: post._id, userId }).lean();
+    if (previous) await applyRsvpDelta(post._id, selectionDelta([previous.status], []));
+    return Boolean(previous);
+}
+
+// ─── Reminders ───────────────────────────────────────────────────────────────
+
+/**
+ * Send reminders for events whose reminder time has come. Each event is claimed
+ * (reminderSentAt) before notifying, so concurrent workers never double-send.
+ * @returns {Promise<{ events: number, notified: number }>}
+ */
+export async function sendDueEventReminders(now = new Date()) {
+    let events = 0;
+    let notified = 0;
+
+    for (let i = 0; i < REMINDER_BATCH_SIZE; i++) {
+        const post = await CommunityPost.findOneAndUpdate(
+            {
+                type: 'event',
+                status: 'active',
+                'event.remindAt': { $ne: null, $lte: now },
+                'event.reminderSentAt': null,
+                'event.startsAt': { $gt: now },
+            },
+            { $set: { 'event.reminderSentAt': now } },
+            { sort: { 'event.remindAt': 1 }, new: true }
+        ).lean();
+        if (!post) break;
+        events++;
+
+        const rsvps = await CommunityEventRsvp.find({ postId: post._id, status: { $in: ['going', 'interested'] } })
+            .select('userId')
+            .lean();
+        const startsInMin = Math.max(1, Math.round((new Date(post.event.startsAt) - now) / MIN));
+        const startsIn = startsInMin >= 120 ? `${Math.round(startsInMin / 60)} hours` : `${startsInMin} minutes`;
+        notified += await notify({
+            type: 'event_reminder',
+            recipientIds: rsvps.map(r => r.userId),
+            fields: {
+                communityId: post.communityId,
+                communityPostId: post._id,
+                title: post.title,
+                message: `Starts in ${startsIn}${post.event.location ? ` · ${post.event.location.slice(0, 200)}` : ''}`,
+            },
+            dedupeKey: () => `event_reminder:${post._id}`,
+        });
+    }
+    return { events, notified };
+}
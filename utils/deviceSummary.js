@@ -0,0 +1,26 @@
+/**
+ * Device Summary — human-readable "Browser on OS" from a user-agent string
+ * (sign-in alert emails, the signed-in devices list)
+ */
+
+export function parseDeviceSummary(userAgent = "") {
+    if (!userAgent) return "Unknown Device";
+
+    let browser = "Web Browser";
+    if (userAgent.includes("Edg/")) browser = "Microsoft Edge";
+    else if (userAgent.includes("Chrome/")) browser = "Google Chrome";
+    else if (userAgent.includes("Safari/") && !userAgent.includes("Chrome/")) browser = "Apple Safari";
+    else if (userAgent.includes("Firefox/")) browser = "Mozilla Firefox";
+    else if (userAgent.includes("PostmanRuntime")) browser = "Postman / API Client";
+
+    // iOS user agents also contain "Mac OS", so check them first
+    let os = "Desktop";
+    if (userAgent.includes("Windows")) os = "Windows";
+    else if (userAgent.includes("iPhone")) os = "iPhone (iOS)";
+    else if (userAgent.includes("iPad")) os = "iPad (iPadOS)";
+    else if (userAgent.includes("Macintosh") || userAgent.includes("Mac OS")) os = "macOS";
+    else if (userAgent.includes("Android")) os = "Android";
+    else if (userAgent.includes("Linux")) os = "Linux";
+
+    return `${browser} on ${os}`;
+}
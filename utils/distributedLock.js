@@ -0,0 +1,162 @@
+/**
+ * Distributed Lock — one holder at a time across API instances (used by utils/jobScheduler.js)
+ *
+ * Two interchangeable backends with the same async API:
+ * - RedisLock  — SET NX PX + Lua compare-and-delete/extend (whenever REDIS_URL is configured)
+ * - MemoryLock — single process, used when Redis isn't configured, and in tests
+ *
+ * If a Redis command fails at runtime, the Redis lock logs once and serves that call from
+ * an in-process memory lock (like utils/stateStore.js). Jobs guarded by the lock must stay
+ * idempotent: during a Redis outage two instances may both run one.
+ *
+ * API (keys are namespaced with `lock:` in Redis; TTLs are in milliseconds):
+ * - acquire(key, ttlMs) → token, or null when someone else holds the lock
+ * - extend(key, token, ttlMs) → true while the token still owns the lock (heartbeat)
+ * - release(key, token) → true if the lock was released (never releases another holder's lock)
+ * - holder(key) → { token, ttlMs } or null
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { getRedisClient } from './redisClient.js';
+
+const KEY_PREFIX = 'lock:';
+
+// Identifies this process in lock tokens and job history
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+export const newLockToken = () => `${INSTANCE_ID}:${crypto.randomBytes(6).toString('hex')}`;
+
+// ─── Memory backend ──────────────────────────────────────────────────────────
+
+export class MemoryLock {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.locks = new Map(); // key → { token, expiresAt }
+    }
+
+    _live(key) {
+        const lock = this.locks.get(key);
+        if (!lock) return null;
+        if (lock.expiresAt <= this.now()) {
+            this.locks.delete(key);
+            return null;
+        }
+        return lock;
+    }
+
+    async acquire(key, ttlMs) {
+        if (this._live(key)) return null;
+        const token = newLockToken();
+        this.locks.set(key, { token, expiresAt: this.now() + ttlMs });
+        return token;
+    }
+
+    async extend(key, token, ttlMs) {
+        const lock = this._live(key);
+        if (!lock || lock.token !== token) return false;
+        lock.expiresAt = this.now() + ttlMs;
+        return true;
+    }
+
+    async release(key, token) {
+        const lock = this._live(key);
+        if (!lock || lock.token !== token) return false;
+        this.locks.delete(key);
+        return true;
+    }
+
+    async holder(key) {
+        const lock = this._live(key);
+        return lock ? { token: lock.token, ttlMs: lock.expiresAt - this.now() } : null;
+    }
+}
+
+// ─── Redis backend ───────────────────────────────────────────────────────────
+
+// KEYS[1] = lock key; ARGV[1] = token — delete only if we still own it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// KEYS[1] = lock key; ARGV[1] = token, ARGV[2] = ttlMs — extend only if we still own it
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+export class RedisLock {
+    constructor(client, fallback = new MemoryLock()) {
+        this.client = client;
+        this.fallback = fallback;
+        this.warned = false;
+    }
+
+    async _run(method, args, fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (!this.warned) {
+                console.error(`❌ [Lock] Redis ${method} failed, using in-memory fallback:`, err.message);
+                this.warned = true;
+            }
+            return this.fallback[method](...args);
+        }
+    }
+
+    async acquire(key, ttlMs) {
+        return this._run('acquire', [key, ttlMs], async () => {
+            const token = newLockToken();
+            const result = await this.client.set(KEY_PREFIX + key, token, 'PX', Math.ceil(ttlMs), 'NX');
+            return result === 'OK' ? token : null;
+        });
+    }
+
+    async extend(key, token, ttlMs) {
+        return this._run('extend', [key, token, ttlMs], async () =>
+            (await this.client.eval(EXTEND_SCRIPT, 1, KEY_PREFIX + key, token, Math.ceil(ttlMs))) === 1
+        );
+    }
+
+    async release(key, token) {
+        return this._run('release', [key, token], async () =>
+            (await this.client.eval(RELEASE_SCRIPT, 1, KEY_PREFIX + key, token)) === 1
+        );
+    }
+
+    async holder(key) {
+        return this._run('holder', [key], async () => {
+            const [token, ttlMs] = await Promise.all([
+                this.client.get(KEY_PREFIX + key),
+                this.client.pttl(KEY_PREFIX + key),
+            ]);
+            return token === null ? null : { token, ttlMs: Math.max(0, ttlMs) };
+        });
+    }
+}
+
+// ─── Shared instance ─────────────────────────────────────────────────────────
+
+let lock = null;
+
+/**
+ * The process-wide lock (Redis when configured, memory otherwise).
+ */
+export function getLock() {
+    if (lock) return lock;
+    const client = getRedisClient();
+    lock = client ? new RedisLock(client) : new MemoryLock();
+    return lock;
+}
+
+/**
+ * Replace the shared lock (tests inject a MemoryLock with a fake clock).
+ */
+export function setLock(customLock) {
+    lock = customLock;
+}
@@ -0,0 +1,190 @@
+/**
+ * Invite Links — shareable codes that let people join a community or a group chat
+ *
+ * - Communities: owners and admins create, list and revoke links
+ *   (communityInviteController.js). Joining through a link skips the join-request
+ *   approval of private communities and gives the link's role (MEMBER, MODERATOR, or
+ *   ADMIN — ADMIN links are owner-only). Bans still apply.
+ * - Group chats: group admins manage links (chatController.js); the link's role is
+ *   MEMBER or ADMIN.
+ *
+ * A link stops working when it is revoked, expires, reaches maxUses, or its creator is
+ * no longer allowed to create it (lost their admin role or left).
+ * Each join takes one use atomically (claimInviteUse) and is recorded in InviteRedemption.
+ */
+
+import crypto from 'crypto';
+import InviteLink from '../models/inviteLink.model.js';
+import InviteRedemption from '../models/inviteRedemption.model.js';
+
+export const INVITE_CODE_LENGTH = 10;
+export const MAX_INVITE_USES = 1000;
+export const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+export const COMMUNITY_INVITE_ROLES = ['MEMBER', 'MODERATOR', 'ADMIN'];
+export const GROUP_INVITE_ROLES = ['MEMBER', 'ADMIN'];
+export const MAX_ACTIVE_INVITES = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+/**
+ * Random invite code from an unambiguous alphabet (no 0/O, 1/l/I)
+ */
+export function generateInviteCode(length = INVITE_CODE_LENGTH) {
+    const bytes = crypto.randomBytes(length);
+    let code = '';
+    for (let i = 0; i < length; i++) code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    return code;
+}
+
+export const isValidInviteCode = (code) => typeof code === 'string' && /^[A-Za-z0-9]{6,32}$/.test(code);
+
+/**
+ * Validate a create body: { role?, maxUses?, expiresInHours?, label? }.
+ * `allowedRoles` depends on the target and the caller (see controllers).
+ * Returns { fields, error }.
+ */
+export function parseInviteInput(body = {}, { allowedRoles = ['MEMBER'], now = new Date() } = {}) {
+    const role = body.role === undefined || body.role === null ? 'MEMBER' : body.role;
+    if (!allowedRoles.includes(role)) {
+        return { fields: null, error: `role must be one of: ${allowedRoles.join(', ')}` };
+    }
+
+    let maxUses = null;
+    if (body.maxUses !== undefined && body.maxUses !== null && body.maxUses !== '') {
+        maxUses = Number(body.maxUses);
+        if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+            return { fields: null, error: `maxUses must be a whole number between 1 and ${MAX_INVITE_USES}` };
+        }
+    }
+
+    let expiresAt = null;
+    if (body.expiresInHours !== undefined && body.expiresInHours !== null && body.expiresInHours !== '') {
+        const hours = Number(body.expiresInHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_EXPIRY_HOURS) {
+            return { fields: null, error: `expiresInHours must be more than 0 and at most ${MAX_INVITE_EXPIRY_HOURS}` };
+        }
+        expiresAt = new Date(new Date(now).getTime() + hours * HOUR_MS);
+    }
+
+    // Elevated roles must not float around forever
+    if (role !== 'MEMBER' && (maxUses === null || expiresAt === null)) {
+        return { fields: null, error: `${role} invites need both maxUses and expiresInHours` };
+    }
+
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    if (label.length > 100) return { fields: null, error: 'Label must be at most 100 characters' };
+
+    return { fields: { role, maxUses, expiresAt, label }, error: null };
+}
+
+/**
+ * 'active' | 'revoked' | 'expired' | 'used_up'
+ */
+export function inviteStatus(invite, now = new Date()) {
+    if (invite.revokedAt) return 'revoked';
+    if (invite.expiresAt && new Date(invite.expiresAt) <= new Date(now)) return 'expired';
+    if (invite.maxUses !== null && invite.maxUses !== undefined && invite.uses >= invite.maxUses) return 'used_up';
+    return 'active';
+}
+
+/**
+ * Mongo filter for links that can still be used
+ */
+export function activeInviteFilter(now = new Date()) {
+    return {
+        revokedAt: null,
+        $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+        ],
+    };
+}
+
+export function inviteUrl(invite) {
+    const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return invite.targetType === 'group_chat' ? `${base}/chats/invite/${invite.code}` : `${base}/communities/invite/${invite.code}`;
+}
+
+/**
+ * Public shape for the people managing the link
+ */
+export function formatInvite(invite, now = new Date()) {
+    return {
+        _id: invite._id,
+        code: invite.code,
+        url: inviteUrl(invite),
+        targetType: invite.targetType,
+        role: invite.role,
+        label: invite.label,
+        maxUses: invite.maxUses,
+        uses: invite.uses,
+        remainingUses: invite.maxUses === null || invite.maxUses === undefined ? null : Math.max(0, invite.maxUses - invite.uses),
+        expiresAt: invite.expiresAt,
+        status: inviteStatus(invite, now),
+        createdBy: invite.createdBy,
+        createdAt: invite.createdAt,
+        revokedAt: invite.revokedAt,
+    };
+}
+
+/**
+ * Create a link with a fresh code (retries on the rare code collision)
+ */
+export async function createInvite(fields) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await InviteLink.create({ ...fields, code: generateInviteCode() });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= 4) throw error;
+        }
+    }
+}
+
+/**
+ * Take one use of an active link. Returns the updated link, or null when it can no longer
+ * be used (revoked, expired or used up — possibly by a concurrent join).
+ */
+export async function claimInviteUse(inviteId, now = new Date()) {
+    return InviteLink.findOneAndUpdate(
+        { _id: inviteId, ...activeInviteFilter(now) },
+        { $inc: { uses: 1 } },
+        { new: true }
+    ).lean();
+}
+
+/**
+ * Give a use back when the join that claimed it did not happen
+ */
+export async function releaseInviteUse(inviteId) {
+    await InviteLink.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+}
+
+export async function recordRedemption(invite, userId, now = new Date()) {
+    try {
+        await InviteRedemption.create({ inviteId: invite._id, userId, role: invite.role, redeemedAt: now });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+}
+
+/**
+ * Who joined through a link, newest first
+ */
+export async function listRedemptions(inviteId, { page = 1, limit = 20 } = {}) {
+    const [redemptions, total] = await Promise.all([
+        InviteRedemption.find({ inviteId })
+            .sort({ redeemedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('userId', 'userName channelName channelHandle channelPicture')
+            .lean(),
+        InviteRedemption.countDocuments({ inviteId }),
+    ]);
+    return {
+        redemptions: redemptions.map(r => ({ user: r.userId, role: r.role, redeemedAt: r.redeemedAt })),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+    };
+}
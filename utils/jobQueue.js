@@ -0,0 +1,339 @@
+/**
+ * Job Queue — durable background jobs with retries (used by the transcoding worker)
+ *
+ * Three interchangeable drivers with the same async API:
+ * - RedisJobQueue  — sorted sets + Lua (default when REDIS_URL is configured)
+ * - MongoJobQueue  — QueueJob documents claimed with findOneAndUpdate (default otherwise)
+ * - MemoryJobQueue — single process, for tests and local experiments
+ * Pick one explicitly with JOB_QUEUE_DRIVER=redis|mongo|memory.
+ *
+ * API:
+ * - enqueue(jobId, payload, { delayMs, maxAttempts }) → true if queued, false if that job
+ *                                   is already waiting or running (one live job per id)
+ * - reserve(workerId, lockMs)     → { id, payload, attempts, maxAttempts } or null.
+ *                                   The job is locked for lockMs; an expired lock means the
+ *                                   worker died and the job is handed out again.
+ * - extend(job, lockMs)           → keep a long-running job locked (heartbeat)
+ * - complete(job)
+ * - fail(job, error)              → { dead, retryInMs } — retried with exponential backoff
+ *                                   until maxAttempts, then dead. Queues can pass their own
+ *                                   `retryDelay(attempts)` schedule (e.g. webhooks back off for hours)
+ * - release(job)                  → hand a job back untouched (graceful shutdown)
+ */
+
+import QueueJob from '../models/queueJob.model.js';
+import { getRedisClient } from './redisClient.js';
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Delay before the next attempt: 1 min, 2 min, 4 min ... capped at 5 min
+ */
+export function retryDelayMs(attempts) {
+    return Math.min(60 * 1000 * Math.pow(2, Math.max(0, attempts - 1)), 5 * 60 * 1000);
+}
+
+// ─── Memory driver ───────────────────────────────────────────────────────────
+
+export class MemoryJobQueue {
+    constructor(name, { now = () => Date.now(), retryDelay = retryDelayMs } = {}) {
+        this.name = name;
+        this.now = now;
+        this.retryDelay = retryDelay;
+        this.jobs = new Map(); // jobId → { id, payload, attempts, maxAttempts, status, runAt, lockedUntil, lastError }
+    }
+
+    async enqueue(jobId, payload = {}, { delayMs = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+        const id = String(jobId);
+        const existing = this.jobs.get(id);
+        if (existing && (existing.status === 'waiting' || existing.status === 'active')) return false;
+        this.jobs.set(id, {
+            id, payload, attempts: 0, maxAttempts,
+            status: 'waiting', runAt: this.now() + delayMs, lockedUntil: null, lastError: null,
+        });
+        return true;
+    }
+
+    async reserve(workerId, lockMs) {
+        const now = this.now();
+        let next = null;
+        for (const job of this.jobs.values()) {
+            const ready = (job.status === 'waiting' && job.runAt <= now)
+                || (job.status === 'active' && job.lockedUntil <= now);
+            if (ready && (!next || job.runAt < next.runAt)) next = job;
+        }
+        if (!next) return null;
+
+        next.status = 'active';
+        next.lockedBy = workerId;
+        next.lockedUntil = now + lockMs;
+        next.attempts += 1;
+        return { id: next.id, payload: next.payload, attempts: next.attempts, maxAttempts: next.maxAttempts };
+    }
+
+    async extend(job, lockMs) {
+        const stored = this.jobs.get(job.id);
+        if (stored?.status === 'active') stored.lockedUntil = this.now() + lockMs;
+    }
+
+    async complete(job) {
+        const stored = this.jobs.get(job.id);
+        if (stored) stored.status = 'completed';
+    }
+
+    async fail(job, error) {
+        const stored = this.jobs.get(job.id);
+        if (!stored) return { dead: true, retryInMs: 0 };
+        stored.lastError = error?.message || String(error);
+        if (stored.attempts >= stored.maxAttempts) {
+            stored.status = 'dead';
+            return { dead: true, retryInMs: 0 };
+        }
+        const retryInMs = this.retryDelay(stored.attempts);
+        stored.status = 'waiting';
+        stored.runAt = this.now() + retryInMs;
+        return { dead: false, retryInMs };
+    }
+
+    async release(job) {
+        const stored = this.jobs.get(job.id);
+        if (stored?.status !== 'active') return;
+        stored.status = 'waiting';
+        stored.runAt = this.now();
+        stored.attempts = Math.max(0, stored.attempts - 1);
+    }
+}
+
+// ─── MongoDB driver ──────────────────────────────────────────────────────────
+
+export class MongoJobQueue {
+    constructor(name, { retryDelay = retryDelayMs } = {}) {
+        this.name = name;
+        this.retryDelay = retryDelay;
+    }
+
+    async enqueue(jobId, payload = {}, { delayMs = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+        try {
+            // Matches only finished jobs; a live job makes the upsert collide on the unique index
+            await QueueJob.updateOne(
+                { queue: this.name, jobId: String(jobId), status: { $in: ['completed', 'dead'] } },
+                {
+                    $set: {
+                        payload, maxAttempts, status: 'waiting', attempts: 0,
+                        runAt: new Date(Date.now() + delayMs),
+                        lockedBy: null, lockedUntil: null, lastError: null, finishedAt: null,
+                    },
+                },
+                { upsert: true }
+            );
+            return true;
+        } catch (err) {
+            if (err.code === 11000) return false;
+            throw err;
+        }
+    }
+
+    async reserve(workerId, lockMs) {
+        const now = new Date();
+        const doc = await QueueJob.findOneAndUpdate(
+            {
+                queue: this.name,
+                $or: [
+                    { status: 'waiting', runAt: { $lte: now } },
+                    { status: 'active', lockedUntil: { $lte: now } },
+                ],
+            },
+            {
+                $set: { status: 'active', lockedBy: workerId, lockedUntil: new Date(now.getTime() + lockMs) },
+                $inc: { attempts: 1 },
+            },
+            { sort: { runAt: 1 }, new: true }
+        ).lean();
+        if (!doc) return null;
+        return { id: doc.jobId, payload: doc.payload, attempts: doc.attempts, maxAttempts: doc.maxAttempts };
+    }
+
+    async extend(job, lockMs) {
+        await QueueJob.updateOne(
+            { queue: this.name, jobId: job.id, status: 'active' },
+            { $set: { lockedUntil: new Date(Date.now() + lockMs) } }
+        );
+    }
+
+    async complete(job) {
+        await QueueJob.updateOne(
+            { queue: this.name, jobId: job.id },
+            { $set: { status: 'completed', lockedBy: null, lockedUntil: null, finishedAt: new Date() } }
+        );
+    }
+
+    async fail(job, error) {
+        const lastError = error?.message || String(error);
+        if (job.attempts >= job.maxAttempts) {
+            await QueueJob.updateOne(
+                { queue: this.name, jobId: job.id },
+                { $set: { status: 'dead', lastError, lockedBy: null, lockedUntil: null, finishedAt: new Date() } }
+            );
+            return { dead: true, retryInMs: 0 };
+        }
+        const retryInMs = this.retryDelay(job.attempts);
+        await QueueJob.updateOne(
+            { queue: this.name, jobId: job.id },
+            { $set: { status: 'waiting', lastError, runAt: new Date(Date.now() + retryInMs), lockedBy: null, lockedUntil: null } }
+        );
+        return { dead: false, retryInMs };
+    }
+
+    async release(job) {
+        await QueueJob.updateOne(
+            { queue: this.name, jobId: job.id, status: 'active' },
+            { $set: { status: 'waiting', runAt: new Date(), lockedBy: null, lockedUntil: null }, $inc: { attempts: -1 } }
+        );
+    }
+}
+
+// ─── Redis driver ────────────────────────────────────────────────────────────
+
+// KEYS: waiting zset, active zset, jobs hash. ARGV: jobId, job JSON, runAt
+const ENQUEUE_SCRIPT = `
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) or redis.call('ZSCORE', KEYS[2], ARGV[1]) then
+  return 0
+end
+redis.call('HSET', KEYS[3], ARGV[1], ARGV[2])
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+return 1
+`;
+
+// KEYS: waiting zset, active zset, jobs hash. ARGV: now, lockedUntil
+// Expired locks go back to waiting first, then the earliest due job is moved to active.
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local expired = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now)
+for _, id in ipairs(expired) do
+  redis.call('ZREM', KEYS[2], id)
+  redis.call('ZADD', KEYS[1], now, id)
+end
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, 1)
+if #due == 0 then return nil end
+local id = due[1]
+redis.call('ZREM', KEYS[1], id)
+local raw = redis.call('HGET', KEYS[3], id)
+if not raw then return nil end
+local job = cjson.decode(raw)
+job.attempts = (job.attempts or 0) + 1
+raw = cjson.encode(job)
+redis.call('HSET', KEYS[3], id, raw)
+redis.call('ZADD', KEYS[2], ARGV[2], id)
+return { id, raw }
+`;
+
+export class RedisJobQueue {
+    constructor(name, client, { retryDelay = retryDelayMs } = {}) {
+        this.name = name;
+        this.client = client;
+        this.retryDelay = retryDelay;
+        this.keys = {
+            waiting: `queue:${name}:waiting`,
+            active: `queue:${name}:active`,
+            jobs: `queue:${name}:jobs`,
+            dead: `queue:${name}:dead`,
+        };
+    }
+
+    async enqueue(jobId, payload = {}, { delayMs = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+        const { waiting, active, jobs } = this.keys;
+        const job = JSON.stringify({ payload, attempts: 0, maxAttempts, lastError: null });
+        const added = await this.client.eval(
+            ENQUEUE_SCRIPT, 3, waiting, active, jobs, String(jobId), job, Date.now() + delayMs
+        );
+        if (added === 1) await this.client.zrem(this.keys.dead, String(jobId));
+        return added === 1;
+    }
+
+    async reserve(workerId, lockMs) {
+        const { waiting, active, jobs } = this.keys;
+        const now = Date.now();
+        const result = await this.client.eval(RESERVE_SCRIPT, 3, waiting, active, jobs, now, now + lockMs);
+        if (!result) return null;
+        const [id, raw] = result;
+        const job = JSON.parse(raw);
+        return { id, payload: job.payload, attempts: job.attempts, maxAttempts: job.maxAttempts };
+    }
+
+    async extend(job, lockMs) {
+        await this.client.zadd(this.keys.active, 'XX', Date.now() + lockMs, job.id);
+    }
+
+    async complete(job) {
+        await this.client.multi()
+            .zrem(this.keys.active, job.id)
+            .hdel(this.keys.jobs, job.id)
+            .exec();
+    }
+
+    async fail(job, error) {
+        const lastError = error?.message || String(error);
+        const record = JSON.stringify({ payload: job.payload, attempts: job.attempts, maxAttempts: job.maxAttempts, lastError });
+
+        if (job.attempts >= job.maxAttempts) {
+            // Dead jobs stay in the hash for inspection; the dead set is trimmed to the latest 1000
+            await this.client.multi()
+                .zrem(this.keys.active, job.id)
+                .hset(this.keys.jobs, job.id, record)
+                .zadd(this.keys.dead, Date.now(), job.id)
+                .exec();
+            await this._trimDead();
+            return { dead: true, retryInMs: 0 };
+        }
+
+        const retryInMs = this.retryDelay(job.attempts);
+        await this.client.multi()
+            .zrem(this.keys.active, job.id)
+            .hset(this.keys.jobs, job.id, record)
+            .zadd(this.keys.waiting, Date.now() + retryInMs, job.id)
+            .exec();
+        return { dead: false, retryInMs };
+    }
+
+    async release(job) {
+        const record = JSON.stringify({
+            payload: job.payload, attempts: Math.max(0, job.attempts - 1), maxAttempts: job.maxAttempts, lastError: null,
+        });
+        await this.client.multi()
+            .zrem(this.keys.active, job.id)
+            .hset(this.keys.jobs, job.id, record)
+            .zadd(this.keys.waiting, Date.now(), job.id)
+            .exec();
+    }
+
+    async _trimDead() {
+        const stale = await this.client.zrange(this.keys.dead, 0, -1001);
+        if (stale.length === 0) return;
+        await this.client.multi()
+            .zrem(this.keys.dead, ...stale)
+            .hdel(this.keys.jobs, ...stale)
+            .exec();
+    }
+}
+
+// ─── Factory ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create a queue handle. Producers (API) and consumers (workers) must use the same driver.
+ *
+ * @param {string} name - Queue name, e.g. 'transcode'
+ * @param {Object} options
+ * @param {'redis'|'mongo'|'memory'} options.driver - Defaults to JOB_QUEUE_DRIVER, then Redis if configured, else MongoDB
+ * @param {(attempts: number) => number} options.retryDelay - Backoff schedule, defaults to retryDelayMs
+ */
+export function createJobQueue(name, { driver = process.env.JOB_QUEUE_DRIVER, retryDelay = retryDelayMs } = {}) {
+    if (driver === 'memory') return new MemoryJobQueue(name, { retryDelay });
+    if (driver === 'mongo') return new MongoJobQueue(name, { retryDelay });
+
+    const client = getRedisClient();
+    if (client) return new RedisJobQueue(name, client, { retryDelay });
+    if (driver === 'redis') {
+        console.error(`❌ [JobQueue] JOB_QUEUE_DRIVER=redis but Redis is unavailable — using MongoDB for "${name}"`);
+    }
+    return new MongoJobQueue(name, { retryDelay });
+}
@@ -0,0 +1,226 @@
+/**
+ * Job Scheduler — in-process recurring jobs, run by one API instance at a time
+ *
+ * Jobs are registered by name (utils/scheduledJobs.js) and run every `intervalMs` on each
+ * instance that started the scheduler. Before running, an instance takes the job's
+ * distributed lock (utils/distributedLock.js); instances that miss it skip that tick.
+ * The lock is extended while the job runs, so long runs are not picked up twice.
+ *
+ * Every run is recorded in JobRun (status, trigger, duration, result or error) — the
+ * history behind GET /admin/jobs. Admins can also trigger a run on demand.
+ *
+ * Job definition:
+ *   { intervalMs, lockTtlMs?, description?, triggerScope?, run: async ({ params, trigger }) => result }
+ */
+
+import JobRun from '../models/jobRun.model.js';
+import { getLock, INSTANCE_ID } from './distributedLock.js';
+
+export const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+const MAX_START_JITTER_MS = 30 * 1000;
+
+const lockKey = (name) => `jobs:${name}`;
+
+// ─── Run history stores ──────────────────────────────────────────────────────
+
+export const mongoRunStore = {
+    async start(fields) {
+        return (await JobRun.create(fields)).toObject();
+    },
+    async finish(id, fields) {
+        return JobRun.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+    },
+    // Only called while holding the job's lock, so any 'running' record is from a dead instance
+    async abandonStale(job, now) {
+        await JobRun.updateMany(
+            { job, status: 'running' },
+            { $set: { status: 'abandoned', finishedAt: now, error: 'The instance running this job stopped before it finished' } }
+        );
+    },
+};
+
+export class MemoryRunStore {
+    constructor() {
+        this.runs = [];
+    }
+
+    async start(fields) {
+        const run = { _id: String(this.runs.length + 1), ...fields };
+        this.runs.push(run);
+        return { ...run };
+    }
+
+    async finish(id, fields) {
+        const run = this.runs.find(r => r._id === id);
+        Object.assign(run, fields);
+        return { ...run };
+    }
+
+    async abandonStale(job, now) {
+        for (const run of this.runs) {
+            if (run.job === job && run.status === 'running') Object.assign(run, { status: 'abandoned', finishedAt: now });
+        }
+    }
+}
+
+// ─── Scheduler ───────────────────────────────────────────────────────────────
+
+export class JobScheduler {
+    constructor({ lock = null, store = mongoRunStore, now = () => Date.now(), jitterMs = MAX_START_JITTER_MS } = {}) {
+        this._lock = lock;
+        this.store = store;
+        this.now = now;
+        this.jitterMs = jitterMs;
+        this.jobs = new Map();   // name → definition
+        this.timers = new Map(); // name → { timeout, interval, nextRunAt }
+        this.running = new Set();
+        this.started = false;
+    }
+
+    get lock() {
+        return this._lock || getLock();
+    }
+
+    register(name, definition) {
+        if (this.jobs.has(name)) throw new Error(`Job "${name}" is already registered`);
+        if (!(definition.intervalMs > 0) || typeof definition.run !== 'function') {
+            throw new Error(`Job "${name}" needs a positive intervalMs and a run function`);
+        }
+        this.jobs.set(name, { lockTtlMs: DEFAULT_LOCK_TTL_MS, description: '', triggerScope: null, ...definition, name });
+        if (this.started) this._schedule(name);
+    }
+
+    get(name) {
+        return this.jobs.get(name) || null;
+    }
+
+    list() {
+        return [...this.jobs.values()];
+    }
+
+    /**
+     * Where this instance's timer for a job stands
+     */
+    localState(name) {
+        return {
+            scheduled: this.timers.has(name),
+            nextRunAt: this.timers.get(name)?.nextRunAt || null,
+            runningHere: this.running.has(name),
+        };
+    }
+
+    async holder(name) {
+        return this.lock.holder(lockKey(name));
+    }
+
+    /**
+     * Take the lock and record the run. Returns { run, done } — `done` settles with the
+     * finished run — or { skipped: true, holder } when another run holds the lock.
+     */
+    async begin(name, { trigger = 'manual', triggeredBy = null, params = {} } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) throw new Error(`Unknown job "${name}"`);
+
+        const token = await this.lock.acquire(lockKey(name), job.lockTtlMs);
+        if (!token) return { skipped: true, holder: await this.holder(name) };
+
+        let run;
+        try {
+            const startedAt = new Date(this.now());
+            await this.store.abandonStale(name, startedAt);
+            run = await this.store.start({ job: name, status: 'running', trigger, triggeredBy, params, instanceId: INSTANCE_ID, startedAt });
+        } catch (error) {
+            await this.lock.release(lockKey(name), token);
+            throw error;
+        }
+
+        this.running.add(name);
+        const heartbeat = setInterval(() => {
+            this.lock.extend(lockKey(name), token, job.lockTtlMs)
+                .then(ok => { if (!ok) console.error(`⚠️  [Jobs] Lost the lock for "${name}" while it was running`); })
+                .catch(() => {});
+        }, Math.max(1000, Math.floor(job.lockTtlMs / 3)));
+        heartbeat.unref?.();
+
+        const done = (async () => {
+            let fields;
+            try {
+                const result = await job.run({ params, trigger, startedAt: run.startedAt });
+                fields = { status: 'succeeded', result: result ?? null };
+            } catch (error) {
+                console.error(`❌ [Jobs] "${name}" failed:`, error);
+                fields = { status: 'failed', error: String(error?.message || error).slice(0, 2000) };
+            } finally {
+                clearInterval(heartbeat);
+                this.running.delete(name);
+                await this.lock.release(lockKey(name), token).catch(() => {});
+            }
+            const finishedAt = new Date(this.now());
+            return this.store.finish(run._id, {
+                ...fields,
+                finishedAt,
+                durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+            });
+        })();
+
+        return { run, done };
+    }
+
+    /**
+     * Run a job now and wait for it. Returns the finished run, or { skipped: true, holder }.
+     */
+    async runNow(name, options = {}) {
+        const started = await this.begin(name, options);
+        if (started.skipped) return started;
+        return started.done;
+    }
+
+    async _tick(name) {
+        const timer = this.timers.get(name);
+        if (timer) timer.nextRunAt = new Date(this.now() + this.jobs.get(name).intervalMs);
+        try {
+            const started = await this.begin(name, { trigger: 'schedule' });
+            if (!started.skipped) await started.done;
+        } catch (error) {
+            console.error(`❌ [Jobs] Could not start "${name}":`, error.message);
+        }
+    }
+
+    _schedule(name) {
+        const { intervalMs } = this.jobs.get(name);
+        // Spread instances out a little so they don't all race for the lock at boot
+        const delay = Math.floor(Math.random() * this.jitterMs);
+        const timer = { timeout: null, interval: null, nextRunAt: new Date(this.now() + delay) };
+        timer.timeout = setTimeout(() => {
+            this._tick(name);
+            timer.interval = setInterval(() => this._tick(name), intervalMs);
+            timer.interval.unref?.();
+        }, delay);
+        timer.timeout.unref?.();
+        this.timers.set(name, timer);
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        for (const name of this.jobs.keys()) this._schedule(name);
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer.timeout);
+            clearInterval(timer.interval);
+        }
+        this.timers.clear();
+        this.started = false;
+    }
+}
+
+// ─── Shared instance ─────────────────────────────────────────────────────────
+
+let scheduler = null;
+
+export function getScheduler() {
+    if (!scheduler) scheduler = new JobScheduler();
+    return scheduler;
+}
@@ -0,0 +1,351 @@
+/**
+ * Local filesystem storage driver (see utils/storage.js for the shared interface)
+ *
+ * For development and CI without AWS. Objects live under LOCAL_STORAGE_DIR and are served
+ * by routes/storageRoutes/storageRouter.js at `{LOCAL_STORAGE_BASE_URL}/storage/{key}`.
+ *
+ * - Presigned URLs are HMAC-signed (`expires` + `signature` query params) with
+ *   STORAGE_SIGNING_SECRET (falls back to JWT_SECRET)
+ * - Media reads (HLS, thumbnails, pictures) are served without a signature, like the CDN
+ *   with its site-wide signed cookies; keys under PRIVATE_PREFIXES always need one
+ * - Multipart uploads keep their parts in `.multipart/{uploadId}/` until completed
+ * - Content-Type / Cache-Control are kept in `.meta/{key}.json`
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+
+// Documents that must never be readable without a presigned URL
+export const PRIVATE_PREFIXES = ['kyc-documents/', 'gst-certificates/', 'exports/', 'settlement-invoices/'];
+
+const MIME_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/MP2T',
+    '.mp4': 'video/mp4',
+    '.m4a': 'audio/mp4',
+    '.mp3': 'audio/mpeg',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.vtt': 'text/vtt',
+    '.pdf': 'application/pdf',
+    '.json': 'application/json',
+    '.gz': 'application/gzip',
+};
+
+function notFound(key) {
+    const err = new Error(`The specified key does not exist: ${key}`);
+    err.name = 'NoSuchKey';
+    err.statusCode = 404;
+    return err;
+}
+
+/**
+ * `bytes=start-end` / `bytes=start-` / `bytes=-suffix` → { start, end } (inclusive), or null
+ */
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (!match[1] && !match[2]) || size === 0) return null;
+    let start;
+    let end;
+    if (!match[1]) {
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+    return start <= end && start < size ? { start, end } : null;
+}
+
+function toStream(body) {
+    if (body instanceof Readable) return body;
+    return Readable.from([typeof body === 'string' ? Buffer.from(body) : body]);
+}
+
+export function createLocalDiskStorage({
+    rootDir = process.env.LOCAL_STORAGE_DIR || path.resolve('storage-data'),
+    baseUrl = process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    now = () => Date.now(),
+} = {}) {
+    const root = path.resolve(rootDir);
+    const metaRoot = path.join(root, '.meta');
+    const multipartRoot = path.join(root, '.multipart');
+    const urlBase = `${baseUrl.replace(/\/$/, '')}/storage`;
+
+    /**
+     * Absolute path for a key; rejects anything that could escape the root
+     */
+    function resolveKey(key) {
+        if (typeof key !== 'string' || !key || key.startsWith('/') || key.startsWith('.') || key.includes('\0')) {
+            throw Object.assign(new Error(`Invalid storage key: ${key}`), { statusCode: 400 });
+        }
+        const full = path.resolve(root, key);
+        if (!full.startsWith(root + path.sep) || key.split('/').some(part => part === '..' || part === '')) {
+            throw Object.assign(new Error(`Invalid storage key: ${key}`), { statusCode: 400 });
+        }
+        return full;
+    }
+
+    const metaPath = (key) => path.join(metaRoot, `${key}.json`);
+    const uploadDir = (uploadId) => {
+        if (!/^[a-f0-9]{32}$/.test(uploadId || '')) {
+            throw Object.assign(new Error('Invalid upload id'), { statusCode: 400 });
+        }
+        return path.join(multipartRoot, uploadId);
+    };
+
+    async function writeMeta(key, meta) {
+        await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+        await fsp.writeFile(metaPath(key), JSON.stringify(meta));
+    }
+
+    async function readMeta(key) {
+        try {
+            return JSON.parse(await fsp.readFile(metaPath(key), 'utf8'));
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Stream a body to `dest` via a temp file so readers never see partial objects
+     */
+    async function writeAtomically(dest, body) {
+        await fsp.mkdir(path.dirname(dest), { recursive: true });
+        const tmp = `${dest}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        const hash = crypto.createHash('md5');
+        const source = toStream(body);
+        source.on('data', chunk => hash.update(chunk));
+        try {
+            await pipeline(source, fs.createWriteStream(tmp));
+            await fsp.rename(tmp, dest);
+        } catch (err) {
+            await fsp.rm(tmp, { force: true });
+            throw err;
+        }
+        return `"${hash.digest('hex')}"`;
+    }
+
+    function sign(op, key, expires, extra = '') {
+        if (!secret) throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required for local storage URLs');
+        return crypto.createHmac('sha256', secret).update(`${op}\n${key}\n${expires}\n${extra}`).digest('base64url');
+    }
+
+    function signedUrl(op, key, expiresIn, params = {}, extra = '') {
+        const expires = Math.floor(now() / 1000) + expiresIn;
+        const query = new URLSearchParams({ ...params, expires: String(expires), signature: sign(op, key, expires, extra) });
+        return `${urlBase}/${encodeKey(key)}?${query}`;
+    }
+
+    const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+    async function* walk(dir, prefix) {
+        let entries;
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            if (!prefix && entry.name.startsWith('.')) continue; // .meta, .multipart
+            if (entry.name.endsWith('.tmp')) continue;
+            const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) yield* walk(path.join(dir, entry.name), rel);
+            else yield rel;
+        }
+    }
+
+    return {
+        name: 'local',
+        rootDir: root,
+
+        async put(key, body, { contentType, cacheControl } = {}) {
+            const etag = await writeAtomically(resolveKey(key), body);
+            await writeMeta(key, { contentType, cacheControl, etag });
+            return etag;
+        },
+
+        async get(key, { range } = {}) {
+            const file = resolveKey(key);
+            let stat;
+            try {
+                stat = await fsp.stat(file);
+            } catch {
+                throw notFound(key);
+            }
+            const meta = await readMeta(key);
+            const result = {
+                contentType: meta.contentType || MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+                contentLength: stat.size,
+                etag: meta.etag,
+                lastModified: stat.mtime,
+            };
+
+            const bytes = parseRange(range, stat.size);
+            if (bytes) {
+                result.body = fs.createReadStream(file, bytes);
+                result.contentLength = bytes.end - bytes.start + 1;
+                result.contentRange = `bytes ${bytes.start}-${bytes.end}/${stat.size}`;
+            } else {
+                result.body = fs.createReadStream(file);
+            }
+            return result;
+        },
+
+        async head(key) {
+            try {
+                const stat = await fsp.stat(resolveKey(key));
+                const meta = await readMeta(key);
+                return {
+                    contentType: meta.contentType || MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+                    contentLength: stat.size,
+                    lastModified: stat.mtime,
+                    cacheControl: meta.cacheControl,
+                    etag: meta.etag,
+                };
+            } catch (err) {
+                if (err.statusCode === 400) throw err;
+                return null;
+            }
+        },
+
+        async delete(key) {
+            await fsp.rm(resolveKey(key), { force: true });
+            await fsp.rm(metaPath(key), { force: true });
+        },
+
+        async deleteMany(keys) {
+            for (const key of keys) await this.delete(key);
+        },
+
+        async list(prefix = '', { limit = 1000, cursor } = {}) {
+            // Walk from the deepest directory the prefix names, then filter by the full prefix
+            const dirPart = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+            const start = dirPart ? resolveKey(dirPart) : root;
+
+            const objects = [];
+            for await (const key of walk(start, dirPart)) {
+                if (!key.startsWith(prefix) || (cursor && key <= cursor)) continue;
+                if (objects.length === limit) {
+                    return { objects, cursor: objects[objects.length - 1].key };
+                }
+                const stat = await fsp.stat(path.join(root, key));
+                objects.push({ key, size: stat.size, lastModified: stat.mtime });
+            }
+            return { objects, cursor: null };
+        },
+
+        async copy(sourceKey, destKey) {
+            const source = resolveKey(sourceKey);
+            if (!fs.existsSync(source)) throw notFound(sourceKey);
+            const dest = resolveKey(destKey);
+            await fsp.mkdir(path.dirname(dest), { recursive: true });
+            await fsp.copyFile(source, dest);
+            await writeMeta(destKey, await readMeta(sourceKey));
+        },
+
+        async presignGet(key, { expiresIn = 3600, downloadName, contentType } = {}) {
+            const params = {};
+            if (downloadName) params.filename = downloadName;
+            if (contentType) params.contentType = contentType;
+            return signedUrl('get', key, expiresIn, params, `${downloadName || ''}\n${contentType || ''}`);
+        },
+
+        async presignPut(key, { expiresIn = 3600, contentType } = {}) {
+            const params = contentType ? { contentType } : {};
+            return signedUrl('put', key, expiresIn, params, contentType || '');
+        },
+
+        async createMultipartUpload(key, { contentType } = {}) {
+            resolveKey(key);
+            const uploadId = crypto.randomBytes(16).toString('hex');
+            const dir = uploadDir(uploadId);
+            await fsp.mkdir(dir, { recursive: true });
+            await fsp.writeFile(path.join(dir, 'upload.json'), JSON.stringify({ key, contentType, createdAt: new Date(now()) }));
+            return uploadId;
+        },
+
+        async presignUploadPart(key, uploadId, partNumber, { expiresIn = 3600 } = {}) {
+            return signedUrl('part', key, expiresIn, { uploadId, partNumber: String(partNumber) }, `${uploadId}\n${partNumber}`);
+        },
+
+        /**
+         * Store one part of a multipart upload (called by the storage router). Returns its ETag.
+         */
+        async writePart(key, uploadId, partNumber, body) {
+            const dir = uploadDir(uploadId);
+            const upload = JSON.parse(await fsp.readFile(path.join(dir, 'upload.json'), 'utf8').catch(() => {
+                throw notFound(`${key} (upload ${uploadId})`);
+            }));
+            if (upload.key !== key) throw Object.assign(new Error('Upload id does not match key'), { statusCode: 400 });
+            const n = Number(partNumber);
+            if (!Number.isInteger(n) || n < 1 || n > 10000) throw Object.assign(new Error('Invalid part number'), { statusCode: 400 });
+            return writeAtomically(path.join(dir, `part-${String(n).padStart(5, '0')}`), body);
+        },
+
+        async completeMultipartUpload(key, uploadId, parts) {
+            const dir = uploadDir(uploadId);
+            const upload = JSON.parse(await fsp.readFile(path.join(dir, 'upload.json'), 'utf8').catch(() => {
+                throw notFound(`${key} (upload ${uploadId})`);
+            }));
+            if (upload.key !== key) throw Object.assign(new Error('Upload id does not match key'), { statusCode: 400 });
+
+            const ordered = [...parts].sort((a, b) => a.PartNumber - b.PartNumber);
+            const files = ordered.map(p => path.join(dir, `part-${String(p.PartNumber).padStart(5, '0')}`));
+            for (const file of files) {
+                if (!fs.existsSync(file)) throw Object.assign(new Error(`Missing part ${path.basename(file)}`), { statusCode: 400 });
+            }
+
+            async function* concat() {
+                for (const file of files) yield* fs.createReadStream(file);
+            }
+            await this.put(key, Readable.from(concat()), { contentType: upload.contentType });
+            await fsp.rm(dir, { recursive: true, force: true });
+        },
+
+        async abortMultipartUpload(key, uploadId) {
+            await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+        },
+
+        mediaUrl(key) {
+            return `${urlBase}/${encodeKey(key)}`;
+        },
+
+        keyFromUrl(url) {
+            if (!url.startsWith(`${urlBase}/`)) return null;
+            const pathname = url.slice(urlBase.length + 1).split('?')[0];
+            return decodeURIComponent(pathname) || null;
+        },
+
+        /**
+         * Check a request against a presigned URL. `op` is 'get', 'put' or 'part'.
+         */
+        verifySignature(op, key, query) {
+            const expires = Number(query.expires);
+            if (!query.signature || !Number.isFinite(expires) || expires * 1000 < now()) return false;
+
+            let extra = '';
+            if (op === 'get') extra = `${query.filename || ''}\n${query.contentType || ''}`;
+            if (op === 'put') extra = query.contentType || '';
+            if (op === 'part') extra = `${query.uploadId}\n${query.partNumber}`;
+
+            const expected = Buffer.from(sign(op, key, expires, extra));
+            const given = Buffer.from(String(query.signature));
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        },
+
+        isPrivateKey(key) {
+            return PRIVATE_PREFIXES.some(prefix => key.startsWith(prefix));
+        },
+
+        resolvePath: resolveKey,
+    };
+}
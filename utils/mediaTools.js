@@ -0,0 +1,115 @@
+/**
+ * Media Tools — thin wrappers around the bundled FFmpeg / FFprobe binaries
+ *
+ * Binaries come from ffmpeg-static / ffprobe-static; set FFMPEG_PATH / FFPROBE_PATH to
+ * use a system build instead (e.g. one with hardware encoders).
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import ffmpegStatic from 'ffmpeg-static';
+import ffprobeStatic from 'ffprobe-static';
+
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || ffmpegStatic;
+export const FFPROBE_PATH = process.env.FFPROBE_PATH || ffprobeStatic.path;
+
+// Keep at most this much FFmpeg stderr for error messages
+const MAX_STDERR_BYTES = 64 * 1024;
+
+/**
+ * Probe a media file.
+ * @returns {Promise<{duration: number, videoStream: Object|null, audioStream: Object|null, hasAudio: boolean}>}
+ */
+export function probeMedia(inputPath) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(FFPROBE_PATH, [
+            '-v', 'quiet', '-print_format', 'json',
+            '-show_format', '-show_streams', inputPath
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        let out = '';
+        let err = '';
+        proc.stdout.on('data', chunk => { out += chunk; });
+        proc.stderr.on('data', chunk => { err += chunk; });
+        proc.on('error', reject);
+        proc.on('close', code => {
+            if (code !== 0) return reject(new Error(`ffprobe exited with ${code}: ${err.trim()}`));
+            try {
+                const meta = JSON.parse(out);
+                const streams = meta.streams || [];
+                const videoStream = streams.find(s => s.codec_type === 'video') || null;
+                const audioStream = streams.find(s => s.codec_type === 'audio') || null;
+                resolve({
+                    duration: parseFloat(meta.format?.duration) || 0,
+                    videoStream,
+                    audioStream,
+                    hasAudio: !!audioStream,
+                });
+            } catch (parseErr) {
+                reject(new Error(`ffprobe output could not be parsed: ${parseErr.message}`));
+            }
+        });
+    });
+}
+
+/**
+ * Run FFmpeg to completion. Rejects with the tail of stderr on a non-zero exit.
+ *
+ * @param {string[]} args
+ * @param {Object} options
+ * @param {string} options.label - Log prefix
+ * @param {function(string)} options.onProgress - Called with FFmpeg's out_time as it advances
+ */
+export function runFFmpeg(args, { label = 'ffmpeg', onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const proc = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+        let stderr = '';
+        let lastTime = null;
+        proc.stderr.on('data', data => {
+            const text = data.toString();
+            stderr = (stderr + text).slice(-MAX_STDERR_BYTES);
+
+            const match = text.match(/out_time=(\d+:\d+:\d+)/);
+            if (match && match[1] !== lastTime) {
+                lastTime = match[1];
+                onProgress?.(lastTime);
+            }
+        });
+        proc.on('error', reject);
+        proc.on('close', code => {
+            if (code !== 0) {
+                const tail = stderr.split('\n').filter(l => l && !l.includes('=')).slice(-5).join(' | ');
+                return reject(new Error(`[${label}] FFmpeg exited with ${code}${tail ? `: ${tail}` : ''}`));
+            }
+            console.log(`   ✅ [${label}] done in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Extract one JPEG frame at `seconds`. Resolves with the file size (0 if no frame was written).
+ */
+export async function extractFrame(inputPath, seconds, outputPath, width) {
+    await runFFmpeg([
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-ss', String(seconds), '-i', inputPath,
+        '-frames:v', '1', '-vf', `scale=${width}:-2`,
+        '-q:v', '2', '-update', '1', outputPath
+    ], { label: `thumb@${seconds}s` });
+    return fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+}
+
+/**
+ * Fail fast at startup if the FFmpeg binary is missing or broken
+ */
+export function checkFFmpeg() {
+    return new Promise((resolve, reject) => {
+        if (!FFMPEG_PATH) return reject(new Error('No FFmpeg binary for this platform — set FFMPEG_PATH'));
+        const proc = spawn(FFMPEG_PATH, ['-version'], { stdio: 'ignore' });
+        proc.on('error', reject);
+        proc.on('close', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg -version exited with ${code}`))));
+    });
+}
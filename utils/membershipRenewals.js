@@ -0,0 +1,147 @@
+/**
+ * Membership Renewals — monthly billing run for channel memberships
+ *
+ * Called by workers/membershipRenewalWorker.js. Each cycle picks up memberships whose
+ * period has ended (or whose grace-period retry is due) and, per utils/memberships.js:
+ *   - charges the next month from the member's PrimaryWallet (walletService)
+ *   - on failure opens a GRACE_PERIOD_DAYS grace period, emails the member once and
+ *     retries daily; members keep access while in grace
+ *   - expires the membership when the grace period runs out (and emails the member)
+ *   - ends memberships the member cancelled once the paid period is over
+ *
+ * Every state change is a conditional update on the period the cycle read, so two
+ * overlapping runs cannot apply the same outcome twice, and the wallet charge itself
+ * is idempotent per period (see walletService.executeMembershipCharge).
+ */
+
+import ChannelMembership from '../models/channelMembership.model.js';
+import MembershipTier from '../models/membershipTier.model.js';
+import { executeMembershipCharge } from './walletService.js';
+import { sendMembershipRenewalFailedEmail, sendMembershipExpiredEmail } from '../services/paymentEmailService.js';
+import { renewalActionFor, nextBillingPeriod, renewedState, failedRenewalState } from './memberships.js';
+
+const RENEWAL_BATCH_SIZE = 200;
+
+/**
+ * Tier + price the next period is billed at: a requested tier switch applies now,
+ * unless that tier was deactivated meanwhile.
+ */
+async function resolveRenewalTier(membership) {
+    if (membership.pendingTierId) {
+        const pending = await MembershipTier.findOne({
+            _id: membership.pendingTierId,
+            creatorId: membership.creatorId,
+            isActive: true,
+        }).lean();
+        if (pending) return { tierId: pending._id, price: pending.monthlyPrice, tierName: pending.name };
+    }
+    const current = await MembershipTier.findById(membership.tierId).select('name').lean();
+    return { tierId: membership.tierId, price: membership.price, tierName: current?.name || null };
+}
+
+/** Only apply an outcome if nobody else already moved this membership on */
+const periodGuard = (membership) => ({
+    _id: membership._id,
+    status: membership.status,
+    currentPeriodEnd: membership.currentPeriodEnd,
+});
+
+async function endMembership(membership, status, now) {
+    const result = await ChannelMembership.updateOne(periodGuard(membership), {
+        $set: { status, endedAt: now, graceUntil: null, nextRenewalAttemptAt: null, pendingTierId: null },
+    });
+    if (result.modifiedCount === 0) return false;
+    await MembershipTier.updateOne({ _id: membership.tierId, memberCount: { $gt: 0 } }, { $inc: { memberCount: -1 } });
+    return true;
+}
+
+/**
+ * Process one due membership. Returns 'renewed' | 'failed' | 'ended' | 'expired' | 'skipped'.
+ */
+export async function processMembershipRenewal(membership, now = new Date()) {
+    const action = renewalActionFor(membership, now);
+
+    if (action === 'end') {
+        return (await endMembership(membership, 'cancelled', now)) ? 'ended' : 'skipped';
+    }
+
+    if (action === 'expire') {
+        if (!(await endMembership(membership, 'expired', now))) return 'skipped';
+        const tier = await MembershipTier.findById(membership.tierId).select('name').lean();
+        sendMembershipExpiredEmail({
+            userId: membership.memberId,
+            creatorId: membership.creatorId,
+            tierName: tier?.name,
+            amount: membership.price,
+        }).catch(err => console.error('❌ [Memberships] Expired email failed:', err));
+        return 'expired';
+    }
+
+    if (action !== 'charge') return 'skipped';
+
+    const { tierId, price, tierName } = await resolveRenewalTier(membership);
+    const { periodStart, periodEnd } = nextBillingPeriod(membership, now);
+
+    try {
+        await executeMembershipCharge(
+            membership.memberId.toString(),
+            membership.creatorId.toString(),
+            membership._id.toString(),
+            tierId.toString(),
+            price,
+            periodStart
+        );
+    } catch (err) {
+        const { firstFailure, set } = failedRenewalState(membership, err.message, now);
+        const result = await ChannelMembership.updateOne(periodGuard(membership), { $set: set });
+        if (result.modifiedCount > 0 && firstFailure) {
+            sendMembershipRenewalFailedEmail({
+                userId: membership.memberId,
+                creatorId: membership.creatorId,
+                tierName,
+                amount: price,
+                graceUntil: set.graceUntil,
+            }).catch(emailErr => console.error('❌ [Memberships] Renewal failed email failed:', emailErr));
+        }
+        console.warn(`[Memberships] Renewal failed for ${membership._id} (attempt ${set.renewalAttempts}): ${err.message}`);
+        return 'failed';
+    }
+
+    const result = await ChannelMembership.updateOne(periodGuard(membership), {
+        $set: renewedState(membership, { periodStart, periodEnd, tierId, price }, now),
+    });
+    if (result.modifiedCount > 0 && tierId.toString() !== membership.tierId.toString()) {
+        await MembershipTier.updateOne({ _id: membership.tierId, memberCount: { $gt: 0 } }, { $inc: { memberCount: -1 } });
+        await MembershipTier.updateOne({ _id: tierId }, { $inc: { memberCount: 1 } });
+    }
+    return 'renewed';
+}
+
+/**
+ * Run one renewal cycle.
+ * @returns {Promise<{ renewed: number, failed: number, ended: number, expired: number }>}
+ */
+export async function runMembershipRenewalCycle(now = new Date()) {
+    const due = await ChannelMembership.find({
+        $or: [
+            { status: 'active', currentPeriodEnd: { $lte: now } },
+            { status: 'grace', nextRenewalAttemptAt: { $lte: now } },
+            { status: 'grace', graceUntil: { $lte: now } },
+            { status: 'grace', cancelAtPeriodEnd: true },
+        ],
+    })
+        .sort({ currentPeriodEnd: 1 })
+        .limit(RENEWAL_BATCH_SIZE)
+        .lean();
+
+    const counts = { renewed: 0, failed: 0, ended: 0, expired: 0 };
+    for (const membership of due) {
+        try {
+            const outcome = await processMembershipRenewal(membership, now);
+            if (outcome in counts) counts[outcome]++;
+        } catch (err) {
+            console.error(`❌ [Memberships] Renewal error for ${membership._id}:`, err);
+        }
+    }
+    return counts;
+}
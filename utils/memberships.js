@@ -0,0 +1,259 @@
+/**
+ * Channel Memberships — tiers, access checks, badges and billing-period rules
+ *
+ * How memberships work:
+ * - Creators define named tiers with a monthly price (MembershipTier). A fan joins one
+ *   tier per channel (ChannelMembership) and is charged from their PrimaryWallet up
+ *   front for the first month (walletService.executeMembershipCharge).
+ * - The renewal worker (workers/membershipRenewalWorker.js → utils/membershipRenewals.js)
+ *   charges each following month. A failed charge moves the membership into a
+ *   GRACE_PERIOD_DAYS grace period with daily retries; access continues meanwhile.
+ * - `members_only` content is gated like PPV (utils/ppvGuard.js). Content may name a
+ *   minimum tier: members of that tier or any higher-ranked tier of the same creator
+ *   get access; without one, any live member does.
+ *
+ * This module only touches the membership models so the access checks can be used
+ * anywhere (ppvGuard, comments, community chat) without pulling in wallet code.
+ */
+
+import mongoose from 'mongoose';
+import MembershipTier from '../models/membershipTier.model.js';
+import ChannelMembership from '../models/channelMembership.model.js';
+
+export const MAX_TIERS_PER_CREATOR = 6;
+export const MIN_MEMBERSHIP_PRICE = 1;
+export const MAX_MEMBERSHIP_PRICE = 100000;
+export const GRACE_PERIOD_DAYS = 3;
+export const RENEWAL_RETRY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/** Statuses that still grant members-only access and show a badge */
+export const LIVE_MEMBERSHIP_STATUSES = ['active', 'grace'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Billing periods ─────────────────────────────────────────────────────────
+
+/**
+ * Add calendar months, clamping to the last day of shorter months
+ * (Jan 31 + 1 month → Feb 28/29), in UTC.
+ */
+export function addMonths(date, months = 1) {
+    const d = new Date(date);
+    const day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    d.setUTCDate(Math.min(day, lastDay));
+    return d;
+}
+
+/**
+ * Billing key for one membership period — used as the wallet idempotency key so a
+ * period can never be charged twice, however often the worker retries.
+ */
+export const membershipChargeKey = (membershipId, periodStart) =>
+    `membership_${membershipId}_${new Date(periodStart).getTime()}`;
+
+export const isMembershipLive = (membership) =>
+    !!membership && LIVE_MEMBERSHIP_STATUSES.includes(membership.status);
+
+/**
+ * What the renewal worker should do with a membership right now:
+ *   'end'    — cancelled by the member and the paid period is over
+ *   'charge' — a period is due (or a grace-period retry is due)
+ *   'expire' — grace period ran out without a successful charge
+ *   'wait'   — nothing due yet
+ */
+export function renewalActionFor(membership, now = new Date()) {
+    const t = new Date(now).getTime();
+    if (membership.status === 'active') {
+        if (new Date(membership.currentPeriodEnd).getTime() > t) return 'wait';
+        return membership.cancelAtPeriodEnd ? 'end' : 'charge';
+    }
+    if (membership.status === 'grace') {
+        if (membership.cancelAtPeriodEnd) return 'end';
+        if (membership.graceUntil && new Date(membership.graceUntil).getTime() <= t) return 'expire';
+        const retryAt = membership.nextRenewalAttemptAt ? new Date(membership.nextRenewalAttemptAt).getTime() : 0;
+        return retryAt <= t ? 'charge' : 'wait';
+    }
+    return 'wait';
+}
+
+/**
+ * The period a renewal charge pays for. On-time renewals keep the billing date;
+ * a charge that only succeeds during grace starts a fresh month from the scheduled
+ * retry (not `now`, so overlapping runs derive the same period and charge key).
+ */
+export function nextBillingPeriod(membership, now = new Date()) {
+    const start = membership.status === 'grace'
+        ? new Date(membership.nextRenewalAttemptAt || now)
+        : new Date(membership.currentPeriodEnd);
+    return { periodStart: start, periodEnd: addMonths(start, 1) };
+}
+
+/**
+ * $set for a successful renewal charge.
+ */
+export function renewedState(membership, { periodStart, periodEnd, tierId, price }, now = new Date()) {
+    return {
+        status: 'active',
+        tierId,
+        price,
+        pendingTierId: null,
+        currentPeriodStart: periodStart,
+        currentPeriodEnd: periodEnd,
+        graceUntil: null,
+        renewalAttempts: 0,
+        nextRenewalAttemptAt: null,
+        lastRenewalError: null,
+        lastChargedAt: new Date(now),
+    };
+}
+
+/**
+ * $set for a failed renewal charge. The first failure opens the grace period;
+ * later failures just schedule the next retry. `firstFailure` tells the caller
+ * whether to send the failed-renewal email.
+ */
+export function failedRenewalState(membership, reason, now = new Date()) {
+    const t = new Date(now).getTime();
+    const firstFailure = membership.status !== 'grace';
+    const graceUntil = firstFailure
+        ? new Date(new Date(membership.currentPeriodEnd).getTime() + GRACE_PERIOD_DAYS * DAY_MS)
+        : new Date(membership.graceUntil);
+    return {
+        firstFailure,
+        set: {
+            status: 'grace',
+            graceUntil,
+            renewalAttempts: (firstFailure ? 0 : membership.renewalAttempts || 0) + 1,
+            nextRenewalAttemptAt: new Date(Math.min(t + RENEWAL_RETRY_INTERVAL_MS, graceUntil.getTime())),
+            lastRenewalError: reason,
+        },
+    };
+}
+
+// ─── Tiers ───────────────────────────────────────────────────────────────────
+
+/**
+ * A member's tier unlocks content gated to `requiredRank` or any lower rank.
+ * `requiredRank` null/undefined → any live membership is enough.
+ */
+export function tierGrantsAccess(memberRank, requiredRank) {
+    if (memberRank === null || memberRank === undefined) return false;
+    if (requiredRank === null || requiredRank === undefined) return true;
+    return memberRank >= requiredRank;
+}
+
+const toId = (value) => value?._id?.toString() || value?.toString() || null;
+
+/**
+ * Validate the members-only tier chosen for a creator's upload/edit.
+ * Returns { membershipTierId, error }; an empty tier means "any member".
+ */
+export async function resolveContentTier(creatorId, tierId) {
+    const activeTiers = await MembershipTier.countDocuments({ creatorId, isActive: true });
+    if (activeTiers === 0) {
+        return { membershipTierId: null, error: 'Create a membership tier before publishing members-only content' };
+    }
+    if (!tierId) return { membershipTierId: null, error: null };
+    if (!mongoose.Types.ObjectId.isValid(tierId)) {
+        return { membershipTierId: null, error: 'Invalid membership tier ID' };
+    }
+    const tier = await MembershipTier.findOne({ _id: tierId, creatorId }).select('_id').lean();
+    if (!tier) return { membershipTierId: null, error: 'Membership tier not found' };
+    return { membershipTierId: tier._id, error: null };
+}
+
+// ─── Access ──────────────────────────────────────────────────────────────────
+
+/**
+ * Tier rank of `userId`'s live membership for each creator.
+ * @returns {Promise<Map<string, number>>} creatorId → rank (creators without a live membership are absent)
+ */
+export async function getMemberRanks(userId, creatorIds) {
+    const ranks = new Map();
+    const ids = [...new Set(creatorIds.map(toId).filter(Boolean))];
+    if (!userId || ids.length === 0) return ranks;
+
+    const memberships = await ChannelMembership.find({
+        memberId: userId,
+        creatorId: { $in: ids },
+        status: { $in: LIVE_MEMBERSHIP_STATUSES },
+    }).select('creatorId tierId').lean();
+    if (memberships.length === 0) return ranks;
+
+    const tiers = await MembershipTier.find({ _id: { $in: memberships.map(m => m.tierId) } }).select('rank').lean();
+    const rankByTier = new Map(tiers.map(t => [t._id.toString(), t.rank]));
+    for (const m of memberships) {
+        ranks.set(m.creatorId.toString(), rankByTier.get(m.tierId.toString()) ?? 1);
+    }
+    return ranks;
+}
+
+/**
+ * Which members-only items `userId` can open (creator/admin bypasses are handled by ppvGuard).
+ * @param {Array<Object>} items - { _id, userId, membershipTierId }
+ * @returns {Promise<Set<string>>} content IDs with access
+ */
+export async function batchCheckMembershipAccess(items, userId) {
+    const granted = new Set();
+    if (!userId || items.length === 0) return granted;
+
+    const memberRanks = await getMemberRanks(userId, items.map(item => item.userId));
+    if (memberRanks.size === 0) return granted;
+
+    const requiredTierIds = [...new Set(items.map(item => toId(item.membershipTierId)).filter(Boolean))];
+    const requiredTiers = requiredTierIds.length
+        ? await MembershipTier.find({ _id: { $in: requiredTierIds } }).select('rank').lean()
+        : [];
+    const requiredRankByTier = new Map(requiredTiers.map(t => [t._id.toString(), t.rank]));
+
+    for (const item of items) {
+        const memberRank = memberRanks.get(toId(item.userId));
+        const requiredRank = requiredRankByTier.get(toId(item.membershipTierId));
+        if (tierGrantsAccess(memberRank, requiredRank)) granted.add(item._id.toString());
+    }
+    return granted;
+}
+
+export async function hasMembershipAccess(content, userId) {
+    const granted = await batchCheckMembershipAccess([content], userId);
+    return granted.has(content._id.toString());
+}
+
+// ─── Badges ──────────────────────────────────────────────────────────────────
+
+/**
+ * Member badges for a creator's audience, e.g. commenters on the creator's video or
+ * senders in the creator's community chat.
+ * @returns {Promise<Map<string, { tierId, name, badge, rank }>>} userId → badge
+ */
+export async function getMemberBadges(creatorId, userIds) {
+    const badges = new Map();
+    const ids = [...new Set(userIds.map(toId).filter(Boolean))];
+    if (!creatorId || ids.length === 0) return badges;
+
+    const memberships = await ChannelMembership.find({
+        creatorId,
+        memberId: { $in: ids },
+        status: { $in: LIVE_MEMBERSHIP_STATUSES },
+    }).select('memberId tierId').lean();
+    if (memberships.length === 0) return badges;
+
+    const tiers = await MembershipTier.find({ _id: { $in: memberships.map(m => m.tierId) } })
+        .select('name badge rank')
+        .lean();
+    const tierById = new Map(tiers.map(t => [t._id.toString(), t]));
+    for (const m of memberships) {
+        const tier = tierById.get(m.tierId.toString());
+        if (!tier) continue;
+        badges.set(m.memberId.toString(), {
+            tierId: tier._id,
+            name: tier.name,
+            badge: tier.badge || tier.name,
+            rank: tier.rank,
+        });
+    }
+    return badges;
+}
@@ -0,0 +1,151 @@
+/**
+ * Notification Service — typed in-app notifications with recipient preferences
+ *
+ * Every notification goes through notify():
+ * 1. Drop the actor themselves (no "you liked your own comment")
+ * 2. Drop recipients who turned the type off, muted all notifications, or muted the actor
+ * 3. Insert (dedupeKey → at most one live notification per repeatable action)
+ * 4. Trim each recipient to MAX_NOTIFICATIONS_PER_USER
+ * 5. Push `notification.new` over the realtime gateway
+ *
+ * Notifications are non-critical: failures are logged and never thrown to the caller.
+ */
+
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_TYPES } from '../models/notification.model.js';
+import User from '../models/user.model.js';
+import { getCfUrl } from '../config/cloudfront.js';
+import { publishToUsers } from './realtimeGateway.js';
+
+export const MAX_NOTIFICATIONS_PER_USER = 50;
+export const MAX_MUTED_USERS = 500;
+
+// "@handle" preceded by start/whitespace/punctuation (not part of an email or another word)
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})\b/g;
+const MAX_MENTIONS_PER_TEXT = 10;
+
+/**
+ * Extract lowercase @handles from text (deduplicated, at most MAX_MENTIONS_PER_TEXT)
+ */
+export function extractMentionHandles(text) {
+    if (!text || typeof text !== 'string') return [];
+    const handles = new Set();
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        handles.add(match[2].toLowerCase());
+        if (handles.size >= MAX_MENTIONS_PER_TEXT) break;
+    }
+    return [...handles];
+}
+
+/**
+ * Resolve @handles in text to user IDs via User.channelHandle
+ * @returns {Promise<Array<ObjectId>>}
+ */
+export async function resolveMentions(text) {
+    const handles = extractMentionHandles(text);
+    if (handles.length === 0) return [];
+    const users = await User.find({ channelHandle: { $in: handles } }).select('_id').lean();
+    return users.map(u => u._id);
+}
+
+/**
+ * Whether a recipient wants a notification of this type from this actor right now
+ */
+export function acceptsNotification(recipient, type, actorId = null, now = Date.now()) {
+    if (!recipient) return false;
+    if (recipient.notificationPreferences?.[type] === false) return false;
+    if (recipient.notificationsMutedUntil && new Date(recipient.notificationsMutedUntil).getTime() > now) return false;
+    if (actorId && recipient.mutedNotificationUsers?.some(id => id.toString() === actorId.toString())) return false;
+    return true;
+}
+
+/**
+ * Remove the oldest notifications beyond the per-user cap
+ */
+async function trimNotifications(userId) {
+    const count = await Notification.countDocuments({ userId });
+    if (count <= MAX_NOTIFICATIONS_PER_USER) return;
+    const oldestToRemove = await Notification.find({ userId })
+        .sort({ createdAt: 1 })
+        .limit(count - MAX_NOTIFICATIONS_PER_USER)
+        .select('_id')
+        .lean();
+    await Notification.deleteMany({ _id: { $in: oldestToRemove.map(n => n._id) } });
+}
+
+/**
+ * Create notifications of one type for a set of recipients.
+ *
+ * @param {Object} params
+ * @param {string} params.type - One of NOTIFICATION_TYPES
+ * @param {Array<string|ObjectId>} params.recipientIds
+ * @param {string|ObjectId} params.actorId - Who triggered it (excluded from recipients)
+ * @param {Object} params.fields - Extra Notification fields (contentId, commentId, title, message, ...)
+ * @param {function(recipientId): string} params.dedupeKey - Optional per-recipient dedupe key
+ * @returns {Promise<number>} Number of notifications created
+ */
+export async function notify({ type, recipientIds, actorId = null, fields = {}, dedupeKey = null }) {
+    try {
+        if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+
+        const uniqueIds = [...new Set((recipientIds || []).map(String))]
+            .filter(id => mongoose.Types.ObjectId.isValid(id) && id !== actorId?.toString());
+        if (uniqueIds.length === 0) return 0;
+
+        const recipients = await User.find({ _id: { $in: uniqueIds } })
+            .select('notificationPreferences notificationsMutedUntil mutedNotificationUsers')
+            .lean();
+        const accepted = recipients.filter(r => acceptsNotification(r, type, actorId));
+        if (accepted.length === 0) return 0;
+
+        let actorSnapshot = {};
+        if (actorId && fields.actorName === undefined) {
+            const actor = await User.findById(actorId).select('userName channelName channelPicture').lean();
+            actorSnapshot = {
+                actorName: actor?.channelName || actor?.userName || '',
+                actorPicture: actor?.channelPicture ? getCfUrl(actor.channelPicture) : '',
+            };
+        }
+
+        const docs = accepted.map(r => ({
+            ...fields,
+            ...actorSnapshot,
+            type,
+            userId: r._id,
+            actorId,
+            ...(dedupeKey ? { dedupeKey: dedupeKey(r._id) } : {}),
+        }));
+
+        let created = [];
+        try {
+            created = await Notification.insertMany(docs, { ordered: false });
+        } catch (err) {
+            // Duplicate dedupeKeys are expected; keep whatever was inserted
+            if (err.code !== 11000 && !err.writeErrors) throw err;
+            created = err.insertedDocs || [];
+        }
+        if (created.length === 0) return 0;
+
+        for (const n of created) {
+            await trimNotifications(n.userId);
+            publishToUsers([n.userId.toString()], 'notification.new', {
+                _id: n._id,
+                type: n.type,
+                title: n.title,
+                message: n.message,
+                contentId: n.contentId || null,
+                commentId: n.commentId || null,
+                communityId: n.communityId || null,
+                communityPostId: n.communityPostId || null,
+                actorId: n.actorId || null,
+                actorName: n.actorName,
+                actorPicture: n.actorPicture,
+                createdAt: n.createdAt,
+            });
+        }
+        return created.length;
+    } catch (error) {
+        console.error(`Error creating ${type} notifications:`, error);
+        return 0;
+    }
+}
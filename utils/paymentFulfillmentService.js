@@ -4,6 +4,9 @@ import Purchase from "../models/purchase.model.js";
 import Content from "../models/content.model.js";
 import SecondaryWallet from "../models/secondaryWallet.model.js";
 import { ensurePrimaryWallet, ensureSecondaryWallet, creditWallet } from "./walletService.js";
+import { finalizeCouponRedemption } from "./ppvPricing.js";
+import { notify } from "./notificationService.js";
+import { emitWebhookEvent, ppvEventData } from "./webhooks.js";
 
 import { sendWalletRechargeEmail, sendPpvRentalEmail } from "../services/paymentEmailService.js";
 
@@ -77,6 +80,8 @@ import { calculateTaxBreakdown } from './taxCalculator.js';
 /**
  * Fulfills a PPV Purchase.
  * Handles creating the Purchase record, updating PaymentDetails, and crediting the creator.
+ * `amount` is the discounted price actually paid; the promo snapshot (list price, coupon)
+ * is copied from the PENDING PaymentDetails created at order time.
  */
 export async function fulfillPpvPurchase({ orderId, paymentId, amount, currency, userId, contentId }) {
   console.log(`\n=================== [PPV_PG_FULFILL_INIT] ===================`);
@@ -120,9 +125,19 @@ export async function fulfillPpvPurchase({ orderId, paymentId, amount, currency,
     tdsAmount: tax.tdsAmount,
     tcsAmount: tax.tcsAmount,
     creatorPayout: tax.creatorPayout,
+    listPrice: existingPayment?.listPrice ?? amount,
+    discountAmount: existingPayment?.discountAmount || 0,
+    couponId: existingPayment?.couponId || null,
+    couponCode: existingPayment?.couponCode || null,
     status: 'active',
     expiresAt
   });
+
+  if (existingPayment?.couponId) {
+    await finalizeCouponRedemption(orderId, purchase._id).catch(err => {
+      console.error('❌ [PPV_PG_COUPON_REDEEM_ERROR] Failed to finalize coupon redemption:', err);
+    });
+  }
   
   if (existingPayment) {
     existingPayment.status = "SUCCESS";
@@ -148,7 +163,7 @@ export async function fulfillPpvPurchase({ orderId, paymentId, amount, currency,
   // 2. Credit Creator
   try {
     if (contentId) {
-      const content = await Content.findById(contentId).select('userId').lean();
+      const content = await Content.findById(contentId).select('userId title').lean();
       if (content?.userId) {
         const creatorId = content.userId.toString();
         const creatorAmount = tax.creatorPayout;
@@ -178,6 +193,19 @@ export async function fulfillPpvPurchase({ orderId, paymentId, amount, currency,
         } finally {
           await session.endSession();
         }
+
+        notify({
+          type: 'ppv_purchase',
+          recipientIds: [creatorId],
+          actorId: userId,
+          fields: { contentId, title: content.title || '', message: `Rented for ₹${amount}` },
+          dedupeKey: () => `ppv_purchase:${purchase._id}`,
+        });
+
+        emitWebhookEvent('ppv.purchased', {
+          creatorId,
+          data: ppvEventData(purchase, { title: content.title || '', creatorEarning: creatorAmount, paymentMethod: 'gateway' }),
+        });
       }
     }
   } catch (creatorWalletErr) {
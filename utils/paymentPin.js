@@ -0,0 +1,69 @@
+/**
+ * Payment PIN check for wallet spends (PPV rentals, channel memberships)
+ *
+ * Same rules everywhere: a 4-digit PIN, locked after 3 wrong attempts until the
+ * user resets it from the Wallet page. A correct PIN resets the failure counter.
+ */
+
+import bcrypt from 'bcryptjs';
+
+export const MAX_PIN_ATTEMPTS = 3;
+
+/**
+ * Verify `pin` against the buyer's PrimaryWallet document (mutates and saves the
+ * failure counter).
+ *
+ * @param {PrimaryWallet} wallet - Mongoose document (not lean)
+ * @param {string|number} pin
+ * @returns {Promise<Object|null>} null when the PIN is correct, otherwise the 400 response body
+ */
+export async function checkPaymentPin(wallet, pin) {
+    if (!wallet.isPinSet) {
+        return {
+            error: 'Payment PIN is not set. Please set your PIN in Wallet page first.',
+            isPinSet: false,
+        };
+    }
+
+    if (wallet.isPinLocked) {
+        return {
+            error: 'Payment PIN is locked due to 3 incorrect attempts. Please update/reset your PIN in Wallet page.',
+            isPinLocked: true,
+        };
+    }
+
+    if (!pin || !/^\d{4}$/.test(String(pin).trim())) {
+        return {
+            error: 'Please enter your 4-digit Payment PIN',
+            pinRequired: true,
+        };
+    }
+
+    const isPinValid = await bcrypt.compare(String(pin).trim(), wallet.pinHash);
+    if (!isPinValid) {
+        wallet.failedPinAttempts = (wallet.failedPinAttempts || 0) + 1;
+        if (wallet.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+            wallet.isPinLocked = true;
+            await wallet.save();
+            return {
+                error: 'Incorrect PIN. Your Payment PIN has been locked due to 3 incorrect attempts. Please update your PIN in Wallet page.',
+                isPinLocked: true,
+                failedPinAttempts: MAX_PIN_ATTEMPTS,
+            };
+        }
+        await wallet.save();
+        const remaining = MAX_PIN_ATTEMPTS - wallet.failedPinAttempts;
+        return {
+            error: `Incorrect PIN. ${remaining} attempt(s) remaining.`,
+            remainingAttempts: remaining,
+            failedPinAttempts: wallet.failedPinAttempts,
+        };
+    }
+
+    // Reset failed PIN attempts on successful validation
+    if (wallet.failedPinAttempts > 0) {
+        wallet.failedPinAttempts = 0;
+        await wallet.save();
+    }
+    return null;
+}
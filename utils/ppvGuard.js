@@ -7,11 +7,43 @@
  *
  * This file is the SINGLE source of truth for the PPV access check.
  * Do not duplicate this logic elsewhere.
+ *
+ * Members-only content (visibility 'members_only') goes through the same checks:
+ * access is granted by a live channel membership of a high enough tier instead of
+ * a Purchase (see utils/memberships.js).
  */
 
 import Purchase from '../models/purchase.model.js';
 import Admin from '../models/admin.model.js';
 import User from '../models/user.model.js';
+import { isSaleActive } from './ppvPricing.js';
+import { hasMembershipAccess, batchCheckMembershipAccess } from './memberships.js';
+
+/** Visibilities whose media is only served to viewers with access */
+export const GATED_VISIBILITIES = ['pay_per_view', 'members_only'];
+
+export const isGatedContent = (item) => GATED_VISIBILITIES.includes(item?.visibility);
+
+/**
+ * Flags telling the client why an item is locked: ppvRequired (rent it) or
+ * membershipRequired (join the channel, optionally at a minimum tier).
+ */
+export function gateFlags(item) {
+    if (item?.visibility === 'members_only') {
+        return { membershipRequired: true, membershipTierId: item.membershipTierId || null };
+    }
+    return { ppvRequired: true };
+}
+
+/**
+ * 403 body for a single gated item the viewer cannot open.
+ */
+export function gateDeniedBody(content) {
+    if (content?.visibility === 'members_only') {
+        return { error: 'Membership required', ...gateFlags(content) };
+    }
+    return { error: 'Purchase required', ppvRequired: true, price: content.price };
+}
 
 /**
  * Check if a userId belongs to an Admin or SuperAdmin
@@ -37,10 +69,13 @@ export async function isAdminUser(userId) {
  * Check whether a user has active PPV access for a given content document.
  *
  * Returns `true` (access granted) if any of the following hold:
- *   1. Content is not pay_per_view (public, unlisted, private, etc.)
+ *   1. Content is neither pay_per_view nor members_only (public, unlisted, private, etc.)
  *   2. The requesting user is an Admin or SuperAdmin
  *   3. The requesting user is the content creator
- *   4. The user has an active, non-expired Purchase record for this content
+ *   4. PPV: the user has an active, non-expired Purchase record for this content
+ *   5. Members-only: the user has a live membership of the required tier (or higher)
+ *
+ * Refunded purchases (status 'refunded', see walletService.executePpvRefund) never grant access.
  *
  * Returns `false` (access denied) otherwise.
  *
@@ -49,12 +84,12 @@ export async function isAdminUser(userId) {
  * @returns {Promise<boolean>}
  */
 export async function hasPpvAccess(content, userId) {
-    // Not PPV → always allowed
-    if (!content || content.visibility !== 'pay_per_view') {
+    // Not gated → always allowed
+    if (!content || !isGatedContent(content)) {
         return true;
     }
 
-    // Anonymous users can never access PPV content
+    // Anonymous users can never access PPV or members-only content
     if (!userId) {
         return false;
     }
@@ -70,6 +105,10 @@ export async function hasPpvAccess(content, userId) {
         return true;
     }
 
+    if (content.visibility === 'members_only') {
+        return hasMembershipAccess(content, userId);
+    }
+
     // Check for an active, non-expired purchase
     const purchase = await Purchase.findOne({
         contentId: content._id,
@@ -87,7 +126,7 @@ export async function hasPpvAccess(content, userId) {
  * Used by feed/search/listing controllers to sanitize PPV items in bulk responses.
  *
  * @param {Object} item - Content item (plain object)
- * @returns {Object} - Same item with media fields nulled and ppvRequired flag set
+ * @returns {Object} - Same item with media fields nulled and ppvRequired / membershipRequired set
  */
 export function stripMediaFields(item) {
     return {
@@ -102,9 +141,10 @@ export function stripMediaFields(item) {
         hlsKey: undefined,
         processedKey: undefined,
         originalKey: undefined,
-        // PPV gate flags
-        ppvRequired: true,
+        // Gate flags
+        ...gateFlags(item),
         price: item.price || null,
+        salePrice: isSaleActive(item) ? item.salePrice : null,
     };
 }
 
@@ -115,10 +155,13 @@ export function stripMediaFields(item) {
  *
  * @param {Array<Object>} items - Array of content items
  * @param {string|null} userId - Requesting user's ID
- * @returns {Promise<Set<string>>} - Set of content IDs the user has purchased
+ * Members-only items are included: their IDs are in the Set when the user's membership
+ * tier unlocks them.
+ *
+ * @returns {Promise<Set<string>>} - Set of content IDs the user has purchased or unlocked
  */
 export async function batchCheckPpvAccess(items, userId) {
-    const ppvItems = items.filter(item => item.visibility === 'pay_per_view');
+    const ppvItems = items.filter(isGatedContent);
     if (ppvItems.length === 0) return new Set();
 
     // If no user, no access to any PPV item
@@ -132,16 +175,24 @@ export async function batchCheckPpvAccess(items, userId) {
     // Creator always has access to their own content
     const accessSet = new Set();
     const needsPurchaseCheck = [];
+    const needsMembershipCheck = [];
 
     for (const item of ppvItems) {
         const creatorId = item.userId?._id?.toString() || item.userId?.toString();
         if (creatorId === userId) {
             accessSet.add(item._id.toString());
+        } else if (item.visibility === 'members_only') {
+            needsMembershipCheck.push(item);
         } else {
             needsPurchaseCheck.push(item._id);
         }
     }
 
+    if (needsMembershipCheck.length > 0) {
+        const unlocked = await batchCheckMembershipAccess(needsMembershipCheck, userId);
+        for (const id of unlocked) accessSet.add(id);
+    }
+
     if (needsPurchaseCheck.length > 0) {
         const purchases = await Purchase.find({
             contentId: { $in: needsPurchaseCheck },
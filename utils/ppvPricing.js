@@ -0,0 +1,311 @@
+/**
+ * PPV Pricing — sale prices and coupon codes for pay-per-view content
+ *
+ * Price resolution (single source of truth for what a buyer pays):
+ *   1. listPrice  = Content.price
+ *   2. sale       = Content.salePrice while now ∈ [saleStartsAt, saleEndsAt)
+ *   3. coupon     = creator coupon applied on top of the (sale) price
+ *   4. finalPrice = never below MIN_PPV_PRICE
+ *
+ * The final price is what gets charged and what calculateTaxBreakdown() runs on,
+ * so GST, platform commission and creator payout all follow the discounted price.
+ *
+ * Coupon limits:
+ * - maxRedemptions is enforced with an atomic conditional $inc on Coupon.redemptionCount
+ * - perUserLimit is enforced the same way on the buyer's CouponUsage counter
+ * - Gateway orders reserve a use before the gateway order is created; reservations not
+ *   fulfilled within COUPON_RESERVATION_TTL_MS are released back to the coupon (and the
+ *   buyer) — before every quote for that buyer, and before every claim.
+ */
+import mongoose from 'mongoose';
+import Content from '../models/content.model.js';
+import Coupon from '../models/coupon.model.js';
+import CouponRedemption from '../models/couponRedemption.model.js';
+import CouponUsage from '../models/couponUsage.model.js';
+
+export const MIN_PPV_PRICE = 1;                        // gateways reject orders below ₹1
+export const MAX_PERCENT_DISCOUNT = 90;                // creators can't give PPV away via coupons
+export const COUPON_RESERVATION_TTL_MS = 30 * 60 * 1000; // 30 min to complete a gateway payment
+
+/**
+ * Round to 2 decimal places (paisa precision)
+ */
+function round2(n) {
+    return Number(Math.round(n * 100) / 100);
+}
+
+/**
+ * Normalise a user-entered coupon code. Returns null for empty/invalid input.
+ */
+export function normalizeCouponCode(code) {
+    if (typeof code !== 'string') return null;
+    const normalized = code.trim().toUpperCase();
+    return /^[A-Z0-9_-]{3,32}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Whether a content's sale price is in effect right now.
+ */
+export function isSaleActive(content, now = Date.now()) {
+    if (!content?.salePrice || !content.price || content.salePrice >= content.price) return false;
+    if (content.saleStartsAt && new Date(content.saleStartsAt).getTime() > now) return false;
+    if (content.saleEndsAt && new Date(content.saleEndsAt).getTime() <= now) return false;
+    return true;
+}
+
+/**
+ * Price before coupons — the sale price while a sale runs, otherwise Content.price.
+ */
+export function getEffectivePrice(content, now = Date.now()) {
+    return isSaleActive(content, now) ? content.salePrice : content.price;
+}
+
+/**
+ * Discount a coupon gives on a price (already capped so the result stays ≥ MIN_PPV_PRICE).
+ */
+export function computeCouponDiscount(coupon, price) {
+    if (!coupon || !price) return 0;
+    const raw = coupon.discountType === 'percent'
+        ? price * Math.min(coupon.discountValue, MAX_PERCENT_DISCOUNT) / 100
+        : coupon.discountValue;
+    return round2(Math.max(0, Math.min(raw, price - MIN_PPV_PRICE)));
+}
+
+/**
+ * Static coupon checks (no DB): active flag, date window, creator and content scope.
+ * @returns {string|null} Error message, or null when the coupon can apply
+ */
+export function checkCouponApplicable(coupon, content, now = Date.now()) {
+    if (!coupon || !coupon.isActive) return 'Invalid coupon code';
+    if (coupon.creatorId?.toString() !== (content.userId?._id || content.userId)?.toString()) {
+        return 'Invalid coupon code';
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt).getTime() > now) return 'This coupon is not active yet';
+    if (coupon.expiresAt && new Date(coupon.expiresAt).getTime() <= now) return 'This coupon has expired';
+    if (coupon.contentIds?.length && !coupon.contentIds.some(id => id.toString() === content._id.toString())) {
+        return 'This coupon does not apply to this content';
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+        return 'This coupon has been fully redeemed';
+    }
+    return null;
+}
+
+/**
+ * Quote what a user pays for a PPV item, optionally with a coupon code.
+ *
+ * @param {Object} content - Needs _id, userId, price, salePrice, saleStartsAt, saleEndsAt
+ * @param {string} userId - Buyer
+ * @param {string|null} couponCode
+ * @returns {Promise<{ listPrice, salePrice, saleEndsAt, coupon, couponCode, discountAmount, finalPrice, error }>}
+ */
+export async function quotePpvPrice(content, userId, couponCode = null) {
+    const now = Date.now();
+    const listPrice = content.price;
+    const effectivePrice = getEffectivePrice(content, now);
+    const quote = {
+        listPrice,
+        salePrice: isSaleActive(content, now) ? content.salePrice : null,
+        saleEndsAt: isSaleActive(content, now) ? content.saleEndsAt || null : null,
+        coupon: null,
+        couponCode: null,
+        discountAmount: round2(listPrice - effectivePrice),
+        finalPrice: effectivePrice,
+        error: null,
+    };
+
+    if (!couponCode) return quote;
+
+    const code = normalizeCouponCode(couponCode);
+    const coupon = code
+        ? await Coupon.findOne({ creatorId: content.userId?._id || content.userId, code }).lean()
+        : null;
+
+    const staticError = checkCouponApplicable(coupon, content, now);
+    if (staticError) return { ...quote, error: staticError };
+
+    // An abandoned checkout must not lock the buyer out of the coupon
+    await releaseStaleReservations(coupon._id, userId);
+    const used = await CouponRedemption.countDocuments({
+        couponId: coupon._id,
+        userId,
+        status: { $in: ['reserved', 'redeemed'] },
+    });
+    if (used >= coupon.perUserLimit) {
+        return { ...quote, error: 'You have already used this coupon' };
+    }
+
+    const couponDiscount = computeCouponDiscount(coupon, effectivePrice);
+    if (couponDiscount <= 0) return { ...quote, error: 'This coupon cannot be applied to this price' };
+
+    return {
+        ...quote,
+        coupon,
+        couponCode: coupon.code,
+        discountAmount: round2(quote.discountAmount + couponDiscount),
+        finalPrice: round2(effectivePrice - couponDiscount),
+    };
+}
+
+/**
+ * Return stale gateway reservations of a coupon (optionally one buyer's) to its pool.
+ * Each reservation is flipped individually so concurrent callers can't double-release.
+ */
+export async function releaseStaleReservations(couponId, userId = null) {
+    const cutoff = new Date(Date.now() - COUPON_RESERVATION_TTL_MS);
+    const filter = { couponId, status: 'reserved', createdAt: { $lt: cutoff } };
+    if (userId) filter.userId = userId;
+    const stale = await CouponRedemption.find(filter)
+        .select('_id orderId')
+        .limit(100)
+        .lean();
+
+    for (const r of stale) {
+        await releaseCouponRedemption(r.orderId);
+    }
+}
+
+/**
+ * Take one of the buyer's uses of a coupon (atomic against perUserLimit).
+ * The counter is created from the buyer's existing uses the first time it's needed.
+ * @throws {Error} when the buyer has no uses left
+ */
+async function claimUserUse(coupon, userId, session) {
+    const key = { couponId: coupon._id, userId };
+    if (!(await CouponUsage.exists(key).session(session))) {
+        const existing = await CouponRedemption.countDocuments({ ...key, status: { $in: ['reserved', 'redeemed'] } })
+            .session(session);
+        try {
+            await CouponUsage.updateOne(key, { $setOnInsert: { count: existing } }, { upsert: true, session });
+        } catch (err) {
+            // A concurrent claim created it first — fine outside a transaction
+            if (err.code !== 11000 || session) throw err;
+        }
+    }
+
+    const usage = await CouponUsage.findOneAndUpdate(
+        { ...key, count: { $lt: coupon.perUserLimit } },
+        { $inc: { count: 1 } },
+        { new: true, session }
+    );
+    if (!usage) throw new Error('You have already used this coupon');
+}
+
+async function returnUserUse(couponId, userId) {
+    await CouponUsage.updateOne({ couponId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
+
+/**
+ * Claim one use of a coupon for an order (atomic against maxRedemptions and perUserLimit).
+ *
+ * @param {Object} quote - Result of quotePpvPrice() with a coupon
+ * @param {Object} params - { userId, contentId, orderId, status: 'reserved'|'redeemed', purchaseId }
+ * @param {ClientSession} session - Optional MongoDB session
+ * @throws {Error} when the coupon ran out between quote and claim
+ */
+export async function claimCouponRedemption(quote, { userId, contentId, orderId, status = 'reserved', purchaseId = null }, session = null) {
+    const coupon = quote.coupon;
+    if (!coupon) return null;
+
+    if (!session) await releaseStaleReservations(coupon._id);
+
+    await claimUserUse(coupon, userId, session);
+
+    const claimed = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            isActive: true,
+            $or: [
+                { maxRedemptions: null },
+                { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } },
+            ],
+        },
+        { $inc: { redemptionCount: 1 } },
+        { new: true, session }
+    );
+    if (!claimed) {
+        // Inside a transaction the abort undoes the user's use; otherwise give it back
+        if (!session) await returnUserUse(coupon._id, userId);
+        throw new Error('This coupon has been fully redeemed');
+    }
+
+    const [redemption] = await CouponRedemption.create([{
+        couponId: coupon._id,
+        userId,
+        contentId,
+        orderId,
+        purchaseId,
+        listPrice: quote.listPrice,
+        discountAmount: quote.discountAmount,
+        status,
+    }], session ? { session } : {});
+
+    return redemption;
+}
+
+/**
+ * Mark a gateway reservation as redeemed once payment is confirmed.
+ * A reservation that was already released (payment completed after the TTL) is
+ * re-claimed — the buyer has paid, so the use is honoured even if it overshoots the cap.
+ */
+export async function finalizeCouponRedemption(orderId, purchaseId) {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { orderId, status: { $in: ['reserved', 'released'] } },
+        { $set: { status: 'redeemed', purchaseId } },
+        { new: false }
+    );
+    if (redemption?.status === 'released') {
+        await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { redemptionCount: 1 } });
+        await CouponUsage.updateOne(
+            { couponId: redemption.couponId, userId: redemption.userId },
+            { $inc: { count: 1 } },
+            { upsert: true }
+        );
+    }
+    return redemption;
+}
+
+/**
+ * Release a reservation (payment failed / abandoned) and give the use back.
+ */
+export async function releaseCouponRedemption(orderId) {
+    const released = await CouponRedemption.findOneAndUpdate(
+        { orderId, status: 'reserved' },
+        { $set: { status: 'released' } },
+        { new: true }
+    );
+    if (released) {
+        await Coupon.updateOne(
+            { _id: released.couponId, redemptionCount: { $gt: 0 } },
+            { $inc: { redemptionCount: -1 } }
+        );
+        await returnUserUse(released.couponId, released.userId);
+    }
+    return released;
+}
+
+/**
+ * Move a reservation to the gateway's own order id (Razorpay issues it only after the
+ * use was reserved under our receipt id).
+ */
+export async function rekeyCouponRedemption(orderId, gatewayOrderId) {
+    await CouponRedemption.updateOne({ orderId, status: 'reserved' }, { $set: { orderId: gatewayOrderId } });
+}
+
+/**
+ * Server-side price for a gateway (Razorpay/Cashfree) order.
+ * Returns null when the order isn't for PPV content (e.g. wallet recharge) so the
+ * caller keeps the client-supplied amount.
+ *
+ * @returns {Promise<null|Object>} quotePpvPrice() result (check .error)
+ */
+export async function resolveGatewayPpvPricing(contentId, userId, couponCode = null) {
+    if (!contentId || !mongoose.Types.ObjectId.isValid(contentId)) return null;
+
+    const content = await Content.findById(contentId)
+        .select('userId visibility price salePrice saleStartsAt saleEndsAt')
+        .lean();
+    if (!content || content.visibility !== 'pay_per_view' || !content.price) return null;
+
+    return quotePpvPrice(content, userId, couponCode);
+}
@@ -0,0 +1,266 @@
+/**
+ * Realtime Gateway — Server-Sent Events push for chat, fanned out across instances via Redis.
+ *
+ * How it works:
+ * - Each open SSE stream registers under one or more topics:
+ *     user:<userId>            — DMs, group chats, read receipts, typing (always joined)
+ *     community:<communityId>  — community chat (joined for every ACTIVE membership at connect time,
+ *                                left again via leaveTopic() on ban, removal, leave or deletion)
+ * - Controllers call publishToUsers() / publishToCommunity() after a successful write.
+ *   The event is delivered to local streams immediately and published on the
+ *   `realtime:events` Redis channel; other instances deliver it to their own streams.
+ * - Without Redis (REDIS_URL unset / down) delivery is local-only, which is exactly
+ *   right for a single instance.
+ *
+ * Events are best-effort: clients should still refetch on reconnect.
+ */
+import crypto from 'crypto';
+import { getRedisClient } from './redisClient.js';
+
+export const REDIS_CHANNEL = 'realtime:events';
+export const HEARTBEAT_INTERVAL_MS = 25 * 1000;  // below common proxy idle timeouts (30–60s)
+export const MAX_STREAMS_PER_USER = 5;           // tabs/devices per user on one instance
+
+// Identifies this process so it can skip its own messages coming back from Redis
+const INSTANCE_ID = crypto.randomUUID();
+
+// topic → Set<client>, where client = { id, userId, res, topics }
+const topics = new Map();
+// userId → Set<client> (for the per-user connection cap)
+const userClients = new Map();
+
+let subscriber = null;
+let heartbeatTimer = null;
+
+/**
+ * Format one SSE frame. Data is always JSON on a single line.
+ */
+export function formatSseEvent(event, data, id) {
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data ?? {})}\n\n`;
+    return frame;
+}
+
+export const userTopic = (userId) => `user:${userId}`;
+export const communityTopic = (communityId) => `community:${communityId}`;
+
+function deliverLocal(topic, frame) {
+    const clients = topics.get(topic);
+    if (!clients) return 0;
+    for (const client of clients) {
+        try {
+            client.res.write(frame);
+        } catch {
+            removeClient(client);
+        }
+    }
+    return clients.size;
+}
+
+/**
+ * Take local streams (one user's, or all when userId is null) off a topic, telling each
+ * affected stream with `frame` first.
+ */
+function leaveLocal(topic, userId, frame) {
+    const clients = topics.get(topic);
+    if (!clients) return 0;
+    let left = 0;
+    for (const client of [...clients]) {
+        if (userId && client.userId !== userId) continue;
+        clients.delete(client);
+        client.topics.delete(topic);
+        left++;
+        if (!frame) continue;
+        try {
+            client.res.write(frame);
+        } catch {
+            removeClient(client);
+        }
+    }
+    if (clients.size === 0) topics.delete(topic);
+    return left;
+}
+
+/**
+ * Lazily subscribe to the Redis fan-out channel (needs its own connection —
+ * a subscribed ioredis client can't run normal commands).
+ */
+function ensureSubscriber() {
+    if (subscriber) return;
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+        subscriber = redis.duplicate();
+        subscriber.on('error', (err) => console.error('❌ Realtime subscriber error:', err.message));
+        subscriber.on('message', (channel, raw) => {
+            if (channel !== REDIS_CHANNEL) return;
+            try {
+                const { origin, topic, frame, leave, userId } = JSON.parse(raw);
+                if (origin === INSTANCE_ID) return; // already delivered locally
+                if (leave) leaveLocal(topic, userId, frame);
+                else deliverLocal(topic, frame);
+            } catch (err) {
+                console.error('⚠️ Realtime: bad fan-out payload:', err.message);
+            }
+        });
+        subscriber.subscribe(REDIS_CHANNEL).catch((err) => {
+            console.error('❌ Realtime subscribe failed:', err.message);
+            subscriber = null;
+        });
+    } catch (err) {
+        console.error('❌ Realtime subscriber init error:', err.message);
+        subscriber = null;
+    }
+}
+
+function ensureHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+        for (const clients of userClients.values()) {
+            for (const client of clients) {
+                try {
+                    client.res.write(': ping\n\n');
+                } catch {
+                    removeClient(client);
+                }
+            }
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref?.();
+}
+
+function removeClient(client) {
+    for (const topic of client.topics) {
+        const set = topics.get(topic);
+        if (!set) continue;
+        set.delete(client);
+        if (set.size === 0) topics.delete(topic);
+    }
+    const own = userClients.get(client.userId);
+    if (own) {
+        own.delete(client);
+        if (own.size === 0) userClients.delete(client.userId);
+    }
+    if (userClients.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+/**
+ * Register an SSE response. Writes the stream headers and a `ready` event.
+ * The client is removed automatically when the request closes.
+ *
+ * @param {Object} req - Express request (used for close detection)
+ * @param {Object} res - Express response
+ * @param {string} userId - Authenticated user
+ * @param {string[]} extraTopics - Additional topics (e.g. community:<id>)
+ * @returns {Object|null} The client, or null when the user has too many open streams
+ */
+export function registerStream(req, res, userId, extraTopics = []) {
+    const own = userClients.get(userId);
+    if (own && own.size >= MAX_STREAMS_PER_USER) return null;
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // disable nginx buffering
+    });
+    res.flushHeaders?.();
+
+    const client = {
+        id: crypto.randomUUID(),
+        userId,
+        res,
+        topics: new Set([userTopic(userId), ...extraTopics]),
+    };
+
+    for (const topic of client.topics) {
+        if (!topics.has(topic)) topics.set(topic, new Set());
+        topics.get(topic).add(client);
+    }
+    if (!userClients.has(userId)) userClients.set(userId, new Set());
+    userClients.get(userId).add(client);
+
+    req.on('close', () => removeClient(client));
+
+    ensureSubscriber();
+    ensureHeartbeat();
+
+    // Reconnect hint for EventSource, then a hello so clients know the stream is live
+    res.write('retry: 3000\n\n');
+    res.write(formatSseEvent('ready', { connectionId: client.id, topics: [...client.topics] }));
+    return client;
+}
+
+/**
+ * Publish an event to a topic on every instance.
+ */
+export function publish(topic, event, data) {
+    const frame = formatSseEvent(event, data, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`);
+    deliverLocal(topic, frame);
+
+    const redis = getRedisClient();
+    if (!redis) return;
+    redis.publish(REDIS_CHANNEL, JSON.stringify({ origin: INSTANCE_ID, topic, frame }))
+        .catch((err) => console.error('⚠️ Realtime publish failed:', err.message));
+}
+
+/**
+ * Publish an event to each user's personal topic (deduplicated).
+ * @param {Array<string|ObjectId>} userIds
+ */
+export function publishToUsers(userIds, event, data) {
+    const unique = new Set((userIds || []).filter(Boolean).map(id => id.toString()));
+    for (const userId of unique) publish(userTopic(userId), event, data);
+}
+
+/**
+ * Publish an event to everyone streaming a community's chat.
+ */
+export function publishToCommunity(communityId, event, data) {
+    if (!communityId) return;
+    publish(communityTopic(communityId.toString()), event, data);
+}
+
+/**
+ * Stop delivering a topic to open streams on every instance — one user's streams, or
+ * everyone's when userId is null. Affected streams receive `event` (if given) with `data`.
+ */
+export function leaveTopic(topic, { userId = null, event = null, data = {} } = {}) {
+    const user = userId ? userId.toString() : null;
+    const frame = event ? formatSseEvent(event, data, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`) : null;
+    leaveLocal(topic, user, frame);
+
+    const redis = getRedisClient();
+    if (!redis) return;
+    redis.publish(REDIS_CHANNEL, JSON.stringify({ origin: INSTANCE_ID, topic, frame, leave: true, userId: user }))
+        .catch((err) => console.error('⚠️ Realtime publish failed:', err.message));
+}
+
+/**
+ * Drop a community's chat from a member's open streams (userId), or from everyone's.
+ * @param {'banned'|'removed'|'left'|'deleted'} reason
+ */
+export function leaveCommunityTopic(communityId, userId, reason) {
+    if (!communityId) return;
+    leaveTopic(communityTopic(communityId.toString()), {
+        userId,
+        event: 'community.left',
+        data: { communityId: communityId.toString(), reason },
+    });
+}
+
+/**
+ * Number of local streams (for health checks / tests).
+ */
+export function getLocalStreamCount() {
+    let count = 0;
+    for (const clients of userClients.values()) count += clients.size;
+    return count;
+}
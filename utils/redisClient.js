@@ -3,7 +3,8 @@
  *
  * Used for:
  * - Resume position storage (low-latency reads/writes)
- * - Future: rate limiting, caching, session storage
+ * - Shared short-lived state: OTPs, attempt counters, rate limits (see utils/stateStore.js)
+ * - Future: caching, session storage
  *
  * Connection is lazy — connects on first use.
  * Falls back gracefully if Redis is unavailable.
@@ -23,7 +24,7 @@ export function getRedisClient() {
 
     const redisUrl = process.env.REDIS_URL;
     if (!redisUrl) {
-        console.warn('⚠️  REDIS_URL not set — resume position will use MongoDB fallback');
+        console.warn('⚠️  REDIS_URL not set — resume position will use MongoDB fallback, OTP/rate-limit state will be in-memory');
         connectionFailed = true;
         return null;
     }
@@ -0,0 +1,188 @@
+/**
+ * S3 storage driver (see utils/storage.js for the shared interface)
+ *
+ * Also works against S3-compatible servers such as MinIO:
+ *   S3_ENDPOINT=http://localhost:9000  S3_FORCE_PATH_STYLE=true
+ */
+
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+export function createS3Storage({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.AWS_REGION,
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    cdnDomain = process.env.CLOUDFRONT_DOMAIN,
+} = {}) {
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        },
+        maxAttempts: 5,
+    });
+
+    const isNotFound = (err) => err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+
+    return {
+        name: 's3',
+        bucket,
+
+        async put(key, body, { contentType, cacheControl, contentLength, encrypt } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                CacheControl: cacheControl,
+                ContentLength: contentLength,
+                ServerSideEncryption: encrypt ? 'AES256' : undefined,
+            }));
+        },
+
+        async get(key, { range } = {}) {
+            const obj = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+            return {
+                body: obj.Body,
+                contentType: obj.ContentType,
+                contentLength: obj.ContentLength,
+                contentRange: obj.ContentRange,
+                etag: obj.ETag,
+                lastModified: obj.LastModified,
+            };
+        },
+
+        async head(key) {
+            try {
+                const obj = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { contentType: obj.ContentType, contentLength: obj.ContentLength, lastModified: obj.LastModified };
+            } catch (err) {
+                if (isNotFound(err)) return null;
+                throw err;
+            }
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async deleteMany(keys) {
+            // DeleteObjects accepts at most 1000 keys per call
+            for (let i = 0; i < keys.length; i += 1000) {
+                await client.send(new DeleteObjectsCommand({
+                    Bucket: bucket,
+                    Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true },
+                }));
+            }
+        },
+
+        async list(prefix, { limit = 1000, cursor } = {}) {
+            const res = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                MaxKeys: limit,
+                ContinuationToken: cursor,
+            }));
+            return {
+                objects: (res.Contents || []).map(o => ({ key: o.Key, size: o.Size, lastModified: o.LastModified })),
+                cursor: res.IsTruncated ? res.NextContinuationToken : null,
+            };
+        },
+
+        async copy(sourceKey, destKey) {
+            await client.send(new CopyObjectCommand({
+                Bucket: bucket,
+                CopySource: `${bucket}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`,
+                Key: destKey,
+            }));
+        },
+
+        async presignGet(key, { expiresIn = 3600, downloadName, contentType } = {}) {
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ResponseContentDisposition: downloadName ? `attachment; filename="${downloadName}"` : undefined,
+                ResponseContentType: contentType,
+            }), { expiresIn });
+        },
+
+        async presignPut(key, { expiresIn = 3600, contentType } = {}) {
+            return getSignedUrl(client, new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType }), { expiresIn });
+        },
+
+        async createMultipartUpload(key, { contentType } = {}) {
+            const res = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType }));
+            return res.UploadId;
+        },
+
+        async presignUploadPart(key, uploadId, partNumber, { expiresIn = 3600 } = {}) {
+            return getSignedUrl(client, new UploadPartCommand({
+                Bucket: bucket, Key: key, UploadId: uploadId, PartNumber: partNumber,
+            }), { expiresIn });
+        },
+
+        async completeMultipartUpload(key, uploadId, parts) {
+            await client.send(new CompleteMultipartUploadCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                MultipartUpload: { Parts: parts.map(p => ({ PartNumber: p.PartNumber, ETag: p.ETag })) },
+            }));
+        },
+
+        async abortMultipartUpload(key, uploadId) {
+            await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+        },
+
+        /**
+         * Public media URL — CloudFront when configured (signed cookies guard access),
+         * otherwise the bucket / endpoint URL.
+         */
+        mediaUrl(key) {
+            if (cdnDomain) return `https://${cdnDomain}/${key}`;
+            if (endpoint) return `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+            return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+        },
+
+        /**
+         * Object key for a URL this driver produced (S3, endpoint or CDN), else null
+         */
+        keyFromUrl(url) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                return null;
+            }
+            const ours = parsed.hostname.endsWith('.amazonaws.com')
+                || parsed.hostname.endsWith('.cloudfront.net')
+                || (cdnDomain && parsed.hostname === cdnDomain)
+                || (endpoint && url.startsWith(endpoint));
+            if (!ours) return null;
+
+            let key = decodeURIComponent(parsed.pathname.replace(/^\/+/, ''));
+            // Path-style URLs include the bucket name
+            if (key.startsWith(`${bucket}/`) && !parsed.hostname.startsWith(`${bucket}.`)) {
+                key = key.slice(bucket.length + 1);
+            }
+            return key || null;
+        },
+    };
+}
@@ -0,0 +1,38 @@
+/**
+ * Scheduled Jobs — the recurring jobs run inside the API process (utils/jobScheduler.js)
+ *
+ * Registered here so the admin job endpoints know every job, even on instances where the
+ * scheduler is not running. index.js calls startScheduledJobs() once MongoDB is connected;
+ * set JOB_SCHEDULER_ENABLED=false on instances that should only serve requests.
+ *
+ * Jobs:
+ *   - analytics-aggregation — rolls tracking data into daily/weekly/monthly
+ *     AnalyticsSummary documents and backfills missing days (ANALYTICS_AGGREGATION_INTERVAL_MS,
+ *     default 1 hour)
+ */
+
+import { getScheduler } from './jobScheduler.js';
+import { ANALYTICS_AGGREGATION_JOB, runAnalyticsAggregation } from './analyticsAggregation.js';
+
+const scheduler = getScheduler();
+
+scheduler.register(ANALYTICS_AGGREGATION_JOB, {
+    description: 'Roll up sessions, page usage, views and watch time into analytics summaries',
+    intervalMs: parseInt(process.env.ANALYTICS_AGGREGATION_INTERVAL_MS) || 60 * 60 * 1000,
+    lockTtlMs: 10 * 60 * 1000,
+    triggerScope: 'analytics.aggregate',
+    run: runAnalyticsAggregation,
+});
+
+export const schedulerEnabled = () => process.env.JOB_SCHEDULER_ENABLED !== 'false';
+
+export function startScheduledJobs() {
+    if (!schedulerEnabled()) {
+        console.log('⏸️  [Jobs] Scheduler disabled on this instance (JOB_SCHEDULER_ENABLED=false)');
+        return;
+    }
+    scheduler.start();
+    console.log(`⏰ [Jobs] Scheduler started: ${scheduler.list().map(job => job.name).join(', ')}`);
+}
+
+export { scheduler };
@@ -0,0 +1,172 @@
+/**
+ * Scheduled Publishing — publishAt / premiere support for uploads
+ *
+ * How scheduling works:
+ * - A scheduled upload is stored with `visibility: 'private'` and the creator's
+ *   intended visibility in `scheduledVisibility`. Every feed, search, channel page and
+ *   recommendation query already excludes private content, so nothing leaks early.
+ * - At `publishAt` the scheduled publish worker (workers/scheduledPublishWorker.js)
+ *   swaps `scheduledVisibility` back into `visibility`, stamps `publishedAt`, and only
+ *   then sends subscriber notifications.
+ * - Videos still transcoding at publishAt are published as soon as processing completes.
+ * - `isPremiere` content exposes a metadata-only countdown (no media URLs) until it goes live.
+ */
+
+import Content from '../models/content.model.js';
+import Bookmark from '../models/bookmark.model.js';
+import { createUploadNotifications } from '../controllers/notification-controllers/notificationController.js';
+
+export const MIN_SCHEDULE_LEAD_MS = 60 * 1000;              // at least 1 minute ahead
+export const MAX_SCHEDULE_LEAD_MS = 365 * 24 * 60 * 60 * 1000; // at most 1 year ahead
+export const SCHEDULABLE_VISIBILITIES = ['public', 'unlisted', 'pay_per_view', 'members_only'];
+
+/**
+ * Validate a publishAt value from a request body.
+ * Returns { publishAt: Date|null, error: string|null }. Empty input means "publish immediately".
+ *
+ * @param {string|number|Date|null|undefined} value
+ * @param {number} now - Current time in ms (injectable for tests)
+ */
+export function parsePublishAt(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return { publishAt: null, error: null };
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return { publishAt: null, error: 'publishAt must be a valid ISO date' };
+    }
+    if (date.getTime() < now + MIN_SCHEDULE_LEAD_MS) {
+        return { publishAt: null, error: 'publishAt must be at least 1 minute in the future' };
+    }
+    if (date.getTime() > now + MAX_SCHEDULE_LEAD_MS) {
+        return { publishAt: null, error: 'publishAt cannot be more than 1 year in the future' };
+    }
+    return { publishAt: date, error: null };
+}
+
+/**
+ * Apply a schedule to an upload-complete update object.
+ * Moves the intended visibility into `scheduledVisibility` and holds the content as private.
+ *
+ * @param {Object} updateData - The $set object being built by an upload-complete handler
+ * @param {Date} publishAt - Validated publish time
+ * @param {string} intendedVisibility - Visibility the content should have once published
+ * @param {boolean} isPremiere - Whether to expose a premiere countdown
+ * @returns {string|null} Error message, or null when the schedule was applied
+ */
+export function applySchedule(updateData, publishAt, intendedVisibility, isPremiere = false) {
+    if (!SCHEDULABLE_VISIBILITIES.includes(intendedVisibility)) {
+        return 'Only public, unlisted, pay-per-view or members-only content can be scheduled';
+    }
+    updateData.visibility = 'private';
+    updateData.scheduledVisibility = intendedVisibility;
+    updateData.publishAt = publishAt;
+    updateData.isPremiere = !!isPremiere;
+    return null;
+}
+
+/**
+ * Whether a content document is currently waiting for its scheduled publish time.
+ */
+export function isScheduled(content) {
+    return !!(content?.scheduledVisibility && content?.publishAt);
+}
+
+/**
+ * Build the premiere/countdown state for a content document.
+ *
+ * @returns {{ state: 'scheduled'|'processing'|'published', publishAt: Date|null, secondsRemaining: number }}
+ */
+export function getPremiereState(content, now = Date.now()) {
+    if (!isScheduled(content)) {
+        return { state: 'published', publishAt: content?.publishedAt || null, secondsRemaining: 0 };
+    }
+    const remainingMs = new Date(content.publishAt).getTime() - now;
+    if (remainingMs > 0) {
+        return { state: 'scheduled', publishAt: content.publishAt, secondsRemaining: Math.ceil(remainingMs / 1000) };
+    }
+    // Time has passed but the worker hasn't flipped it yet (or video is still transcoding)
+    return { state: 'processing', publishAt: content.publishAt, secondsRemaining: 0 };
+}
+
+/**
+ * Publish a single scheduled content item (atomic — safe if two workers race).
+ * Sends subscriber notifications and auto-bookmarks public items, exactly like upload-complete.
+ *
+ * @param {string|ObjectId} contentId
+ * @param {Object} options - { force: publish even if publishAt is still in the future }
+ * @returns {Promise<Object|null>} The published content, or null if nothing was published
+ */
+export async function publishScheduledContent(contentId, { force = false } = {}) {
+    const now = new Date();
+    const filter = {
+        _id: contentId,
+        scheduledVisibility: { $in: SCHEDULABLE_VISIBILITIES },
+        status: 'completed',
+    };
+    if (!force) filter.publishAt = { $lte: now };
+
+    const content = await Content.findOne(filter).select('scheduledVisibility').lean();
+    if (!content) return null;
+
+    // Feeds sort by createdAt — bump it so scheduled uploads surface as new releases
+    const published = await Content.findOneAndUpdate(
+        { _id: content._id, scheduledVisibility: content.scheduledVisibility },
+        {
+            $set: {
+                visibility: content.scheduledVisibility,
+                publishedAt: now,
+                createdAt: now,
+                updatedAt: now,
+            },
+            $unset: { scheduledVisibility: '', publishAt: '' },
+        },
+        { new: true }
+    );
+    if (!published) return null;
+
+    createUploadNotifications(
+        published.userId, published._id, published.contentType,
+        published.title, published.thumbnailKey || published.imageKey
+    ).catch(err => console.error('Notification error:', err));
+
+    if (published.visibility === 'public') {
+        Bookmark.findOneAndUpdate(
+            { userId: published.userId, contentId: published._id },
+            { userId: published.userId, contentId: published._id, contentType: published.contentType },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).catch(err => console.error('Auto-bookmark error:', err));
+    }
+
+    console.log(`📅 Scheduled content published: ${published._id} (${published.visibility})`);
+    return published;
+}
+
+/**
+ * One publish cycle — publish every item whose publishAt has passed and whose processing finished.
+ *
+ * @param {number} batchSize - Max items to publish per cycle
+ * @returns {Promise<number>} Number of items published
+ */
+export async function runScheduledPublishCycle(batchSize = 100) {
+    const due = await Content.find({
+        scheduledVisibility: { $in: SCHEDULABLE_VISIBILITIES },
+        publishAt: { $lte: new Date() },
+        status: 'completed',
+    })
+        .sort({ publishAt: 1 })
+        .limit(batchSize)
+        .select('_id')
+        .lean();
+
+    let published = 0;
+    for (const item of due) {
+        try {
+            if (await publishScheduledContent(item._id)) published++;
+        } catch (err) {
+            console.error(`  ❌ Failed to publish scheduled content ${item._id}:`, err.message);
+        }
+    }
+    return published;
+}
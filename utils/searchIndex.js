@@ -0,0 +1,573 @@
+/**
+ * Search Index — embedded inverted index with BM25 ranking, stored in MongoDB
+ *
+ * Collections:
+ * - SearchDocument — one per searchable item: completed public / pay-per-view content
+ *                    (kind 'content') and channels (kind 'channel'), with its field tokens
+ * - SearchTerm     — the vocabulary with per-kind document frequencies
+ *
+ * Ranking is BM25 over four fields with boosts title > tags > description > channel
+ * (FIELD_BOOSTS). For channel documents the channel name and handle are the title and the
+ * username is the channel field. Each query token is expanded before lookup:
+ * - exact term                                  weight 1
+ * - typo: 1 edit (tokens of 4+ characters)      weight 0.6
+ *         2 edits (tokens of 8+ characters)     weight 0.4
+ * - prefix completion of the last token         weight 0.7 (so "mus" finds "music")
+ * A document scores the best expansion of each token; matching more of the query's
+ * tokens earns a coverage bonus. At most MAX_SEARCH_CANDIDATES documents are scored
+ * per query.
+ *
+ * Sync:
+ * - Content — hooks on the Content schema (models/content.model.js) call syncContentSearch()
+ *   after any write that touches an indexed field; items that stop being searchable
+ *   (processing, private, members-only, archived/removed, deleted) leave the index.
+ * - Channels — controllers call syncChannelSearch() after channel name, handle, username
+ *   or bio changes; the creator's content is re-indexed too (its channel field changes).
+ * - rebuildSearchIndex() (npm run search:rebuild) indexes everything from scratch and
+ *   recomputes term frequencies; run it once after deploying and whenever drift is suspected.
+ *
+ * Sync helpers never throw — a failed update is logged and fixed by the next write or rebuild.
+ */
+
+import mongoose from 'mongoose';
+import SearchDocument from '../models/searchDocument.model.js';
+import SearchTerm from '../models/searchTerm.model.js';
+import User from '../models/user.model.js';
+
+export const SEARCHABLE_VISIBILITIES = ['public', 'pay_per_view'];
+// Content paths whose changes require a re-index
+export const SEARCH_INDEXED_PATHS = ['title', 'description', 'tags', 'visibility', 'status', 'userId', 'contentType'];
+
+export const FIELD_BOOSTS = { title: 3, tags: 2, description: 1, channel: 0.75 };
+const SEARCH_FIELDS = Object.keys(FIELD_BOOSTS);
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const EXACT_WEIGHT = 1;
+const PREFIX_WEIGHT = 0.7;
+const TYPO_WEIGHTS = { 1: 0.6, 2: 0.4 };
+const PREFIX_EXPANSIONS = 10;
+const TYPO_CANDIDATE_SCAN = 2000;
+
+export const MAX_QUERY_TOKENS = 8;
+export const MAX_SEARCH_CANDIDATES = 1000;
+const MAX_TOKEN_LENGTH = 40;
+const STATS_TTL_MS = 5 * 60 * 1000;
+const REBUILD_BATCH_SIZE = 500;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+]);
+
+// ─── Text processing ─────────────────────────────────────────────────────────
+
+/**
+ * Lowercase and strip accents ("Café" → "cafe")
+ */
+export const normalizeText = (text) => String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+/**
+ * Split text into index terms: letters/digits only, no stopwords, no single letters
+ * (single digits are kept — "part 2"). "#Music" → ["music"].
+ */
+export function tokenize(text) {
+    const words = normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return words
+        .map(w => w.slice(0, MAX_TOKEN_LENGTH))
+        .filter(w => (w.length > 1 || /\d/.test(w)) && !STOPWORDS.has(w));
+}
+
+const hashtagsOf = (text) => (String(text ?? '').match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.slice(1));
+
+/**
+ * Field tokens for a Content item; `creator` is its (populated) user.
+ * Hashtags in the title or description also count as tags.
+ */
+export function contentSearchFields(content, creator = {}) {
+    const tagText = [
+        ...(content.tags || []),
+        ...hashtagsOf(content.title),
+        ...hashtagsOf(content.description),
+    ].join(' ');
+    return {
+        title: tokenize(content.title),
+        tags: tokenize(tagText),
+        description: tokenize(content.description),
+        channel: tokenize([creator?.channelName, creator?.channelHandle, creator?.userName].join(' ')),
+    };
+}
+
+/**
+ * Field tokens for a channel. The handle is also indexed joined ("my_cool_channel" → "mycoolchannel").
+ */
+export function channelSearchFields(user) {
+    const handle = user.channelHandle ? normalizeText(user.channelHandle).replace(/[^\p{L}\p{N}]/gu, '') : '';
+    return {
+        title: tokenize([user.channelName, user.channelHandle, handle].join(' ')),
+        tags: [],
+        description: tokenize(user.channelDescription || user.bio),
+        channel: tokenize(user.userName),
+    };
+}
+
+export const uniqueTerms = (fields) => [...new Set(SEARCH_FIELDS.flatMap(f => fields[f] || []))];
+
+// ─── Typo tolerance ──────────────────────────────────────────────────────────
+
+/**
+ * Edits allowed for a query token of this length
+ */
+export const maxTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Optimal string alignment distance (insert, delete, substitute, swap neighbours).
+ * Returns max + 1 as soon as the distance is known to exceed `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// ─── Ranking ─────────────────────────────────────────────────────────────────
+
+export const bm25Idf = (df, count) => Math.log(1 + (count - df + 0.5) / (df + 0.5));
+
+/**
+ * Expansions of one query token from vocabulary entries ({ term, df }).
+ * @param {object} candidates - { exact, prefix, typo } vocabulary entries for this token
+ * @returns {Array<{term, weight, df}>} best weight per term
+ */
+export function expandToken(token, { exact = [], prefix = [], typo = [] } = {}) {
+    const expansions = new Map();
+    const add = (entry, weight) => {
+        if (!entry || entry.df <= 0) return;
+        const current = expansions.get(entry.term);
+        if (!current || current.weight < weight) expansions.set(entry.term, { term: entry.term, weight, df: entry.df });
+    };
+
+    exact.filter(e => e.term === token).forEach(e => add(e, EXACT_WEIGHT));
+    prefix.filter(e => e.term.startsWith(token)).forEach(e => add(e, PREFIX_WEIGHT));
+    const allowed = maxTypos(token.length);
+    typo.forEach(e => {
+        const distance = editDistance(token, e.term, allowed);
+        if (distance >= 1 && distance <= allowed) add(e, TYPO_WEIGHTS[distance]);
+    });
+    return [...expansions.values()];
+}
+
+/**
+ * BM25 score of one document.
+ * @param {object} fields - { title: [...tokens], tags, description, channel }
+ * @param {Array<{token, expansions}>} queryTokens - from expandToken()
+ * @param {object} stats - { count, avgLength: { title, tags, description, channel } }
+ * @returns {{ score: number, matched: number }}
+ */
+export function scoreDocument(fields, queryTokens, stats) {
+    const counts = {};
+    for (const field of SEARCH_FIELDS) {
+        const tf = new Map();
+        (fields[field] || []).forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+        counts[field] = tf;
+    }
+
+    let score = 0;
+    let matched = 0;
+    for (const { expansions } of queryTokens) {
+        let best = 0;
+        for (const { term, weight, df } of expansions) {
+            let fieldScore = 0;
+            for (const field of SEARCH_FIELDS) {
+                const tf = counts[field].get(term);
+                if (!tf) continue;
+                const length = fields[field].length;
+                const avg = stats.avgLength?.[field] || length || 1;
+                fieldScore += FIELD_BOOSTS[field] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avg));
+            }
+            if (fieldScore > 0) best = Math.max(best, weight * bm25Idf(df, stats.count) * fieldScore);
+        }
+        if (best > 0) {
+            score += best;
+            matched++;
+        }
+    }
+
+    if (matched === 0) return { score: 0, matched: 0 };
+    const coverage = matched / queryTokens.length;
+    return { score: score * (0.5 + 0.5 * coverage), matched };
+}
+
+// ─── Corpus lookups ──────────────────────────────────────────────────────────
+
+const dfField = (kind) => (kind === 'channel' ? 'channelDf' : 'contentDf');
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const statsCache = new Map();
+
+/**
+ * Document count and average field lengths for a kind (cached for a few minutes)
+ */
+export async function getSearchIndexStats(kind) {
+    const cached = statsCache.get(kind);
+    if (cached && cached.expiresAt > Date.now()) return cached.stats;
+
+    const [row] = await SearchDocument.aggregate([
+        { $match: { kind } },
+        {
+            $group: {
+                _id: null,
+                count: { $sum: 1 },
+                ...Object.fromEntries(SEARCH_FIELDS.map(f => [f, { $avg: { $size: `$fields.${f}` } }])),
+            },
+        },
+    ]);
+    const stats = {
+        count: row?.count || 0,
+        avgLength: Object.fromEntries(SEARCH_FIELDS.map(f => [f, row?.[f] || 0])),
+    };
+    statsCache.set(kind, { stats, expiresAt: Date.now() + STATS_TTL_MS });
+    return stats;
+}
+
+/**
+ * Look up the vocabulary for each query token and expand it.
+ * @param {string[]} tokens - tokenized query
+ * @param {object} opts - { kind, prefixLast: complete the last token }
+ */
+export async function expandQuery(tokens, { kind = 'content', prefixLast = true } = {}) {
+    const df = dfField(kind);
+    const withDf = (rows) => rows.map(r => ({ term: r.term, df: r[df] || 0 }));
+
+    const exactRows = await SearchTerm.find({ term: { $in: tokens } }).select(`term ${df}`).lean();
+
+    return Promise.all(tokens.map(async (token, i) => {
+        const isLast = i === tokens.length - 1;
+        const allowed = maxTypos(token.length);
+        const [prefix, typo] = await Promise.all([
+            prefixLast && isLast
+                ? SearchTerm.find({ term: new RegExp(`^${escapeRegex(token)}`), [df]: { $gt: 0 } })
+                    .sort({ [df]: -1 })
+                    .limit(PREFIX_EXPANSIONS)
+                    .select(`term ${df}`)
+                    .lean()
+                : [],
+            allowed > 0
+                ? SearchTerm.find({
+                    first: { $in: [...new Set([token[0], token[1]])] },
+                    length: { $gte: token.length - allowed, $lte: token.length + allowed },
+                    [df]: { $gt: 0 },
+                })
+                    .sort({ [df]: -1 })
+                    .limit(TYPO_CANDIDATE_SCAN)
+                    .select(`term ${df}`)
+                    .lean()
+                : [],
+        ]);
+        return {
+            token,
+            expansions: expandToken(token, { exact: withDf(exactRows), prefix: withDf(prefix), typo: withDf(typo) }),
+        };
+    }));
+}
+
+/**
+ * Ranked matches for a query.
+ * @param {string} query - raw search text
+ * @param {object} opts - { kind: 'content'|'channel', contentTypes: [...] (content only), limit }
+ * @returns {Promise<{ tokens: string[], results: Array<{ refId, contentType, score }> }>}
+ */
+export async function searchIndex(query, { kind = 'content', contentTypes = null, limit = MAX_SEARCH_CANDIDATES } = {}) {
+    const tokens = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TOKENS);
+    if (tokens.length === 0) return { tokens, results: [] };
+
+    const [queryTokens, stats] = await Promise.all([expandQuery(tokens, { kind }), getSearchIndexStats(kind)]);
+    const terms = [...new Set(queryTokens.flatMap(q => q.expansions.map(e => e.term)))];
+    if (terms.length === 0 || stats.count === 0) return { tokens, results: [] };
+
+    const docs = await SearchDocument.find({
+        kind,
+        terms: { $in: terms },
+        ...(contentTypes ? { contentType: { $in: contentTypes } } : {}),
+    })
+        .select('refId contentType fields publishedAt')
+        .limit(MAX_SEARCH_CANDIDATES)
+        .lean();
+
+    const results = docs
+        .map(doc => ({ doc, ...scoreDocument(doc.fields, queryTokens, stats) }))
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score || new Date(b.doc.publishedAt) - new Date(a.doc.publishedAt))
+        .slice(0, limit)
+        .map(({ doc, score }) => ({ refId: doc.refId, contentType: doc.contentType, score }));
+
+    return { tokens, results };
+}
+
+/**
+ * Autocomplete: complete the last word of a partial query from the content vocabulary
+ * (most common terms first; typo-corrected when nothing starts with it).
+ * @returns {Promise<string[]>} full query suggestions
+ */
+export async function suggestCompletions(partialQuery, limit = 10) {
+    const words = normalizeText(partialQuery).match(/[\p{L}\p{N}]+/gu) || [];
+    const last = words.pop()?.slice(0, MAX_TOKEN_LENGTH);
+    if (!last) return [];
+    const lead = words.length ? `${words.join(' ')} ` : '';
+
+    let completions = await SearchTerm.find({ term: new RegExp(`^${escapeRegex(last)}`), contentDf: { $gt: 0 } })
+        .sort({ contentDf: -1 })
+        .limit(limit)
+        .select('term contentDf')
+        .lean();
+
+    if (completions.length === 0 && maxTypos(last.length) > 0) {
+        const [{ expansions }] = await expandQuery([last], { kind: 'content', prefixLast: false });
+        completions = expansions.sort((a, b) => b.weight - a.weight || b.df - a.df).slice(0, limit);
+    }
+    return completions.map(c => `${lead}${c.term}`);
+}
+
+// ─── Index maintenance ───────────────────────────────────────────────────────
+
+/**
+ * Adjust vocabulary frequencies after a document's terms changed
+ */
+async function applyTermChanges(kind, prevTerms = [], nextTerms = []) {
+    const prev = new Set(prevTerms);
+    const next = new Set(nextTerms);
+    const added = nextTerms.filter(t => !prev.has(t));
+    const removed = prevTerms.filter(t => !next.has(t));
+    if (added.length === 0 && removed.length === 0) return;
+
+    const df = dfField(kind);
+    const now = new Date();
+    await SearchTerm.bulkWrite([
+        ...added.map(term => ({
+            updateOne: {
+                filter: { term },
+                update: { $inc: { [df]: 1 }, $set: { updatedAt: now }, $setOnInsert: { first: term[0], length: term.length } },
+                upsert: true,
+            },
+        })),
+        ...removed.map(term => ({
+            updateOne: { filter: { term }, update: { $inc: { [df]: -1 }, $set: { updatedAt: now } } },
+        })),
+    ], { ordered: false });
+
+    if (removed.length > 0) {
+        await SearchTerm.deleteMany({ term: { $in: removed }, contentDf: { $lte: 0 }, channelDf: { $lte: 0 } });
+    }
+}
+
+/**
+ * Upsert a document; returns the terms it had before (empty when new)
+ */
+async function writeDocument(kind, refId, data) {
+    const previous = await SearchDocument.findOneAndUpdate(
+        { kind, refId },
+        { $set: { ...data, indexedAt: new Date() } },
+        { upsert: true, projection: { terms: 1 } }
+    ).lean();
+    return previous?.terms || [];
+}
+
+async function removeDocument(kind, refId) {
+    const previous = await SearchDocument.findOneAndDelete({ kind, refId }, { projection: { terms: 1 } }).lean();
+    if (previous) await applyTermChanges(kind, previous.terms, []);
+}
+
+export const isSearchableContent = (content) => Boolean(content)
+    && content.status === 'completed'
+    && SEARCHABLE_VISIBILITIES.includes(content.visibility);
+
+export const isSearchableChannel = (user) => Boolean(user)
+    && Boolean(user.channelName) && Boolean(user.channelHandle)
+    && !user.deletedAt && !user.channelBanned;
+
+function contentDocumentData(content, creator) {
+    const fields = contentSearchFields(content, creator);
+    return {
+        contentType: content.contentType,
+        userId: creator?._id || content.userId,
+        fields,
+        terms: uniqueTerms(fields),
+        publishedAt: content.publishedAt || content.createdAt || new Date(),
+    };
+}
+
+function channelDocumentData(user) {
+    const fields = channelSearchFields(user);
+    return { contentType: null, userId: user._id, fields, terms: uniqueTerms(fields), publishedAt: user.createdAt || new Date() };
+}
+
+const CREATOR_FIELDS = 'userName channelName channelHandle';
+const CHANNEL_FIELDS = 'userName channelName channelHandle channelDescription bio channelBanned deletedAt createdAt';
+
+/**
+ * Re-index one content item (or drop it from the index)
+ */
+export async function indexContent(contentId) {
+    const content = await mongoose.model('Content').findById(contentId)
+        .select('contentType userId title description tags visibility status createdAt publishedAt')
+        .populate('userId', CREATOR_FIELDS)
+        .lean();
+    if (!isSearchableContent(content)) return removeDocument('content', contentId);
+
+    const data = contentDocumentData(content, content.userId);
+    const prevTerms = await writeDocument('content', content._id, data);
+    await applyTermChanges('content', prevTerms, data.terms);
+}
+
+/**
+ * Re-index one channel (or drop it from the index)
+ */
+export async function indexChannel(userId) {
+    const user = await User.findById(userId).select(CHANNEL_FIELDS).lean();
+    if (!isSearchableChannel(user)) return removeDocument('channel', userId);
+
+    const data = channelDocumentData(user);
+    const prevTerms = await writeDocument('channel', user._id, data);
+    await applyTermChanges('channel', prevTerms, data.terms);
+}
+
+/**
+ * Fire-and-forget re-index of content items. Never throws.
+ */
+export function syncContentSearch(contentIds) {
+    const ids = [...new Set((contentIds || []).filter(Boolean).map(String))];
+    if (ids.length === 0) return Promise.resolve();
+    return (async () => {
+        for (const id of ids) {
+            await indexContent(id).catch(err => console.error(`❌ [Search] Failed to index content ${id}:`, err.message));
+        }
+    })();
+}
+
+/**
+ * Fire-and-forget re-index of a channel and its content (the content's channel field
+ * comes from the creator). Never throws.
+ */
+export function syncChannelSearch(userId) {
+    if (!userId) return Promise.resolve();
+    return (async () => {
+        try {
+            await indexChannel(userId);
+            const indexed = await SearchDocument.find({ kind: 'content', userId }).select('refId').lean();
+            await syncContentSearch(indexed.map(d => d.refId));
+        } catch (err) {
+            console.error(`❌ [Search] Failed to index channel ${userId}:`, err.message);
+        }
+    })();
+}
+
+/**
+ * True when a Mongo update document changes an indexed Content path
+ */
+export function touchesSearchFields(update) {
+    if (!update) return false;
+    if (Array.isArray(update)) return true; // aggregation pipeline — can't tell
+    const touches = (path) => SEARCH_INDEXED_PATHS.includes(path.split('.')[0]);
+    return Object.entries(update).some(([key, value]) => (
+        key.startsWith('$') ? Object.keys(value || {}).some(touches) : touches(key)
+    ));
+}
+
+// ─── Full rebuild ────────────────────────────────────────────────────────────
+
+/**
+ * Index every searchable content item and channel, drop stale documents and recompute
+ * term frequencies. Safe to run on a live system (searches keep working throughout).
+ * @returns {Promise<{ content: number, channels: number, removed: number, terms: number }>}
+ */
+export async function rebuildSearchIndex({ log = () => {} } = {}) {
+    const startedAt = new Date();
+    const Content = mongoose.model('Content');
+    const creators = new Map();
+    let content = 0;
+    let channels = 0;
+
+    const contentCursor = Content.find({ status: 'completed', visibility: { $in: SEARCHABLE_VISIBILITIES } })
+        .select('contentType userId title description tags visibility status createdAt publishedAt')
+        .lean()
+        .cursor({ batchSize: REBUILD_BATCH_SIZE });
+    for await (const item of contentCursor) {
+        const creatorId = String(item.userId);
+        if (!creators.has(creatorId)) {
+            creators.set(creatorId, await User.findById(item.userId).select(CREATOR_FIELDS).lean());
+        }
+        await writeDocument('content', item._id, contentDocumentData(item, creators.get(creatorId)));
+        if (++content % REBUILD_BATCH_SIZE === 0) log(`  … ${content} content items`);
+    }
+
+    const channelCursor = User.find({ channelName: { $nin: [null, ''] }, channelHandle: { $nin: [null, ''] } })
+        .select(CHANNEL_FIELDS)
+        .lean()
+        .cursor({ batchSize: REBUILD_BATCH_SIZE });
+    for await (const user of channelCursor) {
+        if (!isSearchableChannel(user)) continue;
+        await writeDocument('channel', user._id, channelDocumentData(user));
+        channels++;
+    }
+
+    const { deletedCount: removed } = await SearchDocument.deleteMany({ indexedAt: { $lt: startedAt } });
+
+    // Recompute document frequencies from the documents themselves
+    let terms = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length) await SearchTerm.bulkWrite(batch, { ordered: false });
+        batch = [];
+    };
+    const frequencies = SearchDocument.aggregate([
+        { $unwind: '$terms' },
+        {
+            $group: {
+                _id: '$terms',
+                contentDf: { $sum: { $cond: [{ $eq: ['$kind', 'content'] }, 1, 0] } },
+                channelDf: { $sum: { $cond: [{ $eq: ['$kind', 'channel'] }, 1, 0] } },
+            },
+        },
+    ]).allowDiskUse(true).cursor({ batchSize: REBUILD_BATCH_SIZE });
+    for await (const row of frequencies) {
+        batch.push({
+            updateOne: {
+                filter: { term: row._id },
+                update: {
+                    $set: { contentDf: row.contentDf, channelDf: row.channelDf, updatedAt: new Date() },
+                    $setOnInsert: { first: row._id[0], length: row._id.length },
+                },
+                upsert: true,
+            },
+        });
+        terms++;
+        if (batch.length >= REBUILD_BATCH_SIZE) await flush();
+    }
+    await flush();
+    await SearchTerm.deleteMany({ $or: [{ updatedAt: { $lt: startedAt } }, { updatedAt: null }] });
+
+    statsCache.clear();
+    return { content, channels, removed, terms };
+}
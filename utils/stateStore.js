@@ -0,0 +1,244 @@
+/**
+ * State Store — short-lived shared state (OTPs, cooldowns, attempt counters, rate limits)
+ *
+ * Two interchangeable backends with the same async API:
+ * - RedisStateStore  — used whenever REDIS_URL is configured (shared across instances, survives restarts)
+ * - MemoryStateStore — used when Redis isn't configured, and in tests
+ *
+ * If a Redis command fails at runtime (connection dropped), the Redis store logs once and
+ * serves that call from an in-process memory store so requests keep working.
+ *
+ * API (all keys are namespaced with `state:` in Redis; TTLs are in milliseconds):
+ * - get(key)                    → parsed JSON value or null
+ * - set(key, value, ttlMs)
+ * - setIfAbsent(key, value, ttlMs) → true if the key was created (SET NX)
+ * - del(key)                    → true if a key was removed (single-use consumption)
+ * - incr(key, ttlMs)            → counter after increment; TTL starts on the first increment
+ * - ttl(key)                    → remaining ms, or 0 if missing / no expiry
+ * - hit(key, limit, windowMs)   → sliding-window rate limit:
+ *                                 { allowed, count, remaining, retryAfterMs }
+ */
+
+import crypto from 'crypto';
+import { getRedisClient } from './redisClient.js';
+
+const KEY_PREFIX = 'state:';
+
+// ─── Memory backend ──────────────────────────────────────────────────────────
+
+export class MemoryStateStore {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.entries = new Map(); // key → { value, expiresAt }
+        this.windows = new Map(); // key → sorted array of hit timestamps
+    }
+
+    _live(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    async get(key) {
+        return this._live(key)?.value ?? null;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: ttlMs ? this.now() + ttlMs : null });
+    }
+
+    async setIfAbsent(key, value, ttlMs) {
+        if (this._live(key)) return false;
+        await this.set(key, value, ttlMs);
+        return true;
+    }
+
+    async del(key) {
+        const existed = !!this._live(key);
+        this.entries.delete(key);
+        this.windows.delete(key);
+        return existed;
+    }
+
+    async incr(key, ttlMs) {
+        const entry = this._live(key);
+        if (!entry) {
+            await this.set(key, 1, ttlMs);
+            return 1;
+        }
+        entry.value = Number(entry.value) + 1;
+        return entry.value;
+    }
+
+    async ttl(key) {
+        const entry = this._live(key);
+        if (!entry || !entry.expiresAt) return 0;
+        return entry.expiresAt - this.now();
+    }
+
+    async hit(key, limit, windowMs) {
+        const now = this.now();
+        const hits = (this.windows.get(key) || []).filter(t => t > now - windowMs);
+        if (hits.length >= limit) {
+            this.windows.set(key, hits);
+            return { allowed: false, count: hits.length, remaining: 0, retryAfterMs: hits[0] + windowMs - now };
+        }
+        hits.push(now);
+        this.windows.set(key, hits);
+        return { allowed: true, count: hits.length, remaining: limit - hits.length, retryAfterMs: 0 };
+    }
+
+    /**
+     * Drop expired entries and empty windows (memory backend only)
+     */
+    sweep() {
+        const now = this.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt && entry.expiresAt <= now) this.entries.delete(key);
+        }
+        for (const [key, hits] of this.windows) {
+            // Windows are never longer than a day in practice
+            if (!hits.length || hits[hits.length - 1] < now - 24 * 60 * 60 * 1000) this.windows.delete(key);
+        }
+    }
+}
+
+// ─── Redis backend ───────────────────────────────────────────────────────────
+
+// Sliding window over a sorted set of hit timestamps.
+// KEYS[1] = window key; ARGV = now, windowMs, limit, member
+// Returns { allowed (0/1), count, retryAfterMs }
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+if count >= limit then
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  return { 0, count, tonumber(oldest[2]) + window - now }
+end
+redis.call('ZADD', key, now, ARGV[4])
+redis.call('PEXPIRE', key, window)
+return { 1, count + 1, 0 }
+`;
+
+// INCR + set expiry on first increment, atomically
+const INCR_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 and tonumber(ARGV[1]) > 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+export class RedisStateStore {
+    constructor(client, fallback = new MemoryStateStore()) {
+        this.client = client;
+        this.fallback = fallback;
+        this.warned = false;
+    }
+
+    async _run(method, args, fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (!this.warned) {
+                console.error(`❌ [StateStore] Redis ${method} failed, using in-memory fallback:`, err.message);
+                this.warned = true;
+            }
+            return this.fallback[method](...args);
+        }
+    }
+
+    async get(key) {
+        return this._run('get', [key], async () => {
+            const raw = await this.client.get(KEY_PREFIX + key);
+            return raw === null ? null : JSON.parse(raw);
+        });
+    }
+
+    async set(key, value, ttlMs) {
+        return this._run('set', [key, value, ttlMs], async () => {
+            const payload = JSON.stringify(value);
+            if (ttlMs) await this.client.set(KEY_PREFIX + key, payload, 'PX', Math.ceil(ttlMs));
+            else await this.client.set(KEY_PREFIX + key, payload);
+        });
+    }
+
+    async setIfAbsent(key, value, ttlMs) {
+        return this._run('setIfAbsent', [key, value, ttlMs], async () => {
+            const result = await this.client.set(KEY_PREFIX + key, JSON.stringify(value), 'PX', Math.ceil(ttlMs), 'NX');
+            return result === 'OK';
+        });
+    }
+
+    async del(key) {
+        return this._run('del', [key], async () => (await this.client.del(KEY_PREFIX + key)) > 0);
+    }
+
+    async incr(key, ttlMs) {
+        return this._run('incr', [key, ttlMs], async () =>
+            Number(await this.client.eval(INCR_SCRIPT, 1, KEY_PREFIX + key, Math.ceil(ttlMs || 0)))
+        );
+    }
+
+    async ttl(key) {
+        return this._run('ttl', [key], async () => Math.max(0, await this.client.pttl(KEY_PREFIX + key)));
+    }
+
+    async hit(key, limit, windowMs) {
+        return this._run('hit', [key, limit, windowMs], async () => {
+            const now = Date.now();
+            const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+            const [allowed, count, retryAfterMs] = await this.client.eval(
+                SLIDING_WINDOW_SCRIPT, 1, KEY_PREFIX + key, now, windowMs, limit, member
+            );
+            return {
+                allowed: allowed === 1,
+                count,
+                remaining: Math.max(0, limit - count),
+                retryAfterMs: Math.max(0, retryAfterMs),
+            };
+        });
+    }
+}
+
+// ─── Shared instance ─────────────────────────────────────────────────────────
+
+let store = null;
+let sweepTimer = null;
+
+/**
+ * The process-wide state store (Redis when configured, memory otherwise).
+ */
+export function getStateStore() {
+    if (store) return store;
+
+    const client = getRedisClient();
+    if (client) {
+        store = new RedisStateStore(client);
+    } else {
+        store = new MemoryStateStore();
+    }
+
+    // Memory stores (including the Redis fallback) need periodic cleanup
+    const memory = store instanceof MemoryStateStore ? store : store.fallback;
+    sweepTimer = setInterval(() => memory.sweep(), 5 * 60 * 1000);
+    sweepTimer.unref();
+    return store;
+}
+
+/**
+ * Replace the shared store (tests inject a MemoryStateStore with a fake clock).
+ */
+export function setStateStore(customStore) {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+    store = customStore;
+}
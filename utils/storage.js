@@ -0,0 +1,110 @@
+/**
+ * Storage — the single entry point for object storage (uploads, HLS output, thumbnails,
+ * pictures, captions, KYC documents, exports, invoices)
+ *
+ * Drivers (STORAGE_DRIVER):
+ * - s3    (default) — AWS S3, or MinIO / any S3-compatible server via S3_ENDPOINT
+ * - local           — files under LOCAL_STORAGE_DIR served by Express at /storage/*
+ *
+ * Every driver implements:
+ *   put(key, body, { contentType, cacheControl, contentLength, encrypt })   (encrypt: S3 SSE, ignored locally)
+ *   get(key, { range }) → { body: Readable, contentType, contentLength, contentRange, etag, lastModified }
+ *                                          (throws NoSuchKey)
+ *   head(key) → metadata or null
+ *   delete(key) / deleteMany(keys)
+ *   list(prefix, { limit, cursor }) → { objects: [{ key, size, lastModified }], cursor }
+ *   copy(sourceKey, destKey)
+ *   presignGet(key, { expiresIn, downloadName, contentType }) / presignPut(key, { expiresIn, contentType })
+ *   createMultipartUpload / presignUploadPart / completeMultipartUpload / abortMultipartUpload
+ *   mediaUrl(key) → URL players and <img> tags can load
+ *   keyFromUrl(url) → key for a URL this driver produced, else null
+ */
+
+import { createS3Storage } from './s3Storage.js';
+import { createLocalDiskStorage } from './localDiskStorage.js';
+
+let storage = null;
+
+export function getStorage() {
+    if (storage) return storage;
+    const driver = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+    if (driver === 'local') {
+        storage = createLocalDiskStorage();
+        console.log(`📁 [Storage] Using local filesystem at ${storage.rootDir}`);
+    } else {
+        storage = createS3Storage();
+    }
+    return storage;
+}
+
+/**
+ * Replace the storage driver (tests)
+ */
+export function setStorage(customStorage) {
+    storage = customStorage;
+}
+
+// ─── Convenience wrappers ────────────────────────────────────────────────────
+
+export const putObject = (key, body, options) => getStorage().put(key, body, options);
+export const getObject = (key, options) => getStorage().get(key, options);
+export const headObject = (key) => getStorage().head(key);
+export const deleteObject = (key) => getStorage().delete(key);
+export const deleteObjects = (keys) => (keys.length ? getStorage().deleteMany(keys) : undefined);
+export const copyObject = (sourceKey, destKey) => getStorage().copy(sourceKey, destKey);
+export const presignGetUrl = (key, options) => getStorage().presignGet(key, options);
+export const presignPutUrl = (key, options) => getStorage().presignPut(key, options);
+export const mediaUrl = (key) => (key ? getStorage().mediaUrl(key) : null);
+
+export const createMultipartUpload = (key, options) => getStorage().createMultipartUpload(key, options);
+export const presignUploadPartUrl = (key, uploadId, partNumber, options) =>
+    getStorage().presignUploadPart(key, uploadId, partNumber, options);
+export const completeMultipartUpload = (key, uploadId, parts) => getStorage().completeMultipartUpload(key, uploadId, parts);
+export const abortMultipartUpload = (key, uploadId) => getStorage().abortMultipartUpload(key, uploadId);
+
+/**
+ * Read a whole object into memory (captions, invoices, small documents)
+ */
+export async function getObjectBuffer(key) {
+    const { body } = await getObject(key);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Every object under a prefix (follows pagination)
+ */
+export async function listAllObjects(prefix) {
+    const objects = [];
+    let cursor;
+    do {
+        const page = await getStorage().list(prefix, { cursor });
+        objects.push(...page.objects);
+        cursor = page.cursor;
+    } while (cursor);
+    return objects;
+}
+
+/**
+ * Delete everything under a prefix (e.g. an HLS folder). Returns the number of objects removed.
+ */
+export async function deletePrefix(prefix) {
+    if (!prefix || !prefix.endsWith('/')) throw new Error(`Refusing to delete non-folder prefix "${prefix}"`);
+    const objects = await listAllObjects(prefix);
+    await deleteObjects(objects.map(o => o.key));
+    return objects.length;
+}
+
+/**
+ * Normalise a stored reference to an object key. Accepts plain keys and URLs produced by
+ * any of our drivers / the CDN. External URLs (e.g. Google avatars) return null.
+ */
+export function resolveStorageKey(keyOrUrl) {
+    if (!keyOrUrl) return null;
+    if (!/^https?:\/\//.test(keyOrUrl)) return keyOrUrl;
+    return getStorage().keyFromUrl(keyOrUrl);
+}
+
+export const isNotFoundError = (err) =>
+    err?.name === 'NoSuchKey' || err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404;
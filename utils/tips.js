@@ -0,0 +1,70 @@
+/**
+ * Tips ("Super Thanks") — amount limits and how a tip is highlighted
+ *
+ * A fan tips a creator on any Content (shown as a highlighted comment) or inside the
+ * creator's community chat (shown as a highlighted chat message). The money moves
+ * through walletService.executeTip(): PrimaryWallet → creator's SecondaryWallet with
+ * the same commission/GST split as PPV (taxCalculator).
+ *
+ * Kept free of wallet/DB imports so the rules can be unit tested.
+ */
+
+export const MIN_TIP_AMOUNT = 10;
+export const MAX_TIP_AMOUNT = 50000;
+export const MAX_TIP_MESSAGE_LENGTH = 300;
+
+/**
+ * Highlight levels, lowest first: the bigger the tip the louder the highlight.
+ * Clients map `level` to colours; `minAmount` is inclusive.
+ */
+export const TIP_HIGHLIGHTS = [
+    { level: 1, name: 'blue', minAmount: MIN_TIP_AMOUNT },
+    { level: 2, name: 'green', minAmount: 100 },
+    { level: 3, name: 'yellow', minAmount: 500 },
+    { level: 4, name: 'orange', minAmount: 2000 },
+    { level: 5, name: 'red', minAmount: 10000 },
+];
+
+/**
+ * Validate a requested tip amount (whole rupees).
+ * @returns {{ amount: number|null, error: string|null }}
+ */
+export function parseTipAmount(value) {
+    const amount = Number(value);
+    if (!Number.isInteger(amount)) {
+        return { amount: null, error: 'Tip amount must be a whole number of rupees' };
+    }
+    if (amount < MIN_TIP_AMOUNT || amount > MAX_TIP_AMOUNT) {
+        return { amount: null, error: `Tip amount must be between ₹${MIN_TIP_AMOUNT} and ₹${MAX_TIP_AMOUNT}` };
+    }
+    return { amount, error: null };
+}
+
+/**
+ * Trim the optional message sent with a tip.
+ * @returns {{ message: string, error: string|null }}
+ */
+export function parseTipMessage(value) {
+    if (value === undefined || value === null) return { message: '', error: null };
+    if (typeof value !== 'string') return { message: '', error: 'Tip message must be text' };
+    const message = value.trim();
+    if (message.length > MAX_TIP_MESSAGE_LENGTH) {
+        return { message: '', error: `Tip message can be at most ${MAX_TIP_MESSAGE_LENGTH} characters` };
+    }
+    return { message, error: null };
+}
+
+/** Highlight level ({ level, name }) for a tip amount */
+export function tipHighlight(amount) {
+    let match = TIP_HIGHLIGHTS[0];
+    for (const h of TIP_HIGHLIGHTS) {
+        if (amount >= h.minAmount) match = h;
+    }
+    return { level: match.level, name: match.name };
+}
+
+/**
+ * Text stored on the comment / chat message that carries the tip. Comments and chat
+ * messages require text, so a tip without a message gets a short default.
+ */
+export const tipDisplayText = (amount, message) => message || `Sent ₹${amount} as thanks`;
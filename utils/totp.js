@@ -0,0 +1,101 @@
+/**
+ * TOTP (RFC 6238) on top of HOTP (RFC 4226) — HMAC-SHA1, 6 digits, 30-second steps,
+ * the defaults every authenticator app supports.
+ *
+ * Secrets are raw bytes, shown to users base32-encoded (RFC 4648, no padding).
+ * provisioningUri() builds the otpauth:// URI that the client renders as a QR code.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+export function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, as recommended by RFC 4226), base32-encoded
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export function hotp(secret, counter, digits = TOTP_DIGITS) {
+    const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+export const totp = (secret, now = Date.now()) => hotp(secret, timeStep(now));
+
+/**
+ * Check a code against the current step ± `window` steps (clock drift).
+ * Returns the matching time step — callers store it to refuse replays — or null.
+ */
+export function verifyTotp(secret, code, { now = Date.now(), window = 1 } = {}) {
+    const normalized = String(code ?? '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = timeStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = current + offset;
+        if (step < 0) continue;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
+
+/**
+ * otpauth://totp/Issuer:account?secret=…&issuer=… (Google Authenticator key URI format)
+ */
+export function provisioningUri({ secret, accountName, issuer }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,204 @@
+/**
+ * Transcoding — HLS ladder planning and the transcode job queue
+ *
+ * Upload-complete handlers call enqueueTranscode(contentId); workers/worker.js consumes
+ * the queue, encodes the ladder with FFmpeg (utils/mediaTools.js) and writes the results
+ * back to Content (status, renditions, hlsMasterKey, thumbnailKey, processing*).
+ *
+ * Everything here except the queue helpers is pure so it can be unit tested without FFmpeg.
+ */
+
+import path from 'path';
+import { createJobQueue } from './jobQueue.js';
+
+export const TRANSCODE_QUEUE = 'transcode';
+export const TRANSCODE_MAX_ATTEMPTS = 3;
+
+// ─── Rendition ladders ───────────────────────────────────────────────────────
+
+export const VIDEO_RENDITIONS = [
+    { name: '144p', width: 256, height: 144, bitrate: 200000, audioBitrate: '64k' },
+    { name: '240p', width: 426, height: 240, bitrate: 400000, audioBitrate: '96k' },
+    { name: '360p', width: 640, height: 360, bitrate: 800000, audioBitrate: '128k' },
+    { name: '480p', width: 854, height: 480, bitrate: 1500000, audioBitrate: '128k' },
+    { name: '720p', width: 1280, height: 720, bitrate: 2500000, audioBitrate: '128k' },
+    { name: '1080p', width: 1920, height: 1080, bitrate: 5000000, audioBitrate: '192k' },
+];
+
+export const SHORT_RENDITIONS = [
+    { name: '480p', width: 480, height: 854, bitrate: 1500000, audioBitrate: '128k' },
+    { name: '720p', width: 720, height: 1280, bitrate: 3000000, audioBitrate: '128k' },
+    { name: '1080p', width: 1080, height: 1920, bitrate: 6000000, audioBitrate: '192k' },
+];
+
+// Per content type encoder settings (shorts get shorter segments for faster start)
+const ENCODE_PROFILES = {
+    video: { ladder: VIDEO_RENDITIONS, segmentSeconds: 6, gop: 48, preset: 'medium', crf: 23, profile: 'main', thumbWidth: 1280 },
+    short: { ladder: SHORT_RENDITIONS, segmentSeconds: 2, gop: 30, preset: 'fast', crf: 21, profile: 'high', thumbWidth: 720 },
+};
+
+export const HLS_CODECS = { video: 'avc1.640028', audio: 'mp4a.40.2' };
+
+/**
+ * Pick the renditions that don't upscale the source (10% tolerance).
+ * Always returns at least the smallest rung. Sideways shorts keep their orientation.
+ *
+ * @returns {Array<{name, width, height, resolution, bitrate, audioBitrate}>} smallest first
+ */
+export function selectRenditions(sourceWidth, sourceHeight, contentType = 'video') {
+    const { ladder } = ENCODE_PROFILES[contentType] || ENCODE_PROFILES.video;
+    const landscapeShort = contentType === 'short' && sourceWidth > sourceHeight;
+
+    const sourcePixels = (sourceWidth || 0) * (sourceHeight || 0);
+    let rungs = ladder.filter(r => r.width * r.height <= sourcePixels * 1.1);
+    if (rungs.length === 0) rungs = [ladder[0]];
+
+    return rungs
+        .sort((a, b) => a.width * a.height - b.width * b.height)
+        .map(r => {
+            const [width, height] = landscapeShort ? [r.height, r.width] : [r.width, r.height];
+            return { ...r, width, height, resolution: `${width}x${height}` };
+        });
+}
+
+/**
+ * FFmpeg arguments for a single-pass encode of every rendition into
+ * `{outputDir}/stream_{name}/playlist.m3u8` + `segmentNNN.ts`.
+ */
+export function buildHlsArgs({ inputPath, outputDir, renditions, hasAudio, contentType = 'video' }) {
+    const p = ENCODE_PROFILES[contentType] || ENCODE_PROFILES.video;
+
+    const splitOutputs = renditions.map((_, i) => `[v${i}]`).join('');
+    const scaleFilters = renditions.map((r, i) => `[v${i}]scale=${r.width}:${r.height}[v${i}out]`).join('; ');
+    const filterComplex = `[0:v]format=yuv420p,split=${renditions.length}${splitOutputs}; ${scaleFilters}`;
+
+    const args = [
+        '-hide_banner', '-loglevel', 'error', '-progress', 'pipe:2', '-y',
+        '-i', inputPath,
+        '-filter_complex', filterComplex,
+    ];
+
+    renditions.forEach((r, i) => {
+        args.push(
+            '-map', `[v${i}out]`,
+            `-c:v:${i}`, 'libx264',
+            `-b:v:${i}`, String(r.bitrate),
+            `-maxrate:v:${i}`, String(Math.round(r.bitrate * 1.5)),
+            `-bufsize:v:${i}`, String(Math.round(r.bitrate * 2)),
+            '-preset', p.preset, '-crf', String(p.crf),
+            `-profile:v:${i}`, p.profile,
+            `-g:v:${i}`, String(p.gop), `-keyint_min:v:${i}`, String(p.gop), `-sc_threshold:v:${i}`, '0'
+        );
+        if (hasAudio) {
+            args.push(
+                '-map', '0:a:0',
+                `-c:a:${i}`, 'aac',
+                `-b:a:${i}`, r.audioBitrate,
+                `-ar:a:${i}`, '48000', `-ac:a:${i}`, '2'
+            );
+        }
+    });
+
+    const streamMap = renditions
+        .map((r, i) => (hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`))
+        .join(' ');
+
+    args.push(
+        '-f', 'hls', '-hls_time', String(p.segmentSeconds), '-hls_list_size', '0',
+        '-hls_playlist_type', 'vod', '-hls_flags', 'independent_segments',
+        '-hls_segment_type', 'mpegts',
+        '-hls_segment_filename', path.join(outputDir, 'stream_%v', 'segment%03d.ts'),
+        '-var_stream_map', streamMap,
+        path.join(outputDir, 'stream_%v', 'playlist.m3u8')
+    );
+    return args;
+}
+
+/**
+ * Master playlist text. Written by hand rather than with -master_pl_name, which
+ * FFmpeg places inside the first variant directory.
+ */
+export function buildMasterPlaylist(renditions, hasAudio) {
+    const codecs = hasAudio ? `${HLS_CODECS.video},${HLS_CODECS.audio}` : HLS_CODECS.video;
+    let text = '#EXTM3U\n#EXT-X-VERSION:3\n';
+    for (const r of renditions) {
+        const bandwidth = r.bitrate + (hasAudio ? 128000 : 0);
+        text += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${r.resolution},CODECS="${codecs}",NAME="${r.name}"\n`;
+        text += `stream_${r.name}/playlist.m3u8\n`;
+    }
+    return text;
+}
+
+/**
+ * Candidate timestamps (seconds) for auto thumbnails — spread across the video,
+ * skipping the first and last moments where intros / black frames usually are.
+ */
+export function thumbnailTimestamps(durationSeconds, count = 4) {
+    const duration = Number(durationSeconds) || 0;
+    if (duration <= 2) return [Math.max(0, duration / 2)];
+
+    const fractions = [0.1, 0.25, 0.5, 0.75, 0.9].slice(0, Math.max(1, count));
+    const times = fractions.map(f => Math.min(Math.max(1, duration * f), duration - 1));
+    return [...new Set(times.map(t => Math.round(t * 100) / 100))];
+}
+
+/**
+ * Choose the best auto thumbnail from extracted frames. JPEG size is a cheap proxy for
+ * visual detail: black, faded or blurry frames compress far smaller than real scenes.
+ *
+ * @param {Array<{path: string, size: number}>} candidates
+ */
+export function chooseThumbnail(candidates) {
+    const usable = candidates.filter(c => c && c.size > 0);
+    if (usable.length === 0) return null;
+    return usable.reduce((best, c) => (c.size > best.size ? c : best));
+}
+
+/**
+ * Thumbnail width for a content type
+ */
+export function thumbnailWidth(contentType) {
+    return (ENCODE_PROFILES[contentType] || ENCODE_PROFILES.video).thumbWidth;
+}
+
+/**
+ * Storage keys for a content item's outputs (same layout the CDN already serves)
+ */
+export function outputKeys(contentType, userId, contentId) {
+    const folder = contentType === 'short' ? 'shorts' : 'videos';
+    const hlsPrefix = `hls/${folder}/${userId}/${contentId}`;
+    return {
+        hlsPrefix,
+        masterKey: `${hlsPrefix}/master.m3u8`,
+        playlistKey: (name) => `${hlsPrefix}/stream_${name}/playlist.m3u8`,
+        thumbnailKey: `thumbnails/${folder}/${userId}/${contentId}.jpg`,
+    };
+}
+
+// ─── Queue ───────────────────────────────────────────────────────────────────
+
+let transcodeQueue = null;
+
+export function getTranscodeQueue() {
+    if (!transcodeQueue) transcodeQueue = createJobQueue(TRANSCODE_QUEUE);
+    return transcodeQueue;
+}
+
+/**
+ * Queue a content item for transcoding. Never throws — a failed enqueue is logged and
+ * picked up by the worker's stuck-content sweep.
+ */
+export async function enqueueTranscode(contentId) {
+    try {
+        const queued = await getTranscodeQueue().enqueue(
+            String(contentId),
+            { contentId: String(contentId) },
+            { maxAttempts: TRANSCODE_MAX_ATTEMPTS }
+        );
+        if (queued) console.log(`🎬 [Transcode] Queued ${contentId}`);
+        return queued;
+    } catch (err) {
+        console.error(`❌ [Transcode] Failed to queue ${contentId}:`, err.message);
+        return false;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Video Chapters — timestamped markers for videos and audio
+ *
+ * Where chapters come from:
+ * - Explicit: the creator sends `chapters` to PUT /api/v2/profile/content/:id and they are
+ *   stored on Content.chapters.
+ * - Implicit: with no explicit chapters, `00:00 Intro` style lines in the description are
+ *   parsed at read time, so editing the description updates chapters automatically.
+ *
+ * A valid chapter list starts at 0:00, has at least MIN_CHAPTERS entries in strictly
+ * ascending order, and each chapter is at least MIN_CHAPTER_SECONDS long.
+ *
+ * Chapters are keyed by `startSeconds` (whole seconds) — ContentWatchtime.chapterWatchTime
+ * uses the same key so per-chapter analytics survive title edits.
+ */
+
+export const MIN_CHAPTERS = 2;
+export const MAX_CHAPTERS = 100;
+export const MIN_CHAPTER_SECONDS = 5;
+export const MAX_CHAPTER_TITLE_LENGTH = 100;
+export const CHAPTER_CONTENT_TYPES = ['video', 'audio'];
+
+// "0:00 Intro", "1:02:03 - Q&A", "(12:30) Outro", "05:00 — Setup"
+const TIMESTAMP_LINE = /^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+
+/**
+ * Parse "h:mm:ss" / "m:ss" into seconds. Returns null for malformed input.
+ */
+export function parseTimestamp(value) {
+    if (typeof value !== 'string' || !/^(\d{1,2}:)?\d{1,2}:\d{2}$/.test(value.trim())) return null;
+    const parts = value.trim().split(':').map(Number);
+    const [h, m, s] = parts.length === 3 ? parts : [0, ...parts];
+    if (m > 59 || s > 59) return null;
+    return h * 3600 + m * 60 + s;
+}
+
+/**
+ * Format seconds as "m:ss" or "h:mm:ss"
+ */
+export function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Validate and normalise a chapter list.
+ * Accepts `startSeconds` (number) or `timestamp` ("1:23") per entry.
+ *
+ * @param {Array<{ startSeconds?: number, timestamp?: string, title: string }>} input
+ * @param {number} duration - Content duration in seconds (0 = unknown, skips the end check)
+ * @returns {{ chapters: Array<{ startSeconds, title }>, error: string|null }}
+ */
+export function normalizeChapters(input, duration = 0) {
+    if (!Array.isArray(input)) return { chapters: [], error: 'chapters must be an array' };
+    if (input.length === 0) return { chapters: [], error: null };
+    if (input.length < MIN_CHAPTERS) return { chapters: [], error: `Add at least ${MIN_CHAPTERS} chapters` };
+    if (input.length > MAX_CHAPTERS) return { chapters: [], error: `At most ${MAX_CHAPTERS} chapters are allowed` };
+
+    const chapters = [];
+    for (const entry of input) {
+        const startSeconds = entry?.timestamp !== undefined
+            ? parseTimestamp(entry.timestamp)
+            : Number(entry?.startSeconds);
+        if (!Number.isFinite(startSeconds) || startSeconds < 0) {
+            return { chapters: [], error: 'Each chapter needs a valid start time' };
+        }
+        const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+        if (!title) return { chapters: [], error: 'Each chapter needs a title' };
+        if (title.length > MAX_CHAPTER_TITLE_LENGTH) {
+            return { chapters: [], error: `Chapter titles must be at most ${MAX_CHAPTER_TITLE_LENGTH} characters` };
+        }
+        chapters.push({ startSeconds: Math.floor(startSeconds), title });
+    }
+
+    chapters.sort((a, b) => a.startSeconds - b.startSeconds);
+
+    if (chapters[0].startSeconds !== 0) return { chapters: [], error: 'The first chapter must start at 0:00' };
+    for (let i = 1; i < chapters.length; i++) {
+        if (chapters[i].startSeconds - chapters[i - 1].startSeconds < MIN_CHAPTER_SECONDS) {
+            return { chapters: [], error: `Chapters must be at least ${MIN_CHAPTER_SECONDS} seconds long` };
+        }
+    }
+    const last = chapters[chapters.length - 1].startSeconds;
+    if (duration > 0 && duration - last < MIN_CHAPTER_SECONDS) {
+        return { chapters: [], error: `Chapter at ${formatTimestamp(last)} starts too close to the end of the content` };
+    }
+
+    return { chapters, error: null };
+}
+
+/**
+ * Extract chapters from `00:00 Title` lines in a description.
+ * Returns [] when the description doesn't contain a valid chapter list.
+ */
+export function parseChaptersFromDescription(description, duration = 0) {
+    if (!description || typeof description !== 'string') return [];
+
+    const candidates = [];
+    for (const line of description.split(/\r?\n/)) {
+        const match = line.match(TIMESTAMP_LINE);
+        if (!match) continue;
+        const startSeconds = parseTimestamp(match[1]);
+        if (startSeconds === null) continue;
+        candidates.push({ startSeconds, title: match[2].slice(0, MAX_CHAPTER_TITLE_LENGTH) });
+    }
+
+    // Timestamps must already be in order in the description — a shuffled list is
+    // more likely a set of references ("see 4:10") than a table of contents
+    for (let i = 1; i < candidates.length; i++) {
+        if (candidates[i].startSeconds <= candidates[i - 1].startSeconds) return [];
+    }
+
+    const { chapters, error } = normalizeChapters(candidates, duration);
+    return error ? [] : chapters;
+}
+
+/**
+ * Chapters for a content item: explicit ones if set, otherwise parsed from the description.
+ * Adds `endSeconds` (next chapter start, or duration for the last one).
+ *
+ * @param {Object} content - Needs contentType, chapters, description, duration
+ * @returns {Array<{ index, startSeconds, endSeconds, title, source }>}
+ */
+export function resolveChapters(content) {
+    if (!content || !CHAPTER_CONTENT_TYPES.includes(content.contentType)) return [];
+
+    const duration = Number(content.duration) || 0;
+    const explicit = content.chapters?.length ? content.chapters : null;
+    const list = explicit || parseChaptersFromDescription(content.description, duration);
+    const source = explicit ? 'creator' : 'description';
+
+    return list.map((chapter, i) => ({
+        index: i,
+        startSeconds: chapter.startSeconds,
+        endSeconds: i + 1 < list.length ? list[i + 1].startSeconds : (duration || null),
+        title: chapter.title,
+        source,
+    }));
+}
+
+/**
+ * Chapter containing a playhead position, or null when there are no chapters.
+ */
+export function findChapterAt(chapters, seconds) {
+    if (!chapters?.length) return null;
+    const position = Math.max(0, Number(seconds) || 0);
+    let found = chapters[0];
+    for (const chapter of chapters) {
+        if (chapter.startSeconds <= position) found = chapter;
+        else break;
+    }
+    return found;
+}
+
+/**
+ * Split a span of played time across chapters.
+ * A heartbeat reports `playSeconds` of active play ending at `playheadSeconds`; the
+ * span [playhead - playSeconds, playhead] is attributed to the chapters it overlaps.
+ *
+ * @returns {Object<string, number>} startSeconds → seconds played in that chapter
+ */
+export function splitPlayTimeByChapter(chapters, playheadSeconds, playSeconds) {
+    const result = {};
+    if (!chapters?.length || !(playSeconds > 0)) return result;
+
+    const to = Math.max(0, Number(playheadSeconds) || 0);
+    const from = Math.max(0, to - playSeconds);
+    if (to <= from) {
+        // Playhead at 0 (e.g. replay just started) — credit the first chapter
+        result[chapters[0].startSeconds] = playSeconds;
+        return result;
+    }
+
+    chapters.forEach((chapter, i) => {
+        const start = chapter.startSeconds;
+        const end = i + 1 < chapters.length ? chapters[i + 1].startSeconds : Infinity;
+        const overlap = Math.min(to, end) - Math.max(from, start);
+        if (overlap > 0) result[start] = Math.round(overlap * 100) / 100;
+    });
+    return result;
+}
+
+/**
+ * Shape per-chapter analytics from aggregated ContentWatchtime rows.
+ * Retention is relative to the sessions that watched the first chapter.
+ *
+ * @param {Array} chapters - resolveChapters() output
+ * @param {Array<{ _id: string, watchTime: number, sessions: number }>} rows - keyed by startSeconds
+ */
+export function buildChapterRetention(chapters, rows) {
+    const byStart = new Map((rows || []).map(r => [String(r._id), r]));
+    const baseline = byStart.get(String(chapters[0]?.startSeconds))?.sessions || 0;
+
+    return chapters.map(chapter => {
+        const row = byStart.get(String(chapter.startSeconds));
+        const sessions = row?.sessions || 0;
+        const watchTime = row?.watchTime || 0;
+        return {
+            index: chapter.index,
+            startSeconds: chapter.startSeconds,
+            endSeconds: chapter.endSeconds,
+            title: chapter.title,
+            sessions,
+            totalWatchTime: Math.round(watchTime),
+            avgWatchTime: sessions > 0 ? Math.round((watchTime / sessions) * 10) / 10 : 0,
+            retentionPercent: baseline > 0 ? Math.min(100, Math.round((sessions / baseline) * 1000) / 10) : 0,
+        };
+    });
+}
@@ -13,6 +13,16 @@
  *
  * PPV REVENUE SPLIT: Creator receives 68% of the purchase price.
  * The remaining 32% is platform revenue (not stored in any wallet).
+ *
+ * MEMBERSHIPS: executeMembershipCharge() bills one month of a channel membership with
+ * the same split as PPV; the renewal schedule lives in utils/membershipRenewals.js.
+ *
+ * TIPS: executeTip() moves a one-off tip from the fan's primary wallet to the creator's
+ * secondary wallet (same split as PPV) and records the Tip in the same transaction.
+ *
+ * REFUNDS: executePpvRefund() reverses a purchase with offsetting ledger entries.
+ * If the creator's earning was already paid out, the uncovered part is parked in
+ * SecondaryWallet.pendingRecovery and recovered before the next payout/transfer.
  */
 import mongoose from 'mongoose';
 import PrimaryWallet from '../models/primaryWallet.model.js';
@@ -20,8 +30,12 @@ import SecondaryWallet from '../models/secondaryWallet.model.js';
 import WalletTransaction from '../models/walletTransaction.model.js';
 import WalletTransferLog from '../models/walletTransferLog.model.js';
 import Purchase from '../models/purchase.model.js';
+import RefundRequest from '../models/refundRequest.model.js';
+import Tip from '../models/tip.model.js';
 import { sendWalletRechargeEmail } from '../services/paymentEmailService.js';
 import { calculateTaxBreakdown } from './taxCalculator.js';
+import { claimCouponRedemption } from './ppvPricing.js';
+import { membershipChargeKey } from './memberships.js';
 
 /** Platform cut percentage for PPV purchases */
 const PLATFORM_CUT_PERCENT = 32;
@@ -190,10 +204,12 @@ export async function debitWallet(walletId, walletType, amount, type, meta, idem
  * @param {string} buyerUserId
  * @param {string} creatorUserId
  * @param {string} contentId
- * @param {number} amount - price of the content
+ * @param {number} amount - price actually charged (after sale/coupon discounts)
+ * @param {number} rentalDuration
+ * @param {Object} pricing - Optional quotePpvPrice() result; its coupon use is redeemed in the same transaction
  * @returns {{ purchase, buyerTxn, creatorTxn, creatorAmount, platformAmount }}
  */
-export async function executePpvPurchase(buyerUserId, creatorUserId, contentId, amount, rentalDuration) {
+export async function executePpvPurchase(buyerUserId, creatorUserId, contentId, amount, rentalDuration, pricing = null) {
     console.log(`\n=================== [PPV_PURCHASE_WALLET_INIT] ===================`);
     console.log(`Buyer: ${buyerUserId} | Creator: ${creatorUserId} | Content: ${contentId} | Price: ₹${amount} | Rental: ${rentalDuration || 2}d`);
 
@@ -247,10 +263,25 @@ export async function executePpvPurchase(buyerUserId, creatorUserId, contentId,
                 tdsAmount: tax.tdsAmount,
                 tcsAmount: tax.tcsAmount,
                 creatorPayout: tax.creatorPayout,
+                listPrice: pricing?.listPrice ?? amount,
+                discountAmount: pricing?.discountAmount || 0,
+                couponId: pricing?.coupon?._id || null,
+                couponCode: pricing?.couponCode || null,
                 status: 'active',
                 expiresAt: expiresAtDate,
             }], { session });
 
+            // Redeem the coupon use — aborts the whole purchase if the coupon ran out meanwhile
+            if (pricing?.coupon) {
+                await claimCouponRedemption(pricing, {
+                    userId: buyerUserId,
+                    contentId,
+                    orderId,
+                    status: 'redeemed',
+                    purchaseId: purchase._id,
+                }, session);
+            }
+
             console.log(`[PPV_PURCHASE_RECORD_CREATED] PurchaseID: ${purchase._id} | OrderID: ${orderId} | Status: active | ExpiresAt: ${purchase.expiresAt}`);
 
             // Debit buyer (full price)
@@ -290,6 +321,165 @@ export async function executePpvPurchase(buyerUserId, creatorUserId, contentId,
     }
 }
 
+/**
+ * Charge one month of a channel membership — single atomic transaction:
+ * 1. Debit the member's primary wallet (full monthly price)
+ * 2. Credit the creator's secondary wallet (net payout, same tax split as PPV)
+ *
+ * Both ledger entries are keyed on the membership + period start, so retrying a
+ * period (worker restarts, overlapping runs) never charges the member twice.
+ * Throws 'Insufficient wallet balance' / 'Member wallet not found' on failure.
+ *
+ * @param {string} memberUserId
+ * @param {string} creatorUserId
+ * @param {string} membershipId
+ * @param {string} tierId
+ * @param {number} amount - monthly price
+ * @param {Date} periodStart - start of the month being paid for
+ */
+export async function executeMembershipCharge(memberUserId, creatorUserId, membershipId, tierId, amount, periodStart) {
+    console.log(`[MEMBERSHIP_CHARGE_INIT] Member: ${memberUserId} | Creator: ${creatorUserId} | Membership: ${membershipId} | Price: ₹${amount} | Period: ${new Date(periodStart).toISOString()}`);
+
+    const tax = calculateTaxBreakdown(amount);
+    const creatorAmount = tax.creatorPayout;
+    const platformAmount = Number((amount - creatorAmount).toFixed(2));
+    const chargeKey = membershipChargeKey(membershipId, periodStart);
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            const memberWallet = await PrimaryWallet.findOne({ userId: memberUserId }).session(session);
+            if (!memberWallet) throw new Error('Member wallet not found');
+
+            let creatorWallet = await SecondaryWallet.findOne({ userId: creatorUserId }).session(session);
+            if (!creatorWallet) {
+                [creatorWallet] = await SecondaryWallet.create([{
+                    userId: creatorUserId,
+                    balance: 0,
+                    currency: 'INR',
+                }], { session });
+            }
+
+            const meta = {
+                relatedOrderId: chargeKey,
+                membershipId,
+                tierId,
+                periodStart,
+                taxBreakdown: tax,
+            };
+
+            const memberTxn = await debitWallet(
+                memberWallet._id, 'primary', amount, 'membership_debit',
+                meta, `${chargeKey}_debit`, session
+            );
+
+            const creatorTxn = await creditWallet(
+                creatorWallet._id, 'secondary', creatorAmount, 'membership_earning_credit',
+                { ...meta, relatedBuyerId: memberUserId },
+                `${chargeKey}_credit`, session
+            );
+
+            result = { memberTxn, creatorTxn, creatorAmount, platformAmount, taxBreakdown: tax, orderId: chargeKey };
+        });
+        console.log(`[MEMBERSHIP_CHARGE_SUCCESS] Membership: ${membershipId} | Creator earning: ₹${creatorAmount}`);
+        return result;
+    } catch (err) {
+        console.error(`[MEMBERSHIP_CHARGE_ERROR] Membership: ${membershipId} | ${err.message}`);
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+}
+
+/**
+ * Send a tip — single atomic transaction:
+ * 1. Debit the fan's primary wallet (full tip)
+ * 2. Credit the creator's secondary wallet (net payout, same tax split as PPV)
+ * 3. Create the Tip record
+ *
+ * `orderId` doubles as the idempotency key: a retried request with the same key
+ * returns the original tip instead of charging again.
+ * Throws 'Insufficient wallet balance' / 'Sender wallet not found' on failure.
+ *
+ * @param {string} senderUserId
+ * @param {string} creatorUserId
+ * @param {number} amount
+ * @param {Object} tipFields - { source, contentId?, communityId?, message, highlightLevel }
+ * @param {string} orderId - unique per tip attempt
+ * @returns {{ tip, senderTxn, creatorTxn, creatorAmount, platformAmount, duplicate }}
+ */
+export async function executeTip(senderUserId, creatorUserId, amount, tipFields, orderId) {
+    console.log(`[TIP_INIT] Sender: ${senderUserId} | Creator: ${creatorUserId} | Amount: ₹${amount} | Source: ${tipFields.source} | Order: ${orderId}`);
+
+    const tax = calculateTaxBreakdown(amount);
+    const creatorAmount = tax.creatorPayout;
+    const platformAmount = Number((amount - creatorAmount).toFixed(2));
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            const existingTip = await Tip.findOne({ orderId }).session(session);
+            if (existingTip) {
+                const senderTxn = await WalletTransaction.findOne({ idempotencyKey: `${orderId}_debit` }).session(session);
+                result = { tip: existingTip, senderTxn, creatorTxn: null, creatorAmount, platformAmount, duplicate: true };
+                return;
+            }
+
+            const senderWallet = await PrimaryWallet.findOne({ userId: senderUserId }).session(session);
+            if (!senderWallet) throw new Error('Sender wallet not found');
+
+            let creatorWallet = await SecondaryWallet.findOne({ userId: creatorUserId }).session(session);
+            if (!creatorWallet) {
+                [creatorWallet] = await SecondaryWallet.create([{
+                    userId: creatorUserId,
+                    balance: 0,
+                    currency: 'INR',
+                }], { session });
+            }
+
+            const [tip] = await Tip.create([{
+                senderId: senderUserId,
+                creatorId: creatorUserId,
+                amount,
+                creatorAmount,
+                taxBreakdown: tax,
+                orderId,
+                ...tipFields,
+            }], { session });
+
+            const meta = {
+                relatedContentId: tipFields.contentId || null,
+                relatedOrderId: orderId,
+                tipId: tip._id,
+                communityId: tipFields.communityId || null,
+                taxBreakdown: tax,
+            };
+
+            const senderTxn = await debitWallet(
+                senderWallet._id, 'primary', amount, 'tip_debit',
+                meta, `${orderId}_debit`, session
+            );
+
+            const creatorTxn = await creditWallet(
+                creatorWallet._id, 'secondary', creatorAmount, 'tip_earning_credit',
+                { ...meta, relatedBuyerId: senderUserId },
+                `${orderId}_credit`, session
+            );
+
+            result = { tip, senderTxn, creatorTxn, creatorAmount, platformAmount, duplicate: false };
+        });
+        console.log(`[TIP_SUCCESS] Tip: ${result.tip._id} | Creator earning: ₹${creatorAmount}${result.duplicate ? ' (duplicate request)' : ''}`);
+        return result;
+    } catch (err) {
+        console.error(`[TIP_ERROR] Order: ${orderId} | ${err.message}`);
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+}
+
 /**
  * Transfer funds from secondary wallet to primary wallet (one-way, irreversible).
  * Single atomic transaction.
@@ -312,8 +502,13 @@ export async function executeTransfer(userId, amount, idempotencyKey) {
                 return;
             }
 
-            const secondaryWallet = await SecondaryWallet.findOne({ userId }).session(session);
+            let secondaryWallet = await SecondaryWallet.findOne({ userId }).session(session);
             if (!secondaryWallet) throw new Error('Secondary wallet not found');
+
+            // Settle refund shortfalls before letting earnings leave the wallet
+            if (await recoverPendingRefunds(secondaryWallet._id, session) > 0) {
+                secondaryWallet = await SecondaryWallet.findById(secondaryWallet._id).session(session);
+            }
             if (secondaryWallet.balance < amount) throw new Error('Insufficient secondary wallet balance');
 
             const primaryWallet = await PrimaryWallet.findOne({ userId }).session(session);
@@ -437,3 +632,152 @@ export async function createPendingRechargeRecord(userId, amount, orderId) {
         throw err;
     }
 }
+
+/**
+ * Recover outstanding refund shortfalls from a creator's secondary wallet.
+ * Must run inside the caller's session, BEFORE the caller reads the balance for a payout/transfer.
+ *
+ * @param {ObjectId} walletId - SecondaryWallet _id
+ * @param {ClientSession} session
+ * @returns {number} Amount recovered (0 if nothing was owed or the balance is empty)
+ */
+export async function recoverPendingRefunds(walletId, session) {
+    const wallet = await SecondaryWallet.findById(walletId).session(session);
+    if (!wallet || !(wallet.pendingRecovery > 0) || wallet.balance <= 0) return 0;
+
+    const recoverAmount = Math.round(Math.min(wallet.balance, wallet.pendingRecovery) * 100) / 100;
+    if (recoverAmount <= 0) return 0;
+
+    await debitWallet(
+        wallet._id, 'secondary', recoverAmount, 'refund_recovery_debit',
+        { pendingRecoveryBefore: wallet.pendingRecovery },
+        // Unique per recovery: a reused key would skip the debit but still reduce pendingRecovery
+        `refund_recovery_${wallet._id}_${new mongoose.Types.ObjectId()}`, session
+    );
+    await SecondaryWallet.updateOne(
+        { _id: wallet._id },
+        { $inc: { pendingRecovery: -recoverAmount } },
+        { session }
+    );
+
+    console.log(`[REFUND_RECOVERY] Wallet ${wallet._id} | Recovered: ₹${recoverAmount} | Still owed: ₹${Math.round((wallet.pendingRecovery - recoverAmount) * 100) / 100}`);
+    return recoverAmount;
+}
+
+/**
+ * Reverse a PPV purchase — single atomic transaction:
+ * 1. Mark the Purchase 'refunded' (revokes access in hasPpvAccess)
+ * 2. Credit the buyer's primary wallet with the full purchase amount
+ * 3. Debit the creator's earning from their secondary wallet; any part already paid
+ *    out is added to pendingRecovery instead of driving the balance negative
+ * 4. Mark the RefundRequest approved with the reversal outcome
+ *
+ * The platform's share is simply not collected — it was never stored in a wallet.
+ *
+ * @param {string} refundRequestId
+ * @param {Object} reviewer - { adminId, adminNote }
+ * @returns {{ refundRequest, buyerTxn, creatorTxn, creatorDebited, creatorShortfall }}
+ */
+export async function executePpvRefund(refundRequestId, { adminId = null, adminNote = '' } = {}) {
+    console.log(`\n=================== [PPV_REFUND_INIT] ===================`);
+    console.log(`RefundRequest: ${refundRequestId} | Admin: ${adminId}`);
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            const request = await RefundRequest.findOne({ _id: refundRequestId, status: 'pending' }).session(session);
+            if (!request) throw new Error('Refund request not found or already reviewed');
+
+            // Flip the purchase first so a concurrent reversal of the same purchase conflicts here
+            const purchase = await Purchase.findOneAndUpdate(
+                { _id: request.purchaseId, status: { $in: ['active', 'expired'] } },
+                { $set: { status: 'refunded', refundedAt: new Date() } },
+                { new: true, session }
+            );
+            if (!purchase) throw new Error('Purchase is not refundable (already refunded or never completed)');
+
+            // Credit buyer (full price)
+            let buyerWallet = await PrimaryWallet.findOne({ userId: purchase.buyerId }).session(session);
+            if (!buyerWallet) {
+                [buyerWallet] = await PrimaryWallet.create([{
+                    userId: purchase.buyerId,
+                    balance: 0,
+                    currency: 'INR',
+                }], { session });
+            }
+            const buyerTxn = await creditWallet(
+                buyerWallet._id, 'primary', purchase.amount, 'ppv_refund_credit',
+                {
+                    relatedContentId: purchase.contentId,
+                    relatedPurchaseId: purchase._id,
+                    relatedOrderId: purchase.orderId,
+                    refundRequestId: request._id,
+                },
+                `ppv_refund_${purchase._id}_credit`, session
+            );
+
+            // Reverse the creator's earning — look it up from the ledger so wallet and gateway
+            // purchases are handled the same way
+            const earningTxn = await WalletTransaction.findOne({
+                relatedPurchaseId: purchase._id,
+                type: 'ppv_earning_credit',
+                status: 'completed',
+            }).session(session);
+
+            let creatorTxn = null;
+            let creatorDebited = 0;
+            let creatorShortfall = 0;
+
+            if (earningTxn) {
+                const creatorWallet = await SecondaryWallet.findById(earningTxn.walletId).session(session);
+                const owed = earningTxn.amount;
+                creatorDebited = Math.round(Math.min(creatorWallet?.balance || 0, owed) * 100) / 100;
+                creatorShortfall = Math.round((owed - creatorDebited) * 100) / 100;
+
+                if (creatorDebited > 0) {
+                    creatorTxn = await debitWallet(
+                        creatorWallet._id, 'secondary', creatorDebited, 'ppv_refund_debit',
+                        {
+                            relatedContentId: purchase.contentId,
+                            relatedPurchaseId: purchase._id,
+                            relatedOrderId: purchase.orderId,
+                            refundRequestId: request._id,
+                            originalEarning: owed,
+                        },
+                        `ppv_refund_${purchase._id}_debit`, session
+                    );
+                }
+                if (creatorShortfall > 0 && creatorWallet) {
+                    // Earning already left the wallet (month-end payout / transfer) — recover later
+                    await SecondaryWallet.updateOne(
+                        { _id: creatorWallet._id },
+                        { $inc: { pendingRecovery: creatorShortfall } },
+                        { session }
+                    );
+                    console.log(`[PPV_REFUND] Creator wallet ${creatorWallet._id} short by ₹${creatorShortfall} — added to pendingRecovery`);
+                }
+            }
+
+            request.status = 'approved';
+            request.reviewedBy = adminId;
+            request.reviewedAt = new Date();
+            request.adminNote = adminNote || '';
+            request.creatorDebited = creatorDebited;
+            request.creatorShortfall = creatorShortfall;
+            request.buyerTransactionId = buyerTxn._id;
+            request.creatorTransactionId = creatorTxn?._id || null;
+            await request.save({ session });
+
+            result = { refundRequest: request, purchase, buyerTxn, creatorTxn, creatorDebited, creatorShortfall };
+        });
+        console.log(`[PPV_REFUND_SUCCESS] Buyer credited ₹${result.buyerTxn.amount} | Creator debited ₹${result.creatorDebited} | Shortfall ₹${result.creatorShortfall}`);
+        console.log(`=================== [PPV_REFUND_END] ===================\n`);
+        return result;
+    } catch (err) {
+        console.error(`[PPV_REFUND_ERROR] ${err.message}`);
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+}
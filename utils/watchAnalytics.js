@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import Content from '../models/content.model.js';
 import ContentView from '../models/contentView.model.js';
 import ContentWatchtime from '../models/contentWatchtime.model.js';
+import { resolveChapters, splitPlayTimeByChapter, buildChapterRetention } from './videoChapters.js';
 
 /**
  * View Count Threshold Algorithm:
@@ -264,6 +265,19 @@ export async function recordWatchSignal({ req, content, contentId, event, device
     const activePlayTimeDelta = Math.max(0, activePlayTime - previousActivePlayTime);
     const isNewSession = !previousDoc;
 
+    // ── Per-chapter watch time (video/audio with chapters) ──
+    // Attribute the new play time to the chapters it covered, ending at the current playhead
+    if (activePlayTimeDelta > 0) {
+        const chapterSplit = splitPlayTimeByChapter(resolveChapters(contentRecord), playheadSeconds, activePlayTimeDelta);
+        const chapterInc = {};
+        for (const [startSeconds, seconds] of Object.entries(chapterSplit)) {
+            chapterInc[`chapterWatchTime.${startSeconds}`] = seconds;
+        }
+        if (Object.keys(chapterInc).length > 0) {
+            await ContentWatchtime.updateOne(sessionUpsertKey, { $inc: chapterInc });
+        }
+    }
+
     const now = new Date();
     const bestPlayhead = Math.max(Number(contentRecord.furthestPlayheadSeconds) || 0, playheadSeconds || 0);
     const thisSessionCompletion = resolveCompletionRate(contentDuration, playheadSeconds);
@@ -619,3 +633,22 @@ export async function recordWatchSignal({ req, content, contentId, event, device
         },
     };
 }
+
+/**
+ * Per-chapter watch time and retention for a content item, from the chapterWatchTime
+ * map on each ContentWatchtime session. Returns [] when the content has no chapters.
+ */
+export async function getChapterAnalytics(content) {
+    const chapters = resolveChapters(content);
+    if (chapters.length === 0) return [];
+
+    const rows = await ContentWatchtime.aggregate([
+        { $match: { contentId: new mongoose.Types.ObjectId(content._id), chapterWatchTime: { $exists: true } } },
+        { $project: { chapters: { $objectToArray: '$chapterWatchTime' } } },
+        { $unwind: '$chapters' },
+        { $match: { 'chapters.v': { $gt: 0 } } },
+        { $group: { _id: '$chapters.k', watchTime: { $sum: '$chapters.v' }, sessions: { $sum: 1 } } },
+    ]);
+
+    return buildChapterRetention(chapters, rows);
+}
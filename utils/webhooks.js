@@ -0,0 +1,645 @@
+/**
+ * Outgoing Webhooks — event fan-out, signing and delivery
+ *
+ * Producers call emitWebhookEvent(event, { creatorId, data }) after a successful write.
+ * Every active endpoint subscribed to the event — the creator's own endpoints plus all
+ * partner endpoints — gets a WebhookDelivery and a job on the `webhooks` queue
+ * (utils/jobQueue.js). workers/webhookWorker.js POSTs the payload and the queue retries
+ * failures with webhookRetryDelayMs() until WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Request sent to the receiver:
+ *   POST <url>   Content-Type: application/json
+ *   X-Webhook-Id:        evt_…  (same for retries and replays — de-duplicate on it)
+ *   X-Webhook-Event:     e.g. ppv.purchased
+ *   X-Webhook-Timestamp: unix seconds of this attempt
+ *   X-Webhook-Signature: t=<timestamp>,v1=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+ *   body: { id, type, createdAt, creatorId, data }
+ *
+ * Receivers should reject signatures older than a few minutes (verifyWebhookSignature).
+ * Only 2xx responses count as delivered; redirects are not followed. Every attempt
+ * re-resolves the host, refuses private addresses and connects to the address it checked.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import WebhookEndpoint from '../models/webhookEndpoint.model.js';
+import WebhookDelivery from '../models/webhookDelivery.model.js';
+import { createJobQueue } from './jobQueue.js';
+import { encrypt, decrypt } from './encryption.js';
+
+export const WEBHOOK_EVENTS = {
+    'content.processed': 'An upload finished processing and is playable',
+    'content.failed': 'An upload failed processing',
+    'ppv.purchased': 'A viewer rented pay-per-view content',
+    'payout.settled': 'A payout was settled to the bank account',
+    'subscriber.new': 'Someone subscribed to the channel',
+    'comment.posted': 'A comment or reply was posted on the channel\'s content',
+    'membership.joined': 'A fan joined a channel membership tier',
+    'tip.received': 'A fan sent a tip',
+};
+
+/** Sent by the "send test event" button; never emitted by the platform */
+export const WEBHOOK_PING_EVENT = 'webhook.ping';
+
+export const WEBHOOK_QUEUE = 'webhooks';
+export const WEBHOOK_MAX_ATTEMPTS = 8;
+export const MAX_ENDPOINTS_PER_OWNER = 10;
+/** Disable an endpoint after this many deliveries in a row exhausted their retries */
+export const AUTO_DISABLE_AFTER_FAILURES = 20;
+export const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 1024;
+
+export const isWebhookEvent = (event) => Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event);
+
+/**
+ * Delay before the next attempt: 1 min, 4 min, 16 min, ~1 h, ~4 h, then every 6 h
+ * (8 attempts span roughly a day).
+ */
+export function webhookRetryDelayMs(attempts) {
+    return Math.min(60 * 1000 * Math.pow(4, Math.max(0, attempts - 1)), 6 * 60 * 60 * 1000);
+}
+
+// ─── Secrets & signatures ────────────────────────────────────────────────────
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+export function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function signatureHeader(secret, timestamp, body) {
+    return `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`;
+}
+
+/**
+ * Receiver-side check (documented for integrators, used in tests).
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, header, body, { toleranceSec = SIGNATURE_TOLERANCE_SEC, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp) || !parts.v1) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSec) return false;
+
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body), 'hex');
+    const given = Buffer.from(parts.v1, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ─── URL safety ──────────────────────────────────────────────────────────────
+
+const embeddedIPv4 = (hi, lo) => `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+
+/**
+ * The eight 16-bit groups of an IPv6 address (expands `::`, a dotted IPv4 tail and drops
+ * a zone id). Expects a valid address (net.isIPv6).
+ */
+export function parseIPv6(ip) {
+    let text = ip.toLowerCase().split('%')[0];
+    const tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (tail) {
+        const [a, b, c, d] = tail.slice(1).map(Number);
+        text = text.slice(0, -tail[0].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, rest] = text.split('::');
+    const before = head ? head.split(':') : [];
+    const after = rest ? rest.split(':') : [];
+    const fill = text.includes('::') ? 8 - before.length - after.length : 0;
+    return [...before, ...Array(fill).fill('0'), ...after].map(group => parseInt(group, 16));
+}
+
+/**
+ * Loopback, private, link-local, CGNAT, multicast and reserved ranges — a webhook must
+ * never reach our own network. IPv6 forms that carry an IPv4 address (mapped, NAT64,
+ * 6to4) are judged by that address, whichever way they are written.
+ */
+export function isPrivateAddress(ip) {
+    if (net.isIPv4(ip)) {
+        const [a, b, c] = ip.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 192 && b === 0 && (c === 0 || c === 2))
+            || (a === 198 && b === 51 && c === 100)
+            || (a === 203 && b === 0 && c === 113)
+            || (a === 198 && (b === 18 || b === 19));
+    }
+    if (net.isIPv6(ip)) {
+        const w = parseIPv6(ip);
+        const zeroUpTo = (n) => w.slice(0, n).every(group => group === 0);
+
+        if (zeroUpTo(5) && w[5] === 0xffff) return isPrivateAddress(embeddedIPv4(w[6], w[7]));   // ::ffff:0:0/96 mapped
+        if (zeroUpTo(4) && w[4] === 0xffff && w[5] === 0) return isPrivateAddress(embeddedIPv4(w[6], w[7])); // ::ffff:0:0:0/96
+        if (zeroUpTo(6)) return true;                                                            // ::, ::1, IPv4-compatible
+        if (w[0] === 0x64 && w[1] === 0xff9b) {
+            if (w.slice(2, 6).every(group => group === 0)) return isPrivateAddress(embeddedIPv4(w[6], w[7])); // NAT64
+            return true;                                                                         // 64:ff9b:1::/48 local NAT64
+        }
+        if (w[0] === 0x2002) return isPrivateAddress(embeddedIPv4(w[1], w[2]));                 // 6to4
+        if (w[0] === 0x2001 && (w[1] === 0 || w[1] === 0xdb8)) return true;                     // Teredo, documentation
+        if (w[0] === 0x100 && w[1] === 0 && w[2] === 0 && w[3] === 0) return true;               // 100::/64 discard
+        return (w[0] & 0xfe00) === 0xfc00     // fc00::/7 unique local
+            || (w[0] & 0xffc0) === 0xfe80     // fe80::/10 link-local
+            || (w[0] & 0xffc0) === 0xfec0     // fec0::/10 site-local
+            || (w[0] & 0xff00) === 0xff00;    // multicast
+    }
+    return true;
+}
+
+/**
+ * Syntax check for a webhook URL (no DNS). https only in production.
+ * @returns {string|null} error message
+ */
+export function webhookUrlError(value) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch {
+        return 'Enter a valid URL';
+    }
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        return 'Webhook URLs must use https';
+    }
+    if (url.username || url.password) return 'Webhook URLs cannot contain credentials';
+    if (String(value).length > 2048) return 'Webhook URL is too long';
+    return null;
+}
+
+/**
+ * Full check: syntax + every resolved address is public. Returns { address, error } —
+ * `address` ({ address, family }) is the checked address to connect to, so DNS can't
+ * change between the check and the request.
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true skips the address check for local development
+ * (address is then null and the request resolves the host normally).
+ */
+export async function resolveWebhookAddress(value) {
+    const syntaxError = webhookUrlError(value);
+    if (syntaxError) return { address: null, error: syntaxError };
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return { address: null, error: null };
+
+    const hostname = new URL(String(value)).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [{ address: hostname, family: net.isIP(hostname) }]
+            : await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+        return { address: null, error: 'Webhook host could not be resolved' };
+    }
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+        return { address: null, error: 'Webhook URLs must point to a public address' };
+    }
+    return { address: { address: addresses[0].address, family: addresses[0].family }, error: null };
+}
+
+/**
+ * Runs on create/update and again before every attempt (DNS can change).
+ * @returns {Promise<string|null>} error message
+ */
+export async function validateWebhookUrl(value) {
+    return (await resolveWebhookAddress(value)).error;
+}
+
+/**
+ * Validate a subscription list. Returns { events, error }.
+ */
+export function parseWebhookEvents(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return { events: null, error: 'Subscribe to at least one event' };
+    }
+    const unknown = value.filter(e => !isWebhookEvent(e));
+    if (unknown.length > 0) {
+        return { events: null, error: `Unknown webhook events: ${unknown.join(', ')}` };
+    }
+    return { events: [...new Set(value)], error: null };
+}
+
+/**
+ * Validate a create/update body for an endpoint. With `partial`, missing fields are
+ * left alone. Returns { fields, error }.
+ */
+export async function parseEndpointInput(body = {}, { partial = false } = {}) {
+    const fields = {};
+
+    if (body.url !== undefined || !partial) {
+        const urlError = await validateWebhookUrl(body.url);
+        if (urlError) return { fields: null, error: urlError };
+        fields.url = String(body.url);
+    }
+    if (body.events !== undefined || !partial) {
+        const { events, error } = parseWebhookEvents(body.events);
+        if (error) return { fields: null, error };
+        fields.events = events;
+    }
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || body.name.trim().length > 80) {
+            return { fields: null, error: 'Name must be at most 80 characters' };
+        }
+        fields.name = body.name.trim();
+    }
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') return { fields: null, error: 'isActive must be true or false' };
+        fields.isActive = body.isActive;
+        // Re-enabling gives an auto-disabled endpoint a clean slate
+        if (body.isActive) Object.assign(fields, { disabledReason: null, consecutiveFailures: 0 });
+    }
+    return { fields, error: null };
+}
+
+/**
+ * Model fields for a (new) signing secret
+ */
+export function secretFields(secret) {
+    const { encrypted, iv, tag } = encrypt(secret);
+    return { secretEncrypted: encrypted, secretIv: iv, secretTag: tag, secretHint: secret.slice(-4) };
+}
+
+export const formatWebhookEndpoint = (endpoint) => ({
+    _id: endpoint._id,
+    kind: endpoint.kind,
+    ownerId: endpoint.ownerId || null,
+    name: endpoint.name,
+    url: endpoint.url,
+    events: endpoint.events,
+    secretHint: endpoint.secretHint,
+    isActive: endpoint.isActive,
+    disabledReason: endpoint.disabledReason,
+    consecutiveFailures: endpoint.consecutiveFailures,
+    lastDeliveryAt: endpoint.lastDeliveryAt,
+    lastSuccessAt: endpoint.lastSuccessAt,
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt,
+});
+
+/**
+ * Delivery log entry; `detail` adds the payload, attempt history and response body.
+ */
+export const formatWebhookDelivery = (delivery, { detail = false } = {}) => ({
+    _id: delivery._id,
+    endpointId: delivery.endpointId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    responseStatus: delivery.responseStatus,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    replayOf: delivery.replayOf,
+    createdAt: delivery.createdAt,
+    ...(detail ? {
+        payload: delivery.payload,
+        attemptLog: delivery.attemptLog,
+        responseBody: delivery.responseBody,
+    } : {}),
+});
+
+/**
+ * Paginated delivery log filtered by ?status=&event=&endpointId=&page=&limit=
+ * within `baseFilter`: { ownerId } for a creator, { ownerId: null } for partner endpoints.
+ * @returns {Promise<{ deliveries, pagination } | { error }>}
+ */
+export async function listWebhookDeliveries(baseFilter, query = {}) {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+    const filter = { ...baseFilter };
+
+    if (query.status) {
+        if (!['pending', 'succeeded', 'failed'].includes(query.status)) return { error: 'Invalid status filter' };
+        filter.status = query.status;
+    }
+    if (query.event) {
+        if (!isWebhookEvent(query.event) && query.event !== WEBHOOK_PING_EVENT) return { error: 'Invalid event filter' };
+        filter.event = query.event;
+    }
+    if (query.endpointId) {
+        if (!/^[a-f0-9]{24}$/i.test(String(query.endpointId))) return { error: 'Invalid endpoint ID' };
+        filter.endpointId = query.endpointId;
+    }
+
+    const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-payload -attemptLog -responseBody')
+            .lean(),
+        WebhookDelivery.countDocuments(filter),
+    ]);
+    return {
+        deliveries: deliveries.map(d => formatWebhookDelivery(d)),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+}
+
+// ─── Queue & fan-out ─────────────────────────────────────────────────────────
+
+let webhookQueue = null;
+
+export function getWebhookQueue() {
+    if (!webhookQueue) webhookQueue = createJobQueue(WEBHOOK_QUEUE, { retryDelay: webhookRetryDelayMs });
+    return webhookQueue;
+}
+
+/**
+ * Common `data` for content.* events
+ */
+export const contentEventData = (content, extra = {}) => ({
+    contentId: String(content._id),
+    contentType: content.contentType,
+    title: content.title || '',
+    visibility: content.visibility,
+    ...extra,
+});
+
+/**
+ * `data` for ppv.purchased — the buyer is deliberately left out
+ */
+export const ppvEventData = (purchase, { title = '', creatorEarning = null, paymentMethod } = {}) => ({
+    contentId: String(purchase.contentId),
+    title,
+    purchaseId: String(purchase._id),
+    amount: purchase.amount,
+    currency: purchase.currency || 'INR',
+    creatorEarning,
+    paymentMethod,
+    expiresAt: purchase.expiresAt ? new Date(purchase.expiresAt).toISOString() : null,
+});
+
+/**
+ * `data` for payout.settled — amounts only, no bank details
+ */
+export const payoutEventData = (payout) => ({
+    payoutId: String(payout._id),
+    payoutMonth: payout.payoutMonth,
+    grossAmount: payout.grossAmount,
+    netAmount: payout.netAmount,
+    currency: 'INR',
+    settledAt: payout.completedAt ? new Date(payout.completedAt).toISOString() : null,
+});
+
+export function buildEventEnvelope(event, creatorId, data, now = new Date()) {
+    return {
+        id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+        type: event,
+        createdAt: now.toISOString(),
+        creatorId: creatorId ? String(creatorId) : null,
+        data,
+    };
+}
+
+async function queueDelivery(delivery) {
+    await getWebhookQueue().enqueue(
+        String(delivery._id),
+        { deliveryId: String(delivery._id) },
+        { maxAttempts: WEBHOOK_MAX_ATTEMPTS }
+    );
+}
+
+/**
+ * Create and queue one delivery of `payload` to `endpoint`.
+ */
+export async function createDelivery(endpoint, payload, { replayOf = null } = {}) {
+    const delivery = await WebhookDelivery.create({
+        endpointId: endpoint._id,
+        ownerId: endpoint.ownerId || null,
+        eventId: payload.id,
+        event: payload.type,
+        payload,
+        nextAttemptAt: new Date(),
+        replayOf,
+    });
+    await queueDelivery(delivery);
+    return delivery;
+}
+
+/**
+ * Fan an event out to every subscribed endpoint. Never throws — a failed emit must not
+ * fail the request that caused the event.
+ *
+ * @param {string} event - a WEBHOOK_EVENTS key
+ * @param {Object} options
+ * @param {string|ObjectId} options.creatorId - the channel the event belongs to
+ * @param {Object} options.data - event-specific fields (no buyer/fan personal data)
+ * @returns {Promise<number>} deliveries queued
+ */
+export async function emitWebhookEvent(event, { creatorId, data = {} }) {
+    try {
+        if (!isWebhookEvent(event)) throw new Error(`Unknown webhook event: ${event}`);
+
+        const endpoints = await WebhookEndpoint.find({
+            isActive: true,
+            events: event,
+            $or: [
+                { kind: 'partner' },
+                ...(creatorId ? [{ kind: 'creator', ownerId: creatorId }] : []),
+            ],
+        }).select('_id ownerId').lean();
+        if (endpoints.length === 0) return 0;
+
+        const payload = buildEventEnvelope(event, creatorId, data);
+        let queued = 0;
+        for (const endpoint of endpoints) {
+            try {
+                await createDelivery(endpoint, payload);
+                queued++;
+            } catch (err) {
+                console.error(`❌ [Webhooks] Failed to queue ${event} for endpoint ${endpoint._id}:`, err.message);
+            }
+        }
+        return queued;
+    } catch (err) {
+        console.error(`❌ [Webhooks] emit ${event} failed:`, err.message);
+        return 0;
+    }
+}
+
+/**
+ * Queue a `webhook.ping` to one endpoint so owners can check their receiver.
+ */
+export async function sendTestEvent(endpoint) {
+    const payload = buildEventEnvelope(WEBHOOK_PING_EVENT, endpoint.ownerId, {
+        endpointId: String(endpoint._id),
+        message: 'Test event — your endpoint is reachable.',
+    });
+    return createDelivery(endpoint, payload);
+}
+
+/**
+ * Send the same event again as a new delivery (keeps the event id).
+ */
+export async function replayDelivery(delivery) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('_id ownerId isActive').lean();
+    if (!endpoint) throw new Error('Webhook endpoint not found');
+    if (!endpoint.isActive) throw new Error('Webhook endpoint is disabled');
+    return createDelivery(endpoint, delivery.payload, { replayOf: delivery._id });
+}
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+export const decryptWebhookSecret = (endpoint) =>
+    decrypt(endpoint.secretEncrypted, endpoint.secretIv, endpoint.secretTag);
+
+/**
+ * A `lookup` for http.request that always answers with the address we checked.
+ */
+export function pinnedLookup({ address, family }) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') callback = options;
+        if (options?.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+    };
+}
+
+/**
+ * Minimal fetch over http/https that honours `init.lookup` (global fetch can't be
+ * given one). Never follows redirects; reads at most RESPONSE_BODY_LIMIT bytes.
+ */
+function pinnedFetch(url, { method, headers, body, signal, lookup }) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = transport.request(target, {
+            method,
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            signal,
+            ...(lookup ? { lookup } : {}),
+        }, (res) => {
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= RESPONSE_BODY_LIMIT) res.destroy();
+            });
+            const finish = () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                resolve({ status: res.statusCode, text: async () => text });
+            };
+            res.on('end', finish);
+            res.on('close', finish);
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * One HTTP attempt. Resolves to { ok, responseStatus, responseBody, durationMs, error }.
+ * The connection goes to the address validated just before (pinned via `lookup`).
+ */
+export async function sendWebhook(endpoint, payload, { fetchImpl = pinnedFetch, now = Date.now() } = {}) {
+    const { address, error: urlError } = await resolveWebhookAddress(endpoint.url);
+    if (urlError) return { ok: false, responseStatus: null, responseBody: null, durationMs: 0, error: urlError };
+
+    const secret = decryptWebhookSecret(endpoint);
+    if (!secret) return { ok: false, responseStatus: null, responseBody: null, durationMs: 0, error: 'Signing secret unavailable' };
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(now / 1000);
+    const started = Date.now();
+    try {
+        const res = await fetchImpl(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'WatchInit-Webhooks/1.0',
+                'X-Webhook-Id': payload.id,
+                'X-Webhook-Event': payload.type,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signatureHeader(secret, timestamp, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            lookup: address ? pinnedLookup(address) : undefined,
+        });
+        const text = await res.text().catch(() => '');
+        const ok = res.status >= 200 && res.status < 300;
+        return {
+            ok,
+            responseStatus: res.status,
+            responseBody: text.slice(0, RESPONSE_BODY_LIMIT),
+            durationMs: Date.now() - started,
+            error: ok ? null : `Receiver responded with HTTP ${res.status}`,
+        };
+    } catch (err) {
+        const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+        return {
+            ok: false,
+            responseStatus: null,
+            responseBody: null,
+            durationMs: Date.now() - started,
+            error: timedOut ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message,
+        };
+    }
+}
+
+/**
+ * Process one `webhooks` queue job: attempt the delivery and record the outcome on the
+ * WebhookDelivery, the queue and the endpoint.
+ * @returns {Promise<'succeeded'|'retrying'|'failed'|'skipped'>}
+ */
+export async function processWebhookJob(queue, job, options = {}) {
+    const delivery = await WebhookDelivery.findById(job.payload.deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+        await queue.complete(job);
+        return 'skipped';
+    }
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+    if (!endpoint || !endpoint.isActive) {
+        delivery.status = 'failed';
+        delivery.lastError = endpoint ? 'Endpoint disabled' : 'Endpoint deleted';
+        delivery.nextAttemptAt = null;
+        await delivery.save();
+        await queue.complete(job);
+        return 'failed';
+    }
+
+    const result = await sendWebhook(endpoint, delivery.payload, options);
+    const now = new Date();
+    delivery.attempts = job.attempts;
+    delivery.attemptLog.push({ at: now, responseStatus: result.responseStatus, durationMs: result.durationMs, error: result.error });
+    delivery.responseStatus = result.responseStatus;
+    delivery.responseBody = result.responseBody;
+    delivery.lastError = result.error;
+    endpoint.lastDeliveryAt = now;
+
+    if (result.ok) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = now;
+        delivery.nextAttemptAt = null;
+        endpoint.lastSuccessAt = now;
+        endpoint.consecutiveFailures = 0;
+        await Promise.all([delivery.save(), endpoint.save()]);
+        await queue.complete(job);
+        return 'succeeded';
+    }
+
+    const { dead, retryInMs } = await queue.fail(job, new Error(result.error));
+    if (!dead) {
+        delivery.nextAttemptAt = new Date(now.getTime() + retryInMs);
+        await Promise.all([delivery.save(), endpoint.save()]);
+        return 'retrying';
+    }
+
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    endpoint.consecutiveFailures += 1;
+    if (endpoint.consecutiveFailures >= AUTO_DISABLE_AFTER_FAILURES) {
+        endpoint.isActive = false;
+        endpoint.disabledReason = `Disabled after ${endpoint.consecutiveFailures} failed deliveries in a row`;
+        console.warn(`[Webhooks] Endpoint ${endpoint._id} disabled: ${endpoint.disabledReason}`);
+    }
+    await Promise.all([delivery.save(), endpoint.save()]);
+    return 'failed';
+}
@@ -0,0 +1,150 @@
+/**
+ * Account Data Worker
+ *
+ * Runs on a configurable interval (default: every 60 seconds):
+ *   1. Builds queued data exports → .tar.gz in storage (exports/{userId}/{exportId}.tar.gz)
+ *   2. Expires ready exports past their download window and deletes the stored archive
+ *   3. Erases accounts whose deletion grace period has passed and deletes their orphaned
+ *      storage objects (profile pictures, KYC documents, old exports). Content media is left
+ *      to the archive purge worker via ContentArchive.
+ *
+ * Usage:
+ *   node workers/accountDataWorker.js
+ *
+ * Or add to your process manager / cron.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import AccountExport from '../models/accountExport.model.js';
+import {
+    collectAccountData,
+    buildExportArchive,
+    EXPORT_DOWNLOAD_TTL_MS,
+    MAX_EXPORT_ATTEMPTS,
+} from '../utils/accountExport.js';
+import { runAccountDeletionCycle } from '../utils/accountDeletion.js';
+import { getStorage, putObject, deleteObject, resolveStorageKey } from '../utils/storage.js';
+
+const ACCOUNT_INTERVAL_MS = parseInt(process.env.ACCOUNT_WORKER_INTERVAL_MS) || 60 * 1000; // 1 min
+const EXPORT_BATCH_SIZE = 5;
+// A job stuck in 'processing' this long is assumed to belong to a crashed worker
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+async function deleteStorageObject(keyOrUrl) {
+    // Profile pictures may be external URLs (e.g. Google avatars) — nothing to delete
+    const key = resolveStorageKey(keyOrUrl);
+    if (!key) return;
+    try {
+        await deleteObject(key);
+    } catch (err) {
+        console.error(`  ⚠️ Failed to delete storage key "${key}":`, err.message);
+    }
+}
+
+/**
+ * Atomically claim the next queued export (or one abandoned by a crashed worker).
+ */
+async function claimNextExport() {
+    return AccountExport.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued' },
+                { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+            ],
+            attempts: { $lt: MAX_EXPORT_ATTEMPTS },
+        },
+        { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+    );
+}
+
+async function processExport(job) {
+    console.log(`\n📦 Building export ${job._id} for user ${job.userId} (attempt ${job.attempts})`);
+    try {
+        const generatedAt = new Date();
+        const sections = await collectAccountData(job.userId);
+        const { buffer, sectionCounts } = buildExportArchive(sections, { userId: job.userId, generatedAt });
+
+        const archiveKey = `exports/${job.userId}/${job._id}.tar.gz`;
+        await putObject(archiveKey, buffer, { contentType: 'application/gzip', encrypt: true });
+
+        job.status = 'ready';
+        job.archiveKey = archiveKey;
+        job.sizeBytes = buffer.length;
+        job.sectionCounts = sectionCounts;
+        job.error = null;
+        job.completedAt = new Date();
+        job.expiresAt = new Date(Date.now() + EXPORT_DOWNLOAD_TTL_MS);
+        await job.save();
+        console.log(`  ✅ Export ready: ${archiveKey} (${buffer.length} bytes)`);
+    } catch (err) {
+        console.error(`  ❌ Export ${job._id} failed:`, err);
+        // Retry on the next cycle until attempts run out
+        job.status = job.attempts >= MAX_EXPORT_ATTEMPTS ? 'failed' : 'queued';
+        job.error = err.message;
+        await job.save();
+    }
+}
+
+async function runExportCycle() {
+    for (let i = 0; i < EXPORT_BATCH_SIZE; i++) {
+        const job = await claimNextExport();
+        if (!job) break;
+        await processExport(job);
+    }
+
+    // Expire old archives
+    const expired = await AccountExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+    for (const job of expired) {
+        await deleteStorageObject(job.archiveKey);
+        job.status = 'expired';
+        job.archiveKey = null;
+        await job.save();
+    }
+    if (expired.length > 0) console.log(`  🧹 Expired ${expired.length} export(s)`);
+}
+
+async function runDeletionCycle() {
+    const erased = await runAccountDeletionCycle();
+    for (const result of erased) {
+        await Promise.all(result.storageKeysToDelete.map(deleteStorageObject));
+    }
+    if (erased.length > 0) console.log(`✅ Deletion cycle complete. Erased ${erased.length} account(s).`);
+}
+
+async function runCycle() {
+    await runExportCycle();
+    await runDeletionCycle();
+}
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Account Data Worker starting...');
+    console.log(`   Interval: ${ACCOUNT_INTERVAL_MS / 1000}s`);
+    console.log(`   Storage: ${getStorage().name}`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    // Run immediately on start
+    await runCycle();
+
+    // Then run on interval
+    setInterval(async () => {
+        try {
+            await runCycle();
+        } catch (err) {
+            console.error('❌ Account data cycle error:', err);
+        }
+    }, ACCOUNT_INTERVAL_MS);
+}
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});
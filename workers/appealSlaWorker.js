@@ -0,0 +1,56 @@
+/**
+ * Appeal SLA Worker
+ *
+ * Runs on a configurable interval (default: every 15 minutes).
+ * Flags pending appeals that ran past their SLA due date (see utils/appeals.js):
+ * admin-queue appeals raise an admin notification, community ban appeals email the owner.
+ * Each appeal is claimed before it is flagged, so running several workers is safe.
+ *
+ * Usage:
+ *   node workers/appealSlaWorker.js
+ *
+ * Or add to your process manager / cron.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import { flagOverdueAppeals } from '../utils/appeals.js';
+
+const SLA_CHECK_INTERVAL_MS = parseInt(process.env.APPEAL_SLA_CHECK_INTERVAL_MS) || 15 * 60 * 1000; // 15 min
+
+async function runCycle() {
+    const flagged = await flagOverdueAppeals();
+    if (flagged > 0) {
+        console.log(`✅ SLA cycle complete. ${flagged} appeal(s) flagged as overdue.`);
+    }
+}
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Appeal SLA Worker starting...');
+    console.log(`   Check interval: ${SLA_CHECK_INTERVAL_MS / 1000}s`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    // Run immediately on start
+    await runCycle();
+
+    // Then run on interval
+    setInterval(async () => {
+        try {
+            await runCycle();
+        } catch (err) {
+            console.error('❌ SLA cycle error:', err);
+        }
+    }, SLA_CHECK_INTERVAL_MS);
+}
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});
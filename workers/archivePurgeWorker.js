@@ -3,9 +3,11 @@
  * 
  * Runs on a configurable interval (default: every 10 minutes).
  * Permanently deletes archived content whose 24-hour grace period has expired.
+ * Archives come from moderator removals and from account deletion (removal_source).
+ * Archives held for a pending takedown appeal (appeal_hold, see utils/appeals.js) are skipped.
  * 
  * Deletes:
- *   1. S3 objects: thumbnail, original upload, HLS segments/playlists, images
+ *   1. Storage objects (S3 or local driver): thumbnail, original upload, HLS segments/playlists, images
  *   2. MongoDB: Content document + related Comments, VideoReactions, WatchHistory, ContentViews
  *   3. Updates ContentArchive record to mark as permanently deleted
  * 
@@ -17,10 +19,11 @@
 
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import { S3Client, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
 
 dotenv.config();
 
+import { getStorage, deleteObject, deletePrefix } from '../utils/storage.js';
+
 // ─── Models ──────────────────────────────────────────────────────────────────
 import ContentArchive from '../models/contentArchive.model.js';
 import Content from '../models/content.model.js';
@@ -29,59 +32,43 @@ import AdminAuditLog from '../models/adminAuditLog.model.js';
 // Lazy-import related models only when needed
 const PURGE_INTERVAL_MS = parseInt(process.env.PURGE_INTERVAL_MS) || 10 * 60 * 1000; // 10 min
 
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    },
-});
-
-const S3_BUCKET = process.env.S3_BUCKET;
-
 /**
- * Delete a single S3 object by key.
+ * Delete a single storage object by key.
  */
-async function deleteS3Object(key) {
+async function deleteStorageObject(key) {
     if (!key) return;
     try {
-        await s3Client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        await deleteObject(key);
     } catch (err) {
-        console.error(`  ⚠️ Failed to delete S3 key "${key}":`, err.message);
+        console.error(`  ⚠️ Failed to delete storage key "${key}":`, err.message);
     }
 }
 
 /**
- * Delete all S3 objects under a given prefix (e.g., HLS directory).
+ * Delete all storage objects under a given prefix (e.g., HLS directory).
  */
-async function deleteS3Prefix(prefix) {
+async function deleteStoragePrefix(prefix) {
     if (!prefix) return;
     try {
-        const listed = await s3Client.send(new ListObjectsV2Command({
-            Bucket: S3_BUCKET,
-            Prefix: prefix
-        }));
-
-        if (listed.Contents && listed.Contents.length > 0) {
-            console.log(`  🗑️  Deleting ${listed.Contents.length} objects under prefix "${prefix}"`);
-            await Promise.all(
-                listed.Contents.map(obj => deleteS3Object(obj.Key))
-            );
+        const folder = prefix.endsWith('/') ? prefix : `${prefix}/`;
+        const deleted = await deletePrefix(folder);
+        if (deleted > 0) {
+            console.log(`  🗑️  Deleted ${deleted} objects under prefix "${folder}"`);
         }
     } catch (err) {
-        console.error(`  ⚠️ Failed to list/delete S3 prefix "${prefix}":`, err.message);
+        console.error(`  ⚠️ Failed to list/delete storage prefix "${prefix}":`, err.message);
     }
 }
 
 /**
- * Process a single archive entry: delete content from S3 + MongoDB.
+ * Process a single archive entry: delete content from storage + MongoDB.
  */
 async function purgeArchivedItem(archive) {
     const contentId = archive.content_id;
     console.log(`\n📦 Purging content: ${contentId} (archived: ${archive.removed_at.toISOString()})`);
 
     try {
-        // 1. Delete S3 objects
+        // 1. Delete storage objects
         const keysToDelete = [
             archive.originalKey,
             archive.hlsMasterKey,
@@ -96,33 +83,33 @@ async function purgeArchivedItem(archive) {
 
         // Delete individual keys
         if (keysToDelete.length > 0) {
-            console.log(`  🗑️  Deleting ${keysToDelete.length} S3 objects`);
-            await Promise.all(keysToDelete.map(deleteS3Object));
+            console.log(`  🗑️  Deleting ${keysToDelete.length} storage objects`);
+            await Promise.all(keysToDelete.map(deleteStorageObject));
         }
 
         // Delete HLS directory (all segments, playlists, variants)
         if (archive.hlsPrefix) {
-            await deleteS3Prefix(archive.hlsPrefix);
+            await deleteStoragePrefix(archive.hlsPrefix);
         }
 
         // Also try to find and delete the content's original upload path
         // (e.g., uploads/{userId}/{filename})
         const content = await Content.findById(contentId);
         if (content) {
-            // Check for any additional S3 keys on the content document
+            // Check for any additional storage keys on the content document
             const extraKeys = [
                 content.processedKey,
                 content.hlsKey,
             ].filter(Boolean);
 
             if (extraKeys.length > 0) {
-                await Promise.all(extraKeys.map(deleteS3Object));
+                await Promise.all(extraKeys.map(deleteStorageObject));
             }
 
             // If hlsKey exists, also delete the parent HLS directory
             if (content.hlsMasterKey && !archive.hlsPrefix) {
                 const hlsDir = content.hlsMasterKey.substring(0, content.hlsMasterKey.lastIndexOf('/') + 1);
-                if (hlsDir) await deleteS3Prefix(hlsDir);
+                if (hlsDir) await deleteStoragePrefix(hlsDir);
             }
         }
 
@@ -161,16 +148,18 @@ async function purgeArchivedItem(archive) {
         archive.permanently_deleted_at = new Date();
         await archive.save();
 
-        // 5. Audit log
-        await AdminAuditLog.create({
-            admin_id: archive.removed_by_admin,
-            action: 'content_purge',
-            target_type: 'content',
-            target_id: contentId,
-            ip: 'system',
-            user_agent: 'archive-purge-worker',
-            note: `Auto-purged after 24h archive window. Title: "${archive.content_snapshot?.title || 'N/A'}"`
-        });
+        // 5. Audit log (moderator removals only — account deletions have no admin actor)
+        if (archive.removed_by_admin) {
+            await AdminAuditLog.create({
+                admin_id: archive.removed_by_admin,
+                action: 'content_purge',
+                target_type: 'content',
+                target_id: contentId,
+                ip: 'system',
+                user_agent: 'archive-purge-worker',
+                note: `Auto-purged after 24h archive window. Title: "${archive.content_snapshot?.title || 'N/A'}"`
+            });
+        }
 
         console.log(`  ✅ Purge complete for ${contentId}`);
     } catch (err) {
@@ -188,6 +177,7 @@ async function runPurgeCycle() {
     const expiredArchives = await ContentArchive.find({
         permanently_deleted: false,
         restored_at: null,
+        appeal_hold: { $ne: true },
         delete_scheduled_at: { $lte: now }
     });
 
@@ -225,7 +215,7 @@ async function cleanupExpiredOtpSessions() {
 async function main() {
     console.log('🚀 Archive Purge Worker starting...');
     console.log(`   Purge interval: ${PURGE_INTERVAL_MS / 1000}s`);
-    console.log(`   S3 Bucket: ${S3_BUCKET}`);
+    console.log(`   Storage: ${getStorage().name}`);
 
     await mongoose.connect(process.env.MONGO_URI);
     console.log('✅ MongoDB connected');
@@ -0,0 +1,56 @@
+/**
+ * Community Event Worker
+ *
+ * Runs on a configurable interval (default: every minute).
+ * Sends the reminder notification for community events whose reminder time has
+ * arrived to members who RSVPed 'going' or 'interested' (see utils/communityPosts.js).
+ * Each event is claimed before notifying, so running several workers is safe.
+ *
+ * Usage:
+ *   node workers/communityEventWorker.js
+ *
+ * Or add to your process manager / cron.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import { sendDueEventReminders } from '../utils/communityPosts.js';
+
+const REMINDER_INTERVAL_MS = parseInt(process.env.COMMUNITY_EVENT_REMINDER_INTERVAL_MS) || 60 * 1000; // 1 min
+
+async function runCycle() {
+    const { events, notified } = await sendDueEventReminders();
+    if (events > 0) {
+        console.log(`✅ Reminder cycle complete. ${events} event(s), ${notified} member(s) notified.`);
+    }
+}
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Community Event Worker starting...');
+    console.log(`   Reminder interval: ${REMINDER_INTERVAL_MS / 1000}s`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    // Run immediately on start
+    await runCycle();
+
+    // Then run on interval
+    setInterval(async () => {
+        try {
+            await runCycle();
+        } catch (err) {
+            console.error('❌ Reminder cycle error:', err);
+        }
+    }, REMINDER_INTERVAL_MS);
+}
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Membership Renewal Worker
+ *
+ * Runs on a configurable interval (default: every 15 minutes).
+ * Bills channel memberships whose monthly period has ended (see utils/membershipRenewals.js):
+ *   1. Charges the next month from the member's PrimaryWallet
+ *   2. Moves failed renewals into a grace period (daily retries, one email)
+ *   3. Expires memberships whose grace period ran out, ends cancelled ones
+ *
+ * Usage:
+ *   node workers/membershipRenewalWorker.js
+ *
+ * Or add to your process manager / cron.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import { runMembershipRenewalCycle } from '../utils/membershipRenewals.js';
+
+const RENEWAL_INTERVAL_MS = parseInt(process.env.MEMBERSHIP_RENEWAL_INTERVAL_MS) || 15 * 60 * 1000; // 15 min
+
+async function runCycle() {
+    const { renewed, failed, ended, expired } = await runMembershipRenewalCycle();
+    if (renewed + failed + ended + expired > 0) {
+        console.log(`✅ Renewal cycle complete. Renewed ${renewed}, failed ${failed}, ended ${ended}, expired ${expired}.`);
+    }
+}
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Membership Renewal Worker starting...');
+    console.log(`   Renewal interval: ${RENEWAL_INTERVAL_MS / 1000}s`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    // Run immediately on start
+    await runCycle();
+
+    // Then run on interval
+    setInterval(async () => {
+        try {
+            await runCycle();
+        } catch (err) {
+            console.error('❌ Renewal cycle error:', err);
+        }
+    }, RENEWAL_INTERVAL_MS);
+}
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * Scheduled Publish Worker
+ *
+ * Runs on a configurable interval (default: every 60 seconds).
+ * Publishes content whose `publishAt` has passed and whose processing has completed:
+ *   1. Restores `scheduledVisibility` into `visibility` and stamps `publishedAt`
+ *   2. Sends subscriber notifications (held back at upload time)
+ *
+ * Usage:
+ *   node workers/scheduledPublishWorker.js
+ *
+ * Or add to your process manager / cron.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import { runScheduledPublishCycle } from '../utils/scheduledPublishing.js';
+
+const PUBLISH_INTERVAL_MS = parseInt(process.env.SCHEDULED_PUBLISH_INTERVAL_MS) || 60 * 1000; // 1 min
+
+async function runCycle() {
+    const published = await runScheduledPublishCycle();
+    if (published > 0) {
+        console.log(`✅ Publish cycle complete. Published ${published} item(s).`);
+    }
+}
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Scheduled Publish Worker starting...');
+    console.log(`   Publish interval: ${PUBLISH_INTERVAL_MS / 1000}s`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    // Run immediately on start
+    await runCycle();
+
+    // Then run on interval
+    setInterval(async () => {
+        try {
+            await runCycle();
+        } catch (err) {
+            console.error('❌ Publish cycle error:', err);
+        }
+    }, PUBLISH_INTERVAL_MS);
+}
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});
@@ -0,0 +1,99 @@
+/**
+ * Webhook Delivery Worker
+ *
+ * Consumes the `webhooks` job queue (utils/jobQueue.js — Redis or MongoDB). Each job is
+ * one WebhookDelivery: the worker POSTs the signed payload (utils/webhooks.js) and
+ * records the attempt. Non-2xx responses, timeouts and network errors are retried with
+ * webhookRetryDelayMs() backoff (1 min → 6 h) up to WEBHOOK_MAX_ATTEMPTS; endpoints that
+ * keep failing are disabled automatically.
+ *
+ * Usage:
+ *   npm run worker:webhooks   (node workers/webhookWorker.js)
+ *
+ * Env: MONGO_URI, WALLET_ENCRYPTION_KEY (signing secrets), REDIS_URL or JOB_QUEUE_DRIVER=mongo,
+ *      WEBHOOK_ALLOW_PRIVATE_URLS=true (local development only)
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import os from 'os';
+
+dotenv.config();
+
+import { getWebhookQueue, processWebhookJob } from '../utils/webhooks.js';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000;
+// Comfortably above the 10s request timeout
+const LOCK_MS = 60 * 1000;
+
+const queue = getWebhookQueue();
+let currentJob = null;
+let shuttingDown = false;
+
+async function runJob(job) {
+    currentJob = job;
+    try {
+        const outcome = await processWebhookJob(queue, job);
+        if (outcome !== 'succeeded') {
+            console.log(`[Webhooks] Delivery ${job.payload.deliveryId} ${outcome} (attempt ${job.attempts}/${job.maxAttempts})`);
+        }
+    } catch (err) {
+        console.error(`❌ [Webhooks] Job ${job.id} errored:`, err.message);
+        if (!shuttingDown) await queue.fail(job, err).catch(() => {});
+    } finally {
+        currentJob = null;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Webhook Worker starting...');
+    console.log(`   Worker: ${WORKER_ID}`);
+    console.log(`   Queue: ${queue.constructor.name}`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    while (!shuttingDown) {
+        try {
+            const job = await queue.reserve(WORKER_ID, LOCK_MS);
+            if (!job) {
+                await sleep(POLL_INTERVAL_MS);
+                continue;
+            }
+            await runJob(job);
+        } catch (err) {
+            console.error('❌ Worker loop error:', err);
+            await sleep(POLL_INTERVAL_MS);
+        }
+    }
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n🛑 ${signal} — shutting down...`);
+
+    if (currentJob) {
+        try {
+            await queue.release(currentJob);
+            console.log(`   ↩️ Released job ${currentJob.id}`);
+        } catch (err) {
+            console.error('   ❌ Failed to release job:', err.message);
+        }
+    }
+    await mongoose.connection.close().catch(() => {});
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});
@@ -0,0 +1,376 @@
+/**
+ * Transcoding Worker
+ *
+ * Consumes the `transcode` job queue (utils/jobQueue.js — Redis or MongoDB) and, for each
+ * uploaded video or short:
+ *   1. Downloads the original from storage (utils/storage.js) into a scratch directory
+ *   2. Encodes the HLS ladder in a single FFmpeg pass (no upscaling) + master playlist
+ *   3. Picks an auto thumbnail from several candidate frames (unless the creator set one)
+ *   4. Uploads everything under hls/{videos|shorts}/{userId}/{contentId}/ and thumbnails/
+ *   5. Updates Content: status, renditions, hlsMasterKey, thumbnailKey, duration, processing*
+ *
+ * Failed jobs are retried with backoff (1 → 2 → 4 min) up to TRANSCODE_MAX_ATTEMPTS, then the
+ * content is marked `failed` with `processingError`. Jobs are locked while running and a
+ * heartbeat extends the lock; if the worker dies, another worker picks the job up once the
+ * lock expires. Content stuck in `processing` without a live job is re-queued periodically.
+ *
+ * Usage:
+ *   npm run worker            (node workers/worker.js)
+ *
+ * Env: MONGO_URI, STORAGE_DRIVER (+ S3_BUCKET/AWS_REGION or LOCAL_STORAGE_DIR),
+ *      REDIS_URL or JOB_QUEUE_DRIVER=mongo,
+ *      TRANSCODE_WORK_DIR (scratch space — needs several GB for long videos),
+ *      FFMPEG_PATH / FFPROBE_PATH (optional overrides)
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+dotenv.config();
+
+import Content from '../models/content.model.js';
+import {
+    TRANSCODE_MAX_ATTEMPTS,
+    HLS_CODECS,
+    selectRenditions,
+    buildHlsArgs,
+    buildMasterPlaylist,
+    thumbnailTimestamps,
+    chooseThumbnail,
+    thumbnailWidth,
+    outputKeys,
+    getTranscodeQueue,
+    enqueueTranscode,
+} from '../utils/transcoding.js';
+import { probeMedia, runFFmpeg, extractFrame, checkFFmpeg } from '../utils/mediaTools.js';
+import { getStorage, getObject, putObject } from '../utils/storage.js';
+import { emitWebhookEvent, contentEventData } from '../utils/webhooks.js';
+
+const WORK_BASE = process.env.TRANSCODE_WORK_DIR || path.join(os.tmpdir(), 'transcode-work');
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.TRANSCODE_POLL_INTERVAL_MS) || 5000;
+const LOCK_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 60 * 1000;
+const RECOVERY_INTERVAL_MS = 10 * 60 * 1000;
+// Content left in 'processing' this long without a live job gets re-queued
+const STUCK_AFTER_MS = 15 * 60 * 1000;
+const UPLOAD_CONCURRENCY = 4;
+
+const queue = getTranscodeQueue();
+let currentJob = null;
+let shuttingDown = false;
+
+// ─── Storage helpers ─────────────────────────────────────────────────────────
+
+async function downloadOriginal(key, destPath) {
+    const { body } = await getObject(key);
+    await pipeline(body, fs.createWriteStream(destPath));
+    return fs.statSync(destPath).size;
+}
+
+async function uploadFile(filePath, key, contentType, cacheControl) {
+    const size = fs.statSync(filePath).size;
+    if (size === 0) throw new Error(`Refusing to upload empty file ${key}`);
+    await putObject(key, fs.createReadStream(filePath), { contentLength: size, contentType, cacheControl });
+}
+
+async function uploadHlsOutput(outputDir, renditions, keys) {
+    const files = [{ local: path.join(outputDir, 'master.m3u8'), key: keys.masterKey }];
+    for (const r of renditions) {
+        const dir = path.join(outputDir, `stream_${r.name}`);
+        for (const file of fs.readdirSync(dir).sort()) {
+            files.push({ local: path.join(dir, file), key: `${keys.hlsPrefix}/stream_${r.name}/${file}` });
+        }
+    }
+
+    // Segments are immutable; playlists get a short cache so re-encodes show up
+    let next = 0;
+    const uploadNext = async () => {
+        while (next < files.length) {
+            const { local, key } = files[next++];
+            const isSegment = key.endsWith('.ts');
+            await uploadFile(
+                local, key,
+                isSegment ? 'video/MP2T' : 'application/vnd.apple.mpegurl',
+                isSegment ? 'max-age=31536000' : 'max-age=300'
+            );
+        }
+    };
+    await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, uploadNext));
+    return files.length;
+}
+
+/**
+ * Every rendition must have a non-empty playlist and at least one segment
+ */
+function validateHlsOutput(outputDir, renditions) {
+    let segments = 0;
+    for (const r of renditions) {
+        const dir = path.join(outputDir, `stream_${r.name}`);
+        const playlist = path.join(dir, 'playlist.m3u8');
+        if (!fs.existsSync(playlist) || fs.statSync(playlist).size === 0) {
+            throw new Error(`Missing playlist for ${r.name}`);
+        }
+        const count = fs.readdirSync(dir).filter(f => f.endsWith('.ts')).length;
+        if (count === 0) throw new Error(`No segments produced for ${r.name}`);
+        segments += count;
+    }
+    return segments;
+}
+
+async function pickAutoThumbnail(inputPath, duration, workDir, contentType) {
+    const width = thumbnailWidth(contentType);
+    const candidates = [];
+    for (const [i, seconds] of thumbnailTimestamps(duration).entries()) {
+        const framePath = path.join(workDir, `thumb_${i}.jpg`);
+        try {
+            candidates.push({ path: framePath, seconds, size: await extractFrame(inputPath, seconds, framePath, width) });
+        } catch (err) {
+            console.warn(`   ⚠️ Thumbnail candidate at ${seconds}s failed: ${err.message}`);
+        }
+    }
+    return chooseThumbnail(candidates);
+}
+
+// ─── Job processing ──────────────────────────────────────────────────────────
+
+async function processJob(job) {
+    const { contentId } = job.payload;
+    const content = await Content.findById(contentId)
+        .select('userId contentType status originalKey hlsMasterKey thumbnailKey thumbnailSource')
+        .lean();
+
+    if (!content) {
+        console.warn(`⚠️ Content ${contentId} no longer exists — dropping job`);
+        return;
+    }
+    if (content.status === 'removed' || (content.status === 'completed' && content.hlsMasterKey)) {
+        console.log(`⏭️ Content ${contentId} is ${content.status} — nothing to do`);
+        return;
+    }
+    if (!['video', 'short'].includes(content.contentType)) {
+        console.warn(`⚠️ Content ${contentId} is a ${content.contentType} — not transcoded`);
+        return;
+    }
+    if (!content.originalKey) throw new Error('Content has no uploaded original');
+
+    const startedAt = Date.now();
+    await Content.updateOne(
+        { _id: contentId },
+        { $set: { status: 'processing', processingStart: new Date(), processingError: null } }
+    );
+
+    const workDir = path.join(WORK_BASE, `job-${contentId}-${startedAt}`);
+    const outputDir = path.join(workDir, 'hls');
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    try {
+        const inputPath = path.join(workDir, `input${path.extname(content.originalKey) || '.mp4'}`);
+        const originalSize = await downloadOriginal(content.originalKey, inputPath);
+        console.log(`   📥 Downloaded ${(originalSize / 1048576).toFixed(1)} MB`);
+
+        const { duration, videoStream, hasAudio } = await probeMedia(inputPath);
+        if (!videoStream) throw new Error('No video stream found in upload');
+
+        const renditions = selectRenditions(videoStream.width, videoStream.height, content.contentType);
+        console.log(`   📐 ${videoStream.width}x${videoStream.height}, ${duration.toFixed(1)}s → ${renditions.map(r => r.name).join(', ')}`);
+
+        for (const r of renditions) fs.mkdirSync(path.join(outputDir, `stream_${r.name}`), { recursive: true });
+        let lastLogged = 0;
+        await runFFmpeg(
+            buildHlsArgs({ inputPath, outputDir, renditions, hasAudio, contentType: content.contentType }),
+            {
+                label: 'encode',
+                onProgress: (time) => {
+                    if (Date.now() - lastLogged < 15000) return;
+                    lastLogged = Date.now();
+                    console.log(`   ⏱️ ${time}`);
+                },
+            }
+        );
+
+        fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions, hasAudio));
+        const segments = validateHlsOutput(outputDir, renditions);
+
+        const keys = outputKeys(content.contentType, content.userId, contentId);
+        const uploaded = await uploadHlsOutput(outputDir, renditions, keys);
+        console.log(`   ☁️ Uploaded ${uploaded} files (${segments} segments)`);
+
+        const update = {
+            status: 'completed',
+            hlsMasterKey: keys.masterKey,
+            duration,
+            'sizes.original': originalSize,
+            renditions: renditions.map(r => ({
+                name: r.name,
+                resolution: r.resolution,
+                bitrate: r.bitrate,
+                playlistKey: keys.playlistKey(r.name),
+                codecs: hasAudio ? `${HLS_CODECS.video},${HLS_CODECS.audio}` : HLS_CODECS.video,
+            })),
+            processingEnd: new Date(),
+            processingError: null,
+        };
+
+        const hasCustomThumbnail = content.thumbnailSource === 'custom' && content.thumbnailKey;
+        if (!hasCustomThumbnail) {
+            const thumb = await pickAutoThumbnail(inputPath, duration, workDir, content.contentType);
+            if (thumb) {
+                await uploadFile(thumb.path, keys.thumbnailKey, 'image/jpeg', 'max-age=31536000');
+                update.thumbnailKey = keys.thumbnailKey;
+                update.thumbnailSource = 'auto';
+            }
+        }
+
+        // Don't resurrect content that was removed while we were encoding
+        const saved = await Content.updateOne({ _id: contentId, status: { $ne: 'removed' } }, { $set: update });
+        if (saved.modifiedCount > 0) {
+            await emitWebhookEvent('content.processed', {
+                creatorId: content.userId,
+                data: contentEventData(content, { duration, renditions: renditions.map(r => r.name) }),
+            });
+        }
+        console.log(`✅ ${content.contentType} ${contentId} transcoded in ${((Date.now() - startedAt) / 60000).toFixed(1)} min`);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+async function handleFailure(job, err) {
+    const { contentId } = job.payload;
+    const { dead, retryInMs } = await queue.fail(job, err);
+
+    if (dead) {
+        console.error(`❌ Transcode of ${contentId} failed permanently after ${job.attempts} attempt(s):`, err.message);
+        const failed = await Content.findOneAndUpdate(
+            { _id: contentId, status: { $ne: 'removed' } },
+            { $set: { status: 'failed', processingError: err.message, processingEnd: new Date() } },
+            { new: true }
+        ).select('userId contentType title visibility').lean();
+        if (failed) {
+            await emitWebhookEvent('content.failed', {
+                creatorId: failed.userId,
+                data: contentEventData(failed, { error: err.message, attempts: job.attempts }),
+            });
+        }
+        return;
+    }
+
+    console.error(`❌ Transcode of ${contentId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${retryInMs / 1000}s:`, err.message);
+    await Content.updateOne(
+        { _id: contentId, status: { $ne: 'removed' } },
+        { $set: { processingError: `${err.message} (attempt ${job.attempts}/${job.maxAttempts}, retrying)` } }
+    );
+}
+
+async function runJob(job) {
+    console.log(`\n🎬 Job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    currentJob = job;
+    const heartbeat = setInterval(() => {
+        queue.extend(job, LOCK_MS).catch(err => console.error('❌ Heartbeat failed:', err.message));
+    }, HEARTBEAT_MS);
+
+    try {
+        await processJob(job);
+        await queue.complete(job);
+    } catch (err) {
+        if (!shuttingDown) await handleFailure(job, err);
+    } finally {
+        clearInterval(heartbeat);
+        currentJob = null;
+    }
+}
+
+/**
+ * Re-queue content stuck in 'processing' (enqueue is a no-op while a job is live)
+ */
+async function recoverStuckContent() {
+    const stuck = await Content.find({
+        contentType: { $in: ['video', 'short'] },
+        status: 'processing',
+        processingStart: { $lt: new Date(Date.now() - STUCK_AFTER_MS) },
+    }).select('_id').limit(100).lean();
+
+    let requeued = 0;
+    for (const c of stuck) {
+        if (await enqueueTranscode(c._id)) requeued++;
+    }
+    if (requeued > 0) console.log(`🔁 Re-queued ${requeued} stuck item(s)`);
+}
+
+function cleanLeftoverWorkDirs() {
+    fs.mkdirSync(WORK_BASE, { recursive: true });
+    const leftovers = fs.readdirSync(WORK_BASE).filter(f => f.startsWith('job-'));
+    for (const dir of leftovers) fs.rmSync(path.join(WORK_BASE, dir), { recursive: true, force: true });
+    if (leftovers.length > 0) console.log(`🧹 Removed ${leftovers.length} leftover work dir(s)`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Entry Point ─────────────────────────────────────────────────────────────
+
+async function main() {
+    console.log('🚀 Transcoding Worker starting...');
+    console.log(`   Worker: ${WORKER_ID}`);
+    console.log(`   Queue: ${queue.constructor.name}`);
+    console.log(`   Work dir: ${WORK_BASE}`);
+    console.log(`   Storage: ${getStorage().name}`);
+
+    await checkFFmpeg();
+    console.log('✅ FFmpeg available');
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+
+    cleanLeftoverWorkDirs();
+
+    let lastRecovery = 0;
+    while (!shuttingDown) {
+        try {
+            if (Date.now() - lastRecovery > RECOVERY_INTERVAL_MS) {
+                lastRecovery = Date.now();
+                await recoverStuckContent();
+            }
+
+            const job = await queue.reserve(WORKER_ID, LOCK_MS);
+            if (!job) {
+                await sleep(POLL_INTERVAL_MS);
+                continue;
+            }
+            await runJob(job);
+        } catch (err) {
+            console.error('❌ Worker loop error:', err);
+            await sleep(POLL_INTERVAL_MS);
+        }
+    }
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n🛑 ${signal} — shutting down...`);
+
+    // Hand the current job straight back instead of waiting for its lock to expire
+    if (currentJob) {
+        try {
+            await queue.release(currentJob);
+            console.log(`   ↩️ Released job ${currentJob.id}`);
+        } catch (err) {
+            console.error('   ❌ Failed to release job:', err.message);
+        }
+    }
+    await mongoose.connection.close().catch(() => {});
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+main().catch(err => {
+    console.error('❌ Worker failed to start:', err);
+    process.exit(1);
+});